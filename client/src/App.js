@@ -7,8 +7,9 @@
  * Features:
  * - React Router for navigation
  * - AuthContext for authentication state
+ * - LiveUpdatesContext pushing server changes to the pages
  * - Protected routes for authenticated users
- * - Admin-only routes
+ * - Permission-gated admin routes
  * - Theme context for dark/light mode
  * 
  * @author SmartAlloc Team
@@ -20,7 +21,8 @@ import React, { useState, useEffect, createContext } from 'react';
 import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom';
 
 // Import Auth Provider
-import { AuthProvider, useAuth } from './context/AuthContext';
+import { AuthProvider, useAuth, ADMIN_PANEL_PERMISSIONS } from './context/AuthContext';
+import { LiveUpdatesProvider } from './context/LiveUpdatesContext';
 
 // Import layout components
 import Sidebar from './components/Sidebar';
@@ -32,6 +34,7 @@ import Dashboard from './pages/Dashboard';
 import AddResource from './pages/AddResource';
 import AssignResource from './pages/AssignResource';
 import AllocationList from './pages/AllocationList';
+import AllocationCalendar from './pages/AllocationCalendar';
 import ResourceStatus from './pages/ResourceStatus';
 import AdminDashboard from './pages/AdminDashboard';
 
@@ -66,10 +69,11 @@ const ProtectedRoute = ({ children }) => {
 
 /**
  * Admin Route Component
- * Redirects to dashboard if user is not an admin
+ * Redirects to dashboard unless the user has at least one of the permissions
+ * (or, with allowApprovers, decides approval requests)
  */
-const AdminRoute = ({ children }) => {
-    const { isAdmin, loading } = useAuth();
+const AdminRoute = ({ permissions, allowApprovers = false, children }) => {
+    const { hasPermission, isApprover, loading } = useAuth();
 
     if (loading) {
         return (
@@ -80,7 +84,7 @@ const AdminRoute = ({ children }) => {
         );
     }
 
-    if (!isAdmin()) {
+    if (!permissions.some(hasPermission) && !(allowApprovers && isApprover())) {
         return <Navigate to="/" replace />;
     }
 
@@ -135,7 +139,7 @@ const AppRoutes = () => {
 
             <Route path="/add-resource" element={
                 <ProtectedRoute>
-                    <AdminRoute>
+                    <AdminRoute permissions={['resources:write']}>
                         <MainLayout>
                             <AddResource />
                         </MainLayout>
@@ -151,6 +155,14 @@ const AppRoutes = () => {
                 </ProtectedRoute>
             } />
 
+            <Route path="/allocations/:id/edit" element={
+                <ProtectedRoute>
+                    <MainLayout>
+                        <AssignResource />
+                    </MainLayout>
+                </ProtectedRoute>
+            } />
+
             <Route path="/allocations" element={
                 <ProtectedRoute>
                     <MainLayout>
@@ -159,6 +171,14 @@ const AppRoutes = () => {
                 </ProtectedRoute>
             } />
 
+            <Route path="/calendar" element={
+                <ProtectedRoute>
+                    <MainLayout>
+                        <AllocationCalendar />
+                    </MainLayout>
+                </ProtectedRoute>
+            } />
+
             <Route path="/resources" element={
                 <ProtectedRoute>
                     <MainLayout>
@@ -167,10 +187,10 @@ const AppRoutes = () => {
                 </ProtectedRoute>
             } />
 
-            {/* Admin Only Routes */}
+            {/* Admin Routes */}
             <Route path="/admin" element={
                 <ProtectedRoute>
-                    <AdminRoute>
+                    <AdminRoute permissions={ADMIN_PANEL_PERMISSIONS} allowApprovers>
                         <MainLayout>
                             <AdminDashboard />
                         </MainLayout>
@@ -214,9 +234,11 @@ function App() {
     return (
         <ThemeContext.Provider value={{ theme, toggleTheme }}>
             <AuthProvider>
-                <Router>
-                    <AppRoutes />
-                </Router>
+                <LiveUpdatesProvider>
+                    <Router>
+                        <AppRoutes />
+                    </Router>
+                </LiveUpdatesProvider>
             </AuthProvider>
         </ThemeContext.Provider>
     );
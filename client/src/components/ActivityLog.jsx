@@ -0,0 +1,276 @@
+/**
+ * =============================================================================
+ * SMARTALLOC - ACTIVITY LOG
+ * =============================================================================
+ * Admin Dashboard tab for the audit log (requires audit:read). Uses the
+ * AdminDashboard table styles.
+ *
+ * Every change made through the API is listed, newest first: who made it,
+ * what they did to which record, the fields that changed and where the
+ * request came from. Changes made by background jobs show "System".
+ *
+ * Features:
+ * - Filter by person, action, kind of record, date range and free text
+ * - Load more, 50 events at a time
+ * - Export the filtered log as CSV or JSON
+ *
+ * API:
+ * - GET /api/audit?actorId=&action=&targetType=&from=&to=&search=&limit=&cursor=
+ * - GET /api/audit/actions
+ * - GET /api/audit/export?format=csv|json (same filters)
+ *
+ * @author SmartAlloc Team
+ * @version 1.0.0
+ * =============================================================================
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../context/AuthContext';
+
+const API_URL = 'http://localhost:5000/api';
+
+// Events per page
+const PAGE_SIZE = 50;
+
+const EMPTY_FILTERS = { actorId: '', action: '', targetType: '', from: '', to: '', search: '' };
+
+/**
+ * A changed value as short text
+ */
+const formatValue = (value) => {
+    if (value === null || value === undefined || value === '') return '-';
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+};
+
+/**
+ * Query string for the filters (dates cover the whole day)
+ */
+const toParams = (filters) => {
+    const params = new URLSearchParams();
+    Object.entries(filters).forEach(([key, value]) => {
+        if (!value) return;
+        if (key === 'from') params.set(key, new Date(`${value}T00:00`).toISOString());
+        else if (key === 'to') params.set(key, new Date(`${value}T23:59:59.999`).toISOString());
+        else params.set(key, value);
+    });
+    return params;
+};
+
+/**
+ * ActivityLog Component
+ *
+ * @param {Function} onMessage - Show a dashboard message: (type, text)
+ */
+function ActivityLog({ onMessage }) {
+    const { token } = useAuth();
+
+    const [events, setEvents] = useState([]);
+    const [total, setTotal] = useState(0);
+    const [nextCursor, setNextCursor] = useState(null);
+    const [filters, setFilters] = useState(EMPTY_FILTERS);
+    // Filters in use - the search box is applied after a pause in typing
+    const [appliedFilters, setAppliedFilters] = useState(EMPTY_FILTERS);
+    const [actions, setActions] = useState([]);
+    const [targetTypes, setTargetTypes] = useState([]);
+    const [users, setUsers] = useState([]);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        const headers = { 'Authorization': `Bearer ${token}` };
+
+        fetch(`${API_URL}/audit/actions`, { headers })
+            .then(response => response.json())
+            .then(data => {
+                if (data.success) {
+                    setActions(data.data.actions);
+                    setTargetTypes(data.data.targetTypes);
+                }
+            })
+            .catch(error => console.error('Error fetching audit actions:', error));
+
+        fetch(`${API_URL}/users`, { headers })
+            .then(response => response.json())
+            .then(data => {
+                if (data.success) setUsers(data.data);
+            })
+            .catch(error => console.error('Error fetching users:', error));
+    }, [token]);
+
+    useEffect(() => {
+        const typing = filters.search !== appliedFilters.search;
+        const timer = setTimeout(() => setAppliedFilters(filters), typing ? 400 : 0);
+        return () => clearTimeout(timer);
+    }, [filters, appliedFilters.search]);
+
+    const fetchEvents = useCallback(async (cursor = null) => {
+        setLoading(true);
+        try {
+            const params = toParams(appliedFilters);
+            params.set('limit', PAGE_SIZE);
+            if (cursor) params.set('cursor', cursor);
+
+            const response = await fetch(`${API_URL}/audit?${params}`, {
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                setEvents(previous => (cursor ? [...previous, ...data.data] : data.data));
+                setTotal(data.total);
+                setNextCursor(data.pagination.nextCursor);
+                setError('');
+            } else {
+                setError(data.message);
+            }
+        } catch (err) {
+            console.error('Error fetching audit log:', err);
+            setError('Failed to load the audit log');
+        } finally {
+            setLoading(false);
+        }
+    }, [token, appliedFilters]);
+
+    useEffect(() => {
+        fetchEvents();
+    }, [fetchEvents]);
+
+    const handleFilterChange = (e) => {
+        setFilters({ ...filters, [e.target.name]: e.target.value });
+    };
+
+    const handleExport = async (format) => {
+        try {
+            const params = toParams(appliedFilters);
+            params.set('format', format);
+
+            const response = await fetch(`${API_URL}/audit/export?${params}`, {
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+
+            if (!response.ok) {
+                const data = await response.json();
+                onMessage('error', data.message || 'Failed to export the audit log');
+                return;
+            }
+
+            const url = URL.createObjectURL(await response.blob());
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `audit-log-${new Date().toISOString().slice(0, 10)}.${format}`;
+            link.click();
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            console.error('Error exporting audit log:', error);
+            onMessage('error', 'Failed to export the audit log');
+        }
+    };
+
+    return (
+        <div className="roles-section">
+            <div className="section-actions" style={{ gap: '0.5rem', flexWrap: 'wrap' }}>
+                <input
+                    type="search"
+                    name="search"
+                    className="role-select"
+                    placeholder="🔍 Person, record or action..."
+                    value={filters.search}
+                    onChange={handleFilterChange}
+                />
+                <select name="actorId" className="role-select" value={filters.actorId} onChange={handleFilterChange}>
+                    <option value="">Anyone</option>
+                    {users.map(user => (
+                        <option key={user._id} value={user._id}>{user.name}</option>
+                    ))}
+                </select>
+                <select name="action" className="role-select" value={filters.action} onChange={handleFilterChange}>
+                    <option value="">All actions</option>
+                    {actions.map(action => (
+                        <option key={action} value={action}>{action}</option>
+                    ))}
+                </select>
+                <select name="targetType" className="role-select" value={filters.targetType} onChange={handleFilterChange}>
+                    <option value="">All records</option>
+                    {targetTypes.map(type => (
+                        <option key={type} value={type}>{type}</option>
+                    ))}
+                </select>
+                <input type="date" name="from" className="role-select" title="From date" value={filters.from} onChange={handleFilterChange} />
+                <input type="date" name="to" className="role-select" title="To date" value={filters.to} onChange={handleFilterChange} />
+                <button className="action-btn" onClick={() => setFilters(EMPTY_FILTERS)} title="Clear filters">✖ Clear</button>
+                <button className="action-btn" onClick={() => handleExport('csv')} title="Download as CSV">⬇️ CSV</button>
+                <button className="action-btn" onClick={() => handleExport('json')} title="Download as JSON">⬇️ JSON</button>
+            </div>
+            <p className="user-email" style={{ margin: '1rem' }}>
+                {total} event(s). The log can't be edited or deleted.
+            </p>
+            {error && (
+                <p className="user-email" style={{ margin: '1rem', color: 'var(--danger-color)' }}>⚠️ {error}</p>
+            )}
+            <div className="users-table-wrapper">
+                <table className="admin-table">
+                    <thead>
+                        <tr>
+                            <th>When</th>
+                            <th>Who</th>
+                            <th>Action</th>
+                            <th>Record</th>
+                            <th>Changes</th>
+                            <th>From</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {events.length === 0 && !loading && (
+                            <tr>
+                                <td colSpan="6">No activity matches these filters.</td>
+                            </tr>
+                        )}
+                        {events.map(event => (
+                            <tr key={event._id}>
+                                <td>{new Date(event.createdAt).toLocaleString()}</td>
+                                <td>
+                                    <strong>{event.actorName}</strong>
+                                    {event.actorRole && <span className="user-email">{event.actorRole}</span>}
+                                </td>
+                                <td><span className="permission-tag">{event.action}</span></td>
+                                <td>
+                                    {event.targetLabel || event.targetType}
+                                    <span className="user-email">{event.targetType}{event.targetId && ` · ${event.targetId}`}</span>
+                                </td>
+                                <td>
+                                    {event.changes.map(change => (
+                                        <span key={change.field} className="user-email">
+                                            {change.field}: {formatValue(change.from)} → {formatValue(change.to)}
+                                        </span>
+                                    ))}
+                                    {event.details && (
+                                        <span className="user-email">
+                                            {Object.entries(event.details)
+                                                .filter(([, value]) => value !== null && value !== '')
+                                                .map(([key, value]) => `${key}: ${formatValue(value)}`)
+                                                .join(', ')}
+                                        </span>
+                                    )}
+                                </td>
+                                <td>
+                                    {event.ip || '-'}
+                                    {event.userAgent && <span className="user-email" title={event.userAgent}>{event.userAgent.slice(0, 40)}</span>}
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+            {nextCursor && (
+                <div className="section-actions" style={{ justifyContent: 'center' }}>
+                    <button className="action-btn" onClick={() => fetchEvents(nextCursor)} disabled={loading}>
+                        {loading ? 'Loading...' : 'Load more'}
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default ActivityLog;
@@ -0,0 +1,144 @@
+/**
+ * =============================================================================
+ * SMARTALLOC - ALLOCATION HISTORY
+ * =============================================================================
+ * Everything that happened to one allocation, oldest first, from the audit
+ * log: who requested, edited, decided, cancelled or checked in, and which
+ * fields changed. Changes made by background jobs show "System".
+ *
+ * Shown under a row of the Allocations page.
+ *
+ * API:
+ * - GET /api/allocations/:id/history
+ *
+ * @author SmartAlloc Team
+ * @version 1.0.0
+ * =============================================================================
+ */
+
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../context/AuthContext';
+
+const API_URL = 'http://localhost:5000/api';
+
+// What each action reads as in the history
+const ACTION_LABELS = {
+    'allocation.create': 'requested it',
+    'allocation.import': 'imported it',
+    'allocation.update': 'edited it',
+    'allocation.approve': 'approved',
+    'allocation.reject': 'rejected',
+    'allocation.cancel': 'cancelled it',
+    'allocation.flag': 'flagged it for review',
+    'allocation.check-in': 'checked in',
+    'allocation.comment': 'commented',
+    'allocation.comment-edit': 'edited a comment',
+    'allocation.expire': 'expired it',
+    'allocation.no-show': 'released it as a no-show',
+    'allocation.delete': 'deleted it'
+};
+
+// Fields not worth showing in the history
+const HIDDEN_FIELDS = ['resourceId', 'requestedBy', 'seriesId', 'currentStep'];
+
+const formatDate = (dateStr) => new Date(dateStr).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+});
+
+/**
+ * A changed value as short text (dates readable)
+ */
+const formatValue = (value) => {
+    if (value === null || value === undefined || value === '') return '-';
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T/.test(value)) return formatDate(value);
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+};
+
+/**
+ * AllocationHistory Component
+ *
+ * @param {String} props.allocationId - Allocation whose history is shown
+ */
+function AllocationHistory({ allocationId }) {
+    const { token } = useAuth();
+
+    const [events, setEvents] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        const fetchHistory = async () => {
+            try {
+                const response = await fetch(`${API_URL}/allocations/${allocationId}/history`, {
+                    headers: { 'Authorization': `Bearer ${token}` }
+                });
+                const data = await response.json();
+
+                if (data.success) {
+                    setEvents(data.data);
+                    setError('');
+                } else {
+                    setError(data.message);
+                }
+            } catch (err) {
+                setError('Failed to load history');
+            } finally {
+                setLoading(false);
+            }
+        };
+
+        fetchHistory();
+    }, [allocationId, token]);
+
+    if (loading) {
+        return <small style={{ color: 'var(--text-muted)' }}>Loading history...</small>;
+    }
+
+    if (error) {
+        return <small style={{ color: 'var(--danger-color)' }}>⚠️ {error}</small>;
+    }
+
+    return (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '10px' }}>
+            {events.length === 0 && (
+                <small style={{ color: 'var(--text-muted)' }}>No recorded changes yet.</small>
+            )}
+            {events.map(event => {
+                const changes = event.changes.filter(change => !HIDDEN_FIELDS.includes(change.field));
+                const created = event.action === 'allocation.create' || event.action === 'allocation.import';
+
+                return (
+                    <div key={event._id} style={{ fontSize: '0.9rem' }}>
+                        <div style={{ color: 'var(--text-secondary)', fontSize: '0.8rem' }}>
+                            <strong style={{ color: 'var(--text-color)' }}>{event.actorName}</strong>
+                            {' '}{ACTION_LABELS[event.action] || event.action}
+                            {' · '}{formatDate(event.createdAt)}
+                            {event.ip && ` · ${event.ip}`}
+                        </div>
+                        {event.details && event.details.comment && (
+                            <div style={{ whiteSpace: 'pre-wrap' }}>"{event.details.comment}"</div>
+                        )}
+                        {event.details && event.details.reason && (
+                            <div style={{ color: 'var(--text-muted)', fontSize: '0.8rem' }}>{event.details.reason}</div>
+                        )}
+                        {!created && changes.length > 0 && (
+                            <div style={{ marginTop: '4px', paddingLeft: '10px', borderLeft: '2px solid var(--border-color)', color: 'var(--text-muted)', fontSize: '0.8rem' }}>
+                                {changes.map(change => (
+                                    <div key={change.field}>
+                                        {change.field}: {formatValue(change.from)} → {formatValue(change.to)}
+                                    </div>
+                                ))}
+                            </div>
+                        )}
+                    </div>
+                );
+            })}
+        </div>
+    );
+}
+
+export default AllocationHistory;
@@ -0,0 +1,468 @@
+/**
+ * =============================================================================
+ * SMARTALLOC - APPROVAL RULE MANAGER
+ * =============================================================================
+ * Admin Dashboard tab for auto-approval rules (requires
+ * allocations:approve). Uses the AdminDashboard table/modal styles.
+ *
+ * Rules are tried in priority order when a request is made; the first one
+ * whose conditions all match approves or rejects it, and the request shows
+ * which rule decided it.
+ *
+ * Features:
+ * - Rules with their conditions, action and how often they fired
+ * - Add / edit rule (resources, types, departments, roles, duration,
+ *   lead time, time of day)
+ * - Enable / disable and delete rules
+ *
+ * API:
+ * - GET/POST /api/approval-rules
+ * - PUT/DELETE /api/approval-rules/:id
+ * - GET /api/resources, GET /api/roles (condition options)
+ *
+ * @author SmartAlloc Team
+ * @version 1.0.0
+ * =============================================================================
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { useResourceTypes } from './ResourceTypeSelect';
+
+const API_URL = 'http://localhost:5000/api';
+
+const EMPTY_RULE = {
+    name: '',
+    action: 'approve',
+    reason: '',
+    priority: 100,
+    enabled: true,
+    resourceIds: [],
+    resourceTypes: [],
+    departments: '',
+    roles: [],
+    minDurationMinutes: '',
+    maxDurationMinutes: '',
+    minLeadTimeMinutes: '',
+    maxLeadTimeMinutes: '',
+    startAfter: '',
+    endBefore: ''
+};
+
+/**
+ * One-line summary of a rule's conditions for the table
+ */
+const describeConditions = (conditions) => {
+    const parts = [];
+    if (conditions.resourceIds.length > 0) parts.push(conditions.resourceIds.map(resource => resource.name || resource).join(', '));
+    if (conditions.resourceTypes.length > 0) parts.push(conditions.resourceTypes.join(', '));
+    if (conditions.departments.length > 0) parts.push(`dept ${conditions.departments.join(', ')}`);
+    if (conditions.roles.length > 0) parts.push(`role ${conditions.roles.join(', ')}`);
+    if (conditions.minDurationMinutes) parts.push(`≥ ${conditions.minDurationMinutes} min`);
+    if (conditions.maxDurationMinutes) parts.push(`≤ ${conditions.maxDurationMinutes} min`);
+    if (conditions.minLeadTimeMinutes !== null) parts.push(`≥ ${conditions.minLeadTimeMinutes} min notice`);
+    if (conditions.maxLeadTimeMinutes !== null) parts.push(`≤ ${conditions.maxLeadTimeMinutes} min notice`);
+    if (conditions.startAfter || conditions.endBefore) {
+        parts.push(`${conditions.startAfter || '00:00'}-${conditions.endBefore || '24:00'}`);
+    }
+    return parts.join(' · ') || 'Every request';
+};
+
+/**
+ * ApprovalRuleManager Component
+ *
+ * @param {Function} onMessage - Show a dashboard message: (type, text)
+ */
+function ApprovalRuleManager({ onMessage }) {
+    const { token } = useAuth();
+
+    const [rules, setRules] = useState([]);
+    const [resources, setResources] = useState([]);
+    const [roles, setRoles] = useState([]);
+    const [types] = useResourceTypes();
+    const [showModal, setShowModal] = useState(false);
+    const [editingId, setEditingId] = useState(null);
+    const [form, setForm] = useState(EMPTY_RULE);
+    const [saving, setSaving] = useState(false);
+
+    const fetchRules = useCallback(async () => {
+        try {
+            const response = await fetch(`${API_URL}/approval-rules`, {
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+            const data = await response.json();
+            if (data.success) setRules(data.data);
+        } catch (error) {
+            console.error('Error fetching approval rules:', error);
+        }
+    }, [token]);
+
+    useEffect(() => {
+        fetchRules();
+
+        fetch(`${API_URL}/resources`)
+            .then(response => response.json())
+            .then(data => data.success && setResources(data.data))
+            .catch(error => console.error('Error fetching resources:', error));
+
+        fetch(`${API_URL}/roles`, { headers: { 'Authorization': `Bearer ${token}` } })
+            .then(response => response.json())
+            .then(data => data.success && setRoles(data.data))
+            .catch(error => console.error('Error fetching roles:', error));
+    }, [fetchRules, token]);
+
+    const openModal = (rule) => {
+        setEditingId(rule ? rule._id : null);
+        setForm(rule
+            ? {
+                name: rule.name,
+                action: rule.action,
+                reason: rule.reason,
+                priority: rule.priority,
+                enabled: rule.enabled,
+                resourceIds: rule.conditions.resourceIds.map(resource => resource._id || resource),
+                resourceTypes: rule.conditions.resourceTypes,
+                departments: rule.conditions.departments.join(', '),
+                roles: rule.conditions.roles,
+                minDurationMinutes: rule.conditions.minDurationMinutes ?? '',
+                maxDurationMinutes: rule.conditions.maxDurationMinutes ?? '',
+                minLeadTimeMinutes: rule.conditions.minLeadTimeMinutes ?? '',
+                maxLeadTimeMinutes: rule.conditions.maxLeadTimeMinutes ?? '',
+                startAfter: rule.conditions.startAfter || '',
+                endBefore: rule.conditions.endBefore || ''
+            }
+            : EMPTY_RULE);
+        setShowModal(true);
+    };
+
+    const toggleListItem = (field, item) => {
+        const list = form[field].includes(item)
+            ? form[field].filter(value => value !== item)
+            : [...form[field], item];
+        setForm({ ...form, [field]: list });
+    };
+
+    const send = async (url, method, body) => {
+        const response = await fetch(url, {
+            method,
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${token}`
+            },
+            body: body ? JSON.stringify(body) : undefined
+        });
+        return response.json();
+    };
+
+    const handleSave = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+
+        const body = {
+            name: form.name,
+            action: form.action,
+            reason: form.reason,
+            priority: form.priority,
+            enabled: form.enabled,
+            conditions: {
+                resourceIds: form.resourceIds,
+                resourceTypes: form.resourceTypes,
+                departments: form.departments,
+                roles: form.roles,
+                minDurationMinutes: form.minDurationMinutes,
+                maxDurationMinutes: form.maxDurationMinutes,
+                minLeadTimeMinutes: form.minLeadTimeMinutes,
+                maxLeadTimeMinutes: form.maxLeadTimeMinutes,
+                startAfter: form.startAfter,
+                endBefore: form.endBefore
+            }
+        };
+
+        try {
+            const data = await send(
+                `${API_URL}/approval-rules${editingId ? `/${editingId}` : ''}`,
+                editingId ? 'PUT' : 'POST',
+                body
+            );
+
+            if (data.success) {
+                onMessage('success', data.message);
+                setShowModal(false);
+                fetchRules();
+            } else {
+                onMessage('error', data.errors ? data.errors.join(', ') : data.message);
+            }
+        } catch (error) {
+            onMessage('error', 'Failed to save approval rule');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleToggle = async (rule) => {
+        try {
+            const data = await send(`${API_URL}/approval-rules/${rule._id}`, 'PUT', { enabled: !rule.enabled });
+            onMessage(data.success ? 'success' : 'error', data.success ? `Rule ${rule.enabled ? 'disabled' : 'enabled'}` : data.message);
+            if (data.success) fetchRules();
+        } catch (error) {
+            onMessage('error', 'Failed to update approval rule');
+        }
+    };
+
+    const handleDelete = async (rule) => {
+        if (!window.confirm(`Delete the rule "${rule.name}"? Requests it already decided keep their status.`)) return;
+
+        try {
+            const data = await send(`${API_URL}/approval-rules/${rule._id}`, 'DELETE');
+            onMessage(data.success ? 'success' : 'error', data.message);
+            if (data.success) fetchRules();
+        } catch (error) {
+            onMessage('error', 'Failed to delete approval rule');
+        }
+    };
+
+    const numberInput = (field, label, min) => (
+        <div className="form-group">
+            <label>{label}</label>
+            <input
+                type="number"
+                min={min}
+                value={form[field]}
+                onChange={(e) => setForm({ ...form, [field]: e.target.value })}
+                placeholder="Any"
+            />
+        </div>
+    );
+
+    return (
+        <div className="roles-section">
+            <div className="section-actions">
+                <button className="btn-primary" onClick={() => openModal(null)}>
+                    ➕ Add Rule
+                </button>
+            </div>
+            <p className="user-email" style={{ marginBottom: '1rem' }}>
+                Rules are tried from the top when someone requests a resource; the first match decides.
+                Requests no rule matches wait for approval as usual.
+            </p>
+            <div className="users-table-wrapper">
+                <table className="admin-table">
+                    <thead>
+                        <tr>
+                            <th>#</th>
+                            <th>Rule</th>
+                            <th>When</th>
+                            <th>Then</th>
+                            <th>Fired</th>
+                            <th>Actions</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {rules.length === 0 && (
+                            <tr>
+                                <td colSpan="6">No rules yet - every request waits for approval.</td>
+                            </tr>
+                        )}
+                        {rules.map(rule => (
+                            <tr key={rule._id} style={rule.enabled ? undefined : { opacity: 0.5 }}>
+                                <td>{rule.priority}</td>
+                                <td>
+                                    <strong>{rule.name}</strong>
+                                    {!rule.enabled && <span className="user-email">Disabled</span>}
+                                </td>
+                                <td>{describeConditions(rule.conditions)}</td>
+                                <td>
+                                    <span className={`status-badge ${rule.action === 'approve' ? 'active' : 'blocked'}`}>
+                                        {rule.action === 'approve' ? 'Approve' : 'Reject'}
+                                    </span>
+                                </td>
+                                <td>
+                                    {rule.matchCount}
+                                    {rule.lastMatchedAt && (
+                                        <span className="user-email">{new Date(rule.lastMatchedAt).toLocaleDateString()}</span>
+                                    )}
+                                </td>
+                                <td className="actions-cell">
+                                    <button className="action-btn reset" onClick={() => openModal(rule)}>
+                                        ✏️ Edit
+                                    </button>
+                                    <button
+                                        className={`action-btn ${rule.enabled ? 'block' : 'approve'}`}
+                                        onClick={() => handleToggle(rule)}
+                                    >
+                                        {rule.enabled ? '⏸️' : '▶️'}
+                                    </button>
+                                    <button className="action-btn delete" onClick={() => handleDelete(rule)}>
+                                        🗑️
+                                    </button>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+
+            {/* Add / Edit Rule Modal */}
+            {showModal && (
+                <div className="modal-overlay">
+                    <div className="modal-card">
+                        <div className="modal-header">
+                            <h2>{editingId ? `Edit ${form.name}` : 'Add Approval Rule'}</h2>
+                            <button className="close-btn" onClick={() => setShowModal(false)}>×</button>
+                        </div>
+                        <form onSubmit={handleSave} className="modal-form">
+                            <div className="form-group">
+                                <label>Name</label>
+                                <input
+                                    type="text"
+                                    required
+                                    maxLength="80"
+                                    value={form.name}
+                                    onChange={(e) => setForm({ ...form, name: e.target.value })}
+                                    placeholder="e.g. Short huddles for Engineering"
+                                />
+                            </div>
+                            <div className="form-row">
+                                <div className="form-group">
+                                    <label>Then</label>
+                                    <select
+                                        value={form.action}
+                                        onChange={(e) => setForm({ ...form, action: e.target.value })}
+                                    >
+                                        <option value="approve">✅ Approve automatically</option>
+                                        <option value="reject">❌ Reject automatically</option>
+                                    </select>
+                                </div>
+                                <div className="form-group">
+                                    <label>Priority (lower first)</label>
+                                    <input
+                                        type="number"
+                                        value={form.priority}
+                                        onChange={(e) => setForm({ ...form, priority: e.target.value })}
+                                    />
+                                </div>
+                            </div>
+                            {form.action === 'reject' && (
+                                <div className="form-group">
+                                    <label>Reason (shown to the requester)</label>
+                                    <input
+                                        type="text"
+                                        maxLength="300"
+                                        value={form.reason}
+                                        onChange={(e) => setForm({ ...form, reason: e.target.value })}
+                                        placeholder="e.g. Vans are for Facilities only"
+                                    />
+                                </div>
+                            )}
+
+                            <div className="form-group">
+                                <label>Resource Types</label>
+                                <div className="amenity-chips">
+                                    {types.map(type => (
+                                        <button
+                                            key={type._id}
+                                            type="button"
+                                            className={`amenity-chip ${form.resourceTypes.includes(type.name) ? 'selected' : ''}`}
+                                            onClick={() => toggleListItem('resourceTypes', type.name)}
+                                        >
+                                            {type.icon} {type.name}
+                                        </button>
+                                    ))}
+                                </div>
+                            </div>
+                            <div className="form-group">
+                                <label>Resources</label>
+                                <select
+                                    multiple
+                                    value={form.resourceIds}
+                                    onChange={(e) => setForm({
+                                        ...form,
+                                        resourceIds: Array.from(e.target.selectedOptions, option => option.value)
+                                    })}
+                                    style={{ minHeight: '100px' }}
+                                >
+                                    {resources.map(resource => (
+                                        <option key={resource._id} value={resource._id}>
+                                            {resource.name} ({resource.type})
+                                        </option>
+                                    ))}
+                                </select>
+                            </div>
+                            <div className="form-group">
+                                <label>Requester Departments</label>
+                                <input
+                                    type="text"
+                                    value={form.departments}
+                                    onChange={(e) => setForm({ ...form, departments: e.target.value })}
+                                    placeholder="e.g. Engineering, Design (empty = any)"
+                                />
+                            </div>
+                            <div className="form-group">
+                                <label>Requester Roles</label>
+                                <div className="amenity-chips">
+                                    {roles.map(role => (
+                                        <button
+                                            key={role._id}
+                                            type="button"
+                                            className={`amenity-chip ${form.roles.includes(role.name) ? 'selected' : ''}`}
+                                            onClick={() => toggleListItem('roles', role.name)}
+                                        >
+                                            {role.name}
+                                        </button>
+                                    ))}
+                                </div>
+                            </div>
+                            <div className="form-row">
+                                {numberInput('minDurationMinutes', 'Min Duration (min)', 1)}
+                                {numberInput('maxDurationMinutes', 'Max Duration (min)', 1)}
+                            </div>
+                            <div className="form-row">
+                                {numberInput('minLeadTimeMinutes', 'Min Notice (min)', 0)}
+                                {numberInput('maxLeadTimeMinutes', 'Max Notice (min)', 0)}
+                            </div>
+                            <div className="form-row">
+                                <div className="form-group">
+                                    <label>Starts After</label>
+                                    <input
+                                        type="time"
+                                        value={form.startAfter}
+                                        onChange={(e) => setForm({ ...form, startAfter: e.target.value })}
+                                    />
+                                </div>
+                                <div className="form-group">
+                                    <label>Ends Before</label>
+                                    <input
+                                        type="time"
+                                        value={form.endBefore}
+                                        onChange={(e) => setForm({ ...form, endBefore: e.target.value })}
+                                    />
+                                </div>
+                            </div>
+                            <label className="permission-option">
+                                <input
+                                    type="checkbox"
+                                    checked={form.enabled}
+                                    onChange={(e) => setForm({ ...form, enabled: e.target.checked })}
+                                />
+                                <span>
+                                    <strong>Enabled</strong>
+                                    <small>Empty conditions match every request</small>
+                                </span>
+                            </label>
+                            <div className="modal-actions">
+                                <button type="button" className="btn-secondary" onClick={() => setShowModal(false)}>
+                                    Cancel
+                                </button>
+                                <button type="submit" className="btn-primary" disabled={saving}>
+                                    {saving ? 'Saving...' : editingId ? 'Save Rule' : 'Create Rule'}
+                                </button>
+                            </div>
+                        </form>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default ApprovalRuleManager;
@@ -0,0 +1,81 @@
+/**
+ * =============================================================================
+ * SMARTALLOC - APPROVAL TRAIL
+ * =============================================================================
+ * The steps of a request's approval chain: who approved or rejected each
+ * one (and on whose behalf, when delegated), when, and their comment.
+ * Shown on the Allocations page and next to pending requests in the
+ * Admin Dashboard.
+ *
+ * Also exports STEP_KINDS, the step kinds of an approval chain with
+ * their labels (used by the Resource Types tab).
+ *
+ * @author SmartAlloc Team
+ * @version 1.0.0
+ * =============================================================================
+ */
+
+import React from 'react';
+
+export const STEP_KINDS = [
+    { value: 'approvers', label: 'Anyone who can approve requests' },
+    { value: 'department_manager', label: "Requester's department manager" },
+    { value: 'role', label: 'Users with a role' },
+    { value: 'resource_approvers', label: "The resource's approvers" }
+];
+
+const STEP_ICONS = {
+    approved: '✅',
+    rejected: '❌',
+    skipped: '⏭️',
+    pending: '⏳'
+};
+
+const formatDate = (dateStr) => new Date(dateStr).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+});
+
+/**
+ * One line per step
+ *
+ * @param {Object} props.allocation - Allocation with approvalSteps / currentStep
+ */
+const ApprovalTrail = ({ allocation }) => {
+    const steps = allocation.approvalSteps || [];
+    if (steps.length === 0) return null;
+
+    return (
+        <div style={{ marginTop: '6px', fontSize: '0.8rem', color: 'var(--text-secondary)' }}>
+            {steps.map((step, index) => {
+                const isCurrent = allocation.approvalStatus === 'pending' && index === allocation.currentStep;
+                return (
+                    <div
+                        key={index}
+                        style={{
+                            marginTop: '2px',
+                            color: step.status === 'rejected' ? 'var(--danger-color)' : undefined,
+                            fontWeight: isCurrent ? 600 : undefined
+                        }}
+                    >
+                        {STEP_ICONS[step.status] || '•'} {step.name}
+                        {step.status === 'pending' && (isCurrent ? ' - waiting for approval' : '')}
+                        {step.status === 'skipped' && ' - skipped'}
+                        {step.decidedAt && (
+                            <>
+                                {' - '}{step.decidedByName}
+                                {step.onBehalfOfName && ` (for ${step.onBehalfOfName})`}
+                                {', '}{formatDate(step.decidedAt)}
+                            </>
+                        )}
+                        {step.comment && <em>: "{step.comment}"</em>}
+                    </div>
+                );
+            })}
+        </div>
+    );
+};
+
+export default ApprovalTrail;
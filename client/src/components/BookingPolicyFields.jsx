@@ -0,0 +1,245 @@
+/**
+ * =============================================================================
+ * SMARTALLOC - BOOKING POLICY FIELDS
+ * =============================================================================
+ * Form section for a booking policy, shared by the Resource Types admin
+ * tab (the type's defaults) and the ResourceEditor modal (a resource's
+ * overrides).
+ *
+ * Fields:
+ * - Min / max duration, minimum notice, how far ahead
+ * - Opening hours and allowed weekdays
+ * - Setup / teardown buffers and slot length
+ * - Active bookings per user
+ * - Cancellation cut-off and check-in window (no-shows are released)
+ * - Approval (resources only - the type manager has its own checkbox)
+ *
+ * Empty fields mean "no limit" for a type and "same as the type" for a
+ * resource.
+ *
+ * Also exports describePolicy, a one-line summary used in tables and on
+ * the booking form.
+ *
+ * @author SmartAlloc Team
+ * @version 1.0.0
+ * =============================================================================
+ */
+
+import React from 'react';
+
+/**
+ * Weekday codes as the server stores them, listed Monday first
+ */
+const WEEKDAYS = [
+    { code: 'MO', label: 'Mon' },
+    { code: 'TU', label: 'Tue' },
+    { code: 'WE', label: 'Wed' },
+    { code: 'TH', label: 'Thu' },
+    { code: 'FR', label: 'Fri' },
+    { code: 'SA', label: 'Sat' },
+    { code: 'SU', label: 'Sun' }
+];
+
+const NUMBER_FIELDS = [
+    'minDurationMinutes',
+    'maxDurationMinutes',
+    'minLeadTimeMinutes',
+    'maxAdvanceDays',
+    'bufferBeforeMinutes',
+    'bufferAfterMinutes',
+    'slotMinutes',
+    'maxActivePerUser',
+    'cancelCutoffMinutes',
+    'checkInWindowMinutes'
+];
+
+/**
+ * Policy in form shape ('' = not set)
+ */
+export const policyToForm = (policy = {}) => {
+    const form = {
+        openTime: policy.openTime || '',
+        closeTime: policy.closeTime || '',
+        allowedWeekdays: policy.allowedWeekdays || [],
+        requiresApproval: policy.requiresApproval === true || policy.requiresApproval === false
+            ? String(policy.requiresApproval)
+            : ''
+    };
+    NUMBER_FIELDS.forEach(field => {
+        form[field] = policy[field] ?? '';
+    });
+    return form;
+};
+
+/**
+ * Policy in request-body shape; the server turns '' into "not set"
+ */
+export const formToPolicy = (form) => {
+    const policy = {
+        openTime: form.openTime,
+        closeTime: form.closeTime,
+        allowedWeekdays: form.allowedWeekdays,
+        requiresApproval: form.requiresApproval
+    };
+    NUMBER_FIELDS.forEach(field => {
+        policy[field] = form[field] === '' ? '' : Number(form[field]);
+    });
+    return policy;
+};
+
+/**
+ * One-line summary of a booking policy
+ */
+export const describePolicy = (policy) => {
+    const rules = [];
+    if (policy.minDurationMinutes) rules.push(`min ${policy.minDurationMinutes} min`);
+    if (policy.maxDurationMinutes) rules.push(`max ${policy.maxDurationMinutes} min`);
+    if (policy.minLeadTimeMinutes) rules.push(`${policy.minLeadTimeMinutes} min notice`);
+    if (policy.maxAdvanceDays) rules.push(`up to ${policy.maxAdvanceDays} days ahead`);
+    if (policy.openTime && policy.closeTime) rules.push(`${policy.openTime}-${policy.closeTime}`);
+    if (policy.allowedWeekdays && policy.allowedWeekdays.length > 0) {
+        rules.push(WEEKDAYS.filter(day => policy.allowedWeekdays.includes(day.code)).map(day => day.label).join('/'));
+    }
+    if (policy.bufferBeforeMinutes || policy.bufferAfterMinutes) {
+        rules.push(`${(policy.bufferBeforeMinutes || 0) + (policy.bufferAfterMinutes || 0)} min buffer`);
+    }
+    if (policy.slotMinutes) rules.push(`${policy.slotMinutes} min slots`);
+    if (policy.maxActivePerUser) rules.push(`${policy.maxActivePerUser} per user`);
+    if (policy.cancelCutoffMinutes) rules.push(`cancel ${policy.cancelCutoffMinutes} min ahead`);
+    if (policy.checkInWindowMinutes) rules.push(`check in within ${policy.checkInWindowMinutes} min`);
+    return rules.join(' · ');
+};
+
+/**
+ * BookingPolicyFields Component
+ *
+ * @param {Object} value - Policy in form shape (policyToForm)
+ * @param {Function} onChange - Called with the updated form values
+ * @param {Object} inherited - Type policy a resource falls back to; when
+ *                             set, fields show its values as placeholders
+ *                             and approval can be overridden
+ * @param {Boolean} disabled - Disable all inputs
+ */
+function BookingPolicyFields({ value, onChange, inherited, disabled }) {
+    const set = (field, fieldValue) => onChange({ ...value, [field]: fieldValue });
+
+    // Placeholder: the type's value for a resource, "no limit" for a type
+    const hint = (field, none = 'No limit') => {
+        if (!inherited) return none;
+        const typeValue = inherited[field];
+        return typeValue === null || typeValue === undefined || typeValue === '' ? `Type: ${none.toLowerCase()}` : `Type: ${typeValue}`;
+    };
+
+    const toggleWeekday = (code) => {
+        const days = value.allowedWeekdays.includes(code)
+            ? value.allowedWeekdays.filter(day => day !== code)
+            : [...value.allowedWeekdays, code];
+        set('allowedWeekdays', days);
+    };
+
+    const numberInput = (field, label, min, none) => (
+        <div className="form-group">
+            <label className="form-label">{label}</label>
+            <input
+                type="number"
+                min={min}
+                className="form-input"
+                value={value[field]}
+                onChange={(e) => set(field, e.target.value)}
+                placeholder={hint(field, none)}
+                disabled={disabled}
+            />
+        </div>
+    );
+
+    const inheritedDays = inherited && inherited.allowedWeekdays && inherited.allowedWeekdays.length > 0
+        ? describePolicy({ allowedWeekdays: inherited.allowedWeekdays })
+        : 'every day';
+
+    return (
+        <>
+            <div className="form-row">
+                {numberInput('minDurationMinutes', 'Min Duration (minutes)', 1)}
+                {numberInput('maxDurationMinutes', 'Max Duration (minutes)', 1)}
+            </div>
+            <div className="form-row">
+                {numberInput('minLeadTimeMinutes', 'Minimum Notice (minutes)', 0, 'None')}
+                {numberInput('maxAdvanceDays', 'Book Ahead (days)', 1)}
+            </div>
+            <div className="form-row">
+                <div className="form-group">
+                    <label className="form-label">Opens</label>
+                    <input
+                        type="time"
+                        className="form-input"
+                        value={value.openTime}
+                        onChange={(e) => set('openTime', e.target.value)}
+                        disabled={disabled}
+                    />
+                </div>
+                <div className="form-group">
+                    <label className="form-label">Closes</label>
+                    <input
+                        type="time"
+                        className="form-input"
+                        value={value.closeTime}
+                        onChange={(e) => set('closeTime', e.target.value)}
+                        disabled={disabled}
+                    />
+                </div>
+            </div>
+            {inherited && inherited.openTime && !value.openTime && (
+                <small className="form-hint">Type hours: {inherited.openTime}-{inherited.closeTime}</small>
+            )}
+            <div className="form-group">
+                <label className="form-label">Bookable Days</label>
+                <div className="amenity-chips">
+                    {WEEKDAYS.map(day => (
+                        <button
+                            key={day.code}
+                            type="button"
+                            className={`amenity-chip ${value.allowedWeekdays.includes(day.code) ? 'selected' : ''}`}
+                            onClick={() => toggleWeekday(day.code)}
+                            disabled={disabled}
+                        >
+                            {day.label}
+                        </button>
+                    ))}
+                </div>
+                <small className="form-hint">
+                    None selected: {inherited ? `same as the type (${inheritedDays})` : 'every day'}
+                </small>
+            </div>
+            <div className="form-row">
+                {numberInput('bufferBeforeMinutes', 'Setup Buffer (minutes)', 0, 'None')}
+                {numberInput('bufferAfterMinutes', 'Teardown Buffer (minutes)', 0, 'None')}
+            </div>
+            <div className="form-row">
+                {numberInput('slotMinutes', 'Slot Length (minutes)', 1, 'Any time')}
+                {numberInput('maxActivePerUser', 'Active Bookings per User', 1)}
+            </div>
+            <div className="form-row">
+                {numberInput('cancelCutoffMinutes', 'Cancel Cut-off (minutes before start)', 0, 'Until it starts')}
+                {numberInput('checkInWindowMinutes', 'Check-in Window (minutes after start)', 1, 'No check-in')}
+            </div>
+            <small className="form-hint">Bookings not checked in within the window are released as no-shows.</small>
+            {inherited && (
+                <div className="form-group">
+                    <label className="form-label">Approval</label>
+                    <select
+                        className="form-select"
+                        value={value.requiresApproval}
+                        onChange={(e) => set('requiresApproval', e.target.value)}
+                        disabled={disabled}
+                    >
+                        <option value="">Same as type ({inherited.requiresApproval === false ? 'automatic' : 'required'})</option>
+                        <option value="true">Required</option>
+                        <option value="false">Automatic</option>
+                    </select>
+                </div>
+            )}
+        </>
+    );
+}
+
+export default BookingPolicyFields;
@@ -0,0 +1,177 @@
+/**
+ * =============================================================================
+ * SMARTALLOC - CALENDAR SUBSCRIBE COMPONENT
+ * =============================================================================
+ * Manages the current user's iCalendar feed URLs.
+ *
+ * Features:
+ * - Create / regenerate the personal "My Allocations" feed
+ * - List resource feeds created from the Resources page
+ * - Copy feed URLs and revoke them
+ *
+ * API:
+ * - GET /api/calendar/feeds
+ * - POST /api/calendar/feeds
+ * - DELETE /api/calendar/feeds/:id
+ *
+ * @author SmartAlloc Team
+ * @version 1.0.0
+ * =============================================================================
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../context/AuthContext';
+
+/**
+ * API Base URL
+ */
+const API_BASE_URL = 'http://localhost:5000/api';
+
+/**
+ * CalendarSubscribe Component
+ */
+function CalendarSubscribe() {
+    const { token } = useAuth();
+
+    const [feeds, setFeeds] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [message, setMessage] = useState({ type: '', text: '' });
+
+    const fetchFeeds = useCallback(async () => {
+        try {
+            setLoading(true);
+            const response = await fetch(`${API_BASE_URL}/calendar/feeds`, {
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+            const data = await response.json();
+            if (data.success) {
+                setFeeds(data.data);
+            }
+        } catch (err) {
+            console.error('Error fetching calendar feeds:', err);
+            setMessage({ type: 'error', text: 'Unable to load calendar feeds' });
+        } finally {
+            setLoading(false);
+        }
+    }, [token]);
+
+    useEffect(() => {
+        fetchFeeds();
+    }, [fetchFeeds]);
+
+    /**
+     * Create the personal feed (or regenerate it, revoking the old URL)
+     */
+    const handleCreateUserFeed = async () => {
+        try {
+            const response = await fetch(`${API_BASE_URL}/calendar/feeds`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${token}`
+                },
+                body: JSON.stringify({ type: 'user' })
+            });
+            const data = await response.json();
+            if (data.success) {
+                setMessage({ type: 'success', text: 'New feed URL created - any previous URL no longer works' });
+                fetchFeeds();
+            } else {
+                setMessage({ type: 'error', text: data.message || 'Failed to create feed' });
+            }
+        } catch (err) {
+            console.error('Error creating calendar feed:', err);
+            setMessage({ type: 'error', text: 'Failed to create feed' });
+        }
+    };
+
+    const handleRevoke = async (id) => {
+        if (!window.confirm('Revoke this feed? Calendar apps subscribed to it will stop updating.')) {
+            return;
+        }
+
+        try {
+            const response = await fetch(`${API_BASE_URL}/calendar/feeds/${id}`, {
+                method: 'DELETE',
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+            const data = await response.json();
+            if (data.success) {
+                setFeeds(prev => prev.filter(feed => feed._id !== id));
+                setMessage({ type: 'success', text: 'Feed revoked' });
+            } else {
+                setMessage({ type: 'error', text: data.message || 'Failed to revoke feed' });
+            }
+        } catch (err) {
+            console.error('Error revoking calendar feed:', err);
+            setMessage({ type: 'error', text: 'Failed to revoke feed' });
+        }
+    };
+
+    const handleCopy = async (url) => {
+        try {
+            await navigator.clipboard.writeText(url);
+            setMessage({ type: 'success', text: 'Feed URL copied' });
+        } catch (err) {
+            setMessage({ type: 'error', text: 'Copy failed - select the URL and copy it manually' });
+        }
+    };
+
+    const userFeed = feeds.find(feed => feed.type === 'user');
+    const resourceFeeds = feeds.filter(feed => feed.type === 'resource');
+
+    const renderFeed = (feed, label) => (
+        <div key={feed._id} className="feed-row">
+            <div className="feed-info">
+                <strong>{label}</strong>
+                <input className="form-input feed-url" value={feed.url} readOnly onFocus={(e) => e.target.select()} />
+            </div>
+            <div className="flex gap-10">
+                <button className="btn btn-secondary btn-sm" onClick={() => handleCopy(feed.url)}>📋 Copy</button>
+                <button className="btn btn-danger btn-sm" onClick={() => handleRevoke(feed._id)}>Revoke</button>
+            </div>
+        </div>
+    );
+
+    return (
+        <div className="card" style={{ marginBottom: '16px' }}>
+            <div className="card-header">
+                <h2 className="card-title">🔗 Subscribe in your calendar app</h2>
+            </div>
+            <div className="card-body">
+                <p className="form-hint" style={{ marginTop: 0 }}>
+                    Add a feed URL to Google Calendar, Outlook or Apple Calendar ("subscribe from URL").
+                    Anyone with the URL can see the bookings in it - revoke it if it leaks.
+                </p>
+
+                {message.text && (
+                    <div className={`alert alert-${message.type}`}>{message.text}</div>
+                )}
+
+                {loading ? (
+                    <div className="loading-spinner">
+                        <div className="spinner"></div>
+                    </div>
+                ) : (
+                    <>
+                        {userFeed
+                            ? renderFeed(userFeed, 'My Allocations')
+                            : <p style={{ fontSize: '14px' }}>You don't have a personal feed yet.</p>}
+                        <button className="btn btn-primary btn-sm" onClick={handleCreateUserFeed}>
+                            {userFeed ? '🔄 Regenerate URL' : '➕ Create My Feed'}
+                        </button>
+
+                        {resourceFeeds.length > 0 && (
+                            <>
+                                <h4 style={{ fontSize: '14px', margin: '16px 0 8px' }}>Resource Feeds</h4>
+                                {resourceFeeds.map(feed => renderFeed(feed, feed.resourceId?.name || 'Deleted resource'))}
+                            </>
+                        )}
+                    </>
+                )}
+            </div>
+        </div>
+    );
+}
+
+export default CalendarSubscribe;
@@ -0,0 +1,213 @@
+/**
+ * =============================================================================
+ * SMARTALLOC - COMMENT THREAD
+ * =============================================================================
+ * Discussion of one allocation between the requester and its approvers
+ * ("can you move to 3pm?"). You can edit your own comments; edited
+ * comments can show their earlier versions.
+ *
+ * Shown under a row of the Allocations page and of the Admin Dashboard's
+ * requests tab.
+ *
+ * API:
+ * - GET /api/allocations/:id/comments
+ * - POST /api/allocations/:id/comments
+ * - PUT /api/allocations/:id/comments/:commentId
+ *
+ * @author SmartAlloc Team
+ * @version 1.0.0
+ * =============================================================================
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../context/AuthContext';
+
+const API_URL = 'http://localhost:5000/api';
+
+const formatDate = (dateStr) => new Date(dateStr).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+});
+
+/**
+ * CommentThread Component
+ *
+ * @param {String} props.allocationId - Allocation whose thread is shown
+ */
+function CommentThread({ allocationId }) {
+    const { token, user } = useAuth();
+
+    const [comments, setComments] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+    const [draft, setDraft] = useState('');
+    const [saving, setSaving] = useState(false);
+    // Comment being edited ({ _id, body }) and comments with their history open
+    const [editing, setEditing] = useState(null);
+    const [openHistory, setOpenHistory] = useState([]);
+
+    const fetchComments = useCallback(async () => {
+        try {
+            const response = await fetch(`${API_URL}/allocations/${allocationId}/comments`, {
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                setComments(data.data);
+                setError('');
+            } else {
+                setError(data.message);
+            }
+        } catch (err) {
+            setError('Failed to load comments');
+        } finally {
+            setLoading(false);
+        }
+    }, [allocationId, token]);
+
+    useEffect(() => {
+        fetchComments();
+    }, [fetchComments]);
+
+    /**
+     * Post a new comment, or save the one being edited
+     */
+    const save = async (commentId, body) => {
+        if (!body.trim()) return;
+        setSaving(true);
+        try {
+            const response = await fetch(
+                `${API_URL}/allocations/${allocationId}/comments${commentId ? `/${commentId}` : ''}`,
+                {
+                    method: commentId ? 'PUT' : 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'Authorization': `Bearer ${token}`
+                    },
+                    body: JSON.stringify({ body })
+                }
+            );
+            const data = await response.json();
+
+            if (data.success) {
+                setComments(commentId
+                    ? comments.map(comment => (comment._id === commentId ? data.data : comment))
+                    : [...comments, data.data]);
+                if (commentId) setEditing(null);
+                else setDraft('');
+                setError('');
+            } else {
+                setError(data.errors ? data.errors.join(', ') : data.message);
+            }
+        } catch (err) {
+            setError('Failed to save comment');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const toggleHistory = (id) => {
+        setOpenHistory(openHistory.includes(id) ? openHistory.filter(item => item !== id) : [...openHistory, id]);
+    };
+
+    if (loading) {
+        return <small style={{ color: 'var(--text-muted)' }}>Loading comments...</small>;
+    }
+
+    return (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '10px' }}>
+            {comments.length === 0 && (
+                <small style={{ color: 'var(--text-muted)' }}>No comments yet - ask a question or add a detail.</small>
+            )}
+
+            {comments.map(comment => (
+                <div key={comment._id} style={{ fontSize: '0.9rem' }}>
+                    <div style={{ color: 'var(--text-secondary)', fontSize: '0.8rem' }}>
+                        <strong style={{ color: 'var(--text-color)' }}>{comment.authorName}</strong>
+                        {comment.isRequester && ' (requester)'}
+                        {' · '}{formatDate(comment.createdAt)}
+                        {comment.editedAt && (
+                            <button
+                                type="button"
+                                onClick={() => toggleHistory(comment._id)}
+                                style={{ background: 'none', border: 'none', color: 'inherit', cursor: 'pointer', textDecoration: 'underline', fontSize: 'inherit' }}
+                                title="Show earlier versions"
+                            >
+                                edited {formatDate(comment.editedAt)}
+                            </button>
+                        )}
+                        {comment.author === user?._id && editing?._id !== comment._id && (
+                            <button
+                                type="button"
+                                onClick={() => setEditing({ _id: comment._id, body: comment.body })}
+                                style={{ background: 'none', border: 'none', color: 'var(--primary-color)', cursor: 'pointer', fontSize: 'inherit' }}
+                            >
+                                ✏️ Edit
+                            </button>
+                        )}
+                    </div>
+
+                    {editing?._id === comment._id ? (
+                        <div style={{ marginTop: '4px' }}>
+                            <textarea
+                                className="form-textarea"
+                                style={{ minHeight: '60px' }}
+                                value={editing.body}
+                                maxLength={1000}
+                                onChange={(e) => setEditing({ ...editing, body: e.target.value })}
+                            />
+                            <div className="flex gap-10" style={{ marginTop: '6px' }}>
+                                <button className="btn btn-primary btn-sm" onClick={() => save(comment._id, editing.body)} disabled={saving}>
+                                    💾 Save
+                                </button>
+                                <button className="btn btn-secondary btn-sm" onClick={() => setEditing(null)} disabled={saving}>
+                                    Cancel
+                                </button>
+                            </div>
+                        </div>
+                    ) : (
+                        <div style={{ whiteSpace: 'pre-wrap' }}>{comment.body}</div>
+                    )}
+
+                    {openHistory.includes(comment._id) && comment.edits.map((edit, index) => (
+                        <div
+                            key={index}
+                            style={{ marginTop: '4px', paddingLeft: '10px', borderLeft: '2px solid var(--border-color)', color: 'var(--text-muted)', fontSize: '0.8rem' }}
+                        >
+                            <div>Until {formatDate(edit.editedAt)}:</div>
+                            <div style={{ whiteSpace: 'pre-wrap' }}>{edit.body}</div>
+                        </div>
+                    ))}
+                </div>
+            ))}
+
+            {error && (
+                <small style={{ color: 'var(--danger-color)' }}>⚠️ {error}</small>
+            )}
+
+            <div>
+                <textarea
+                    className="form-textarea"
+                    style={{ minHeight: '60px' }}
+                    placeholder="Write a comment..."
+                    value={draft}
+                    maxLength={1000}
+                    onChange={(e) => setDraft(e.target.value)}
+                />
+                <button
+                    className="btn btn-primary btn-sm"
+                    style={{ marginTop: '6px' }}
+                    onClick={() => save(null, draft)}
+                    disabled={saving || !draft.trim()}
+                >
+                    {saving ? 'Posting...' : '💬 Post'}
+                </button>
+            </div>
+        </div>
+    );
+}
+
+export default CommentThread;
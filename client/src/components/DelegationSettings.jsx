@@ -0,0 +1,132 @@
+/**
+ * =============================================================================
+ * SMARTALLOC - DELEGATION SETTINGS
+ * =============================================================================
+ * "Away?" panel on the Admin Dashboard's requests tab: pick someone to
+ * approve requests on your behalf, optionally until a date. Uses the
+ * AdminDashboard form styles.
+ *
+ * API:
+ * - GET /api/users/:id (your current delegation)
+ * - GET /api/users (people to pick from)
+ * - PUT /api/users/me/delegation
+ *
+ * @author SmartAlloc Team
+ * @version 1.0.0
+ * =============================================================================
+ */
+
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../context/AuthContext';
+
+const API_URL = 'http://localhost:5000/api';
+
+/**
+ * Date as the value of a datetime-local input
+ */
+const toInputValue = (dateStr) => {
+    if (!dateStr) return '';
+    const date = new Date(dateStr);
+    return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+/**
+ * DelegationSettings Component
+ *
+ * @param {Function} onMessage - Show a dashboard message: (type, text)
+ */
+function DelegationSettings({ onMessage }) {
+    const { token, user } = useAuth();
+
+    const [users, setUsers] = useState([]);
+    const [form, setForm] = useState({ delegateTo: '', delegateUntil: '' });
+    const [active, setActive] = useState(false);
+    const [saving, setSaving] = useState(false);
+
+    useEffect(() => {
+        if (!user) return;
+        const headers = { 'Authorization': `Bearer ${token}` };
+
+        fetch(`${API_URL}/users/${user._id}`, { headers })
+            .then(response => response.json())
+            .then(data => {
+                if (!data.success) return;
+                setForm({
+                    delegateTo: data.data.delegateTo || '',
+                    delegateUntil: toInputValue(data.data.delegateUntil)
+                });
+                setActive(Boolean(data.data.delegateTo));
+            })
+            .catch(error => console.error('Error fetching delegation:', error));
+
+        fetch(`${API_URL}/users`, { headers })
+            .then(response => response.json())
+            .then(data => data.success && setUsers(data.data.filter(u => u._id !== user._id)))
+            .catch(error => console.error('Error fetching users:', error));
+    }, [token, user]);
+
+    const save = async (delegateTo) => {
+        setSaving(true);
+        try {
+            const response = await fetch(`${API_URL}/users/me/delegation`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${token}`
+                },
+                body: JSON.stringify({
+                    delegateTo: delegateTo || null,
+                    delegateUntil: delegateTo && form.delegateUntil ? new Date(form.delegateUntil).toISOString() : null
+                })
+            });
+            const data = await response.json();
+
+            onMessage(data.success ? 'success' : 'error', data.message);
+            if (data.success) {
+                setActive(Boolean(delegateTo));
+                if (!delegateTo) setForm({ delegateTo: '', delegateUntil: '' });
+            }
+        } catch (error) {
+            onMessage('error', 'Failed to update delegation');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <div className="section-actions" style={{ justifyContent: 'flex-start', alignItems: 'flex-end', gap: '1rem', flexWrap: 'wrap' }}>
+            <div className="form-group" style={{ minWidth: '220px' }}>
+                <label>🏖️ Away? Approvals go to</label>
+                <select
+                    value={form.delegateTo}
+                    onChange={(e) => setForm({ ...form, delegateTo: e.target.value })}
+                    disabled={saving}
+                >
+                    <option value="">Nobody</option>
+                    {users.map(u => (
+                        <option key={u._id} value={u._id}>{u.name} ({u.department})</option>
+                    ))}
+                </select>
+            </div>
+            <div className="form-group">
+                <label>Until (optional)</label>
+                <input
+                    type="datetime-local"
+                    value={form.delegateUntil}
+                    onChange={(e) => setForm({ ...form, delegateUntil: e.target.value })}
+                    disabled={saving || !form.delegateTo}
+                />
+            </div>
+            <button className="btn-primary" onClick={() => save(form.delegateTo)} disabled={saving || !form.delegateTo}>
+                {saving ? 'Saving...' : '💾 Delegate'}
+            </button>
+            {active && (
+                <button className="btn-secondary" onClick={() => save(null)} disabled={saving}>
+                    I'm back
+                </button>
+            )}
+        </div>
+    );
+}
+
+export default DelegationSettings;
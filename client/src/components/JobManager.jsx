@@ -0,0 +1,262 @@
+/**
+ * =============================================================================
+ * SMARTALLOC - JOB MANAGER
+ * =============================================================================
+ * Admin Dashboard tab for the server's background jobs (requires
+ * jobs:manage). Uses the AdminDashboard table styles.
+ *
+ * Jobs run on their own; this tab shows what ran, what failed and why,
+ * and lets an admin step in.
+ *
+ * Features:
+ * - Each job with its schedule, last run and next run, and Run now
+ * - Run history by job and status, with what each run did
+ * - Retry a failed run
+ *
+ * API:
+ * - GET /api/jobs/schedule
+ * - POST /api/jobs/schedule/:name/run
+ * - GET /api/jobs?name=&status=
+ * - POST /api/jobs/:id/retry
+ *
+ * @author SmartAlloc Team
+ * @version 1.0.0
+ * =============================================================================
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../context/AuthContext';
+
+const API_URL = 'http://localhost:5000/api';
+
+const STATUS_FILTERS = [
+    { value: 'all', label: 'All runs' },
+    { value: 'failed', label: 'Failed' },
+    { value: 'succeeded', label: 'Succeeded' },
+    { value: 'running', label: 'Running' },
+    { value: 'scheduled', label: 'Scheduled' }
+];
+
+// How many runs of the history are shown
+const HISTORY_LIMIT = 100;
+
+const formatResult = (result) => (
+    result ? Object.entries(result).map(([key, value]) => `${key}: ${value}`).join(', ') : ''
+);
+
+const statusClass = (status) => (status === 'failed' ? 'blocked' : 'active');
+
+/**
+ * JobManager Component
+ *
+ * @param {Function} onMessage - Show a dashboard message: (type, text)
+ */
+function JobManager({ onMessage }) {
+    const { token } = useAuth();
+
+    const [jobs, setJobs] = useState([]);
+    const [runs, setRuns] = useState([]);
+    const [historyDays, setHistoryDays] = useState(null);
+    const [name, setName] = useState('');
+    const [status, setStatus] = useState('all');
+    const [busyId, setBusyId] = useState(null);
+
+    const fetchJobs = useCallback(async () => {
+        try {
+            const response = await fetch(`${API_URL}/jobs/schedule`, {
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+            const data = await response.json();
+            if (data.success) {
+                setJobs(data.data);
+                setHistoryDays(data.historyDays);
+            }
+        } catch (error) {
+            console.error('Error fetching jobs:', error);
+        }
+    }, [token]);
+
+    const fetchRuns = useCallback(async () => {
+        try {
+            const params = new URLSearchParams({ status, limit: HISTORY_LIMIT });
+            if (name) params.set('name', name);
+
+            const response = await fetch(`${API_URL}/jobs?${params}`, {
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+            const data = await response.json();
+            if (data.success) setRuns(data.data);
+        } catch (error) {
+            console.error('Error fetching job history:', error);
+        }
+    }, [token, name, status]);
+
+    useEffect(() => {
+        fetchJobs();
+    }, [fetchJobs]);
+
+    useEffect(() => {
+        fetchRuns();
+    }, [fetchRuns]);
+
+    const refresh = () => {
+        fetchJobs();
+        fetchRuns();
+    };
+
+    const send = async (url) => {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Authorization': `Bearer ${token}` }
+        });
+        return response.json();
+    };
+
+    const handleRunNow = async (job) => {
+        setBusyId(job.name);
+        try {
+            const data = await send(`${API_URL}/jobs/schedule/${job.name}/run`);
+            onMessage(data.success ? 'success' : 'error', data.message);
+            if (data.success) fetchRuns();
+        } catch (error) {
+            onMessage('error', 'Failed to run job');
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    const handleRetry = async (run) => {
+        setBusyId(run._id);
+        try {
+            const data = await send(`${API_URL}/jobs/${run._id}/retry`);
+            onMessage(data.success ? 'success' : 'error', data.message);
+            fetchRuns();
+        } catch (error) {
+            onMessage('error', 'Failed to retry job');
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    return (
+        <div className="roles-section">
+            <div className="section-actions">
+                <button className="action-btn" onClick={refresh} title="Reload">🔄 Refresh</button>
+            </div>
+            <div className="users-table-wrapper">
+                <table className="admin-table">
+                    <thead>
+                        <tr>
+                            <th>Job</th>
+                            <th>Schedule</th>
+                            <th>Last Run</th>
+                            <th>Next Run</th>
+                            <th>Actions</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {jobs.map(job => (
+                            <tr key={job.name}>
+                                <td>
+                                    <strong>{job.name}</strong>
+                                    <span className="user-email">{job.description}</span>
+                                </td>
+                                <td>{job.schedule}</td>
+                                <td>
+                                    {job.lastRun ? (
+                                        <>
+                                            <span className={`status-badge ${statusClass(job.lastRun.status)}`}>{job.lastRun.status}</span>
+                                            <span className="user-email">{new Date(job.lastRun.runAt).toLocaleString()}</span>
+                                        </>
+                                    ) : 'Never'}
+                                </td>
+                                <td>{new Date(job.nextRunAt).toLocaleString()}</td>
+                                <td className="actions-cell">
+                                    <button
+                                        className="action-btn approve"
+                                        onClick={() => handleRunNow(job)}
+                                        disabled={busyId === job.name}
+                                        title="Run now"
+                                    >
+                                        ▶️ Run now
+                                    </button>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+
+            <div className="section-actions" style={{ marginTop: '2rem' }}>
+                <select className="role-select" value={name} onChange={(e) => setName(e.target.value)}>
+                    <option value="">All jobs</option>
+                    {jobs.map(job => (
+                        <option key={job.name} value={job.name}>{job.name}</option>
+                    ))}
+                </select>
+                <select className="role-select" value={status} onChange={(e) => setStatus(e.target.value)}>
+                    {STATUS_FILTERS.map(filter => (
+                        <option key={filter.value} value={filter.value}>{filter.label}</option>
+                    ))}
+                </select>
+            </div>
+            <p className="user-email" style={{ marginBottom: '1rem' }}>
+                Failed attempts are retried automatically; a run that keeps failing is marked failed.
+                {historyDays && ` Finished runs are kept for ${historyDays} days.`}
+            </p>
+            <div className="users-table-wrapper">
+                <table className="admin-table">
+                    <thead>
+                        <tr>
+                            <th>Job</th>
+                            <th>Due</th>
+                            <th>Status</th>
+                            <th>Attempts</th>
+                            <th>Result</th>
+                            <th>Actions</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {runs.length === 0 && (
+                            <tr>
+                                <td colSpan="6">No runs yet.</td>
+                            </tr>
+                        )}
+                        {runs.map(run => (
+                            <tr key={run._id}>
+                                <td>
+                                    <strong>{run.name}</strong>
+                                    {run.triggeredBy && <span className="user-email">By {run.triggeredBy.name}</span>}
+                                </td>
+                                <td>{new Date(run.runAt).toLocaleString()}</td>
+                                <td>
+                                    <span className={`status-badge ${statusClass(run.status)}`}>{run.status}</span>
+                                    {run.lockedBy && <span className="user-email">on {run.lockedBy}</span>}
+                                </td>
+                                <td>{run.attempts} / {run.maxAttempts}</td>
+                                <td>
+                                    {formatResult(run.result)}
+                                    {run.lastError && <span className="user-email">{run.lastError}</span>}
+                                </td>
+                                <td className="actions-cell">
+                                    {run.status === 'failed' && (
+                                        <button
+                                            className="action-btn approve"
+                                            onClick={() => handleRetry(run)}
+                                            disabled={busyId === run._id}
+                                            title="Retry this run"
+                                        >
+                                            🔁 Retry
+                                        </button>
+                                    )}
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    );
+}
+
+export default JobManager;
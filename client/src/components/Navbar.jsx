@@ -7,6 +7,7 @@
  * Features:
  * - Dynamic page title based on current route
  * - User profile with name and role badge
+ * - Notification bell with unread badge
  * - Logout button
  * - Dark/Light mode toggle
  * - Mobile menu button
@@ -20,6 +21,7 @@ import React, { useContext } from 'react';
 import { useLocation, useNavigate } from 'react-router-dom';
 import { ThemeContext } from '../App';
 import { useAuth } from '../context/AuthContext';
+import NotificationBell from './NotificationBell';
 
 /**
  * Navbar Component
@@ -39,6 +41,7 @@ function Navbar({ onMenuClick }) {
             '/add-resource': 'Add Resource',
             '/assign-resource': 'Request Resource',
             '/allocations': 'Allocations',
+            '/calendar': 'Calendar',
             '/resources': 'Resource Status',
             '/admin': 'Admin Dashboard'
         };
@@ -74,11 +77,14 @@ function Navbar({ onMenuClick }) {
                     <div className="user-info">
                         <span className="user-name">{user.name}</span>
                         <span className={`user-role ${isAdmin() ? 'admin' : 'user'}`}>
-                            {isAdmin() ? '👑 Admin' : '👤 User'}
+                            {isAdmin() ? '👑 Admin' : `👤 ${user.role}`}
                         </span>
                     </div>
                 )}
 
+                {/* Notifications */}
+                {user && <NotificationBell />}
+
                 {/* Theme Toggle Button */}
                 <button
                     className="theme-toggle"
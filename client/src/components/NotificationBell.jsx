@@ -0,0 +1,193 @@
+/**
+ * =============================================================================
+ * SMARTALLOC - NOTIFICATION BELL
+ * =============================================================================
+ * Bell in the Navbar with the number of unread notifications, opening a
+ * list of the latest ones.
+ *
+ * Features:
+ * - Unread badge, refreshed as notifications arrive (live updates), every
+ *   minute and whenever the list is opened
+ * - Latest notifications, unread ones highlighted
+ * - Clicking one marks it read and opens the allocations page
+ * - Mark all as read
+ *
+ * API:
+ * - GET /api/notifications/unread-count
+ * - GET /api/notifications?limit=
+ * - PUT /api/notifications/:id/read, PUT /api/notifications/read-all
+ *
+ * @author SmartAlloc Team
+ * @version 1.0.0
+ * =============================================================================
+ */
+
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { useLiveUpdates } from '../context/LiveUpdatesContext';
+
+const API_URL = 'http://localhost:5000/api';
+
+// How often the unread count is refreshed
+const POLL_INTERVAL_MS = 60 * 1000;
+
+// How many notifications the dropdown shows
+const LIST_LIMIT = 15;
+
+/**
+ * "5 min ago", "3 h ago", or the date
+ */
+const timeAgo = (dateStr) => {
+    const minutes = Math.floor((Date.now() - new Date(dateStr).getTime()) / 60000);
+    if (minutes < 1) return 'just now';
+    if (minutes < 60) return `${minutes} min ago`;
+    if (minutes < 24 * 60) return `${Math.floor(minutes / 60)} h ago`;
+    return new Date(dateStr).toLocaleDateString();
+};
+
+/**
+ * NotificationBell Component
+ */
+function NotificationBell() {
+    const { token } = useAuth();
+    const navigate = useNavigate();
+
+    const [unreadCount, setUnreadCount] = useState(0);
+    const [notifications, setNotifications] = useState([]);
+    const [open, setOpen] = useState(false);
+    const wrapperRef = useRef(null);
+
+    const fetchUnreadCount = useCallback(async () => {
+        try {
+            const response = await fetch(`${API_URL}/notifications/unread-count`, {
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+            const data = await response.json();
+            if (data.success) setUnreadCount(data.count);
+        } catch (error) {
+            console.error('Error fetching unread notifications:', error);
+        }
+    }, [token]);
+
+    const fetchNotifications = useCallback(async () => {
+        try {
+            const response = await fetch(`${API_URL}/notifications?limit=${LIST_LIMIT}`, {
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+            const data = await response.json();
+            if (data.success) {
+                setNotifications(data.data);
+                setUnreadCount(data.unreadCount);
+            }
+        } catch (error) {
+            console.error('Error fetching notifications:', error);
+        }
+    }, [token]);
+
+    useEffect(() => {
+        if (!token) return undefined;
+        fetchUnreadCount();
+        const timer = setInterval(fetchUnreadCount, POLL_INTERVAL_MS);
+        return () => clearInterval(timer);
+    }, [token, fetchUnreadCount]);
+
+    useLiveUpdates(['notification:'], () => (open ? fetchNotifications() : fetchUnreadCount()));
+
+    // Close the list when clicking elsewhere
+    useEffect(() => {
+        if (!open) return undefined;
+        const handleClick = (e) => {
+            if (wrapperRef.current && !wrapperRef.current.contains(e.target)) setOpen(false);
+        };
+        document.addEventListener('mousedown', handleClick);
+        return () => document.removeEventListener('mousedown', handleClick);
+    }, [open]);
+
+    const toggleOpen = () => {
+        if (!open) fetchNotifications();
+        setOpen(!open);
+    };
+
+    const send = async (url) => {
+        const response = await fetch(url, {
+            method: 'PUT',
+            headers: { 'Authorization': `Bearer ${token}` }
+        });
+        return response.json();
+    };
+
+    const handleOpenNotification = async (notification) => {
+        setOpen(false);
+        if (!notification.readAt) {
+            try {
+                await send(`${API_URL}/notifications/${notification._id}/read`);
+                setUnreadCount(count => Math.max(count - 1, 0));
+            } catch (error) {
+                console.error('Error marking notification read:', error);
+            }
+        }
+        if (notification.allocationId) navigate('/allocations');
+    };
+
+    const handleMarkAllRead = async () => {
+        try {
+            const data = await send(`${API_URL}/notifications/read-all`);
+            if (data.success) {
+                const now = new Date().toISOString();
+                setNotifications(notifications.map(notification => ({ ...notification, readAt: notification.readAt || now })));
+                setUnreadCount(0);
+            }
+        } catch (error) {
+            console.error('Error marking notifications read:', error);
+        }
+    };
+
+    return (
+        <div className="notification-bell" ref={wrapperRef}>
+            <button
+                className="theme-toggle"
+                onClick={toggleOpen}
+                aria-label={`Notifications (${unreadCount} unread)`}
+                title="Notifications"
+            >
+                🔔
+                {unreadCount > 0 && (
+                    <span className="notification-badge">{unreadCount > 99 ? '99+' : unreadCount}</span>
+                )}
+            </button>
+
+            {open && (
+                <div className="notification-panel">
+                    <div className="notification-panel-header">
+                        <strong>Notifications</strong>
+                        {unreadCount > 0 && (
+                            <button className="notification-link" onClick={handleMarkAllRead}>
+                                Mark all as read
+                            </button>
+                        )}
+                    </div>
+                    {notifications.length === 0 ? (
+                        <p className="notification-empty">Nothing yet - you'll hear here when your bookings change.</p>
+                    ) : (
+                        <ul className="notification-list">
+                            {notifications.map(notification => (
+                                <li
+                                    key={notification._id}
+                                    className={`notification-item ${notification.readAt ? '' : 'unread'}`}
+                                    onClick={() => handleOpenNotification(notification)}
+                                >
+                                    <div className="notification-title">{notification.title}</div>
+                                    <div className="notification-message">{notification.message}</div>
+                                    <div className="notification-time">{timeAgo(notification.createdAt)}</div>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default NotificationBell;
@@ -0,0 +1,274 @@
+/**
+ * =============================================================================
+ * SMARTALLOC - RESOURCE ATTRIBUTE FIELDS
+ * =============================================================================
+ * Form section for a resource's structured attributes, shared by the
+ * AddResource page and the ResourceEditor modal.
+ *
+ * Fields:
+ * - Capacity
+ * - Building / floor / room
+ * - Amenity tags (suggestions from the server, plus free entry)
+ * - Custom fields defined for the selected resource type
+ *
+ * API:
+ * - GET /api/resources/amenities
+ * - GET /api/resource-fields?type=
+ *
+ * @author SmartAlloc Team
+ * @version 1.0.0
+ * =============================================================================
+ */
+
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../context/AuthContext';
+
+/**
+ * API Base URL
+ */
+const API_BASE_URL = 'http://localhost:5000/api';
+
+/**
+ * Empty attribute values for a new resource
+ */
+export const EMPTY_ATTRIBUTES = {
+    capacity: '',
+    location: { building: '', floor: '', room: '' },
+    amenities: [],
+    customFields: {}
+};
+
+/**
+ * Attribute values of an existing resource, in form shape
+ */
+export const attributesFromResource = (resource) => ({
+    capacity: resource.capacity ?? '',
+    location: { ...EMPTY_ATTRIBUTES.location, ...resource.location },
+    amenities: resource.amenities || [],
+    customFields: resource.customFields || {}
+});
+
+/**
+ * Attribute values in request-body shape
+ */
+export const attributesToPayload = (attributes) => ({
+    capacity: attributes.capacity === '' ? null : Number(attributes.capacity),
+    location: attributes.location,
+    amenities: attributes.amenities,
+    customFields: attributes.customFields
+});
+
+/**
+ * ResourceAttributeFields Component
+ *
+ * @param {String} type - Selected resource type (custom fields depend on it)
+ * @param {Object} value - Current attributes (see EMPTY_ATTRIBUTES)
+ * @param {Function} onChange - Called with the updated attributes
+ * @param {Boolean} disabled - Disable all inputs
+ */
+function ResourceAttributeFields({ type, value, onChange, disabled }) {
+    const { token } = useAuth();
+
+    const [amenityOptions, setAmenityOptions] = useState([]);
+    const [fields, setFields] = useState([]);
+    const [newAmenity, setNewAmenity] = useState('');
+
+    useEffect(() => {
+        fetch(`${API_BASE_URL}/resources/amenities`)
+            .then(response => response.json())
+            .then(data => data.success && setAmenityOptions(data.data))
+            .catch(err => console.error('Error fetching amenities:', err));
+    }, []);
+
+    useEffect(() => {
+        if (!type) {
+            setFields([]);
+            return;
+        }
+
+        fetch(`${API_BASE_URL}/resource-fields?type=${encodeURIComponent(type)}`, {
+            headers: { 'Authorization': `Bearer ${token}` }
+        })
+            .then(response => response.json())
+            .then(data => data.success && setFields(data.data))
+            .catch(err => console.error('Error fetching resource fields:', err));
+    }, [type, token]);
+
+    const setLocation = (part, text) => {
+        onChange({ ...value, location: { ...value.location, [part]: text } });
+    };
+
+    const toggleAmenity = (tag) => {
+        const amenities = value.amenities.includes(tag)
+            ? value.amenities.filter(item => item !== tag)
+            : [...value.amenities, tag];
+        onChange({ ...value, amenities });
+    };
+
+    const addAmenity = () => {
+        const tag = newAmenity.trim().toLowerCase().replace(/\s+/g, '-');
+        if (tag && !value.amenities.includes(tag)) {
+            onChange({ ...value, amenities: [...value.amenities, tag] });
+        }
+        setNewAmenity('');
+    };
+
+    const setCustomField = (key, fieldValue) => {
+        onChange({ ...value, customFields: { ...value.customFields, [key]: fieldValue } });
+    };
+
+    /**
+     * Input for one custom field, by field type
+     */
+    const renderCustomField = (field) => {
+        const current = value.customFields[field.key];
+
+        if (field.fieldType === 'boolean') {
+            return (
+                <label className="checkbox-label">
+                    <input
+                        type="checkbox"
+                        checked={current === true}
+                        onChange={(e) => setCustomField(field.key, e.target.checked)}
+                        disabled={disabled}
+                    />
+                    {field.label}
+                </label>
+            );
+        }
+
+        if (field.fieldType === 'select') {
+            return (
+                <select
+                    className="form-select"
+                    value={current ?? ''}
+                    onChange={(e) => setCustomField(field.key, e.target.value)}
+                    disabled={disabled}
+                >
+                    <option value="">Select...</option>
+                    {field.options.map(option => (
+                        <option key={option} value={option}>{option}</option>
+                    ))}
+                </select>
+            );
+        }
+
+        return (
+            <input
+                type={field.fieldType === 'number' ? 'number' : 'text'}
+                className="form-input"
+                value={current ?? ''}
+                min={field.min ?? undefined}
+                max={field.max ?? undefined}
+                onChange={(e) => setCustomField(
+                    field.key,
+                    field.fieldType === 'number' && e.target.value !== '' ? Number(e.target.value) : e.target.value
+                )}
+                disabled={disabled}
+            />
+        );
+    };
+
+    // Suggestions plus any tag already on the resource
+    const allAmenities = [...new Set([...amenityOptions, ...value.amenities])];
+
+    return (
+        <>
+            {/* Capacity */}
+            <div className="form-group">
+                <label className="form-label">Capacity</label>
+                <input
+                    type="number"
+                    min="1"
+                    className="form-input"
+                    value={value.capacity}
+                    onChange={(e) => onChange({ ...value, capacity: e.target.value })}
+                    placeholder="e.g., 10 (leave empty if not applicable)"
+                    disabled={disabled}
+                />
+            </div>
+
+            {/* Location */}
+            <div className="form-group">
+                <label className="form-label">Location</label>
+                <div className="form-row">
+                    <input
+                        className="form-input"
+                        value={value.location.building}
+                        onChange={(e) => setLocation('building', e.target.value)}
+                        placeholder="Building"
+                        maxLength={60}
+                        disabled={disabled}
+                    />
+                    <input
+                        className="form-input"
+                        value={value.location.floor}
+                        onChange={(e) => setLocation('floor', e.target.value)}
+                        placeholder="Floor"
+                        maxLength={20}
+                        disabled={disabled}
+                    />
+                    <input
+                        className="form-input"
+                        value={value.location.room}
+                        onChange={(e) => setLocation('room', e.target.value)}
+                        placeholder="Room"
+                        maxLength={30}
+                        disabled={disabled}
+                    />
+                </div>
+            </div>
+
+            {/* Amenities */}
+            <div className="form-group">
+                <label className="form-label">Amenities</label>
+                <div className="amenity-chips">
+                    {allAmenities.map(tag => (
+                        <button
+                            key={tag}
+                            type="button"
+                            className={`amenity-chip ${value.amenities.includes(tag) ? 'selected' : ''}`}
+                            onClick={() => toggleAmenity(tag)}
+                            disabled={disabled}
+                        >
+                            {tag}
+                        </button>
+                    ))}
+                </div>
+                <div className="flex gap-10" style={{ marginTop: '8px' }}>
+                    <input
+                        className="form-input"
+                        value={newAmenity}
+                        onChange={(e) => setNewAmenity(e.target.value)}
+                        onKeyDown={(e) => {
+                            if (e.key === 'Enter') {
+                                e.preventDefault();
+                                addAmenity();
+                            }
+                        }}
+                        placeholder="Add another amenity..."
+                        maxLength={40}
+                        disabled={disabled}
+                    />
+                    <button type="button" className="btn btn-secondary btn-sm" onClick={addAmenity} disabled={disabled}>
+                        Add
+                    </button>
+                </div>
+            </div>
+
+            {/* Custom fields for the selected type */}
+            {fields.map(field => (
+                <div key={field._id} className="form-group">
+                    {field.fieldType !== 'boolean' && (
+                        <label className="form-label">
+                            {field.label} {field.required && <span>*</span>}
+                        </label>
+                    )}
+                    {renderCustomField(field)}
+                </div>
+            ))}
+        </>
+    );
+}
+
+export default ResourceAttributeFields;
@@ -0,0 +1,390 @@
+/**
+ * =============================================================================
+ * SMARTALLOC - RESOURCE EDITOR COMPONENT
+ * =============================================================================
+ * Modal for managing one resource (requires resources:write).
+ *
+ * Features:
+ * - Edit name, type, description, capacity, location, amenities and
+ *   custom fields
+ * - Override the type's booking policy for this resource
+ * - Approver group: users who approve requests for this resource (e.g.
+ *   the owners of a piece of equipment)
+ * - Take out of service with a reason and optional return date
+ * - Retire (future bookings cancelled or flagged for review)
+ * - Bring back into service
+ * - Delete (soft delete - allocation history is kept)
+ *
+ * API:
+ * - PUT /api/resources/:id
+ * - GET /api/users (approver options)
+ * - PUT /api/resources/:id/service
+ * - DELETE /api/resources/:id
+ *
+ * @author SmartAlloc Team
+ * @version 1.0.0
+ * =============================================================================
+ */
+
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../context/AuthContext';
+import ResourceAttributeFields, { attributesFromResource, attributesToPayload } from './ResourceAttributeFields';
+import ResourceTypeSelect, { useResourceTypes } from './ResourceTypeSelect';
+import BookingPolicyFields, { policyToForm, formToPolicy } from './BookingPolicyFields';
+
+/**
+ * API Base URL
+ */
+const API_BASE_URL = 'http://localhost:5000/api';
+
+/**
+ * Format a Date for a datetime-local input
+ */
+const toLocalInput = (date) => {
+    const offset = date.getTimezoneOffset() * 60000;
+    return new Date(date.getTime() - offset).toISOString().slice(0, 16);
+};
+
+/**
+ * ResourceEditor Component
+ *
+ * @param {Object} resource - Resource from GET /api/resources
+ * @param {Function} onClose - Close the modal
+ * @param {Function} onSaved - Called after any change so the list can refresh
+ */
+function ResourceEditor({ resource, onClose, onSaved }) {
+    const { token } = useAuth();
+
+    const [details, setDetails] = useState({
+        name: resource.name,
+        type: resource.type,
+        description: resource.description || ''
+    });
+    const [attributes, setAttributes] = useState(() => attributesFromResource(resource));
+    const [policy, setPolicy] = useState(() => policyToForm(resource.bookingPolicy));
+    const [types] = useResourceTypes();
+    const [approvers, setApprovers] = useState(() => (resource.approvers || []).map(approver => approver._id || approver));
+    const [users, setUsers] = useState([]);
+    const [service, setService] = useState({
+        status: resource.serviceStatus === 'retired' ? 'retired' : 'out_of_service',
+        reason: resource.serviceReason || '',
+        returnDate: resource.returnDate ? toLocalInput(new Date(resource.returnDate)) : '',
+        futureAllocations: 'cancel'
+    });
+    const [saving, setSaving] = useState(false);
+    const [message, setMessage] = useState({ type: '', text: '' });
+
+    useEffect(() => {
+        fetch(`${API_BASE_URL}/users`, { headers: { 'Authorization': `Bearer ${token}` } })
+            .then(response => response.json())
+            .then(data => data.success && setUsers(data.data))
+            .catch(err => console.error('Error fetching users:', err));
+    }, [token]);
+
+    /**
+     * Send a request and report the result
+     */
+    const send = async (url, options) => {
+        setSaving(true);
+        try {
+            const response = await fetch(url, {
+                ...options,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${token}`
+                }
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                setMessage({ type: 'success', text: data.message });
+                onSaved();
+                return true;
+            }
+
+            setMessage({ type: 'error', text: data.errors ? data.errors.join(', ') : data.message });
+        } catch (err) {
+            console.error('Error updating resource:', err);
+            setMessage({ type: 'error', text: 'Unable to connect to server' });
+        } finally {
+            setSaving(false);
+        }
+        return false;
+    };
+
+    const handleSaveDetails = (e) => {
+        e.preventDefault();
+        send(`${API_BASE_URL}/resources/${resource._id}`, {
+            method: 'PUT',
+            body: JSON.stringify({ ...details, ...attributesToPayload(attributes) })
+        });
+    };
+
+    const handleSavePolicy = (e) => {
+        e.preventDefault();
+        send(`${API_BASE_URL}/resources/${resource._id}`, {
+            method: 'PUT',
+            body: JSON.stringify({ bookingPolicy: formToPolicy(policy) })
+        });
+    };
+
+    const handleSaveApprovers = (e) => {
+        e.preventDefault();
+        send(`${API_BASE_URL}/resources/${resource._id}`, {
+            method: 'PUT',
+            body: JSON.stringify({ approvers })
+        });
+    };
+
+    const handleServiceChange = (e) => {
+        e.preventDefault();
+
+        if (service.status === 'retired' && !window.confirm(
+            `Retire ${resource.name}? Future bookings will be ${service.futureAllocations === 'cancel' ? 'cancelled' : 'flagged for review'}.`
+        )) {
+            return;
+        }
+
+        send(`${API_BASE_URL}/resources/${resource._id}/service`, {
+            method: 'PUT',
+            body: JSON.stringify({
+                status: service.status,
+                reason: service.reason,
+                returnDate: service.status === 'out_of_service' && service.returnDate
+                    ? new Date(service.returnDate).toISOString()
+                    : null,
+                futureAllocations: service.futureAllocations
+            })
+        });
+    };
+
+    const handleBackInService = () => {
+        send(`${API_BASE_URL}/resources/${resource._id}/service`, {
+            method: 'PUT',
+            body: JSON.stringify({ status: 'active' })
+        });
+    };
+
+    const handleDelete = async () => {
+        if (!window.confirm(`Delete ${resource.name}? Its future bookings will be cancelled. Past allocations are kept.`)) {
+            return;
+        }
+
+        const deleted = await send(`${API_BASE_URL}/resources/${resource._id}`, { method: 'DELETE' });
+        if (deleted) {
+            onClose();
+        }
+    };
+
+    const isInService = resource.serviceStatus === 'active';
+    const resourceType = types.find(type => type.name === resource.type);
+
+    return (
+        <div className="timeline-overlay" onClick={onClose}>
+            <div className="card timeline-modal" onClick={(e) => e.stopPropagation()}>
+                <div className="card-header timeline-header">
+                    <h2 className="card-title">✏️ Manage {resource.name}</h2>
+                    <button className="btn btn-secondary btn-sm" onClick={onClose}>✕</button>
+                </div>
+
+                <div className="card-body">
+                    {message.text && (
+                        <div className={`alert alert-${message.type}`}>{message.text}</div>
+                    )}
+
+                    {/* Details */}
+                    <form onSubmit={handleSaveDetails}>
+                        <h4 className="editor-section-title">Details</h4>
+                        <div className="form-group">
+                            <label className="form-label" htmlFor="edit-name">Resource Name</label>
+                            <input
+                                id="edit-name"
+                                className="form-input"
+                                value={details.name}
+                                onChange={(e) => setDetails({ ...details, name: e.target.value })}
+                                maxLength={100}
+                                required
+                                disabled={saving}
+                            />
+                        </div>
+                        <div className="form-group">
+                            <label className="form-label" htmlFor="edit-type">Resource Type</label>
+                            <ResourceTypeSelect
+                                id="edit-type"
+                                value={details.type}
+                                onChange={(e) => {
+                                    setDetails({ ...details, type: e.target.value });
+                                    // Custom fields belong to the old type
+                                    setAttributes({ ...attributes, customFields: {} });
+                                }}
+                                disabled={saving}
+                            />
+                        </div>
+                        <div className="form-group">
+                            <label className="form-label" htmlFor="edit-description">Description</label>
+                            <textarea
+                                id="edit-description"
+                                className="form-textarea"
+                                value={details.description}
+                                onChange={(e) => setDetails({ ...details, description: e.target.value })}
+                                maxLength={500}
+                                disabled={saving}
+                            />
+                        </div>
+                        <ResourceAttributeFields
+                            type={details.type}
+                            value={attributes}
+                            onChange={setAttributes}
+                            disabled={saving}
+                        />
+                        <button type="submit" className="btn btn-primary btn-sm" disabled={saving}>
+                            💾 Save Details
+                        </button>
+                    </form>
+
+                    {/* Booking policy overrides */}
+                    <form onSubmit={handleSavePolicy}>
+                        <h4 className="editor-section-title">Booking Policy</h4>
+                        <p className="form-hint" style={{ marginTop: 0 }}>
+                            Empty fields use the {resource.type} type's rules.
+                        </p>
+                        <BookingPolicyFields
+                            value={policy}
+                            onChange={setPolicy}
+                            inherited={resourceType ? resourceType.bookingPolicy : {}}
+                            disabled={saving}
+                        />
+                        <button type="submit" className="btn btn-primary btn-sm" disabled={saving}>
+                            💾 Save Policy
+                        </button>
+                    </form>
+
+                    {/* Approver group */}
+                    <form onSubmit={handleSaveApprovers}>
+                        <h4 className="editor-section-title">Approvers</h4>
+                        <p className="form-hint" style={{ marginTop: 0 }}>
+                            Approve requests for this resource when its type has no approval chain, or at a
+                            "resource's approvers" step. Click a name to remove it.
+                        </p>
+                        <div className="amenity-chips">
+                            {approvers.map(id => (
+                                <button
+                                    key={id}
+                                    type="button"
+                                    className="amenity-chip selected"
+                                    onClick={() => setApprovers(approvers.filter(other => other !== id))}
+                                    disabled={saving}
+                                >
+                                    {users.find(u => u._id === id)?.name || 'Unknown user'} ×
+                                </button>
+                            ))}
+                        </div>
+                        <select
+                            className="form-select"
+                            value=""
+                            onChange={(e) => e.target.value && setApprovers([...approvers, e.target.value])}
+                            disabled={saving}
+                            style={{ margin: '10px 0' }}
+                        >
+                            <option value="">➕ Add approver...</option>
+                            {users.filter(u => !approvers.includes(u._id)).map(u => (
+                                <option key={u._id} value={u._id}>{u.name} ({u.department})</option>
+                            ))}
+                        </select>
+                        <button type="submit" className="btn btn-primary btn-sm" disabled={saving}>
+                            💾 Save Approvers
+                        </button>
+                    </form>
+
+                    {/* Service status */}
+                    <h4 className="editor-section-title">Service</h4>
+                    {!isInService && (
+                        <div className="alert alert-warning">
+                            {resource.serviceStatus === 'retired' ? '⛔ Retired' : '🔧 Out of service'}
+                            {resource.serviceReason && ` - ${resource.serviceReason}`}
+                            {resource.returnDate && ` (back ${new Date(resource.returnDate).toLocaleString()})`}
+                            <div style={{ marginTop: '8px' }}>
+                                <button className="btn btn-primary btn-sm" onClick={handleBackInService} disabled={saving}>
+                                    ✅ Back in Service
+                                </button>
+                            </div>
+                        </div>
+                    )}
+
+                    <form onSubmit={handleServiceChange}>
+                        <div className="form-group">
+                            <label className="form-label" htmlFor="service-status">Change To</label>
+                            <select
+                                id="service-status"
+                                className="form-select"
+                                value={service.status}
+                                onChange={(e) => setService({ ...service, status: e.target.value })}
+                                disabled={saving}
+                            >
+                                <option value="out_of_service">🔧 Out of service (temporary)</option>
+                                <option value="retired">⛔ Retired (permanent)</option>
+                            </select>
+                        </div>
+                        <div className="form-group">
+                            <label className="form-label" htmlFor="service-reason">Reason *</label>
+                            <input
+                                id="service-reason"
+                                className="form-input"
+                                value={service.reason}
+                                onChange={(e) => setService({ ...service, reason: e.target.value })}
+                                placeholder="e.g. Lamp needs replacing"
+                                maxLength={300}
+                                required
+                                disabled={saving}
+                            />
+                        </div>
+                        {service.status === 'out_of_service' ? (
+                            <div className="form-group">
+                                <label className="form-label" htmlFor="service-return">Expected Return</label>
+                                <input
+                                    id="service-return"
+                                    type="datetime-local"
+                                    className="form-input"
+                                    value={service.returnDate}
+                                    onChange={(e) => setService({ ...service, returnDate: e.target.value })}
+                                    disabled={saving}
+                                />
+                                <small className="form-hint">
+                                    Leave empty for "until further notice". Bookings starting before this date are blocked and existing ones are flagged for review.
+                                </small>
+                            </div>
+                        ) : (
+                            <div className="form-group">
+                                <label className="form-label" htmlFor="service-future">Future Bookings</label>
+                                <select
+                                    id="service-future"
+                                    className="form-select"
+                                    value={service.futureAllocations}
+                                    onChange={(e) => setService({ ...service, futureAllocations: e.target.value })}
+                                    disabled={saving}
+                                >
+                                    <option value="cancel">Cancel them (requesters see the reason)</option>
+                                    <option value="flag">Flag them for admin review</option>
+                                </select>
+                            </div>
+                        )}
+                        <button type="submit" className="btn btn-secondary btn-sm" disabled={saving}>
+                            {service.status === 'retired' ? '⛔ Retire Resource' : '🔧 Mark Out of Service'}
+                        </button>
+                    </form>
+
+                    {/* Delete */}
+                    <h4 className="editor-section-title">Delete</h4>
+                    <p className="form-hint" style={{ marginTop: 0 }}>
+                        Removes the resource from all lists. Past allocations keep showing it.
+                    </p>
+                    <button className="btn btn-danger btn-sm" onClick={handleDelete} disabled={saving}>
+                        🗑️ Delete Resource
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default ResourceEditor;
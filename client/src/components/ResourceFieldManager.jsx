@@ -0,0 +1,334 @@
+/**
+ * =============================================================================
+ * SMARTALLOC - RESOURCE FIELD MANAGER
+ * =============================================================================
+ * Admin Dashboard tab for defining custom fields per resource type
+ * (requires resources:write). Uses the AdminDashboard table/modal styles.
+ *
+ * Features:
+ * - Fields grouped by resource type
+ * - Add / edit field (text, number with min/max, yes/no, select with options)
+ * - Delete field (its values are removed from the type's resources)
+ *
+ * API:
+ * - GET/POST /api/resource-fields
+ * - PUT/DELETE /api/resource-fields/:id
+ * - GET /api/resource-types (type dropdown)
+ *
+ * @author SmartAlloc Team
+ * @version 1.0.0
+ * =============================================================================
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../context/AuthContext';
+import ResourceTypeSelect from './ResourceTypeSelect';
+
+const API_URL = 'http://localhost:5000/api';
+
+const FIELD_TYPE_LABELS = {
+    text: 'Text',
+    number: 'Number',
+    boolean: 'Yes / No',
+    select: 'Choice'
+};
+
+const EMPTY_FIELD = {
+    resourceType: '',
+    key: '',
+    label: '',
+    fieldType: 'text',
+    options: '',
+    required: false,
+    min: '',
+    max: ''
+};
+
+/**
+ * ResourceFieldManager Component
+ *
+ * @param {Function} onMessage - Show a dashboard message: (type, text)
+ */
+function ResourceFieldManager({ onMessage }) {
+    const { token } = useAuth();
+
+    const [fields, setFields] = useState([]);
+    const [showModal, setShowModal] = useState(false);
+    const [editingId, setEditingId] = useState(null);
+    const [form, setForm] = useState(EMPTY_FIELD);
+    const [saving, setSaving] = useState(false);
+
+    const fetchFields = useCallback(async () => {
+        try {
+            const response = await fetch(`${API_URL}/resource-fields`, {
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+            const data = await response.json();
+            if (data.success) {
+                setFields(data.data);
+            }
+        } catch (error) {
+            console.error('Error fetching resource fields:', error);
+        }
+    }, [token]);
+
+    useEffect(() => {
+        fetchFields();
+    }, [fetchFields]);
+
+    const openModal = (field) => {
+        setEditingId(field ? field._id : null);
+        setForm(field
+            ? {
+                ...field,
+                options: field.options.join(', '),
+                min: field.min ?? '',
+                max: field.max ?? ''
+            }
+            : EMPTY_FIELD);
+        setShowModal(true);
+    };
+
+    const handleSave = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+
+        const body = {
+            label: form.label,
+            required: form.required,
+            options: form.fieldType === 'select'
+                ? form.options.split(',').map(option => option.trim()).filter(Boolean)
+                : [],
+            min: form.fieldType === 'number' ? form.min : '',
+            max: form.fieldType === 'number' ? form.max : ''
+        };
+
+        // Key, type and field type are fixed after creation
+        if (!editingId) {
+            body.resourceType = form.resourceType;
+            body.key = form.key;
+            body.fieldType = form.fieldType;
+        }
+
+        try {
+            const response = await fetch(`${API_URL}/resource-fields${editingId ? `/${editingId}` : ''}`, {
+                method: editingId ? 'PUT' : 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${token}`
+                },
+                body: JSON.stringify(body)
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                onMessage('success', data.message);
+                setShowModal(false);
+                fetchFields();
+            } else {
+                onMessage('error', data.errors ? data.errors.join(', ') : data.message);
+            }
+        } catch (error) {
+            onMessage('error', 'Failed to save field');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleDelete = async (field) => {
+        if (!window.confirm(`Delete "${field.label}" from ${field.resourceType}? Its values are removed from every ${field.resourceType}.`)) return;
+
+        try {
+            const response = await fetch(`${API_URL}/resource-fields/${field._id}`, {
+                method: 'DELETE',
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+            const data = await response.json();
+
+            onMessage(data.success ? 'success' : 'error', data.message);
+            if (data.success) {
+                fetchFields();
+            }
+        } catch (error) {
+            onMessage('error', 'Failed to delete field');
+        }
+    };
+
+    const describeRule = (field) => {
+        if (field.fieldType === 'select') return field.options.join(', ');
+        if (field.fieldType === 'number' && (field.min !== null || field.max !== null)) {
+            return `${field.min ?? '…'} – ${field.max ?? '…'}`;
+        }
+        return '';
+    };
+
+    return (
+        <div className="roles-section">
+            <div className="section-actions">
+                <button className="btn-primary" onClick={() => openModal(null)}>
+                    ➕ Add Field
+                </button>
+            </div>
+            <div className="users-table-wrapper">
+                {fields.length === 0 ? (
+                    <div className="empty-state">
+                        <span>🧩</span>
+                        <p>No custom fields yet. Add one to collect extra details for a resource type.</p>
+                    </div>
+                ) : (
+                    <table className="admin-table">
+                        <thead>
+                            <tr>
+                                <th>Resource Type</th>
+                                <th>Field</th>
+                                <th>Kind</th>
+                                <th>Allowed Values</th>
+                                <th>Actions</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {fields.map(field => (
+                                <tr key={field._id}>
+                                    <td>{field.resourceType}</td>
+                                    <td>
+                                        <strong>{field.label}</strong>{field.required && ' *'}
+                                        <span className="user-email">{field.key}</span>
+                                    </td>
+                                    <td>{FIELD_TYPE_LABELS[field.fieldType]}</td>
+                                    <td>{describeRule(field) || '-'}</td>
+                                    <td className="actions-cell">
+                                        <button className="action-btn reset" onClick={() => openModal(field)}>
+                                            ✏️ Edit
+                                        </button>
+                                        <button className="action-btn delete" onClick={() => handleDelete(field)}>
+                                            🗑️
+                                        </button>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                )}
+            </div>
+
+            {/* Add / Edit Field Modal */}
+            {showModal && (
+                <div className="modal-overlay">
+                    <div className="modal-card">
+                        <div className="modal-header">
+                            <h2>{editingId ? `Edit ${form.label}` : 'Add Custom Field'}</h2>
+                            <button className="close-btn" onClick={() => setShowModal(false)}>×</button>
+                        </div>
+                        <form onSubmit={handleSave} className="modal-form">
+                            <div className="form-row">
+                                <div className="form-group">
+                                    <label>Resource Type</label>
+                                    <ResourceTypeSelect
+                                        className=""
+                                        required
+                                        value={form.resourceType}
+                                        onChange={(e) => setForm({ ...form, resourceType: e.target.value })}
+                                        placeholder="Select a type..."
+                                        disabled={Boolean(editingId)}
+                                    />
+                                </div>
+                                <div className="form-group">
+                                    <label>Kind</label>
+                                    <select
+                                        value={form.fieldType}
+                                        onChange={(e) => setForm({ ...form, fieldType: e.target.value })}
+                                        disabled={Boolean(editingId)}
+                                    >
+                                        {Object.entries(FIELD_TYPE_LABELS).map(([value, label]) => (
+                                            <option key={value} value={value}>{label}</option>
+                                        ))}
+                                    </select>
+                                </div>
+                            </div>
+                            <div className="form-row">
+                                <div className="form-group">
+                                    <label>Label</label>
+                                    <input
+                                        type="text"
+                                        required
+                                        maxLength="60"
+                                        value={form.label}
+                                        onChange={(e) => setForm({ ...form, label: e.target.value })}
+                                        placeholder="e.g. License Plate"
+                                    />
+                                </div>
+                                <div className="form-group">
+                                    <label>Key</label>
+                                    <input
+                                        type="text"
+                                        required
+                                        maxLength="40"
+                                        pattern="[a-zA-Z][a-zA-Z0-9_]*"
+                                        title="Letters, digits and _, starting with a letter"
+                                        value={form.key}
+                                        onChange={(e) => setForm({ ...form, key: e.target.value })}
+                                        placeholder="e.g. licensePlate"
+                                        disabled={Boolean(editingId)}
+                                    />
+                                </div>
+                            </div>
+                            {form.fieldType === 'select' && (
+                                <div className="form-group">
+                                    <label>Options (comma-separated)</label>
+                                    <input
+                                        type="text"
+                                        required
+                                        value={form.options}
+                                        onChange={(e) => setForm({ ...form, options: e.target.value })}
+                                        placeholder="e.g. Petrol, Diesel, Electric"
+                                    />
+                                </div>
+                            )}
+                            {form.fieldType === 'number' && (
+                                <div className="form-row">
+                                    <div className="form-group">
+                                        <label>Minimum</label>
+                                        <input
+                                            type="number"
+                                            value={form.min}
+                                            onChange={(e) => setForm({ ...form, min: e.target.value })}
+                                        />
+                                    </div>
+                                    <div className="form-group">
+                                        <label>Maximum</label>
+                                        <input
+                                            type="number"
+                                            value={form.max}
+                                            onChange={(e) => setForm({ ...form, max: e.target.value })}
+                                        />
+                                    </div>
+                                </div>
+                            )}
+                            <label className="permission-option">
+                                <input
+                                    type="checkbox"
+                                    checked={form.required}
+                                    onChange={(e) => setForm({ ...form, required: e.target.checked })}
+                                />
+                                <span>
+                                    <strong>Required</strong>
+                                    <small>Every {form.resourceType || 'resource of this type'} must have a value</small>
+                                </span>
+                            </label>
+                            <div className="modal-actions">
+                                <button type="button" className="btn-secondary" onClick={() => setShowModal(false)}>
+                                    Cancel
+                                </button>
+                                <button type="submit" className="btn-primary" disabled={saving}>
+                                    {saving ? 'Saving...' : editingId ? 'Save Field' : 'Create Field'}
+                                </button>
+                            </div>
+                        </form>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default ResourceFieldManager;
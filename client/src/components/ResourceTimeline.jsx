@@ -0,0 +1,283 @@
+/**
+ * =============================================================================
+ * SMARTALLOC - RESOURCE TIMELINE COMPONENT
+ * =============================================================================
+ * Modal showing a resource's day or week schedule as a horizontal timeline.
+ *
+ * Features:
+ * - Day / Week range toggle with previous/next navigation
+ * - Busy blocks coloured by approval status (approved / pending)
+ * - List of free gaps that can be booked
+ * - Subscribe to the resource's iCalendar feed
+ *
+ * API:
+ * - GET /api/resources/:id/schedule
+ * - POST /api/calendar/feeds (resource feed URL)
+ *
+ * @author SmartAlloc Team
+ * @version 1.0.0
+ * =============================================================================
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../context/AuthContext';
+
+/**
+ * API Base URL
+ */
+const API_BASE_URL = 'http://localhost:5000/api';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Get midnight (local time) of the given date
+ */
+const startOfDay = (date) => {
+    const d = new Date(date);
+    d.setHours(0, 0, 0, 0);
+    return d;
+};
+
+/**
+ * ResourceTimeline Component
+ */
+function ResourceTimeline({ resource, onClose }) {
+    const { token } = useAuth();
+
+    // 'day' or 'week'
+    const [range, setRange] = useState('day');
+    // First day shown in the timeline
+    const [anchor, setAnchor] = useState(() => startOfDay(new Date()));
+
+    const [schedule, setSchedule] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    // iCalendar feed URL, once the user asks for one
+    const [feedUrl, setFeedUrl] = useState('');
+
+    const days = range === 'day' ? 1 : 7;
+    const from = anchor;
+    const to = new Date(anchor.getTime() + days * DAY_MS);
+
+    /**
+     * Fetch busy blocks and free gaps from API
+     */
+    const fetchSchedule = useCallback(async () => {
+        try {
+            setLoading(true);
+            setError(null);
+
+            const params = new URLSearchParams({
+                from: anchor.toISOString(),
+                to: new Date(anchor.getTime() + days * DAY_MS).toISOString(),
+                includePending: 'true'
+            });
+            const response = await fetch(`${API_BASE_URL}/resources/${resource._id}/schedule?${params}`, {
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                setSchedule(data.data);
+            } else {
+                setError(data.message || 'Failed to load schedule');
+            }
+        } catch (err) {
+            console.error('Error fetching schedule:', err);
+            setError('Unable to connect to server. Make sure the backend is running.');
+        } finally {
+            setLoading(false);
+        }
+    }, [resource._id, anchor, days, token]);
+
+    /**
+     * Fetch schedule whenever the visible range changes
+     */
+    useEffect(() => {
+        fetchSchedule();
+    }, [fetchSchedule]);
+
+    /**
+     * Create a feed for this resource (regenerating revokes any previous URL)
+     */
+    const handleSubscribe = async () => {
+        try {
+            const response = await fetch(`${API_BASE_URL}/calendar/feeds`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${token}`
+                },
+                body: JSON.stringify({ type: 'resource', resourceId: resource._id })
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                setFeedUrl(data.data.url);
+            } else {
+                setError(data.message || 'Failed to create calendar feed');
+            }
+        } catch (err) {
+            console.error('Error creating calendar feed:', err);
+            setError('Failed to create calendar feed');
+        }
+    };
+
+    /**
+     * Move the visible range backwards/forwards by one day or week
+     */
+    const shiftRange = (direction) => {
+        setAnchor(prev => new Date(prev.getTime() + direction * days * DAY_MS));
+    };
+
+    /**
+     * Position of a time within the visible range, as a percentage
+     */
+    const toPercent = (date) => {
+        const value = (new Date(date) - from) / (to - from) * 100;
+        return Math.min(100, Math.max(0, value));
+    };
+
+    /**
+     * Tick marks: every 3 hours for a day, every day for a week
+     */
+    const ticks = [];
+    const tickStep = range === 'day' ? 3 * 60 * 60 * 1000 : DAY_MS;
+    for (let t = from.getTime(); t < to.getTime(); t += tickStep) {
+        ticks.push(new Date(t));
+    }
+
+    /**
+     * Format helpers
+     */
+    const formatTick = (date) => (range === 'day'
+        ? date.toLocaleTimeString('en-US', { hour: 'numeric' })
+        : date.toLocaleDateString('en-US', { weekday: 'short', day: 'numeric' }));
+
+    const formatDate = (dateString) => {
+        return new Date(dateString).toLocaleString('en-US', {
+            month: 'short',
+            day: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+    };
+
+    const rangeLabel = range === 'day'
+        ? from.toLocaleDateString('en-US', { weekday: 'long', month: 'short', day: 'numeric' })
+        : `${from.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })} - ${new Date(to.getTime() - 1).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}`;
+
+    return (
+        <div className="timeline-overlay" onClick={onClose}>
+            <div className="card timeline-modal" onClick={(e) => e.stopPropagation()}>
+                <div className="card-header timeline-header">
+                    <div>
+                        <h2 className="card-title">📅 {resource.name}</h2>
+                        <small style={{ color: 'var(--text-muted)' }}>{rangeLabel}</small>
+                    </div>
+                    <div className="flex gap-10">
+                        <button className="btn btn-secondary btn-sm" onClick={handleSubscribe} title="Get an iCalendar feed URL">
+                            🔗 Subscribe
+                        </button>
+                        <button className="btn btn-secondary btn-sm" onClick={onClose}>✕</button>
+                    </div>
+                </div>
+
+                <div className="card-body">
+                    {/* Range Controls */}
+                    <div className="timeline-controls">
+                        <div className="flex gap-10">
+                            <button
+                                className={`btn btn-sm ${range === 'day' ? 'btn-primary' : 'btn-secondary'}`}
+                                onClick={() => setRange('day')}
+                            >
+                                Day
+                            </button>
+                            <button
+                                className={`btn btn-sm ${range === 'week' ? 'btn-primary' : 'btn-secondary'}`}
+                                onClick={() => setRange('week')}
+                            >
+                                Week
+                            </button>
+                        </div>
+                        <div className="flex gap-10">
+                            <button className="btn btn-secondary btn-sm" onClick={() => shiftRange(-1)}>◀</button>
+                            <button className="btn btn-secondary btn-sm" onClick={() => setAnchor(startOfDay(new Date()))}>Today</button>
+                            <button className="btn btn-secondary btn-sm" onClick={() => shiftRange(1)}>▶</button>
+                        </div>
+                    </div>
+
+                    {error && (
+                        <div className="alert alert-error">⚠️ {error}</div>
+                    )}
+
+                    {feedUrl && (
+                        <div className="form-group">
+                            <label className="form-label">Calendar feed URL</label>
+                            <input className="form-input feed-url" value={feedUrl} readOnly onFocus={(e) => e.target.select()} />
+                            <small className="form-hint">Subscribe to this URL in your calendar app. Manage or revoke it on the Calendar page.</small>
+                        </div>
+                    )}
+
+                    {loading ? (
+                        <div className="loading-spinner">
+                            <div className="spinner"></div>
+                        </div>
+                    ) : schedule && (
+                        <>
+                            {/* Timeline Bar */}
+                            <div className="timeline-track">
+                                {ticks.map(tick => (
+                                    <div
+                                        key={tick.getTime()}
+                                        className="timeline-tick"
+                                        style={{ left: `${toPercent(tick)}%` }}
+                                    >
+                                        <span>{formatTick(tick)}</span>
+                                    </div>
+                                ))}
+                                {schedule.busy.map(block => (
+                                    <div
+                                        key={block._id}
+                                        className={`timeline-block ${block.approvalStatus}`}
+                                        style={{
+                                            left: `${toPercent(block.startTime)}%`,
+                                            width: `${toPercent(block.endTime) - toPercent(block.startTime)}%`
+                                        }}
+                                        title={`${block.assignedTo} (${block.approvalStatus})\n${formatDate(block.startTime)} - ${formatDate(block.endTime)}${block.purpose ? `\n${block.purpose}` : ''}`}
+                                    />
+                                ))}
+                            </div>
+
+                            {/* Legend */}
+                            <div className="timeline-legend">
+                                <span><span className="timeline-swatch approved"></span> Booked</span>
+                                <span><span className="timeline-swatch pending"></span> Pending request</span>
+                                <span><span className="timeline-swatch free"></span> Free</span>
+                            </div>
+
+                            {/* Free Gaps */}
+                            <h4 style={{ fontSize: '14px', margin: '16px 0 8px' }}>Free Time</h4>
+                            {schedule.free.length > 0 ? (
+                                <ul className="timeline-gaps">
+                                    {schedule.free.map(gap => (
+                                        <li key={gap.startTime}>
+                                            🟢 {formatDate(gap.startTime)} - {formatDate(gap.endTime)}
+                                        </li>
+                                    ))}
+                                </ul>
+                            ) : (
+                                <p style={{ fontSize: '13px', color: 'var(--text-secondary)' }}>
+                                    Fully booked in this range.
+                                </p>
+                            )}
+                        </>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default ResourceTimeline;
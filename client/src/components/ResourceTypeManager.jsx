@@ -0,0 +1,340 @@
+/**
+ * =============================================================================
+ * SMARTALLOC - RESOURCE TYPE MANAGER
+ * =============================================================================
+ * Admin Dashboard tab for managing resource types (requires
+ * resources:write). Uses the AdminDashboard table/modal styles.
+ *
+ * Features:
+ * - Types with icon, colour, resource count and default booking policy
+ *   (duration, notice, hours, weekdays, buffers, slots, per-user limit)
+ * - Add / edit type (renaming moves its resources and custom fields)
+ * - Approval chain: the steps a request goes through, in order (e.g.
+ *   department manager, then facilities)
+ * - Delete type (only when no resource uses it)
+ *
+ * API:
+ * - GET/POST /api/resource-types
+ * - PUT/DELETE /api/resource-types/:id
+ * - GET /api/roles (roles for 'role' steps)
+ *
+ * @author SmartAlloc Team
+ * @version 1.0.0
+ * =============================================================================
+ */
+
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { useResourceTypes } from './ResourceTypeSelect';
+import BookingPolicyFields, { policyToForm, formToPolicy, describePolicy } from './BookingPolicyFields';
+import { STEP_KINDS } from './ApprovalTrail';
+
+const API_URL = 'http://localhost:5000/api';
+
+const EMPTY_TYPE = {
+    name: '',
+    icon: '📦',
+    color: '#6366f1',
+    description: '',
+    requiresApproval: true,
+    policy: policyToForm(),
+    approvalChain: []
+};
+
+const EMPTY_STEP = { name: '', kind: 'approvers', role: '' };
+
+/**
+ * ResourceTypeManager Component
+ *
+ * @param {Function} onMessage - Show a dashboard message: (type, text)
+ */
+function ResourceTypeManager({ onMessage }) {
+    const { token } = useAuth();
+
+    const [types, reloadTypes] = useResourceTypes();
+    const [showModal, setShowModal] = useState(false);
+    const [editingId, setEditingId] = useState(null);
+    const [form, setForm] = useState(EMPTY_TYPE);
+    const [saving, setSaving] = useState(false);
+    const [roles, setRoles] = useState([]);
+
+    useEffect(() => {
+        fetch(`${API_URL}/roles`, { headers: { 'Authorization': `Bearer ${token}` } })
+            .then(response => response.json())
+            .then(data => data.success && setRoles(data.data))
+            .catch(error => console.error('Error fetching roles:', error));
+    }, [token]);
+
+    const updateStep = (index, changes) => {
+        setForm(prev => ({
+            ...prev,
+            approvalChain: prev.approvalChain.map((step, i) => (i === index ? { ...step, ...changes } : step))
+        }));
+    };
+
+    const openModal = (type) => {
+        setEditingId(type ? type._id : null);
+        setForm(type
+            ? {
+                name: type.name,
+                icon: type.icon,
+                color: type.color,
+                description: type.description,
+                requiresApproval: type.bookingPolicy.requiresApproval,
+                policy: policyToForm(type.bookingPolicy),
+                approvalChain: (type.approvalChain || []).map(step => ({ ...EMPTY_STEP, ...step }))
+            }
+            : EMPTY_TYPE);
+        setShowModal(true);
+    };
+
+    const handleSave = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+
+        const body = {
+            name: form.name,
+            icon: form.icon,
+            color: form.color,
+            description: form.description,
+            bookingPolicy: { ...formToPolicy(form.policy), requiresApproval: form.requiresApproval },
+            approvalChain: form.approvalChain
+        };
+
+        try {
+            const response = await fetch(`${API_URL}/resource-types${editingId ? `/${editingId}` : ''}`, {
+                method: editingId ? 'PUT' : 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${token}`
+                },
+                body: JSON.stringify(body)
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                onMessage('success', data.message);
+                setShowModal(false);
+                reloadTypes();
+            } else {
+                onMessage('error', data.errors ? data.errors.join(', ') : data.message);
+            }
+        } catch (error) {
+            onMessage('error', 'Failed to save resource type');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleDelete = async (type) => {
+        if (!window.confirm(`Delete the "${type.name}" type? Its custom fields are deleted too.`)) return;
+
+        try {
+            const response = await fetch(`${API_URL}/resource-types/${type._id}`, {
+                method: 'DELETE',
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+            const data = await response.json();
+
+            onMessage(data.success ? 'success' : 'error', data.message);
+            if (data.success) {
+                reloadTypes();
+            }
+        } catch (error) {
+            onMessage('error', 'Failed to delete resource type');
+        }
+    };
+
+    return (
+        <div className="roles-section">
+            <div className="section-actions">
+                <button className="btn-primary" onClick={() => openModal(null)}>
+                    ➕ Add Type
+                </button>
+            </div>
+            <div className="users-table-wrapper">
+                <table className="admin-table">
+                    <thead>
+                        <tr>
+                            <th>Type</th>
+                            <th>Approval</th>
+                            <th>Booking Limits</th>
+                            <th>Resources</th>
+                            <th>Actions</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {types.map(type => (
+                            <tr key={type._id}>
+                                <td>
+                                    <strong style={{ color: type.color }}>{type.icon} {type.name}</strong>
+                                    <span className="user-email">{type.description}</span>
+                                </td>
+                                <td>
+                                    {type.bookingPolicy.requiresApproval ? 'Required' : 'Automatic'}
+                                    {type.bookingPolicy.requiresApproval && type.approvalChain && type.approvalChain.length > 0 && (
+                                        <span className="user-email">{type.approvalChain.map(step => step.name).join(' → ')}</span>
+                                    )}
+                                </td>
+                                <td>{describePolicy(type.bookingPolicy) || '-'}</td>
+                                <td>{type.resourceCount}</td>
+                                <td className="actions-cell">
+                                    <button className="action-btn reset" onClick={() => openModal(type)}>
+                                        ✏️ Edit
+                                    </button>
+                                    <button
+                                        className="action-btn delete"
+                                        onClick={() => handleDelete(type)}
+                                        disabled={type.resourceCount > 0}
+                                        title={type.resourceCount > 0 ? 'Move its resources to another type first' : ''}
+                                    >
+                                        🗑️
+                                    </button>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+
+            {/* Add / Edit Type Modal */}
+            {showModal && (
+                <div className="modal-overlay">
+                    <div className="modal-card">
+                        <div className="modal-header">
+                            <h2>{editingId ? `Edit ${form.name}` : 'Add Resource Type'}</h2>
+                            <button className="close-btn" onClick={() => setShowModal(false)}>×</button>
+                        </div>
+                        <form onSubmit={handleSave} className="modal-form">
+                            <div className="form-row">
+                                <div className="form-group">
+                                    <label>Name</label>
+                                    <input
+                                        type="text"
+                                        required
+                                        maxLength="50"
+                                        value={form.name}
+                                        onChange={(e) => setForm({ ...form, name: e.target.value })}
+                                        placeholder="e.g. Vehicle"
+                                    />
+                                </div>
+                                <div className="form-group">
+                                    <label>Icon</label>
+                                    <input
+                                        type="text"
+                                        maxLength="8"
+                                        value={form.icon}
+                                        onChange={(e) => setForm({ ...form, icon: e.target.value })}
+                                        placeholder="e.g. 🚗"
+                                    />
+                                </div>
+                                <div className="form-group">
+                                    <label>Colour</label>
+                                    <input
+                                        type="color"
+                                        value={form.color}
+                                        onChange={(e) => setForm({ ...form, color: e.target.value })}
+                                    />
+                                </div>
+                            </div>
+                            <div className="form-group">
+                                <label>Description</label>
+                                <input
+                                    type="text"
+                                    maxLength="200"
+                                    value={form.description}
+                                    onChange={(e) => setForm({ ...form, description: e.target.value })}
+                                    placeholder="e.g. Pool cars and vans"
+                                />
+                            </div>
+                            <BookingPolicyFields
+                                value={form.policy}
+                                onChange={(policy) => setForm({ ...form, policy })}
+                                disabled={saving}
+                            />
+                            <label className="permission-option">
+                                <input
+                                    type="checkbox"
+                                    checked={form.requiresApproval}
+                                    onChange={(e) => setForm({ ...form, requiresApproval: e.target.checked })}
+                                />
+                                <span>
+                                    <strong>Requires approval</strong>
+                                    <small>Unticked: requests for this type are approved automatically</small>
+                                </span>
+                            </label>
+                            {form.requiresApproval && (
+                                <div className="form-group">
+                                    <label>Approval chain</label>
+                                    <small className="form-hint">
+                                        Steps are approved in order. With no steps, the resource's approvers (or else
+                                        anyone who can approve requests) approve.
+                                    </small>
+                                    {form.approvalChain.map((step, index) => (
+                                        <div key={index} className="form-row" style={{ gridTemplateColumns: '1fr 1fr auto', marginTop: '0.5rem' }}>
+                                            <input
+                                                type="text"
+                                                required
+                                                maxLength="50"
+                                                value={step.name}
+                                                onChange={(e) => updateStep(index, { name: e.target.value })}
+                                                placeholder={`Step ${index + 1}, e.g. Facilities`}
+                                            />
+                                            <select
+                                                value={step.kind}
+                                                onChange={(e) => updateStep(index, { kind: e.target.value })}
+                                            >
+                                                {STEP_KINDS.map(kind => (
+                                                    <option key={kind.value} value={kind.value}>{kind.label}</option>
+                                                ))}
+                                            </select>
+                                            <button
+                                                type="button"
+                                                className="action-btn delete"
+                                                onClick={() => setForm({ ...form, approvalChain: form.approvalChain.filter((_, i) => i !== index) })}
+                                                title="Remove step"
+                                            >
+                                                🗑️
+                                            </button>
+                                            {step.kind === 'role' && (
+                                                <select
+                                                    required
+                                                    value={step.role}
+                                                    onChange={(e) => updateStep(index, { role: e.target.value })}
+                                                    style={{ gridColumn: '1 / 3' }}
+                                                >
+                                                    <option value="">Choose the role that approves...</option>
+                                                    {roles.map(role => (
+                                                        <option key={role._id} value={role.name}>{role.name}</option>
+                                                    ))}
+                                                </select>
+                                            )}
+                                        </div>
+                                    ))}
+                                    <button
+                                        type="button"
+                                        className="action-btn reset"
+                                        style={{ marginTop: '0.5rem', alignSelf: 'flex-start' }}
+                                        onClick={() => setForm({ ...form, approvalChain: [...form.approvalChain, EMPTY_STEP] })}
+                                    >
+                                        ➕ Add step
+                                    </button>
+                                </div>
+                            )}
+                            <div className="modal-actions">
+                                <button type="button" className="btn-secondary" onClick={() => setShowModal(false)}>
+                                    Cancel
+                                </button>
+                                <button type="submit" className="btn-primary" disabled={saving}>
+                                    {saving ? 'Saving...' : editingId ? 'Save Type' : 'Create Type'}
+                                </button>
+                            </div>
+                        </form>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default ResourceTypeManager;
@@ -0,0 +1,72 @@
+/**
+ * =============================================================================
+ * SMARTALLOC - RESOURCE TYPE SELECT
+ * =============================================================================
+ * Dropdown of the managed resource types, shared by the AddResource page,
+ * the ResourceEditor modal and the Resource Fields admin tab.
+ *
+ * Also exports useResourceTypes for components that only need the list
+ * (e.g. to show each type's icon and colour).
+ *
+ * API: GET /api/resource-types
+ *
+ * @author SmartAlloc Team
+ * @version 1.0.0
+ * =============================================================================
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+
+/**
+ * API Base URL
+ */
+const API_BASE_URL = 'http://localhost:5000/api';
+
+/**
+ * Load the resource types
+ *
+ * @returns {Array} [types, reload]
+ */
+export const useResourceTypes = () => {
+    const [types, setTypes] = useState([]);
+
+    const reload = useCallback(() => {
+        fetch(`${API_BASE_URL}/resource-types`)
+            .then(response => response.json())
+            .then(data => data.success && setTypes(data.data))
+            .catch(err => console.error('Error fetching resource types:', err));
+    }, []);
+
+    useEffect(() => {
+        reload();
+    }, [reload]);
+
+    return [types, reload];
+};
+
+/**
+ * ResourceTypeSelect Component
+ *
+ * @param {String} value - Selected type name
+ * @param {Function} onChange - Called with the change event
+ * @param {String} placeholder - Text of the empty option (omitted when not set)
+ * Other props (id, name, disabled, required...) are passed to the select.
+ */
+function ResourceTypeSelect({ value, onChange, placeholder, className = 'form-select', ...props }) {
+    const [types] = useResourceTypes();
+
+    // A type without a record (e.g. not migrated yet) still shows as selected
+    const isKnown = !value || types.some(type => type.name === value);
+
+    return (
+        <select className={className} value={value} onChange={onChange} {...props}>
+            {placeholder !== undefined && <option value="">{placeholder}</option>}
+            {!isKnown && <option value={value}>{value}</option>}
+            {types.map(type => (
+                <option key={type._id} value={type.name}>{type.icon} {type.name}</option>
+            ))}
+        </select>
+    );
+}
+
+export default ResourceTypeSelect;
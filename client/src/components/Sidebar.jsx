@@ -7,7 +7,7 @@
  * Features:
  * - Brand logo with tagline
  * - Role-based navigation sections
- * - Admin-only links visible only to Super Users
+ * - Admin links visible only with the matching permission
  * - Active link highlighting
  * - Responsive collapse for mobile
  * 
@@ -18,13 +18,13 @@
 
 import React from 'react';
 import { NavLink } from 'react-router-dom';
-import { useAuth } from '../context/AuthContext';
+import { useAuth, ADMIN_PANEL_PERMISSIONS } from '../context/AuthContext';
 
 /**
  * Sidebar Component
  */
 function Sidebar({ isOpen, onClose }) {
-    const { isAdmin } = useAuth();
+    const { hasPermission, isApprover } = useAuth();
 
     /**
      * Navigation Links Configuration
@@ -33,13 +33,16 @@ function Sidebar({ isOpen, onClose }) {
         { path: '/', icon: '📊', label: 'Dashboard' },
         { path: '/resources', icon: '📦', label: 'Resources' },
         { path: '/allocations', icon: '📋', label: 'Allocations' },
+        { path: '/calendar', icon: '🗓️', label: 'Calendar' },
         { path: '/assign-resource', icon: '📝', label: 'Request Resource' },
     ];
 
+    // Each admin link is shown when the user has any of its permissions
+    // (the Admin Panel also to approvers of approval chain steps)
     const adminNavLinks = [
-        { path: '/admin', icon: '🛡️', label: 'Admin Panel' },
-        { path: '/add-resource', icon: '➕', label: 'Add Resource' },
-    ];
+        { path: '/admin', icon: '🛡️', label: 'Admin Panel', permissions: ADMIN_PANEL_PERMISSIONS, approvers: true },
+        { path: '/add-resource', icon: '➕', label: 'Add Resource', permissions: ['resources:write'] },
+    ].filter(link => link.permissions.some(hasPermission) || (link.approvers && isApprover()));
 
     return (
         <>
@@ -98,8 +101,8 @@ function Sidebar({ isOpen, onClose }) {
                         ))}
                     </div>
 
-                    {/* Admin Navigation Section - Only visible to Super Users */}
-                    {isAdmin() && (
+                    {/* Admin Navigation Section - Only visible with admin permissions */}
+                    {adminNavLinks.length > 0 && (
                         <div className="nav-section">
                             <h3 className="nav-section-title">Admin</h3>
 
@@ -0,0 +1,187 @@
+/**
+ * =============================================================================
+ * SMARTALLOC - WAITLIST MANAGER
+ * =============================================================================
+ * Admin Dashboard tab for the waitlists of fully booked resources (requires
+ * allocations:manage). Uses the AdminDashboard table styles.
+ *
+ * Entries are booked automatically when their slot comes free; this tab
+ * shows the queues and lets an admin step in.
+ *
+ * Features:
+ * - Entries by status, in queue order per window
+ * - Remove a waiting entry
+ * - Try booking a waiting entry now
+ *
+ * API:
+ * - GET /api/waitlist?status=
+ * - DELETE /api/waitlist/:id
+ * - POST /api/waitlist/:id/promote
+ *
+ * @author SmartAlloc Team
+ * @version 1.0.0
+ * =============================================================================
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../context/AuthContext';
+
+const API_URL = 'http://localhost:5000/api';
+
+const STATUS_FILTERS = [
+    { value: 'waiting', label: 'Waiting' },
+    { value: 'promoted', label: 'Booked' },
+    { value: 'cancelled', label: 'Cancelled' },
+    { value: 'expired', label: 'Expired' },
+    { value: 'all', label: 'All' }
+];
+
+const formatWindow = (entry) => (
+    `${new Date(entry.startTime).toLocaleString()} - ${new Date(entry.endTime).toLocaleTimeString()}`
+);
+
+/**
+ * WaitlistManager Component
+ *
+ * @param {Function} onMessage - Show a dashboard message: (type, text)
+ */
+function WaitlistManager({ onMessage }) {
+    const { token } = useAuth();
+
+    const [entries, setEntries] = useState([]);
+    const [status, setStatus] = useState('waiting');
+    const [busyId, setBusyId] = useState(null);
+
+    const fetchEntries = useCallback(async () => {
+        try {
+            const response = await fetch(`${API_URL}/waitlist?status=${status}`, {
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+            const data = await response.json();
+            if (data.success) setEntries(data.data);
+        } catch (error) {
+            console.error('Error fetching waitlist:', error);
+        }
+    }, [token, status]);
+
+    useEffect(() => {
+        fetchEntries();
+    }, [fetchEntries]);
+
+    const send = async (url, method) => {
+        const response = await fetch(url, {
+            method,
+            headers: { 'Authorization': `Bearer ${token}` }
+        });
+        return response.json();
+    };
+
+    const handleRemove = async (entry) => {
+        if (!window.confirm(`Remove ${entry.requestedBy?.name || 'this user'} from the waitlist?`)) return;
+
+        setBusyId(entry._id);
+        try {
+            const data = await send(`${API_URL}/waitlist/${entry._id}`, 'DELETE');
+            onMessage(data.success ? 'success' : 'error', data.message);
+            if (data.success) fetchEntries();
+        } catch (error) {
+            onMessage('error', 'Failed to remove waitlist entry');
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    const handlePromote = async (entry) => {
+        setBusyId(entry._id);
+        try {
+            const data = await send(`${API_URL}/waitlist/${entry._id}/promote`, 'POST');
+            onMessage(data.success ? 'success' : 'error', data.message);
+            fetchEntries();
+        } catch (error) {
+            onMessage('error', 'Failed to book waitlist entry');
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    return (
+        <div className="roles-section">
+            <div className="section-actions">
+                <select className="role-select" value={status} onChange={(e) => setStatus(e.target.value)}>
+                    {STATUS_FILTERS.map(filter => (
+                        <option key={filter.value} value={filter.value}>{filter.label}</option>
+                    ))}
+                </select>
+            </div>
+            <p className="user-email" style={{ marginBottom: '1rem' }}>
+                When a booked slot comes free, the oldest waiting entry that can be booked gets it.
+                Entries whose window starts while they wait expire.
+            </p>
+            <div className="users-table-wrapper">
+                <table className="admin-table">
+                    <thead>
+                        <tr>
+                            <th>Resource</th>
+                            <th>Requested By</th>
+                            <th>Window</th>
+                            <th>Joined</th>
+                            <th>Status</th>
+                            <th>Actions</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {entries.length === 0 && (
+                            <tr>
+                                <td colSpan="6">Nobody is on the waitlist.</td>
+                            </tr>
+                        )}
+                        {entries.map(entry => (
+                            <tr key={entry._id}>
+                                <td>
+                                    <strong>{entry.resourceId?.name || 'Deleted resource'}</strong>
+                                    <span className="user-email">{entry.assignedTo}</span>
+                                </td>
+                                <td>
+                                    {entry.requestedBy?.name || 'Deleted user'}
+                                    {entry.requestedBy && <span className="user-email">{entry.requestedBy.email}</span>}
+                                </td>
+                                <td>{formatWindow(entry)}</td>
+                                <td>{new Date(entry.createdAt).toLocaleString()}</td>
+                                <td>
+                                    <span className={`status-badge ${entry.status === 'waiting' || entry.status === 'promoted' ? 'active' : 'blocked'}`}>
+                                        {entry.status === 'promoted' ? `Booked (${entry.allocationId?.approvalStatus || 'deleted'})` : entry.status}
+                                    </span>
+                                    {entry.closedReason && <span className="user-email">{entry.closedReason}</span>}
+                                </td>
+                                <td className="actions-cell">
+                                    {entry.status === 'waiting' && (
+                                        <>
+                                            <button
+                                                className="action-btn approve"
+                                                onClick={() => handlePromote(entry)}
+                                                disabled={busyId === entry._id}
+                                                title="Try booking now"
+                                            >
+                                                🎟️ Book
+                                            </button>
+                                            <button
+                                                className="action-btn delete"
+                                                onClick={() => handleRemove(entry)}
+                                                disabled={busyId === entry._id}
+                                                title="Remove from the waitlist"
+                                            >
+                                                🗑️
+                                            </button>
+                                        </>
+                                    )}
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    );
+}
+
+export default WaitlistManager;
@@ -8,6 +8,7 @@
  * - User state (logged in user data)
  * - Token management (localStorage persistence)
  * - Login/Logout functions
+ * - Permission checks (permissions come from the user's role)
  * - Loading state for initial auth check
  * 
  * @author SmartAlloc Team
@@ -23,6 +24,9 @@ const AuthContext = createContext(null);
 // API Base URL
 const API_URL = 'http://localhost:5000/api';
 
+// Any of these permissions opens the Admin Panel
+export const ADMIN_PANEL_PERMISSIONS = ['allocations:approve', 'allocations:manage', 'users:read', 'users:manage', 'roles:manage', 'resources:write', 'jobs:manage', 'audit:read'];
+
 /**
  * Auth Provider Component
  * Wraps the app and provides authentication state to all children
@@ -136,6 +140,23 @@ export const AuthProvider = ({ children }) => {
         return user && user.role === 'Super User';
     };
 
+    /**
+     * Check if the user's role grants a permission
+     * e.g. hasPermission('allocations:approve')
+     */
+    const hasPermission = (permission) => {
+        return Boolean(user && user.permissions && user.permissions.includes(permission));
+    };
+
+    /**
+     * Check if the user decides any approval requests - with
+     * allocations:approve, or as a step approver / delegate (see the
+     * server's utils/approvalChain.js)
+     */
+    const isApprover = () => {
+        return Boolean(user && (user.isApprover || hasPermission('allocations:approve')));
+    };
+
     // Context value
     const value = {
         user,
@@ -144,6 +165,8 @@ export const AuthProvider = ({ children }) => {
         login,
         logout,
         isAdmin,
+        hasPermission,
+        isApprover,
         isAuthenticated: !!user
     };
 
@@ -0,0 +1,139 @@
+/**
+ * =============================================================================
+ * SMARTALLOC - LIVE UPDATES CONTEXT
+ * =============================================================================
+ * Keeps one WebSocket to the server (ws://.../api/live) open while a user
+ * is logged in, and lets pages react when allocations, resources or
+ * notifications change so they don't go stale.
+ *
+ * Features:
+ * - Authenticated with the login token (in the query string)
+ * - Reconnects with backoff (1s doubling up to 30s) after a drop
+ * - useLiveUpdates(prefixes, onChange): calls onChange once a burst of
+ *   matching events (e.g. 'allocation:') has settled, and after a
+ *   reconnect, since events may have been missed meanwhile
+ *
+ * Events only carry IDs - pages refetch what they show.
+ *
+ * @author SmartAlloc Team
+ * @version 1.0.0
+ * =============================================================================
+ */
+
+import React, { createContext, useContext, useEffect, useRef, useCallback } from 'react';
+import { useAuth } from './AuthContext';
+
+const LiveUpdatesContext = createContext(null);
+
+// WebSocket URL of the live channel
+const LIVE_URL = 'ws://localhost:5000/api/live';
+
+// Close code the server uses for blocked accounts - no reconnecting then
+const CLOSE_BLOCKED = 4003;
+
+// Longest wait between reconnect attempts
+const MAX_RETRY_MS = 30 * 1000;
+
+// How long a burst of events is collected before pages refetch
+const SETTLE_MS = 300;
+
+// Sent to every listener when the connection comes back
+const RECONNECTED = 'live:reconnected';
+
+/**
+ * Live Updates Provider Component
+ * Must be placed inside AuthProvider
+ */
+export const LiveUpdatesProvider = ({ children }) => {
+    const { token } = useAuth();
+    const listenersRef = useRef(new Set());
+
+    useEffect(() => {
+        if (!token) return undefined;
+
+        let socket = null;
+        let retryTimer = null;
+        let retries = 0;
+        let stopped = false;
+        let hadConnection = false;
+
+        const dispatch = (event, data) => {
+            listenersRef.current.forEach(listener => listener(event, data));
+        };
+
+        const connect = () => {
+            socket = new WebSocket(`${LIVE_URL}?token=${encodeURIComponent(token)}`);
+
+            socket.onmessage = (message) => {
+                let parsed;
+                try {
+                    parsed = JSON.parse(message.data);
+                } catch (error) {
+                    return;
+                }
+
+                if (parsed.event === 'connected') {
+                    retries = 0;
+                    if (hadConnection) dispatch(RECONNECTED, {});
+                    hadConnection = true;
+                    return;
+                }
+                dispatch(parsed.event, parsed.data);
+            };
+
+            socket.onclose = (event) => {
+                if (stopped || event.code === CLOSE_BLOCKED) return;
+                retryTimer = setTimeout(connect, Math.min(1000 * 2 ** retries, MAX_RETRY_MS));
+                retries += 1;
+            };
+        };
+
+        connect();
+
+        return () => {
+            stopped = true;
+            clearTimeout(retryTimer);
+            if (socket) socket.close();
+        };
+    }, [token]);
+
+    const subscribe = useCallback((listener) => {
+        listenersRef.current.add(listener);
+        return () => listenersRef.current.delete(listener);
+    }, []);
+
+    return (
+        <LiveUpdatesContext.Provider value={{ subscribe }}>
+            {children}
+        </LiveUpdatesContext.Provider>
+    );
+};
+
+/**
+ * Call onChange when events starting with one of the prefixes arrive
+ *
+ * @param {Array} prefixes - Event name prefixes, e.g. ['allocation:', 'resource:']
+ * @param {Function} onChange - Called with the last (event, data) of a burst
+ */
+export const useLiveUpdates = (prefixes, onChange) => {
+    const { subscribe } = useContext(LiveUpdatesContext);
+    const onChangeRef = useRef(onChange);
+    onChangeRef.current = onChange;
+    const prefixKey = prefixes.join(',');
+
+    useEffect(() => {
+        let timer = null;
+        const unsubscribe = subscribe((event, data) => {
+            if (event !== RECONNECTED && !prefixKey.split(',').some(prefix => event.startsWith(prefix))) return;
+            clearTimeout(timer);
+            timer = setTimeout(() => onChangeRef.current(event, data), SETTLE_MS);
+        });
+
+        return () => {
+            clearTimeout(timer);
+            unsubscribe();
+        };
+    }, [subscribe, prefixKey]);
+};
+
+export default LiveUpdatesContext;
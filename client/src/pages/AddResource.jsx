@@ -6,11 +6,13 @@
  * 
  * Features:
  * - Form with Name, Type, and Description fields
+ * - Capacity, location, amenities and the type's custom fields
  * - Form validation
  * - Success/Error feedback
  * - Redirect after successful creation
  * 
- * API: POST /api/resources
+ * API: POST /api/resources (plus the lookups in ResourceTypeSelect and
+ * ResourceAttributeFields)
  * 
  * @author SmartAlloc Team
  * @version 1.0.0
@@ -19,31 +21,22 @@
 
 import React, { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import ResourceAttributeFields, { EMPTY_ATTRIBUTES, attributesToPayload } from '../components/ResourceAttributeFields';
+import ResourceTypeSelect from '../components/ResourceTypeSelect';
 
 /**
  * API Base URL
  */
 const API_BASE_URL = 'http://localhost:5000/api';
 
-/**
- * Resource Types for dropdown
- */
-const RESOURCE_TYPES = [
-    'Meeting Room',
-    'Conference Hall',
-    'Equipment',
-    'Vehicle',
-    'Laptop',
-    'Projector',
-    'Other'
-];
-
 /**
  * AddResource Component
  */
 function AddResource() {
     // Navigation hook
     const navigate = useNavigate();
+    const { token } = useAuth();
 
     // Form state
     const [formData, setFormData] = useState({
@@ -52,6 +45,9 @@ function AddResource() {
         description: ''
     });
 
+    // Capacity, location, amenities and custom fields
+    const [attributes, setAttributes] = useState(EMPTY_ATTRIBUTES);
+
     // Loading state
     const [loading, setLoading] = useState(false);
 
@@ -68,6 +64,10 @@ function AddResource() {
             ...prev,
             [name]: value
         }));
+        // Custom fields belong to the old type
+        if (name === 'type') {
+            setAttributes(prev => ({ ...prev, customFields: {} }));
+        }
         // Clear any previous messages
         setMessage({ type: '', text: '' });
     };
@@ -97,9 +97,10 @@ function AddResource() {
             const response = await fetch(`${API_BASE_URL}/resources`, {
                 method: 'POST',
                 headers: {
-                    'Content-Type': 'application/json'
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${token}`
                 },
-                body: JSON.stringify(formData)
+                body: JSON.stringify({ ...formData, ...attributesToPayload(attributes) })
             });
 
             const data = await response.json();
@@ -110,6 +111,7 @@ function AddResource() {
 
                 // Reset form
                 setFormData({ name: '', type: '', description: '' });
+                setAttributes(EMPTY_ATTRIBUTES);
 
                 // Redirect to resources page after delay
                 setTimeout(() => {
@@ -117,7 +119,10 @@ function AddResource() {
                 }, 1500);
             } else {
                 // Show error from API
-                setMessage({ type: 'error', text: data.message || 'Failed to create resource' });
+                setMessage({
+                    type: 'error',
+                    text: data.errors ? data.errors.join(', ') : data.message || 'Failed to create resource'
+                });
             }
         } catch (err) {
             console.error('Error creating resource:', err);
@@ -135,6 +140,7 @@ function AddResource() {
      */
     const handleReset = () => {
         setFormData({ name: '', type: '', description: '' });
+        setAttributes(EMPTY_ATTRIBUTES);
         setMessage({ type: '', text: '' });
     };
 
@@ -179,18 +185,13 @@ function AddResource() {
                             <label className="form-label">
                                 Resource Type <span>*</span>
                             </label>
-                            <select
+                            <ResourceTypeSelect
                                 name="type"
                                 value={formData.type}
                                 onChange={handleChange}
-                                className="form-select"
+                                placeholder="Select a type..."
                                 disabled={loading}
-                            >
-                                <option value="">Select a type...</option>
-                                {RESOURCE_TYPES.map(type => (
-                                    <option key={type} value={type}>{type}</option>
-                                ))}
-                            </select>
+                            />
                         </div>
 
                         {/* Description Field */}
@@ -209,6 +210,14 @@ function AddResource() {
                             />
                         </div>
 
+                        {/* Capacity, Location, Amenities, Custom Fields */}
+                        <ResourceAttributeFields
+                            type={formData.type}
+                            value={attributes}
+                            onChange={setAttributes}
+                            disabled={loading}
+                        />
+
                         {/* Form Buttons */}
                         <div className="flex gap-10">
                             <button
@@ -2,11 +2,28 @@
  * =============================================================================
  * SMARTALLOC - ADMIN DASHBOARD
  * =============================================================================
- * Admin-only dashboard for managing allocation requests and users.
+ * Admin dashboard for managing allocation requests, users and roles.
+ * Each tab is only shown when the user's role grants its permission.
  * 
  * Features:
- * - Pending Allocation Requests with Approve/Reject
- * - User Management (Block/Unblock, Delete, Reset Password)
+ * - Pending Allocation Requests with Approve/Reject - the current step of
+ *   each request's approval chain, with its trail; rejecting asks for a
+ *   comment (allocations:approve, or an approver of a step). New requests
+ *   appear live.
+ * - A discussion thread per request, shared with the requester
+ * - Delegating your approvals while you are away
+ * - Auto-approval rules that approve or reject requests as they are made
+ *   (allocations:approve)
+ * - Waitlists of booked slots: remove entries or book one now
+ *   (allocations:manage)
+ * - User Management (Block/Unblock, Delete, Reset Password, Change Role,
+ *   departments a user manages) (users:read to view, users:manage to edit)
+ * - Role Management with permission checkboxes (roles:manage)
+ * - Resource types with icons, colours and booking policies (resources:write)
+ * - Custom resource fields per type (resources:write)
+ * - Background jobs: schedule, history, run now and retry (jobs:manage)
+ * - Activity: the audit log of who changed what, with filters and export
+ *   (audit:read)
  * - Quick Statistics
  * 
  * @author SmartAlloc Team
@@ -16,15 +33,45 @@
 
 import React, { useState, useEffect } from 'react';
 import { useAuth } from '../context/AuthContext';
+import { useLiveUpdates } from '../context/LiveUpdatesContext';
+import ResourceFieldManager from '../components/ResourceFieldManager';
+import ResourceTypeManager from '../components/ResourceTypeManager';
+import ApprovalRuleManager from '../components/ApprovalRuleManager';
+import ApprovalTrail from '../components/ApprovalTrail';
+import DelegationSettings from '../components/DelegationSettings';
+import CommentThread from '../components/CommentThread';
+import WaitlistManager from '../components/WaitlistManager';
+import JobManager from '../components/JobManager';
+import ActivityLog from '../components/ActivityLog';
 import './AdminDashboard.css';
 
 const API_URL = 'http://localhost:5000/api';
 
+const EMPTY_ROLE = { name: '', description: '', permissions: [] };
+
 const AdminDashboard = () => {
-    const { token } = useAuth();
-    const [activeTab, setActiveTab] = useState('requests');
+    const { token, user: currentUser, hasPermission, isApprover } = useAuth();
+
+    const canApprove = hasPermission('allocations:approve');
+    const canManageAllocations = hasPermission('allocations:manage');
+    // Step approvers and delegates see the requests tab too
+    const canDecide = isApprover();
+    const canManageUsers = hasPermission('users:manage');
+    const canViewUsers = canManageUsers || hasPermission('users:read');
+    const canManageRoles = hasPermission('roles:manage');
+    const canManageResources = hasPermission('resources:write');
+    const canManageJobs = hasPermission('jobs:manage');
+    const canViewAudit = hasPermission('audit:read');
+
+    const [activeTab, setActiveTab] = useState(
+        canDecide ? 'requests' : canManageAllocations ? 'waitlist' : canViewUsers ? 'users' : canManageRoles ? 'roles' : canManageResources ? 'types' : canManageJobs ? 'jobs' : 'activity'
+    );
     const [pendingRequests, setPendingRequests] = useState([]);
+    // Request whose discussion is open
+    const [discussionId, setDiscussionId] = useState(null);
     const [users, setUsers] = useState([]);
+    const [roles, setRoles] = useState([]);
+    const [permissionList, setPermissionList] = useState([]);
     const [loading, setLoading] = useState(true);
     const [actionLoading, setActionLoading] = useState(null);
     const [message, setMessage] = useState({ type: '', text: '' });
@@ -39,16 +86,30 @@ const AdminDashboard = () => {
         department: ''
     });
 
+    // Role Modal State (editingRoleId is null when creating)
+    const [showRoleModal, setShowRoleModal] = useState(false);
+    const [editingRoleId, setEditingRoleId] = useState(null);
+    const [roleForm, setRoleForm] = useState(EMPTY_ROLE);
+
     // Fetch data on mount
     useEffect(() => {
         fetchPendingRequests();
         fetchUsers();
+        fetchRoles();
     }, []);
 
+    // Requests made or decided elsewhere show up without a refresh
+    useLiveUpdates(['allocation:'], () => fetchPendingRequests());
+
     /**
      * Fetch pending allocation requests
      */
     const fetchPendingRequests = async () => {
+        if (!canDecide) {
+            setLoading(false);
+            return;
+        }
+
         try {
             const response = await fetch(`${API_URL}/allocations/pending`, {
                 headers: { 'Authorization': `Bearer ${token}` }
@@ -68,8 +129,12 @@ const AdminDashboard = () => {
      * Fetch all users
      */
     const fetchUsers = async () => {
+        if (!canViewUsers) return;
+
         try {
-            const response = await fetch(`${API_URL}/users`);
+            const response = await fetch(`${API_URL}/users`, {
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
             const data = await response.json();
             if (data.success) {
                 setUsers(data.data);
@@ -80,9 +145,45 @@ const AdminDashboard = () => {
     };
 
     /**
-     * Handle allocation approval/rejection
+     * Fetch roles (for the role dropdowns) and the permission catalogue
+     */
+    const fetchRoles = async () => {
+        try {
+            const headers = { 'Authorization': `Bearer ${token}` };
+            const [rolesRes, permissionsRes] = await Promise.all([
+                fetch(`${API_URL}/roles`, { headers }),
+                fetch(`${API_URL}/roles/permissions`, { headers })
+            ]);
+            const rolesData = await rolesRes.json();
+            const permissionsData = await permissionsRes.json();
+
+            if (rolesData.success) {
+                setRoles(rolesData.data);
+            }
+            if (permissionsData.success) {
+                setPermissionList(permissionsData.data);
+            }
+        } catch (error) {
+            console.error('Error fetching roles:', error);
+        }
+    };
+
+    /**
+     * Handle allocation approval/rejection of the current step.
+     * Rejecting needs a comment, which the requester sees.
      */
     const handleAllocationStatus = async (id, status) => {
+        let comment = '';
+        if (status === 'rejected') {
+            comment = prompt('Why are you rejecting this request? The requester will see this.');
+            if (comment === null) return;
+            if (!comment.trim()) {
+                setMessage({ type: 'error', text: 'Please give a reason for rejecting the request' });
+                setTimeout(() => setMessage({ type: '', text: '' }), 3000);
+                return;
+            }
+        }
+
         setActionLoading(id);
         try {
             const response = await fetch(`${API_URL}/allocations/${id}/status`, {
@@ -91,15 +192,17 @@ const AdminDashboard = () => {
                     'Content-Type': 'application/json',
                     'Authorization': `Bearer ${token}`
                 },
-                body: JSON.stringify({ status })
+                body: JSON.stringify({ status, comment })
             });
             const data = await response.json();
 
             if (data.success) {
-                setMessage({ type: 'success', text: `Request ${status} successfully!` });
+                setMessage({ type: 'success', text: data.message });
                 fetchPendingRequests();
             } else {
-                setMessage({ type: 'error', text: data.message });
+                // List every broken booking rule, not just the first
+                const others = (data.violations || []).slice(1).map(violation => violation.message);
+                setMessage({ type: 'error', text: [data.message, ...others].join('; ') });
             }
         } catch (error) {
             setMessage({ type: 'error', text: 'Failed to update request' });
@@ -208,6 +311,161 @@ const AdminDashboard = () => {
         }
     };
 
+    /**
+     * Handle role change for a user
+     */
+    const handleUserRole = async (id, role) => {
+        setActionLoading(id);
+        try {
+            const response = await fetch(`${API_URL}/users/${id}/role`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${token}`
+                },
+                body: JSON.stringify({ role })
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                setMessage({ type: 'success', text: data.message });
+                fetchUsers();
+                fetchRoles();
+            } else {
+                setMessage({ type: 'error', text: data.message });
+            }
+        } catch (error) {
+            setMessage({ type: 'error', text: 'Failed to change role' });
+        } finally {
+            setActionLoading(null);
+            setTimeout(() => setMessage({ type: '', text: '' }), 3000);
+        }
+    };
+
+    /**
+     * Set the departments a user approves requests for as manager
+     */
+    const handleManagedDepartments = async (user) => {
+        const departments = prompt(
+            `Departments ${user.name} manages (comma-separated, empty for none):`,
+            (user.managedDepartments || []).join(', ')
+        );
+        if (departments === null) return;
+
+        setActionLoading(user._id);
+        try {
+            const response = await fetch(`${API_URL}/users/${user._id}/departments`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${token}`
+                },
+                body: JSON.stringify({ managedDepartments: departments })
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                setMessage({ type: 'success', text: data.message });
+                fetchUsers();
+            } else {
+                setMessage({ type: 'error', text: data.message });
+            }
+        } catch (error) {
+            setMessage({ type: 'error', text: 'Failed to update managed departments' });
+        } finally {
+            setActionLoading(null);
+            setTimeout(() => setMessage({ type: '', text: '' }), 3000);
+        }
+    };
+
+    /**
+     * Open the role modal for a new role or an existing one
+     */
+    const openRoleModal = (role) => {
+        setEditingRoleId(role ? role._id : null);
+        setRoleForm(role
+            ? { name: role.name, description: role.description, permissions: role.permissions }
+            : EMPTY_ROLE);
+        setShowRoleModal(true);
+    };
+
+    const toggleRolePermission = (permission) => {
+        setRoleForm(prev => ({
+            ...prev,
+            permissions: prev.permissions.includes(permission)
+                ? prev.permissions.filter(p => p !== permission)
+                : [...prev.permissions, permission]
+        }));
+    };
+
+    /**
+     * Handle Create / Update Role
+     */
+    const handleSaveRole = async (e) => {
+        e.preventDefault();
+        setActionLoading('role');
+
+        // Super User permissions are fixed, so they are never sent
+        const editingRole = roles.find(role => role._id === editingRoleId);
+        const body = editingRole && editingRole.name === 'Super User'
+            ? { description: roleForm.description }
+            : roleForm;
+
+        try {
+            const response = await fetch(`${API_URL}/roles${editingRoleId ? `/${editingRoleId}` : ''}`, {
+                method: editingRoleId ? 'PUT' : 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${token}`
+                },
+                body: JSON.stringify(body)
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                setMessage({ type: 'success', text: data.message });
+                setShowRoleModal(false);
+                fetchRoles();
+                fetchUsers();
+            } else {
+                setMessage({ type: 'error', text: data.errors ? data.errors.join(', ') : data.message });
+            }
+        } catch (error) {
+            setMessage({ type: 'error', text: 'Failed to save role' });
+        } finally {
+            setActionLoading(null);
+            setTimeout(() => setMessage({ type: '', text: '' }), 3000);
+        }
+    };
+
+    /**
+     * Handle role deletion
+     */
+    const handleDeleteRole = async (id, name) => {
+        if (!window.confirm(`Are you sure you want to delete the "${name}" role?`)) return;
+
+        setActionLoading(id);
+        try {
+            const response = await fetch(`${API_URL}/roles/${id}`, {
+                method: 'DELETE',
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                setMessage({ type: 'success', text: 'Role deleted successfully!' });
+                fetchRoles();
+            } else {
+                setMessage({ type: 'error', text: data.message });
+            }
+        } catch (error) {
+            setMessage({ type: 'error', text: 'Failed to delete role' });
+        } finally {
+            setActionLoading(null);
+            setTimeout(() => setMessage({ type: '', text: '' }), 3000);
+        }
+    };
+
     /**
      * Handle user deletion
      */
@@ -252,7 +510,7 @@ const AdminDashboard = () => {
         <div className="admin-dashboard">
             <div className="admin-header">
                 <h1>🛡️ Admin Dashboard</h1>
-                <p>Manage allocation requests and users</p>
+                <p>Manage allocation requests, users, roles and resource fields</p>
             </div>
 
             {/* Message Toast */}
@@ -264,59 +522,131 @@ const AdminDashboard = () => {
 
             {/* Quick Stats */}
             <div className="admin-stats">
-                <div className="stat-card pending">
-                    <span className="stat-icon">⏳</span>
-                    <div className="stat-info">
-                        <h3>{pendingRequests.length}</h3>
-                        <p>Pending Requests</p>
-                    </div>
-                </div>
-                <div className="stat-card users">
-                    <span className="stat-icon">👥</span>
-                    <div className="stat-info">
-                        <h3>{users.length}</h3>
-                        <p>Total Users</p>
-                    </div>
-                </div>
-                <div className="stat-card active">
-                    <span className="stat-icon">✅</span>
-                    <div className="stat-info">
-                        <h3>{users.filter(u => u.status === 'active').length}</h3>
-                        <p>Active Users</p>
-                    </div>
-                </div>
-                <div className="stat-card blocked">
-                    <span className="stat-icon">🚫</span>
-                    <div className="stat-info">
-                        <h3>{users.filter(u => u.status === 'blocked').length}</h3>
-                        <p>Blocked Users</p>
+                {canDecide && (
+                    <div className="stat-card pending">
+                        <span className="stat-icon">⏳</span>
+                        <div className="stat-info">
+                            <h3>{pendingRequests.length}</h3>
+                            <p>Pending Requests</p>
+                        </div>
                     </div>
-                </div>
+                )}
+                {canViewUsers && (
+                    <>
+                        <div className="stat-card users">
+                            <span className="stat-icon">👥</span>
+                            <div className="stat-info">
+                                <h3>{users.length}</h3>
+                                <p>Total Users</p>
+                            </div>
+                        </div>
+                        <div className="stat-card active">
+                            <span className="stat-icon">✅</span>
+                            <div className="stat-info">
+                                <h3>{users.filter(u => u.status === 'active').length}</h3>
+                                <p>Active Users</p>
+                            </div>
+                        </div>
+                        <div className="stat-card blocked">
+                            <span className="stat-icon">🚫</span>
+                            <div className="stat-info">
+                                <h3>{users.filter(u => u.status === 'blocked').length}</h3>
+                                <p>Blocked Users</p>
+                            </div>
+                        </div>
+                    </>
+                )}
             </div>
 
             {/* Tab Navigation */}
             <div className="admin-tabs">
-                <button
-                    className={`tab-btn ${activeTab === 'requests' ? 'active' : ''}`}
-                    onClick={() => setActiveTab('requests')}
-                >
-                    📋 Allocation Requests
-                    {pendingRequests.length > 0 && (
-                        <span className="tab-badge">{pendingRequests.length}</span>
-                    )}
-                </button>
-                <button
-                    className={`tab-btn ${activeTab === 'users' ? 'active' : ''}`}
-                    onClick={() => setActiveTab('users')}
-                >
-                    👤 User Management
-                </button>
+                {canDecide && (
+                    <button
+                        className={`tab-btn ${activeTab === 'requests' ? 'active' : ''}`}
+                        onClick={() => setActiveTab('requests')}
+                    >
+                        📋 Allocation Requests
+                        {pendingRequests.length > 0 && (
+                            <span className="tab-badge">{pendingRequests.length}</span>
+                        )}
+                    </button>
+                )}
+                {canApprove && (
+                    <button
+                        className={`tab-btn ${activeTab === 'rules' ? 'active' : ''}`}
+                        onClick={() => setActiveTab('rules')}
+                    >
+                        ⚡ Approval Rules
+                    </button>
+                )}
+                {canManageAllocations && (
+                    <button
+                        className={`tab-btn ${activeTab === 'waitlist' ? 'active' : ''}`}
+                        onClick={() => setActiveTab('waitlist')}
+                    >
+                        ⏳ Waitlist
+                    </button>
+                )}
+                {canViewUsers && (
+                    <button
+                        className={`tab-btn ${activeTab === 'users' ? 'active' : ''}`}
+                        onClick={() => setActiveTab('users')}
+                    >
+                        👤 User Management
+                    </button>
+                )}
+                {canManageRoles && (
+                    <button
+                        className={`tab-btn ${activeTab === 'roles' ? 'active' : ''}`}
+                        onClick={() => setActiveTab('roles')}
+                    >
+                        🔑 Roles
+                    </button>
+                )}
+                {canManageResources && (
+                    <button
+                        className={`tab-btn ${activeTab === 'types' ? 'active' : ''}`}
+                        onClick={() => setActiveTab('types')}
+                    >
+                        🏷️ Resource Types
+                    </button>
+                )}
+                {canManageResources && (
+                    <button
+                        className={`tab-btn ${activeTab === 'fields' ? 'active' : ''}`}
+                        onClick={() => setActiveTab('fields')}
+                    >
+                        🧩 Resource Fields
+                    </button>
+                )}
+                {canManageJobs && (
+                    <button
+                        className={`tab-btn ${activeTab === 'jobs' ? 'active' : ''}`}
+                        onClick={() => setActiveTab('jobs')}
+                    >
+                        ⚙️ Jobs
+                    </button>
+                )}
+                {canViewAudit && (
+                    <button
+                        className={`tab-btn ${activeTab === 'activity' ? 'active' : ''}`}
+                        onClick={() => setActiveTab('activity')}
+                    >
+                        📜 Activity
+                    </button>
+                )}
             </div>
 
             {/* Tab Content */}
             <div className="admin-content">
-                {activeTab === 'requests' && (
+                {activeTab === 'requests' && canDecide && (
                     <div className="requests-section">
+                        <DelegationSettings
+                            onMessage={(type, text) => {
+                                setMessage({ type, text });
+                                setTimeout(() => setMessage({ type: '', text: '' }), 3000);
+                            }}
+                        />
                         {loading ? (
                             <div className="loading-state">Loading requests...</div>
                         ) : pendingRequests.length === 0 ? (
@@ -333,43 +663,65 @@ const AdminDashboard = () => {
                                             <th>Requested By</th>
                                             <th>Time</th>
                                             <th>Purpose</th>
+                                            <th>Approval</th>
                                             <th>Actions</th>
                                         </tr>
                                     </thead>
                                     <tbody>
                                         {pendingRequests.map(req => (
-                                            <tr key={req._id}>
-                                                <td>
-                                                    <strong>{req.resourceId?.name || 'Unknown'}</strong>
-                                                    <span className="resource-type">{req.resourceId?.type}</span>
-                                                </td>
-                                                <td>
-                                                    <strong>{req.requestedBy?.name || req.assignedTo}</strong>
-                                                    <span className="user-email">{req.requestedBy?.email}</span>
-                                                </td>
-                                                <td>
-                                                    <span className="time-range">
-                                                        {formatDate(req.startTime)} - {formatDate(req.endTime)}
-                                                    </span>
-                                                </td>
-                                                <td>{req.purpose || '-'}</td>
-                                                <td className="actions-cell">
-                                                    <button
-                                                        className="action-btn approve"
-                                                        onClick={() => handleAllocationStatus(req._id, 'approved')}
-                                                        disabled={actionLoading === req._id}
-                                                    >
-                                                        {actionLoading === req._id ? '...' : '✅ Approve'}
-                                                    </button>
-                                                    <button
-                                                        className="action-btn reject"
-                                                        onClick={() => handleAllocationStatus(req._id, 'rejected')}
-                                                        disabled={actionLoading === req._id}
-                                                    >
-                                                        {actionLoading === req._id ? '...' : '❌ Reject'}
-                                                    </button>
-                                                </td>
-                                            </tr>
+                                            <React.Fragment key={req._id}>
+                                                <tr>
+                                                    <td>
+                                                        <strong>{req.resourceId?.name || 'Unknown'}</strong>
+                                                        <span className="resource-type">{req.resourceId?.type}</span>
+                                                    </td>
+                                                    <td>
+                                                        <strong>{req.requestedBy?.name || req.assignedTo}</strong>
+                                                        <span className="user-email">{req.requestedBy?.email}</span>
+                                                    </td>
+                                                    <td>
+                                                        <span className="time-range">
+                                                            {formatDate(req.startTime)} - {formatDate(req.endTime)}
+                                                        </span>
+                                                    </td>
+                                                    <td>{req.purpose || '-'}</td>
+                                                    <td>
+                                                        {req.onBehalfOf && (
+                                                            <span className="user-email">On behalf of {req.onBehalfOf.name}</span>
+                                                        )}
+                                                        <ApprovalTrail allocation={req} />
+                                                    </td>
+                                                    <td className="actions-cell">
+                                                        <button
+                                                            className="action-btn approve"
+                                                            onClick={() => handleAllocationStatus(req._id, 'approved')}
+                                                            disabled={actionLoading === req._id}
+                                                        >
+                                                            {actionLoading === req._id ? '...' : '✅ Approve'}
+                                                        </button>
+                                                        <button
+                                                            className="action-btn reject"
+                                                            onClick={() => handleAllocationStatus(req._id, 'rejected')}
+                                                            disabled={actionLoading === req._id}
+                                                        >
+                                                            {actionLoading === req._id ? '...' : '❌ Reject'}
+                                                        </button>
+                                                        <button
+                                                            className="action-btn reset"
+                                                            onClick={() => setDiscussionId(discussionId === req._id ? null : req._id)}
+                                                        >
+                                                            💬 Discuss
+                                                        </button>
+                                                    </td>
+                                                </tr>
+                                                {discussionId === req._id && (
+                                                    <tr>
+                                                        <td colSpan={6}>
+                                                            <CommentThread allocationId={req._id} />
+                                                        </td>
+                                                    </tr>
+                                                )}
+                                            </React.Fragment>
                                         ))}
                                     </tbody>
                                 </table>
@@ -378,13 +730,15 @@ const AdminDashboard = () => {
                     </div>
                 )}
 
-                {activeTab === 'users' && (
+                {activeTab === 'users' && canViewUsers && (
                     <div className="users-section">
-                        <div className="section-actions">
-                            <button className="btn-primary" onClick={() => setShowUserModal(true)}>
-                                ➕ Add New User
-                            </button>
-                        </div>
+                        {canManageUsers && (
+                            <div className="section-actions">
+                                <button className="btn-primary" onClick={() => setShowUserModal(true)}>
+                                    ➕ Add New User
+                                </button>
+                            </div>
+                        )}
                         <div className="users-table-wrapper">
                             <table className="admin-table">
                                 <thead>
@@ -394,7 +748,7 @@ const AdminDashboard = () => {
                                         <th>Role</th>
                                         <th>Department</th>
                                         <th>Status</th>
-                                        <th>Actions</th>
+                                        {canManageUsers && <th>Actions</th>}
                                     </tr>
                                 </thead>
                                 <tbody>
@@ -403,48 +757,136 @@ const AdminDashboard = () => {
                                             <td><strong>{user.name}</strong></td>
                                             <td>{user.email}</td>
                                             <td>
-                                                <span className={`role-badge ${user.role === 'Super User' ? 'admin' : 'user'}`}>
-                                                    {user.role === 'Super User' ? '👑 Admin' : '👤 User'}
-                                                </span>
+                                                {canManageUsers && user._id !== currentUser?._id ? (
+                                                    <select
+                                                        className="role-select"
+                                                        value={user.role}
+                                                        onChange={(e) => handleUserRole(user._id, e.target.value)}
+                                                        disabled={actionLoading === user._id}
+                                                    >
+                                                        {roles.map(role => (
+                                                            <option key={role._id} value={role.name}>{role.name}</option>
+                                                        ))}
+                                                    </select>
+                                                ) : (
+                                                    <span className={`role-badge ${user.role === 'Super User' ? 'admin' : 'user'}`}>
+                                                        {user.role === 'Super User' ? '👑 Admin' : `👤 ${user.role}`}
+                                                    </span>
+                                                )}
+                                            </td>
+                                            <td>
+                                                {user.department}
+                                                {user.managedDepartments && user.managedDepartments.length > 0 && (
+                                                    <span className="user-email">🏢 Manages {user.managedDepartments.join(', ')}</span>
+                                                )}
                                             </td>
-                                            <td>{user.department}</td>
                                             <td>
                                                 <span className={`status-badge ${user.status}`}>
                                                     {user.status === 'active' ? '🟢 Active' : '🔴 Blocked'}
                                                 </span>
                                             </td>
-                                            <td className="actions-cell">
-                                                {user.status === 'active' ? (
+                                            {canManageUsers && (
+                                                <td className="actions-cell">
+                                                    {user.status === 'active' ? (
+                                                        <button
+                                                            className="action-btn block"
+                                                            onClick={() => handleUserStatus(user._id, 'blocked')}
+                                                            disabled={actionLoading === user._id}
+                                                        >
+                                                            🚫 Block
+                                                        </button>
+                                                    ) : (
+                                                        <button
+                                                            className="action-btn unblock"
+                                                            onClick={() => handleUserStatus(user._id, 'active')}
+                                                            disabled={actionLoading === user._id}
+                                                        >
+                                                            ✅ Unblock
+                                                        </button>
+                                                    )}
                                                     <button
-                                                        className="action-btn block"
-                                                        onClick={() => handleUserStatus(user._id, 'blocked')}
+                                                        className="action-btn reset"
+                                                        onClick={() => handleResetPassword(user._id, user.name)}
                                                         disabled={actionLoading === user._id}
                                                     >
-                                                        🚫 Block
+                                                        🔑 Reset
                                                     </button>
-                                                ) : (
                                                     <button
-                                                        className="action-btn unblock"
-                                                        onClick={() => handleUserStatus(user._id, 'active')}
+                                                        className="action-btn reset"
+                                                        onClick={() => handleManagedDepartments(user)}
                                                         disabled={actionLoading === user._id}
+                                                        title="Departments whose requests this user approves as manager"
                                                     >
-                                                        ✅ Unblock
+                                                        🏢 Manages
                                                     </button>
-                                                )}
+                                                    <button
+                                                        className="action-btn delete"
+                                                        onClick={() => handleDeleteUser(user._id, user.name)}
+                                                        disabled={actionLoading === user._id}
+                                                    >
+                                                        🗑️
+                                                    </button>
+                                                </td>
+                                            )}
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    </div>
+                )}
+
+                {activeTab === 'roles' && canManageRoles && (
+                    <div className="roles-section">
+                        <div className="section-actions">
+                            <button className="btn-primary" onClick={() => openRoleModal(null)}>
+                                ➕ Add New Role
+                            </button>
+                        </div>
+                        <div className="users-table-wrapper">
+                            <table className="admin-table">
+                                <thead>
+                                    <tr>
+                                        <th>Role</th>
+                                        <th>Permissions</th>
+                                        <th>Users</th>
+                                        <th>Actions</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {roles.map(role => (
+                                        <tr key={role._id}>
+                                            <td>
+                                                <strong>{role.name}</strong>
+                                                <span className="user-email">{role.description}</span>
+                                            </td>
+                                            <td>
+                                                <div className="permission-tags">
+                                                    {role.permissions.length === 0 ? (
+                                                        <span className="user-email">Request resources only</span>
+                                                    ) : role.permissions.map(permission => (
+                                                        <span key={permission} className="permission-tag">{permission}</span>
+                                                    ))}
+                                                </div>
+                                            </td>
+                                            <td>{role.userCount}</td>
+                                            <td className="actions-cell">
                                                 <button
                                                     className="action-btn reset"
-                                                    onClick={() => handleResetPassword(user._id, user.name)}
-                                                    disabled={actionLoading === user._id}
+                                                    onClick={() => openRoleModal(role)}
+                                                    disabled={actionLoading === role._id}
                                                 >
-                                                    🔑 Reset
-                                                </button>
-                                                <button
-                                                    className="action-btn delete"
-                                                    onClick={() => handleDeleteUser(user._id, user.name)}
-                                                    disabled={actionLoading === user._id}
-                                                >
-                                                    🗑️
+                                                    ✏️ Edit
                                                 </button>
+                                                {!role.builtIn && (
+                                                    <button
+                                                        className="action-btn delete"
+                                                        onClick={() => handleDeleteRole(role._id, role.name)}
+                                                        disabled={actionLoading === role._id}
+                                                    >
+                                                        🗑️
+                                                    </button>
+                                                )}
                                             </td>
                                         </tr>
                                     ))}
@@ -453,8 +895,131 @@ const AdminDashboard = () => {
                         </div>
                     </div>
                 )}
+
+                {activeTab === 'rules' && canApprove && (
+                    <ApprovalRuleManager
+                        onMessage={(type, text) => {
+                            setMessage({ type, text });
+                            setTimeout(() => setMessage({ type: '', text: '' }), 3000);
+                        }}
+                    />
+                )}
+
+                {activeTab === 'waitlist' && canManageAllocations && (
+                    <WaitlistManager
+                        onMessage={(type, text) => {
+                            setMessage({ type, text });
+                            setTimeout(() => setMessage({ type: '', text: '' }), 3000);
+                        }}
+                    />
+                )}
+
+                {activeTab === 'types' && canManageResources && (
+                    <ResourceTypeManager
+                        onMessage={(type, text) => {
+                            setMessage({ type, text });
+                            setTimeout(() => setMessage({ type: '', text: '' }), 3000);
+                        }}
+                    />
+                )}
+
+                {activeTab === 'fields' && canManageResources && (
+                    <ResourceFieldManager
+                        onMessage={(type, text) => {
+                            setMessage({ type, text });
+                            setTimeout(() => setMessage({ type: '', text: '' }), 3000);
+                        }}
+                    />
+                )}
+
+                {activeTab === 'jobs' && canManageJobs && (
+                    <JobManager
+                        onMessage={(type, text) => {
+                            setMessage({ type, text });
+                            setTimeout(() => setMessage({ type: '', text: '' }), 3000);
+                        }}
+                    />
+                )}
+
+                {activeTab === 'activity' && canViewAudit && (
+                    <ActivityLog
+                        onMessage={(type, text) => {
+                            setMessage({ type, text });
+                            setTimeout(() => setMessage({ type: '', text: '' }), 3000);
+                        }}
+                    />
+                )}
             </div>
 
+            {/* Add / Edit Role Modal */}
+            {showRoleModal && (() => {
+                const editingRole = roles.find(role => role._id === editingRoleId);
+                const isBuiltIn = Boolean(editingRole && editingRole.builtIn);
+                const isSuperUser = Boolean(editingRole && editingRole.name === 'Super User');
+
+                return (
+                    <div className="modal-overlay">
+                        <div className="modal-card">
+                            <div className="modal-header">
+                                <h2>{editingRole ? `Edit ${editingRole.name}` : 'Add New Role'}</h2>
+                                <button className="close-btn" onClick={() => setShowRoleModal(false)}>×</button>
+                            </div>
+                            <form onSubmit={handleSaveRole} className="modal-form">
+                                <div className="form-group">
+                                    <label>Role Name</label>
+                                    <input
+                                        type="text"
+                                        required
+                                        maxLength="50"
+                                        value={roleForm.name}
+                                        onChange={(e) => setRoleForm({ ...roleForm, name: e.target.value })}
+                                        placeholder="e.g. Approver"
+                                        disabled={isBuiltIn}
+                                    />
+                                </div>
+                                <div className="form-group">
+                                    <label>Description</label>
+                                    <input
+                                        type="text"
+                                        maxLength="200"
+                                        value={roleForm.description}
+                                        onChange={(e) => setRoleForm({ ...roleForm, description: e.target.value })}
+                                        placeholder="What is this role for?"
+                                    />
+                                </div>
+                                <div className="form-group">
+                                    <label>Permissions</label>
+                                    <div className="permission-list">
+                                        {permissionList.map(permission => (
+                                            <label key={permission.name} className="permission-option">
+                                                <input
+                                                    type="checkbox"
+                                                    checked={isSuperUser || roleForm.permissions.includes(permission.name)}
+                                                    onChange={() => toggleRolePermission(permission.name)}
+                                                    disabled={isSuperUser}
+                                                />
+                                                <span>
+                                                    <strong>{permission.name}</strong>
+                                                    <small>{permission.description}</small>
+                                                </span>
+                                            </label>
+                                        ))}
+                                    </div>
+                                </div>
+                                <div className="modal-actions">
+                                    <button type="button" className="btn-secondary" onClick={() => setShowRoleModal(false)}>
+                                        Cancel
+                                    </button>
+                                    <button type="submit" className="btn-primary" disabled={actionLoading === 'role'}>
+                                        {actionLoading === 'role' ? 'Saving...' : editingRole ? 'Save Role' : 'Create Role'}
+                                    </button>
+                                </div>
+                            </form>
+                        </div>
+                    </div>
+                );
+            })()}
+
             {/* Add User Modal */}
             {showUserModal && (
                 <div className="modal-overlay">
@@ -502,8 +1067,11 @@ const AdminDashboard = () => {
                                         value={newUser.role}
                                         onChange={(e) => setNewUser({ ...newUser, role: e.target.value })}
                                     >
-                                        <option value="User">User</option>
-                                        <option value="Super User">Admin (Super User)</option>
+                                        {roles.map(role => (
+                                            <option key={role._id} value={role.name}>
+                                                {role.name === 'Super User' ? 'Admin (Super User)' : role.name}
+                                            </option>
+                                        ))}
                                     </select>
                                 </div>
                                 <div className="form-group">
@@ -0,0 +1,456 @@
+/**
+ * =============================================================================
+ * SMARTALLOC - ALLOCATION CALENDAR PAGE
+ * =============================================================================
+ * Calendar view of allocations, making gaps and clashes easy to spot.
+ *
+ * Features:
+ * - Month, Week and Day views
+ * - Resource-by-time timeline grid for a single day
+ * - Pending / Approved / Rejected / Cancelled bookings styled by approvalStatus
+ * - Click an empty slot to request that resource/time in AssignResource
+ * - Subscribe panel for iCalendar feed URLs
+ * - Live updates: the visible range reloads when allocations change
+ *
+ * API:
+ * - GET /api/allocations?from=&to= (allocations in the visible range)
+ * - GET /api/resources (rows of the timeline grid)
+ *
+ * @author SmartAlloc Team
+ * @version 1.0.0
+ * =============================================================================
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { useLiveUpdates } from '../context/LiveUpdatesContext';
+import CalendarSubscribe from '../components/CalendarSubscribe';
+import './AllocationCalendar.css';
+
+/**
+ * API Base URL
+ */
+const API_BASE_URL = 'http://localhost:5000/api';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_HEIGHT = 40; // px per hour row in week/day views
+const HOURS = Array.from({ length: 24 }, (_, hour) => hour);
+const WEEKDAY_LABELS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+const VIEWS = [
+    { key: 'month', label: 'Month' },
+    { key: 'week', label: 'Week' },
+    { key: 'day', label: 'Day' },
+    { key: 'timeline', label: 'Timeline' }
+];
+
+/**
+ * Date helpers (all in local time)
+ */
+const startOfDay = (date) => {
+    const d = new Date(date);
+    d.setHours(0, 0, 0, 0);
+    return d;
+};
+
+const addDays = (date, days) => {
+    const d = new Date(date);
+    d.setDate(d.getDate() + days);
+    return d;
+};
+
+// Weeks start on Monday
+const startOfWeek = (date) => {
+    const d = startOfDay(date);
+    return addDays(d, -((d.getDay() + 6) % 7));
+};
+
+const isSameDay = (a, b) => startOfDay(a).getTime() === startOfDay(b).getTime();
+
+/**
+ * Format a Date for a datetime-local input (YYYY-MM-DDTHH:mm)
+ */
+const toLocalInput = (date) => {
+    const d = new Date(date);
+    d.setMinutes(d.getMinutes() - d.getTimezoneOffset());
+    return d.toISOString().slice(0, 16);
+};
+
+/**
+ * Visible range [from, to) for a view anchored on a date
+ */
+const getVisibleRange = (view, anchor) => {
+    if (view === 'month') {
+        const firstOfMonth = new Date(anchor.getFullYear(), anchor.getMonth(), 1);
+        const from = startOfWeek(firstOfMonth);
+        return { from, to: addDays(from, 42) }; // 6-week grid
+    }
+    if (view === 'week') {
+        const from = startOfWeek(anchor);
+        return { from, to: addDays(from, 7) };
+    }
+    const from = startOfDay(anchor);
+    return { from, to: addDays(from, 1) };
+};
+
+/**
+ * AllocationCalendar Component
+ */
+function AllocationCalendar() {
+    const navigate = useNavigate();
+    const { token } = useAuth();
+
+    const [view, setView] = useState('week');
+    const [anchor, setAnchor] = useState(() => startOfDay(new Date()));
+    const [showSubscribe, setShowSubscribe] = useState(false);
+
+    const [allocations, setAllocations] = useState([]);
+    const [resources, setResources] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    const { from, to } = getVisibleRange(view, anchor);
+
+    /**
+     * Fetch resources once (timeline rows)
+     */
+    useEffect(() => {
+        fetchResources();
+    }, []);
+
+    // A quiet fetch (live update) keeps the current view on screen meanwhile
+    const fetchAllocations = useCallback(async (quiet = false) => {
+        try {
+            if (!quiet) setLoading(true);
+            setError(null);
+
+            const range = getVisibleRange(view, anchor);
+            const params = new URLSearchParams({
+                from: range.from.toISOString(),
+                to: range.to.toISOString()
+            });
+            const response = await fetch(`${API_BASE_URL}/allocations?${params}`, {
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                setAllocations(data.data);
+            } else {
+                setError('Failed to load allocations');
+            }
+        } catch (err) {
+            console.error('Error fetching allocations:', err);
+            setError('Unable to connect to server. Make sure the backend is running.');
+        } finally {
+            setLoading(false);
+        }
+    }, [view, anchor, token]);
+
+    /**
+     * Fetch allocations whenever the visible range changes
+     */
+    useEffect(() => {
+        fetchAllocations();
+    }, [fetchAllocations]);
+
+    useLiveUpdates(['allocation:'], () => fetchAllocations(true));
+
+    const fetchResources = async () => {
+        try {
+            const response = await fetch(`${API_BASE_URL}/resources`);
+            const data = await response.json();
+            if (data.success) {
+                setResources([...data.data].sort((a, b) => a.name.localeCompare(b.name)));
+            }
+        } catch (err) {
+            console.error('Error fetching resources:', err);
+        }
+    };
+
+    /**
+     * Move backwards/forwards by one unit of the current view
+     */
+    const shift = (direction) => {
+        if (view === 'month') {
+            setAnchor(prev => new Date(prev.getFullYear(), prev.getMonth() + direction, 1));
+        } else {
+            setAnchor(prev => addDays(prev, direction * (view === 'week' ? 7 : 1)));
+        }
+    };
+
+    /**
+     * Open AssignResource prefilled with the clicked slot
+     * Past slots cannot be booked, so they are ignored
+     */
+    const openSlot = (start, end, resourceId = '') => {
+        if (start < new Date()) return;
+
+        const params = new URLSearchParams({
+            startTime: toLocalInput(start),
+            endTime: toLocalInput(end)
+        });
+        if (resourceId) params.set('resourceId', resourceId);
+
+        navigate(`/assign-resource?${params}`);
+    };
+
+    /**
+     * Allocations overlapping a time range
+     */
+    const allocationsBetween = (rangeStart, rangeEnd) => allocations.filter(a =>
+        new Date(a.startTime) < rangeEnd && new Date(a.endTime) > rangeStart
+    );
+
+    const formatTime = (date) => new Date(date).toLocaleTimeString('en-US', {
+        hour: 'numeric',
+        minute: '2-digit'
+    });
+
+    const describe = (allocation) =>
+        `${allocation.resourceId?.name || 'Unknown Resource'} - ${allocation.assignedTo}\n` +
+        `${formatTime(allocation.startTime)} - ${formatTime(allocation.endTime)} (${allocation.approvalStatus})` +
+        (allocation.purpose ? `\n${allocation.purpose}` : '');
+
+    const rangeLabel = () => {
+        if (view === 'month') {
+            return anchor.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+        }
+        if (view === 'week') {
+            const last = addDays(from, 6);
+            return `${from.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })} - ${last.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}`;
+        }
+        return anchor.toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' });
+    };
+
+    /**
+     * MONTH VIEW - 6 week grid, clicking a day opens it in Day view
+     */
+    const renderMonth = () => {
+        const days = Array.from({ length: 42 }, (_, i) => addDays(from, i));
+
+        return (
+            <div className="cal-month">
+                {WEEKDAY_LABELS.map(label => (
+                    <div key={label} className="cal-month-label">{label}</div>
+                ))}
+                {days.map(day => {
+                    const dayAllocations = allocationsBetween(day, addDays(day, 1));
+                    const outside = day.getMonth() !== anchor.getMonth();
+
+                    return (
+                        <div
+                            key={day.getTime()}
+                            className={`cal-month-cell ${outside ? 'outside' : ''} ${isSameDay(day, new Date()) ? 'today' : ''}`}
+                            onClick={() => { setAnchor(day); setView('day'); }}
+                        >
+                            <span className="cal-month-date">{day.getDate()}</span>
+                            {dayAllocations.slice(0, 3).map(a => (
+                                <div key={a._id} className={`cal-event cal-chip ${a.approvalStatus}`} title={describe(a)}>
+                                    {formatTime(a.startTime)} {a.resourceId?.name}
+                                </div>
+                            ))}
+                            {dayAllocations.length > 3 && (
+                                <div className="cal-more">+{dayAllocations.length - 3} more</div>
+                            )}
+                        </div>
+                    );
+                })}
+            </div>
+        );
+    };
+
+    /**
+     * WEEK / DAY VIEW - hour rows, one column per day
+     */
+    const renderDayColumns = (days) => (
+        <div className="cal-grid-wrapper">
+            <div className="cal-grid" style={{ gridTemplateColumns: `60px repeat(${days.length}, 1fr)` }}>
+                {/* Column headers */}
+                <div className="cal-grid-corner"></div>
+                {days.map(day => (
+                    <div key={day.getTime()} className={`cal-grid-header ${isSameDay(day, new Date()) ? 'today' : ''}`}>
+                        {day.toLocaleDateString('en-US', { weekday: 'short', day: 'numeric' })}
+                    </div>
+                ))}
+
+                {/* Hour labels */}
+                <div className="cal-hours">
+                    {HOURS.map(hour => (
+                        <div key={hour} className="cal-hour-label" style={{ height: HOUR_HEIGHT }}>
+                            {new Date(2000, 0, 1, hour).toLocaleTimeString('en-US', { hour: 'numeric' })}
+                        </div>
+                    ))}
+                </div>
+
+                {/* Day columns */}
+                {days.map(day => {
+                    const dayEnd = addDays(day, 1);
+
+                    return (
+                        <div key={day.getTime()} className="cal-day-column">
+                            {HOURS.map(hour => {
+                                const slotStart = new Date(day.getFullYear(), day.getMonth(), day.getDate(), hour);
+                                const slotEnd = new Date(slotStart.getTime() + 60 * 60 * 1000);
+                                return (
+                                    <div
+                                        key={hour}
+                                        className={`cal-slot ${slotStart < new Date() ? 'past' : ''}`}
+                                        style={{ height: HOUR_HEIGHT }}
+                                        onClick={() => openSlot(slotStart, slotEnd)}
+                                    />
+                                );
+                            })}
+                            {allocationsBetween(day, dayEnd).map(a => {
+                                const start = Math.max(new Date(a.startTime), day);
+                                const end = Math.min(new Date(a.endTime), dayEnd);
+                                return (
+                                    <div
+                                        key={a._id}
+                                        className={`cal-event cal-block ${a.approvalStatus}`}
+                                        style={{
+                                            top: (start - day) / (60 * 60 * 1000) * HOUR_HEIGHT,
+                                            height: Math.max((end - start) / (60 * 60 * 1000) * HOUR_HEIGHT, 16)
+                                        }}
+                                        title={describe(a)}
+                                        onClick={(e) => e.stopPropagation()}
+                                    >
+                                        <strong>{a.resourceId?.name}</strong>
+                                        <span>{a.assignedTo}</span>
+                                    </div>
+                                );
+                            })}
+                        </div>
+                    );
+                })}
+            </div>
+        </div>
+    );
+
+    /**
+     * TIMELINE VIEW - one row per resource across the hours of a day
+     * Clicking free space books that resource for the clicked hour
+     */
+    const renderTimeline = () => {
+        const dayStart = from;
+
+        const handleTrackClick = (e, resourceId) => {
+            if (e.target !== e.currentTarget) return;
+            const ratio = e.nativeEvent.offsetX / e.currentTarget.clientWidth;
+            const hour = Math.floor(ratio * 24);
+            const slotStart = new Date(dayStart.getFullYear(), dayStart.getMonth(), dayStart.getDate(), hour);
+            openSlot(slotStart, new Date(slotStart.getTime() + 60 * 60 * 1000), resourceId);
+        };
+
+        const toPercent = (date) => Math.min(100, Math.max(0, (new Date(date) - dayStart) / DAY_MS * 100));
+
+        return (
+            <div className="cal-timeline">
+                <div className="cal-timeline-row cal-timeline-head">
+                    <div className="cal-timeline-name">Resource</div>
+                    <div className="cal-timeline-scale">
+                        {HOURS.filter(hour => hour % 3 === 0).map(hour => (
+                            <span key={hour} style={{ left: `${hour / 24 * 100}%` }}>
+                                {new Date(2000, 0, 1, hour).toLocaleTimeString('en-US', { hour: 'numeric' })}
+                            </span>
+                        ))}
+                    </div>
+                </div>
+                {resources.map(resource => (
+                    <div key={resource._id} className="cal-timeline-row">
+                        <div className="cal-timeline-name" title={resource.type}>{resource.name}</div>
+                        <div
+                            className="cal-timeline-track"
+                            onClick={(e) => handleTrackClick(e, resource._id)}
+                        >
+                            {allocations
+                                .filter(a => a.resourceId?._id === resource._id)
+                                .map(a => (
+                                    <div
+                                        key={a._id}
+                                        className={`cal-event cal-bar ${a.approvalStatus}`}
+                                        style={{
+                                            left: `${toPercent(a.startTime)}%`,
+                                            width: `${toPercent(a.endTime) - toPercent(a.startTime)}%`
+                                        }}
+                                        title={describe(a)}
+                                    />
+                                ))}
+                        </div>
+                    </div>
+                ))}
+            </div>
+        );
+    };
+
+    const renderView = () => {
+        if (view === 'month') return renderMonth();
+        if (view === 'week') return renderDayColumns(Array.from({ length: 7 }, (_, i) => addDays(from, i)));
+        if (view === 'day') return renderDayColumns([from]);
+        return renderTimeline();
+    };
+
+    return (
+        <div>
+            {/* Page Header */}
+            <div className="page-header">
+                <h1 className="page-title">Calendar</h1>
+                <p className="page-subtitle">See bookings over time - click an empty slot to request it</p>
+            </div>
+
+            {/* Toolbar */}
+            <div className="cal-toolbar">
+                <div className="flex gap-10">
+                    <button className="btn btn-secondary btn-sm" onClick={() => shift(-1)}>◀</button>
+                    <button className="btn btn-secondary btn-sm" onClick={() => setAnchor(startOfDay(new Date()))}>Today</button>
+                    <button className="btn btn-secondary btn-sm" onClick={() => shift(1)}>▶</button>
+                    <h2 className="cal-range-label">{rangeLabel()}</h2>
+                </div>
+                <div className="flex gap-10">
+                    <button
+                        className={`btn btn-sm ${showSubscribe ? 'btn-primary' : 'btn-secondary'}`}
+                        onClick={() => setShowSubscribe(prev => !prev)}
+                    >
+                        🔗 Subscribe
+                    </button>
+                    {VIEWS.map(option => (
+                        <button
+                            key={option.key}
+                            className={`btn btn-sm ${view === option.key ? 'btn-primary' : 'btn-secondary'}`}
+                            onClick={() => setView(option.key)}
+                        >
+                            {option.label}
+                        </button>
+                    ))}
+                </div>
+            </div>
+
+            {showSubscribe && <CalendarSubscribe />}
+
+            {/* Legend */}
+            <div className="cal-legend">
+                <span><span className="cal-event cal-swatch approved"></span> Approved</span>
+                <span><span className="cal-event cal-swatch pending"></span> Pending</span>
+                <span><span className="cal-event cal-swatch rejected"></span> Rejected</span>
+                <span><span className="cal-event cal-swatch cancelled"></span> Cancelled</span>
+            </div>
+
+            {error && (
+                <div className="alert alert-error">⚠️ {error}</div>
+            )}
+
+            <div className="card">
+                <div className="card-body">
+                    {loading ? (
+                        <div className="loading-spinner">
+                            <div className="spinner"></div>
+                        </div>
+                    ) : renderView()}
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default AllocationCalendar;
@@ -6,33 +6,112 @@
  * 
  * Features:
  * - Table with Resource, Assigned To, Start, End, Status columns
+ * - Server-side filters (resource, type, status, dates, search) and sorting
+ * - Infinite scroll, loading the next page as the end of the table appears
  * - Status badges (Active, Upcoming, Completed)
+ * - Cancellation reasons and "needs review" flags (e.g. retired resources)
+ * - The auto-approval rule that approved or rejected a request
+ * - The approval trail of your own requests (admins see every trail)
+ * - Rejection reasons, and a discussion thread per request (requester and approvers)
+ * - The history of each request from the audit log: who did what, and what changed
+ * - Edit / reschedule links for your own bookings (allocations:manage: any booking)
+ * - Cancel your own bookings, and check in to them (no-shows are released)
  * - Delete allocation functionality
+ * - Download own allocations as .ics (admins can download any)
  * - Empty state when no allocations exist
+ * - Live updates: the loaded rows and the counts reload when allocations change
  * 
- * API: GET /api/allocations
+ * API:
+ * - GET /api/allocations (filters, sort, cursor pagination)
+ * - GET /api/resources (filter options)
+ * - GET /api/allocations/:id/ics
+ * - POST /api/allocations/:id/cancel, POST /api/allocations/:id/check-in
+ * - /api/allocations/:id/comments (see components/CommentThread.jsx)
+ * - GET /api/allocations/:id/history (see components/AllocationHistory.jsx)
  * 
  * @author SmartAlloc Team
  * @version 1.0.0
  * =============================================================================
  */
 
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { useLiveUpdates } from '../context/LiveUpdatesContext';
+import ApprovalTrail from '../components/ApprovalTrail';
+import CommentThread from '../components/CommentThread';
+import AllocationHistory from '../components/AllocationHistory';
 
 /**
  * API Base URL
  */
 const API_BASE_URL = 'http://localhost:5000/api';
 
+// Allocations loaded per request while scrolling
+const PAGE_SIZE = 20;
+
+// Most rows a live update reloads at once (the API's page limit)
+const MAX_REFRESH_SIZE = 100;
+
+const EMPTY_FILTERS = {
+    search: '',
+    assignedTo: '',
+    resourceId: '',
+    resourceType: '',
+    approvalStatus: '',
+    timeStatus: '',
+    needsReview: '',
+    from: '',
+    to: '',
+    sort: '-startTime'
+};
+
+const SORT_OPTIONS = [
+    { value: '-startTime', label: 'Start time (newest first)' },
+    { value: 'startTime', label: 'Start time (oldest first)' },
+    { value: '-createdAt', label: 'Recently requested' },
+    { value: 'assignedTo', label: 'Assigned to (A-Z)' }
+];
+
+/**
+ * Turn the filter form into query parameters (empty fields are left out)
+ */
+const buildFilterParams = (filters) => {
+    const params = new URLSearchParams();
+    Object.entries(filters).forEach(([key, value]) => {
+        if (!value) return;
+        // Date inputs are local days - send the range as full days
+        if (key === 'from') params.set(key, new Date(`${value}T00:00`).toISOString());
+        else if (key === 'to') params.set(key, new Date(`${value}T23:59:59`).toISOString());
+        else params.set(key, value);
+    });
+    return params;
+};
+
 /**
  * AllocationList Component
  */
 function AllocationList() {
+    const { user, token, hasPermission } = useAuth();
+
     // Allocations state
     const [allocations, setAllocations] = useState([]);
 
-    // Loading state
+    // Filter state (text fields are debounced into appliedFilters)
+    const [filters, setFilters] = useState(EMPTY_FILTERS);
+    const [appliedFilters, setAppliedFilters] = useState(EMPTY_FILTERS);
+    const [resources, setResources] = useState([]);
+
+    // Pagination state
+    const [total, setTotal] = useState(0);
+    const [nextCursor, setNextCursor] = useState(null);
+    const [counts, setCounts] = useState({ Active: 0, Upcoming: 0 });
+
+    // Loading states
     const [loading, setLoading] = useState(true);
+    const [loadingMore, setLoadingMore] = useState(false);
+
+    // Element at the end of the table - loads more when scrolled into view
+    const sentinelRef = useRef(null);
 
     // Error state
     const [error, setError] = useState(null);
@@ -40,36 +119,145 @@ function AllocationList() {
     // Message state for feedback
     const [message, setMessage] = useState({ type: '', text: '' });
 
+    // Allocation whose discussion is open (one at a time)
+    const [discussionId, setDiscussionId] = useState(null);
+
+    // Allocation whose history is open (one at a time)
+    const [historyId, setHistoryId] = useState(null);
+
     /**
-     * Fetch allocations on component mount
+     * Fetch resources for the filter dropdowns on mount
      */
     useEffect(() => {
-        fetchAllocations();
+        fetchResources();
     }, []);
 
     /**
-     * Fetch all allocations from API
+     * Apply filter changes - immediately for selects, after a pause for typing
      */
-    const fetchAllocations = async () => {
+    useEffect(() => {
+        const typing = filters.search !== appliedFilters.search || filters.assignedTo !== appliedFilters.assignedTo;
+        const timer = setTimeout(() => setAppliedFilters(filters), typing ? 400 : 0);
+        return () => clearTimeout(timer);
+    }, [filters, appliedFilters.search, appliedFilters.assignedTo]);
+
+    const fetchResources = async () => {
         try {
-            setLoading(true);
+            const response = await fetch(`${API_BASE_URL}/resources`);
+            const data = await response.json();
+            if (data.success) {
+                setResources(data.data);
+            }
+        } catch (err) {
+            console.error('Error fetching resources:', err);
+        }
+    };
+
+    // Rows loaded so far - a quiet reload fetches as many
+    const loadedCount = useRef(0);
+    loadedCount.current = allocations.length;
+
+    /**
+     * Fetch one page of allocations from API
+     * Without a cursor the list is replaced, with one the page is appended.
+     * A quiet fetch (live update) reloads as many rows as are loaded, without
+     * the loading state.
+     */
+    const fetchAllocations = useCallback(async (cursor = null, quiet = false) => {
+        try {
+            if (cursor) setLoadingMore(true);
+            else if (!quiet) setLoading(true);
 
-            const response = await fetch(`${API_BASE_URL}/allocations`);
+            const params = buildFilterParams(appliedFilters);
+            params.set('limit', quiet ? Math.min(Math.max(loadedCount.current, PAGE_SIZE), MAX_REFRESH_SIZE) : PAGE_SIZE);
+            if (cursor) params.set('cursor', cursor);
+
+            const response = await fetch(`${API_BASE_URL}/allocations?${params}`, {
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
             const data = await response.json();
 
             if (data.success) {
-                setAllocations(data.data);
+                setAllocations(prev => (cursor ? [...prev, ...data.data] : data.data));
+                setTotal(data.total);
+                setNextCursor(data.pagination.nextCursor);
+                setError(null);
             } else {
-                setError('Failed to load allocations');
+                setError(data.message || 'Failed to load allocations');
             }
         } catch (err) {
             console.error('Error fetching allocations:', err);
             setError('Unable to connect to server. Make sure the backend is running.');
         } finally {
             setLoading(false);
+            setLoadingMore(false);
         }
+    }, [appliedFilters, token]);
+
+    /**
+     * Active / Upcoming totals for the summary cards (same filters otherwise)
+     */
+    const fetchCounts = useCallback(async () => {
+        try {
+            const results = await Promise.all(['Active', 'Upcoming'].map(async (timeStatus) => {
+                const params = buildFilterParams({ ...appliedFilters, timeStatus });
+                params.set('limit', 1);
+                const response = await fetch(`${API_BASE_URL}/allocations?${params}`, {
+                    headers: { 'Authorization': `Bearer ${token}` }
+                });
+                const data = await response.json();
+                return [timeStatus, data.success ? data.total : 0];
+            }));
+            setCounts(Object.fromEntries(results));
+        } catch (err) {
+            console.error('Error fetching allocation counts:', err);
+        }
+    }, [appliedFilters, token]);
+
+    /**
+     * Reload from the first page whenever the applied filters change
+     */
+    useEffect(() => {
+        fetchAllocations();
+        fetchCounts();
+    }, [fetchAllocations, fetchCounts]);
+
+    /**
+     * Reload what is on screen when allocations change elsewhere
+     */
+    useLiveUpdates(['allocation:'], () => {
+        fetchAllocations(null, true);
+        fetchCounts();
+    });
+
+    /**
+     * Infinite scroll - load the next page when the sentinel becomes visible
+     */
+    useEffect(() => {
+        if (!sentinelRef.current || !nextCursor) return undefined;
+
+        const observer = new IntersectionObserver((entries) => {
+            if (entries[0].isIntersecting && !loadingMore) {
+                fetchAllocations(nextCursor);
+            }
+        }, { rootMargin: '200px' });
+
+        observer.observe(sentinelRef.current);
+        return () => observer.disconnect();
+    }, [nextCursor, loadingMore, fetchAllocations]);
+
+    /**
+     * Handle filter input changes
+     */
+    const handleFilterChange = (e) => {
+        const { name, value } = e.target;
+        setFilters(prev => ({ ...prev, [name]: value }));
     };
 
+    const resourceTypes = [...new Set(resources.map(resource => resource.type))].sort();
+    const hasActiveFilters = Object.keys(EMPTY_FILTERS)
+        .some(key => key !== 'sort' && filters[key] !== EMPTY_FILTERS[key]);
+
     /**
      * Handle allocation deletion
      */
@@ -80,7 +268,8 @@ function AllocationList() {
 
         try {
             const response = await fetch(`${API_BASE_URL}/allocations/${id}`, {
-                method: 'DELETE'
+                method: 'DELETE',
+                headers: { 'Authorization': `Bearer ${token}` }
             });
 
             const data = await response.json();
@@ -89,6 +278,7 @@ function AllocationList() {
                 setMessage({ type: 'success', text: 'Allocation deleted successfully' });
                 // Refresh the list
                 fetchAllocations();
+                fetchCounts();
                 // Clear message after 3 seconds
                 setTimeout(() => setMessage({ type: '', text: '' }), 3000);
             } else {
@@ -100,6 +290,100 @@ function AllocationList() {
         }
     };
 
+    /**
+     * Cancel a booking (kept in the list as cancelled). For an occurrence
+     * of a series the later occurrences can be cancelled with it.
+     */
+    const handleCancel = async (allocation) => {
+        const reason = window.prompt('Cancel this booking? You can give a reason (optional):', '');
+        if (reason === null) {
+            return;
+        }
+        const scope = allocation.seriesId && window.confirm('Also cancel the later bookings of this series?')
+            ? 'following'
+            : 'single';
+
+        try {
+            const response = await fetch(`${API_BASE_URL}/allocations/${allocation._id}/cancel`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${token}`
+                },
+                body: JSON.stringify({ reason, scope })
+            });
+
+            const data = await response.json();
+
+            if (data.success) {
+                setMessage({ type: 'success', text: data.message });
+                fetchAllocations();
+                fetchCounts();
+                setTimeout(() => setMessage({ type: '', text: '' }), 3000);
+            } else {
+                setMessage({ type: 'error', text: data.message || 'Failed to cancel allocation' });
+            }
+        } catch (err) {
+            console.error('Error cancelling allocation:', err);
+            setMessage({ type: 'error', text: 'Failed to cancel allocation' });
+        }
+    };
+
+    /**
+     * Check in to a booking so it isn't released as a no-show
+     */
+    const handleCheckIn = async (allocation) => {
+        try {
+            const response = await fetch(`${API_BASE_URL}/allocations/${allocation._id}/check-in`, {
+                method: 'POST',
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+
+            const data = await response.json();
+
+            if (data.success) {
+                setAllocations(allocations.map(item => (
+                    item._id === allocation._id ? { ...item, checkedInAt: data.data.checkedInAt, checkIn: null } : item
+                )));
+                setMessage({ type: 'success', text: data.message });
+                setTimeout(() => setMessage({ type: '', text: '' }), 3000);
+            } else {
+                setMessage({ type: 'error', text: data.message || 'Failed to check in' });
+            }
+        } catch (err) {
+            console.error('Error checking in:', err);
+            setMessage({ type: 'error', text: 'Failed to check in' });
+        }
+    };
+
+    /**
+     * Download an allocation as an .ics file
+     * Uses fetch (not a plain link) so the Bearer token can be sent
+     */
+    const handleDownloadIcs = async (allocation) => {
+        try {
+            const response = await fetch(`${API_BASE_URL}/allocations/${allocation._id}/ics`, {
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+
+            if (!response.ok) {
+                const data = await response.json();
+                setMessage({ type: 'error', text: data.message || 'Failed to export allocation' });
+                return;
+            }
+
+            const url = URL.createObjectURL(await response.blob());
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `${allocation.resourceId?.name || 'allocation'}.ics`;
+            link.click();
+            URL.revokeObjectURL(url);
+        } catch (err) {
+            console.error('Error exporting allocation:', err);
+            setMessage({ type: 'error', text: 'Failed to export allocation' });
+        }
+    };
+
     /**
      * Format date for display
      */
@@ -113,6 +397,30 @@ function AllocationList() {
         });
     };
 
+    /**
+     * Requesters and approvers can see a request's approval trail and discussion
+     */
+    const canDiscuss = (allocation) =>
+        allocation.requestedBy === user?._id || hasPermission('allocations:approve') || hasPermission('allocations:manage');
+
+    /**
+     * Pending and approved bookings that haven't ended can be edited by
+     * their requester and by allocations:manage
+     */
+    const canEdit = (allocation) =>
+        (allocation.requestedBy === user?._id || hasPermission('allocations:manage'))
+        && ['pending', 'approved'].includes(allocation.approvalStatus)
+        && allocation.timeStatus !== 'Completed';
+
+    /**
+     * Check-in opens shortly before the start (allocation.checkIn is only
+     * set for bookings that still need one)
+     */
+    const canCheckIn = (allocation) =>
+        allocation.checkIn
+        && (allocation.requestedBy === user?._id || hasPermission('allocations:manage'))
+        && new Date() >= new Date(allocation.checkIn.opensAt);
+
     /**
      * Get status badge class based on status
      */
@@ -125,17 +433,8 @@ function AllocationList() {
         return statusMap[status] || 'completed';
     };
 
-    // Show loading spinner
-    if (loading) {
-        return (
-            <div className="loading-spinner">
-                <div className="spinner"></div>
-            </div>
-        );
-    }
-
     // Show error
-    if (error) {
+    if (error && allocations.length === 0 && !hasActiveFilters) {
         return (
             <div>
                 <div className="page-header">
@@ -164,10 +463,103 @@ function AllocationList() {
                 </div>
             )}
 
+            {/* Filters */}
+            <div className="card" style={{ marginBottom: '20px' }}>
+                <div className="card-body">
+                    <div className="form-row filter-row">
+                        <input
+                            type="search"
+                            name="search"
+                            className="form-input"
+                            placeholder="🔍 Search purpose..."
+                            value={filters.search}
+                            onChange={handleFilterChange}
+                        />
+                        <input
+                            type="search"
+                            name="assignedTo"
+                            className="form-input"
+                            placeholder="Assigned to..."
+                            value={filters.assignedTo}
+                            onChange={handleFilterChange}
+                        />
+                        <select name="resourceId" className="form-select" value={filters.resourceId} onChange={handleFilterChange}>
+                            <option value="">All resources</option>
+                            {resources.map(resource => (
+                                <option key={resource._id} value={resource._id}>{resource.name}</option>
+                            ))}
+                        </select>
+                        <select name="resourceType" className="form-select" value={filters.resourceType} onChange={handleFilterChange}>
+                            <option value="">All types</option>
+                            {resourceTypes.map(type => (
+                                <option key={type} value={type}>{type}</option>
+                            ))}
+                        </select>
+                    </div>
+                    <div className="form-row filter-row">
+                        <select name="approvalStatus" className="form-select" value={filters.approvalStatus} onChange={handleFilterChange}>
+                            <option value="">Any approval</option>
+                            <option value="pending">Pending</option>
+                            <option value="approved">Approved</option>
+                            <option value="rejected">Rejected</option>
+                            <option value="cancelled">Cancelled</option>
+                        </select>
+                        <select name="needsReview" className="form-select" value={filters.needsReview} onChange={handleFilterChange}>
+                            <option value="">Any review state</option>
+                            <option value="true">⚠️ Needs review</option>
+                        </select>
+                        <select name="timeStatus" className="form-select" value={filters.timeStatus} onChange={handleFilterChange}>
+                            <option value="">Any time</option>
+                            <option value="Active">Active</option>
+                            <option value="Upcoming">Upcoming</option>
+                            <option value="Completed">Completed</option>
+                        </select>
+                        <input
+                            type="date"
+                            name="from"
+                            className="form-input"
+                            title="From date"
+                            value={filters.from}
+                            onChange={handleFilterChange}
+                        />
+                        <input
+                            type="date"
+                            name="to"
+                            className="form-input"
+                            title="To date"
+                            value={filters.to}
+                            min={filters.from}
+                            onChange={handleFilterChange}
+                        />
+                        <select name="sort" className="form-select" value={filters.sort} onChange={handleFilterChange}>
+                            {SORT_OPTIONS.map(option => (
+                                <option key={option.value} value={option.value}>{option.label}</option>
+                            ))}
+                        </select>
+                    </div>
+                    <div className="filter-summary">
+                        <span>Showing {allocations.length} of {total} allocations</span>
+                        {hasActiveFilters && (
+                            <button className="btn btn-secondary btn-sm" onClick={() => setFilters({ ...EMPTY_FILTERS, sort: filters.sort })}>
+                                Clear filters
+                            </button>
+                        )}
+                    </div>
+                </div>
+            </div>
+
+            {error && (
+                <div className="alert alert-error">⚠️ {error}</div>
+            )}
+
             {/* Allocations Table Card */}
             <div className="card">
                 <div className="card-body">
-                    {allocations.length > 0 ? (
+                    {loading ? (
+                        <div className="loading-spinner">
+                            <div className="spinner"></div>
+                        </div>
+                    ) : allocations.length > 0 ? (
                         <div className="table-container">
                             <table className="data-table">
                                 <thead>
@@ -183,58 +575,185 @@ function AllocationList() {
                                 </thead>
                                 <tbody>
                                     {allocations.map((allocation) => (
-                                        <tr key={allocation._id}>
-                                            {/* Resource Name */}
-                                            <td>
-                                                <strong>
-                                                    {allocation.resourceId?.name || 'Unknown Resource'}
-                                                </strong>
-                                                <br />
-                                                <small style={{ color: 'var(--text-muted)' }}>
-                                                    {allocation.resourceId?.type || ''}
-                                                </small>
-                                            </td>
-
-                                            {/* Assigned To */}
-                                            <td>{allocation.assignedTo}</td>
-
-                                            {/* Start Time */}
-                                            <td>{formatDate(allocation.startTime)}</td>
-
-                                            {/* End Time */}
-                                            <td>{formatDate(allocation.endTime)}</td>
-
-                                            {/* Purpose */}
-                                            <td>{allocation.purpose || '-'}</td>
-
-                                            {/* Status Badge */}
-                                            <td>
-                                                <span className={`status-badge ${getStatusClass(allocation.status)}`}>
-                                                    <span className="status-dot"></span>
-                                                    {allocation.status}
-                                                </span>
-                                            </td>
-
-                                            {/* Actions */}
-                                            <td>
-                                                <button
-                                                    className="btn btn-danger btn-sm"
-                                                    onClick={() => handleDelete(allocation._id)}
-                                                    title="Delete allocation"
-                                                >
-                                                    🗑️
-                                                </button>
-                                            </td>
-                                        </tr>
+                                        <React.Fragment key={allocation._id}>
+                                            <tr>
+                                                {/* Resource Name */}
+                                                <td>
+                                                    <strong>
+                                                        {allocation.resourceId?.name || 'Unknown Resource'}
+                                                    </strong>
+                                                    <br />
+                                                    <small style={{ color: 'var(--text-muted)' }}>
+                                                        {allocation.resourceId?.type || ''}
+                                                    </small>
+                                                </td>
+
+                                                {/* Assigned To */}
+                                                <td>{allocation.assignedTo}</td>
+
+                                                {/* Start Time */}
+                                                <td>{formatDate(allocation.startTime)}</td>
+
+                                                {/* End Time */}
+                                                <td>{formatDate(allocation.endTime)}</td>
+
+                                                {/* Purpose */}
+                                                <td>{allocation.purpose || '-'}</td>
+
+                                                {/* Status Badge */}
+                                                <td>
+                                                    <span className={`status-badge ${getStatusClass(allocation.timeStatus)}`}>
+                                                        <span className="status-dot"></span>
+                                                        {allocation.timeStatus}
+                                                    </span>
+                                                    {allocation.approvalStatus === 'cancelled' && (
+                                                        <small style={{ display: 'block', marginTop: '6px', color: 'var(--danger-color)' }} title={allocation.cancellationReason}>
+                                                            {allocation.noShow
+                                                                ? '🚫 No-show - released'
+                                                                : allocation.expired
+                                                                ? '⌛ Expired - not approved in time'
+                                                                : <>Cancelled{allocation.cancellationReason && `: ${allocation.cancellationReason}`}</>}
+                                                        </small>
+                                                    )}
+                                                    {allocation.checkedInAt && (
+                                                        <small style={{ display: 'block', marginTop: '6px', color: 'var(--success-color)' }}>
+                                                            ✓ Checked in {formatDate(allocation.checkedInAt)}
+                                                        </small>
+                                                    )}
+                                                    {allocation.checkIn && (
+                                                        <small style={{ display: 'block', marginTop: '6px', color: 'var(--warning-color)' }}>
+                                                            Check in by {formatDate(allocation.checkIn.closesAt)} or it is released
+                                                        </small>
+                                                    )}
+                                                    {allocation.approvalRule && (
+                                                        <small
+                                                            style={{ display: 'block', marginTop: '6px', color: allocation.approvalRule.action === 'reject' ? 'var(--danger-color)' : 'var(--text-secondary)' }}
+                                                            title={allocation.approvalRule.reason}
+                                                        >
+                                                            ⚡ {allocation.approvalRule.action === 'reject' ? 'Rejected' : 'Approved'} by rule "{allocation.approvalRule.name}"
+                                                            {allocation.approvalRule.action === 'reject' && allocation.approvalRule.reason && `: ${allocation.approvalRule.reason}`}
+                                                        </small>
+                                                    )}
+                                                    {allocation.approvalStatus === 'rejected' && allocation.rejectionReason && !allocation.approvalRule && (
+                                                        <small style={{ display: 'block', marginTop: '6px', color: 'var(--danger-color)' }}>
+                                                            Rejected: {allocation.rejectionReason}
+                                                        </small>
+                                                    )}
+                                                    {canDiscuss(allocation) && (
+                                                        <ApprovalTrail allocation={allocation} />
+                                                    )}
+                                                    {allocation.needsReview && (
+                                                        <small style={{ display: 'block', marginTop: '6px', color: 'var(--warning-color)' }} title={allocation.reviewReason}>
+                                                            ⚠️ Needs review{allocation.reviewReason && `: ${allocation.reviewReason}`}
+                                                        </small>
+                                                    )}
+                                                </td>
+
+                                                {/* Actions */}
+                                                <td>
+                                                    <div className="flex gap-10">
+                                                        {canCheckIn(allocation) && (
+                                                            <button
+                                                                className="btn btn-primary btn-sm"
+                                                                onClick={() => handleCheckIn(allocation)}
+                                                                title="Check in"
+                                                            >
+                                                                ✅
+                                                            </button>
+                                                        )}
+                                                        {canEdit(allocation) && (
+                                                            <a
+                                                                className="btn btn-secondary btn-sm"
+                                                                href={`/allocations/${allocation._id}/edit`}
+                                                                title="Edit or reschedule"
+                                                            >
+                                                                ✏️
+                                                            </a>
+                                                        )}
+                                                        {canDiscuss(allocation) && (
+                                                            <button
+                                                                className={`btn btn-sm ${discussionId === allocation._id ? 'btn-primary' : 'btn-secondary'}`}
+                                                                onClick={() => setDiscussionId(discussionId === allocation._id ? null : allocation._id)}
+                                                                title="Discussion"
+                                                            >
+                                                                💬
+                                                            </button>
+                                                        )}
+                                                        {(canDiscuss(allocation) || hasPermission('audit:read')) && (
+                                                            <button
+                                                                className={`btn btn-sm ${historyId === allocation._id ? 'btn-primary' : 'btn-secondary'}`}
+                                                                onClick={() => setHistoryId(historyId === allocation._id ? null : allocation._id)}
+                                                                title="History"
+                                                            >
+                                                                📜
+                                                            </button>
+                                                        )}
+                                                        {(hasPermission('allocations:manage') || allocation.requestedBy === user?._id) && (
+                                                            <button
+                                                                className="btn btn-secondary btn-sm"
+                                                                onClick={() => handleDownloadIcs(allocation)}
+                                                                title="Add to calendar (.ics)"
+                                                            >
+                                                                📅
+                                                            </button>
+                                                        )}
+                                                        {canEdit(allocation) && (
+                                                            <button
+                                                                className="btn btn-secondary btn-sm"
+                                                                onClick={() => handleCancel(allocation)}
+                                                                title="Cancel booking"
+                                                            >
+                                                                ✖️
+                                                            </button>
+                                                        )}
+                                                        {hasPermission('allocations:manage') && (
+                                                            <button
+                                                                className="btn btn-danger btn-sm"
+                                                                onClick={() => handleDelete(allocation._id)}
+                                                                title="Delete allocation"
+                                                            >
+                                                                🗑️
+                                                            </button>
+                                                        )}
+                                                    </div>
+                                                </td>
+                                            </tr>
+                                            {discussionId === allocation._id && (
+                                                <tr>
+                                                    <td colSpan={7}>
+                                                        <CommentThread allocationId={allocation._id} />
+                                                    </td>
+                                                </tr>
+                                            )}
+                                            {historyId === allocation._id && (
+                                                <tr>
+                                                    <td colSpan={7}>
+                                                        <AllocationHistory allocationId={allocation._id} />
+                                                    </td>
+                                                </tr>
+                                            )}
+                                        </React.Fragment>
                                     ))}
                                 </tbody>
                             </table>
+
+                            {/* Infinite scroll sentinel */}
+                            <div ref={sentinelRef}></div>
+                            {loadingMore && (
+                                <div className="loading-spinner">
+                                    <div className="spinner"></div>
+                                </div>
+                            )}
                         </div>
                     ) : (
                         <div className="empty-state">
                             <div className="empty-state-icon">📋</div>
                             <h3>No Allocations Found</h3>
-                            <p>Start by assigning resources to create allocations.</p>
+                            <p>
+                                {hasActiveFilters
+                                    ? 'No allocations match these filters.'
+                                    : 'Start by assigning resources to create allocations.'}
+                            </p>
                             <a href="/assign-resource" className="btn btn-primary" style={{ marginTop: '16px' }}>
                                 📝 Assign Resource
                             </a>
@@ -254,15 +773,15 @@ function AllocationList() {
                     <div className="stat-card" style={{ flex: '1', minWidth: '200px' }}>
                         <div className="stat-icon info">📊</div>
                         <div className="stat-content">
-                            <div className="stat-value">{allocations.length}</div>
-                            <div className="stat-label">Total Allocations</div>
+                            <div className="stat-value">{total}</div>
+                            <div className="stat-label">{hasActiveFilters ? 'Matching Allocations' : 'Total Allocations'}</div>
                         </div>
                     </div>
                     <div className="stat-card" style={{ flex: '1', minWidth: '200px' }}>
                         <div className="stat-icon success">⚡</div>
                         <div className="stat-content">
                             <div className="stat-value">
-                                {allocations.filter(a => a.status === 'Active').length}
+                                {counts.Active}
                             </div>
                             <div className="stat-label">Active Now</div>
                         </div>
@@ -271,7 +790,7 @@ function AllocationList() {
                         <div className="stat-icon warning">📅</div>
                         <div className="stat-content">
                             <div className="stat-value">
-                                {allocations.filter(a => a.status === 'Upcoming').length}
+                                {counts.Upcoming}
                             </div>
                             <div className="stat-label">Upcoming</div>
                         </div>
@@ -2,17 +2,28 @@
  * =============================================================================
  * SMARTALLOC - ASSIGN RESOURCE PAGE
  * =============================================================================
- * Form page for creating new resource allocations.
+ * Form page for creating new resource allocations, and for editing one
+ * (/allocations/:id/edit).
  * 
  * Features:
- * - Resource dropdown (fetched from API)
+ * - Resource dropdown listing only resources free in the chosen time window
  * - Assigned To, Start Time, End Time, Purpose fields
  * - Time validation (endTime > startTime, startTime >= now)
- * - Conflict detection feedback from API
+ * - Conflict detection feedback from API, with the option to join the
+ *   waitlist for a slot that is already booked, or to rebook in one click
+ *   at a nearby free time or on a free resource of the same type
+ * - Shows the selected resource's booking rules, and every rule a
+ *   rejected request broke (violations from the API)
+ * - Prefill from ?resourceId=&startTime=&endTime= (used by the Calendar page)
+ * - Edit mode: change time, resource, assignee or purpose, with the
+ *   allocation's change history below the form
  * 
  * API: 
- * - GET /api/resources (to populate dropdown)
- * - POST /api/allocations (to create allocation)
+ * - GET /api/resources/available (to populate dropdown for the chosen window)
+ * - GET /api/resources/:id (booking rules of the selected resource)
+ * - POST /api/allocations (to create allocation; a conflict lists alternatives)
+ * - POST /api/waitlist (slot already booked)
+ * - GET /api/allocations/:id, PUT /api/allocations/:id (edit mode)
  * 
  * @author SmartAlloc Team
  * @version 1.0.0
@@ -20,60 +31,167 @@
  */
 
 import React, { useState, useEffect } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, useParams, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { describePolicy } from '../components/BookingPolicyFields';
 
 /**
  * API Base URL
  */
 const API_BASE_URL = 'http://localhost:5000/api';
 
+// Labels for the fields in an allocation's change history
+const CHANGE_LABELS = {
+    resourceId: 'Resource',
+    startTime: 'Start',
+    endTime: 'End',
+    assignedTo: 'Assigned to',
+    purpose: 'Purpose',
+    approvalStatus: 'Status'
+};
+
+/**
+ * Date as the value of a datetime-local input
+ */
+const toInputValue = (dateStr) => {
+    const date = new Date(dateStr);
+    return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+/**
+ * A history value for display - times are stored as ISO dates
+ */
+const formatChangeValue = (field, value) => {
+    if (!value) return '-';
+    if (field === 'startTime' || field === 'endTime') return new Date(value).toLocaleString();
+    return value;
+};
+
 /**
  * AssignResource Component
  */
 function AssignResource() {
     // Navigation hook
     const navigate = useNavigate();
+    const [searchParams] = useSearchParams();
+    const { token, hasPermission } = useAuth();
+
+    // Editing an existing allocation (/allocations/:id/edit)
+    const { id: editId } = useParams();
+    const [editing, setEditing] = useState(null);
 
     // Available resources state
     const [resources, setResources] = useState([]);
     const [users, setUsers] = useState([]);
-    // Form state
-    const [formData, setFormData] = useState({
-        resourceId: '',
+    // Form state (prefilled from the URL when coming from the Calendar)
+    const [formData, setFormData] = useState(() => ({
+        resourceId: searchParams.get('resourceId') || '',
         assignedTo: '',
-        startTime: '',
-        endTime: '',
+        startTime: searchParams.get('startTime') || '',
+        endTime: searchParams.get('endTime') || '',
         purpose: ''
-    });
+    }));
 
     // Loading states
-    const [loadingResources, setLoadingResources] = useState(true);
+    const [loadingResources, setLoadingResources] = useState(false);
     const [submitting, setSubmitting] = useState(false);
 
-    // Message state for success/error feedback
+    // Booking rules of the selected resource
+    const [policy, setPolicy] = useState(null);
+
+    // Message state for success/error feedback (violations: broken booking rules)
     const [message, setMessage] = useState({ type: '', text: '' });
 
     /**
-     * Fetch available resources and users on component mount
+     * Fetch users on component mount
      */
     useEffect(() => {
-        fetchResources();
         fetchUsers();
     }, []);
 
     /**
-     * Fetch resources from API
+     * In edit mode, load the allocation into the form
+     */
+    useEffect(() => {
+        if (!editId) return;
+
+        fetch(`${API_BASE_URL}/allocations/${editId}`, {
+            headers: { 'Authorization': `Bearer ${token}` }
+        })
+            .then(response => response.json())
+            .then(data => {
+                if (!data.success) {
+                    setMessage({ type: 'error', text: data.message });
+                    return;
+                }
+                setEditing(data.data);
+                setFormData({
+                    resourceId: data.data.resourceId?._id || '',
+                    assignedTo: data.data.assignedTo,
+                    startTime: toInputValue(data.data.startTime),
+                    endTime: toInputValue(data.data.endTime),
+                    purpose: data.data.purpose || ''
+                });
+            })
+            .catch(err => console.error('Error fetching allocation:', err));
+    }, [editId, token]);
+
+    /**
+     * Re-check availability whenever the time window changes
+     */
+    useEffect(() => {
+        fetchAvailableResources(formData.startTime, formData.endTime);
+    }, [formData.startTime, formData.endTime]);
+
+    /**
+     * Load the booking rules of the selected resource
+     */
+    useEffect(() => {
+        if (!formData.resourceId) {
+            setPolicy(null);
+            return;
+        }
+
+        fetch(`${API_BASE_URL}/resources/${formData.resourceId}`)
+            .then(response => response.json())
+            .then(data => setPolicy(data.success ? data.data.effectiveBookingPolicy : null))
+            .catch(err => console.error('Error fetching booking policy:', err));
+    }, [formData.resourceId]);
+
+    /**
+     * Fetch resources that are free for the whole chosen window
+     * Nothing is listed until a valid start and end time are entered
      */
-    const fetchResources = async () => {
+    const fetchAvailableResources = async (startTime, endTime) => {
+        const start = new Date(startTime);
+        const end = new Date(endTime);
+
+        if (!startTime || !endTime || end <= start) {
+            setResources([]);
+            return;
+        }
+
         try {
             setLoadingResources(true);
 
-            const response = await fetch(`${API_BASE_URL}/resources`);
+            const params = new URLSearchParams({
+                start: start.toISOString(),
+                end: end.toISOString()
+            });
+            // The booking being edited doesn't make its own resource busy
+            if (editId) params.set('excludeAllocation', editId);
+            const response = await fetch(`${API_BASE_URL}/resources/available?${params}`);
             const data = await response.json();
 
             if (data.success) {
-                // Filter to show only available resources (or all for selection)
                 setResources(data.data);
+
+                // Drop the selection if it is no longer free in the new window
+                setFormData(prev => (
+                    data.data.some(resource => resource._id === prev.resourceId)
+                        ? prev
+                        : { ...prev, resourceId: '' }
+                ));
             }
         } catch (err) {
             console.error('Error fetching resources:', err);
@@ -91,7 +209,9 @@ function AssignResource() {
      */
     const fetchUsers = async () => {
         try {
-            const response = await fetch(`${API_BASE_URL}/users`);
+            const response = await fetch(`${API_BASE_URL}/users`, {
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
             const data = await response.json();
             if (data.success) {
                 setUsers(data.data);
@@ -149,8 +269,9 @@ function AssignResource() {
         const endTime = new Date(formData.endTime);
         const now = new Date();
 
-        // Check if start time is in the past
-        if (startTime < now) {
+        // Check if start time is in the past (an edit may keep a start that has passed)
+        const keepsStart = editing && formData.startTime === toInputValue(editing.startTime);
+        if (startTime < now && !keepsStart) {
             setMessage({ type: 'error', text: 'Start time cannot be in the past' });
             return false;
         }
@@ -164,6 +285,23 @@ function AssignResource() {
         return true;
     };
 
+    /**
+     * The fields changed in edit mode - unchanged times are left out so a
+     * booking already in progress keeps its start
+     */
+    const buildChanges = () => {
+        const changes = {};
+        if (formData.resourceId !== (editing.resourceId?._id || '')) changes.resourceId = formData.resourceId;
+        if (formData.assignedTo !== editing.assignedTo) changes.assignedTo = formData.assignedTo;
+        if (formData.purpose !== (editing.purpose || '')) changes.purpose = formData.purpose;
+        ['startTime', 'endTime'].forEach(field => {
+            if (formData[field] !== toInputValue(editing[field])) {
+                changes[field] = new Date(formData[field]).toISOString();
+            }
+        });
+        return changes;
+    };
+
     /**
      * Handle form submission
      */
@@ -175,23 +313,57 @@ function AssignResource() {
             return;
         }
 
+        sendAllocation(editId ? buildChanges() : formData);
+    };
+
+    /**
+     * Book one of the alternatives offered after a conflict
+     *
+     * @param {Object} changes - { startTime, endTime } or { resourceId }
+     */
+    const handleRebook = (changes) => {
+        const next = { ...formData, ...changes };
+        setFormData({ ...next, startTime: toInputValue(next.startTime), endTime: toInputValue(next.endTime) });
+        sendAllocation({
+            ...next,
+            startTime: new Date(next.startTime).toISOString(),
+            endTime: new Date(next.endTime).toISOString()
+        });
+    };
+
+    /**
+     * Create the allocation (update it when editing) and show the outcome
+     */
+    const sendAllocation = async (body) => {
         try {
             setSubmitting(true);
 
-            // Send POST request to create allocation
-            const response = await fetch(`${API_BASE_URL}/allocations`, {
-                method: 'POST',
+            // Send POST request to create allocation (PUT when editing)
+            const response = await fetch(`${API_BASE_URL}/allocations${editId ? `/${editId}` : ''}`, {
+                method: editId ? 'PUT' : 'POST',
                 headers: {
-                    'Content-Type': 'application/json'
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${token}`
                 },
-                body: JSON.stringify(formData)
+                body: JSON.stringify(body)
             });
 
             const data = await response.json();
 
-            if (data.success) {
-                // Success - show message and redirect
-                setMessage({ type: 'success', text: 'Resource allocated successfully!' });
+            if (data.success && editId) {
+                setMessage({ type: 'success', text: data.message });
+                setEditing(data.data);
+                setTimeout(() => {
+                    navigate('/allocations');
+                }, 1500);
+            } else if (data.success) {
+                // Success - show message and redirect (an auto-approval rule
+                // may have rejected the request; the message says which)
+                const rejected = data.data.approvalStatus === 'rejected';
+                setMessage({
+                    type: rejected ? 'error' : 'success',
+                    text: data.data.approvalRule ? data.message : 'Resource allocated successfully!'
+                });
 
                 // Reset form
                 setFormData({
@@ -207,11 +379,14 @@ function AssignResource() {
                     navigate('/allocations');
                 }, 1500);
             } else {
-                // Error from API - likely a conflict
+                // Error from API - likely a conflict or a broken booking rule
                 // IMPORTANT: This is where conflict detection feedback is shown
                 setMessage({
                     type: 'error',
-                    text: data.message || 'Failed to create allocation'
+                    text: data.message || 'Failed to create allocation',
+                    violations: data.violations,
+                    canJoinWaitlist: data.canJoinWaitlist,
+                    alternatives: data.alternatives
                 });
             }
         } catch (err) {
@@ -225,10 +400,57 @@ function AssignResource() {
         }
     };
 
+    /**
+     * Wait for the booked slot - it is booked for you if it comes free
+     */
+    const handleJoinWaitlist = async () => {
+        try {
+            setSubmitting(true);
+
+            const response = await fetch(`${API_BASE_URL}/waitlist`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${token}`
+                },
+                body: JSON.stringify(formData)
+            });
+
+            const data = await response.json();
+
+            setMessage({
+                type: data.success ? 'success' : 'error',
+                text: data.success
+                    ? `${data.message}. It will be booked for you if the slot comes free.`
+                    : data.message || 'Failed to join the waitlist',
+                violations: data.violations
+            });
+        } catch (err) {
+            console.error('Error joining waitlist:', err);
+            setMessage({
+                type: 'error',
+                text: 'Unable to connect to server. Make sure the backend is running.'
+            });
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
     /**
      * Reset form
      */
     const handleReset = () => {
+        if (editing) {
+            setFormData({
+                resourceId: editing.resourceId?._id || '',
+                assignedTo: editing.assignedTo,
+                startTime: toInputValue(editing.startTime),
+                endTime: toInputValue(editing.endTime),
+                purpose: editing.purpose || ''
+            });
+            setMessage({ type: '', text: '' });
+            return;
+        }
         setFormData({
             resourceId: '',
             assignedTo: '',
@@ -249,12 +471,26 @@ function AssignResource() {
         return now.toISOString().slice(0, 16);
     };
 
+    /**
+     * Placeholder text for the resource dropdown
+     */
+    const getResourcePlaceholder = () => {
+        if (!formData.startTime || !formData.endTime) return 'Choose start and end time first...';
+        if (loadingResources) return 'Checking availability...';
+        if (resources.length === 0) return 'No resources free in this time range';
+        return 'Choose a resource...';
+    };
+
     return (
         <div>
             {/* Page Header */}
             <div className="page-header">
-                <h1 className="page-title">Assign Resource</h1>
-                <p className="page-subtitle">Allocate a resource to a person or team for a specific time period</p>
+                <h1 className="page-title">{editId ? 'Edit Allocation' : 'Assign Resource'}</h1>
+                <p className="page-subtitle">
+                    {editId
+                        ? 'Change the time, resource, assignee or purpose of this booking'
+                        : 'Allocate a resource to a person or team for a specific time period'}
+                </p>
             </div>
 
             {/* Form Card */}
@@ -264,135 +500,219 @@ function AssignResource() {
                     {message.text && (
                         <div className={`alert alert-${message.type}`}>
                             {message.type === 'success' ? '✅' : '⚠️'} {message.text}
+                            {message.violations && message.violations.length > 1 && (
+                                <ul style={{ margin: '8px 0 0', paddingLeft: '20px' }}>
+                                    {message.violations.map(violation => (
+                                        <li key={violation.code}>{violation.message}</li>
+                                    ))}
+                                </ul>
+                            )}
+                            {message.canJoinWaitlist && (
+                                <div style={{ marginTop: '8px' }}>
+                                    <button
+                                        type="button"
+                                        className="btn btn-secondary btn-sm"
+                                        onClick={handleJoinWaitlist}
+                                        disabled={submitting}
+                                    >
+                                        ⏳ Join Waitlist
+                                    </button>
+                                </div>
+                            )}
+                            {message.alternatives?.slots.length > 0 && (
+                                <div style={{ marginTop: '8px' }}>
+                                    <div>Free at other times:</div>
+                                    {message.alternatives.slots.map(slot => (
+                                        <button
+                                            key={slot.startTime}
+                                            type="button"
+                                            className="btn btn-primary btn-sm"
+                                            style={{ margin: '4px 4px 0 0' }}
+                                            onClick={() => handleRebook(slot)}
+                                            disabled={submitting}
+                                        >
+                                            🕒 {new Date(slot.startTime).toLocaleString([], { weekday: 'short', day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' })}
+                                            {' - '}{new Date(slot.endTime).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                                        </button>
+                                    ))}
+                                </div>
+                            )}
+                            {message.alternatives?.resources.length > 0 && (
+                                <div style={{ marginTop: '8px' }}>
+                                    <div>Free at this time:</div>
+                                    {message.alternatives.resources.map(resource => (
+                                        <button
+                                            key={resource._id}
+                                            type="button"
+                                            className="btn btn-primary btn-sm"
+                                            style={{ margin: '4px 4px 0 0' }}
+                                            onClick={() => handleRebook({ resourceId: resource._id })}
+                                            disabled={submitting}
+                                        >
+                                            📍 {resource.name}{resource.capacity ? ` (${resource.capacity})` : ''}
+                                        </button>
+                                    ))}
+                                </div>
+                            )}
                         </div>
                     )}
 
-                    {/* Loading state for resources */}
-                    {loadingResources ? (
-                        <div className="loading-spinner">
-                            <div className="spinner"></div>
+                    {editing?.approvalStatus === 'approved' && !hasPermission('allocations:approve') && (
+                        <div className="alert alert-info">
+                            ℹ️ This booking is approved. Changing the time, resource or assignee sends it back for approval.
                         </div>
-                    ) : (
-                        /* Allocation Form */
-                        <form onSubmit={handleSubmit}>
-                            {/* Resource Selection */}
+                    )}
+
+                    {/* Allocation Form */}
+                    <form onSubmit={handleSubmit}>
+                        {/* Time Selection Row */}
+                        <div className="form-row">
+                            {/* Start Time */}
                             <div className="form-group">
                                 <label className="form-label">
-                                    Select Resource <span>*</span>
+                                    Start Time <span>*</span>
                                 </label>
-                                <select
-                                    name="resourceId"
-                                    value={formData.resourceId}
+                                <input
+                                    type="datetime-local"
+                                    name="startTime"
+                                    value={formData.startTime}
                                     onChange={handleChange}
-                                    className="form-select"
+                                    className="form-input"
+                                    min={editId ? undefined : getMinDateTime()}
                                     disabled={submitting}
-                                >
-                                    <option value="">Choose a resource...</option>
-                                    {resources.map(resource => (
-                                        <option key={resource._id} value={resource._id}>
-                                            {resource.name} ({resource.type}) - {resource.status === 'Available' ? '🟢 Available' : '🔴 Allocated'}
-                                        </option>
-                                    ))}
-                                </select>
+                                />
                             </div>
 
-                            {/* Assigned To Field */}
+                            {/* End Time */}
                             <div className="form-group">
                                 <label className="form-label">
-                                    Assigned To <span>*</span>
+                                    End Time <span>*</span>
                                 </label>
-                                <select
-                                    name="assignedTo"
-                                    value={formData.assignedTo}
+                                <input
+                                    type="datetime-local"
+                                    name="endTime"
+                                    value={formData.endTime}
                                     onChange={handleChange}
-                                    className="form-select"
+                                    className="form-input"
+                                    min={formData.startTime || (editId ? undefined : getMinDateTime())}
                                     disabled={submitting}
-                                    required
-                                >
-                                    <option value="">Select a user...</option>
-                                    {users.map(user => (
-                                        <option key={user._id} value={user.name}>
-                                            {user.name} ({user.role}) - {user.department}
-                                        </option>
-                                    ))}
-                                </select>
-                                <small className="form-hint">Select a user from the database</small>
+                                />
                             </div>
+                        </div>
 
-                            {/* Time Selection Row */}
-                            <div className="form-row">
-                                {/* Start Time */}
-                                <div className="form-group">
-                                    <label className="form-label">
-                                        Start Time <span>*</span>
-                                    </label>
-                                    <input
-                                        type="datetime-local"
-                                        name="startTime"
-                                        value={formData.startTime}
-                                        onChange={handleChange}
-                                        className="form-input"
-                                        min={getMinDateTime()}
-                                        disabled={submitting}
-                                    />
-                                </div>
+                        {/* Resource Selection */}
+                        <div className="form-group">
+                            <label className="form-label">
+                                Select Resource <span>*</span>
+                            </label>
+                            <select
+                                name="resourceId"
+                                value={formData.resourceId}
+                                onChange={handleChange}
+                                className="form-select"
+                                disabled={submitting || loadingResources || resources.length === 0}
+                            >
+                                <option value="">{getResourcePlaceholder()}</option>
+                                {resources.map(resource => (
+                                    <option key={resource._id} value={resource._id}>
+                                        {resource.name} ({resource.type})
+                                    </option>
+                                ))}
+                            </select>
+                            <small className="form-hint">Only resources free for the whole time range are listed</small>
+                            {policy && describePolicy(policy) && (
+                                <small className="form-hint">📏 Booking rules: {describePolicy(policy)}</small>
+                            )}
+                        </div>
 
-                                {/* End Time */}
-                                <div className="form-group">
-                                    <label className="form-label">
-                                        End Time <span>*</span>
-                                    </label>
-                                    <input
-                                        type="datetime-local"
-                                        name="endTime"
-                                        value={formData.endTime}
-                                        onChange={handleChange}
-                                        className="form-input"
-                                        min={formData.startTime || getMinDateTime()}
-                                        disabled={submitting}
-                                    />
-                                </div>
-                            </div>
+                        {/* Assigned To Field */}
+                        <div className="form-group">
+                            <label className="form-label">
+                                Assigned To <span>*</span>
+                            </label>
+                            <select
+                                name="assignedTo"
+                                value={formData.assignedTo}
+                                onChange={handleChange}
+                                className="form-select"
+                                disabled={submitting}
+                                required
+                            >
+                                <option value="">Select a user...</option>
+                                {/* Keep an assignee that isn't a user (e.g. a team) selectable */}
+                                {formData.assignedTo && !users.some(user => user.name === formData.assignedTo) && (
+                                    <option value={formData.assignedTo}>{formData.assignedTo}</option>
+                                )}
+                                {users.map(user => (
+                                    <option key={user._id} value={user.name}>
+                                        {user.name} ({user.role}) - {user.department}
+                                    </option>
+                                ))}
+                            </select>
+                            <small className="form-hint">Select a user from the database</small>
+                        </div>
 
-                            {/* Purpose Field */}
-                            <div className="form-group">
-                                <label className="form-label">
-                                    Purpose
-                                </label>
-                                <textarea
-                                    name="purpose"
-                                    value={formData.purpose}
-                                    onChange={handleChange}
-                                    className="form-textarea"
-                                    placeholder="Enter the purpose of this allocation..."
-                                    rows="3"
-                                    disabled={submitting}
-                                />
-                            </div>
+                        {/* Purpose Field */}
+                        <div className="form-group">
+                            <label className="form-label">
+                                Purpose
+                            </label>
+                            <textarea
+                                name="purpose"
+                                value={formData.purpose}
+                                onChange={handleChange}
+                                className="form-textarea"
+                                placeholder="Enter the purpose of this allocation..."
+                                rows="3"
+                                disabled={submitting}
+                            />
+                        </div>
 
-                            {/* Form Buttons */}
-                            <div className="flex gap-10">
-                                <button
-                                    type="submit"
-                                    className="btn btn-primary"
-                                    disabled={submitting}
-                                >
-                                    {submitting ? 'Assigning...' : '📝 Assign Resource'}
-                                </button>
-                                <button
-                                    type="button"
-                                    className="btn btn-secondary"
-                                    onClick={handleReset}
-                                    disabled={submitting}
-                                >
-                                    Reset
-                                </button>
-                            </div>
-                        </form>
-                    )}
+                        {/* Form Buttons */}
+                        <div className="flex gap-10">
+                            <button
+                                type="submit"
+                                className="btn btn-primary"
+                                disabled={submitting}
+                            >
+                                {editId
+                                    ? (submitting ? 'Saving...' : '💾 Save Changes')
+                                    : (submitting ? 'Assigning...' : '📝 Assign Resource')}
+                            </button>
+                            <button
+                                type="button"
+                                className="btn btn-secondary"
+                                onClick={handleReset}
+                                disabled={submitting}
+                            >
+                                Reset
+                            </button>
+                        </div>
+                    </form>
                 </div>
             </div>
 
+            {/* Change History (edit mode) */}
+            {editing && editing.changeHistory && editing.changeHistory.length > 0 && (
+                <div className="card" style={{ maxWidth: '700px', marginTop: '20px' }}>
+                    <div className="card-body">
+                        <h3 style={{ marginBottom: '12px', fontSize: '16px' }}>🕘 Change History</h3>
+                        <ul style={{ color: 'var(--text-secondary)', fontSize: '14px', paddingLeft: '20px' }}>
+                            {[...editing.changeHistory].reverse().map((entry, index) => (
+                                <li key={index} style={{ marginBottom: '8px' }}>
+                                    <strong>{entry.changedByName}</strong>, {new Date(entry.changedAt).toLocaleString()}
+                                    {entry.changes.map(change => (
+                                        <div key={change.field}>
+                                            {CHANGE_LABELS[change.field] || change.field}: {formatChangeValue(change.field, change.from)} → {formatChangeValue(change.field, change.to)}
+                                        </div>
+                                    ))}
+                                </li>
+                            ))}
+                        </ul>
+                    </div>
+                </div>
+            )}
+
             {/* Help Text */}
             <div className="card" style={{ maxWidth: '700px', marginTop: '20px' }}>
                 <div className="card-body">
@@ -401,7 +721,8 @@ function AssignResource() {
                         <li>Start time must be in the future</li>
                         <li>End time must be after start time</li>
                         <li>Resources cannot be double-booked for overlapping time periods</li>
-                        <li>If a conflict is detected, an error message will be shown</li>
+                        <li>Each resource can have its own booking rules (duration, notice, opening hours and days, buffers between bookings, time slots, active bookings per user); they are shown when you pick it</li>
+                        <li>If a conflict is detected or a rule is broken, an error message will be shown</li>
                     </ul>
                 </div>
             </div>
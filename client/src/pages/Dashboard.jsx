@@ -9,9 +9,12 @@
  * - Active Allocations count
  * - Available Resources count
  * - Upcoming Allocations count
+ * - Your no-shows (bookings released because nobody checked in)
+ * - Users with the most no-shows (approvers and managers)
  * - Recent allocations preview
  * 
- * Data is fetched from: GET /api/dashboard
+ * Data is fetched from: GET /api/dashboard, and again whenever an
+ * allocation or resource changes (live updates)
  * 
  * @author SmartAlloc Team
  * @version 1.0.0
@@ -19,6 +22,8 @@
  */
 
 import React, { useState, useEffect } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { useLiveUpdates } from '../context/LiveUpdatesContext';
 
 /**
  * API Base URL
@@ -30,6 +35,8 @@ const API_BASE_URL = 'http://localhost:5000/api';
  * Dashboard Component
  */
 function Dashboard() {
+    const { token } = useAuth();
+
     // State for dashboard statistics
     const [stats, setStats] = useState({
         totalResources: 0,
@@ -37,6 +44,8 @@ function Dashboard() {
         activeAllocations: 0,
         availableResources: 0,
         upcomingAllocations: 0,
+        myNoShows: 0,
+        noShowsByUser: null,
         recentAllocations: []
     });
 
@@ -53,14 +62,22 @@ function Dashboard() {
         fetchDashboardData();
     }, []);
 
+    /**
+     * Keep the counters current while the page is open
+     */
+    useLiveUpdates(['allocation:', 'resource:'], () => fetchDashboardData(true));
+
     /**
      * Fetch dashboard statistics from API
+     * A quiet fetch (live update) keeps the current numbers on screen meanwhile
      */
-    const fetchDashboardData = async () => {
+    const fetchDashboardData = async (quiet = false) => {
         try {
-            setLoading(true);
+            if (!quiet) setLoading(true);
 
-            const response = await fetch(`${API_BASE_URL}/dashboard`);
+            const response = await fetch(`${API_BASE_URL}/dashboard`, {
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
             const data = await response.json();
 
             if (data.success) {
@@ -177,8 +194,58 @@ function Dashboard() {
                         <div className="stat-label">Upcoming Allocations</div>
                     </div>
                 </div>
+
+                {/* Your No-Shows Card */}
+                <div className="stat-card">
+                    <div className="stat-icon danger">
+                        🚫
+                    </div>
+                    <div className="stat-content">
+                        <div className="stat-value">{stats.myNoShows}</div>
+                        <div className="stat-label">Your No-Shows</div>
+                    </div>
+                </div>
             </div>
 
+            {/* No-Shows per User (approvers and managers only) */}
+            {stats.noShowsByUser && stats.noShowsByUser.length > 0 && (
+                <div className="card" style={{ marginBottom: '24px' }}>
+                    <div className="card-header">
+                        <h2 className="card-title">Most No-Shows</h2>
+                    </div>
+                    <div className="card-body">
+                        <div className="table-container">
+                            <table className="data-table">
+                                <thead>
+                                    <tr>
+                                        <th>User</th>
+                                        <th>Department</th>
+                                        <th>No-Shows</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {stats.noShowsByUser.map((entry) => (
+                                        <tr key={entry.userId}>
+                                            <td>
+                                                <strong>{entry.name}</strong>
+                                                {entry.email && (
+                                                    <>
+                                                        <br />
+                                                        <small style={{ color: 'var(--text-muted)' }}>{entry.email}</small>
+                                                    </>
+                                                )}
+                                            </td>
+                                            <td>{entry.department || '-'}</td>
+                                            <td>{entry.count}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    </div>
+                </div>
+            )}
+
             {/* Recent Allocations Section */}
             <div className="card">
                 <div className="card-header">
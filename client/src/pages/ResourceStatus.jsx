@@ -6,32 +6,77 @@
  * 
  * Features:
  * - Card-based resource display
- * - Status badges (🟢 Available / 🔴 Allocated)
+ * - Status badges (🟢 Available / 🔴 Allocated / 🔧 Out of Service / ⛔ Retired)
  * - Current allocation details for allocated resources
- * - Real-time status based on current time
+ * - Out-of-service reason and expected return date
+ * - Type icon and colour, capacity, location, amenities and custom field
+ *   values on each card
+ * - Server-side search by name, type, building, minimum capacity and amenity
+ * - Manage button (edit, out of service, retire, delete) for resources:write
+ * - Real-time status based on current time, reloaded live when resources
+ *   or allocations change
+ * - Day/week schedule timeline per resource
  * 
- * API: GET /api/resources
+ * API: GET /api/resources, GET /api/resources/:id/schedule,
+ *      GET /api/resources/amenities, GET /api/resource-fields,
+ *      GET /api/resource-types
  * 
  * Status Rule:
+ * - Out of service or retired → shown as such, cannot be assigned
  * - If allocation exists where startTime <= now AND endTime >= now → Allocated
  * - Otherwise → Available
+ * - Retired resources are only listed with "Show retired" (?includeRetired=true)
  * 
  * @author SmartAlloc Team
  * @version 1.0.0
  * =============================================================================
  */
 
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
+import ResourceTimeline from '../components/ResourceTimeline';
+import ResourceEditor from '../components/ResourceEditor';
+import ResourceTypeSelect, { useResourceTypes } from '../components/ResourceTypeSelect';
+import { useAuth } from '../context/AuthContext';
+import { useLiveUpdates } from '../context/LiveUpdatesContext';
 
 /**
  * API Base URL
  */
 const API_BASE_URL = 'http://localhost:5000/api';
 
+const EMPTY_SEARCH = {
+    search: '',
+    type: '',
+    building: '',
+    minCapacity: '',
+    amenities: ''
+};
+
+/**
+ * Human-readable location, e.g. "HQ · Floor 2 · Room 2.14"
+ */
+const formatLocation = (location) => [
+    location?.building,
+    location?.floor && `Floor ${location.floor}`,
+    location?.room && `Room ${location.room}`
+].filter(Boolean).join(' · ');
+
+/**
+ * Display text for a custom field value
+ */
+const formatCustomValue = (value) => {
+    if (value === true) return 'Yes';
+    if (value === false) return 'No';
+    return String(value);
+};
+
 /**
  * ResourceStatus Component
  */
 function ResourceStatus() {
+    const { token, hasPermission } = useAuth();
+    const canManage = hasPermission('resources:write');
+
     // Resources state
     const [resources, setResources] = useState([]);
 
@@ -42,29 +87,80 @@ function ResourceStatus() {
     const [error, setError] = useState(null);
 
     // Filter state
-    const [filter, setFilter] = useState('all'); // 'all', 'available', 'allocated'
+    const [filter, setFilter] = useState('all'); // 'all', 'available', 'allocated', 'unavailable'
+
+    // Include retired resources in the list
+    const [showRetired, setShowRetired] = useState(false);
+
+    // Search fields (text is debounced into appliedSearch)
+    const [search, setSearch] = useState(EMPTY_SEARCH);
+    const [appliedSearch, setAppliedSearch] = useState(EMPTY_SEARCH);
+
+    // Amenity options and custom field labels ("type/key" → label)
+    const [amenityOptions, setAmenityOptions] = useState([]);
+    const [fieldLabels, setFieldLabels] = useState({});
+
+    // Resource types, for each card's icon and colour
+    const [resourceTypes] = useResourceTypes();
+    const typesByName = Object.fromEntries(resourceTypes.map(type => [type.name, type]));
+
+    // Resource whose schedule timeline is open (null when closed)
+    const [scheduleResource, setScheduleResource] = useState(null);
+
+    // Resource open in the editor (null when closed)
+    const [editResource, setEditResource] = useState(null);
 
     /**
-     * Fetch resources on component mount
+     * Load amenity options and custom field labels once
      */
     useEffect(() => {
-        fetchResources();
-    }, []);
+        fetch(`${API_BASE_URL}/resources/amenities`)
+            .then(response => response.json())
+            .then(data => data.success && setAmenityOptions(data.data))
+            .catch(err => console.error('Error fetching amenities:', err));
+
+        fetch(`${API_BASE_URL}/resource-fields`, {
+            headers: { 'Authorization': `Bearer ${token}` }
+        })
+            .then(response => response.json())
+            .then(data => data.success && setFieldLabels(Object.fromEntries(
+                data.data.map(field => [`${field.resourceType}/${field.key}`, field.label])
+            )))
+            .catch(err => console.error('Error fetching resource fields:', err));
+    }, [token]);
+
+    /**
+     * Apply search fields after typing pauses
+     */
+    useEffect(() => {
+        const timer = setTimeout(() => setAppliedSearch(search), 400);
+        return () => clearTimeout(timer);
+    }, [search]);
 
     /**
      * Fetch all resources from API
+     * A quiet fetch (live update) keeps the current cards on screen meanwhile
      */
-    const fetchResources = async () => {
+    const fetchResources = useCallback(async (quiet = false) => {
         try {
-            setLoading(true);
+            if (!quiet) setLoading(true);
+
+            const params = new URLSearchParams();
+            Object.entries(appliedSearch).forEach(([key, value]) => {
+                if (value) params.set(key, value);
+            });
+            if (showRetired) params.set('includeRetired', 'true');
 
-            const response = await fetch(`${API_BASE_URL}/resources`);
+            const response = await fetch(`${API_BASE_URL}/resources?${params}`);
             const data = await response.json();
 
             if (data.success) {
+                setError(null);
                 setResources(data.data);
+                // Keep the editor in sync with the latest data
+                setEditResource(current => current && (data.data.find(r => r._id === current._id) || null));
             } else {
-                setError('Failed to load resources');
+                setError(data.message || 'Failed to load resources');
             }
         } catch (err) {
             console.error('Error fetching resources:', err);
@@ -72,7 +168,19 @@ function ResourceStatus() {
         } finally {
             setLoading(false);
         }
-    };
+    }, [showRetired, appliedSearch]);
+
+    /**
+     * Fetch resources on mount and when the search or retired toggle changes
+     */
+    useEffect(() => {
+        fetchResources();
+    }, [fetchResources]);
+
+    /**
+     * Reload the cards when a resource or booking changes elsewhere
+     */
+    useLiveUpdates(['resource:', 'allocation:'], () => fetchResources(true));
 
     /**
      * Format date for display
@@ -93,6 +201,7 @@ function ResourceStatus() {
         if (filter === 'all') return true;
         if (filter === 'available') return resource.status === 'Available';
         if (filter === 'allocated') return resource.status === 'Allocated';
+        if (filter === 'unavailable') return resource.status === 'Out of Service' || resource.status === 'Retired';
         return true;
     });
 
@@ -101,9 +210,22 @@ function ResourceStatus() {
      */
     const availableCount = resources.filter(r => r.status === 'Available').length;
     const allocatedCount = resources.filter(r => r.status === 'Allocated').length;
+    const unavailableCount = resources.length - availableCount - allocatedCount;
+
+    /**
+     * Badge class for a resource status
+     */
+    const badgeClass = (status) => ({
+        'Available': 'available',
+        'Allocated': 'allocated',
+        'Out of Service': 'out-of-service',
+        'Retired': 'retired'
+    }[status] || 'completed');
+
+    const hasSearch = Object.values(search).some(Boolean);
 
-    // Show loading spinner
-    if (loading) {
+    // Show loading spinner (first load only - later loads keep the search fields mounted)
+    if (loading && resources.length === 0 && !hasSearch) {
         return (
             <div className="loading-spinner">
                 <div className="spinner"></div>
@@ -112,7 +234,7 @@ function ResourceStatus() {
     }
 
     // Show error
-    if (error) {
+    if (error && !hasSearch) {
         return (
             <div>
                 <div className="page-header">
@@ -134,6 +256,63 @@ function ResourceStatus() {
                 <p className="page-subtitle">View real-time availability of all resources</p>
             </div>
 
+            {/* Search */}
+            <div className="card" style={{ marginBottom: '20px' }}>
+                <div className="card-body">
+                    <div className="form-row filter-row">
+                        <input
+                            type="search"
+                            className="form-input"
+                            placeholder="🔍 Search name or description..."
+                            value={search.search}
+                            onChange={(e) => setSearch({ ...search, search: e.target.value })}
+                        />
+                        <ResourceTypeSelect
+                            value={search.type}
+                            onChange={(e) => setSearch({ ...search, type: e.target.value })}
+                            placeholder="Any type"
+                        />
+                        <input
+                            type="search"
+                            className="form-input"
+                            placeholder="Building"
+                            value={search.building}
+                            onChange={(e) => setSearch({ ...search, building: e.target.value })}
+                        />
+                        <input
+                            type="number"
+                            min="1"
+                            className="form-input"
+                            placeholder="Min. capacity"
+                            value={search.minCapacity}
+                            onChange={(e) => setSearch({ ...search, minCapacity: e.target.value })}
+                        />
+                        <select
+                            className="form-select"
+                            value={search.amenities}
+                            onChange={(e) => setSearch({ ...search, amenities: e.target.value })}
+                        >
+                            <option value="">Any amenity</option>
+                            {amenityOptions.map(tag => (
+                                <option key={tag} value={tag}>{tag}</option>
+                            ))}
+                        </select>
+                    </div>
+                    {hasSearch && (
+                        <div className="filter-summary">
+                            <span>{resources.length} matching resources</span>
+                            <button className="btn btn-secondary btn-sm" onClick={() => setSearch(EMPTY_SEARCH)}>
+                                Clear search
+                            </button>
+                        </div>
+                    )}
+                </div>
+            </div>
+
+            {error && (
+                <div className="alert alert-error">⚠️ {error}</div>
+            )}
+
             {/* Filter Buttons and Stats */}
             <div style={{
                 display: 'flex',
@@ -163,15 +342,35 @@ function ResourceStatus() {
                     >
                         🔴 Allocated ({allocatedCount})
                     </button>
+                    {unavailableCount > 0 && (
+                        <button
+                            className={`btn ${filter === 'unavailable' ? 'btn-primary' : 'btn-secondary'}`}
+                            onClick={() => setFilter('unavailable')}
+                        >
+                            🔧 Unavailable ({unavailableCount})
+                        </button>
+                    )}
                 </div>
 
-                {/* Refresh Button */}
-                <button
-                    className="btn btn-secondary"
-                    onClick={fetchResources}
-                >
-                    🔄 Refresh
-                </button>
+                <div className="flex gap-10">
+                    {/* Retired Toggle */}
+                    <label style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '14px' }}>
+                        <input
+                            type="checkbox"
+                            checked={showRetired}
+                            onChange={(e) => setShowRetired(e.target.checked)}
+                        />
+                        Show retired
+                    </label>
+
+                    {/* Refresh Button */}
+                    <button
+                        className="btn btn-secondary"
+                        onClick={() => fetchResources()}
+                    >
+                        🔄 Refresh
+                    </button>
+                </div>
             </div>
 
             {/* Resources Grid */}
@@ -183,11 +382,19 @@ function ResourceStatus() {
                             <div className="resource-card-header">
                                 <div className="resource-info">
                                     <h3>{resource.name}</h3>
-                                    <span className="resource-type">{resource.type}</span>
+                                    <span
+                                        className="resource-type"
+                                        style={typesByName[resource.type] && {
+                                            color: typesByName[resource.type].color,
+                                            background: `${typesByName[resource.type].color}1a`
+                                        }}
+                                    >
+                                        {typesByName[resource.type]?.icon} {resource.type}
+                                    </span>
                                 </div>
 
                                 {/* Status Badge */}
-                                <span className={`status-badge ${resource.status === 'Available' ? 'available' : 'allocated'}`}>
+                                <span className={`status-badge ${badgeClass(resource.status)}`}>
                                     <span className="status-dot"></span>
                                     {resource.status}
                                 </span>
@@ -198,6 +405,62 @@ function ResourceStatus() {
                                 {resource.description || 'No description available.'}
                             </p>
 
+                            {/* Attributes */}
+                            {(resource.capacity || formatLocation(resource.location)) && (
+                                <p className="resource-meta">
+                                    {resource.capacity && <span>👥 {resource.capacity}</span>}
+                                    {formatLocation(resource.location) && <span>📍 {formatLocation(resource.location)}</span>}
+                                </p>
+                            )}
+                            {Object.keys(resource.customFields || {}).length > 0 && (
+                                <p className="resource-meta">
+                                    {Object.entries(resource.customFields).map(([key, value]) => (
+                                        <span key={key}>
+                                            {fieldLabels[`${resource.type}/${key}`] || key}: {formatCustomValue(value)}
+                                        </span>
+                                    ))}
+                                </p>
+                            )}
+                            {resource.amenities?.length > 0 && (
+                                <div className="amenity-chips resource-amenities">
+                                    {resource.amenities.map(tag => (
+                                        <span key={tag} className="amenity-chip">{tag}</span>
+                                    ))}
+                                </div>
+                            )}
+
+                            {/* Service Info (if out of service or retired) */}
+                            {(resource.status === 'Out of Service' || resource.status === 'Retired') && (
+                                <div style={{
+                                    background: 'var(--warning-bg)',
+                                    padding: '12px',
+                                    borderRadius: 'var(--border-radius-sm)',
+                                    marginBottom: '16px'
+                                }}>
+                                    <h4 style={{
+                                        fontSize: '12px',
+                                        color: 'var(--warning-color)',
+                                        marginBottom: '8px',
+                                        textTransform: 'uppercase',
+                                        letterSpacing: '0.5px'
+                                    }}>
+                                        {resource.status === 'Retired' ? 'Retired' : 'Out of Service'}
+                                    </h4>
+                                    {resource.serviceReason && (
+                                        <p style={{ fontWeight: '600', marginBottom: '4px' }}>
+                                            {resource.serviceReason}
+                                        </p>
+                                    )}
+                                    {resource.status === 'Out of Service' && (
+                                        <p style={{ fontSize: '13px', color: 'var(--text-secondary)' }}>
+                                            {resource.returnDate
+                                                ? `Expected back ${formatDate(resource.returnDate)}`
+                                                : 'Until further notice'}
+                                        </p>
+                                    )}
+                                </div>
+                            )}
+
                             {/* Current Allocation Info (if allocated) */}
                             {resource.status === 'Allocated' && resource.currentAllocation && (
                                 <div style={{
@@ -235,11 +498,27 @@ function ResourceStatus() {
                                     Added: {new Date(resource.createdAt).toLocaleDateString()}
                                 </span>
 
-                                {resource.status === 'Available' && (
-                                    <a href="/assign-resource" className="btn btn-primary btn-sm">
-                                        Assign
-                                    </a>
-                                )}
+                                <div className="flex gap-10">
+                                    <button
+                                        className="btn btn-secondary btn-sm"
+                                        onClick={() => setScheduleResource(resource)}
+                                    >
+                                        📅 Schedule
+                                    </button>
+                                    {canManage && (
+                                        <button
+                                            className="btn btn-secondary btn-sm"
+                                            onClick={() => setEditResource(resource)}
+                                        >
+                                            ✏️ Manage
+                                        </button>
+                                    )}
+                                    {resource.status === 'Available' && (
+                                        <a href="/assign-resource" className="btn btn-primary btn-sm">
+                                            Assign
+                                        </a>
+                                    )}
+                                </div>
                             </div>
                         </div>
                     ))}
@@ -249,12 +528,14 @@ function ResourceStatus() {
                     <div className="empty-state-icon">📦</div>
                     <h3>No Resources Found</h3>
                     <p>
-                        {filter === 'all'
-                            ? 'Start by adding resources to the system.'
-                            : `No ${filter} resources at the moment.`
+                        {hasSearch
+                            ? 'No resources match your search.'
+                            : filter === 'all'
+                                ? 'Start by adding resources to the system.'
+                                : `No ${filter} resources at the moment.`
                         }
                     </p>
-                    {filter === 'all' && (
+                    {filter === 'all' && !hasSearch && canManage && (
                         <a href="/add-resource" className="btn btn-primary" style={{ marginTop: '16px' }}>
                             ➕ Add Resource
                         </a>
@@ -285,9 +566,44 @@ function ResourceStatus() {
                                 - Currently in use, cannot be assigned until freed
                             </span>
                         </div>
+                        <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                            <span className="status-badge out-of-service">
+                                <span className="status-dot"></span>
+                                Out of Service
+                            </span>
+                            <span style={{ fontSize: '13px', color: 'var(--text-secondary)' }}>
+                                - Temporarily unavailable, cannot be booked until it returns
+                            </span>
+                        </div>
+                        <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                            <span className="status-badge retired">
+                                <span className="status-dot"></span>
+                                Retired
+                            </span>
+                            <span style={{ fontSize: '13px', color: 'var(--text-secondary)' }}>
+                                - Permanently withdrawn, kept for history
+                            </span>
+                        </div>
                     </div>
                 </div>
             </div>
+
+            {/* Schedule Timeline Modal */}
+            {scheduleResource && (
+                <ResourceTimeline
+                    resource={scheduleResource}
+                    onClose={() => setScheduleResource(null)}
+                />
+            )}
+
+            {/* Resource Editor Modal */}
+            {editResource && (
+                <ResourceEditor
+                    resource={editResource}
+                    onClose={() => setEditResource(null)}
+                    onSaved={fetchResources}
+                />
+            )}
         </div>
     );
 }
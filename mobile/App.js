@@ -3,13 +3,18 @@ import { NavigationContainer } from '@react-navigation/native';
 import { createStackNavigator } from '@react-navigation/stack';
 import { StatusBar } from 'expo-status-bar';
 import { AuthProvider, AuthContext } from './src/context/AuthContext';
+import { LiveUpdatesProvider } from './src/context/LiveUpdatesContext';
 import LoginScreen from './src/screens/LoginScreen';
 import DashboardScreen from './src/screens/DashboardScreen';
 import ResourceListScreen from './src/screens/ResourceListScreen';
 import AllocationsScreen from './src/screens/AllocationsScreen';
 import AssignResourceScreen from './src/screens/AssignResourceScreen';
 import AddResourceScreen from './src/screens/AddResourceScreen';
+import EditResourceScreen from './src/screens/EditResourceScreen';
 import MyAllocationsScreen from './src/screens/MyAllocationsScreen';
+import AllocationCommentsScreen from './src/screens/AllocationCommentsScreen';
+import EditAllocationScreen from './src/screens/EditAllocationScreen';
+import NotificationsScreen from './src/screens/NotificationsScreen';
 import PendingRequestsScreen from './src/screens/PendingRequestsScreen';
 import UserListScreen from './src/screens/UserListScreen';
 import AddUserScreen from './src/screens/AddUserScreen';
@@ -17,7 +22,7 @@ import AddUserScreen from './src/screens/AddUserScreen';
 const Stack = createStackNavigator();
 
 function AppNavigator() {
-  const { user, loading } = useContext(AuthContext);
+  const { user, loading, hasPermission, isApprover } = useContext(AuthContext);
 
   if (loading) return null;
 
@@ -31,11 +36,26 @@ function AppNavigator() {
           <Stack.Screen name="Resources" component={ResourceListScreen} />
           <Stack.Screen name="Allocations" component={AllocationsScreen} />
           <Stack.Screen name="AssignResource" component={AssignResourceScreen} />
-          <Stack.Screen name="AddResource" component={AddResourceScreen} />
           <Stack.Screen name="MyAllocations" component={MyAllocationsScreen} />
-          <Stack.Screen name="PendingRequests" component={PendingRequestsScreen} />
-          <Stack.Screen name="Users" component={UserListScreen} />
-          <Stack.Screen name="AddUser" component={AddUserScreen} />
+          <Stack.Screen name="AllocationComments" component={AllocationCommentsScreen} />
+          <Stack.Screen name="EditAllocation" component={EditAllocationScreen} />
+          <Stack.Screen name="Notifications" component={NotificationsScreen} />
+          {/* Screens below are only registered when the user's role allows them */}
+          {hasPermission('resources:write') && (
+            <>
+              <Stack.Screen name="AddResource" component={AddResourceScreen} />
+              <Stack.Screen name="EditResource" component={EditResourceScreen} />
+            </>
+          )}
+          {isApprover() && (
+            <Stack.Screen name="PendingRequests" component={PendingRequestsScreen} />
+          )}
+          {(hasPermission('users:read') || hasPermission('users:manage')) && (
+            <Stack.Screen name="Users" component={UserListScreen} />
+          )}
+          {hasPermission('users:manage') && (
+            <Stack.Screen name="AddUser" component={AddUserScreen} />
+          )}
         </>
       )}
     </Stack.Navigator>
@@ -46,8 +66,10 @@ export default function App() {
   return (
     <NavigationContainer>
       <AuthProvider>
-        <StatusBar style="light" />
-        <AppNavigator />
+        <LiveUpdatesProvider>
+          <StatusBar style="light" />
+          <AppNavigator />
+        </LiveUpdatesProvider>
       </AuthProvider>
     </NavigationContainer>
   );
@@ -0,0 +1,57 @@
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { theme } from '../styles/theme';
+
+const STEP_ICONS = {
+    approved: '✅',
+    rejected: '❌',
+    skipped: '⏭️',
+    pending: '⏳'
+};
+
+// One line per approval step: who decided it (and for whom), when and why
+export default function ApprovalTrail({ allocation }) {
+    const steps = allocation.approvalSteps || [];
+    if (steps.length === 0) return null;
+
+    return (
+        <View style={styles.container}>
+            {steps.map((step, index) => {
+                const isCurrent = allocation.approvalStatus === 'pending' && index === allocation.currentStep;
+                return (
+                    <Text
+                        key={index}
+                        style={[
+                            styles.step,
+                            step.status === 'rejected' && { color: theme.dark.error },
+                            isCurrent && styles.current
+                        ]}
+                    >
+                        {STEP_ICONS[step.status] || '•'} {step.name}
+                        {isCurrent ? ' - waiting for approval' : ''}
+                        {step.status === 'skipped' ? ' - skipped' : ''}
+                        {step.decidedAt
+                            ? ` - ${step.decidedByName}${step.onBehalfOfName ? ` (for ${step.onBehalfOfName})` : ''}, ${new Date(step.decidedAt).toLocaleString()}`
+                            : ''}
+                        {step.comment ? `: "${step.comment}"` : ''}
+                    </Text>
+                );
+            })}
+        </View>
+    );
+}
+
+const styles = StyleSheet.create({
+    container: {
+        marginTop: 8,
+    },
+    step: {
+        color: '#94a3b8',
+        fontSize: 12,
+        marginTop: 2,
+    },
+    current: {
+        color: '#f59e0b',
+        fontWeight: 'bold',
+    },
+});
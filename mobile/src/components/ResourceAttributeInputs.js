@@ -0,0 +1,233 @@
+import React, { useEffect, useState, useContext } from 'react';
+import { View, Text, TextInput, TouchableOpacity, StyleSheet, Switch } from 'react-native';
+import { AuthContext } from '../context/AuthContext';
+import { API_URL } from '../config';
+import { theme } from '../styles/theme';
+
+// Form shape for a new resource
+export const EMPTY_ATTRIBUTES = {
+    capacity: '',
+    building: '',
+    floor: '',
+    room: '',
+    amenities: [],
+    customFields: {}
+};
+
+// Form shape for an existing resource
+export const attributesFromResource = (resource) => ({
+    capacity: resource.capacity ? String(resource.capacity) : '',
+    building: resource.location?.building || '',
+    floor: resource.location?.floor || '',
+    room: resource.location?.room || '',
+    amenities: resource.amenities || [],
+    customFields: resource.customFields || {}
+});
+
+// Request-body shape
+export const attributesToPayload = (attributes) => ({
+    capacity: attributes.capacity ? parseInt(attributes.capacity, 10) : null,
+    location: { building: attributes.building, floor: attributes.floor, room: attributes.room },
+    amenities: attributes.amenities,
+    customFields: attributes.customFields
+});
+
+// Capacity, location, amenity chips and the custom fields of the selected type
+export default function ResourceAttributeInputs({ type, value, onChange }) {
+    const { token } = useContext(AuthContext);
+    const [amenityOptions, setAmenityOptions] = useState([]);
+    const [fields, setFields] = useState([]);
+
+    useEffect(() => {
+        fetch(`${API_URL}/resources/amenities`)
+            .then(response => response.json())
+            .then(data => data.success && setAmenityOptions(data.data))
+            .catch(error => console.error(error));
+    }, []);
+
+    useEffect(() => {
+        if (!type) {
+            setFields([]);
+            return;
+        }
+        fetch(`${API_URL}/resource-fields?type=${encodeURIComponent(type)}`, {
+            headers: { Authorization: `Bearer ${token}` }
+        })
+            .then(response => response.json())
+            .then(data => data.success && setFields(data.data))
+            .catch(error => console.error(error));
+    }, [type, token]);
+
+    const set = (key, fieldValue) => onChange({ ...value, [key]: fieldValue });
+
+    const setCustom = (key, fieldValue) => onChange({
+        ...value,
+        customFields: { ...value.customFields, [key]: fieldValue }
+    });
+
+    const toggleAmenity = (tag) => set('amenities', value.amenities.includes(tag)
+        ? value.amenities.filter(item => item !== tag)
+        : [...value.amenities, tag]);
+
+    const renderCustomField = (field) => {
+        const current = value.customFields[field.key];
+
+        if (field.fieldType === 'boolean') {
+            return (
+                <View style={styles.switchRow}>
+                    <Text style={styles.switchLabel}>{field.label}</Text>
+                    <Switch
+                        value={current === true}
+                        onValueChange={(checked) => setCustom(field.key, checked)}
+                        trackColor={{ true: theme.dark.primary }}
+                    />
+                </View>
+            );
+        }
+
+        if (field.fieldType === 'select') {
+            return (
+                <View style={styles.chipRow}>
+                    {field.options.map(option => (
+                        <TouchableOpacity
+                            key={option}
+                            style={[styles.chip, current === option && styles.chipActive]}
+                            onPress={() => setCustom(field.key, current === option ? '' : option)}
+                        >
+                            <Text style={styles.chipText}>{option}</Text>
+                        </TouchableOpacity>
+                    ))}
+                </View>
+            );
+        }
+
+        return (
+            <TextInput
+                style={styles.input}
+                placeholderTextColor={theme.dark.textSecondary}
+                placeholder={field.fieldType === 'number' && (field.min !== null || field.max !== null)
+                    ? `${field.min ?? ''} - ${field.max ?? ''}`
+                    : ''}
+                value={current === undefined || current === null ? '' : String(current)}
+                onChangeText={(text) => setCustom(field.key, text)}
+                keyboardType={field.fieldType === 'number' ? 'numeric' : 'default'}
+            />
+        );
+    };
+
+    return (
+        <View>
+            <Text style={styles.label}>Capacity</Text>
+            <TextInput
+                style={styles.input}
+                placeholder="e.g. 10"
+                placeholderTextColor={theme.dark.textSecondary}
+                value={value.capacity}
+                onChangeText={(text) => set('capacity', text)}
+                keyboardType="numeric"
+            />
+
+            <Text style={styles.label}>Location</Text>
+            <View style={styles.locationRow}>
+                <TextInput
+                    style={[styles.input, styles.locationInput]}
+                    placeholder="Building"
+                    placeholderTextColor={theme.dark.textSecondary}
+                    value={value.building}
+                    onChangeText={(text) => set('building', text)}
+                />
+                <TextInput
+                    style={[styles.input, styles.locationInput]}
+                    placeholder="Floor"
+                    placeholderTextColor={theme.dark.textSecondary}
+                    value={value.floor}
+                    onChangeText={(text) => set('floor', text)}
+                />
+                <TextInput
+                    style={[styles.input, styles.locationInput]}
+                    placeholder="Room"
+                    placeholderTextColor={theme.dark.textSecondary}
+                    value={value.room}
+                    onChangeText={(text) => set('room', text)}
+                />
+            </View>
+
+            <Text style={styles.label}>Amenities</Text>
+            <View style={styles.chipRow}>
+                {[...new Set([...amenityOptions, ...value.amenities])].map(tag => (
+                    <TouchableOpacity
+                        key={tag}
+                        style={[styles.chip, value.amenities.includes(tag) && styles.chipActive]}
+                        onPress={() => toggleAmenity(tag)}
+                    >
+                        <Text style={styles.chipText}>{tag}</Text>
+                    </TouchableOpacity>
+                ))}
+            </View>
+
+            {fields.map(field => (
+                <View key={field._id}>
+                    {field.fieldType !== 'boolean' && (
+                        <Text style={styles.label}>{field.label}{field.required ? ' *' : ''}</Text>
+                    )}
+                    {renderCustomField(field)}
+                </View>
+            ))}
+        </View>
+    );
+}
+
+const styles = StyleSheet.create({
+    label: {
+        color: '#f1f5f9',
+        fontWeight: '600',
+        marginBottom: 8,
+        marginTop: 12,
+    },
+    input: {
+        backgroundColor: 'rgba(15, 23, 42, 0.5)',
+        borderWidth: 1,
+        borderColor: 'rgba(255,255,255,0.1)',
+        borderRadius: 12,
+        padding: 16,
+        color: '#fff',
+        fontSize: 16,
+    },
+    locationRow: {
+        flexDirection: 'row',
+        gap: 8,
+    },
+    locationInput: {
+        flex: 1,
+        paddingHorizontal: 10,
+    },
+    chipRow: {
+        flexDirection: 'row',
+        flexWrap: 'wrap',
+        gap: 8,
+    },
+    chip: {
+        paddingHorizontal: 12,
+        paddingVertical: 8,
+        borderRadius: 10,
+        borderWidth: 1,
+        borderColor: 'rgba(129, 140, 248, 0.3)',
+    },
+    chipActive: {
+        backgroundColor: 'rgba(99, 102, 241, 0.4)',
+    },
+    chipText: {
+        color: '#f1f5f9',
+        fontSize: 13,
+    },
+    switchRow: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        marginTop: 12,
+    },
+    switchLabel: {
+        color: '#f1f5f9',
+        fontWeight: '600',
+    },
+});
@@ -0,0 +1,51 @@
+import React, { useEffect, useState } from 'react';
+import { View, StyleSheet } from 'react-native';
+import { Picker } from '@react-native-picker/picker';
+import { API_URL } from '../config';
+
+// Managed resource types (icon, colour, booking policy) from the API
+export function useResourceTypes() {
+    const [types, setTypes] = useState([]);
+
+    useEffect(() => {
+        fetch(`${API_URL}/resource-types`)
+            .then(response => response.json())
+            .then(data => data.success && setTypes(data.data))
+            .catch(error => console.error(error));
+    }, []);
+
+    return types;
+}
+
+// Picker of the resource types; a type without a record still shows when selected
+export default function ResourceTypePicker({ value, onChange }) {
+    const types = useResourceTypes();
+    const isKnown = !value || types.some(type => type.name === value);
+
+    return (
+        <View style={styles.pickerContainer}>
+            <Picker
+                selectedValue={value}
+                onValueChange={(itemValue) => itemValue && onChange(itemValue)}
+                style={{ color: '#fff' }}
+                dropdownIconColor="#fff"
+            >
+                {!value && <Picker.Item label="Select a type..." value="" color="#000" />}
+                {!isKnown && <Picker.Item label={value} value={value} color="#000" />}
+                {types.map(type => (
+                    <Picker.Item key={type._id} label={`${type.icon} ${type.name}`} value={type.name} color="#000" />
+                ))}
+            </Picker>
+        </View>
+    );
+}
+
+const styles = StyleSheet.create({
+    pickerContainer: {
+        backgroundColor: 'rgba(15, 23, 42, 0.5)',
+        borderWidth: 1,
+        borderColor: 'rgba(255,255,255,0.1)',
+        borderRadius: 12,
+        marginBottom: 10,
+    },
+});
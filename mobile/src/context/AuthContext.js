@@ -21,6 +21,7 @@ export const AuthProvider = ({ children }) => {
             if (storedToken && storedUser) {
                 setToken(storedToken);
                 setUser(JSON.parse(storedUser));
+                refreshUser(storedToken);
             }
         } catch (e) {
             console.error('Failed to load user', e);
@@ -29,6 +30,29 @@ export const AuthProvider = ({ children }) => {
         }
     };
 
+    // Role permissions can change at any time, so re-read them from the server
+    const refreshUser = async (authToken) => {
+        try {
+            const response = await fetch(`${API_URL}/auth/me`, {
+                headers: { 'Authorization': `Bearer ${authToken}` }
+            });
+
+            if (response.status === 401 || response.status === 403) {
+                await logout();
+                return;
+            }
+
+            const data = await response.json();
+            if (data.success) {
+                setUser(data.data);
+                await AsyncStorage.setItem('user', JSON.stringify(data.data));
+            }
+        } catch (e) {
+            // Offline - keep using the stored user
+            console.error('Failed to refresh user', e);
+        }
+    };
+
     const login = async (email, password) => {
         try {
             const response = await fetch(`${API_URL}/auth/login`, {
@@ -70,8 +94,17 @@ export const AuthProvider = ({ children }) => {
         }
     };
 
+    // e.g. hasPermission('allocations:approve')
+    const hasPermission = (permission) =>
+        Boolean(user && user.permissions && user.permissions.includes(permission));
+
+    // Decides approval requests: allocations:approve, or an approval step
+    // approver / delegate (isApprover from the server)
+    const isApprover = () =>
+        Boolean(user && (user.isApprover || hasPermission('allocations:approve')));
+
     return (
-        <AuthContext.Provider value={{ user, token, login, logout, loading }}>
+        <AuthContext.Provider value={{ user, token, login, logout, loading, hasPermission, isApprover }}>
             {children}
         </AuthContext.Provider>
     );
@@ -0,0 +1,109 @@
+import React, { createContext, useContext, useEffect, useRef, useCallback } from 'react';
+import { AuthContext } from './AuthContext';
+import { API_URL } from '../config';
+
+// Live channel of the server: pushes allocation, resource and notification
+// changes so screens can refetch instead of going stale. Events only carry IDs.
+export const LiveUpdatesContext = createContext(null);
+
+const LIVE_URL = `${API_URL.replace(/^http/, 'ws')}/live`;
+
+// Close code the server uses for blocked accounts - no reconnecting then
+const CLOSE_BLOCKED = 4003;
+
+// Longest wait between reconnect attempts
+const MAX_RETRY_MS = 30 * 1000;
+
+// How long a burst of events is collected before screens refetch
+const SETTLE_MS = 300;
+
+// Sent to every listener when the connection comes back (events may have been missed)
+const RECONNECTED = 'live:reconnected';
+
+export const LiveUpdatesProvider = ({ children }) => {
+    const { token } = useContext(AuthContext);
+    const listenersRef = useRef(new Set());
+
+    useEffect(() => {
+        if (!token) return undefined;
+
+        let socket = null;
+        let retryTimer = null;
+        let retries = 0;
+        let stopped = false;
+        let hadConnection = false;
+
+        const dispatch = (event, data) => {
+            listenersRef.current.forEach(listener => listener(event, data));
+        };
+
+        const connect = () => {
+            socket = new WebSocket(`${LIVE_URL}?token=${encodeURIComponent(token)}`);
+
+            socket.onmessage = (message) => {
+                let parsed;
+                try {
+                    parsed = JSON.parse(message.data);
+                } catch (error) {
+                    return;
+                }
+
+                if (parsed.event === 'connected') {
+                    retries = 0;
+                    if (hadConnection) dispatch(RECONNECTED, {});
+                    hadConnection = true;
+                    return;
+                }
+                dispatch(parsed.event, parsed.data);
+            };
+
+            socket.onclose = (event) => {
+                if (stopped || event.code === CLOSE_BLOCKED) return;
+                retryTimer = setTimeout(connect, Math.min(1000 * 2 ** retries, MAX_RETRY_MS));
+                retries += 1;
+            };
+        };
+
+        connect();
+
+        return () => {
+            stopped = true;
+            clearTimeout(retryTimer);
+            if (socket) socket.close();
+        };
+    }, [token]);
+
+    const subscribe = useCallback((listener) => {
+        listenersRef.current.add(listener);
+        return () => listenersRef.current.delete(listener);
+    }, []);
+
+    return (
+        <LiveUpdatesContext.Provider value={{ subscribe }}>
+            {children}
+        </LiveUpdatesContext.Provider>
+    );
+};
+
+// Calls onChange once a burst of events starting with one of the prefixes
+// (e.g. 'allocation:') has settled, and after a reconnect
+export const useLiveUpdates = (prefixes, onChange) => {
+    const { subscribe } = useContext(LiveUpdatesContext);
+    const onChangeRef = useRef(onChange);
+    onChangeRef.current = onChange;
+    const prefixKey = prefixes.join(',');
+
+    useEffect(() => {
+        let timer = null;
+        const unsubscribe = subscribe((event, data) => {
+            if (event !== RECONNECTED && !prefixKey.split(',').some(prefix => event.startsWith(prefix))) return;
+            clearTimeout(timer);
+            timer = setTimeout(() => onChangeRef.current(event, data), SETTLE_MS);
+        });
+
+        return () => {
+            clearTimeout(timer);
+            unsubscribe();
+        };
+    }, [subscribe, prefixKey]);
+};
@@ -3,7 +3,8 @@ import { View, Text, TextInput, TouchableOpacity, StyleSheet, ActivityIndicator,
 import { SafeAreaView } from 'react-native-safe-area-context';
 import { LinearGradient } from 'expo-linear-gradient';
 import AnimatedBackground from '../components/AnimatedBackground';
-import { Picker } from '@react-native-picker/picker';
+import ResourceAttributeInputs, { EMPTY_ATTRIBUTES, attributesToPayload } from '../components/ResourceAttributeInputs';
+import ResourceTypePicker from '../components/ResourceTypePicker';
 import { AuthContext } from '../context/AuthContext';
 import { API_URL } from '../config';
 import { theme } from '../styles/theme';
@@ -12,9 +13,9 @@ import { theme } from '../styles/theme';
 export default function AddResourceScreen({ navigation }) {
     const { token } = useContext(AuthContext);
     const [name, setName] = useState('');
-    const [type, setType] = useState('Room'); // Default
+    const [type, setType] = useState('');
     const [description, setDescription] = useState('');
-    const [capacity, setCapacity] = useState('');
+    const [attributes, setAttributes] = useState(EMPTY_ATTRIBUTES);
     const [isSubmitting, setIsSubmitting] = useState(false);
 
     const handleCreate = async () => {
@@ -35,7 +36,7 @@ export default function AddResourceScreen({ navigation }) {
                     name,
                     type,
                     description,
-                    capacity: capacity ? parseInt(capacity) : undefined
+                    ...attributesToPayload(attributes)
                 })
             });
 
@@ -46,7 +47,7 @@ export default function AddResourceScreen({ navigation }) {
                     { text: 'OK', onPress: () => navigation.goBack() }
                 ]);
             } else {
-                Alert.alert('Failed', data.message || 'Could not add resource');
+                Alert.alert('Failed', data.errors ? data.errors.join('\n') : data.message || 'Could not add resource');
             }
         } catch (error) {
             console.error(error);
@@ -73,18 +74,14 @@ export default function AddResourceScreen({ navigation }) {
                         />
 
                         <Text style={styles.label}>Resource Type</Text>
-                        <View style={styles.pickerContainer}>
-                            <Picker
-                                selectedValue={type}
-                                onValueChange={(itemValue) => setType(itemValue)}
-                                style={{ color: '#fff' }}
-                                dropdownIconColor="#fff"
-                            >
-                                <Picker.Item label="Room" value="Room" color="#000" />
-                                <Picker.Item label="Equipment" value="Equipment" color="#000" />
-                                <Picker.Item label="Vehicle" value="Vehicle" color="#000" />
-                            </Picker>
-                        </View>
+                        <ResourceTypePicker
+                            value={type}
+                            onChange={(itemValue) => {
+                                setType(itemValue);
+                                // Custom fields belong to the old type
+                                setAttributes({ ...attributes, customFields: {} });
+                            }}
+                        />
 
                         <Text style={styles.label}>Description</Text>
                         <TextInput
@@ -96,15 +93,7 @@ export default function AddResourceScreen({ navigation }) {
                             multiline
                         />
 
-                        <Text style={styles.label}>Capacity</Text>
-                        <TextInput
-                            style={styles.input}
-                            placeholder="e.g. 10"
-                            placeholderTextColor={theme.dark.textSecondary}
-                            value={capacity}
-                            onChangeText={setCapacity}
-                            keyboardType="numeric"
-                        />
+                        <ResourceAttributeInputs type={type} value={attributes} onChange={setAttributes} />
 
                         <TouchableOpacity
                             style={styles.button}
@@ -155,13 +144,6 @@ const styles = StyleSheet.create({
         color: '#fff',
         fontSize: 16,
     },
-    pickerContainer: {
-        backgroundColor: 'rgba(15, 23, 42, 0.5)',
-        borderWidth: 1,
-        borderColor: 'rgba(255,255,255,0.1)',
-        borderRadius: 12,
-        marginBottom: 10,
-    },
     button: {
         backgroundColor: '#818cf8',
         padding: 16,
@@ -1,4 +1,4 @@
-import React, { useState, useContext } from 'react';
+import React, { useState, useEffect, useContext } from 'react';
 import { View, Text, TextInput, TouchableOpacity, StyleSheet, ActivityIndicator, Alert, ScrollView } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import { LinearGradient } from 'expo-linear-gradient';
@@ -16,6 +16,25 @@ export default function AddUserScreen({ navigation }) {
     const [role, setRole] = useState('User');
     const [department, setDepartment] = useState('');
     const [isSubmitting, setIsSubmitting] = useState(false);
+    const [roles, setRoles] = useState([]);
+
+    useEffect(() => {
+        fetchRoles();
+    }, []);
+
+    const fetchRoles = async () => {
+        try {
+            const response = await fetch(`${API_URL}/roles`, {
+                headers: { Authorization: `Bearer ${token}` }
+            });
+            const data = await response.json();
+            if (data.success) {
+                setRoles(data.data);
+            }
+        } catch (error) {
+            console.error(error);
+        }
+    };
 
     const handleCreate = async () => {
         if (!name || !email || !password) {
@@ -102,8 +121,17 @@ export default function AddUserScreen({ navigation }) {
                                 style={{ color: '#fff' }}
                                 dropdownIconColor="#fff"
                             >
-                                <Picker.Item label="User" value="User" color="#000" />
-                                <Picker.Item label="Super User (Admin)" value="Super User" color="#000" />
+                                {roles.length === 0 && (
+                                    <Picker.Item label="User" value="User" color="#000" />
+                                )}
+                                {roles.map(item => (
+                                    <Picker.Item
+                                        key={item._id}
+                                        label={item.name === 'Super User' ? 'Super User (Admin)' : item.name}
+                                        value={item.name}
+                                        color="#000"
+                                    />
+                                ))}
                             </Picker>
                         </View>
 
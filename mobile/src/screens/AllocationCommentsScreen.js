@@ -0,0 +1,288 @@
+import React, { useEffect, useState, useContext } from 'react';
+import { View, Text, TextInput, FlatList, TouchableOpacity, StyleSheet, ActivityIndicator, Alert, KeyboardAvoidingView, Platform } from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import AnimatedBackground from '../components/AnimatedBackground';
+import { AuthContext } from '../context/AuthContext';
+import { API_URL } from '../config';
+import { theme } from '../styles/theme';
+
+// Discussion of one request between the requester and its approvers
+export default function AllocationCommentsScreen({ route }) {
+    const { token, user } = useContext(AuthContext);
+    const { allocation } = route.params;
+
+    const [comments, setComments] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [draft, setDraft] = useState('');
+    // Comment being edited ({ _id, body }) and comments with their history open
+    const [editing, setEditing] = useState(null);
+    const [openHistory, setOpenHistory] = useState([]);
+    const [saving, setSaving] = useState(false);
+
+    const fetchComments = async () => {
+        try {
+            const response = await fetch(`${API_URL}/allocations/${allocation._id}/comments`, {
+                headers: { Authorization: `Bearer ${token}` }
+            });
+            const data = await response.json();
+            if (data.success) {
+                setComments(data.data);
+            } else {
+                Alert.alert('Error', data.message);
+            }
+        } catch (error) {
+            console.error(error);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    useEffect(() => {
+        fetchComments();
+    }, []);
+
+    // Post a new comment, or save the one being edited
+    const save = async (commentId, body) => {
+        if (!body.trim()) return;
+        setSaving(true);
+        try {
+            const response = await fetch(
+                `${API_URL}/allocations/${allocation._id}/comments${commentId ? `/${commentId}` : ''}`,
+                {
+                    method: commentId ? 'PUT' : 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        Authorization: `Bearer ${token}`
+                    },
+                    body: JSON.stringify({ body })
+                }
+            );
+            const data = await response.json();
+
+            if (data.success) {
+                setComments(commentId
+                    ? comments.map(comment => (comment._id === commentId ? data.data : comment))
+                    : [...comments, data.data]);
+                if (commentId) setEditing(null);
+                else setDraft('');
+            } else {
+                Alert.alert('Failed', data.errors ? data.errors.join('\n') : data.message);
+            }
+        } catch (error) {
+            Alert.alert('Error', 'Network request failed');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const toggleHistory = (id) => {
+        setOpenHistory(openHistory.includes(id) ? openHistory.filter(item => item !== id) : [...openHistory, id]);
+    };
+
+    const renderItem = ({ item }) => {
+        const isMine = item.author === user?._id;
+        const isEditing = editing?._id === item._id;
+
+        return (
+            <View style={[styles.card, isMine && styles.mineCard]}>
+                <Text style={styles.meta}>
+                    <Text style={styles.author}>{item.authorName}</Text>
+                    {item.isRequester ? ' (requester)' : ''} · {new Date(item.createdAt).toLocaleString()}
+                </Text>
+
+                {isEditing ? (
+                    <>
+                        <TextInput
+                            style={styles.input}
+                            value={editing.body}
+                            onChangeText={(body) => setEditing({ ...editing, body })}
+                            multiline
+                            maxLength={1000}
+                        />
+                        <View style={styles.actionRow}>
+                            <TouchableOpacity onPress={() => setEditing(null)} disabled={saving}>
+                                <Text style={styles.linkText}>Cancel</Text>
+                            </TouchableOpacity>
+                            <TouchableOpacity onPress={() => save(item._id, editing.body)} disabled={saving}>
+                                <Text style={styles.linkText}>Save</Text>
+                            </TouchableOpacity>
+                        </View>
+                    </>
+                ) : (
+                    <Text style={styles.body}>{item.body}</Text>
+                )}
+
+                <View style={styles.actionRow}>
+                    {!!item.editedAt && (
+                        <TouchableOpacity onPress={() => toggleHistory(item._id)}>
+                            <Text style={styles.mutedLink}>Edited {new Date(item.editedAt).toLocaleString()}</Text>
+                        </TouchableOpacity>
+                    )}
+                    {isMine && !isEditing && (
+                        <TouchableOpacity onPress={() => setEditing({ _id: item._id, body: item.body })}>
+                            <Text style={styles.linkText}>Edit</Text>
+                        </TouchableOpacity>
+                    )}
+                </View>
+
+                {openHistory.includes(item._id) && item.edits.map((edit, index) => (
+                    <View key={index} style={styles.history}>
+                        <Text style={styles.historyMeta}>Until {new Date(edit.editedAt).toLocaleString()}:</Text>
+                        <Text style={styles.historyBody}>{edit.body}</Text>
+                    </View>
+                ))}
+            </View>
+        );
+    };
+
+    return (
+        <AnimatedBackground style={styles.container}>
+            <SafeAreaView style={{ flex: 1 }}>
+                <KeyboardAvoidingView style={{ flex: 1 }} behavior={Platform.OS === 'ios' ? 'padding' : undefined}>
+                    <Text style={styles.headerTitle}>Discussion</Text>
+                    <Text style={styles.subtitle}>
+                        {allocation.resourceId?.name || 'Request'} · {new Date(allocation.startTime).toLocaleString()}
+                    </Text>
+
+                    {loading ? (
+                        <ActivityIndicator size="large" color={theme.dark.primary} style={{ marginTop: 50 }} />
+                    ) : (
+                        <FlatList
+                            data={comments}
+                            renderItem={renderItem}
+                            keyExtractor={item => item._id}
+                            contentContainerStyle={styles.list}
+                            ListEmptyComponent={
+                                <Text style={styles.emptyText}>No comments yet - ask a question or add a detail.</Text>
+                            }
+                        />
+                    )}
+
+                    <View style={styles.composer}>
+                        <TextInput
+                            style={[styles.input, { flex: 1 }]}
+                            placeholder="Write a comment..."
+                            placeholderTextColor={theme.dark.textSecondary}
+                            value={draft}
+                            onChangeText={setDraft}
+                            multiline
+                            maxLength={1000}
+                        />
+                        <TouchableOpacity
+                            style={[styles.sendBtn, (!draft.trim() || saving) && { opacity: 0.5 }]}
+                            onPress={() => save(null, draft)}
+                            disabled={!draft.trim() || saving}
+                        >
+                            <Text style={styles.sendText}>Post</Text>
+                        </TouchableOpacity>
+                    </View>
+                </KeyboardAvoidingView>
+            </SafeAreaView>
+        </AnimatedBackground>
+    );
+}
+
+const styles = StyleSheet.create({
+    container: { flex: 1 },
+    headerTitle: {
+        fontSize: 24,
+        fontWeight: 'bold',
+        color: '#f1f5f9',
+        paddingHorizontal: 20,
+        paddingTop: 20,
+    },
+    subtitle: {
+        color: '#94a3b8',
+        fontSize: 13,
+        paddingHorizontal: 20,
+        paddingBottom: 10,
+    },
+    list: { padding: 20 },
+    card: {
+        backgroundColor: 'rgba(30, 41, 59, 0.7)',
+        borderRadius: 16,
+        marginBottom: 12,
+        padding: 14,
+        borderWidth: 1,
+        borderColor: 'rgba(255,255,255,0.05)',
+    },
+    mineCard: {
+        borderColor: 'rgba(99, 102, 241, 0.4)',
+    },
+    meta: {
+        color: '#94a3b8',
+        fontSize: 12,
+        marginBottom: 6,
+    },
+    author: {
+        color: '#f1f5f9',
+        fontWeight: 'bold',
+    },
+    body: {
+        color: '#e2e8f0',
+        fontSize: 15,
+    },
+    actionRow: {
+        flexDirection: 'row',
+        gap: 16,
+        marginTop: 6,
+    },
+    linkText: {
+        color: '#a5b4fc',
+        fontSize: 13,
+        fontWeight: 'bold',
+    },
+    mutedLink: {
+        color: '#94a3b8',
+        fontSize: 12,
+        textDecorationLine: 'underline',
+    },
+    history: {
+        marginTop: 6,
+        paddingLeft: 10,
+        borderLeftWidth: 2,
+        borderLeftColor: 'rgba(255,255,255,0.1)',
+    },
+    historyMeta: {
+        color: '#64748b',
+        fontSize: 11,
+    },
+    historyBody: {
+        color: '#94a3b8',
+        fontSize: 13,
+    },
+    composer: {
+        flexDirection: 'row',
+        alignItems: 'flex-end',
+        gap: 10,
+        padding: 16,
+        borderTopWidth: 1,
+        borderTopColor: 'rgba(255,255,255,0.05)',
+    },
+    input: {
+        backgroundColor: 'rgba(15, 23, 42, 0.5)',
+        borderWidth: 1,
+        borderColor: 'rgba(255,255,255,0.1)',
+        borderRadius: 12,
+        padding: 12,
+        color: '#fff',
+        fontSize: 15,
+        maxHeight: 120,
+    },
+    sendBtn: {
+        backgroundColor: theme.dark.primary,
+        borderRadius: 12,
+        paddingVertical: 12,
+        paddingHorizontal: 18,
+    },
+    sendText: {
+        color: '#fff',
+        fontWeight: 'bold',
+    },
+    emptyText: {
+        color: '#94a3b8',
+        textAlign: 'center',
+        marginTop: 50,
+        fontSize: 16,
+    }
+});
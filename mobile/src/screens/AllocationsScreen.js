@@ -1,38 +1,137 @@
 import React, { useEffect, useState, useContext } from 'react';
-import { View, Text, FlatList, StyleSheet, ActivityIndicator, Alert } from 'react-native';
+import { View, Text, TextInput, FlatList, ScrollView, TouchableOpacity, StyleSheet, ActivityIndicator, Alert, RefreshControl } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import { LinearGradient } from 'expo-linear-gradient';
 import AnimatedBackground from '../components/AnimatedBackground';
 import { AuthContext } from '../context/AuthContext';
+import { useLiveUpdates } from '../context/LiveUpdatesContext';
 import { API_URL } from '../config';
 import { theme } from '../styles/theme';
 
+const PAGE_SIZE = 20;
+
+const APPROVAL_FILTERS = [
+    { value: '', label: 'All' },
+    { value: 'pending', label: 'Pending' },
+    { value: 'approved', label: 'Approved' },
+    { value: 'rejected', label: 'Rejected' },
+    { value: 'cancelled', label: 'Cancelled' },
+];
+
+const TIME_FILTERS = [
+    { value: '', label: 'Any time' },
+    { value: 'Active', label: 'Active' },
+    { value: 'Upcoming', label: 'Upcoming' },
+    { value: 'Completed', label: 'Completed' },
+];
+
 export default function AllocationsScreen() {
     const { token } = useContext(AuthContext);
     const [allocations, setAllocations] = useState([]);
     const [loading, setLoading] = useState(true);
+    const [loadingMore, setLoadingMore] = useState(false);
+    const [refreshing, setRefreshing] = useState(false);
+
+    // Filters
+    const [search, setSearch] = useState('');
+    const [appliedSearch, setAppliedSearch] = useState('');
+    const [approvalStatus, setApprovalStatus] = useState('');
+    const [timeStatus, setTimeStatus] = useState('');
+    const [resourceType, setResourceType] = useState('');
+    const [resourceTypes, setResourceTypes] = useState([]);
+
+    // Pagination
+    const [total, setTotal] = useState(0);
+    const [nextCursor, setNextCursor] = useState(null);
 
     useEffect(() => {
-        fetchAllocations();
+        fetchResourceTypes();
     }, []);
 
-    const fetchAllocations = async () => {
+    // Wait for a pause in typing before searching
+    useEffect(() => {
+        const timer = setTimeout(() => setAppliedSearch(search.trim()), 400);
+        return () => clearTimeout(timer);
+    }, [search]);
+
+    useEffect(() => {
+        setLoading(true);
+        fetchAllocations();
+    }, [appliedSearch, approvalStatus, timeStatus, resourceType]);
+
+    // Bookings made, decided or cancelled elsewhere show up without pulling to refresh
+    useLiveUpdates(['allocation:'], () => fetchAllocations());
+
+    const fetchResourceTypes = async () => {
+        try {
+            const response = await fetch(`${API_URL}/resources`);
+            const data = await response.json();
+            if (data.success) {
+                setResourceTypes([...new Set(data.data.map(r => r.type))].sort());
+            }
+        } catch (error) {
+            console.error(error);
+        }
+    };
+
+    // Without a cursor the list is replaced, with one the next page is appended
+    const fetchAllocations = async (cursor = null) => {
         try {
-            const response = await fetch(`${API_URL}/allocations`, {
+            const params = [`limit=${PAGE_SIZE}`];
+            if (appliedSearch) params.push(`search=${encodeURIComponent(appliedSearch)}`);
+            if (approvalStatus) params.push(`approvalStatus=${approvalStatus}`);
+            if (timeStatus) params.push(`timeStatus=${timeStatus}`);
+            if (resourceType) params.push(`resourceType=${encodeURIComponent(resourceType)}`);
+            if (cursor) params.push(`cursor=${cursor}`);
+
+            const response = await fetch(`${API_URL}/allocations?${params.join('&')}`, {
                 headers: { Authorization: `Bearer ${token}` }
             });
             const data = await response.json();
             if (data.success) {
-                setAllocations(data.data || []);
+                setAllocations(prev => (cursor ? [...prev, ...data.data] : data.data));
+                setTotal(data.total);
+                setNextCursor(data.pagination.nextCursor);
+            } else {
+                Alert.alert('Error', data.message || 'Failed to fetch allocations');
             }
         } catch (error) {
             console.error(error);
             Alert.alert('Error', 'Failed to fetch allocations');
         } finally {
             setLoading(false);
+            setLoadingMore(false);
+            setRefreshing(false);
         }
     };
 
+    const onEndReached = () => {
+        if (!nextCursor || loadingMore || loading) return;
+        setLoadingMore(true);
+        fetchAllocations(nextCursor);
+    };
+
+    const onRefresh = () => {
+        setRefreshing(true);
+        fetchAllocations();
+    };
+
+    const renderChips = (options, selected, onSelect) => (
+        <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.chipRow}>
+            {options.map(option => (
+                <TouchableOpacity
+                    key={option.value || 'all'}
+                    style={[styles.chip, selected === option.value && styles.chipActive]}
+                    onPress={() => onSelect(option.value)}
+                >
+                    <Text style={[styles.chipText, selected === option.value && styles.chipTextActive]}>
+                        {option.label}
+                    </Text>
+                </TouchableOpacity>
+            ))}
+        </ScrollView>
+    );
+
     const getStatusColor = (status) => {
         switch (status?.toLowerCase()) {
             case 'active': return theme.dark.success;
@@ -43,7 +142,7 @@ export default function AllocationsScreen() {
     };
 
     const renderItem = ({ item }) => {
-        const statusColor = getStatusColor(item.status || item.approvalStatus);
+        const statusColor = getStatusColor(item.approvalStatus === 'approved' ? item.timeStatus : item.approvalStatus);
         const startTime = new Date(item.startTime).toLocaleString();
         const endTime = new Date(item.endTime).toLocaleString();
 
@@ -59,9 +158,15 @@ export default function AllocationsScreen() {
                     </View>
                     <View style={[styles.badge, { borderColor: statusColor }]}>
                         <Text style={[styles.badgeText, { color: statusColor }]}>
-                            {(item.status || item.approvalStatus || 'UNKNOWN').toUpperCase()}
+                            {(item.approvalStatus || 'UNKNOWN').toUpperCase()} · {item.timeStatus}
                         </Text>
                     </View>
+                    {item.approvalStatus === 'cancelled' && !!item.cancellationReason && (
+                        <Text style={styles.cancelNote}>Cancelled: {item.cancellationReason}</Text>
+                    )}
+                    {item.needsReview && (
+                        <Text style={styles.reviewNote}>Needs review{item.reviewReason ? `: ${item.reviewReason}` : ''}</Text>
+                    )}
                 </View>
             </View>
         );
@@ -72,6 +177,24 @@ export default function AllocationsScreen() {
             <SafeAreaView style={{ flex: 1 }}>
                 <Text style={styles.headerTitle}>Allocations</Text>
 
+                <View style={styles.filters}>
+                    <TextInput
+                        style={styles.searchInput}
+                        placeholder="Search purpose..."
+                        placeholderTextColor={theme.dark.textSecondary}
+                        value={search}
+                        onChangeText={setSearch}
+                    />
+                    {renderChips(APPROVAL_FILTERS, approvalStatus, setApprovalStatus)}
+                    {renderChips(TIME_FILTERS, timeStatus, setTimeStatus)}
+                    {resourceTypes.length > 0 && renderChips(
+                        [{ value: '', label: 'All types' }, ...resourceTypes.map(type => ({ value: type, label: type }))],
+                        resourceType,
+                        setResourceType
+                    )}
+                    <Text style={styles.countText}>Showing {allocations.length} of {total}</Text>
+                </View>
+
                 {loading ? (
                     <ActivityIndicator size="large" color={theme.dark.primary} style={{ marginTop: 50 }} />
                 ) : (
@@ -80,6 +203,10 @@ export default function AllocationsScreen() {
                         renderItem={renderItem}
                         keyExtractor={item => item._id}
                         contentContainerStyle={styles.list}
+                        onEndReached={onEndReached}
+                        onEndReachedThreshold={0.5}
+                        refreshControl={<RefreshControl refreshing={refreshing} onRefresh={onRefresh} tintColor="#fff" />}
+                        ListFooterComponent={loadingMore ? <ActivityIndicator color={theme.dark.primary} style={{ marginVertical: 16 }} /> : null}
                         ListEmptyComponent={
                             <Text style={styles.emptyText}>No allocations found.</Text>
                         }
@@ -99,6 +226,47 @@ const styles = StyleSheet.create({
         padding: 20,
         paddingBottom: 10,
     },
+    filters: {
+        paddingHorizontal: 20,
+    },
+    searchInput: {
+        backgroundColor: 'rgba(15, 23, 42, 0.5)',
+        borderWidth: 1,
+        borderColor: 'rgba(255,255,255,0.1)',
+        borderRadius: 12,
+        padding: 12,
+        color: '#fff',
+        fontSize: 15,
+        marginBottom: 8,
+    },
+    chipRow: {
+        flexGrow: 0,
+        marginBottom: 8,
+    },
+    chip: {
+        borderWidth: 1,
+        borderColor: 'rgba(255,255,255,0.15)',
+        borderRadius: 16,
+        paddingHorizontal: 12,
+        paddingVertical: 6,
+        marginRight: 8,
+    },
+    chipActive: {
+        backgroundColor: '#818cf8',
+        borderColor: '#818cf8',
+    },
+    chipText: {
+        color: '#94a3b8',
+        fontSize: 13,
+    },
+    chipTextActive: {
+        color: '#fff',
+        fontWeight: '600',
+    },
+    countText: {
+        color: '#94a3b8',
+        fontSize: 12,
+    },
     list: { padding: 20 },
     card: {
         backgroundColor: 'rgba(30, 41, 59, 0.7)',
@@ -129,6 +297,16 @@ const styles = StyleSheet.create({
         marginBottom: 12,
         fontStyle: 'italic',
     },
+    cancelNote: {
+        color: '#94a3b8',
+        fontSize: 12,
+        marginTop: 8,
+    },
+    reviewNote: {
+        color: '#f59e0b',
+        fontSize: 12,
+        marginTop: 8,
+    },
     timeContainer: {
         marginBottom: 12,
     },
@@ -19,35 +19,99 @@ export default function AssignResourceScreen({ navigation }) {
     const [purpose, setPurpose] = useState('');
     const [loading, setLoading] = useState(false);
     const [isSubmitting, setIsSubmitting] = useState(false);
+    const [hasChecked, setHasChecked] = useState(false);
+    // Booking that clashed, with the alternatives the server suggested
+    const [conflict, setConflict] = useState(null);
 
+    // Any change to the time window invalidates the last availability check
     useEffect(() => {
-        fetchResources();
-    }, []);
+        setResources([]);
+        setSelectedResource('');
+        setHasChecked(false);
+        setConflict(null);
+    }, [startTime, endTime]);
 
-    const fetchResources = async () => {
+    // Only list resources that are free for the whole requested window
+    const fetchAvailableResources = async () => {
+        if (!startTime || !endTime) {
+            Alert.alert('Error', 'Enter start and end time first');
+            return;
+        }
+
+        setLoading(true);
         try {
-            const response = await fetch(`${API_URL}/resources`, {
+            const query = `start=${encodeURIComponent(startTime)}&end=${encodeURIComponent(endTime)}`;
+            const response = await fetch(`${API_URL}/resources/available?${query}`, {
                 headers: { Authorization: `Bearer ${token}` }
             });
             const data = await response.json();
             if (data.success) {
                 const resourceList = data.data || [];
                 setResources(resourceList);
-                if (resourceList.length > 0) {
-                    setSelectedResource(resourceList[0]._id);
-                }
+                setSelectedResource(resourceList.length > 0 ? resourceList[0]._id : '');
+                setHasChecked(true);
+            } else {
+                Alert.alert('Error', data.message || 'Could not check availability');
+            }
+        } catch (error) {
+            console.error(error);
+            Alert.alert('Error', 'Something went wrong');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    // Wait for a booked slot; it is booked for us if it comes free
+    const joinWaitlist = async (booking) => {
+        try {
+            const response = await fetch(`${API_URL}/waitlist`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    Authorization: `Bearer ${token}`
+                },
+                body: JSON.stringify(booking)
+            });
+            const data = await response.json();
+            if (data.success) {
+                Alert.alert('On the Waitlist', data.message, [
+                    { text: 'OK', onPress: () => navigation.goBack() }
+                ]);
+            } else {
+                Alert.alert('Failed', data.message || 'Could not join the waitlist');
             }
         } catch (error) {
             console.error(error);
+            Alert.alert('Error', 'Something went wrong');
         }
     };
 
     const handleAssign = async () => {
-        if (!selectedResource || !startTime || !endTime || !purpose) {
+        if (!startTime || !endTime || !purpose) {
             Alert.alert('Error', 'Please fill in all fields');
             return;
         }
 
+        if (!selectedResource) {
+            Alert.alert('Error', 'Check availability and pick a free resource');
+            return;
+        }
+
+        submitBooking({
+            resourceId: selectedResource,
+            assignedTo: user.name, // Auto-assign to self or input name? Web calls it "assignedTo"
+            startTime,
+            endTime,
+            purpose
+        });
+    };
+
+    // One tap on a suggested time or resource books it
+    const rebook = (changes) => {
+        submitBooking({ ...conflict.booking, ...changes });
+    };
+
+    const submitBooking = async (booking) => {
         setIsSubmitting(true);
         try {
             const response = await fetch(`${API_URL}/allocations`, {
@@ -56,23 +120,28 @@ export default function AssignResourceScreen({ navigation }) {
                     'Content-Type': 'application/json',
                     Authorization: `Bearer ${token}`
                 },
-                body: JSON.stringify({
-                    resourceId: selectedResource,
-                    assignedTo: user.name, // Auto-assign to self or input name? Web calls it "assignedTo"
-                    startTime,
-                    endTime,
-                    purpose
-                })
+                body: JSON.stringify(booking)
             });
 
             const data = await response.json();
 
-            if (data.success) {
-                Alert.alert('Success', 'Resource allocated successfully!', [
+            if (data.canJoinWaitlist) {
+                // Someone booked it first - offer other times, other resources and the waitlist
+                setConflict({ message: data.message, alternatives: data.alternatives, booking });
+            } else if (data.success) {
+                setConflict(null);
+                // An auto-approval rule may have decided the request; the message says which
+                const decided = data.data && data.data.approvalRule;
+                const title = decided && data.data.approvalStatus === 'rejected' ? 'Rejected' : 'Success';
+                Alert.alert(title, decided ? data.message : 'Resource allocated successfully!', [
                     { text: 'OK', onPress: () => navigation.goBack() }
                 ]);
             } else {
-                Alert.alert('Failed', data.message || 'Allocation failed');
+                // Broken booking rules are listed one per line
+                const rules = data.violations && data.violations.length > 1
+                    ? data.violations.map(violation => `• ${violation.message}`).join('\n')
+                    : data.message;
+                Alert.alert('Failed', rules || 'Allocation failed');
             }
         } catch (error) {
             console.error(error);
@@ -89,21 +158,6 @@ export default function AssignResourceScreen({ navigation }) {
                     <Text style={styles.headerTitle}>Assign Resource</Text>
 
                     <View style={styles.glassCard}>
-                        <Text style={styles.label}>Select Resource</Text>
-                        <View style={styles.pickerContainer}>
-                            {/* Simple implementation of a picker using map for now or better explicit Picker if installed */}
-                            <Picker
-                                selectedValue={selectedResource}
-                                onValueChange={(itemValue) => setSelectedResource(itemValue)}
-                                style={{ color: '#fff' }}
-                                dropdownIconColor="#fff"
-                            >
-                                {resources.map(res => (
-                                    <Picker.Item key={res._id} label={`${res.name} (${res.type})`} value={res._id} color="#000" />
-                                ))}
-                            </Picker>
-                        </View>
-
                         <Text style={styles.label}>Start Time (YYYY-MM-DD HH:MM)</Text>
                         <TextInput
                             style={styles.input}
@@ -122,6 +176,38 @@ export default function AssignResourceScreen({ navigation }) {
                             onChangeText={setEndTime}
                         />
 
+                        <TouchableOpacity
+                            style={styles.secondaryButton}
+                            onPress={fetchAvailableResources}
+                            disabled={loading}
+                        >
+                            {loading ? (
+                                <ActivityIndicator color="#818cf8" />
+                            ) : (
+                                <Text style={styles.secondaryButtonText}>Check Availability</Text>
+                            )}
+                        </TouchableOpacity>
+
+                        <Text style={styles.label}>Select Resource</Text>
+                        {!hasChecked ? (
+                            <Text style={styles.hint}>Check availability to see free resources.</Text>
+                        ) : resources.length === 0 ? (
+                            <Text style={styles.hint}>No resources are free in this time range.</Text>
+                        ) : (
+                            <View style={styles.pickerContainer}>
+                                <Picker
+                                    selectedValue={selectedResource}
+                                    onValueChange={(itemValue) => setSelectedResource(itemValue)}
+                                    style={{ color: '#fff' }}
+                                    dropdownIconColor="#fff"
+                                >
+                                    {resources.map(res => (
+                                        <Picker.Item key={res._id} label={`${res.name} (${res.type})`} value={res._id} color="#000" />
+                                    ))}
+                                </Picker>
+                            </View>
+                        )}
+
                         <Text style={styles.label}>Purpose</Text>
                         <TextInput
                             style={styles.input}
@@ -143,6 +229,56 @@ export default function AssignResourceScreen({ navigation }) {
                             )}
                         </TouchableOpacity>
                     </View>
+
+                    {conflict && (
+                        <View style={[styles.glassCard, styles.conflictCard]}>
+                            <Text style={styles.conflictTitle}>{conflict.message}</Text>
+
+                            {conflict.alternatives?.slots.length > 0 && (
+                                <>
+                                    <Text style={styles.label}>Free at other times</Text>
+                                    {conflict.alternatives.slots.map(slot => (
+                                        <TouchableOpacity
+                                            key={slot.startTime}
+                                            style={styles.optionButton}
+                                            onPress={() => rebook({ startTime: slot.startTime, endTime: slot.endTime })}
+                                            disabled={isSubmitting}
+                                        >
+                                            <Text style={styles.optionText}>
+                                                🕒 {new Date(slot.startTime).toLocaleString()} - {new Date(slot.endTime).toLocaleTimeString()}
+                                            </Text>
+                                        </TouchableOpacity>
+                                    ))}
+                                </>
+                            )}
+
+                            {conflict.alternatives?.resources.length > 0 && (
+                                <>
+                                    <Text style={styles.label}>Free at this time</Text>
+                                    {conflict.alternatives.resources.map(resource => (
+                                        <TouchableOpacity
+                                            key={resource._id}
+                                            style={styles.optionButton}
+                                            onPress={() => rebook({ resourceId: resource._id })}
+                                            disabled={isSubmitting}
+                                        >
+                                            <Text style={styles.optionText}>
+                                                📍 {resource.name}{resource.capacity ? ` (${resource.capacity} people)` : ''}
+                                            </Text>
+                                        </TouchableOpacity>
+                                    ))}
+                                </>
+                            )}
+
+                            <TouchableOpacity
+                                style={styles.secondaryButton}
+                                onPress={() => joinWaitlist(conflict.booking)}
+                                disabled={isSubmitting}
+                            >
+                                <Text style={styles.secondaryButtonText}>⏳ Join Waitlist</Text>
+                            </TouchableOpacity>
+                        </View>
+                    )}
                 </ScrollView>
             </SafeAreaView>
         </AnimatedBackground>
@@ -198,5 +334,43 @@ const styles = StyleSheet.create({
         color: 'white',
         fontWeight: 'bold',
         fontSize: 16,
+    },
+    secondaryButton: {
+        borderWidth: 1,
+        borderColor: '#818cf8',
+        padding: 14,
+        borderRadius: 12,
+        alignItems: 'center',
+        marginTop: 16,
+    },
+    secondaryButtonText: {
+        color: '#818cf8',
+        fontWeight: 'bold',
+        fontSize: 15,
+    },
+    conflictCard: {
+        marginTop: 20,
+        borderColor: theme.dark.error,
+    },
+    conflictTitle: {
+        color: theme.dark.error,
+        fontWeight: 'bold',
+        fontSize: 15,
+    },
+    optionButton: {
+        backgroundColor: 'rgba(129, 140, 248, 0.15)',
+        padding: 12,
+        borderRadius: 10,
+        marginBottom: 8,
+    },
+    optionText: {
+        color: '#f1f5f9',
+        fontSize: 14,
+    },
+    hint: {
+        color: '#94a3b8',
+        fontSize: 14,
+        fontStyle: 'italic',
+        marginBottom: 10,
     }
 });
@@ -5,12 +5,14 @@ import { SafeAreaView } from 'react-native-safe-area-context';
 // import { LinearGradient } from 'expo-linear-gradient'; // Keeping it if used elsewhere or just for safety, but mostly we replace it.
 import AnimatedBackground from '../components/AnimatedBackground';
 import { AuthContext } from '../context/AuthContext';
+import { useLiveUpdates } from '../context/LiveUpdatesContext';
 import { API_URL } from '../config';
 import { theme } from '../styles/theme';
 
 export default function DashboardScreen({ navigation }) {
-    const { token, logout, user } = useContext(AuthContext);
+    const { token, logout, user, hasPermission, isApprover } = useContext(AuthContext);
     const [stats, setStats] = useState(null);
+    const [unreadCount, setUnreadCount] = useState(0);
     const [refreshing, setRefreshing] = useState(false);
 
     const fetchStats = async () => {
@@ -27,9 +29,23 @@ export default function DashboardScreen({ navigation }) {
         }
     };
 
+    const fetchUnreadCount = async () => {
+        try {
+            const response = await fetch(`${API_URL}/notifications/unread-count`, {
+                headers: { Authorization: `Bearer ${token}` }
+            });
+            const data = await response.json();
+            if (data.success) {
+                setUnreadCount(data.count);
+            }
+        } catch (error) {
+            console.error(error);
+        }
+    };
+
     const onRefresh = React.useCallback(async () => {
         setRefreshing(true);
-        await fetchStats();
+        await Promise.all([fetchStats(), fetchUnreadCount()]);
         setRefreshing(false);
     }, []);
 
@@ -37,6 +53,16 @@ export default function DashboardScreen({ navigation }) {
         fetchStats();
     }, []);
 
+    // The unread count changes while other screens are open
+    useEffect(() => {
+        const unsubscribe = navigation.addListener('focus', fetchUnreadCount);
+        return unsubscribe;
+    }, [navigation]);
+
+    // Keep the counters and the badge current
+    useLiveUpdates(['allocation:', 'resource:'], fetchStats);
+    useLiveUpdates(['notification:'], fetchUnreadCount);
+
     const StatCard = ({ label, value, color }) => (
         <View style={[styles.card, { borderLeftColor: color, borderLeftWidth: 4 }]}>
             <Text style={styles.cardValue}>{value}</Text>
@@ -52,9 +78,19 @@ export default function DashboardScreen({ navigation }) {
                         <Text style={styles.welcome}>Welcome back,</Text>
                         <Text style={styles.username}>{user?.name}</Text>
                     </View>
-                    <TouchableOpacity onPress={logout} style={styles.logoutBtn}>
-                        <Text style={styles.logoutText}>Logout</Text>
-                    </TouchableOpacity>
+                    <View style={styles.headerActions}>
+                        <TouchableOpacity onPress={() => navigation.navigate('Notifications')} style={styles.bellBtn}>
+                            <Text style={styles.bellText}>🔔</Text>
+                            {unreadCount > 0 && (
+                                <View style={styles.badge}>
+                                    <Text style={styles.badgeText}>{unreadCount > 99 ? '99+' : unreadCount}</Text>
+                                </View>
+                            )}
+                        </TouchableOpacity>
+                        <TouchableOpacity onPress={logout} style={styles.logoutBtn}>
+                            <Text style={styles.logoutText}>Logout</Text>
+                        </TouchableOpacity>
+                    </View>
                 </View>
 
                 <ScrollView
@@ -74,7 +110,7 @@ export default function DashboardScreen({ navigation }) {
                             <Text style={styles.cardLabel}>All Resources</Text>
                         </TouchableOpacity>
 
-                        {user?.role === 'Super User' ? (
+                        {isApprover() ? (
                             <TouchableOpacity
                                 style={[styles.card, { borderLeftColor: '#f59e0b', borderLeftWidth: 4 }]}
                                 onPress={() => navigation.navigate('PendingRequests')}
@@ -94,7 +130,15 @@ export default function DashboardScreen({ navigation }) {
                             <Text style={styles.cardLabel}>Active Now</Text>
                         </View>
 
-                        {user?.role === 'Super User' && (
+                        <TouchableOpacity
+                            style={[styles.card, { borderLeftColor: theme.dark.error, borderLeftWidth: 4 }]}
+                            onPress={() => navigation.navigate('MyAllocations')}
+                        >
+                            <Text style={styles.cardValue}>{stats?.myNoShows || 0}</Text>
+                            <Text style={styles.cardLabel}>Your No-Shows</Text>
+                        </TouchableOpacity>
+
+                        {(hasPermission('users:read') || hasPermission('users:manage')) && (
                             <TouchableOpacity
                                 style={[styles.card, { borderLeftColor: '#ec4899', borderLeftWidth: 4 }]}
                                 onPress={() => navigation.navigate('Users')}
@@ -105,6 +149,23 @@ export default function DashboardScreen({ navigation }) {
                         )}
                     </View>
 
+                    {/* Approvers and managers get the users with the most no-shows */}
+                    {stats?.noShowsByUser?.length > 0 && (
+                        <>
+                            <Text style={styles.sectionTitle}>Most No-Shows</Text>
+                            <View style={styles.fullCard}>
+                                {stats.noShowsByUser.map(entry => (
+                                    <View key={entry.userId} style={styles.rankRow}>
+                                        <View style={{ flex: 1 }}>
+                                            <Text style={styles.rankName}>{entry.name}</Text>
+                                            {!!entry.department && <Text style={styles.cardLabel}>{entry.department}</Text>}
+                                        </View>
+                                        <Text style={styles.rankCount}>{entry.count}</Text>
+                                    </View>
+                                ))}
+                            </View>
+                        </>
+                    )}
 
                     <Text style={styles.sectionTitle}>Quick Actions</Text>
                     <View style={styles.grid}>
@@ -132,7 +193,7 @@ export default function DashboardScreen({ navigation }) {
                             <Text style={styles.actionTitle}>Assign New</Text>
                         </TouchableOpacity>
 
-                        {user?.role === 'Super User' && (
+                        {hasPermission('resources:write') && (
                             <TouchableOpacity
                                 style={[styles.actionCard, { borderColor: '#f59e0b' }]}
                                 onPress={() => navigation.navigate('AddResource')}
@@ -160,6 +221,27 @@ const styles = StyleSheet.create({
     },
     welcome: { color: '#94a3b8', fontSize: 14 },
     username: { color: '#f1f5f9', fontSize: 20, fontWeight: 'bold' },
+    headerActions: { flexDirection: 'row', alignItems: 'center', gap: 12 },
+    bellBtn: {
+        backgroundColor: 'rgba(255,255,255,0.1)',
+        paddingVertical: 6,
+        paddingHorizontal: 10,
+        borderRadius: 8,
+    },
+    bellText: { fontSize: 18 },
+    badge: {
+        position: 'absolute',
+        top: -6,
+        right: -6,
+        minWidth: 18,
+        height: 18,
+        paddingHorizontal: 4,
+        borderRadius: 9,
+        backgroundColor: theme.dark.error,
+        alignItems: 'center',
+        justifyContent: 'center',
+    },
+    badgeText: { color: '#fff', fontSize: 11, fontWeight: 'bold' },
     logoutBtn: {
         backgroundColor: 'rgba(239, 68, 68, 0.2)',
         paddingVertical: 8,
@@ -188,6 +270,9 @@ const styles = StyleSheet.create({
     },
     cardValue: { fontSize: 28, fontWeight: 'bold', color: '#f1f5f9', marginBottom: 4 },
     cardLabel: { fontSize: 12, color: '#94a3b8' },
+    rankRow: { flexDirection: 'row', alignItems: 'center', paddingVertical: 6 },
+    rankName: { color: '#f1f5f9', fontWeight: 'bold' },
+    rankCount: { color: theme.dark.error, fontSize: 18, fontWeight: 'bold' },
     actionCard: {
         backgroundColor: 'rgba(99, 102, 241, 0.2)',
         borderRadius: 16,
@@ -0,0 +1,320 @@
+import React, { useState, useContext } from 'react';
+import { View, Text, TextInput, TouchableOpacity, StyleSheet, ActivityIndicator, Alert, ScrollView } from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { Picker } from '@react-native-picker/picker';
+import AnimatedBackground from '../components/AnimatedBackground';
+import { AuthContext } from '../context/AuthContext';
+import { API_URL } from '../config';
+import { theme } from '../styles/theme';
+
+// Labels for the fields in the change history
+const CHANGE_LABELS = {
+    resourceId: 'Resource',
+    startTime: 'Start',
+    endTime: 'End',
+    assignedTo: 'Assigned to',
+    purpose: 'Purpose',
+    approvalStatus: 'Status'
+};
+
+// "2026-10-20T09:30:00.000Z" -> "2026-10-20 09:30" in local time
+const toInputDate = (value) => {
+    const date = new Date(value);
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+const formatChangeValue = (field, value) => {
+    if (!value) return '-';
+    if (field === 'startTime' || field === 'endTime') return new Date(value).toLocaleString();
+    return value;
+};
+
+export default function EditAllocationScreen({ route, navigation }) {
+    const { token, hasPermission } = useContext(AuthContext);
+    const { allocation } = route.params;
+
+    const currentResourceId = allocation.resourceId?._id || allocation.resourceId;
+    const [startTime, setStartTime] = useState(toInputDate(allocation.startTime));
+    const [endTime, setEndTime] = useState(toInputDate(allocation.endTime));
+    const [assignedTo, setAssignedTo] = useState(allocation.assignedTo);
+    const [purpose, setPurpose] = useState(allocation.purpose || '');
+    // Other resources free in the new window (this booking doesn't count as busy)
+    const [resources, setResources] = useState([]);
+    const [selectedResource, setSelectedResource] = useState(currentResourceId);
+    const [loading, setLoading] = useState(false);
+    const [isSubmitting, setIsSubmitting] = useState(false);
+
+    const fetchAvailableResources = async () => {
+        setLoading(true);
+        try {
+            const query = `start=${encodeURIComponent(new Date(startTime.replace(' ', 'T')).toISOString())}`
+                + `&end=${encodeURIComponent(new Date(endTime.replace(' ', 'T')).toISOString())}`
+                + `&excludeAllocation=${allocation._id}`;
+            const response = await fetch(`${API_URL}/resources/available?${query}`, {
+                headers: { Authorization: `Bearer ${token}` }
+            });
+            const data = await response.json();
+            if (data.success) {
+                setResources(data.data || []);
+                if (!(data.data || []).some(res => res._id === selectedResource)) {
+                    setSelectedResource(data.data && data.data.length > 0 ? data.data[0]._id : '');
+                }
+            } else {
+                Alert.alert('Error', data.message || 'Could not check availability');
+            }
+        } catch (error) {
+            Alert.alert('Error', 'Enter valid start and end times (YYYY-MM-DD HH:MM)');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleSave = async () => {
+        // Only send what changed, so a booking in progress keeps its start
+        const changes = {};
+        if (startTime !== toInputDate(allocation.startTime)) changes.startTime = new Date(startTime.replace(' ', 'T')).toISOString();
+        if (endTime !== toInputDate(allocation.endTime)) changes.endTime = new Date(endTime.replace(' ', 'T')).toISOString();
+        if (selectedResource && selectedResource !== currentResourceId) changes.resourceId = selectedResource;
+        if (assignedTo !== allocation.assignedTo) changes.assignedTo = assignedTo;
+        if (purpose !== (allocation.purpose || '')) changes.purpose = purpose;
+
+        if (Object.keys(changes).length === 0) {
+            navigation.goBack();
+            return;
+        }
+
+        setIsSubmitting(true);
+        try {
+            const response = await fetch(`${API_URL}/allocations/${allocation._id}`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json',
+                    Authorization: `Bearer ${token}`
+                },
+                body: JSON.stringify(changes)
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                Alert.alert('Success', data.message, [
+                    { text: 'OK', onPress: () => navigation.goBack() }
+                ]);
+            } else {
+                // Broken booking rules are listed one per line
+                const rules = data.violations && data.violations.length > 1
+                    ? data.violations.map(violation => `• ${violation.message}`).join('\n')
+                    : data.message;
+                Alert.alert('Failed', rules || 'Update failed');
+            }
+        } catch (error) {
+            Alert.alert('Error', 'Enter valid start and end times (YYYY-MM-DD HH:MM)');
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    const history = allocation.changeHistory || [];
+
+    return (
+        <AnimatedBackground style={styles.container}>
+            <SafeAreaView style={{ flex: 1 }}>
+                <ScrollView contentContainerStyle={styles.content}>
+                    <Text style={styles.headerTitle}>Edit Booking</Text>
+
+                    {allocation.approvalStatus === 'approved' && !hasPermission('allocations:approve') && (
+                        <Text style={styles.note}>
+                            This booking is approved. Changing the time, resource or assignee sends it back for approval.
+                        </Text>
+                    )}
+
+                    <View style={styles.glassCard}>
+                        <Text style={styles.label}>Start Time (YYYY-MM-DD HH:MM)</Text>
+                        <TextInput
+                            style={styles.input}
+                            placeholderTextColor={theme.dark.textSecondary}
+                            value={startTime}
+                            onChangeText={setStartTime}
+                        />
+
+                        <Text style={styles.label}>End Time (YYYY-MM-DD HH:MM)</Text>
+                        <TextInput
+                            style={styles.input}
+                            placeholderTextColor={theme.dark.textSecondary}
+                            value={endTime}
+                            onChangeText={setEndTime}
+                        />
+
+                        <Text style={styles.label}>Resource</Text>
+                        {resources.length === 0 ? (
+                            <Text style={styles.hint}>{allocation.resourceId?.name || 'Current resource'}</Text>
+                        ) : (
+                            <View style={styles.pickerContainer}>
+                                <Picker
+                                    selectedValue={selectedResource}
+                                    onValueChange={(itemValue) => setSelectedResource(itemValue)}
+                                    style={{ color: '#fff' }}
+                                    dropdownIconColor="#fff"
+                                >
+                                    {resources.map(res => (
+                                        <Picker.Item key={res._id} label={`${res.name} (${res.type})`} value={res._id} color="#000" />
+                                    ))}
+                                </Picker>
+                            </View>
+                        )}
+                        <TouchableOpacity
+                            style={styles.secondaryButton}
+                            onPress={fetchAvailableResources}
+                            disabled={loading}
+                        >
+                            {loading ? (
+                                <ActivityIndicator color="#818cf8" />
+                            ) : (
+                                <Text style={styles.secondaryButtonText}>Change Resource</Text>
+                            )}
+                        </TouchableOpacity>
+
+                        <Text style={styles.label}>Assigned To</Text>
+                        <TextInput
+                            style={styles.input}
+                            placeholderTextColor={theme.dark.textSecondary}
+                            value={assignedTo}
+                            onChangeText={setAssignedTo}
+                        />
+
+                        <Text style={styles.label}>Purpose</Text>
+                        <TextInput
+                            style={styles.input}
+                            placeholder="Meeting / Project X"
+                            placeholderTextColor={theme.dark.textSecondary}
+                            value={purpose}
+                            onChangeText={setPurpose}
+                        />
+
+                        <TouchableOpacity
+                            style={styles.button}
+                            onPress={handleSave}
+                            disabled={isSubmitting}
+                        >
+                            {isSubmitting ? (
+                                <ActivityIndicator color="#fff" />
+                            ) : (
+                                <Text style={styles.buttonText}>Save Changes</Text>
+                            )}
+                        </TouchableOpacity>
+                    </View>
+
+                    {history.length > 0 && (
+                        <View style={[styles.glassCard, { marginTop: 20 }]}>
+                            <Text style={styles.sectionTitle}>Change History</Text>
+                            {[...history].reverse().map((entry, index) => (
+                                <View key={index} style={styles.historyEntry}>
+                                    <Text style={styles.historyMeta}>
+                                        {entry.changedByName} · {new Date(entry.changedAt).toLocaleString()}
+                                    </Text>
+                                    {entry.changes.map(change => (
+                                        <Text key={change.field} style={styles.historyText}>
+                                            {CHANGE_LABELS[change.field] || change.field}: {formatChangeValue(change.field, change.from)} → {formatChangeValue(change.field, change.to)}
+                                        </Text>
+                                    ))}
+                                </View>
+                            ))}
+                        </View>
+                    )}
+                </ScrollView>
+            </SafeAreaView>
+        </AnimatedBackground>
+    );
+}
+
+const styles = StyleSheet.create({
+    container: { flex: 1 },
+    content: { padding: 20 },
+    headerTitle: {
+        fontSize: 24,
+        fontWeight: 'bold',
+        color: '#f1f5f9',
+        marginBottom: 20,
+    },
+    note: {
+        color: '#f59e0b',
+        fontSize: 13,
+        marginBottom: 16,
+    },
+    glassCard: {
+        backgroundColor: 'rgba(30, 41, 59, 0.7)',
+        borderRadius: 20,
+        padding: 24,
+        borderWidth: 1,
+        borderColor: 'rgba(255,255,255,0.1)',
+    },
+    label: {
+        color: '#f1f5f9',
+        fontWeight: '600',
+        marginBottom: 8,
+        marginTop: 12,
+    },
+    input: {
+        backgroundColor: 'rgba(15, 23, 42, 0.5)',
+        borderWidth: 1,
+        borderColor: 'rgba(255,255,255,0.1)',
+        borderRadius: 12,
+        padding: 16,
+        color: '#fff',
+        fontSize: 16,
+    },
+    pickerContainer: {
+        backgroundColor: 'rgba(15, 23, 42, 0.5)',
+        borderWidth: 1,
+        borderColor: 'rgba(255,255,255,0.1)',
+        borderRadius: 12,
+        marginBottom: 10,
+    },
+    button: {
+        backgroundColor: '#818cf8',
+        padding: 16,
+        borderRadius: 12,
+        alignItems: 'center',
+        marginTop: 24,
+    },
+    buttonText: {
+        color: 'white',
+        fontWeight: 'bold',
+        fontSize: 16,
+    },
+    secondaryButton: {
+        borderWidth: 1,
+        borderColor: '#818cf8',
+        padding: 14,
+        borderRadius: 12,
+        alignItems: 'center',
+        marginTop: 8,
+    },
+    secondaryButtonText: {
+        color: '#818cf8',
+        fontWeight: 'bold',
+        fontSize: 15,
+    },
+    hint: {
+        color: '#94a3b8',
+        fontSize: 14,
+    },
+    sectionTitle: {
+        color: '#f1f5f9',
+        fontSize: 16,
+        fontWeight: 'bold',
+        marginBottom: 8,
+    },
+    historyEntry: {
+        marginTop: 10,
+    },
+    historyMeta: {
+        color: '#cbd5e1',
+        fontSize: 12,
+        fontWeight: 'bold',
+    },
+    historyText: {
+        color: '#94a3b8',
+        fontSize: 12,
+    },
+});
@@ -0,0 +1,328 @@
+import React, { useState, useContext } from 'react';
+import { View, Text, TextInput, TouchableOpacity, StyleSheet, ActivityIndicator, Alert, ScrollView } from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import AnimatedBackground from '../components/AnimatedBackground';
+import ResourceAttributeInputs, { attributesFromResource, attributesToPayload } from '../components/ResourceAttributeInputs';
+import ResourceTypePicker from '../components/ResourceTypePicker';
+import { AuthContext } from '../context/AuthContext';
+import { API_URL } from '../config';
+import { theme } from '../styles/theme';
+
+// Service states an admin can switch to from this screen
+const SERVICE_OPTIONS = [
+    { value: 'active', label: 'In Service', color: theme.dark.success },
+    { value: 'out_of_service', label: 'Out of Service', color: '#f59e0b' },
+    { value: 'retired', label: 'Retired', color: theme.dark.error }
+];
+
+// "2026-10-20T09:30:00.000Z" -> "2026-10-20 09:30" in local time
+const toInputDate = (value) => {
+    if (!value) return '';
+    const date = new Date(value);
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+export default function EditResourceScreen({ route, navigation }) {
+    const { token } = useContext(AuthContext);
+    const { resource } = route.params;
+
+    const [name, setName] = useState(resource.name);
+    const [type, setType] = useState(resource.type);
+    const [description, setDescription] = useState(resource.description || '');
+    const [attributes, setAttributes] = useState(() => attributesFromResource(resource));
+    const [serviceStatus, setServiceStatus] = useState(resource.serviceStatus || 'active');
+    const [reason, setReason] = useState(resource.serviceReason || '');
+    const [returnDate, setReturnDate] = useState(toInputDate(resource.returnDate));
+    const [futureAllocations, setFutureAllocations] = useState('cancel');
+    const [isSubmitting, setIsSubmitting] = useState(false);
+
+    const request = async (path, method, body) => {
+        setIsSubmitting(true);
+        try {
+            const response = await fetch(`${API_URL}/resources/${resource._id}${path}`, {
+                method,
+                headers: {
+                    'Content-Type': 'application/json',
+                    Authorization: `Bearer ${token}`
+                },
+                body: body ? JSON.stringify(body) : undefined
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                Alert.alert('Success', data.message, [
+                    { text: 'OK', onPress: () => navigation.goBack() }
+                ]);
+            } else {
+                Alert.alert('Failed', data.errors ? data.errors.join('\n') : data.message);
+            }
+        } catch (error) {
+            console.error(error);
+            Alert.alert('Error', 'Something went wrong');
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    const handleSaveDetails = () => {
+        if (!name || !type) {
+            Alert.alert('Error', 'Name and Type are required');
+            return;
+        }
+        request('', 'PUT', { name, type, description, ...attributesToPayload(attributes) });
+    };
+
+    const handleSaveService = () => {
+        if (serviceStatus !== 'active' && !reason) {
+            Alert.alert('Error', 'Please give a reason');
+            return;
+        }
+
+        let isoReturnDate = null;
+        if (serviceStatus === 'out_of_service' && returnDate) {
+            const parsed = new Date(returnDate.replace(' ', 'T'));
+            if (isNaN(parsed.getTime())) {
+                Alert.alert('Error', 'Return date must be in the format YYYY-MM-DD HH:MM');
+                return;
+            }
+            isoReturnDate = parsed.toISOString();
+        }
+
+        const body = { status: serviceStatus, reason, returnDate: isoReturnDate, futureAllocations };
+
+        if (serviceStatus === 'retired') {
+            Alert.alert('Retire Resource', `Retire ${resource.name}? This cannot be booked again until brought back into service.`, [
+                { text: 'Cancel', style: 'cancel' },
+                { text: 'Retire', style: 'destructive', onPress: () => request('/service', 'PUT', body) }
+            ]);
+            return;
+        }
+
+        request('/service', 'PUT', body);
+    };
+
+    const handleDelete = () => {
+        Alert.alert('Delete Resource', `Delete ${resource.name}? Future bookings are cancelled; past allocations are kept.`, [
+            { text: 'Cancel', style: 'cancel' },
+            { text: 'Delete', style: 'destructive', onPress: () => request('', 'DELETE') }
+        ]);
+    };
+
+    return (
+        <AnimatedBackground style={styles.container}>
+            <SafeAreaView style={{ flex: 1 }}>
+                <ScrollView contentContainerStyle={styles.content}>
+                    <Text style={styles.headerTitle}>Manage {resource.name}</Text>
+
+                    {/* Details */}
+                    <View style={styles.glassCard}>
+                        <Text style={styles.sectionTitle}>Details</Text>
+
+                        <Text style={styles.label}>Resource Name</Text>
+                        <TextInput
+                            style={styles.input}
+                            placeholderTextColor={theme.dark.textSecondary}
+                            value={name}
+                            onChangeText={setName}
+                        />
+
+                        <Text style={styles.label}>Resource Type</Text>
+                        <ResourceTypePicker
+                            value={type}
+                            onChange={(itemValue) => {
+                                setType(itemValue);
+                                // Custom fields belong to the old type
+                                setAttributes({ ...attributes, customFields: {} });
+                            }}
+                        />
+
+                        <Text style={styles.label}>Description</Text>
+                        <TextInput
+                            style={styles.input}
+                            placeholder="Optional description..."
+                            placeholderTextColor={theme.dark.textSecondary}
+                            value={description}
+                            onChangeText={setDescription}
+                            multiline
+                        />
+
+                        <ResourceAttributeInputs type={type} value={attributes} onChange={setAttributes} />
+
+                        <TouchableOpacity style={styles.button} onPress={handleSaveDetails} disabled={isSubmitting}>
+                            {isSubmitting ? (
+                                <ActivityIndicator color="#fff" />
+                            ) : (
+                                <Text style={styles.buttonText}>Save Details</Text>
+                            )}
+                        </TouchableOpacity>
+                    </View>
+
+                    {/* Service */}
+                    <View style={styles.glassCard}>
+                        <Text style={styles.sectionTitle}>Service</Text>
+
+                        <View style={styles.chipRow}>
+                            {SERVICE_OPTIONS.map(option => (
+                                <TouchableOpacity
+                                    key={option.value}
+                                    style={[
+                                        styles.chip,
+                                        serviceStatus === option.value && { backgroundColor: option.color, borderColor: option.color }
+                                    ]}
+                                    onPress={() => setServiceStatus(option.value)}
+                                >
+                                    <Text style={styles.chipText}>{option.label}</Text>
+                                </TouchableOpacity>
+                            ))}
+                        </View>
+
+                        {serviceStatus !== 'active' && (
+                            <>
+                                <Text style={styles.label}>Reason</Text>
+                                <TextInput
+                                    style={styles.input}
+                                    placeholder="e.g. Lamp needs replacing"
+                                    placeholderTextColor={theme.dark.textSecondary}
+                                    value={reason}
+                                    onChangeText={setReason}
+                                />
+                            </>
+                        )}
+
+                        {serviceStatus === 'out_of_service' && (
+                            <>
+                                <Text style={styles.label}>Expected Return (optional)</Text>
+                                <TextInput
+                                    style={styles.input}
+                                    placeholder="YYYY-MM-DD HH:MM"
+                                    placeholderTextColor={theme.dark.textSecondary}
+                                    value={returnDate}
+                                    onChangeText={setReturnDate}
+                                />
+                                <Text style={styles.hint}>
+                                    New bookings before this date are blocked. Existing ones are flagged for review.
+                                </Text>
+                            </>
+                        )}
+
+                        {serviceStatus === 'retired' && (
+                            <>
+                                <Text style={styles.label}>Future Bookings</Text>
+                                <View style={styles.chipRow}>
+                                    {[
+                                        { value: 'cancel', label: 'Cancel them' },
+                                        { value: 'flag', label: 'Flag for review' }
+                                    ].map(option => (
+                                        <TouchableOpacity
+                                            key={option.value}
+                                            style={[styles.chip, futureAllocations === option.value && styles.chipActive]}
+                                            onPress={() => setFutureAllocations(option.value)}
+                                        >
+                                            <Text style={styles.chipText}>{option.label}</Text>
+                                        </TouchableOpacity>
+                                    ))}
+                                </View>
+                            </>
+                        )}
+
+                        <TouchableOpacity style={styles.button} onPress={handleSaveService} disabled={isSubmitting}>
+                            <Text style={styles.buttonText}>Update Service Status</Text>
+                        </TouchableOpacity>
+                    </View>
+
+                    {/* Delete */}
+                    <TouchableOpacity style={styles.deleteButton} onPress={handleDelete} disabled={isSubmitting}>
+                        <Text style={styles.buttonText}>Delete Resource</Text>
+                    </TouchableOpacity>
+                </ScrollView>
+            </SafeAreaView>
+        </AnimatedBackground>
+    );
+}
+
+const styles = StyleSheet.create({
+    container: { flex: 1 },
+    content: { padding: 20 },
+    headerTitle: {
+        fontSize: 24,
+        fontWeight: 'bold',
+        color: '#f1f5f9',
+        marginBottom: 20,
+    },
+    glassCard: {
+        backgroundColor: 'rgba(30, 41, 59, 0.7)',
+        borderRadius: 20,
+        padding: 24,
+        borderWidth: 1,
+        borderColor: 'rgba(255,255,255,0.1)',
+        marginBottom: 20,
+    },
+    sectionTitle: {
+        color: '#818cf8',
+        fontSize: 12,
+        fontWeight: 'bold',
+        textTransform: 'uppercase',
+        marginBottom: 4,
+    },
+    label: {
+        color: '#f1f5f9',
+        fontWeight: '600',
+        marginBottom: 8,
+        marginTop: 12,
+    },
+    input: {
+        backgroundColor: 'rgba(15, 23, 42, 0.5)',
+        borderWidth: 1,
+        borderColor: 'rgba(255,255,255,0.1)',
+        borderRadius: 12,
+        padding: 16,
+        color: '#fff',
+        fontSize: 16,
+    },
+    hint: {
+        color: '#94a3b8',
+        fontSize: 12,
+        marginTop: 6,
+    },
+    chipRow: {
+        flexDirection: 'row',
+        flexWrap: 'wrap',
+        gap: 8,
+        marginTop: 8,
+    },
+    chip: {
+        paddingHorizontal: 12,
+        paddingVertical: 8,
+        borderRadius: 10,
+        borderWidth: 1,
+        borderColor: 'rgba(129, 140, 248, 0.3)',
+    },
+    chipActive: {
+        backgroundColor: 'rgba(99, 102, 241, 0.4)',
+    },
+    chipText: {
+        color: '#f1f5f9',
+        fontSize: 13,
+        fontWeight: '600',
+    },
+    button: {
+        backgroundColor: '#818cf8',
+        padding: 16,
+        borderRadius: 12,
+        marginTop: 24,
+        alignItems: 'center',
+    },
+    deleteButton: {
+        backgroundColor: theme.dark.error,
+        padding: 16,
+        borderRadius: 12,
+        alignItems: 'center',
+        marginBottom: 40,
+    },
+    buttonText: {
+        color: 'white',
+        fontWeight: 'bold',
+        fontSize: 16,
+    }
+});
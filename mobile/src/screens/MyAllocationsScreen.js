@@ -1,15 +1,18 @@
 import React, { useEffect, useState, useContext } from 'react';
-import { View, Text, FlatList, StyleSheet, ActivityIndicator, RefreshControl } from 'react-native';
+import { View, Text, FlatList, StyleSheet, ActivityIndicator, RefreshControl, TouchableOpacity, Alert } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import { LinearGradient } from 'expo-linear-gradient';
 import AnimatedBackground from '../components/AnimatedBackground';
+import ApprovalTrail from '../components/ApprovalTrail';
 import { AuthContext } from '../context/AuthContext';
+import { useLiveUpdates } from '../context/LiveUpdatesContext';
 import { API_URL } from '../config';
 import { theme } from '../styles/theme';
 
-export default function MyAllocationsScreen() {
+export default function MyAllocationsScreen({ navigation }) {
     const { token } = useContext(AuthContext);
     const [allocations, setAllocations] = useState([]);
+    const [waitlist, setWaitlist] = useState([]);
     const [loading, setLoading] = useState(true);
     const [refreshing, setRefreshing] = useState(false);
 
@@ -30,13 +33,126 @@ export default function MyAllocationsScreen() {
         }
     };
 
-    useEffect(() => {
+    // Upcoming waitlist entries; slots booked for us since the last look are announced once
+    const fetchMyWaitlist = async () => {
+        try {
+            const response = await fetch(`${API_URL}/waitlist/my`, {
+                headers: { Authorization: `Bearer ${token}` }
+            });
+            const data = await response.json();
+            if (!data.success) return;
+
+            const now = new Date();
+            setWaitlist((data.data || []).filter(entry => (
+                ['waiting', 'promoted'].includes(entry.status) && new Date(entry.endTime) > now
+            )));
+
+            const unseen = (data.data || []).filter(entry => entry.status === 'promoted' && !entry.promotionSeen);
+            if (unseen.length > 0) {
+                const lines = unseen.map(entry => `• ${entry.resourceId?.name || 'Resource'} · ${new Date(entry.startTime).toLocaleString()}`);
+                Alert.alert('From the Waitlist', `A slot came free and was booked for you:\n${lines.join('\n')}`);
+                await fetch(`${API_URL}/waitlist/my/seen`, {
+                    method: 'POST',
+                    headers: { Authorization: `Bearer ${token}` }
+                });
+            }
+        } catch (error) {
+            console.error(error);
+        }
+    };
+
+    const loadAll = () => {
         fetchMyAllocations();
-    }, []);
+        fetchMyWaitlist();
+    };
+
+    // Reload when coming back, e.g. from editing a booking
+    useEffect(() => {
+        const unsubscribe = navigation.addListener('focus', loadAll);
+        return unsubscribe;
+    }, [navigation]);
+
+    // Decisions, cancellations and waitlist bookings show up as they happen
+    useLiveUpdates(['allocation:'], loadAll);
+
+    const leaveWaitlist = (entry) => {
+        Alert.alert('Leave the waitlist?', `${entry.resourceId?.name || 'Resource'} · ${new Date(entry.startTime).toLocaleString()}`, [
+            { text: 'Stay', style: 'cancel' },
+            {
+                text: 'Leave',
+                style: 'destructive',
+                onPress: async () => {
+                    try {
+                        const response = await fetch(`${API_URL}/waitlist/${entry._id}`, {
+                            method: 'DELETE',
+                            headers: { Authorization: `Bearer ${token}` }
+                        });
+                        const data = await response.json();
+                        if (data.success) {
+                            setWaitlist(waitlist.filter(other => other._id !== entry._id));
+                        } else {
+                            Alert.alert('Failed', data.message);
+                        }
+                    } catch (error) {
+                        Alert.alert('Error', 'Network request failed');
+                    }
+                }
+            }
+        ]);
+    };
+
+    const cancelBooking = async (item, scope) => {
+        try {
+            const response = await fetch(`${API_URL}/allocations/${item._id}/cancel`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    Authorization: `Bearer ${token}`
+                },
+                body: JSON.stringify({ scope })
+            });
+            const data = await response.json();
+            Alert.alert(data.success ? 'Cancelled' : 'Failed', data.message);
+            if (data.success) fetchMyAllocations();
+        } catch (error) {
+            Alert.alert('Error', 'Network request failed');
+        }
+    };
+
+    // Occurrences of a series can be cancelled with the later ones
+    const confirmCancel = (item) => {
+        const buttons = [{ text: 'Keep', style: 'cancel' }];
+        if (item.seriesId) {
+            buttons.push({ text: 'This one', onPress: () => cancelBooking(item, 'single') });
+            buttons.push({ text: 'This and later', style: 'destructive', onPress: () => cancelBooking(item, 'following') });
+        } else {
+            buttons.push({ text: 'Cancel booking', style: 'destructive', onPress: () => cancelBooking(item, 'single') });
+        }
+        Alert.alert('Cancel booking?', `${item.resourceId?.name || 'Booking'} · ${new Date(item.startTime).toLocaleString()}`, buttons);
+    };
+
+    const checkIn = async (item) => {
+        try {
+            const response = await fetch(`${API_URL}/allocations/${item._id}/check-in`, {
+                method: 'POST',
+                headers: { Authorization: `Bearer ${token}` }
+            });
+            const data = await response.json();
+            if (data.success) {
+                setAllocations(allocations.map(allocation => (
+                    allocation._id === item._id ? { ...allocation, checkedInAt: data.data.checkedInAt, checkIn: null } : allocation
+                )));
+            } else {
+                Alert.alert('Failed', data.message);
+            }
+        } catch (error) {
+            Alert.alert('Error', 'Network request failed');
+        }
+    };
 
     const onRefresh = () => {
         setRefreshing(true);
-        fetchMyAllocations();
+        loadAll();
     };
 
     const getStatusColor = (status) => {
@@ -53,6 +169,9 @@ export default function MyAllocationsScreen() {
         const color = getStatusColor(status);
         const startTime = new Date(item.startTime).toLocaleString();
         const endTime = new Date(item.endTime).toLocaleString();
+        const editable = ['pending', 'approved'].includes(status) && new Date(item.endTime) > new Date();
+        // item.checkIn is only set for bookings that still need a check-in
+        const checkInOpen = item.checkIn && new Date() >= new Date(item.checkIn.opensAt);
 
         return (
             <View style={[styles.card, { borderLeftColor: color, borderLeftWidth: 4 }]}>
@@ -69,10 +188,86 @@ export default function MyAllocationsScreen() {
                     <Text style={styles.timeText}>Start: {startTime}</Text>
                     <Text style={styles.timeText}>End:   {endTime}</Text>
                 </View>
+                {status === 'cancelled' && item.noShow && (
+                    <Text style={styles.rejectNote}>No-show - released because nobody checked in</Text>
+                )}
+                {status === 'cancelled' && item.expired && (
+                    <Text style={styles.rejectNote}>Expired - nobody approved it before it started</Text>
+                )}
+                {status === 'cancelled' && !item.noShow && !item.expired && !!item.cancellationReason && (
+                    <Text style={styles.cancelNote}>Cancelled: {item.cancellationReason}</Text>
+                )}
+                {!!item.checkedInAt && (
+                    <Text style={styles.checkedInNote}>✓ Checked in {new Date(item.checkedInAt).toLocaleTimeString()}</Text>
+                )}
+                {!!item.checkIn && (
+                    <Text style={styles.reviewNote}>
+                        Check in by {new Date(item.checkIn.closesAt).toLocaleString()} or the booking is released
+                    </Text>
+                )}
+                {!!item.approvalRule && (
+                    <Text style={styles.cancelNote}>
+                        {item.approvalRule.action === 'reject' ? 'Rejected' : 'Approved'} by rule "{item.approvalRule.name}"
+                        {item.approvalRule.action === 'reject' && item.approvalRule.reason ? `: ${item.approvalRule.reason}` : ''}
+                    </Text>
+                )}
+                {status === 'rejected' && !!item.rejectionReason && !item.approvalRule && (
+                    <Text style={styles.rejectNote}>Rejected: {item.rejectionReason}</Text>
+                )}
+                <ApprovalTrail allocation={item} />
+                {item.needsReview && (
+                    <Text style={styles.reviewNote}>Needs review{item.reviewReason ? `: ${item.reviewReason}` : ''}</Text>
+                )}
+                {checkInOpen && (
+                    <TouchableOpacity style={styles.checkInButton} onPress={() => checkIn(item)}>
+                        <Text style={styles.checkInText}>Check In</Text>
+                    </TouchableOpacity>
+                )}
+                <View style={styles.linkRow}>
+                    <TouchableOpacity onPress={() => navigation.navigate('AllocationComments', { allocation: item })}>
+                        <Text style={styles.discussText}>💬 Discussion</Text>
+                    </TouchableOpacity>
+                    {editable && (
+                        <TouchableOpacity onPress={() => navigation.navigate('EditAllocation', { allocation: item })}>
+                            <Text style={styles.discussText}>✏️ Edit</Text>
+                        </TouchableOpacity>
+                    )}
+                    {editable && (
+                        <TouchableOpacity onPress={() => confirmCancel(item)}>
+                            <Text style={styles.cancelLink}>✖ Cancel</Text>
+                        </TouchableOpacity>
+                    )}
+                </View>
             </View>
         );
     };
 
+    const renderWaitlist = () => (waitlist.length === 0 ? null : (
+        <View style={styles.card}>
+            <Text style={styles.resourceName}>⏳ Waitlist</Text>
+            {waitlist.map(entry => (
+                <View key={entry._id} style={styles.waitlistRow}>
+                    <View style={{ flex: 1 }}>
+                        <Text style={styles.timeText}>{entry.resourceId?.name || 'Unknown Resource'}</Text>
+                        <Text style={styles.cancelNote}>
+                            {new Date(entry.startTime).toLocaleString()} - {new Date(entry.endTime).toLocaleTimeString()}
+                        </Text>
+                        {entry.status === 'promoted' && (
+                            <Text style={styles.checkedInNote}>
+                                ✓ Booked ({entry.allocationId?.approvalStatus || 'deleted'})
+                            </Text>
+                        )}
+                    </View>
+                    {entry.status === 'waiting' && (
+                        <TouchableOpacity onPress={() => leaveWaitlist(entry)}>
+                            <Text style={styles.cancelLink}>Leave</Text>
+                        </TouchableOpacity>
+                    )}
+                </View>
+            ))}
+        </View>
+    ));
+
     return (
         <AnimatedBackground style={styles.container}>
             <SafeAreaView style={{ flex: 1 }}>
@@ -86,6 +281,7 @@ export default function MyAllocationsScreen() {
                         renderItem={renderItem}
                         keyExtractor={item => item._id}
                         contentContainerStyle={styles.list}
+                        ListHeaderComponent={renderWaitlist()}
                         refreshControl={<RefreshControl refreshing={refreshing} onRefresh={onRefresh} tintColor="#fff" />}
                         ListEmptyComponent={
                             <Text style={styles.emptyText}>You haven't made any requests yet.</Text>
@@ -142,6 +338,60 @@ const styles = StyleSheet.create({
         marginBottom: 12,
         fontStyle: 'italic',
     },
+    cancelNote: {
+        color: '#94a3b8',
+        fontSize: 12,
+        marginTop: 8,
+    },
+    rejectNote: {
+        color: theme.dark.error,
+        fontSize: 13,
+        fontWeight: 'bold',
+        marginTop: 8,
+    },
+    linkRow: {
+        flexDirection: 'row',
+        gap: 20,
+    },
+    discussText: {
+        color: '#a5b4fc',
+        fontSize: 13,
+        fontWeight: 'bold',
+        marginTop: 10,
+    },
+    cancelLink: {
+        color: theme.dark.error,
+        fontSize: 13,
+        fontWeight: 'bold',
+        marginTop: 10,
+    },
+    checkedInNote: {
+        color: theme.dark.success,
+        fontSize: 12,
+        marginTop: 8,
+    },
+    checkInButton: {
+        backgroundColor: theme.dark.success,
+        borderRadius: 10,
+        paddingVertical: 10,
+        alignItems: 'center',
+        marginTop: 12,
+    },
+    checkInText: {
+        color: '#fff',
+        fontWeight: 'bold',
+    },
+    waitlistRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        marginTop: 12,
+        gap: 12,
+    },
+    reviewNote: {
+        color: '#f59e0b',
+        fontSize: 12,
+        marginTop: 8,
+    },
     timeContainer: {
         backgroundColor: 'rgba(15, 23, 42, 0.3)',
         padding: 10,
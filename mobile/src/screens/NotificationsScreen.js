@@ -0,0 +1,180 @@
+import React, { useEffect, useState, useContext } from 'react';
+import { View, Text, FlatList, TouchableOpacity, StyleSheet, ActivityIndicator, RefreshControl, Alert } from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import AnimatedBackground from '../components/AnimatedBackground';
+import { AuthContext } from '../context/AuthContext';
+import { useLiveUpdates } from '../context/LiveUpdatesContext';
+import { API_URL } from '../config';
+import { theme } from '../styles/theme';
+
+// The user's notifications, newest first; tapping one marks it read
+export default function NotificationsScreen({ navigation }) {
+    const { token } = useContext(AuthContext);
+
+    const [notifications, setNotifications] = useState([]);
+    const [unreadCount, setUnreadCount] = useState(0);
+    const [loading, setLoading] = useState(true);
+    const [refreshing, setRefreshing] = useState(false);
+
+    const fetchNotifications = async () => {
+        try {
+            const response = await fetch(`${API_URL}/notifications?limit=50`, {
+                headers: { Authorization: `Bearer ${token}` }
+            });
+            const data = await response.json();
+            if (data.success) {
+                setNotifications(data.data);
+                setUnreadCount(data.unreadCount);
+            } else {
+                Alert.alert('Error', data.message);
+            }
+        } catch (error) {
+            console.error(error);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    useEffect(() => {
+        const unsubscribe = navigation.addListener('focus', fetchNotifications);
+        return unsubscribe;
+    }, [navigation]);
+
+    useLiveUpdates(['notification:'], fetchNotifications);
+
+    const onRefresh = async () => {
+        setRefreshing(true);
+        await fetchNotifications();
+        setRefreshing(false);
+    };
+
+    const markRead = async (url) => {
+        const response = await fetch(url, {
+            method: 'PUT',
+            headers: { Authorization: `Bearer ${token}` }
+        });
+        return response.json();
+    };
+
+    const openNotification = async (item) => {
+        if (!item.readAt) {
+            try {
+                const data = await markRead(`${API_URL}/notifications/${item._id}/read`);
+                if (data.success) {
+                    setNotifications(notifications.map(notification => (notification._id === item._id ? data.data : notification)));
+                    setUnreadCount(Math.max(unreadCount - 1, 0));
+                }
+            } catch (error) {
+                console.error(error);
+            }
+        }
+        if (item.allocationId) navigation.navigate('MyAllocations');
+    };
+
+    const markAllRead = async () => {
+        try {
+            const data = await markRead(`${API_URL}/notifications/read-all`);
+            if (data.success) {
+                const now = new Date().toISOString();
+                setNotifications(notifications.map(notification => ({ ...notification, readAt: notification.readAt || now })));
+                setUnreadCount(0);
+            } else {
+                Alert.alert('Failed', data.message);
+            }
+        } catch (error) {
+            Alert.alert('Error', 'Network request failed');
+        }
+    };
+
+    const renderItem = ({ item }) => (
+        <TouchableOpacity style={[styles.card, !item.readAt && styles.unreadCard]} onPress={() => openNotification(item)}>
+            <Text style={styles.title}>{item.title}</Text>
+            {!!item.message && <Text style={styles.message}>{item.message}</Text>}
+            <Text style={styles.time}>{new Date(item.createdAt).toLocaleString()}</Text>
+        </TouchableOpacity>
+    );
+
+    return (
+        <AnimatedBackground style={styles.container}>
+            <SafeAreaView style={{ flex: 1 }}>
+                <View style={styles.header}>
+                    <Text style={styles.headerTitle}>Notifications</Text>
+                    {unreadCount > 0 && (
+                        <TouchableOpacity onPress={markAllRead}>
+                            <Text style={styles.linkText}>Mark all as read</Text>
+                        </TouchableOpacity>
+                    )}
+                </View>
+
+                {loading ? (
+                    <ActivityIndicator size="large" color={theme.dark.primary} style={{ marginTop: 50 }} />
+                ) : (
+                    <FlatList
+                        data={notifications}
+                        renderItem={renderItem}
+                        keyExtractor={item => item._id}
+                        contentContainerStyle={styles.list}
+                        refreshControl={<RefreshControl refreshing={refreshing} onRefresh={onRefresh} tintColor="#fff" />}
+                        ListEmptyComponent={
+                            <Text style={styles.emptyText}>Nothing yet - you'll hear here when your bookings change.</Text>
+                        }
+                    />
+                )}
+            </SafeAreaView>
+        </AnimatedBackground>
+    );
+}
+
+const styles = StyleSheet.create({
+    container: { flex: 1 },
+    header: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        padding: 20,
+    },
+    headerTitle: {
+        fontSize: 24,
+        fontWeight: 'bold',
+        color: '#f1f5f9',
+    },
+    linkText: {
+        color: '#a5b4fc',
+        fontSize: 13,
+        fontWeight: 'bold',
+    },
+    list: { paddingHorizontal: 20, paddingBottom: 20 },
+    card: {
+        backgroundColor: 'rgba(30, 41, 59, 0.7)',
+        borderRadius: 16,
+        marginBottom: 12,
+        padding: 14,
+        borderWidth: 1,
+        borderColor: 'rgba(255,255,255,0.05)',
+    },
+    unreadCard: {
+        borderColor: 'rgba(99, 102, 241, 0.4)',
+        borderLeftWidth: 4,
+        borderLeftColor: theme.dark.primary,
+    },
+    title: {
+        color: '#f1f5f9',
+        fontWeight: 'bold',
+        fontSize: 15,
+    },
+    message: {
+        color: '#e2e8f0',
+        fontSize: 14,
+        marginTop: 4,
+    },
+    time: {
+        color: '#64748b',
+        fontSize: 11,
+        marginTop: 6,
+    },
+    emptyText: {
+        color: '#94a3b8',
+        textAlign: 'center',
+        marginTop: 40,
+    },
+});
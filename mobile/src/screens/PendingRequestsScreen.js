@@ -1,17 +1,22 @@
 import React, { useEffect, useState, useContext } from 'react';
-import { View, Text, FlatList, StyleSheet, ActivityIndicator, TouchableOpacity, Alert, RefreshControl } from 'react-native';
+import { View, Text, FlatList, StyleSheet, ActivityIndicator, TouchableOpacity, Alert, RefreshControl, Modal, TextInput } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import { LinearGradient } from 'expo-linear-gradient';
 import AnimatedBackground from '../components/AnimatedBackground';
+import ApprovalTrail from '../components/ApprovalTrail';
 import { AuthContext } from '../context/AuthContext';
+import { useLiveUpdates } from '../context/LiveUpdatesContext';
 import { API_URL } from '../config';
 import { theme } from '../styles/theme';
 
-export default function PendingRequestsScreen() {
+export default function PendingRequestsScreen({ navigation }) {
     const { token } = useContext(AuthContext);
     const [requests, setRequests] = useState([]);
     const [loading, setLoading] = useState(true);
     const [processingId, setProcessingId] = useState(null);
+    // Request being rejected - a comment is required
+    const [rejecting, setRejecting] = useState(null);
+    const [comment, setComment] = useState('');
 
     const fetchPendingRequests = async () => {
         try {
@@ -33,7 +38,10 @@ export default function PendingRequestsScreen() {
         fetchPendingRequests();
     }, []);
 
-    const handleAction = async (id, status) => {
+    // New requests appear, and ones decided by someone else disappear
+    useLiveUpdates(['allocation:'], fetchPendingRequests);
+
+    const handleAction = async (id, status, reason = '') => {
         setProcessingId(id);
         try {
             const response = await fetch(`${API_URL}/allocations/${id}/status`, {
@@ -42,15 +50,19 @@ export default function PendingRequestsScreen() {
                     'Content-Type': 'application/json',
                     Authorization: `Bearer ${token}`
                 },
-                body: JSON.stringify({ status })
+                body: JSON.stringify({ status, comment: reason })
             });
             const data = await response.json();
 
             if (data.success) {
-                Alert.alert('Success', `Request ${status}`);
+                Alert.alert('Success', data.message);
                 fetchPendingRequests(); // Refresh list
             } else {
-                Alert.alert('Error', data.message || 'Action failed');
+                // Broken booking rules are listed one per line
+                const rules = data.violations && data.violations.length > 1
+                    ? [data.message, ...data.violations.slice(1).map(violation => `• ${violation.message}`)].join('\n')
+                    : data.message;
+                Alert.alert('Error', rules || 'Action failed');
             }
         } catch (error) {
             console.error(error);
@@ -60,6 +72,16 @@ export default function PendingRequestsScreen() {
         }
     };
 
+    const confirmReject = () => {
+        if (!comment.trim()) {
+            Alert.alert('Reason needed', 'Please tell the requester why you are rejecting the request.');
+            return;
+        }
+        const id = rejecting._id;
+        setRejecting(null);
+        handleAction(id, 'rejected', comment.trim());
+    };
+
     const renderItem = ({ item }) => {
         const startTime = new Date(item.startTime).toLocaleString();
         const endTime = new Date(item.endTime).toLocaleString();
@@ -79,10 +101,18 @@ export default function PendingRequestsScreen() {
                     <Text style={styles.timeText}>End:   {endTime}</Text>
                 </View>
 
+                {!!item.onBehalfOf && (
+                    <Text style={styles.behalfText}>On behalf of {item.onBehalfOf.name}</Text>
+                )}
+                <ApprovalTrail allocation={item} />
+                <TouchableOpacity onPress={() => navigation.navigate('AllocationComments', { allocation: item })}>
+                    <Text style={styles.discussText}>💬 Discussion</Text>
+                </TouchableOpacity>
+
                 <View style={styles.actionRow}>
                     <TouchableOpacity
                         style={[styles.actionBtn, styles.rejectBtn]}
-                        onPress={() => handleAction(item._id, 'rejected')}
+                        onPress={() => { setComment(''); setRejecting(item); }}
                         disabled={isProcessing}
                     >
                         <Text style={styles.btnText}>Reject</Text>
@@ -119,6 +149,35 @@ export default function PendingRequestsScreen() {
                         }
                     />
                 )}
+
+                <Modal visible={!!rejecting} transparent animationType="fade" onRequestClose={() => setRejecting(null)}>
+                    <View style={styles.modalOverlay}>
+                        <View style={styles.modalCard}>
+                            <Text style={styles.modalTitle}>Reject request</Text>
+                            <Text style={styles.modalHint}>
+                                {rejecting?.resourceId?.name || 'Request'} by {rejecting?.requestedBy?.name || 'User'}. The requester will see your reason.
+                            </Text>
+                            <TextInput
+                                style={styles.input}
+                                placeholder="Reason for rejecting"
+                                placeholderTextColor={theme.dark.textSecondary}
+                                value={comment}
+                                onChangeText={setComment}
+                                multiline
+                                maxLength={500}
+                                autoFocus
+                            />
+                            <View style={styles.actionRow}>
+                                <TouchableOpacity style={[styles.actionBtn, styles.cancelBtn]} onPress={() => setRejecting(null)}>
+                                    <Text style={styles.cancelText}>Cancel</Text>
+                                </TouchableOpacity>
+                                <TouchableOpacity style={[styles.actionBtn, styles.rejectBtn]} onPress={confirmReject}>
+                                    <Text style={styles.btnText}>Reject</Text>
+                                </TouchableOpacity>
+                            </View>
+                        </View>
+                    </View>
+                </Modal>
             </SafeAreaView>
         </AnimatedBackground>
     );
@@ -166,16 +225,28 @@ const styles = StyleSheet.create({
         backgroundColor: 'rgba(15, 23, 42, 0.3)',
         padding: 10,
         borderRadius: 8,
-        marginBottom: 16,
+        marginBottom: 8,
     },
     timeText: {
         color: '#cbd5e1',
         fontSize: 12,
         fontFamily: 'monospace',
     },
+    discussText: {
+        color: '#a5b4fc',
+        fontSize: 13,
+        fontWeight: 'bold',
+        marginTop: 10,
+    },
+    behalfText: {
+        color: '#a5b4fc',
+        fontSize: 12,
+        fontStyle: 'italic',
+    },
     actionRow: {
         flexDirection: 'row',
         gap: 12,
+        marginTop: 16,
     },
     actionBtn: {
         flex: 1,
@@ -200,6 +271,48 @@ const styles = StyleSheet.create({
         color: '#000',
         fontWeight: 'bold',
     },
+    cancelBtn: {
+        backgroundColor: 'rgba(255,255,255,0.08)',
+    },
+    cancelText: {
+        color: '#cbd5e1',
+        fontWeight: 'bold',
+    },
+    modalOverlay: {
+        flex: 1,
+        backgroundColor: 'rgba(0,0,0,0.6)',
+        justifyContent: 'center',
+        padding: 24,
+    },
+    modalCard: {
+        backgroundColor: '#1e293b',
+        borderRadius: 16,
+        padding: 20,
+        borderWidth: 1,
+        borderColor: 'rgba(255,255,255,0.1)',
+    },
+    modalTitle: {
+        color: '#f1f5f9',
+        fontSize: 18,
+        fontWeight: 'bold',
+        marginBottom: 8,
+    },
+    modalHint: {
+        color: '#94a3b8',
+        fontSize: 13,
+        marginBottom: 12,
+    },
+    input: {
+        backgroundColor: 'rgba(15, 23, 42, 0.5)',
+        borderWidth: 1,
+        borderColor: 'rgba(255,255,255,0.1)',
+        borderRadius: 12,
+        padding: 16,
+        color: '#fff',
+        fontSize: 16,
+        minHeight: 80,
+        textAlignVertical: 'top',
+    },
     emptyText: {
         color: '#94a3b8',
         textAlign: 'center',
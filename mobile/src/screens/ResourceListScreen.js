@@ -1,20 +1,41 @@
 import React, { useEffect, useState, useContext } from 'react';
-import { View, Text, FlatList, StyleSheet, ActivityIndicator } from 'react-native';
+import { View, Text, FlatList, StyleSheet, ActivityIndicator, TouchableOpacity } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import { LinearGradient } from 'expo-linear-gradient';
 import AnimatedBackground from '../components/AnimatedBackground';
+import { useResourceTypes } from '../components/ResourceTypePicker';
 import { AuthContext } from '../context/AuthContext';
+import { useLiveUpdates } from '../context/LiveUpdatesContext';
 import { API_URL } from '../config';
 import { theme } from '../styles/theme';
 
-export default function ResourceListScreen() {
-    const { token } = useContext(AuthContext);
+// Card colour per resource status
+const STATUS_COLORS = {
+    'Available': theme.dark.success,
+    'Allocated': theme.dark.error,
+    'Out of Service': '#f59e0b',
+    'Retired': '#94a3b8'
+};
+
+export default function ResourceListScreen({ navigation }) {
+    const { token, hasPermission } = useContext(AuthContext);
+    const canManage = hasPermission('resources:write');
     const [resources, setResources] = useState([]);
     const [loading, setLoading] = useState(true);
+    const [expandedId, setExpandedId] = useState(null);
+    const [range, setRange] = useState('day');
+    const [schedule, setSchedule] = useState(null);
+    const [scheduleLoading, setScheduleLoading] = useState(false);
+    const resourceTypes = useResourceTypes();
 
+    // Refetch on focus so edits made on EditResource show up
     useEffect(() => {
-        fetchResources();
-    }, []);
+        const unsubscribe = navigation.addListener('focus', fetchResources);
+        return unsubscribe;
+    }, [navigation]);
+
+    // Service changes and bookings made elsewhere
+    useLiveUpdates(['resource:', 'allocation:'], () => fetchResources());
 
     const fetchResources = async () => {
         try {
@@ -32,25 +53,142 @@ export default function ResourceListScreen() {
         }
     };
 
+    // Busy blocks and free gaps for the expanded resource, from today on
+    const fetchSchedule = async (resourceId, scheduleRange) => {
+        setScheduleLoading(true);
+        setSchedule(null);
+        try {
+            const from = new Date();
+            from.setHours(0, 0, 0, 0);
+            const days = scheduleRange === 'week' ? 7 : 1;
+            const to = new Date(from.getTime() + days * 24 * 60 * 60 * 1000);
+
+            const query = `from=${from.toISOString()}&to=${to.toISOString()}&includePending=true`;
+            const response = await fetch(`${API_URL}/resources/${resourceId}/schedule?${query}`, {
+                headers: { Authorization: `Bearer ${token}` }
+            });
+            const data = await response.json();
+            if (data.success) {
+                setSchedule(data.data);
+            }
+        } catch (error) {
+            console.error(error);
+        } finally {
+            setScheduleLoading(false);
+        }
+    };
+
+    const toggleExpanded = (resourceId) => {
+        if (expandedId === resourceId) {
+            setExpandedId(null);
+            return;
+        }
+        setExpandedId(resourceId);
+        fetchSchedule(resourceId, range);
+    };
+
+    const changeRange = (newRange) => {
+        setRange(newRange);
+        if (expandedId) fetchSchedule(expandedId, newRange);
+    };
+
+    const formatTime = (date) => new Date(date).toLocaleString([], {
+        weekday: range === 'week' ? 'short' : undefined,
+        hour: '2-digit',
+        minute: '2-digit'
+    });
+
+    const renderSchedule = () => {
+        if (scheduleLoading || !schedule) {
+            return <ActivityIndicator color={theme.dark.primary} style={{ marginTop: 12 }} />;
+        }
+
+        return (
+            <View style={styles.schedule}>
+                <View style={styles.rangeRow}>
+                    {['day', 'week'].map(option => (
+                        <TouchableOpacity
+                            key={option}
+                            style={[styles.rangeBtn, range === option && styles.rangeBtnActive]}
+                            onPress={() => changeRange(option)}
+                        >
+                            <Text style={styles.rangeText}>{option === 'day' ? 'Today' : 'This Week'}</Text>
+                        </TouchableOpacity>
+                    ))}
+                </View>
+
+                <Text style={styles.scheduleTitle}>Busy</Text>
+                {schedule.busy.length === 0 ? (
+                    <Text style={styles.scheduleEmpty}>Nothing booked.</Text>
+                ) : schedule.busy.map(block => (
+                    <Text
+                        key={block._id}
+                        style={[styles.scheduleLine, { color: block.approvalStatus === 'approved' ? theme.dark.error : '#f59e0b' }]}
+                    >
+                        {formatTime(block.startTime)} - {formatTime(block.endTime)} · {block.assignedTo}
+                        {block.approvalStatus === 'pending' ? ' (pending)' : ''}
+                    </Text>
+                ))}
+
+                <Text style={styles.scheduleTitle}>Free</Text>
+                {schedule.free.length === 0 ? (
+                    <Text style={styles.scheduleEmpty}>Fully booked.</Text>
+                ) : schedule.free.map(gap => (
+                    <Text key={gap.startTime} style={[styles.scheduleLine, { color: theme.dark.success }]}>
+                        {formatTime(gap.startTime)} - {formatTime(gap.endTime)}
+                    </Text>
+                ))}
+            </View>
+        );
+    };
+
     const renderItem = ({ item }) => {
-        const isAvailable = item.status === 'available';
+        const statusColor = STATUS_COLORS[item.status] || theme.dark.error;
+        const resourceType = resourceTypes.find(type => type.name === item.type);
 
         return (
-            <View style={styles.card}>
-                <View style={[styles.statusIndicator, { backgroundColor: isAvailable ? theme.dark.success : theme.dark.error }]} />
+            <TouchableOpacity style={styles.card} onPress={() => toggleExpanded(item._id)} activeOpacity={0.8}>
+                <View style={[styles.statusIndicator, { backgroundColor: statusColor }]} />
                 <View style={styles.cardContent}>
                     <Text style={styles.resourceName}>{item.name}</Text>
-                    <Text style={styles.resourceType}>{item.type}</Text>
+                    <Text style={[styles.resourceType, resourceType && { color: resourceType.color }]}>
+                        {resourceType ? `${resourceType.icon} ` : ''}{item.type}
+                    </Text>
                     <Text style={styles.description} numberOfLines={2}>{item.description}</Text>
+                    {(item.capacity || item.location?.building || item.amenities?.length > 0) && (
+                        <Text style={styles.meta}>
+                            {[
+                                item.capacity && `${item.capacity} people`,
+                                [item.location?.building, item.location?.floor && `Floor ${item.location.floor}`, item.location?.room]
+                                    .filter(Boolean).join(', '),
+                                item.amenities?.join(' · ')
+                            ].filter(Boolean).join('  |  ')}
+                        </Text>
+                    )}
                     <View style={styles.badgeContainer}>
-                        <View style={[styles.badge, { backgroundColor: isAvailable ? 'rgba(16, 185, 129, 0.2)' : 'rgba(239, 68, 68, 0.2)' }]}>
-                            <Text style={[styles.badgeText, { color: isAvailable ? theme.dark.success : theme.dark.error }]}>
+                        <View style={[styles.badge, { backgroundColor: `${statusColor}33` }]}>
+                            <Text style={[styles.badgeText, { color: statusColor }]}>
                                 {item.status.toUpperCase()}
                             </Text>
                         </View>
                     </View>
+                    {item.serviceReason && item.status !== 'Available' && item.status !== 'Allocated' && (
+                        <Text style={styles.serviceNote}>
+                            {item.serviceReason}
+                            {item.returnDate ? ` · back ${new Date(item.returnDate).toLocaleString()}` : ''}
+                        </Text>
+                    )}
+                    {expandedId === item._id && renderSchedule()}
+                    {expandedId === item._id && canManage && (
+                        <TouchableOpacity
+                            style={styles.manageBtn}
+                            onPress={() => navigation.navigate('EditResource', { resource: item })}
+                        >
+                            <Text style={styles.manageText}>Edit / Retire</Text>
+                        </TouchableOpacity>
+                    )}
                 </View>
-            </View>
+            </TouchableOpacity>
         );
     };
 
@@ -119,6 +257,12 @@ const styles = StyleSheet.create({
         fontSize: 14,
         marginBottom: 12,
     },
+    meta: {
+        color: '#cbd5e1',
+        fontSize: 12,
+        marginTop: -6,
+        marginBottom: 12,
+    },
     badgeContainer: {
         flexDirection: 'row',
     },
@@ -131,4 +275,63 @@ const styles = StyleSheet.create({
         fontSize: 10,
         fontWeight: 'bold',
     },
+    serviceNote: {
+        color: '#f59e0b',
+        fontSize: 12,
+        marginTop: 8,
+    },
+    manageBtn: {
+        marginTop: 12,
+        paddingVertical: 8,
+        borderRadius: 8,
+        alignItems: 'center',
+        backgroundColor: 'rgba(99, 102, 241, 0.4)',
+    },
+    manageText: {
+        color: '#f1f5f9',
+        fontWeight: 'bold',
+        fontSize: 13,
+    },
+    schedule: {
+        marginTop: 12,
+        backgroundColor: 'rgba(15, 23, 42, 0.3)',
+        padding: 10,
+        borderRadius: 8,
+    },
+    rangeRow: {
+        flexDirection: 'row',
+        gap: 8,
+        marginBottom: 8,
+    },
+    rangeBtn: {
+        paddingHorizontal: 10,
+        paddingVertical: 4,
+        borderRadius: 6,
+        borderWidth: 1,
+        borderColor: 'rgba(129, 140, 248, 0.3)',
+    },
+    rangeBtnActive: {
+        backgroundColor: 'rgba(99, 102, 241, 0.4)',
+    },
+    rangeText: {
+        color: '#f1f5f9',
+        fontSize: 12,
+    },
+    scheduleTitle: {
+        color: '#f1f5f9',
+        fontWeight: 'bold',
+        fontSize: 12,
+        marginTop: 8,
+        marginBottom: 4,
+    },
+    scheduleLine: {
+        fontSize: 12,
+        fontFamily: 'monospace',
+        marginBottom: 2,
+    },
+    scheduleEmpty: {
+        color: '#94a3b8',
+        fontSize: 12,
+        fontStyle: 'italic',
+    },
 });
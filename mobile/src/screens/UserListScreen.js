@@ -8,7 +8,8 @@ import { API_URL } from '../config';
 import { theme } from '../styles/theme';
 
 export default function UserListScreen({ navigation }) {
-    const { token, user: currentUser } = useContext(AuthContext);
+    const { token, user: currentUser, hasPermission } = useContext(AuthContext);
+    const canManage = hasPermission('users:manage');
     const [users, setUsers] = useState([]);
     const [loading, setLoading] = useState(true);
 
@@ -117,7 +118,7 @@ export default function UserListScreen({ navigation }) {
                     </View>
                 </View>
 
-                {!isMe && (
+                {!isMe && canManage && (
                     <View style={styles.actions}>
                         <TouchableOpacity onPress={() => toggleStatus(item)} style={styles.actionTextBtn}>
                             <Text style={styles.actionText}>{isActive ? '🚫 Block' : '✅ Unblock'}</Text>
@@ -148,12 +149,14 @@ export default function UserListScreen({ navigation }) {
                     />
                 )}
 
-                <TouchableOpacity
-                    style={styles.fab}
-                    onPress={() => navigation.navigate('AddUser')}
-                >
-                    <Text style={styles.fabText}>+</Text>
-                </TouchableOpacity>
+                {canManage && (
+                    <TouchableOpacity
+                        style={styles.fab}
+                        onPress={() => navigation.navigate('AddUser')}
+                    >
+                        <Text style={styles.fabText}>+</Text>
+                    </TouchableOpacity>
+                )}
             </SafeAreaView>
         </AnimatedBackground>
     );
@@ -6,19 +6,219 @@
  * 
  * This controller provides functionality for:
  * - Creating new allocations with CONFLICT DETECTION
- * - Fetching all allocations with resource details
+ * - Creating recurring allocation series (daily / weekly / monthly)
+ * - Importing allocations from iCalendar (.ics) files
+ * - Fetching allocations with filters, sorting and pagination
+ * - Editing / rescheduling an allocation, with the same checks as a new one
+ * - Cancelling your own bookings, and checking in to them
+ * - Offering slots that come free to the waitlist (utils/waitlist.js)
  * 
  * CRITICAL BUSINESS LOGIC:
  * The createAllocation function implements conflict detection to prevent
  * double-booking of resources. This is the core functionality of SmartAlloc.
  * 
+ * CONCURRENCY:
+ * The conflict check and the write that follows it always run while holding
+ * the per-resource booking lock (utils/resourceLock.js). Two requests for the
+ * same resource - e.g. two admins approving overlapping requests at the same
+ * moment - are serialized, so the second one sees the first one's result.
+ * 
  * @author SmartAlloc Team
  * @version 1.0.0
  * =============================================================================
  */
 
+const mongoose = require('mongoose');
 const Allocation = require('../models/Allocation');
+const { TIME_STATUSES, getTimeStatus, timeStatusCondition } = require('../models/Allocation');
 const Resource = require('../models/Resource');
+const ApprovalRule = require('../models/ApprovalRule');
+const AllocationComment = require('../models/AllocationComment');
+const ResourceType = require('../models/ResourceType');
+const { hasPermission } = require('../middleware/authMiddleware');
+const { validateRecurrenceRule, expandRecurrence } = require('../utils/recurrence');
+const { withResourceLock, withResourceLocks } = require('../utils/resourceLock');
+const {
+    findPolicyViolations,
+    toViolationResponse,
+    formatMinutes
+} = require('../utils/bookingPolicy');
+const {
+    toConflictSummary,
+    findBookingBlock,
+    findConflictingOccurrences,
+    findScheduleViolations,
+    decideApproval,
+    recordRuleMatch
+} = require('../utils/bookingChecks');
+const {
+    buildApprovalSteps,
+    currentStepOf,
+    loadApproverCapacities,
+    findActingCapacity,
+    applyDecision
+} = require('../utils/approvalChain');
+const { parseCalendar, toRecurrenceRule } = require('../utils/ical');
+const { CHECK_IN_OPENS_MINUTES, loadPolicies, checkInWindow, attachCheckIn } = require('../utils/noShow');
+const { promoteFreedSlots } = require('../utils/waitlist');
+const { suggestAlternatives } = require('../utils/alternatives');
+const { notifyRequestCreated, notifyDecision, notifyRemoved } = require('../utils/notifications');
+const { publishAllocationChange } = require('../utils/realtime');
+const { audit, snapshot } = require('../utils/audit');
+const { escapeRegex, parseList, parseSort, parsePagination, encodeCursor, cursorCondition } = require('../utils/query');
+
+/**
+ * Scopes for acting on an occurrence of a recurring series
+ * - single:    only the given allocation
+ * - series:    every occurrence in the series
+ * - following: the given occurrence and all later ones
+ */
+const SERIES_SCOPES = ['single', 'series', 'following'];
+
+/**
+ * Resolve the allocations affected by an action with the given scope.
+ * One-off allocations always resolve to just themselves.
+ *
+ * @param {Document} allocation - The allocation the action was requested on
+ * @param {String} scope - One of SERIES_SCOPES
+ * @returns {Array} Allocations to act on, sorted by start time
+ */
+const findScopedAllocations = async (allocation, scope) => {
+    if (scope === 'single' || !allocation.seriesId) {
+        return [allocation];
+    }
+
+    const query = { seriesId: allocation.seriesId };
+    if (scope === 'following') {
+        query.startTime = { $gte: allocation.startTime };
+    }
+
+    return Allocation.find(query).sort({ startTime: 1 });
+};
+
+/**
+ * Response message for a new request, naming the rule that decided it
+ */
+const decisionMessage = ({ approvalStatus, approvalRule }, fallback) => {
+    if (!approvalRule) return fallback;
+    if (approvalStatus === 'rejected') {
+        return `Request rejected automatically by rule "${approvalRule.name}"${approvalRule.reason ? `: ${approvalRule.reason}` : ''}`;
+    }
+    return `Request approved automatically by rule "${approvalRule.name}"`;
+};
+
+/**
+ * =============================================================================
+ * CREATE RECURRING ALLOCATION
+ * =============================================================================
+ * Expands a recurrence rule and books every occurrence under one seriesId.
+ * Called from createAllocation once the common validation has passed.
+ * 
+ * The series is booked all-or-nothing: every occurrence runs through the
+ * same findOverlapping conflict check as a single booking, and if any of
+ * them clashes with an approved allocation nothing is created.
+ */
+const createRecurringAllocation = async (req, res, { resource, policy, assignedTo, purpose, startTime, endTime, recurrence }) => {
+    const ruleError = validateRecurrenceRule(recurrence);
+    if (ruleError) {
+        return res.status(400).json({
+            success: false,
+            message: ruleError
+        });
+    }
+
+    const { occurrences, error } = expandRecurrence(startTime, endTime, recurrence);
+    if (error) {
+        return res.status(400).json({
+            success: false,
+            message: error
+        });
+    }
+
+    // Every occurrence must fit the resource's booking policy
+    const violations = findPolicyViolations(policy, occurrences);
+    if (violations.length > 0) {
+        return res.status(400).json(toViolationResponse(violations));
+    }
+
+    // Check and book the whole series under the resource's booking lock
+    let created = [];
+    const response = await withResourceLock(resource._id, async () => {
+        const bookingBlock = await findBookingBlock(resource._id, occurrences);
+        if (bookingBlock) {
+            return res.status(400).json({
+                success: false,
+                message: bookingBlock
+            });
+        }
+
+        // Conflict detection for every occurrence (approved allocations only)
+        const conflictingOccurrences = await findConflictingOccurrences(resource._id, occurrences);
+
+        if (conflictingOccurrences.length > 0) {
+            return res.status(409).json({
+                success: false,
+                message: 'Resource already allocated in this time range',
+                conflictDetails: {
+                    resourceName: resource.name,
+                    conflictingOccurrences
+                }
+            });
+        }
+
+        const scheduleViolations = await findScheduleViolations(resource, policy, occurrences, { userId: req.user ? req.user._id : null });
+        if (scheduleViolations.length > 0) {
+            return res.status(400).json(toViolationResponse(scheduleViolations));
+        }
+
+        // Same approval decision as single bookings, for the series as a whole
+        const decision = decideApproval(req, await ApprovalRule.findActive(), {
+            resource,
+            policy,
+            occurrences,
+            chain: await ResourceType.chainFor(resource.type)
+        });
+        const seriesId = new mongoose.Types.ObjectId();
+
+        await Allocation.insertMany(occurrences.map((occurrence, index) => ({
+            resourceId: resource._id,
+            assignedTo,
+            startTime: occurrence.startTime,
+            endTime: occurrence.endTime,
+            purpose: purpose || '',
+            approvalStatus: decision.approvalStatus,
+            approvalRule: decision.approvalRule,
+            approvalSteps: decision.approvalSteps,
+            rejectionReason: decision.rejectionReason,
+            requestedBy: req.user ? req.user._id : null,
+            seriesId,
+            seriesIndex: index
+        })));
+        await recordRuleMatch(decision.approvalRule);
+
+        const savedAllocations = await Allocation.find({ seriesId })
+            .populate('resourceId', 'name type')
+            .sort({ startTime: 1 });
+        created = savedAllocations;
+        savedAllocations.forEach(allocation => audit(req, 'allocation.create', allocation, {
+            after: allocation,
+            details: { seriesId, occurrences: savedAllocations.length }
+        }));
+
+        return res.status(201).json({
+            success: true,
+            message: decisionMessage(decision, `Recurring allocation created with ${savedAllocations.length} occurrences`),
+            seriesId,
+            count: savedAllocations.length,
+            data: savedAllocations
+        });
+    });
+
+    // One notification for the whole series, sent after the lock is released
+    await notifyRequestCreated(created, resource, req.user);
+    publishAllocationChange('created', created);
+    return response;
+};
 
 /**
  * =============================================================================
@@ -34,25 +234,50 @@ const Resource = require('../models/Resource');
  *   "assignedTo": "John Doe",
  *   "startTime": "2024-01-15T09:00:00Z",
  *   "endTime": "2024-01-15T11:00:00Z",
- *   "purpose": "Team Meeting"
+ *   "purpose": "Team Meeting",
+ *   "recurrence": {                       // Optional - books a recurring series
+ *     "frequency": "weekly",
+ *     "byWeekday": ["MO"],
+ *     "count": 10
+ *   }
  * }
  * 
+ * With "recurrence", startTime/endTime describe the first occurrence and
+ * every occurrence is checked with the rules below (see utils/recurrence.js).
+ * 
  * VALIDATION RULES:
  * 1. endTime must be greater than startTime
  * 2. startTime must be >= current time (can't book in the past)
- * 3. No time overlap with existing allocations for the same resource
+ * 3. Resource is not deleted, retired or out of service at startTime
+ * 4. Booking fits the resource's booking policy (duration, notice, advance
+ *    window, hours, weekdays, slot grid - see utils/bookingPolicy.js)
+ * 5. No time overlap with existing allocations for the same resource
+ * 6. Setup/teardown buffers and the per-user booking limit are respected
+ * 
+ * Policy failures return 400 with a "violations" list of { code, message }
+ * that the clients show next to the form.
+ * 
+ * APPROVAL: users with allocations:approve are approved straight away.
+ * Otherwise the first matching auto-approval rule approves or rejects the
+ * request (recorded in approvalRule, see models/ApprovalRule.js), and
+ * without one it is pending unless the booking policy doesn't require
+ * approval. An auto-rejected request is still saved, as 'rejected'.
+ * Pending requests then go through the resource type's approval chain
+ * (approvalSteps, see utils/approvalChain.js).
  * 
  * CONFLICT DETECTION LOGIC:
  * A conflict exists if for the same resourceId:
  *   existing.startTime < newEndTime AND existing.endTime > newStartTime
  * 
- * If conflict found → Return error: "Resource already allocated in this time range"
+ * If conflict found → Return error: "Resource already allocated in this time range",
+ *                    with "alternatives": { slots, resources } to rebook with
+ *                    (see utils/alternatives.js)
  * If no conflict → Create the allocation
  */
 const createAllocation = async (req, res) => {
     try {
         // Extract allocation data from request body
-        const { resourceId, assignedTo, startTime, endTime, purpose } = req.body;
+        const { resourceId, assignedTo, startTime, endTime, purpose, recurrence } = req.body;
 
         // =========================================================================
         // STEP 1: Validate Required Fields
@@ -100,99 +325,160 @@ const createAllocation = async (req, res) => {
             });
         }
 
+        // Type policy with the resource's overrides
+        const policy = await resource.getBookingPolicy();
+
         // =========================================================================
-        // STEP 5: CONFLICT DETECTION - Check for overlapping allocations
+        // Recurring bookings expand into a series - each occurrence is checked
         // =========================================================================
-        /**
-         * CRITICAL BUSINESS LOGIC
-         * 
-         * Two time ranges overlap if:
-         *   existing.startTime < new.endTime AND existing.endTime > new.startTime
-         * 
-         * Visual representation:
-         * 
-         * Case 1: New allocation starts during existing
-         * Existing:  |-------|
-         * New:           |-------|
-         * Overlap!
-         * 
-         * Case 2: New allocation ends during existing
-         * Existing:      |-------|
-         * New:       |-------|
-         * Overlap!
-         * 
-         * Case 3: New allocation completely contains existing
-         * Existing:    |---|
-         * New:       |-------|
-         * Overlap!
-         * 
-         * Case 4: New allocation is completely within existing
-         * Existing:  |---------|
-         * New:          |---|
-         * Overlap!
-         * 
-         * Case 5: No overlap
-         * Existing:  |---|
-         * New:             |---|
-         * No conflict!
-         */
-        // Only check conflicts for approved allocations
-        const conflictingAllocations = await Allocation.find({
-            resourceId: resourceId,
-            approvalStatus: 'approved', // Only approved allocations cause conflicts
-            startTime: { $lt: newEndTime },
-            endTime: { $gt: newStartTime }
-        });
-
-        // If conflicts found, return error
-        if (conflictingAllocations.length > 0) {
-            return res.status(409).json({
-                success: false,
-                message: 'Resource already allocated in this time range',
-                conflictDetails: {
-                    resourceName: resource.name,
-                    existingAllocations: conflictingAllocations.map(alloc => ({
-                        assignedTo: alloc.assignedTo,
-                        startTime: alloc.startTime,
-                        endTime: alloc.endTime,
-                        purpose: alloc.purpose
-                    }))
-                }
+        if (recurrence) {
+            return await createRecurringAllocation(req, res, {
+                resource,
+                policy,
+                assignedTo,
+                purpose,
+                startTime: newStartTime,
+                endTime: newEndTime,
+                recurrence
             });
         }
 
+        const occurrence = { startTime: newStartTime, endTime: newEndTime };
+        const violations = findPolicyViolations(policy, [occurrence]);
+        if (violations.length > 0) {
+            return res.status(400).json(toViolationResponse(violations));
+        }
+
         // =========================================================================
-        // STEP 6: No Conflicts - Create the Allocation
+        // STEPS 5-6 run under the resource's booking lock so no other request
+        // can book or approve an overlapping slot between the check and the save
         // =========================================================================
-        // Determine approval status based on user role
-        // If user is Super User (Admin), auto-approve
-        // If regular User, set to pending
-        const isAdmin = req.user && req.user.role === 'Super User';
-        const approvalStatus = isAdmin ? 'approved' : 'pending';
-
-        const newAllocation = new Allocation({
-            resourceId,
-            assignedTo,
-            startTime: newStartTime,
-            endTime: newEndTime,
-            purpose: purpose || '',
-            approvalStatus: approvalStatus,
-            requestedBy: req.user ? req.user._id : null
-        });
+        let created = null;
+        const response = await withResourceLock(resource._id, async () => {
+            // Resource must be in service (read under the lock, see findBookingBlock)
+            const bookingBlock = await findBookingBlock(resource._id, [{ startTime: newStartTime }]);
+            if (bookingBlock) {
+                return res.status(400).json({
+                    success: false,
+                    message: bookingBlock
+                });
+            }
 
-        // Save to database
-        const savedAllocation = await newAllocation.save();
+            // =========================================================================
+            // STEP 5: CONFLICT DETECTION - Check for overlapping allocations
+            // =========================================================================
+            /**
+             * CRITICAL BUSINESS LOGIC
+             * 
+             * Two time ranges overlap if:
+             *   existing.startTime < new.endTime AND existing.endTime > new.startTime
+             * 
+             * Visual representation:
+             * 
+             * Case 1: New allocation starts during existing
+             * Existing:  |-------|
+             * New:           |-------|
+             * Overlap!
+             * 
+             * Case 2: New allocation ends during existing
+             * Existing:      |-------|
+             * New:       |-------|
+             * Overlap!
+             * 
+             * Case 3: New allocation completely contains existing
+             * Existing:    |---|
+             * New:       |-------|
+             * Overlap!
+             * 
+             * Case 4: New allocation is completely within existing
+             * Existing:  |---------|
+             * New:          |---|
+             * Overlap!
+             * 
+             * Case 5: No overlap
+             * Existing:  |---|
+             * New:             |---|
+             * No conflict!
+             */
+            // Only check conflicts for approved allocations
+            const conflictingAllocations = await Allocation.find({
+                resourceId: resourceId,
+                approvalStatus: 'approved', // Only approved allocations cause conflicts
+                startTime: { $lt: newEndTime },
+                endTime: { $gt: newStartTime }
+            });
 
-        // Populate resource details for response
-        await savedAllocation.populate('resourceId', 'name type');
+            // If conflicts found, return error with other slots and resources to try
+            if (conflictingAllocations.length > 0) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'Resource already allocated in this time range',
+                    canJoinWaitlist: true,
+                    conflictDetails: {
+                        resourceName: resource.name,
+                        existingAllocations: conflictingAllocations.map(toConflictSummary)
+                    },
+                    alternatives: await suggestAlternatives(resource, policy, occurrence)
+                });
+            }
 
-        // Send success response
-        res.status(201).json({
-            success: true,
-            message: 'Allocation created successfully',
-            data: savedAllocation
+            // Buffers around approved bookings and the per-user limit
+            const scheduleViolations = await findScheduleViolations(resource, policy, [occurrence], { userId: req.user ? req.user._id : null });
+            if (scheduleViolations.length > 0) {
+                return res.status(400).json(toViolationResponse(scheduleViolations));
+            }
+
+            // =========================================================================
+            // STEP 6: No Conflicts - Create the Allocation
+            // =========================================================================
+            // Determine approval status (see decideApproval)
+            // Users who can approve requests are approved automatically; for
+            // everyone else an auto-approval rule may approve or reject the
+            // request, and otherwise the booking policy decides
+            const decision = decideApproval(req, await ApprovalRule.findActive(), {
+                resource,
+                policy,
+                occurrences: [occurrence],
+                chain: await ResourceType.chainFor(resource.type)
+            });
+
+            const newAllocation = new Allocation({
+                resourceId,
+                assignedTo,
+                startTime: newStartTime,
+                endTime: newEndTime,
+                purpose: purpose || '',
+                approvalStatus: decision.approvalStatus,
+                approvalRule: decision.approvalRule,
+                approvalSteps: decision.approvalSteps,
+                rejectionReason: decision.rejectionReason,
+                requestedBy: req.user ? req.user._id : null
+            });
+
+            // Save to database
+            const savedAllocation = await newAllocation.save();
+            await recordRuleMatch(decision.approvalRule);
+
+            // Populate resource details for response
+            await savedAllocation.populate('resourceId', 'name type');
+            created = savedAllocation;
+            audit(req, 'allocation.create', savedAllocation, { after: savedAllocation });
+
+            // Send success response
+            return res.status(201).json({
+                success: true,
+                message: decisionMessage(decision, 'Allocation created successfully'),
+                data: savedAllocation
+            });
         });
 
+        // Tell the requester and the approvers, once the lock is released
+        if (created) {
+            await notifyRequestCreated([created], resource, req.user);
+            publishAllocationChange('created', [created]);
+        }
+        return response;
+
     } catch (error) {
         // Handle validation errors
         if (error.name === 'ValidationError') {
@@ -211,6 +497,14 @@ const createAllocation = async (req, res) => {
             });
         }
 
+        // Another booking for this resource held the lock for too long
+        if (error.name === 'ResourceLockError') {
+            return res.status(503).json({
+                success: false,
+                message: error.message
+            });
+        }
+
         // Handle other errors
         console.error('Error creating allocation:', error);
         res.status(500).json({
@@ -221,191 +515,1683 @@ const createAllocation = async (req, res) => {
     }
 };
 
+// Upper bound on events in one import file
+const MAX_IMPORT_EVENTS = 200;
+
 /**
- * =============================================================================
- * GET ALL ALLOCATIONS
- * =============================================================================
- * Fetches all allocations with resource details and calculated status.
- * 
- * Route: GET /api/allocations
- * 
- * Response includes:
- * - Full allocation details
- * - Populated resource information (name, type)
- * - Status: "Active", "Upcoming", or "Completed"
- * 
- * Response:
- * {
- *   "success": true,
- *   "count": 10,
- *   "data": [
- *     {
- *       "_id": "...",
- *       "resourceId": { "name": "Room A", "type": "Room" },
- *       "assignedTo": "John Doe",
- *       "startTime": "...",
- *       "endTime": "...",
- *       "status": "Active"
- *     },
- *     ...
- *   ]
- * }
+ * Turn one parsed VEVENT into the occurrences to book, applying the same
+ * time rules as createAllocation. Occurrences of a recurring event that
+ * already lie in the past are dropped; a one-off event in the past is invalid.
+ *
+ * @param {Object} event - Event from parseCalendar
+ * @param {Array} overriddenStarts - Occurrence starts replaced by RECURRENCE-ID events
+ * @returns {Object} { occurrences } or { error }
  */
-const getAllAllocations = async (req, res) => {
-    try {
-        // Fetch all allocations with resource details
-        const allocations = await Allocation.find()
-            .populate('resourceId', 'name type') // Populate resource name and type
-            .sort({ startTime: -1 });            // Sort by start time (newest first)
+const planImportedEvent = (event, overriddenStarts) => {
+    if (event.error) return { error: event.error };
 
-        // Get current time for status calculation
-        const currentTime = new Date();
+    if (event.status === 'CANCELLED') {
+        return { error: 'Event is cancelled' };
+    }
 
-        // Calculate status for each allocation
-        const allocationsWithStatus = allocations.map(allocation => {
-            let status;
-
-            if (currentTime < allocation.startTime) {
-                status = 'Upcoming';
-            } else if (currentTime >= allocation.startTime && currentTime <= allocation.endTime) {
-                status = 'Active';
-            } else {
-                status = 'Completed';
-            }
+    if (event.endTime <= event.startTime) {
+        return { error: 'End time must be after start time' };
+    }
 
-            return {
-                _id: allocation._id,
-                resourceId: allocation.resourceId,
-                assignedTo: allocation.assignedTo,
-                startTime: allocation.startTime,
-                endTime: allocation.endTime,
-                purpose: allocation.purpose,
-                createdAt: allocation.createdAt,
-                approvalStatus: allocation.approvalStatus,
-                requestedBy: allocation.requestedBy,
-                timeStatus: status
-            };
-        });
+    const currentTime = new Date();
 
-        // Send success response
-        res.status(200).json({
-            success: true,
-            count: allocationsWithStatus.length,
-            data: allocationsWithStatus
-        });
+    if (!event.rrule) {
+        if (event.startTime < currentTime) {
+            return { error: 'Start time cannot be in the past' };
+        }
+        return { occurrences: [{ startTime: event.startTime, endTime: event.endTime }] };
+    }
 
-    } catch (error) {
-        console.error('Error fetching allocations:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Failed to fetch allocations',
-            error: error.message
-        });
+    const { rule, error: rruleError } = toRecurrenceRule(event.rrule, [...event.exdates, ...overriddenStarts], event.timeZone);
+    if (rruleError) return { error: rruleError };
+
+    const ruleError = validateRecurrenceRule(rule);
+    if (ruleError) return { error: ruleError };
+
+    const { occurrences, error } = expandRecurrence(event.startTime, event.endTime, rule);
+    if (error) return { error };
+
+    const upcoming = occurrences.filter(occurrence => occurrence.startTime >= currentTime);
+    if (upcoming.length === 0) {
+        return { error: 'All occurrences are in the past' };
     }
+
+    return { occurrences: upcoming };
 };
 
 /**
  * =============================================================================
- * DELETE ALLOCATION
+ * IMPORT ALLOCATIONS FROM ICALENDAR
  * =============================================================================
- * Deletes an allocation by ID.
+ * Bulk-creates allocations for one resource from an .ics file.
  * 
- * Route: DELETE /api/allocations/:id
+ * Route: POST /api/allocations/import
  * 
- * @param {String} req.params.id - Allocation ID to delete
+ * Request - either a JSON body:
+ * {
+ *   "resourceId": "65abc123...",
+ *   "ics": "BEGIN:VCALENDAR...",
+ *   "assignedTo": "Facilities",   // Optional - defaults to the current user's name
+ *   "dryRun": true                // Optional - report only, save nothing
+ * }
+ * or the raw file with Content-Type: text/calendar and the options in the
+ * query string (?resourceId=&assignedTo=&dryRun=true).
+ * 
+ * Every VEVENT goes through the same checks as createAllocation (end after
+ * start, not in the past, resource in service, booking policy, no
+ * overlap with approved allocations). An event
+ * with an RRULE is expanded with utils/recurrence.js and imported as one
+ * series, all-or-nothing, just like a recurring booking. Its SUMMARY
+ * becomes the allocation's purpose.
+ * 
+ * Response: one result per event with status 'created', 'conflict' or
+ * 'invalid' (policy failures include the "violations" list). Created events
+ * also report their approvalStatus and the auto-approval rule that decided
+ * it, if any. In dry-run mode 'created' means "would be created".
  */
-const deleteAllocation = async (req, res) => {
+const importAllocations = async (req, res) => {
     try {
-        const { id } = req.params;
+        const isRawUpload = typeof req.body === 'string';
+        const options = isRawUpload ? req.query : req.body;
+        const ics = isRawUpload ? req.body : options.ics;
+        const { resourceId } = options;
+        const dryRun = options.dryRun === true || options.dryRun === 'true';
+        const assignedTo = options.assignedTo || req.user.name;
 
-        const deletedAllocation = await Allocation.findByIdAndDelete(id);
+        if (!resourceId || !ics) {
+            return res.status(400).json({
+                success: false,
+                message: 'resourceId and an iCalendar file are required'
+            });
+        }
 
-        if (!deletedAllocation) {
+        const resource = await Resource.findById(resourceId);
+        if (!resource) {
             return res.status(404).json({
                 success: false,
-                message: 'Allocation not found'
+                message: 'Resource not found'
             });
         }
 
-        res.status(200).json({
-            success: true,
-            message: 'Allocation deleted successfully',
-            data: deletedAllocation
-        });
-
-    } catch (error) {
-        console.error('Error deleting allocation:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Failed to delete allocation',
-            error: error.message
-        });
-    }
-};
-
-/**
- * =============================================================================
- * APPROVE / REJECT ALLOCATION
- * =============================================================================
- * Admin only - Changes allocation status.
- * 
- * Route: PUT /api/allocations/:id/status
- */
-const updateAllocationStatus = async (req, res) => {
-    try {
-        const { id } = req.params;
-        const { status } = req.body;
-
-        if (!['approved', 'rejected'].includes(status)) {
+        const { events, error } = parseCalendar(ics);
+        if (error) {
             return res.status(400).json({
                 success: false,
-                message: 'Status must be "approved" or "rejected"'
+                message: error
             });
         }
 
-        const allocation = await Allocation.findById(id);
-
-        if (!allocation) {
-            return res.status(404).json({
+        if (events.length === 0 || events.length > MAX_IMPORT_EVENTS) {
+            return res.status(400).json({
                 success: false,
-                message: 'Allocation not found'
+                message: `The calendar must contain between 1 and ${MAX_IMPORT_EVENTS} events`
             });
         }
 
-        // If approving, check for conflicts
-        if (status === 'approved') {
-            const conflicts = await Allocation.find({
-                _id: { $ne: id },
-                resourceId: allocation.resourceId,
-                approvalStatus: 'approved',
-                startTime: { $lt: allocation.endTime },
-                endTime: { $gt: allocation.startTime }
-            });
+        // Modified instances (RECURRENCE-ID) replace that occurrence of their series
+        const overriddenStarts = new Map();
+        for (const event of events) {
+            if (event.uid && event.recurrenceId) {
+                overriddenStarts.set(event.uid, [...(overriddenStarts.get(event.uid) || []), event.recurrenceId]);
+            }
+        }
 
-            if (conflicts.length > 0) {
-                return res.status(409).json({
-                    success: false,
-                    message: 'Cannot approve - conflicts with existing approved allocation'
+        // Same policy and approval decision as createAllocation, per event
+        const policy = await resource.getBookingPolicy();
+        const rules = await ApprovalRule.findActive();
+        const chain = await ResourceType.chainFor(resource.type);
+
+        // In a dry run nothing is saved, so approved events accepted earlier in
+        // this file are tracked here to catch clashes within the file itself
+        const plannedApproved = [];
+
+        const results = [];
+        // Allocations saved per event, for the notifications
+        const imported = [];
+
+        for (const [index, event] of events.entries()) {
+            const result = {
+                index,
+                uid: event.uid,
+                summary: event.summary,
+                startTime: event.startTime,
+                endTime: event.endTime
+            };
+            results.push(result);
+
+            const { occurrences, error: eventError } = planImportedEvent(
+                event,
+                event.recurrenceId ? [] : (overriddenStarts.get(event.uid) || [])
+            );
+            if (eventError) {
+                Object.assign(result, { status: 'invalid', message: eventError });
+                continue;
+            }
+
+            const violations = findPolicyViolations(policy, occurrences);
+            if (violations.length > 0) {
+                Object.assign(result, { status: 'invalid', message: violations[0].message, violations });
+                continue;
+            }
+
+            const decision = decideApproval(req, rules, { resource, policy, occurrences, chain });
+            result.approvalStatus = decision.approvalStatus;
+            if (decision.approvalRule) result.approvalRule = decision.approvalRule.name;
+
+            const isSeries = Boolean(event.rrule);
+            const seriesId = isSeries ? new mongoose.Types.ObjectId() : null;
+            const docs = occurrences.map((occurrence, seriesIndex) => ({
+                resourceId: resource._id,
+                assignedTo,
+                startTime: occurrence.startTime,
+                endTime: occurrence.endTime,
+                purpose: event.summary,
+                approvalStatus: decision.approvalStatus,
+                approvalRule: decision.approvalRule,
+                approvalSteps: decision.approvalSteps,
+                rejectionReason: decision.rejectionReason,
+                requestedBy: req.user._id,
+                seriesId,
+                seriesIndex: isSeries ? seriesIndex : null
+            }));
+
+            // Schema validation (field lengths etc.) without saving
+            const validationError = new Allocation(docs[0]).validateSync();
+            if (validationError) {
+                Object.assign(result, {
+                    status: 'invalid',
+                    message: Object.values(validationError.errors).map(err => err.message).join(', ')
                 });
+                continue;
+            }
+
+            result.occurrenceCount = occurrences.length;
+
+            if (dryRun) {
+                const bookingBlock = await findBookingBlock(resource._id, occurrences);
+                if (bookingBlock) {
+                    Object.assign(result, { status: 'invalid', message: bookingBlock });
+                    continue;
+                }
+
+                const conflictingOccurrences = await findConflictingOccurrences(resource._id, occurrences);
+                const clashesInFile = occurrences.some(occurrence => plannedApproved.some(planned =>
+                    planned.startTime < occurrence.endTime && planned.endTime > occurrence.startTime));
+
+                if (conflictingOccurrences.length > 0 || clashesInFile) {
+                    Object.assign(result, {
+                        status: 'conflict',
+                        message: conflictingOccurrences.length > 0
+                            ? 'Resource already allocated in this time range'
+                            : 'Overlaps another event in this file',
+                        conflictingOccurrences
+                    });
+                    continue;
+                }
+
+                const scheduleViolations = await findScheduleViolations(resource, policy, occurrences, { userId: req.user._id });
+                if (scheduleViolations.length > 0) {
+                    Object.assign(result, { status: 'invalid', message: scheduleViolations[0].message, violations: scheduleViolations });
+                    continue;
+                }
+
+                if (decision.approvalStatus === 'approved') plannedApproved.push(...occurrences);
+                result.status = 'created';
+                continue;
             }
+
+            // Check and save the event under the resource's booking lock
+            await withResourceLock(resource._id, async () => {
+                const bookingBlock = await findBookingBlock(resource._id, occurrences);
+                if (bookingBlock) {
+                    Object.assign(result, { status: 'invalid', message: bookingBlock });
+                    return;
+                }
+
+                const conflictingOccurrences = await findConflictingOccurrences(resource._id, occurrences);
+
+                if (conflictingOccurrences.length > 0) {
+                    Object.assign(result, {
+                        status: 'conflict',
+                        message: 'Resource already allocated in this time range',
+                        conflictingOccurrences
+                    });
+                    return;
+                }
+
+                const scheduleViolations = await findScheduleViolations(resource, policy, occurrences, { userId: req.user._id });
+                if (scheduleViolations.length > 0) {
+                    Object.assign(result, { status: 'invalid', message: scheduleViolations[0].message, violations: scheduleViolations });
+                    return;
+                }
+
+                const saved = await Allocation.insertMany(docs);
+                await recordRuleMatch(decision.approvalRule);
+                imported.push(saved);
+                saved.forEach(allocation => audit(req, 'allocation.import', allocation, { after: allocation, details: seriesId ? { seriesId } : null }));
+                Object.assign(result, {
+                    status: 'created',
+                    seriesId,
+                    allocationIds: saved.map(allocation => allocation._id)
+                });
+            });
         }
 
-        allocation.approvalStatus = status;
-        await allocation.save();
-        await allocation.populate('resourceId', 'name type');
+        // Approvers hear about pending events; the importer has the report
+        for (const saved of imported) {
+            await notifyRequestCreated(saved, resource, req.user, { notifyRequester: false });
+            publishAllocationChange('created', saved);
+        }
+
+        const countByStatus = (status) => results.filter(result => result.status === status).length;
 
         res.status(200).json({
             success: true,
-            message: `Allocation ${status} successfully`,
-            data: allocation
+            message: dryRun ? 'Dry run complete - nothing was saved' : 'Import complete',
+            dryRun,
+            summary: {
+                total: results.length,
+                created: countByStatus('created'),
+                conflict: countByStatus('conflict'),
+                invalid: countByStatus('invalid')
+            },
+            data: results
         });
 
     } catch (error) {
-        console.error('Error updating allocation status:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Failed to update allocation status',
-            error: error.message
+        if (error.name === 'CastError' && error.kind === 'ObjectId') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid resource ID format'
+            });
+        }
+
+        if (error.name === 'ResourceLockError') {
+            return res.status(503).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Error importing allocations:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to import allocations',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Fields GET /api/allocations may be sorted on
+ */
+const ALLOCATION_SORT_FIELDS = ['startTime', 'endTime', 'createdAt', 'assignedTo', 'approvalStatus'];
+
+const APPROVAL_STATUSES = ['pending', 'approved', 'rejected', 'cancelled'];
+
+/**
+ * Build the MongoDB filter for GET /api/allocations from its query string
+ *
+ * @param {Object} params - req.query
+ * @returns {Object} { filter } or { error } (message for a 400 response)
+ */
+const buildAllocationFilter = async (params) => {
+    const { resourceId, resourceType, requestedBy, assignedTo, approvalStatus, timeStatus, from, to, search, needsReview } = params;
+    const conditions = [];
+
+    if (resourceId) {
+        const ids = parseList(resourceId);
+        if (!ids.every(id => mongoose.Types.ObjectId.isValid(id))) {
+            return { error: 'Invalid resource ID format' };
+        }
+        conditions.push({ resourceId: { $in: ids } });
+    }
+
+    if (resourceType) {
+        const resourceIds = await Resource.find({ type: { $in: parseList(resourceType) } }).distinct('_id');
+        conditions.push({ resourceId: { $in: resourceIds } });
+    }
+
+    if (requestedBy) {
+        if (!mongoose.Types.ObjectId.isValid(requestedBy)) {
+            return { error: 'Invalid requestedBy user ID format' };
+        }
+        conditions.push({ requestedBy });
+    }
+
+    if (assignedTo) {
+        conditions.push({ assignedTo: { $regex: escapeRegex(assignedTo), $options: 'i' } });
+    }
+
+    if (approvalStatus) {
+        const statuses = parseList(approvalStatus);
+        if (!statuses.every(status => APPROVAL_STATUSES.includes(status))) {
+            return { error: `approvalStatus must be one of ${APPROVAL_STATUSES.join(', ')}` };
+        }
+        conditions.push({ approvalStatus: { $in: statuses } });
+    }
+
+    if (timeStatus) {
+        const statuses = parseList(timeStatus);
+        if (!statuses.every(status => TIME_STATUSES.includes(status))) {
+            return { error: `timeStatus must be one of ${TIME_STATUSES.join(', ')}` };
+        }
+
+        const now = new Date();
+        conditions.push({ $or: statuses.map(status => timeStatusCondition(status, now)) });
+    }
+
+    // Date range filter (overlap, same rule as conflict detection)
+    if (from || to) {
+        const fromDate = from ? new Date(from) : null;
+        const toDate = to ? new Date(to) : null;
+
+        if ((fromDate && isNaN(fromDate.getTime())) || (toDate && isNaN(toDate.getTime()))) {
+            return { error: 'from and to must be valid dates' };
+        }
+
+        if (toDate) conditions.push({ startTime: { $lt: toDate } });
+        if (fromDate) conditions.push({ endTime: { $gt: fromDate } });
+    }
+
+    if (search) {
+        conditions.push({ purpose: { $regex: escapeRegex(search), $options: 'i' } });
+    }
+
+    if (needsReview !== undefined) {
+        conditions.push({ needsReview: needsReview === 'true' });
+    }
+
+    return { filter: conditions.length > 0 ? { $and: conditions } : {} };
+};
+
+/**
+ * =============================================================================
+ * GET ALL ALLOCATIONS
+ * =============================================================================
+ * Fetches allocations with resource details and calculated status.
+ * 
+ * Route: GET /api/allocations
+ * 
+ * Filters (all optional, combined with AND; lists are comma-separated):
+ * - resourceId        One or more resource IDs
+ * - resourceType      One or more resource types (e.g. "Room,Vehicle")
+ * - requestedBy       User ID of the requester
+ * - assignedTo        Case-insensitive substring
+ * - approvalStatus    pending, approved, rejected, cancelled
+ * - timeStatus        Active, Upcoming, Completed
+ * - from / to         Only allocations overlapping this range (calendar views)
+ * - search            Case-insensitive substring of the purpose
+ * - needsReview       true/false - flagged for admin review (resource retired etc.)
+ * 
+ * Sorting: ?sort=startTime or ?sort=-startTime (default), also endTime,
+ * createdAt, assignedTo, approvalStatus.
+ * 
+ * Pagination (see utils/query.js): ?page=&limit= or ?limit=&cursor=.
+ * Without any of these every matching allocation is returned.
+ * 
+ * Response includes:
+ * - Full allocation details
+ * - Populated resource information (name, type)
+ * - Status: "Active", "Upcoming", or "Completed"
+ * 
+ * Response:
+ * {
+ *   "success": true,
+ *   "count": 20,            // Items in this response
+ *   "total": 57,            // Items matching the filters
+ *   "pagination": { "limit": 20, "page": 1, "totalPages": 3, "hasMore": true, "nextCursor": "..." },
+ *   "data": [
+ *     {
+ *       "_id": "...",
+ *       "resourceId": { "name": "Room A", "type": "Room" },
+ *       "assignedTo": "John Doe",
+ *       "startTime": "...",
+ *       "endTime": "...",
+ *       "timeStatus": "Active"
+ *     },
+ *     ...
+ *   ]
+ * }
+ */
+const getAllAllocations = async (req, res) => {
+    try {
+        const { filter, error: filterError } = await buildAllocationFilter(req.query);
+        const sort = parseSort(req.query.sort, ALLOCATION_SORT_FIELDS, '-startTime');
+        const pagination = parsePagination(req.query);
+
+        const paramError = filterError || sort.error || pagination.error;
+        if (paramError) {
+            return res.status(400).json({
+                success: false,
+                message: paramError
+            });
+        }
+
+        const total = await Allocation.countDocuments(filter);
+
+        // Fetch allocations with resource details
+        const pageFilter = pagination.cursor
+            ? { $and: [filter, cursorCondition(sort, pagination.cursor)] }
+            : filter;
+
+        let allocationQuery = Allocation.find(pageFilter)
+            .populate('resourceId', 'name type') // Populate resource name and type
+            .sort({ [sort.field]: sort.direction, _id: sort.direction });
+
+        if (pagination.paginate) {
+            // Fetch one extra item to know whether another page follows
+            allocationQuery = allocationQuery.limit(pagination.limit + 1);
+            if (pagination.page) {
+                allocationQuery = allocationQuery.skip((pagination.page - 1) * pagination.limit);
+            }
+        }
+
+        let allocations = await allocationQuery;
+
+        const hasMore = pagination.paginate && allocations.length > pagination.limit;
+        if (hasMore) {
+            allocations = allocations.slice(0, pagination.limit);
+        }
+
+        // Get current time for status calculation
+        const currentTime = new Date();
+
+        // Calculate status for each allocation
+        const allocationsWithStatus = allocations.map(allocation => ({
+            _id: allocation._id,
+            resourceId: allocation.resourceId,
+            assignedTo: allocation.assignedTo,
+            startTime: allocation.startTime,
+            endTime: allocation.endTime,
+            purpose: allocation.purpose,
+            createdAt: allocation.createdAt,
+            approvalStatus: allocation.approvalStatus,
+            requestedBy: allocation.requestedBy,
+            seriesId: allocation.seriesId,
+            cancellationReason: allocation.cancellationReason,
+            checkedInAt: allocation.checkedInAt,
+            noShow: allocation.noShow,
+            rejectionReason: allocation.rejectionReason,
+            needsReview: allocation.needsReview,
+            reviewReason: allocation.reviewReason,
+            approvalRule: allocation.approvalRule,
+            approvalSteps: allocation.approvalSteps,
+            currentStep: allocation.currentStep,
+            timeStatus: getTimeStatus(allocation, currentTime)
+        }));
+
+        const data = await attachCheckIn(allocationsWithStatus, currentTime);
+
+        const response = {
+            success: true,
+            count: data.length,
+            total,
+            data
+        };
+
+        if (pagination.paginate) {
+            const last = allocations[allocations.length - 1];
+            response.pagination = {
+                limit: pagination.limit,
+                page: pagination.page || null,
+                totalPages: Math.ceil(total / pagination.limit),
+                hasMore,
+                nextCursor: hasMore ? encodeCursor(last, sort.field) : null
+            };
+        }
+
+        // Send success response
+        res.status(200).json(response);
+
+    } catch (error) {
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid cursor'
+            });
+        }
+
+        console.error('Error fetching allocations:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch allocations',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * =============================================================================
+ * DELETE ALLOCATION
+ * =============================================================================
+ * Deletes an allocation by ID.
+ * 
+ * Route: DELETE /api/allocations/:id?scope=single|series|following
+ * 
+ * For occurrences of a recurring series, "scope" selects whether only this
+ * occurrence (default), the whole series, or this and all later occurrences
+ * are deleted. Their discussion threads are deleted with them.
+ * 
+ * @param {String} req.params.id - Allocation ID to delete
+ */
+const deleteAllocation = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const scope = req.query.scope || 'single';
+
+        if (!SERIES_SCOPES.includes(scope)) {
+            return res.status(400).json({
+                success: false,
+                message: `Scope must be one of: ${SERIES_SCOPES.join(', ')}`
+            });
+        }
+
+        const allocation = await Allocation.findById(id);
+
+        if (!allocation) {
+            return res.status(404).json({
+                success: false,
+                message: 'Allocation not found'
+            });
+        }
+
+        const targets = await findScopedAllocations(allocation, scope);
+        const targetIds = targets.map(t => t._id);
+        const result = await Allocation.deleteMany({ _id: { $in: targetIds } });
+        await AllocationComment.deleteMany({ allocationId: { $in: targetIds } });
+        await promoteFreedSlots(targets.filter(t => t.approvalStatus === 'approved'));
+        await notifyRemoved(targets.filter(t => ['pending', 'approved'].includes(t.approvalStatus) && t.endTime > new Date()),
+            'allocation_deleted', { by: req.user });
+        publishAllocationChange('deleted', targets);
+        targets.forEach(target => audit(req, 'allocation.delete', target, {
+            before: target,
+            details: scope === 'single' ? null : { scope }
+        }));
+
+        res.status(200).json({
+            success: true,
+            message: result.deletedCount > 1
+                ? `${result.deletedCount} allocations deleted successfully`
+                : 'Allocation deleted successfully',
+            deletedCount: result.deletedCount,
+            data: allocation
+        });
+
+    } catch (error) {
+        console.error('Error deleting allocation:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete allocation',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Get one allocation, with its change history
+ * Route: GET /api/allocations/:id
+ *
+ * Open to the requester and to users with allocations:approve or
+ * allocations:manage.
+ */
+const getAllocationById = async (req, res) => {
+    try {
+        const allocation = await Allocation.findById(req.params.id)
+            .populate('resourceId', 'name type')
+            .populate('requestedBy', 'name email department');
+
+        if (!allocation) {
+            return res.status(404).json({
+                success: false,
+                message: 'Allocation not found'
+            });
+        }
+
+        const isRequester = allocation.requestedBy && allocation.requestedBy._id.equals(req.user._id);
+        if (!isRequester && !hasPermission(req, 'allocations:approve') && !hasPermission(req, 'allocations:manage')) {
+            return res.status(403).json({
+                success: false,
+                message: 'You can only view your own allocations'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: allocation
+        });
+    } catch (error) {
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid allocation ID format'
+            });
+        }
+
+        console.error('Error fetching allocation:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch allocation',
+            error: error.message
+        });
+    }
+};
+
+// Fields PUT /api/allocations/:id can change
+const EDITABLE_FIELDS = ['resourceId', 'startTime', 'endTime', 'assignedTo', 'purpose'];
+
+// Changing any of these sends an approved booking back for approval
+const MATERIAL_FIELDS = ['resourceId', 'startTime', 'endTime', 'assignedTo'];
+
+/**
+ * =============================================================================
+ * EDIT / RESCHEDULE ALLOCATION
+ * =============================================================================
+ * Changes the time, resource, assignee or purpose of one allocation.
+ * 
+ * Route: PUT /api/allocations/:id
+ * 
+ * Request Body (every field optional):
+ * {
+ *   "resourceId": "...",
+ *   "startTime": "2024-01-15T09:00:00Z",
+ *   "endTime": "2024-01-15T11:00:00Z",
+ *   "assignedTo": "John Doe",
+ *   "purpose": "Team meeting"
+ * }
+ * 
+ * Open to the requester and to users with allocations:manage. Pending and
+ * approved allocations that haven't ended can be edited; occurrences of a
+ * series are edited one at a time.
+ * 
+ * When the time or resource changes the new slot goes through the same
+ * checks as a new booking: the resource must be in service, the booking
+ * policy must allow it, and it must not overlap an approved allocation
+ * (the allocation itself excluded, see Allocation.findOverlapping).
+ * 
+ * A material change (time, resource or assignee) by someone without
+ * allocations:approve is decided again like a new request - an approved
+ * booking goes back to pending (or to whatever an auto-approval rule or
+ * the policy decides) and starts its approval chain over. Users with
+ * allocations:approve keep the current status.
+ * 
+ * The edit runs under the booking lock of the new resource, and of the old
+ * one when the booking moves. It is only saved if the allocation is still
+ * as it was read (409 otherwise), so it never overwrites a decision,
+ * cancellation or no-show release made in the meantime.
+ * 
+ * Every edit is recorded in changeHistory.
+ */
+const updateAllocation = async (req, res) => {
+    try {
+        const allocation = await Allocation.findById(req.params.id);
+
+        if (!allocation) {
+            return res.status(404).json({
+                success: false,
+                message: 'Allocation not found'
+            });
+        }
+
+        const isRequester = allocation.requestedBy && allocation.requestedBy.equals(req.user._id);
+        if (!isRequester && !hasPermission(req, 'allocations:manage')) {
+            return res.status(403).json({
+                success: false,
+                message: 'You can only edit your own allocations'
+            });
+        }
+
+        if (['cancelled', 'rejected'].includes(allocation.approvalStatus)) {
+            return res.status(400).json({
+                success: false,
+                message: allocation.approvalStatus === 'cancelled'
+                    ? 'Cancelled allocations cannot be edited'
+                    : 'Rejected requests cannot be edited - make a new request instead'
+            });
+        }
+
+        if (req.body.resourceId !== undefined && !mongoose.Types.ObjectId.isValid(req.body.resourceId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid resource ID format'
+            });
+        }
+
+        const now = new Date();
+        if (allocation.endTime <= now) {
+            return res.status(400).json({
+                success: false,
+                message: 'Allocations that have ended cannot be edited'
+            });
+        }
+
+        // New values - fields left out keep their current value
+        const next = {
+            resourceId: req.body.resourceId !== undefined ? String(req.body.resourceId) : String(allocation.resourceId),
+            startTime: req.body.startTime !== undefined ? new Date(req.body.startTime) : allocation.startTime,
+            endTime: req.body.endTime !== undefined ? new Date(req.body.endTime) : allocation.endTime,
+            assignedTo: req.body.assignedTo !== undefined ? String(req.body.assignedTo || '').trim() : allocation.assignedTo,
+            purpose: req.body.purpose !== undefined ? String(req.body.purpose || '').trim() : allocation.purpose
+        };
+
+        if (isNaN(next.startTime.getTime()) || isNaN(next.endTime.getTime())) {
+            return res.status(400).json({
+                success: false,
+                message: 'startTime and endTime must be valid dates'
+            });
+        }
+
+        if (!next.assignedTo) {
+            return res.status(400).json({
+                success: false,
+                message: 'Assigned To field is required'
+            });
+        }
+
+        const current = {
+            resourceId: String(allocation.resourceId),
+            startTime: allocation.startTime,
+            endTime: allocation.endTime,
+            assignedTo: allocation.assignedTo,
+            purpose: allocation.purpose
+        };
+        const changedFields = EDITABLE_FIELDS.filter(field => (
+            next[field] instanceof Date
+                ? next[field].getTime() !== current[field].getTime()
+                : next[field] !== current[field]
+        ));
+
+        if (changedFields.length === 0) {
+            return res.status(200).json({
+                success: true,
+                message: 'No changes to save',
+                data: await allocation.populate('resourceId', 'name type')
+            });
+        }
+
+        const startChanged = changedFields.includes('startTime');
+        const slotChanged = changedFields.some(field => ['resourceId', 'startTime', 'endTime'].includes(field));
+
+        if (next.endTime <= next.startTime) {
+            return res.status(400).json({
+                success: false,
+                message: 'End time must be after start time'
+            });
+        }
+
+        if (startChanged && next.startTime < now) {
+            return res.status(400).json({
+                success: false,
+                message: 'Start time cannot be in the past'
+            });
+        }
+
+        const resource = await Resource.findById(next.resourceId);
+        if (!resource) {
+            return res.status(404).json({
+                success: false,
+                message: 'Resource not found'
+            });
+        }
+
+        const policy = await resource.getBookingPolicy();
+
+        // Notice is measured from now for a new start time, and from the
+        // original request otherwise (e.g. extending a booking in progress)
+        const occurrence = {
+            _id: allocation._id,
+            startTime: next.startTime,
+            endTime: next.endTime,
+            createdAt: startChanged ? undefined : allocation.createdAt
+        };
+
+        if (slotChanged) {
+            const violations = findPolicyViolations(policy, [occurrence], now);
+            if (violations.length > 0) {
+                return res.status(400).json(toViolationResponse(violations));
+            }
+        }
+
+        // Decide the approval state after the edit
+        const material = changedFields.some(field => MATERIAL_FIELDS.includes(field));
+        const canApprove = hasPermission(req, 'allocations:approve');
+        let approval = null;
+
+        if (material && !canApprove) {
+            const decision = decideApproval(req, await ApprovalRule.findActive(), {
+                resource,
+                policy,
+                occurrences: [occurrence],
+                chain: await ResourceType.chainFor(resource.type)
+            });
+            approval = { ...decision, currentStep: 0 };
+        } else if (allocation.approvalStatus === 'pending' && changedFields.includes('resourceId')) {
+            // Same status, but the new resource may have a different chain
+            approval = {
+                approvalStatus: 'pending',
+                approvalSteps: buildApprovalSteps(await ResourceType.chainFor(resource.type), resource, req.user),
+                currentStep: 0
+            };
+        }
+
+        // Old slot, when the edit gives it up (moved, or back to pending)
+        let freedSlot = null;
+        let saved = null;
+
+        // A move holds the old resource's lock as well as the new one's
+        const response = await withResourceLocks([allocation.resourceId, resource._id], async () => {
+            // Read again under the lock - a decision, cancellation, expiry,
+            // no-show release or another edit may have landed since the checks above
+            const fresh = await Allocation.findById(allocation._id);
+            const unchanged = fresh
+                && fresh.approvalStatus === allocation.approvalStatus
+                && fresh.currentStep === allocation.currentStep
+                && EDITABLE_FIELDS.every(field => (
+                    current[field] instanceof Date
+                        ? fresh[field].getTime() === current[field].getTime()
+                        : String(fresh[field]) === current[field]
+                ));
+            if (!unchanged) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'This allocation was changed by someone else in the meantime - reload it and try again'
+                });
+            }
+
+            if (slotChanged) {
+                const bookingBlock = await findBookingBlock(resource._id, [occurrence]);
+                if (bookingBlock) {
+                    return res.status(400).json({
+                        success: false,
+                        message: bookingBlock
+                    });
+                }
+
+                const conflicts = await findConflictingOccurrences(resource._id, [occurrence]);
+                if (conflicts.length > 0) {
+                    return res.status(409).json({
+                        success: false,
+                        message: 'Resource already allocated in this time range',
+                        conflictDetails: {
+                            resourceName: resource.name,
+                            existingAllocations: conflicts[0].existingAllocations
+                        }
+                    });
+                }
+
+                const scheduleViolations = await findScheduleViolations(resource, policy, [occurrence], {
+                    userId: allocation.requestedBy,
+                    excludeIds: [allocation._id]
+                });
+                if (scheduleViolations.length > 0) {
+                    return res.status(400).json(toViolationResponse(scheduleViolations));
+                }
+            }
+
+            // History entry - resources by name, times as ISO dates
+            const previousResource = changedFields.includes('resourceId')
+                ? await Resource.findById(allocation.resourceId).select('name')
+                : null;
+            const display = (field, value, resourceName) => {
+                if (field === 'resourceId') return resourceName;
+                if (value instanceof Date) return value.toISOString();
+                return value;
+            };
+            const changes = changedFields.map(field => ({
+                field,
+                from: display(field, current[field], previousResource ? previousResource.name : ''),
+                to: display(field, next[field], resource.name)
+            }));
+
+            const before = snapshot(fresh);
+            const previousStatus = fresh.approvalStatus;
+            const update = {};
+            EDITABLE_FIELDS.forEach(field => { update[field] = next[field]; });
+
+            if (approval) {
+                update.approvalStatus = approval.approvalStatus;
+                update.approvalSteps = approval.approvalSteps;
+                update.currentStep = approval.currentStep;
+                if (approval.approvalRule !== undefined) update.approvalRule = approval.approvalRule;
+                if (approval.rejectionReason !== undefined) update.rejectionReason = approval.rejectionReason;
+            }
+            if (changedFields.includes('resourceId')) {
+                // A review flag was about the old resource
+                update.needsReview = false;
+                update.reviewReason = '';
+            }
+            if (slotChanged) {
+                // A check-in and a reminder were for the old slot
+                update.checkedInAt = null;
+                update.reminderSentAt = null;
+            }
+            const status = update.approvalStatus || previousStatus;
+            if (status !== previousStatus) {
+                changes.push({ field: 'approvalStatus', from: previousStatus, to: status });
+            }
+
+            // Only written if the booking is still in the state it was
+            // checked in - background jobs don't take the lock
+            const { modifiedCount } = await Allocation.updateOne(
+                { _id: fresh._id, approvalStatus: previousStatus, currentStep: fresh.currentStep },
+                {
+                    $set: update,
+                    $push: {
+                        changeHistory: {
+                            changedBy: req.user._id,
+                            changedByName: req.user.name,
+                            changedAt: now,
+                            changes
+                        }
+                    }
+                },
+                { runValidators: true }
+            );
+            if (modifiedCount === 0) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'This allocation was changed by someone else in the meantime - reload it and try again'
+                });
+            }
+
+            if (approval) await recordRuleMatch(approval.approvalRule);
+            saved = await Allocation.findById(fresh._id).populate('resourceId', 'name type');
+            audit(req, 'allocation.update', saved, { before, after: saved });
+
+            if (previousStatus === 'approved' && (slotChanged || status !== 'approved')) {
+                freedSlot = current;
+            }
+
+            let message = 'Allocation updated successfully';
+            if (status !== previousStatus) {
+                message = status === 'pending'
+                    ? 'Allocation updated - the change needs to be approved again'
+                    : decisionMessage(approval, `Allocation updated and ${status}`);
+            }
+
+            return res.status(200).json({
+                success: true,
+                message,
+                data: saved
+            });
+        });
+
+        // Promotion takes the booking lock, so only once it is released
+        if (freedSlot) await promoteFreedSlots([freedSlot]);
+        if (saved) publishAllocationChange('updated', [saved]);
+        return response;
+
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation error',
+                errors: Object.values(error.errors).map(err => err.message)
+            });
+        }
+
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid allocation ID format'
+            });
+        }
+
+        if (error.name === 'ResourceLockError') {
+            return res.status(503).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Error updating allocation:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update allocation',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * =============================================================================
+ * CANCEL ALLOCATION
+ * =============================================================================
+ * Cancels a booking without deleting it - it stays in the lists as
+ * 'cancelled' and its slot is free again.
+ * 
+ * Route: POST /api/allocations/:id/cancel
+ * 
+ * Request Body:
+ * {
+ *   "reason": "Meeting moved online",   // Optional
+ *   "scope": "series"                   // Optional: "single" (default), "series", "following"
+ * }
+ * 
+ * Open to the requester and to users with allocations:manage. Only pending
+ * and approved allocations that haven't ended can be cancelled.
+ * 
+ * Requesters must cancel before the booking starts, and at least
+ * cancelCutoffMinutes before it when the resource's booking policy sets a
+ * cut-off. For a single allocation that is an error; with a series scope
+ * the occurrences inside the cut-off are kept and counted in keptCount.
+ * allocations:manage is not bound by the cut-off.
+ * 
+ * Cancelling runs under the resource's booking lock. Occurrences decided,
+ * expired or released by someone else in the meantime are not cancelled;
+ * if that leaves nothing, the response is 409.
+ */
+const cancelAllocation = async (req, res) => {
+    try {
+        const { scope = 'single' } = req.body;
+        const reason = String(req.body.reason || '').trim();
+
+        if (!SERIES_SCOPES.includes(scope)) {
+            return res.status(400).json({
+                success: false,
+                message: `Scope must be one of: ${SERIES_SCOPES.join(', ')}`
+            });
+        }
+
+        const allocation = await Allocation.findById(req.params.id);
+
+        if (!allocation) {
+            return res.status(404).json({
+                success: false,
+                message: 'Allocation not found'
+            });
+        }
+
+        const isRequester = allocation.requestedBy && allocation.requestedBy.equals(req.user._id);
+        const canManage = hasPermission(req, 'allocations:manage');
+        if (!isRequester && !canManage) {
+            return res.status(403).json({
+                success: false,
+                message: 'You can only cancel your own allocations'
+            });
+        }
+
+        if (!['pending', 'approved'].includes(allocation.approvalStatus)) {
+            return res.status(400).json({
+                success: false,
+                message: `${allocation.approvalStatus === 'cancelled' ? 'Cancelled' : 'Rejected'} allocations cannot be cancelled`
+            });
+        }
+
+        const now = new Date();
+        if (allocation.endTime <= now) {
+            return res.status(400).json({
+                success: false,
+                message: 'Allocations that have ended cannot be cancelled'
+            });
+        }
+
+        const targets = (await findScopedAllocations(allocation, scope))
+            .filter(target => ['pending', 'approved'].includes(target.approvalStatus) && target.endTime > now);
+
+        // Requesters are held to the cut-off of each occurrence's resource
+        let cancellable = targets;
+        if (!canManage) {
+            const policies = await loadPolicies(targets.map(target => target.resourceId));
+            const cutoffOf = (target) => policies.get(String(target.resourceId)).cancelCutoffMinutes || 0;
+            const allowed = (target) => target.startTime.getTime() - now.getTime() >= cutoffOf(target) * 60 * 1000
+                && target.startTime > now;
+            cancellable = targets.filter(allowed);
+
+            if (!cancellable.some(target => target._id.equals(allocation._id)) && scope === 'single') {
+                const cutoff = cutoffOf(allocation);
+                return res.status(400).json({
+                    success: false,
+                    message: allocation.startTime <= now
+                        ? 'Allocations that have started cannot be cancelled'
+                        : `Bookings of this resource can't be cancelled less than ${formatMinutes(cutoff)} before they start`,
+                    limit: cutoff
+                });
+            }
+
+            if (cancellable.length === 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'None of these allocations can still be cancelled'
+                });
+            }
+        }
+
+        const cancellation = {
+            approvalStatus: 'cancelled',
+            cancelledAt: now,
+            cancelledBy: req.user._id,
+            cancellationReason: reason || `Cancelled by ${req.user.name}`
+        };
+
+        // Cancel under each resource's booking lock so an approval can't run
+        // at the same time. The occurrences are read again inside the lock;
+        // any decided, expired or released in the meantime are left alone.
+        const cancelled = [];
+        const resourceIds = [...new Set(cancellable.map(target => String(target.resourceId)))];
+        for (const resourceId of resourceIds) {
+            const ids = cancellable.filter(target => String(target.resourceId) === resourceId).map(target => target._id);
+
+            cancelled.push(...await withResourceLock(resourceId, async () => {
+                const current = await Allocation.find({ _id: { $in: ids }, approvalStatus: { $in: ['pending', 'approved'] } });
+                const currentIds = current.map(target => target._id);
+
+                await Allocation.updateMany(
+                    { _id: { $in: currentIds }, approvalStatus: { $in: ['pending', 'approved'] } },
+                    { $set: cancellation }
+                );
+
+                const done = await Allocation.find({ _id: { $in: currentIds }, approvalStatus: 'cancelled', cancelledAt: now }).select('_id');
+                return current.filter(target => done.some(doc => doc._id.equals(target._id)));
+            }));
+        }
+
+        if (cancelled.length === 0) {
+            return res.status(409).json({
+                success: false,
+                message: 'This allocation was changed by someone else in the meantime - reload it and try again'
+            });
+        }
+
+        await promoteFreedSlots(cancelled.filter(target => target.approvalStatus === 'approved'));
+        await notifyRemoved(cancelled, 'allocation_cancelled', { by: req.user, reason });
+        publishAllocationChange('cancelled', cancelled.map(target => ({ ...target.toObject(), approvalStatus: 'cancelled' })));
+
+        const updated = await Allocation.findById(allocation._id).populate('resourceId', 'name type');
+        const keptCount = targets.length - cancellable.length;
+        cancelled.forEach(target => audit(req, 'allocation.cancel', target, {
+            before: target,
+            after: { ...snapshot(target), ...snapshot(cancellation) },
+            details: scope === 'single' ? null : { scope }
+        }));
+
+        res.status(200).json({
+            success: true,
+            message: (cancelled.length > 1
+                ? `${cancelled.length} allocations cancelled`
+                : 'Allocation cancelled')
+                + (keptCount > 0 ? ` - ${keptCount} too close to their start were kept` : ''),
+            cancelledCount: cancelled.length,
+            keptCount,
+            data: updated
+        });
+
+    } catch (error) {
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid allocation ID format'
+            });
+        }
+
+        if (error.name === 'ResourceLockError') {
+            return res.status(503).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Error cancelling allocation:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to cancel allocation',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Check in to an approved booking
+ * Route: POST /api/allocations/:id/check-in
+ *
+ * Open to the requester and to users with allocations:manage, from
+ * CHECK_IN_OPENS_MINUTES before the start until the check-in window of
+ * the resource closes (see utils/noShow.js). Checked-in bookings are
+ * never released as no-shows.
+ */
+const checkInAllocation = async (req, res) => {
+    try {
+        const allocation = await Allocation.findById(req.params.id);
+
+        if (!allocation) {
+            return res.status(404).json({
+                success: false,
+                message: 'Allocation not found'
+            });
+        }
+
+        const isRequester = allocation.requestedBy && allocation.requestedBy.equals(req.user._id);
+        if (!isRequester && !hasPermission(req, 'allocations:manage')) {
+            return res.status(403).json({
+                success: false,
+                message: 'You can only check in to your own allocations'
+            });
+        }
+
+        if (allocation.approvalStatus !== 'approved') {
+            return res.status(400).json({
+                success: false,
+                message: allocation.noShow
+                    ? 'This booking was released because nobody checked in'
+                    : 'Only approved allocations can be checked in'
+            });
+        }
+
+        if (allocation.checkedInAt) {
+            return res.status(200).json({
+                success: true,
+                message: 'Already checked in',
+                data: await allocation.populate('resourceId', 'name type')
+            });
+        }
+
+        const now = new Date();
+        const policies = await loadPolicies([allocation.resourceId]);
+        const window = checkInWindow(allocation, policies.get(String(allocation.resourceId)));
+
+        if (now < window.opensAt) {
+            return res.status(400).json({
+                success: false,
+                message: `Check-in opens ${CHECK_IN_OPENS_MINUTES} minutes before the start`,
+                opensAt: window.opensAt
+            });
+        }
+
+        if (now > window.closesAt) {
+            return res.status(400).json({
+                success: false,
+                message: 'The check-in window for this booking has closed'
+            });
+        }
+
+        // Only while the booking is still approved, not checked in and in the
+        // slot the window was worked out for - the no-show job may release it,
+        // or an edit move it, in the meantime
+        const { modifiedCount } = await Allocation.updateOne(
+            {
+                _id: allocation._id,
+                approvalStatus: 'approved',
+                checkedInAt: null,
+                resourceId: allocation.resourceId,
+                startTime: allocation.startTime
+            },
+            { $set: { checkedInAt: now } }
+        );
+        const updated = await Allocation.findById(allocation._id).populate('resourceId', 'name type');
+
+        if (modifiedCount === 0) {
+            if (updated && updated.approvalStatus === 'approved' && updated.checkedInAt) {
+                return res.status(200).json({
+                    success: true,
+                    message: 'Already checked in',
+                    data: updated
+                });
+            }
+
+            return res.status(409).json({
+                success: false,
+                message: updated && updated.noShow
+                    ? 'This booking was released because nobody checked in'
+                    : 'This allocation was changed by someone else in the meantime - reload it and try again'
+            });
+        }
+
+        publishAllocationChange('updated', [updated]);
+        audit(req, 'allocation.check-in', updated, { before: allocation, after: updated });
+
+        res.status(200).json({
+            success: true,
+            message: 'Checked in',
+            data: updated
+        });
+
+    } catch (error) {
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid allocation ID format'
+            });
+        }
+
+        console.error('Error checking in:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to check in',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * =============================================================================
+ * APPROVE / REJECT ALLOCATION
+ * =============================================================================
+ * Decides the current step of a request's approval chain.
+ * 
+ * Route: PUT /api/allocations/:id/status
+ * 
+ * Request Body:
+ * {
+ *   "status": "approved",
+ *   "comment": "",           // Required when rejecting
+ *   "scope": "series"        // Optional: "single" (default), "series", "following"
+ * }
+ * 
+ * Only approvers of the current step (or their delegates) and users with
+ * allocations:approve may decide it - see utils/approvalChain.js. Approving
+ * a step that isn't the last one moves the request on to the next step;
+ * rejecting any step rejects the request. Each decision is recorded on the
+ * step with who made it, on whose behalf and when, and the rejecting
+ * comment becomes the request's rejectionReason.
+ * 
+ * Changing a request that is already approved or rejected needs
+ * allocations:approve and adds an 'Override' step to the trail.
+ * 
+ * When a request becomes approved, every affected occurrence is checked
+ * for conflicts and against the booking policy of its own resource (which
+ * must be in service) - occurrences of a series may have been moved to
+ * other resources - and nothing is changed if any of them fails. Every decision clears the needsReview flag. Cancelled allocations
+ * are final.
+ * 
+ * Returns 409 without changing anything when one of the occurrences was
+ * decided, cancelled or released by someone else in the meantime.
+ */
+const updateAllocationStatus = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { status, scope = 'single' } = req.body;
+        const comment = String(req.body.comment || '').trim();
+
+        if (!['approved', 'rejected'].includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Status must be "approved" or "rejected"'
+            });
+        }
+
+        if (status === 'rejected' && !comment) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please give a reason for rejecting the request'
+            });
+        }
+
+        if (!SERIES_SCOPES.includes(scope)) {
+            return res.status(400).json({
+                success: false,
+                message: `Scope must be one of: ${SERIES_SCOPES.join(', ')}`
+            });
+        }
+
+        const allocation = await Allocation.findById(id);
+
+        if (!allocation) {
+            return res.status(404).json({
+                success: false,
+                message: 'Allocation not found'
+            });
+        }
+
+        if (allocation.approvalStatus === 'cancelled') {
+            return res.status(400).json({
+                success: false,
+                message: 'Cancelled allocations cannot be approved or rejected'
+            });
+        }
+
+        if (allocation.approvalStatus === status) {
+            return res.status(400).json({
+                success: false,
+                message: `Allocation is already ${status}`
+            });
+        }
+
+        // Who may decide: step approvers (or their delegates) for pending
+        // requests, allocations:approve for everything
+        const resource = await Resource.findById(allocation.resourceId);
+        const capacities = await loadApproverCapacities(req.user, req.permissions);
+        const canOverride = hasPermission(req, 'allocations:approve');
+
+        const actingFor = (target, targetResource = resource) => {
+            if (target.approvalStatus !== 'pending') {
+                return canOverride && target.approvalStatus !== status ? capacities[0] : null;
+            }
+            return findActingCapacity(capacities, target, targetResource);
+        };
+
+        if (!actingFor(allocation)) {
+            return res.status(403).json({
+                success: false,
+                message: allocation.approvalStatus === 'pending'
+                    ? `You are not an approver for the "${currentStepOf(allocation).name}" step of this request`
+                    : 'Access denied. Missing permission: allocations:approve'
+            });
+        }
+
+        // Occurrences this user may decide, with their new approval state
+        const planUpdates = (targets, resources) => targets
+            .filter(target => target.approvalStatus !== 'cancelled')
+            .map(target => ({ target, capacity: actingFor(target, resources.get(String(target.resourceId))) }))
+            .filter(({ capacity }) => capacity)
+            .map(({ target, capacity }) => ({
+                target,
+                ...applyDecision(target, {
+                    status,
+                    user: req.user,
+                    onBehalfOf: capacity.onBehalfOf,
+                    comment
+                })
+            }));
+
+        // Occurrences of a series may have been moved to other resources
+        const lockedIds = [...new Set([allocation, ...await findScopedAllocations(allocation, scope)]
+            .map(target => String(target.resourceId)))];
+
+        // Check and update under the booking locks of every resource involved
+        // so two admins approving overlapping requests at once cannot both
+        // succeed. The occurrences are read again inside the locks, and each
+        // write only applies if the occurrence is still in the state it was
+        // decided from.
+        const { stale, updates, bookingBlock, conflictingOccurrences, violations } = await withResourceLocks(lockedIds, async () => {
+            const current = await Allocation.findById(allocation._id);
+            const targets = current ? await findScopedAllocations(current, scope) : [];
+
+            // Moved to a resource that isn't locked in the meantime
+            if (targets.some(target => !lockedIds.includes(String(target.resourceId)))) {
+                return { stale: true };
+            }
+
+            const resources = new Map((await Resource.find({ _id: { $in: lockedIds } }))
+                .map(doc => [String(doc._id), doc]));
+            const planned = planUpdates(targets, resources);
+
+            if (!planned.some(({ target }) => target._id.equals(allocation._id))) {
+                return { stale: true };
+            }
+
+            const approving = planned.filter(update => update.approvalStatus === 'approved').map(update => update.target);
+
+            // Occurrences that become approved, per resource
+            const groups = new Map();
+            approving.forEach(target => {
+                const key = String(target.resourceId);
+                groups.set(key, [...(groups.get(key) || []), target]);
+            });
+
+            for (const [resourceId, group] of groups) {
+                const block = await findBookingBlock(resourceId, group);
+                if (block) {
+                    return { bookingBlock: block, conflictingOccurrences: [], violations: [] };
+                }
+            }
+
+            // Check every occurrence that becomes approved for conflicts on its resource
+            const conflicts = [];
+            for (const [resourceId, group] of groups) {
+                conflicts.push(...await findConflictingOccurrences(resourceId, group));
+            }
+
+            // ...and against its resource's current booking policy. Notice and
+            // advance window are measured from when each request was made.
+            const policyViolations = [];
+            if (conflicts.length === 0) {
+                for (const [resourceId, group] of groups) {
+                    const groupResource = resources.get(resourceId);
+                    const policy = await groupResource.getBookingPolicy();
+
+                    let groupViolations = findPolicyViolations(policy, group);
+                    if (groupViolations.length === 0) {
+                        groupViolations = await findScheduleViolations(groupResource, policy, group, {
+                            userId: allocation.requestedBy,
+                            excludeIds: approving.map(t => t._id)
+                        });
+                    }
+                    policyViolations.push(...groupViolations);
+                }
+            }
+
+            if (conflicts.length > 0 || policyViolations.length > 0) {
+                return { updates: planned, bookingBlock: null, conflictingOccurrences: conflicts, violations: policyViolations };
+            }
+
+            // A background job (expiry, no-show release) may still change an
+            // occurrence without the lock - if one did, undo the others
+            const applied = [];
+            for (const update of planned) {
+                const { target, approvalStatus, currentStep, approvalSteps } = update;
+                const result = await Allocation.updateOne(
+                    { _id: target._id, approvalStatus: target.approvalStatus, currentStep: target.currentStep },
+                    {
+                        $set: {
+                            approvalStatus,
+                            currentStep,
+                            approvalSteps,
+                            rejectionReason: approvalStatus === 'rejected' ? comment : '',
+                            needsReview: false,
+                            reviewReason: ''
+                        }
+                    }
+                );
+
+                if (result.modifiedCount === 0) {
+                    await Promise.all(applied.map(({ target: done, approvalStatus: doneStatus, currentStep: doneStep }) => Allocation.updateOne(
+                        { _id: done._id, approvalStatus: doneStatus, currentStep: doneStep },
+                        {
+                            $set: {
+                                approvalStatus: done.approvalStatus,
+                                currentStep: done.currentStep,
+                                approvalSteps: done.approvalSteps,
+                                rejectionReason: done.rejectionReason,
+                                needsReview: done.needsReview,
+                                reviewReason: done.reviewReason
+                            }
+                        }
+                    )));
+                    return { stale: true };
+                }
+                applied.push(update);
+            }
+
+            return { updates: planned, bookingBlock: null, conflictingOccurrences: [], violations: [] };
+        });
+
+        if (stale) {
+            return res.status(409).json({
+                success: false,
+                message: 'This request was changed by someone else in the meantime - reload it and try again'
+            });
+        }
+
+        if (bookingBlock) {
+            return res.status(400).json({
+                success: false,
+                message: `Cannot approve - ${bookingBlock.charAt(0).toLowerCase()}${bookingBlock.slice(1)}`
+            });
+        }
+
+        if (violations.length > 0) {
+            return res.status(400).json(toViolationResponse(violations, 'Cannot approve - '));
+        }
+
+        if (conflictingOccurrences.length > 0) {
+            return res.status(409).json({
+                success: false,
+                message: 'Cannot approve - conflicts with existing approved allocation',
+                conflictDetails: { conflictingOccurrences }
+            });
+        }
+
+        // Overriding an approved booking to rejected frees its slot
+        await promoteFreedSlots(updates
+            .filter(({ target, approvalStatus }) => target.approvalStatus === 'approved' && approvalStatus === 'rejected')
+            .map(({ target }) => target));
+
+        const decided = updates.map(({ target, approvalStatus, currentStep, approvalSteps }) => ({
+            ...target.toObject(),
+            approvalStatus,
+            currentStep,
+            approvalSteps
+        }));
+        await notifyDecision(decided, resource, req.user, comment);
+        ['approved', 'rejected', 'pending'].forEach(status => publishAllocationChange(
+            status === 'pending' ? 'updated' : status,
+            decided.filter(target => target.approvalStatus === status)
+        ));
+
+        updates.forEach(({ target, approvalStatus, currentStep }) => {
+            const step = currentStepOf(target);
+            audit(req, `allocation.${status === 'approved' ? 'approve' : 'reject'}`, target, {
+                before: target,
+                after: {
+                    ...snapshot(target),
+                    approvalStatus,
+                    currentStep,
+                    rejectionReason: approvalStatus === 'rejected' ? comment : '',
+                    needsReview: false,
+                    reviewReason: ''
+                },
+                details: { step: step ? step.name : null, comment, scope }
+            });
+        });
+
+        const updated = await Allocation.findById(allocation._id).populate('resourceId', 'name type');
+        const nextStep = currentStepOf(updated);
+        const subject = updates.length > 1 ? `${updates.length} allocations` : 'Allocation';
+
+        res.status(200).json({
+            success: true,
+            message: nextStep
+                ? `${subject} approved at this step - now waiting for "${nextStep.name}"`
+                : `${subject} ${status} successfully`,
+            updatedCount: updates.length,
+            data: updated
+        });
+
+    } catch (error) {
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid allocation ID format'
+            });
+        }
+
+        if (error.name === 'ResourceLockError') {
+            return res.status(503).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Error updating allocation status:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update allocation status',
+            error: error.message
         });
     }
 };
@@ -416,9 +2202,9 @@ const updateAllocationStatus = async (req, res) => {
  */
 const getMyAllocations = async (req, res) => {
     try {
-        const allocations = await Allocation.find({ requestedBy: req.user._id })
-            .populate('resourceId', 'name type')
-            .sort({ createdAt: -1 });
+        const allocations = await attachCheckIn(
+            (await Allocation.findRequestedBy(req.user._id)).map(allocation => allocation.toObject())
+        );
 
         res.status(200).json({
             success: true,
@@ -436,16 +2222,30 @@ const getMyAllocations = async (req, res) => {
 };
 
 /**
- * Get pending allocations (Admin Dashboard)
+ * Get pending allocations awaiting the current user's decision
  * Route: GET /api/allocations/pending
+ *
+ * With allocations:approve every pending request is returned; otherwise
+ * only those whose current step the user (or someone they stand in for)
+ * may decide. Each request carries onBehalfOf ({ _id, name }) when the
+ * user would decide it as a delegate.
  */
 const getPendingAllocations = async (req, res) => {
     try {
-        const allocations = await Allocation.find({ approvalStatus: 'pending' })
-            .populate('resourceId', 'name type')
+        const pending = await Allocation.find({ approvalStatus: 'pending' })
+            .populate('resourceId', 'name type approvers')
             .populate('requestedBy', 'name email department')
             .sort({ createdAt: -1 });
 
+        const capacities = await loadApproverCapacities(req.user, req.permissions);
+        const allocations = pending
+            .map(allocation => ({ allocation, capacity: findActingCapacity(capacities, allocation, allocation.resourceId) }))
+            .filter(({ capacity }) => capacity)
+            .map(({ allocation, capacity }) => ({
+                ...allocation.toObject(),
+                onBehalfOf: capacity.onBehalfOf ? { _id: capacity.onBehalfOf._id, name: capacity.onBehalfOf.name } : null
+            }));
+
         res.status(200).json({
             success: true,
             count: allocations.length,
@@ -464,8 +2264,13 @@ const getPendingAllocations = async (req, res) => {
 // Export all controller functions
 module.exports = {
     createAllocation,
+    importAllocations,
     getAllAllocations,
     deleteAllocation,
+    getAllocationById,
+    updateAllocation,
+    cancelAllocation,
+    checkInAllocation,
     updateAllocationStatus,
     getMyAllocations,
     getPendingAllocations
@@ -0,0 +1,263 @@
+/**
+ * =============================================================================
+ * SMARTALLOC - APPROVAL RULE CONTROLLER
+ * =============================================================================
+ * Controller for auto-approval rules (see models/ApprovalRule.js).
+ *
+ * Features:
+ * - List rules in the order they are tried (allocations:approve)
+ * - Create / update / delete rules (allocations:approve)
+ *
+ * Rules are applied when a request is made (allocationController); editing
+ * or deleting one does not change requests it already decided.
+ *
+ * @author SmartAlloc Team
+ * @version 1.0.0
+ * =============================================================================
+ */
+
+const ApprovalRule = require('../models/ApprovalRule');
+const { audit, snapshot } = require('../utils/audit');
+
+const LIST_CONDITIONS = ['resourceIds', 'resourceTypes', 'departments', 'roles'];
+const VALUE_CONDITIONS = [
+    'minDurationMinutes',
+    'maxDurationMinutes',
+    'minLeadTimeMinutes',
+    'maxLeadTimeMinutes',
+    'startAfter',
+    'endBefore'
+];
+
+/**
+ * Copy the known conditions from a request body.
+ * Lists accept an array or a comma-separated string; "" clears a value.
+ */
+const pickConditions = (conditions) => {
+    const picked = {};
+    if (!conditions || typeof conditions !== 'object') return picked;
+
+    LIST_CONDITIONS.forEach(field => {
+        const value = conditions[field];
+        if (value === undefined) return;
+
+        picked[field] = (Array.isArray(value) ? value : String(value || '').split(','))
+            .map(item => String(item).trim())
+            .filter(Boolean);
+    });
+
+    VALUE_CONDITIONS.forEach(field => {
+        const value = conditions[field];
+        if (value === undefined) return;
+        picked[field] = value === '' || value === null ? null : value;
+    });
+
+    return picked;
+};
+
+/**
+ * Mongoose validation / cast errors as a 400 response, or null
+ */
+const toValidationResponse = (error) => {
+    if (error.name === 'ValidationError') {
+        return {
+            success: false,
+            message: 'Validation error',
+            errors: Object.values(error.errors).map(err => (err.name === 'CastError' ? `Invalid value for ${err.path}` : err.message))
+        };
+    }
+    return null;
+};
+
+/**
+ * Get all rules
+ * Route: GET /api/approval-rules
+ * Requires allocations:approve
+ *
+ * Sorted in the order they are tried: priority, then oldest first.
+ */
+const getApprovalRules = async (req, res) => {
+    try {
+        const rules = await ApprovalRule.find()
+            .sort({ priority: 1, createdAt: 1 })
+            .populate('conditions.resourceIds', 'name type')
+            .populate('createdBy', 'name');
+
+        res.status(200).json({
+            success: true,
+            count: rules.length,
+            data: rules
+        });
+    } catch (error) {
+        console.error('Error fetching approval rules:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch approval rules',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Create a rule
+ * Route: POST /api/approval-rules
+ * Requires allocations:approve
+ *
+ * Request Body:
+ * {
+ *   "name": "Short huddles for Engineering",
+ *   "action": "approve",                    // or "reject"
+ *   "reason": "",                           // shown to the requester on reject
+ *   "priority": 10,                         // lower is tried first
+ *   "enabled": true,
+ *   "conditions": {
+ *     "resourceTypes": ["Meeting Room"],
+ *     "departments": ["Engineering"],
+ *     "maxDurationMinutes": 120,
+ *     "startAfter": "08:00",
+ *     "endBefore": "18:00"
+ *   }
+ * }
+ */
+const createApprovalRule = async (req, res) => {
+    try {
+        const { name, action, reason, priority, enabled, conditions } = req.body;
+
+        const rule = await ApprovalRule.create({
+            name,
+            action,
+            reason,
+            priority: priority === '' || priority === undefined ? undefined : priority,
+            enabled: enabled === undefined ? true : Boolean(enabled),
+            conditions: pickConditions(conditions),
+            createdBy: req.user._id
+        });
+        audit(req, 'approvalRule.create', rule, { after: rule });
+
+        res.status(201).json({
+            success: true,
+            message: 'Approval rule created successfully',
+            data: rule
+        });
+    } catch (error) {
+        const validation = toValidationResponse(error);
+        if (validation) {
+            return res.status(400).json(validation);
+        }
+
+        console.error('Error creating approval rule:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create approval rule',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Update a rule
+ * Route: PUT /api/approval-rules/:id
+ * Requires allocations:approve
+ *
+ * Only the fields (and conditions) that are sent change.
+ */
+const updateApprovalRule = async (req, res) => {
+    try {
+        const { name, action, reason, priority, enabled, conditions } = req.body;
+        const rule = await ApprovalRule.findById(req.params.id);
+
+        if (!rule) {
+            return res.status(404).json({
+                success: false,
+                message: 'Approval rule not found'
+            });
+        }
+
+        const before = snapshot(rule);
+        if (name !== undefined) rule.name = name;
+        if (action !== undefined) rule.action = action;
+        if (reason !== undefined) rule.reason = reason;
+        if (priority !== undefined && priority !== '') rule.priority = priority;
+        if (enabled !== undefined) rule.enabled = Boolean(enabled);
+        Object.entries(pickConditions(conditions)).forEach(([field, value]) => {
+            rule.conditions[field] = value;
+        });
+
+        await rule.save();
+        audit(req, 'approvalRule.update', rule, { before, after: rule });
+
+        res.status(200).json({
+            success: true,
+            message: 'Approval rule updated successfully',
+            data: rule
+        });
+    } catch (error) {
+        const validation = toValidationResponse(error);
+        if (validation) {
+            return res.status(400).json(validation);
+        }
+
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid rule ID format'
+            });
+        }
+
+        console.error('Error updating approval rule:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update approval rule',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Delete a rule
+ * Route: DELETE /api/approval-rules/:id
+ * Requires allocations:approve
+ *
+ * Allocations it decided keep their copy of the rule's name and action.
+ */
+const deleteApprovalRule = async (req, res) => {
+    try {
+        const rule = await ApprovalRule.findByIdAndDelete(req.params.id);
+
+        if (!rule) {
+            return res.status(404).json({
+                success: false,
+                message: 'Approval rule not found'
+            });
+        }
+
+        audit(req, 'approvalRule.delete', rule, { before: rule });
+
+        res.status(200).json({
+            success: true,
+            message: 'Approval rule deleted successfully',
+            data: { _id: rule._id, name: rule.name }
+        });
+    } catch (error) {
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid rule ID format'
+            });
+        }
+
+        console.error('Error deleting approval rule:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete approval rule',
+            error: error.message
+        });
+    }
+};
+
+module.exports = {
+    getApprovalRules,
+    createApprovalRule,
+    updateApprovalRule,
+    deleteApprovalRule
+};
@@ -0,0 +1,346 @@
+/**
+ * =============================================================================
+ * SMARTALLOC - AUDIT CONTROLLER
+ * =============================================================================
+ * The audit log (models/AuditEvent.js, written by utils/audit.js).
+ *
+ * Features:
+ * - Search the log, newest first (audit:read)
+ * - Export it as CSV or JSON (audit:read)
+ * - The actions and record kinds in the log, for filters (audit:read)
+ * - The history of one allocation, for whoever may see the allocation
+ *
+ * @author SmartAlloc Team
+ * @version 1.0.0
+ * =============================================================================
+ */
+
+const mongoose = require('mongoose');
+const AuditEvent = require('../models/AuditEvent');
+const Allocation = require('../models/Allocation');
+const { hasPermission } = require('../middleware/authMiddleware');
+const { DEFAULT_PAGE_SIZE, escapeRegex, parseList, parsePagination, encodeCursor, cursorCondition } = require('../utils/query');
+
+// Most events one export returns
+const EXPORT_LIMIT = 10000;
+
+const EXPORT_FORMATS = ['csv', 'json'];
+
+// Newest first; _id breaks ties between events of the same request
+const NEWEST_FIRST = { field: 'createdAt', direction: -1 };
+
+// Who and where - only shown to users with audit:read
+const CLIENT_FIELDS = ['ip', 'userAgent'];
+
+const CSV_COLUMNS = [
+    'createdAt', 'actorName', 'actorRole', 'action', 'targetType', 'targetId', 'targetLabel',
+    'changes', 'details', 'ip', 'userAgent', 'method', 'path'
+];
+
+/**
+ * Build the MongoDB filter for a log search from query parameters
+ *
+ * Query: actorId, action (comma-separated; "allocation.*" matches every
+ * allocation action), targetType, targetId, from, to (dates), search
+ * (actor, record or action)
+ *
+ * @returns {Object} { filter } or { error }
+ */
+const buildAuditFilter = (query) => {
+    const { actorId, action, targetType, targetId, from, to, search } = query;
+    const filter = {};
+
+    if (actorId) {
+        if (!mongoose.Types.ObjectId.isValid(actorId)) return { error: 'Invalid actor ID format' };
+        filter.actorId = actorId;
+    }
+
+    if (targetId) {
+        if (!mongoose.Types.ObjectId.isValid(targetId)) return { error: 'Invalid target ID format' };
+        filter.targetId = targetId;
+    }
+
+    if (targetType) filter.targetType = { $in: parseList(targetType) };
+
+    if (action) {
+        const actions = parseList(action);
+        filter.action = {
+            $in: actions.map(name => (name.endsWith('.*')
+                ? new RegExp(`^${escapeRegex(name.slice(0, -1))}`)
+                : name))
+        };
+    }
+
+    const range = {};
+    for (const [key, value, op] of [['from', from, '$gte'], ['to', to, '$lte']]) {
+        if (!value) continue;
+        const date = new Date(value);
+        if (isNaN(date.getTime())) return { error: `${key} must be a valid date` };
+        range[op] = date;
+    }
+    if (Object.keys(range).length > 0) filter.createdAt = range;
+
+    if (search && String(search).trim()) {
+        const pattern = new RegExp(escapeRegex(String(search).trim()), 'i');
+        filter.$or = [{ actorName: pattern }, { targetLabel: pattern }, { action: pattern }];
+    }
+
+    return { filter };
+};
+
+/**
+ * One changed field as text: "status: active → blocked"
+ */
+const formatChange = ({ field, from, to }) => {
+    const show = (value) => (value === null || value === undefined ? '-' : typeof value === 'object' ? JSON.stringify(value) : String(value));
+    return `${field}: ${show(from)} → ${show(to)}`;
+};
+
+/**
+ * Quote a CSV cell when needed
+ */
+const csvCell = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * The log as CSV, one event per line
+ */
+const toCsv = (events) => {
+    const rows = events.map(event => CSV_COLUMNS.map(column => {
+        if (column === 'createdAt') return csvCell(event.createdAt.toISOString());
+        if (column === 'changes') return csvCell(event.changes.map(formatChange).join('; '));
+        if (column === 'details') return csvCell(event.details ? JSON.stringify(event.details) : '');
+        return csvCell(event[column]);
+    }).join(','));
+
+    return [CSV_COLUMNS.join(','), ...rows].join('\r\n');
+};
+
+/**
+ * Search the audit log
+ * Route: GET /api/audit
+ * Requires audit:read
+ *
+ * Query: the filters of buildAuditFilter, and ?page=&limit= or
+ * ?limit=&cursor= (see utils/query.js; 20 per page by default)
+ *
+ * Response: { success, count, total, pagination, data }
+ */
+const getAuditEvents = async (req, res) => {
+    try {
+        const { filter, error: filterError } = buildAuditFilter(req.query);
+        // Always paginated
+        const pagination = parsePagination({ ...req.query, limit: req.query.limit === undefined ? DEFAULT_PAGE_SIZE : req.query.limit });
+
+        const paramError = filterError || pagination.error;
+        if (paramError) {
+            return res.status(400).json({
+                success: false,
+                message: paramError
+            });
+        }
+
+        const total = await AuditEvent.countDocuments(filter);
+
+        const pageFilter = pagination.cursor
+            ? { $and: [filter, cursorCondition(NEWEST_FIRST, pagination.cursor)] }
+            : filter;
+
+        // Fetch one extra event to know whether another page follows
+        const { limit } = pagination;
+        let eventQuery = AuditEvent.find(pageFilter)
+            .sort({ createdAt: -1, _id: -1 })
+            .limit(limit + 1);
+        if (pagination.page) {
+            eventQuery = eventQuery.skip((pagination.page - 1) * limit);
+        }
+
+        let events = await eventQuery;
+        const hasMore = events.length > limit;
+        if (hasMore) events = events.slice(0, limit);
+
+        const last = events[events.length - 1];
+
+        res.status(200).json({
+            success: true,
+            count: events.length,
+            total,
+            pagination: {
+                limit,
+                page: pagination.page || null,
+                totalPages: Math.ceil(total / limit),
+                hasMore,
+                nextCursor: hasMore ? encodeCursor(last, NEWEST_FIRST.field) : null
+            },
+            data: events
+        });
+    } catch (error) {
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid cursor'
+            });
+        }
+
+        console.error('Error fetching audit events:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch the audit log',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Export the audit log
+ * Route: GET /api/audit/export?format=csv|json
+ * Requires audit:read
+ *
+ * Same filters as GET /api/audit; newest first, at most EXPORT_LIMIT events.
+ * Sent as a download.
+ */
+const exportAuditEvents = async (req, res) => {
+    try {
+        const format = req.query.format || 'csv';
+
+        if (!EXPORT_FORMATS.includes(format)) {
+            return res.status(400).json({
+                success: false,
+                message: `format must be one of ${EXPORT_FORMATS.join(', ')}`
+            });
+        }
+
+        const { filter, error } = buildAuditFilter(req.query);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+
+        const events = await AuditEvent.find(filter)
+            .sort({ createdAt: -1, _id: -1 })
+            .limit(EXPORT_LIMIT)
+            .lean();
+
+        const filename = `audit-log-${new Date().toISOString().slice(0, 10)}.${format}`;
+        res.set('Content-Disposition', `attachment; filename="${filename}"`);
+
+        if (format === 'json') {
+            return res.status(200).json(events);
+        }
+
+        res.set('Content-Type', 'text/csv; charset=utf-8');
+        res.status(200).send(toCsv(events));
+    } catch (error) {
+        console.error('Error exporting audit events:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to export the audit log',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * The actions and record kinds in the log
+ * Route: GET /api/audit/actions
+ * Requires audit:read
+ *
+ * Response data: { actions: [...], targetTypes: [...] }, sorted
+ */
+const getAuditActions = async (req, res) => {
+    try {
+        const [actions, targetTypes] = await Promise.all([
+            AuditEvent.distinct('action'),
+            AuditEvent.distinct('targetType')
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                actions: actions.sort(),
+                targetTypes: targetTypes.sort()
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching audit actions:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch audit actions',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * History of one allocation, oldest first
+ * Route: GET /api/allocations/:id/history
+ * Requester or allocations:approve / allocations:manage, or audit:read
+ *
+ * Only users with audit:read see the history of a deleted allocation, and
+ * the IP address and user agent of each event.
+ */
+const getAllocationHistory = async (req, res) => {
+    try {
+        const canReadAudit = hasPermission(req, 'audit:read');
+        const allocation = await Allocation.findById(req.params.id).select('requestedBy');
+
+        if (!allocation && !canReadAudit) {
+            return res.status(404).json({
+                success: false,
+                message: 'Allocation not found'
+            });
+        }
+
+        const isRequester = allocation && allocation.requestedBy && allocation.requestedBy.equals(req.user._id);
+        if (!isRequester && !canReadAudit
+            && !hasPermission(req, 'allocations:approve') && !hasPermission(req, 'allocations:manage')) {
+            return res.status(403).json({
+                success: false,
+                message: 'You can only view the history of your own allocations'
+            });
+        }
+
+        const events = await AuditEvent.find({ targetType: 'Allocation', targetId: req.params.id })
+            .select(canReadAudit ? '' : CLIENT_FIELDS.map(field => `-${field}`).join(' '))
+            .sort({ createdAt: 1, _id: 1 });
+
+        if (!allocation && events.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Allocation not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            count: events.length,
+            deleted: !allocation,
+            data: events
+        });
+    } catch (error) {
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid allocation ID format'
+            });
+        }
+
+        console.error('Error fetching allocation history:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch allocation history',
+            error: error.message
+        });
+    }
+};
+
+module.exports = {
+    getAuditEvents,
+    exportAuditEvents,
+    getAuditActions,
+    getAllocationHistory
+};
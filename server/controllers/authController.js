@@ -10,7 +10,9 @@
  */
 
 const User = require('../models/User');
-const { generateToken } = require('../middleware/authMiddleware');
+const { generateToken, getRolePermissions } = require('../middleware/authMiddleware');
+const { isApprover } = require('../utils/approvalChain');
+const { audit } = require('../utils/audit');
 
 /**
  * Login User
@@ -62,6 +64,8 @@ const login = async (req, res) => {
 
         // Generate token and send response
         const token = generateToken(user._id);
+        const permissions = await getRolePermissions(user.role);
+        audit(req, 'user.login', user, { actor: user });
 
         res.status(200).json({
             success: true,
@@ -73,6 +77,8 @@ const login = async (req, res) => {
                 role: user.role,
                 department: user.department,
                 status: user.status,
+                permissions,
+                isApprover: await isApprover(user, permissions),
                 token: token
             }
         });
@@ -91,6 +97,9 @@ const login = async (req, res) => {
  * Get Current User Profile
  * Route: GET /api/auth/me
  * Protected - Requires token
+ *
+ * isApprover tells the clients whether to show the approvals screen
+ * (see utils/approvalChain.js).
  */
 const getMe = async (req, res) => {
     try {
@@ -98,7 +107,11 @@ const getMe = async (req, res) => {
 
         res.status(200).json({
             success: true,
-            data: user
+            data: {
+                ...user.toObject(),
+                permissions: req.permissions,
+                isApprover: await isApprover(user, req.permissions)
+            }
         });
     } catch (error) {
         console.error('Get profile error:', error);
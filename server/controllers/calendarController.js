@@ -0,0 +1,296 @@
+/**
+ * =============================================================================
+ * SMARTALLOC - CALENDAR CONTROLLER
+ * =============================================================================
+ * iCalendar (.ics) export of allocations.
+ *
+ * Features:
+ * - Subscribable per-user and per-resource feeds behind secret token URLs
+ * - Create / list / revoke feeds (Protected)
+ * - Single allocation .ics download (Protected)
+ *
+ * @author SmartAlloc Team
+ * @version 1.0.0
+ * =============================================================================
+ */
+
+const Allocation = require('../models/Allocation');
+const Resource = require('../models/Resource');
+const User = require('../models/User');
+const CalendarFeed = require('../models/CalendarFeed');
+const { hasPermission } = require('../middleware/authMiddleware');
+const { buildCalendar, sendCalendar } = require('../utils/ical');
+const { audit } = require('../utils/audit');
+
+/**
+ * Public URL a calendar app can subscribe to
+ */
+const buildFeedUrl = (req, token) =>
+    `${req.protocol}://${req.get('host')}/api/calendar/feeds/${token}.ics`;
+
+/**
+ * Shape a feed for API responses
+ */
+const toFeedResponse = (req, feed) => ({
+    _id: feed._id,
+    type: feed.type,
+    resourceId: feed.resourceId,
+    url: buildFeedUrl(req, feed.token),
+    lastAccessedAt: feed.lastAccessedAt,
+    createdAt: feed.createdAt
+});
+
+/**
+ * List the current user's feeds
+ * Route: GET /api/calendar/feeds
+ */
+const getMyFeeds = async (req, res) => {
+    try {
+        const feeds = await CalendarFeed.find({ owner: req.user._id })
+            .populate('resourceId', 'name type')
+            .sort({ createdAt: -1 });
+
+        res.status(200).json({
+            success: true,
+            count: feeds.length,
+            data: feeds.map(feed => toFeedResponse(req, feed))
+        });
+    } catch (error) {
+        console.error('Error fetching calendar feeds:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch calendar feeds',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Create a feed for the current user
+ * Route: POST /api/calendar/feeds
+ *
+ * Body: { type: 'user' } or { type: 'resource', resourceId }
+ *
+ * A user has at most one feed per target, so creating a feed again
+ * revokes the previous URL and issues a new one.
+ */
+const createFeed = async (req, res) => {
+    try {
+        const { type, resourceId } = req.body;
+
+        if (!['user', 'resource'].includes(type)) {
+            return res.status(400).json({
+                success: false,
+                message: "Feed type must be 'user' or 'resource'"
+            });
+        }
+
+        let resource = null;
+        if (type === 'resource') {
+            if (!resourceId) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'resourceId is required for a resource feed'
+                });
+            }
+
+            resource = await Resource.findById(resourceId);
+            if (!resource) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Resource not found'
+                });
+            }
+        }
+
+        const target = {
+            owner: req.user._id,
+            type,
+            resourceId: resource ? resource._id : null
+        };
+
+        await CalendarFeed.deleteMany(target);
+        const feed = await CalendarFeed.create({
+            ...target,
+            token: CalendarFeed.generateToken()
+        });
+        audit(req, 'calendarFeed.create', feed, { after: feed, label: resource ? `${resource.name} feed` : 'Personal feed' });
+        await feed.populate('resourceId', 'name type');
+
+        res.status(201).json({
+            success: true,
+            message: 'Calendar feed created',
+            data: toFeedResponse(req, feed)
+        });
+    } catch (error) {
+        console.error('Error creating calendar feed:', error);
+
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid resource ID format'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create calendar feed',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Revoke a feed - its URL stops working immediately
+ * Route: DELETE /api/calendar/feeds/:id
+ * Owner or allocations:manage
+ */
+const deleteFeed = async (req, res) => {
+    try {
+        const feed = await CalendarFeed.findById(req.params.id);
+
+        if (!feed) {
+            return res.status(404).json({
+                success: false,
+                message: 'Calendar feed not found'
+            });
+        }
+
+        if (!feed.owner.equals(req.user._id) && !hasPermission(req, 'allocations:manage')) {
+            return res.status(403).json({
+                success: false,
+                message: 'You can only revoke your own calendar feeds'
+            });
+        }
+
+        await feed.deleteOne();
+        audit(req, 'calendarFeed.revoke', feed, { before: feed, label: `${feed.type === 'resource' ? 'Resource' : 'Personal'} feed` });
+
+        res.status(200).json({
+            success: true,
+            message: 'Calendar feed revoked'
+        });
+    } catch (error) {
+        console.error('Error revoking calendar feed:', error);
+
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid feed ID format'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Failed to revoke calendar feed',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Serve a feed to a calendar app
+ * Route: GET /api/calendar/feeds/:token.ics
+ * Public - the secret token is the credential
+ */
+const getFeedCalendar = async (req, res) => {
+    try {
+        const token = req.params.token.replace(/\.ics$/, '');
+        const feed = await CalendarFeed.findOne({ token });
+
+        // Unknown/revoked tokens and blocked owners look the same from outside
+        const owner = feed && await User.findById(feed.owner).select('name status');
+        if (!feed || !owner || owner.status === 'blocked') {
+            return res.status(404).json({
+                success: false,
+                message: 'Calendar feed not found'
+            });
+        }
+
+        let name;
+        let allocations;
+
+        if (feed.type === 'user') {
+            name = `SmartAlloc - ${owner.name}`;
+            allocations = await Allocation.findRequestedBy(owner._id);
+        } else {
+            const resource = await Resource.findById(feed.resourceId);
+            if (!resource) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Resource not found'
+                });
+            }
+
+            name = `SmartAlloc - ${resource.name}`;
+            allocations = await Allocation.find({ resourceId: resource._id })
+                .populate('resourceId', 'name type')
+                .sort({ startTime: 1 });
+        }
+
+        feed.lastAccessedAt = new Date();
+        await feed.save();
+
+        sendCalendar(res, name, buildCalendar(name, allocations));
+    } catch (error) {
+        console.error('Error serving calendar feed:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to build calendar feed',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Download a single allocation as .ics
+ * Route: GET /api/allocations/:id/ics
+ * Requester or allocations:manage
+ */
+const getAllocationCalendar = async (req, res) => {
+    try {
+        const allocation = await Allocation.findById(req.params.id)
+            .populate('resourceId', 'name type');
+
+        if (!allocation) {
+            return res.status(404).json({
+                success: false,
+                message: 'Allocation not found'
+            });
+        }
+
+        const isRequester = allocation.requestedBy && allocation.requestedBy.equals(req.user._id);
+        if (!isRequester && !hasPermission(req, 'allocations:manage')) {
+            return res.status(403).json({
+                success: false,
+                message: 'You can only export your own allocations'
+            });
+        }
+
+        const name = allocation.resourceId?.name || 'allocation';
+        sendCalendar(res, `${name}-${allocation._id}`, buildCalendar(name, [allocation]), true);
+    } catch (error) {
+        console.error('Error exporting allocation:', error);
+
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid allocation ID format'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Failed to export allocation',
+            error: error.message
+        });
+    }
+};
+
+module.exports = {
+    getMyFeeds,
+    createFeed,
+    deleteFeed,
+    getFeedCalendar,
+    getAllocationCalendar
+};
@@ -0,0 +1,237 @@
+/**
+ * =============================================================================
+ * SMARTALLOC - COMMENT CONTROLLER
+ * =============================================================================
+ * Discussion threads on allocations (see models/AllocationComment.js).
+ *
+ * Features:
+ * - List an allocation's comments, oldest first
+ * - Post a comment
+ * - Edit your own comment (the previous text is kept in its history)
+ *
+ * Who takes part in a thread: the requester, anyone who decided one of its
+ * approval steps, anyone who may decide its current step (including
+ * delegates - see utils/approvalChain.js), and users with
+ * allocations:approve or allocations:manage.
+ *
+ * @author SmartAlloc Team
+ * @version 1.0.0
+ * =============================================================================
+ */
+
+const mongoose = require('mongoose');
+const Allocation = require('../models/Allocation');
+const AllocationComment = require('../models/AllocationComment');
+const { hasPermission } = require('../middleware/authMiddleware');
+const { loadApproverCapacities, findActingCapacity } = require('../utils/approvalChain');
+const { audit } = require('../utils/audit');
+
+const sameId = (a, b) => Boolean(a) && Boolean(b) && String(a._id || a) === String(b._id || b);
+
+/**
+ * Load an allocation and check the current user takes part in its thread
+ *
+ * @returns {Object} { allocation } or { status, message } when they may not
+ */
+const loadThreadAllocation = async (req) => {
+    const allocation = await Allocation.findById(req.params.id).populate('resourceId', 'name approvers');
+
+    if (!allocation) {
+        return { status: 404, message: 'Allocation not found' };
+    }
+
+    if (sameId(allocation.requestedBy, req.user)
+        || hasPermission(req, 'allocations:approve')
+        || hasPermission(req, 'allocations:manage')) {
+        return { allocation };
+    }
+
+    const decidedStep = allocation.approvalSteps
+        .some(step => sameId(step.decidedBy, req.user) || sameId(step.onBehalfOf, req.user));
+    if (decidedStep) {
+        return { allocation };
+    }
+
+    if (allocation.approvalStatus === 'pending') {
+        const capacities = await loadApproverCapacities(req.user, req.permissions);
+        if (findActingCapacity(capacities, allocation, allocation.resourceId)) {
+            return { allocation };
+        }
+    }
+
+    return { status: 403, message: 'Only the requester and approvers can see this discussion' };
+};
+
+/**
+ * Shape a comment for API responses. isRequester marks comments by the
+ * person who made the request.
+ */
+const toCommentResponse = (comment, allocation) => ({
+    _id: comment._id,
+    allocationId: comment.allocationId,
+    author: comment.author,
+    authorName: comment.authorName,
+    isRequester: sameId(comment.author, allocation.requestedBy),
+    body: comment.body,
+    edits: comment.edits,
+    editedAt: comment.editedAt,
+    createdAt: comment.createdAt
+});
+
+/**
+ * Send the error shared by the comment routes
+ */
+const sendCommentError = (res, error, fallback) => {
+    if (error.name === 'ValidationError') {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation error',
+            errors: Object.values(error.errors).map(err => err.message)
+        });
+    }
+
+    if (error.name === 'CastError') {
+        return res.status(400).json({
+            success: false,
+            message: 'Invalid allocation ID format'
+        });
+    }
+
+    console.error(`${fallback}:`, error);
+    res.status(500).json({
+        success: false,
+        message: fallback,
+        error: error.message
+    });
+};
+
+/**
+ * Get an allocation's comments
+ * Route: GET /api/allocations/:id/comments
+ */
+const getAllocationComments = async (req, res) => {
+    try {
+        const { allocation, status, message } = await loadThreadAllocation(req);
+        if (!allocation) {
+            return res.status(status).json({ success: false, message });
+        }
+
+        const comments = await AllocationComment.findThread(allocation._id);
+
+        res.status(200).json({
+            success: true,
+            count: comments.length,
+            data: comments.map(comment => toCommentResponse(comment, allocation))
+        });
+    } catch (error) {
+        sendCommentError(res, error, 'Failed to fetch comments');
+    }
+};
+
+/**
+ * Post a comment
+ * Route: POST /api/allocations/:id/comments
+ *
+ * Body: { body }
+ */
+const addAllocationComment = async (req, res) => {
+    try {
+        const { allocation, status, message } = await loadThreadAllocation(req);
+        if (!allocation) {
+            return res.status(status).json({ success: false, message });
+        }
+
+        const comment = await AllocationComment.create({
+            allocationId: allocation._id,
+            author: req.user._id,
+            authorName: req.user.name,
+            body: String(req.body.body || '')
+        });
+        audit(req, 'allocation.comment', allocation, { details: { commentId: comment._id } });
+
+        res.status(201).json({
+            success: true,
+            message: 'Comment posted',
+            data: toCommentResponse(comment, allocation)
+        });
+    } catch (error) {
+        sendCommentError(res, error, 'Failed to post comment');
+    }
+};
+
+/**
+ * Edit your own comment
+ * Route: PUT /api/allocations/:id/comments/:commentId
+ *
+ * Body: { body }
+ *
+ * The previous text is added to the comment's edit history.
+ */
+const editAllocationComment = async (req, res) => {
+    try {
+        const { allocation, status, message } = await loadThreadAllocation(req);
+        if (!allocation) {
+            return res.status(status).json({ success: false, message });
+        }
+
+        if (!mongoose.Types.ObjectId.isValid(req.params.commentId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid comment ID format'
+            });
+        }
+
+        const comment = await AllocationComment.findOne({
+            _id: req.params.commentId,
+            allocationId: allocation._id
+        });
+
+        if (!comment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Comment not found'
+            });
+        }
+
+        if (!sameId(comment.author, req.user)) {
+            return res.status(403).json({
+                success: false,
+                message: 'You can only edit your own comments'
+            });
+        }
+
+        const body = String(req.body.body || '').trim();
+        if (body === comment.body) {
+            return res.status(200).json({
+                success: true,
+                message: 'No changes to save',
+                data: toCommentResponse(comment, allocation)
+            });
+        }
+
+        const now = new Date();
+        audit(req, 'allocation.comment-edit', allocation, {
+            before: { comment: comment.body },
+            after: { comment: body },
+            details: { commentId: comment._id }
+        });
+        comment.edits.push({ body: comment.body, editedAt: now });
+        comment.body = body;
+        comment.editedAt = now;
+        await comment.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Comment updated',
+            data: toCommentResponse(comment, allocation)
+        });
+    } catch (error) {
+        sendCommentError(res, error, 'Failed to update comment');
+    }
+};
+
+module.exports = {
+    getAllocationComments,
+    addAllocationComment,
+    editAllocationComment
+};
@@ -8,6 +8,7 @@
  * - Fetching aggregated statistics for the dashboard
  * - Calculating active allocations
  * - Determining available resources
+ * - Counting no-shows (bookings released because nobody checked in)
  * 
  * @author SmartAlloc Team
  * @version 1.0.0
@@ -16,6 +17,35 @@
 
 const Resource = require('../models/Resource');
 const Allocation = require('../models/Allocation');
+const { getTimeStatus, timeStatusCondition } = require('../models/Allocation');
+const { hasPermission } = require('../middleware/authMiddleware');
+
+// How many users the no-show ranking lists
+const NO_SHOW_RANKING_SIZE = 10;
+
+/**
+ * No-shows per requester, most first
+ *
+ * @returns {Array} [{ userId, name, email, department, count }]
+ */
+const countNoShowsByUser = () => Allocation.aggregate([
+    { $match: { noShow: true, requestedBy: { $ne: null } } },
+    { $group: { _id: '$requestedBy', count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: NO_SHOW_RANKING_SIZE },
+    { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'user' } },
+    { $unwind: { path: '$user', preserveNullAndEmptyArrays: true } },
+    {
+        $project: {
+            _id: 0,
+            userId: '$_id',
+            name: { $ifNull: ['$user.name', 'Deleted user'] },
+            email: '$user.email',
+            department: '$user.department',
+            count: 1
+        }
+    }
+]);
 
 /**
  * =============================================================================
@@ -33,16 +63,21 @@ const Allocation = require('../models/Allocation');
  *     "totalAllocations": 25,
  *     "activeAllocations": 3,
  *     "availableResources": 7,
- *     "upcomingAllocations": 5
+ *     "upcomingAllocations": 5,
+ *     "myNoShows": 1,
+ *     "noShowsByUser": [{ "userId": "...", "name": "Jane", "count": 3 }]
  *   }
  * }
  * 
  * Definitions:
- * - totalResources: Total count of all resources in the system
+ * - totalResources: Count of listed resources (not deleted or retired)
  * - totalAllocations: Total count of all allocations (past, present, future)
- * - activeAllocations: Allocations where currentTime is between startTime and endTime
- * - availableResources: Resources with no active allocation currently
- * - upcomingAllocations: Allocations where startTime > currentTime
+ * - activeAllocations: Approved allocations where currentTime is between startTime and endTime
+ * - availableResources: Resources in service with no active allocation currently
+ * - upcomingAllocations: Approved allocations where startTime > currentTime
+ * - myNoShows: The current user's bookings released as no-shows
+ * - noShowsByUser: Users with the most no-shows; only for users with
+ *   allocations:approve or allocations:manage (null for others)
  */
 const getDashboardStats = async (req, res) => {
     try {
@@ -51,7 +86,7 @@ const getDashboardStats = async (req, res) => {
         // =========================================================================
         // Count Total Resources
         // =========================================================================
-        const totalResources = await Resource.countDocuments();
+        const totalResources = await Resource.countDocuments(Resource.listedFilter());
 
         // =========================================================================
         // Count Total Allocations
@@ -60,37 +95,40 @@ const getDashboardStats = async (req, res) => {
 
         // =========================================================================
         // Count Active Allocations
-        // Active = currentTime is between startTime and endTime
+        // Active = approved, and currentTime is between startTime and endTime
         // =========================================================================
         const activeAllocations = await Allocation.countDocuments({
-            startTime: { $lte: currentTime },
-            endTime: { $gte: currentTime }
+            approvalStatus: 'approved',
+            ...timeStatusCondition('Active', currentTime)
         });
 
         // =========================================================================
         // Count Upcoming Allocations
-        // Upcoming = startTime is in the future
+        // Upcoming = approved, and startTime is in the future
         // =========================================================================
         const upcomingAllocations = await Allocation.countDocuments({
-            startTime: { $gt: currentTime }
+            approvalStatus: 'approved',
+            ...timeStatusCondition('Upcoming', currentTime)
         });
 
         // =========================================================================
         // Calculate Available Resources
-        // Available = Resources without any current active allocation
+        // Available = Resources in service without any current active allocation
         // =========================================================================
 
         /**
-         * Find all resources that have an active allocation
-         * Then subtract from total to get available count
+         * Find all resources that have an active allocation, then count the
+         * resources in service that aren't among them
          */
         const resourcesWithActiveAllocation = await Allocation.distinct('resourceId', {
-            startTime: { $lte: currentTime },
-            endTime: { $gte: currentTime }
+            approvalStatus: 'approved',
+            ...timeStatusCondition('Active', currentTime)
         });
 
-        const allocatedResourceCount = resourcesWithActiveAllocation.length;
-        const availableResources = totalResources - allocatedResourceCount;
+        const availableResources = await Resource.countDocuments({
+            ...Resource.inServiceFilter(currentTime),
+            _id: { $nin: resourcesWithActiveAllocation }
+        });
 
         // =========================================================================
         // Get Recent Allocations (for quick preview)
@@ -101,26 +139,27 @@ const getDashboardStats = async (req, res) => {
             .limit(5);
 
         // Process recent allocations to add status
-        const recentAllocationsWithStatus = recentAllocations.map(alloc => {
-            let status;
-            if (currentTime < alloc.startTime) {
-                status = 'Upcoming';
-            } else if (currentTime >= alloc.startTime && currentTime <= alloc.endTime) {
-                status = 'Active';
-            } else {
-                status = 'Completed';
-            }
+        const recentAllocationsWithStatus = recentAllocations.map(alloc => ({
+            _id: alloc._id,
+            resource: alloc.resourceId ? alloc.resourceId.name : 'Unknown',
+            assignedTo: alloc.assignedTo,
+            startTime: alloc.startTime,
+            endTime: alloc.endTime,
+            status: getTimeStatus(alloc, currentTime)
+        }));
 
-            return {
-                _id: alloc._id,
-                resource: alloc.resourceId ? alloc.resourceId.name : 'Unknown',
-                assignedTo: alloc.assignedTo,
-                startTime: alloc.startTime,
-                endTime: alloc.endTime,
-                status: status
-            };
+        // =========================================================================
+        // Count No-Shows
+        // =========================================================================
+        const myNoShows = await Allocation.countDocuments({
+            requestedBy: req.user._id,
+            noShow: true
         });
 
+        const noShowsByUser = hasPermission(req, 'allocations:approve') || hasPermission(req, 'allocations:manage')
+            ? await countNoShowsByUser()
+            : null;
+
         // =========================================================================
         // Send Response
         // =========================================================================
@@ -132,6 +171,8 @@ const getDashboardStats = async (req, res) => {
                 activeAllocations,
                 availableResources,
                 upcomingAllocations,
+                myNoShows,
+                noShowsByUser,
                 recentAllocations: recentAllocationsWithStatus
             }
         });
@@ -0,0 +1,197 @@
+/**
+ * =============================================================================
+ * SMARTALLOC - JOB CONTROLLER
+ * =============================================================================
+ * The background jobs (utils/jobs.js) and their history (models/Job.js),
+ * for admins with jobs:manage.
+ *
+ * Features:
+ * - List the jobs with their schedule and last run
+ * - Job history, newest first, by job and status
+ * - Run a job now
+ * - Retry a failed run
+ *
+ * @author SmartAlloc Team
+ * @version 1.0.0
+ * =============================================================================
+ */
+
+const Job = require('../models/Job');
+const { JOB_STATUSES, HISTORY_DAYS } = require('../models/Job');
+const { scheduleJob, listJobDefinitions, isJobDefined } = require('../utils/scheduler');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+/**
+ * Get the jobs with their schedule
+ * Route: GET /api/jobs/schedule
+ *
+ * Each job carries its next due time and its latest run.
+ */
+const getJobSchedule = async (req, res) => {
+    try {
+        const jobs = await Promise.all(listJobDefinitions().map(async (definition) => ({
+            ...definition,
+            lastRun: await Job.findOne({ name: definition.name, status: { $ne: 'scheduled' } })
+                .sort({ runAt: -1 })
+                .select('status runAt finishedAt result lastError')
+        })));
+
+        res.status(200).json({
+            success: true,
+            count: jobs.length,
+            historyDays: HISTORY_DAYS,
+            data: jobs
+        });
+    } catch (error) {
+        console.error('Error fetching job schedule:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch the job schedule',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Get the job history
+ * Route: GET /api/jobs
+ *
+ * Query: name, status (one of JOB_STATUSES, or "all"), limit (default 50, at most 200)
+ */
+const getJobs = async (req, res) => {
+    try {
+        const { name, status = 'all' } = req.query;
+        const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_LIMIT, MAX_LIMIT);
+
+        if (status !== 'all' && !JOB_STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: `status must be "all" or one of: ${JOB_STATUSES.join(', ')}`
+            });
+        }
+
+        const filter = {};
+        if (name) filter.name = name;
+        if (status !== 'all') filter.status = status;
+
+        const jobs = await Job.find(filter)
+            .populate('triggeredBy', 'name')
+            .sort({ runAt: -1 })
+            .limit(limit);
+
+        res.status(200).json({
+            success: true,
+            count: jobs.length,
+            data: jobs
+        });
+    } catch (error) {
+        console.error('Error fetching jobs:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch the job history',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Run a job now
+ * Route: POST /api/jobs/schedule/:name/run
+ *
+ * The run is picked up by the next scheduler tick of any instance.
+ */
+const runJobNow = async (req, res) => {
+    try {
+        if (!isJobDefined(req.params.name)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Job not found'
+            });
+        }
+
+        const job = await scheduleJob(req.params.name, new Date(), { triggeredBy: req.user._id });
+
+        res.status(201).json({
+            success: true,
+            message: `"${job.name}" will run within a few seconds`,
+            data: job
+        });
+    } catch (error) {
+        console.error('Error scheduling job:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to schedule the job',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Retry a failed run
+ * Route: POST /api/jobs/:id/retry
+ *
+ * The run gets a fresh set of attempts; its last error is kept until it
+ * runs again.
+ */
+const retryJob = async (req, res) => {
+    try {
+        const job = await Job.findById(req.params.id);
+
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                message: 'Job run not found'
+            });
+        }
+
+        if (!isJobDefined(job.name)) {
+            return res.status(400).json({
+                success: false,
+                message: `"${job.name}" is no longer a job of this server`
+            });
+        }
+
+        // Only failed runs, and only once if two admins click together
+        const retried = await Job.findOneAndUpdate(
+            { _id: job._id, status: 'failed' },
+            { $set: { status: 'scheduled', runAt: new Date(), attempts: 0, finishedAt: null, triggeredBy: req.user._id } },
+            { new: true }
+        );
+
+        if (!retried) {
+            return res.status(400).json({
+                success: false,
+                message: 'Only failed runs can be retried'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: `"${retried.name}" will run again within a few seconds`,
+            data: retried
+        });
+    } catch (error) {
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid job ID format'
+            });
+        }
+
+        console.error('Error retrying job:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retry the job',
+            error: error.message
+        });
+    }
+};
+
+module.exports = {
+    getJobSchedule,
+    getJobs,
+    runJobNow,
+    retryJob
+};
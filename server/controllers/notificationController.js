@@ -0,0 +1,150 @@
+/**
+ * =============================================================================
+ * SMARTALLOC - NOTIFICATION CONTROLLER
+ * =============================================================================
+ * The current user's in-app notifications (see models/Notification.js).
+ * They are created by utils/notifications.js as things happen.
+ *
+ * Features:
+ * - List your notifications, newest first, optionally unread only
+ * - Unread count (for the bell badge)
+ * - Mark one, or all, as read
+ *
+ * @author SmartAlloc Team
+ * @version 1.0.0
+ * =============================================================================
+ */
+
+const Notification = require('../models/Notification');
+
+const DEFAULT_LIMIT = 30;
+const MAX_LIMIT = 100;
+
+/**
+ * Get the current user's notifications
+ * Route: GET /api/notifications
+ *
+ * Query: unread=true (unread only), limit (default 30, at most 100)
+ * The response also carries unreadCount.
+ */
+const getMyNotifications = async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_LIMIT, MAX_LIMIT);
+
+        const filter = { userId: req.user._id };
+        if (req.query.unread === 'true') filter.readAt = null;
+
+        const [notifications, unreadCount] = await Promise.all([
+            Notification.find(filter).sort({ createdAt: -1 }).limit(limit),
+            Notification.countUnread(req.user._id)
+        ]);
+
+        res.status(200).json({
+            success: true,
+            count: notifications.length,
+            unreadCount,
+            data: notifications
+        });
+    } catch (error) {
+        console.error('Error fetching notifications:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch notifications',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Get the current user's unread count
+ * Route: GET /api/notifications/unread-count
+ */
+const getUnreadCount = async (req, res) => {
+    try {
+        res.status(200).json({
+            success: true,
+            count: await Notification.countUnread(req.user._id)
+        });
+    } catch (error) {
+        console.error('Error counting notifications:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to count notifications',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Mark one of your notifications as read
+ * Route: PUT /api/notifications/:id/read
+ */
+const markNotificationRead = async (req, res) => {
+    try {
+        const notification = await Notification.findOne({ _id: req.params.id, userId: req.user._id });
+
+        if (!notification) {
+            return res.status(404).json({
+                success: false,
+                message: 'Notification not found'
+            });
+        }
+
+        if (!notification.readAt) {
+            notification.readAt = new Date();
+            await notification.save();
+        }
+
+        res.status(200).json({
+            success: true,
+            data: notification
+        });
+    } catch (error) {
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid notification ID format'
+            });
+        }
+
+        console.error('Error updating notification:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update notification',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Mark all of your notifications as read
+ * Route: PUT /api/notifications/read-all
+ */
+const markAllNotificationsRead = async (req, res) => {
+    try {
+        const result = await Notification.updateMany(
+            { userId: req.user._id, readAt: null },
+            { $set: { readAt: new Date() } }
+        );
+
+        res.status(200).json({
+            success: true,
+            message: `${result.modifiedCount} notification(s) marked as read`,
+            count: result.modifiedCount
+        });
+    } catch (error) {
+        console.error('Error updating notifications:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update notifications',
+            error: error.message
+        });
+    }
+};
+
+module.exports = {
+    getMyNotifications,
+    getUnreadCount,
+    markNotificationRead,
+    markAllNotificationsRead
+};
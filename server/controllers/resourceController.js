@@ -7,14 +7,241 @@
  * This controller provides functionality for:
  * - Creating new resources
  * - Fetching all resources with their current allocation status
+ * - Filtering resources by type, capacity, location, amenities and custom fields
+ * - Searching for resources that are free in a given time window
+ * - Returning a resource's busy blocks and free gaps over a range
+ * - Editing, taking out of service, retiring and (soft) deleting resources
  * 
  * @author SmartAlloc Team
  * @version 1.0.0
  * =============================================================================
  */
 
+const mongoose = require('mongoose');
 const Resource = require('../models/Resource');
+const { COMMON_AMENITIES, normaliseAmenities } = require('../models/Resource');
+const ResourceField = require('../models/ResourceField');
+const ResourceType = require('../models/ResourceType');
 const Allocation = require('../models/Allocation');
+const User = require('../models/User');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const { computeFreeGaps } = require('../utils/schedule');
+const { withResourceLock } = require('../utils/resourceLock');
+const { escapeRegex } = require('../utils/query');
+const { pickPolicy } = require('../utils/bookingPolicy');
+const { notifyRemoved } = require('../utils/notifications');
+const { publishAllocationChange, publishResourceChange } = require('../utils/realtime');
+const { audit, snapshot } = require('../utils/audit');
+
+// Longest range the schedule endpoint will compute in one request
+const MAX_SCHEDULE_RANGE_DAYS = 31;
+
+// Service states that can be set through PUT /api/resources/:id/service
+const SERVICE_STATUSES = ['active', 'out_of_service', 'retired'];
+
+// What happens to future bookings when a resource is retired or deleted
+const FUTURE_ALLOCATION_ACTIONS = ['cancel', 'flag'];
+
+/**
+ * Lifecycle fields included in resource responses
+ */
+const toServiceSummary = (resource, at) => ({
+    serviceStatus: resource.getServiceStatus(at),
+    serviceReason: resource.serviceReason,
+    returnDate: resource.returnDate,
+    serviceChangedAt: resource.serviceChangedAt,
+    archivedAt: resource.archivedAt
+});
+
+/**
+ * Status shown for a resource: its service state first, then whether an
+ * approved booking is running (see getAllResources / getResourceById)
+ *
+ * @param {Object} resource - Resource document
+ * @param {Object|null} activeAllocation - Approved allocation running at "at"
+ * @param {Date} at - Moment to evaluate
+ * @returns {String} 'Archived', 'Retired', 'Out of Service', 'Allocated' or 'Available'
+ */
+const resourceStatus = (resource, activeAllocation, at) => {
+    const serviceStatus = resource.getServiceStatus(at);
+    if (serviceStatus === 'archived') return 'Archived';
+    if (serviceStatus === 'retired') return 'Retired';
+    if (serviceStatus === 'out_of_service') return 'Out of Service';
+    return activeAllocation ? 'Allocated' : 'Available';
+};
+
+// Parts of Resource.location that can be set and filtered on
+const LOCATION_FIELDS = ['building', 'floor', 'room'];
+
+/**
+ * Build the MongoDB filter for a resource search from query parameters.
+ * Shared by GET /api/resources and GET /api/resources/available.
+ *
+ * Supported parameters:
+ * - type                       Exact resource type
+ * - minCapacity / maxCapacity  Capacity range
+ * - building, floor, room      Case-insensitive exact match
+ * - amenities                  Comma-separated; resource must have all of them
+ * - search                     Case-insensitive substring of name or description
+ * - custom[key]=value          Custom field value, converted using the field
+ *                              definition (numbers, true/false, ...)
+ *
+ * @param {Object} query - req.query
+ * @param {Boolean} includeRetired - Also match retired resources
+ * @returns {Object} { filter } or { error } (message for a 400 response)
+ */
+const buildResourceFilter = async (query, includeRetired = false) => {
+    const { type, minCapacity, maxCapacity, amenities, search, custom } = query;
+    const filter = Resource.listedFilter(includeRetired);
+
+    if (type) {
+        filter.type = type;
+    }
+
+    const capacityBounds = [['minCapacity', minCapacity, '$gte'], ['maxCapacity', maxCapacity, '$lte']];
+    for (const [name, value, operator] of capacityBounds) {
+        if (value === undefined || value === '') continue;
+
+        const capacity = Number(value);
+        if (!Number.isFinite(capacity) || capacity < 0) {
+            return { error: `${name} must be a non-negative number` };
+        }
+        filter.capacity = { ...filter.capacity, [operator]: capacity };
+    }
+
+    LOCATION_FIELDS.forEach(field => {
+        if (query[field]) {
+            filter[`location.${field}`] = { $regex: `^${escapeRegex(String(query[field]).trim())}$`, $options: 'i' };
+        }
+    });
+
+    if (amenities) {
+        filter.amenities = { $all: normaliseAmenities(amenities) };
+    }
+
+    if (search) {
+        const pattern = { $regex: escapeRegex(search), $options: 'i' };
+        filter.$or = [{ name: pattern }, { description: pattern }];
+    }
+
+    if (custom !== undefined) {
+        if (typeof custom !== 'object' || Array.isArray(custom)) {
+            return { error: 'Custom field filters must look like custom[key]=value' };
+        }
+
+        const keys = Object.keys(custom);
+        const definitions = await ResourceField.find({
+            key: { $in: keys },
+            ...(type ? { resourceType: type } : {})
+        });
+
+        for (const key of keys) {
+            const matching = definitions.filter(definition => definition.key === key);
+            if (matching.length === 0) {
+                return { error: `Unknown custom field "${key}"` };
+            }
+
+            // The same key may exist on several types with different field types
+            const results = matching.map(definition => definition.coerce(custom[key]));
+            const values = results.filter(result => !result.error).map(result => result.value);
+            if (values.length === 0) {
+                return { error: results[0].error };
+            }
+            filter[`customFields.${key}`] = { $in: [...new Set(values)] };
+        }
+    }
+
+    return { filter };
+};
+
+/**
+ * Location from a request body, keeping only the known parts
+ */
+const pickLocation = (location) => {
+    if (!location || typeof location !== 'object') return {};
+
+    return LOCATION_FIELDS.reduce((picked, field) => {
+        if (location[field] !== undefined) {
+            picked[field] = location[field] === null ? '' : String(location[field]);
+        }
+        return picked;
+    }, {});
+};
+
+/**
+ * Approver group from a request body: an array or comma-separated string
+ * of user IDs, every one of them an existing user.
+ *
+ * @returns {Object} { approvers } or { error } (message for a 400 response)
+ */
+const pickApprovers = async (approvers) => {
+    const ids = [...new Set((Array.isArray(approvers) ? approvers : String(approvers || '').split(','))
+        .map(id => String(id._id || id).trim())
+        .filter(Boolean))];
+
+    if (!ids.every(id => mongoose.isValidObjectId(id))
+        || await User.countDocuments({ _id: { $in: ids } }) !== ids.length) {
+        return { error: 'Every approver must be an existing user' };
+    }
+
+    return { approvers: ids };
+};
+
+/**
+ * Cancel or flag for review the pending/approved allocations of a resource
+ * that start at or after "from" (and before "until", if given).
+ * Bookings already in progress are left alone. Cancelling also closes
+ * the waitlist entries for those slots and notifies the requesters.
+ * Connected clients are told either way, and each change is added to the
+ * request's audit events.
+ *
+ * Must run under the resource's booking lock so no booking can slip in
+ * between the service change and this update.
+ *
+ * @param {Object} req - The request making the change
+ * @param {ObjectId} resourceId - Resource whose bookings are affected
+ * @param {String} action - 'cancel' or 'flag'
+ * @param {String} reason - Stored on each allocation for the requester/admins
+ * @param {Date} from - Earliest start affected
+ * @param {Date} until - Optional latest start (exclusive)
+ * @returns {Number} Number of allocations changed
+ */
+const handleFutureAllocations = async (req, resourceId, action, reason, from, until = null) => {
+    const filter = {
+        resourceId,
+        approvalStatus: { $in: ['pending', 'approved'] },
+        startTime: until ? { $gte: from, $lt: until } : { $gte: from }
+    };
+
+    const update = action === 'cancel'
+        ? { approvalStatus: 'cancelled', cancelledAt: new Date(), cancellationReason: reason }
+        : { needsReview: true, reviewReason: reason };
+
+    const affected = await Allocation.find(filter);
+    const result = await Allocation.updateMany(filter, { $set: update });
+
+    affected.forEach(allocation => audit(req, `allocation.${action}`, allocation, {
+        before: allocation,
+        after: { ...snapshot(allocation), ...snapshot(update) },
+        details: { reason }
+    }));
+
+    publishAllocationChange(action === 'cancel' ? 'cancelled' : 'updated', affected.map(allocation => ({
+        ...allocation.toObject(),
+        ...update
+    })));
+
+    // Nobody can be booked into those slots any more
+    if (action === 'cancel') {
+        await notifyRemoved(affected, 'allocation_cancelled', { reason });
+        await WaitlistEntry.updateMany(
+            { resourceId, status: 'waiting', startTime: filter.startTime },
+            { $set: { status: 'cancelled', closedAt: new Date(), closedReason: reason } }
+        );
+    }
+
+    return result.modifiedCount;
+};
 
 /**
  * =============================================================================
@@ -28,7 +255,13 @@ const Allocation = require('../models/Allocation');
  * {
  *   "name": "Conference Room A",
  *   "type": "Room",
- *   "description": "10-person meeting room with projector"
+ *   "description": "10-person meeting room with projector",
+ *   "capacity": 10,                                          // optional
+ *   "location": { "building": "HQ", "floor": "2", "room": "2.14" },
+ *   "amenities": ["projector", "whiteboard"],
+ *   "customFields": { "hasPhone": true },                    // see ResourceField
+ *   "bookingPolicy": { "maxDurationMinutes": 60 },           // overrides the type's policy
+ *   "approvers": ["65abc123..."]                             // users who approve its requests
  * }
  * 
  * Response:
@@ -41,7 +274,7 @@ const Allocation = require('../models/Allocation');
 const createResource = async (req, res) => {
     try {
         // Extract resource data from request body
-        const { name, type, description } = req.body;
+        const { name, type, description, capacity, location, amenities, customFields, bookingPolicy, approvers } = req.body;
 
         // Validate required fields
         if (!name || !type) {
@@ -51,15 +284,49 @@ const createResource = async (req, res) => {
             });
         }
 
+        // Type must be one of the managed resource types
+        if (!(await ResourceType.exists({ name: String(type).trim() }))) {
+            return res.status(400).json({
+                success: false,
+                message: `Unknown resource type "${type}"`
+            });
+        }
+
+        // Check custom field values against the type's definitions
+        const custom = await ResourceField.validateValues(String(type).trim(), customFields);
+        if (custom.errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation error',
+                errors: custom.errors
+            });
+        }
+
+        const approverGroup = await pickApprovers(approvers);
+        if (approverGroup.error) {
+            return res.status(400).json({
+                success: false,
+                message: approverGroup.error
+            });
+        }
+
         // Create new resource document
         const newResource = new Resource({
             name,
             type,
-            description: description || ''
+            description: description || '',
+            capacity: capacity === '' || capacity === undefined ? null : capacity,
+            location: pickLocation(location),
+            amenities: amenities || [],
+            customFields: custom.values,
+            bookingPolicy: pickPolicy(bookingPolicy, { inherit: true }),
+            approvers: approverGroup.approvers
         });
 
         // Save to database
         const savedResource = await newResource.save();
+        publishResourceChange('created', savedResource);
+        audit(req, 'resource.create', savedResource, { after: savedResource });
 
         // Send success response
         res.status(201).json({
@@ -69,7 +336,7 @@ const createResource = async (req, res) => {
         });
 
     } catch (error) {
-        // Handle validation errors
+        // Handle validation errors (including values that can't be cast, e.g. capacity "ten")
         if (error.name === 'ValidationError') {
             return res.status(400).json({
                 success: false,
@@ -94,7 +361,11 @@ const createResource = async (req, res) => {
  * =============================================================================
  * Fetches all resources and calculates their current availability status.
  * 
- * Route: GET /api/resources
+ * Route: GET /api/resources?includeRetired=true
+ * 
+ * Deleted resources are never listed; retired ones only with includeRetired.
+ * Accepts the search filters described in buildResourceFilter, e.g.
+ * ?type=Room&minCapacity=8&building=HQ&amenities=projector&custom[hasPhone]=true
  * 
  * Status Calculation Logic:
  * For each resource, check if there's an active allocation where:
@@ -102,6 +373,7 @@ const createResource = async (req, res) => {
  * 
  * If an active allocation exists → Status = "Allocated" (Red badge)
  * If no active allocation → Status = "Available" (Green badge)
+ * Out of service / retired resources → Status = "Out of Service" / "Retired"
  * 
  * Response:
  * {
@@ -122,8 +394,16 @@ const createResource = async (req, res) => {
  */
 const getAllResources = async (req, res) => {
     try {
-        // Fetch all resources from database
-        const resources = await Resource.find().sort({ createdAt: -1 });
+        const { filter, error } = await buildResourceFilter(req.query, req.query.includeRetired === 'true');
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+
+        // Fetch matching resources from database
+        const resources = await Resource.find(filter).sort({ createdAt: -1 });
 
         // Get current time for status calculation
         const currentTime = new Date();
@@ -135,17 +415,19 @@ const getAllResources = async (req, res) => {
                  * Find active allocation for this resource
                  * 
                  * An allocation is active if:
+                 * - it is approved (pending requests don't hold the resource)
                  * - startTime <= currentTime (allocation has started)
                  * - endTime >= currentTime (allocation hasn't ended)
                  */
                 const activeAllocation = await Allocation.findOne({
                     resourceId: resource._id,
+                    approvalStatus: 'approved',
                     startTime: { $lte: currentTime },
                     endTime: { $gte: currentTime }
                 }).populate('resourceId', 'name');
 
-                // Determine status based on active allocation
-                const status = activeAllocation ? 'Allocated' : 'Available';
+                // Determine status based on service state, then active allocation
+                const status = resourceStatus(resource, activeAllocation, currentTime);
 
                 // Return resource with status information
                 return {
@@ -153,8 +435,15 @@ const getAllResources = async (req, res) => {
                     name: resource.name,
                     type: resource.type,
                     description: resource.description,
+                    capacity: resource.capacity,
+                    location: resource.location,
+                    amenities: resource.amenities,
+                    customFields: resource.customFields,
+                    bookingPolicy: resource.bookingPolicy,
+                    approvers: resource.approvers,
                     createdAt: resource.createdAt,
                     status: status,
+                    ...toServiceSummary(resource, currentTime),
                     currentAllocation: activeAllocation ? {
                         assignedTo: activeAllocation.assignedTo,
                         startTime: activeAllocation.startTime,
@@ -182,11 +471,111 @@ const getAllResources = async (req, res) => {
     }
 };
 
+/**
+ * =============================================================================
+ * GET AVAILABLE RESOURCES (AVAILABILITY SEARCH)
+ * =============================================================================
+ * Answers "what is free from X to Y?" - returns every resource that has no
+ * approved allocation overlapping the requested window.
+ * 
+ * Route: GET /api/resources/available?start=&end=&type=&minCapacity=
+ * 
+ * Query Parameters:
+ * - start (required): Window start (ISO date string)
+ * - end (required): Window end (ISO date string), must be after start
+ * - type (optional): Only resources of this type
+ * - minCapacity (optional): Only resources with capacity >= this value
+ * - excludeAllocation (optional): Ignore this allocation, so the resource
+ *   it books counts as free when rescheduling it
+ * - any other filter from buildResourceFilter (building, amenities, ...)
+ * 
+ * Uses the same overlap rule as conflict detection (Allocation.findOverlapping),
+ * so every resource returned here can be booked for the window. Deleted,
+ * retired and out-of-service resources are left out.
+ */
+const getAvailableResources = async (req, res) => {
+    try {
+        const { start, end, excludeAllocation } = req.query;
+
+        if (!start || !end) {
+            return res.status(400).json({
+                success: false,
+                message: 'start and end query parameters are required'
+            });
+        }
+
+        const startTime = new Date(start);
+        const endTime = new Date(end);
+
+        if (isNaN(startTime.getTime()) || isNaN(endTime.getTime())) {
+            return res.status(400).json({
+                success: false,
+                message: 'start and end must be valid dates'
+            });
+        }
+
+        if (endTime <= startTime) {
+            return res.status(400).json({
+                success: false,
+                message: 'End time must be after start time'
+            });
+        }
+
+        // Build resource filter from optional query parameters
+        const { filter, error } = await buildResourceFilter(req.query);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+
+        const candidates = (await Resource.find(filter).sort({ name: 1 }))
+            .filter(resource => !resource.getBookingBlock(startTime));
+
+        if (excludeAllocation && !mongoose.isValidObjectId(excludeAllocation)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid allocation ID format'
+            });
+        }
+
+        // Resources with an approved allocation in the window are not bookable
+        const busyResourceIds = await Allocation.findOverlapping(
+            candidates.map(resource => resource._id),
+            startTime,
+            endTime,
+            excludeAllocation || null
+        ).where('approvalStatus').equals('approved').distinct('resourceId');
+
+        const busy = new Set(busyResourceIds.map(id => id.toString()));
+        const availableResources = candidates.filter(resource => !busy.has(resource._id.toString()));
+
+        res.status(200).json({
+            success: true,
+            count: availableResources.length,
+            window: { start: startTime, end: endTime },
+            data: availableResources
+        });
+
+    } catch (error) {
+        console.error('Error searching available resources:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to search available resources',
+            error: error.message
+        });
+    }
+};
+
 /**
  * =============================================================================
  * GET SINGLE RESOURCE BY ID
  * =============================================================================
  * Fetches a single resource by its ID with current status.
+ * effectiveBookingPolicy is its type's policy with the resource's own
+ * overrides (bookingPolicy) applied - the rules bookings are checked against.
+ * approvers is populated with the approvers' names.
  * 
  * Route: GET /api/resources/:id
  * 
@@ -197,7 +586,7 @@ const getResourceById = async (req, res) => {
         const { id } = req.params;
 
         // Find resource by ID
-        const resource = await Resource.findById(id);
+        const resource = await Resource.findById(id).populate('approvers', 'name department');
 
         if (!resource) {
             return res.status(404).json({
@@ -206,10 +595,11 @@ const getResourceById = async (req, res) => {
             });
         }
 
-        // Check for active allocation
+        // Check for an active approved allocation
         const currentTime = new Date();
         const activeAllocation = await Allocation.findOne({
             resourceId: resource._id,
+            approvalStatus: 'approved',
             startTime: { $lte: currentTime },
             endTime: { $gte: currentTime }
         });
@@ -219,7 +609,9 @@ const getResourceById = async (req, res) => {
             success: true,
             data: {
                 ...resource.toObject(),
-                status: activeAllocation ? 'Allocated' : 'Available',
+                effectiveBookingPolicy: await resource.getBookingPolicy(),
+                status: resourceStatus(resource, activeAllocation, currentTime),
+                ...toServiceSummary(resource, currentTime),
                 currentAllocation: activeAllocation || null
             }
         });
@@ -234,9 +626,549 @@ const getResourceById = async (req, res) => {
     }
 };
 
+/**
+ * =============================================================================
+ * GET RESOURCE SCHEDULE (FREE / BUSY)
+ * =============================================================================
+ * Returns the busy blocks and computed free gaps for one resource over a
+ * range. Powers the day/week timeline views.
+ * 
+ * Route: GET /api/resources/:id/schedule?from=&to=&includePending=true
+ * 
+ * Query Parameters:
+ * - from (optional): Range start, defaults to the start of today
+ * - to (optional): Range end, defaults to one day after "from"
+ * - includePending (optional): Also return pending requests as busy blocks
+ * 
+ * Free gaps are computed from approved allocations only - pending requests
+ * do not block new bookings (same rule as conflict detection).
+ * 
+ * Response:
+ * {
+ *   "success": true,
+ *   "data": {
+ *     "resource": { "_id": "...", "name": "Room A", "type": "Room" },
+ *     "from": "...", "to": "...",
+ *     "busy": [{ "startTime": "...", "endTime": "...", "approvalStatus": "approved", ... }],
+ *     "free": [{ "startTime": "...", "endTime": "..." }]
+ *   }
+ * }
+ */
+const getResourceSchedule = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const includePending = req.query.includePending === 'true';
+
+        // Default range: today (local server time)
+        let from;
+        if (req.query.from) {
+            from = new Date(req.query.from);
+        } else {
+            from = new Date();
+            from.setHours(0, 0, 0, 0);
+        }
+        const to = req.query.to
+            ? new Date(req.query.to)
+            : new Date(from.getTime() + 24 * 60 * 60 * 1000);
+
+        if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+            return res.status(400).json({
+                success: false,
+                message: 'from and to must be valid dates'
+            });
+        }
+
+        if (to <= from) {
+            return res.status(400).json({
+                success: false,
+                message: '"to" must be after "from"'
+            });
+        }
+
+        if (to - from > MAX_SCHEDULE_RANGE_DAYS * 24 * 60 * 60 * 1000) {
+            return res.status(400).json({
+                success: false,
+                message: `Schedule range cannot exceed ${MAX_SCHEDULE_RANGE_DAYS} days`
+            });
+        }
+
+        const resource = await Resource.findById(id);
+
+        if (!resource) {
+            return res.status(404).json({
+                success: false,
+                message: 'Resource not found'
+            });
+        }
+
+        const statuses = includePending ? ['approved', 'pending'] : ['approved'];
+        const allocations = await Allocation.findOverlapping(resource._id, from, to)
+            .where('approvalStatus').in(statuses)
+            .sort({ startTime: 1 });
+
+        const busy = allocations.map(alloc => ({
+            _id: alloc._id,
+            startTime: alloc.startTime,
+            endTime: alloc.endTime,
+            assignedTo: alloc.assignedTo,
+            purpose: alloc.purpose,
+            approvalStatus: alloc.approvalStatus,
+            seriesId: alloc.seriesId
+        }));
+
+        const free = computeFreeGaps(
+            allocations.filter(alloc => alloc.approvalStatus === 'approved'),
+            from,
+            to
+        );
+
+        res.status(200).json({
+            success: true,
+            data: {
+                resource: {
+                    _id: resource._id,
+                    name: resource.name,
+                    type: resource.type,
+                    ...toServiceSummary(resource, new Date())
+                },
+                from,
+                to,
+                busy,
+                free
+            }
+        });
+
+    } catch (error) {
+        if (error.name === 'CastError' && error.kind === 'ObjectId') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid resource ID format'
+            });
+        }
+
+        console.error('Error fetching resource schedule:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch resource schedule',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * =============================================================================
+ * GET AMENITIES
+ * =============================================================================
+ * Amenity tags for form suggestions and filters: the common ones plus every
+ * tag already used on a listed resource.
+ * 
+ * Route: GET /api/resources/amenities
+ */
+const getAmenities = async (req, res) => {
+    try {
+        const used = await Resource.distinct('amenities', Resource.listedFilter());
+        const amenities = [...new Set([...COMMON_AMENITIES, ...used])].sort();
+
+        res.status(200).json({
+            success: true,
+            count: amenities.length,
+            data: amenities
+        });
+
+    } catch (error) {
+        console.error('Error fetching amenities:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch amenities',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * =============================================================================
+ * UPDATE RESOURCE
+ * =============================================================================
+ * Edits a resource's details and attributes.
+ * 
+ * Route: PUT /api/resources/:id
+ * 
+ * Request Body (any subset):
+ * {
+ *   "name": "Conference Room B",
+ *   "type": "Room",
+ *   "description": "Now with a whiteboard",
+ *   "capacity": 12,                          // null clears it
+ *   "location": { "floor": "3" },            // only the given parts change
+ *   "amenities": ["whiteboard"],             // replaces the list
+ *   "customFields": { "hasPhone": false },   // replaces all values
+ *   "bookingPolicy": { "slotMinutes": 30 },  // only the given fields change; "" inherits again
+ *   "approvers": ["65abc123..."]             // replaces the approver group
+ * }
+ * 
+ * When the type changes without new customFields, values that the new
+ * type also defines are kept and the rest are dropped.
+ */
+const updateResource = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { name, type, description, capacity, location, amenities, customFields, bookingPolicy, approvers } = req.body;
+
+        const resource = await Resource.findById(id);
+
+        if (!resource || resource.archivedAt) {
+            return res.status(404).json({
+                success: false,
+                message: 'Resource not found'
+            });
+        }
+
+        const before = snapshot(resource);
+        const previousType = resource.type;
+
+        if (type !== undefined && String(type).trim() !== previousType
+            && !(await ResourceType.exists({ name: String(type).trim() }))) {
+            return res.status(400).json({
+                success: false,
+                message: `Unknown resource type "${type}"`
+            });
+        }
+
+        if (name !== undefined) resource.name = name;
+        if (type !== undefined) resource.type = type;
+        if (description !== undefined) resource.description = description;
+        if (capacity !== undefined) resource.capacity = capacity === '' ? null : capacity;
+        if (amenities !== undefined) resource.amenities = amenities || [];
+        Object.entries(pickLocation(location)).forEach(([field, value]) => {
+            resource.location[field] = value;
+        });
+        Object.entries(pickPolicy(bookingPolicy, { inherit: true })).forEach(([field, value]) => {
+            resource.bookingPolicy[field] = value;
+        });
+
+        if (approvers !== undefined) {
+            const approverGroup = await pickApprovers(approvers);
+            if (approverGroup.error) {
+                return res.status(400).json({
+                    success: false,
+                    message: approverGroup.error
+                });
+            }
+            resource.approvers = approverGroup.approvers;
+        }
+
+        if (customFields !== undefined || resource.type !== previousType) {
+            const custom = await ResourceField.validateValues(
+                resource.type,
+                customFields !== undefined ? customFields : resource.customFields,
+                { ignoreUnknown: customFields === undefined }
+            );
+
+            if (custom.errors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation error',
+                    errors: custom.errors
+                });
+            }
+            resource.customFields = custom.values;
+        }
+
+        const savedResource = await resource.save();
+        publishResourceChange('updated', savedResource);
+        audit(req, 'resource.update', savedResource, { before, after: savedResource });
+
+        res.status(200).json({
+            success: true,
+            message: 'Resource updated successfully',
+            data: savedResource
+        });
+
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation error',
+                errors: Object.values(error.errors).map(err => err.message)
+            });
+        }
+
+        if (error.name === 'CastError' && error.kind === 'ObjectId') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid resource ID format'
+            });
+        }
+
+        console.error('Error updating resource:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update resource',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * =============================================================================
+ * UPDATE SERVICE STATUS (OUT OF SERVICE / RETIRE / BACK IN SERVICE)
+ * =============================================================================
+ * Route: PUT /api/resources/:id/service
+ * 
+ * Request Body:
+ * {
+ *   "status": "out_of_service",        // "active", "out_of_service" or "retired"
+ *   "reason": "Lamp replacement",       // Required unless status is "active"
+ *   "returnDate": "2024-02-01T09:00Z",  // Optional, out_of_service only
+ *   "futureAllocations": "cancel"       // retired only: "cancel" (default) or "flag"
+ * }
+ * 
+ * Effects on existing bookings:
+ * - out_of_service: pending/approved bookings starting before the return
+ *   date are flagged for review (needsReview); new bookings are blocked
+ * - retired: future bookings are cancelled (the requester sees the reason)
+ *   or flagged for review
+ * - active: nothing changes, new bookings are allowed again
+ * 
+ * Runs under the resource's booking lock so no booking slips in between
+ * the service change and the cancellation/flagging.
+ */
+const updateResourceService = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { status, reason, returnDate, futureAllocations = 'cancel' } = req.body;
+
+        if (!SERVICE_STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: `status must be one of ${SERVICE_STATUSES.join(', ')}`
+            });
+        }
+
+        if (status !== 'active' && !(reason && reason.trim())) {
+            return res.status(400).json({
+                success: false,
+                message: 'A reason is required'
+            });
+        }
+
+        if (!FUTURE_ALLOCATION_ACTIONS.includes(futureAllocations)) {
+            return res.status(400).json({
+                success: false,
+                message: `futureAllocations must be one of ${FUTURE_ALLOCATION_ACTIONS.join(', ')}`
+            });
+        }
+
+        const currentTime = new Date();
+        let parsedReturnDate = null;
+
+        if (status === 'out_of_service' && returnDate) {
+            parsedReturnDate = new Date(returnDate);
+
+            if (isNaN(parsedReturnDate.getTime())) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'returnDate must be a valid date'
+                });
+            }
+
+            if (parsedReturnDate <= currentTime) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'returnDate must be in the future'
+                });
+            }
+        }
+
+        const resource = await Resource.findById(id);
+
+        if (!resource || resource.archivedAt) {
+            return res.status(404).json({
+                success: false,
+                message: 'Resource not found'
+            });
+        }
+
+        const before = snapshot(resource);
+        const affectedCount = await withResourceLock(resource._id, async () => {
+            resource.serviceStatus = status;
+            resource.serviceReason = status === 'active' ? '' : reason.trim();
+            resource.returnDate = parsedReturnDate;
+            resource.serviceChangedAt = currentTime;
+            await resource.save();
+
+            if (status === 'out_of_service') {
+                return handleFutureAllocations(
+                    req,
+                    resource._id,
+                    'flag',
+                    `Resource out of service: ${resource.serviceReason}`,
+                    currentTime,
+                    parsedReturnDate
+                );
+            }
+
+            if (status === 'retired') {
+                return handleFutureAllocations(
+                    req,
+                    resource._id,
+                    futureAllocations,
+                    `Resource retired: ${resource.serviceReason}`,
+                    currentTime
+                );
+            }
+
+            return 0;
+        });
+        publishResourceChange('updated', resource);
+        audit(req, 'resource.service', resource, { before, after: resource, details: { affectedAllocations: affectedCount } });
+
+        const messages = {
+            active: 'Resource is back in service',
+            out_of_service: `Resource marked out of service - ${affectedCount} booking(s) flagged for review`,
+            retired: `Resource retired - ${affectedCount} future booking(s) ${futureAllocations === 'cancel' ? 'cancelled' : 'flagged for review'}`
+        };
+
+        res.status(200).json({
+            success: true,
+            message: messages[status],
+            affectedAllocations: affectedCount,
+            data: {
+                ...resource.toObject(),
+                ...toServiceSummary(resource, currentTime)
+            }
+        });
+
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation error',
+                errors: Object.values(error.errors).map(err => err.message)
+            });
+        }
+
+        if (error.name === 'CastError' && error.kind === 'ObjectId') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid resource ID format'
+            });
+        }
+
+        if (error.name === 'ResourceLockError') {
+            return res.status(503).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Error updating resource service status:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update resource service status',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * =============================================================================
+ * DELETE RESOURCE (SOFT DELETE)
+ * =============================================================================
+ * Archives a resource: it disappears from lists and can no longer be booked,
+ * but the document stays so past allocations keep their resource details.
+ * 
+ * Route: DELETE /api/resources/:id?futureAllocations=cancel|flag
+ * 
+ * Future bookings are cancelled (default) or flagged for review, same as
+ * retiring.
+ */
+const deleteResource = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const futureAllocations = req.query.futureAllocations || 'cancel';
+
+        if (!FUTURE_ALLOCATION_ACTIONS.includes(futureAllocations)) {
+            return res.status(400).json({
+                success: false,
+                message: `futureAllocations must be one of ${FUTURE_ALLOCATION_ACTIONS.join(', ')}`
+            });
+        }
+
+        const resource = await Resource.findById(id);
+
+        if (!resource || resource.archivedAt) {
+            return res.status(404).json({
+                success: false,
+                message: 'Resource not found'
+            });
+        }
+
+        const currentTime = new Date();
+
+        const affectedCount = await withResourceLock(resource._id, async () => {
+            resource.archivedAt = currentTime;
+            await resource.save();
+
+            return handleFutureAllocations(
+                req,
+                resource._id,
+                futureAllocations,
+                'Resource was removed',
+                currentTime
+            );
+        });
+        publishResourceChange('deleted', resource);
+        audit(req, 'resource.delete', resource, {
+            before: { archivedAt: null },
+            after: { archivedAt: resource.archivedAt },
+            details: { futureAllocations, affectedAllocations: affectedCount }
+        });
+
+        res.status(200).json({
+            success: true,
+            message: `Resource deleted - ${affectedCount} future booking(s) ${futureAllocations === 'cancel' ? 'cancelled' : 'flagged for review'}`,
+            affectedAllocations: affectedCount,
+            data: {
+                _id: resource._id,
+                name: resource.name,
+                archivedAt: resource.archivedAt
+            }
+        });
+
+    } catch (error) {
+        if (error.name === 'CastError' && error.kind === 'ObjectId') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid resource ID format'
+            });
+        }
+
+        if (error.name === 'ResourceLockError') {
+            return res.status(503).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Error deleting resource:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete resource',
+            error: error.message
+        });
+    }
+};
+
 // Export all controller functions
 module.exports = {
     createResource,
     getAllResources,
-    getResourceById
+    getAvailableResources,
+    getAmenities,
+    getResourceById,
+    getResourceSchedule,
+    updateResource,
+    updateResourceService,
+    deleteResource
 };
@@ -0,0 +1,239 @@
+/**
+ * =============================================================================
+ * SMARTALLOC - RESOURCE FIELD CONTROLLER
+ * =============================================================================
+ * Controller for admin-defined custom fields on resource types.
+ *
+ * Features:
+ * - List field definitions, optionally for one type (Protected)
+ * - Create / update / delete definitions (resources:write)
+ *
+ * Rules:
+ * - A key is unique within its type
+ * - A field's key and type are fixed once created; values stored on
+ *   resources are found by key
+ * - Deleting a field removes its values from every resource of the type
+ *
+ * @author SmartAlloc Team
+ * @version 1.0.0
+ * =============================================================================
+ */
+
+const ResourceField = require('../models/ResourceField');
+const Resource = require('../models/Resource');
+const { audit, snapshot } = require('../utils/audit');
+
+/**
+ * Get field definitions
+ * Route: GET /api/resource-fields?type=Vehicle
+ */
+const getResourceFields = async (req, res) => {
+    try {
+        const filter = req.query.type ? { resourceType: req.query.type } : {};
+        const fields = await ResourceField.find(filter).sort({ resourceType: 1, order: 1, createdAt: 1 });
+
+        res.status(200).json({
+            success: true,
+            count: fields.length,
+            data: fields
+        });
+    } catch (error) {
+        console.error('Error fetching resource fields:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch resource fields',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Create a field definition
+ * Route: POST /api/resource-fields
+ * Requires resources:write
+ *
+ * Request Body:
+ * {
+ *   "resourceType": "Vehicle",
+ *   "key": "seats",
+ *   "label": "Seats",
+ *   "fieldType": "number",
+ *   "required": true,
+ *   "min": 1,
+ *   "max": 9
+ * }
+ *
+ * Existing resources of the type are not checked - a new required field
+ * must be filled in the next time each of them is edited.
+ */
+const createResourceField = async (req, res) => {
+    try {
+        const { resourceType, key, label, fieldType, options, required, min, max, order } = req.body;
+
+        const field = await ResourceField.create({
+            resourceType,
+            key,
+            label,
+            fieldType,
+            options: options || [],
+            required: Boolean(required),
+            min: min === '' || min === undefined ? null : min,
+            max: max === '' || max === undefined ? null : max,
+            order: order || 0
+        });
+        audit(req, 'resourceField.create', field, { after: field });
+
+        res.status(201).json({
+            success: true,
+            message: 'Field created successfully',
+            data: field
+        });
+    } catch (error) {
+        console.error('Error creating resource field:', error);
+
+        if (error.code === 11000) {
+            return res.status(400).json({
+                success: false,
+                message: 'This type already has a field with that key'
+            });
+        }
+
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation error',
+                errors: Object.values(error.errors).map(err => err.message)
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create field',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Update a field definition
+ * Route: PUT /api/resource-fields/:id
+ * Requires resources:write
+ *
+ * label, options, required, min, max and order can change; key,
+ * resourceType and fieldType cannot.
+ */
+const updateResourceField = async (req, res) => {
+    try {
+        const { key, resourceType, fieldType, label, options, required, min, max, order } = req.body;
+        const field = await ResourceField.findById(req.params.id);
+
+        if (!field) {
+            return res.status(404).json({
+                success: false,
+                message: 'Field not found'
+            });
+        }
+
+        const fixed = { key, resourceType, fieldType };
+        const changed = Object.keys(fixed).filter(name => fixed[name] !== undefined && fixed[name] !== field[name]);
+        if (changed.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `${changed.join(', ')} cannot be changed - delete the field and create a new one`
+            });
+        }
+
+        const before = snapshot(field);
+        if (label !== undefined) field.label = label;
+        if (options !== undefined) field.options = options;
+        if (required !== undefined) field.required = Boolean(required);
+        if (min !== undefined) field.min = min === '' ? null : min;
+        if (max !== undefined) field.max = max === '' ? null : max;
+        if (order !== undefined) field.order = order;
+
+        await field.save();
+        audit(req, 'resourceField.update', field, { before, after: field });
+
+        res.status(200).json({
+            success: true,
+            message: 'Field updated successfully',
+            data: field
+        });
+    } catch (error) {
+        console.error('Error updating resource field:', error);
+
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation error',
+                errors: Object.values(error.errors).map(err => err.message)
+            });
+        }
+
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid field ID format'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update field',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Delete a field definition and its stored values
+ * Route: DELETE /api/resource-fields/:id
+ * Requires resources:write
+ */
+const deleteResourceField = async (req, res) => {
+    try {
+        const field = await ResourceField.findById(req.params.id);
+
+        if (!field) {
+            return res.status(404).json({
+                success: false,
+                message: 'Field not found'
+            });
+        }
+
+        await field.deleteOne();
+        const result = await Resource.updateMany(
+            { type: field.resourceType },
+            { $unset: { [`customFields.${field.key}`]: '' } }
+        );
+        audit(req, 'resourceField.delete', field, { before: field, details: { resourcesUpdated: result.modifiedCount } });
+
+        res.status(200).json({
+            success: true,
+            message: `Field deleted - removed from ${result.modifiedCount} resource(s)`,
+            data: { _id: field._id, resourceType: field.resourceType, key: field.key }
+        });
+    } catch (error) {
+        console.error('Error deleting resource field:', error);
+
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid field ID format'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete field',
+            error: error.message
+        });
+    }
+};
+
+module.exports = {
+    getResourceFields,
+    createResourceField,
+    updateResourceField,
+    deleteResourceField
+};
@@ -0,0 +1,325 @@
+/**
+ * =============================================================================
+ * SMARTALLOC - RESOURCE TYPE CONTROLLER
+ * =============================================================================
+ * Controller for managed resource types.
+ *
+ * Features:
+ * - List types with the number of resources of each (Public)
+ * - Create / update / delete types (resources:write)
+ *
+ * Rules:
+ * - Type names are unique
+ * - Renaming a type also updates its resources, custom field definitions
+ *   and the auto-approval rules that name it
+ * - Approval chain steps of kind 'role' must name an existing role
+ * - A type that still has resources cannot be deleted
+ *
+ * @author SmartAlloc Team
+ * @version 1.0.0
+ * =============================================================================
+ */
+
+const ResourceType = require('../models/ResourceType');
+const Resource = require('../models/Resource');
+const ResourceField = require('../models/ResourceField');
+const ApprovalRule = require('../models/ApprovalRule');
+const Role = require('../models/Role');
+const { pickPolicy } = require('../utils/bookingPolicy');
+const { audit, snapshot } = require('../utils/audit');
+
+/**
+ * Approval chain from a request body (see models/ResourceType.js)
+ *
+ * @returns {Object} { chain } or { error } (message for a 400 response)
+ */
+const pickApprovalChain = async (approvalChain) => {
+    if (!Array.isArray(approvalChain)) {
+        return { error: 'approvalChain must be a list of steps' };
+    }
+
+    const chain = approvalChain.map(step => ({
+        name: step && step.name,
+        kind: step && step.kind,
+        role: step && step.kind === 'role' ? String(step.role || '').trim() : ''
+    }));
+
+    for (const step of chain) {
+        if (step.role && !(await Role.exists({ name: step.role }))) {
+            return { error: `Unknown role "${step.role}" in approval chain` };
+        }
+    }
+
+    return { chain };
+};
+
+/**
+ * Get all resource types
+ * Route: GET /api/resource-types
+ *
+ * Each type includes resourceCount (resources that are not deleted).
+ */
+const getResourceTypes = async (req, res) => {
+    try {
+        const [types, counts] = await Promise.all([
+            ResourceType.find().sort({ name: 1 }),
+            Resource.aggregate([
+                { $match: { archivedAt: null } },
+                { $group: { _id: '$type', count: { $sum: 1 } } }
+            ])
+        ]);
+
+        const resourceCounts = new Map(counts.map(item => [item._id, item.count]));
+
+        res.status(200).json({
+            success: true,
+            count: types.length,
+            data: types.map(type => ({
+                ...type.toObject(),
+                resourceCount: resourceCounts.get(type.name) || 0
+            }))
+        });
+    } catch (error) {
+        console.error('Error fetching resource types:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch resource types',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Create a resource type
+ * Route: POST /api/resource-types
+ * Requires resources:write
+ *
+ * Request Body:
+ * {
+ *   "name": "Vehicle",
+ *   "icon": "🚗",
+ *   "color": "#f59e0b",
+ *   "description": "Pool cars and vans",
+ *   "bookingPolicy": {                 // any subset, see models/ResourceType.js
+ *     "maxDurationMinutes": 480,
+ *     "requiresApproval": true,
+ *     "minLeadTimeMinutes": 60,
+ *     "maxAdvanceDays": 30,
+ *     "openTime": "07:00",
+ *     "closeTime": "19:00",
+ *     "allowedWeekdays": ["MO", "TU", "WE", "TH", "FR"],
+ *     "bufferAfterMinutes": 30,
+ *     "maxActivePerUser": 2
+ *   },
+ *   "approvalChain": [                 // steps in order, see models/ResourceType.js
+ *     { "name": "Line manager", "kind": "department_manager" },
+ *     { "name": "Fleet desk", "kind": "role", "role": "Facilities" }
+ *   ]
+ * }
+ */
+const createResourceType = async (req, res) => {
+    try {
+        const { name, icon, color, description, bookingPolicy, approvalChain } = req.body;
+
+        const approval = await pickApprovalChain(approvalChain || []);
+        if (approval.error) {
+            return res.status(400).json({
+                success: false,
+                message: approval.error
+            });
+        }
+
+        const resourceType = await ResourceType.create({
+            name,
+            icon,
+            color,
+            description,
+            bookingPolicy: pickPolicy(bookingPolicy),
+            approvalChain: approval.chain
+        });
+        audit(req, 'resourceType.create', resourceType, { after: resourceType });
+
+        res.status(201).json({
+            success: true,
+            message: 'Resource type created successfully',
+            data: resourceType
+        });
+    } catch (error) {
+        console.error('Error creating resource type:', error);
+
+        if (error.code === 11000) {
+            return res.status(400).json({
+                success: false,
+                message: 'A resource type with this name already exists'
+            });
+        }
+
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation error',
+                errors: Object.values(error.errors).map(err => err.message)
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create resource type',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Update a resource type
+ * Route: PUT /api/resource-types/:id
+ * Requires resources:write
+ *
+ * Only the booking policy fields that are sent change; approvalChain,
+ * when sent, replaces the whole chain. Requests already waiting keep the
+ * steps they were given. Renaming a type also updates every resource,
+ * custom field definition and auto-approval rule that uses it.
+ */
+const updateResourceType = async (req, res) => {
+    try {
+        const { name, icon, color, description, bookingPolicy, approvalChain } = req.body;
+        const resourceType = await ResourceType.findById(req.params.id);
+
+        if (!resourceType) {
+            return res.status(404).json({
+                success: false,
+                message: 'Resource type not found'
+            });
+        }
+
+        const before = snapshot(resourceType);
+        const previousName = resourceType.name;
+        if (name !== undefined) resourceType.name = name;
+        if (icon !== undefined) resourceType.icon = icon;
+        if (color !== undefined) resourceType.color = color;
+        if (description !== undefined) resourceType.description = description;
+        Object.entries(pickPolicy(bookingPolicy)).forEach(([field, value]) => {
+            resourceType.bookingPolicy[field] = value;
+        });
+
+        if (approvalChain !== undefined) {
+            const approval = await pickApprovalChain(approvalChain || []);
+            if (approval.error) {
+                return res.status(400).json({
+                    success: false,
+                    message: approval.error
+                });
+            }
+            resourceType.approvalChain = approval.chain;
+        }
+
+        await resourceType.save();
+        audit(req, 'resourceType.update', resourceType, { before, after: resourceType });
+
+        if (resourceType.name !== previousName) {
+            await Resource.updateMany({ type: previousName }, { type: resourceType.name });
+            await ResourceField.updateMany({ resourceType: previousName }, { resourceType: resourceType.name });
+            await ApprovalRule.updateMany(
+                { 'conditions.resourceTypes': previousName },
+                { $set: { 'conditions.resourceTypes.$': resourceType.name } }
+            );
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Resource type updated successfully',
+            data: resourceType
+        });
+    } catch (error) {
+        console.error('Error updating resource type:', error);
+
+        if (error.code === 11000) {
+            return res.status(400).json({
+                success: false,
+                message: 'A resource type with this name already exists'
+            });
+        }
+
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation error',
+                errors: Object.values(error.errors).map(err => err.message)
+            });
+        }
+
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid resource type ID format'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update resource type',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Delete a resource type
+ * Route: DELETE /api/resource-types/:id
+ * Requires resources:write
+ *
+ * Deleted resources keep their type name for history and don't block
+ * the delete. The type's custom field definitions are removed with it.
+ */
+const deleteResourceType = async (req, res) => {
+    try {
+        const resourceType = await ResourceType.findById(req.params.id);
+
+        if (!resourceType) {
+            return res.status(404).json({
+                success: false,
+                message: 'Resource type not found'
+            });
+        }
+
+        const resourceCount = await Resource.countDocuments({ type: resourceType.name, archivedAt: null });
+        if (resourceCount > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `${resourceCount} resource(s) still use this type - move them to another type first`
+            });
+        }
+
+        await resourceType.deleteOne();
+        audit(req, 'resourceType.delete', resourceType, { before: resourceType });
+        await ResourceField.deleteMany({ resourceType: resourceType.name });
+
+        res.status(200).json({
+            success: true,
+            message: 'Resource type deleted successfully',
+            data: { _id: resourceType._id, name: resourceType.name }
+        });
+    } catch (error) {
+        console.error('Error deleting resource type:', error);
+
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid resource type ID format'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete resource type',
+            error: error.message
+        });
+    }
+};
+
+module.exports = {
+    getResourceTypes,
+    createResourceType,
+    updateResourceType,
+    deleteResourceType
+};
@@ -0,0 +1,294 @@
+/**
+ * =============================================================================
+ * SMARTALLOC - ROLE CONTROLLER
+ * =============================================================================
+ * Controller for roles and their permissions.
+ *
+ * Features:
+ * - List roles with the number of users holding each (Protected)
+ * - List the permission catalogue (Protected)
+ * - Create / update / delete custom roles (roles:manage)
+ *
+ * Rules:
+ * - Built-in roles cannot be renamed or deleted
+ * - Super User always has every permission
+ * - A role that is still assigned to users, or that approves a step of
+ *   an approval chain, cannot be deleted
+ *
+ * @author SmartAlloc Team
+ * @version 1.0.0
+ * =============================================================================
+ */
+
+const Role = require('../models/Role');
+const { PERMISSIONS, ADMIN_ROLE } = require('../models/Role');
+const User = require('../models/User');
+const ApprovalRule = require('../models/ApprovalRule');
+const ResourceType = require('../models/ResourceType');
+const Allocation = require('../models/Allocation');
+const { audit, snapshot } = require('../utils/audit');
+
+/**
+ * Get all roles
+ * Route: GET /api/roles
+ */
+const getAllRoles = async (req, res) => {
+    try {
+        const [roles, counts] = await Promise.all([
+            Role.find().sort({ builtIn: -1, name: 1 }),
+            User.aggregate([{ $group: { _id: '$role', count: { $sum: 1 } } }])
+        ]);
+
+        const userCounts = new Map(counts.map(item => [item._id, item.count]));
+
+        res.status(200).json({
+            success: true,
+            count: roles.length,
+            data: roles.map(role => ({
+                ...role.toObject(),
+                userCount: userCounts.get(role.name) || 0
+            }))
+        });
+    } catch (error) {
+        console.error('Error fetching roles:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch roles',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Get the permission catalogue
+ * Route: GET /api/roles/permissions
+ */
+const getPermissions = (req, res) => {
+    res.status(200).json({
+        success: true,
+        data: Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description }))
+    });
+};
+
+/**
+ * Create a custom role
+ * Route: POST /api/roles
+ * Requires roles:manage
+ *
+ * Request Body: { "name": "Approver", "description": "...", "permissions": ["allocations:approve"] }
+ */
+const createRole = async (req, res) => {
+    try {
+        const { name, description, permissions } = req.body;
+
+        const role = await Role.create({
+            name,
+            description,
+            permissions: permissions || [],
+            builtIn: false
+        });
+        audit(req, 'role.create', role, { after: role });
+
+        res.status(201).json({
+            success: true,
+            message: 'Role created successfully',
+            data: role
+        });
+    } catch (error) {
+        console.error('Error creating role:', error);
+
+        if (error.code === 11000) {
+            return res.status(400).json({
+                success: false,
+                message: 'A role with this name already exists'
+            });
+        }
+
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation error',
+                errors: Object.values(error.errors).map(err => err.message)
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create role',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Update a role
+ * Route: PUT /api/roles/:id
+ * Requires roles:manage
+ *
+ * Renaming a role also updates every user that holds it, the
+ * auto-approval rules that name it and the approval chain steps (of
+ * resource types and of requests still waiting) it approves.
+ */
+const updateRole = async (req, res) => {
+    try {
+        const { name, description, permissions } = req.body;
+        const role = await Role.findById(req.params.id);
+
+        if (!role) {
+            return res.status(404).json({
+                success: false,
+                message: 'Role not found'
+            });
+        }
+
+        if (role.builtIn && name !== undefined && name !== role.name) {
+            return res.status(400).json({
+                success: false,
+                message: 'Built-in roles cannot be renamed'
+            });
+        }
+
+        if (role.name === ADMIN_ROLE && permissions !== undefined) {
+            return res.status(400).json({
+                success: false,
+                message: `${ADMIN_ROLE} always has every permission`
+            });
+        }
+
+        const before = snapshot(role);
+        const previousName = role.name;
+        if (name !== undefined) role.name = name;
+        if (description !== undefined) role.description = description;
+        if (permissions !== undefined) role.permissions = permissions;
+
+        await role.save();
+        audit(req, 'role.update', role, { before, after: role });
+
+        if (role.name !== previousName) {
+            await User.updateMany({ role: previousName }, { role: role.name });
+            await ApprovalRule.updateMany(
+                { 'conditions.roles': previousName },
+                { $set: { 'conditions.roles.$': role.name } }
+            );
+            await ResourceType.updateMany(
+                { 'approvalChain.role': previousName },
+                { $set: { 'approvalChain.$[step].role': role.name } },
+                { arrayFilters: [{ 'step.role': previousName }] }
+            );
+            await Allocation.updateMany(
+                { approvalStatus: 'pending', 'approvalSteps.role': previousName },
+                { $set: { 'approvalSteps.$[step].role': role.name } },
+                { arrayFilters: [{ 'step.role': previousName }] }
+            );
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Role updated successfully',
+            data: role
+        });
+    } catch (error) {
+        console.error('Error updating role:', error);
+
+        if (error.code === 11000) {
+            return res.status(400).json({
+                success: false,
+                message: 'A role with this name already exists'
+            });
+        }
+
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation error',
+                errors: Object.values(error.errors).map(err => err.message)
+            });
+        }
+
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid role ID format'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update role',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Delete a custom role
+ * Route: DELETE /api/roles/:id
+ * Requires roles:manage
+ */
+const deleteRole = async (req, res) => {
+    try {
+        const role = await Role.findById(req.params.id);
+
+        if (!role) {
+            return res.status(404).json({
+                success: false,
+                message: 'Role not found'
+            });
+        }
+
+        if (role.builtIn) {
+            return res.status(400).json({
+                success: false,
+                message: 'Built-in roles cannot be deleted'
+            });
+        }
+
+        const userCount = await User.countDocuments({ role: role.name });
+        if (userCount > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `Role is assigned to ${userCount} user(s) - move them to another role first`
+            });
+        }
+
+        const chainTypes = await ResourceType.find({ 'approvalChain.role': role.name }).select('name');
+        if (chainTypes.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `Role approves requests for ${chainTypes.map(type => type.name).join(', ')} - change their approval chains first`
+            });
+        }
+
+        await role.deleteOne();
+        audit(req, 'role.delete', role, { before: role });
+
+        res.status(200).json({
+            success: true,
+            message: 'Role deleted successfully',
+            data: { _id: role._id, name: role.name }
+        });
+    } catch (error) {
+        console.error('Error deleting role:', error);
+
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid role ID format'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete role',
+            error: error.message
+        });
+    }
+};
+
+module.exports = {
+    getAllRoles,
+    getPermissions,
+    createRole,
+    updateRole,
+    deleteRole
+};
@@ -5,12 +5,14 @@
  * Controller handling user-related operations including Admin functions.
  * 
  * Features:
- * - Create new user (Admin)
- * - Get all users
- * - Get user by ID
- * - Update user status (Block/Unblock) - Admin only
- * - Reset user password - Admin only
- * - Delete user - Admin only
+ * - Create new user (users:manage)
+ * - Get all users / user by ID (emails and status only with users:read or users:manage)
+ * - Update user status (Block/Unblock) - users:manage, the user is notified
+ * - Reset user password - users:manage, the user is notified
+ * - Assign a role - users:manage
+ * - Set the departments a user manages (approval chains) - users:manage
+ * - Delegate your own approvals while away - any logged in user
+ * - Delete user - users:manage
  * 
  * @author SmartAlloc Team
  * @version 2.0.0
@@ -18,17 +20,53 @@
  */
 
 const User = require('../models/User');
+const Role = require('../models/Role');
+const Resource = require('../models/Resource');
+const { ADMIN_ROLE, DEFAULT_ROLE } = require('../models/Role');
+const Notification = require('../models/Notification');
+const { hasPermission } = require('../middleware/authMiddleware');
+const { notifyAccountChange } = require('../utils/notifications');
+const { disconnectUser } = require('../utils/realtime');
+const { audit, snapshot } = require('../utils/audit');
 const bcrypt = require('bcryptjs');
 
+// Fields every logged in user may see (e.g. for the "Assigned To" dropdown)
+const DIRECTORY_FIELDS = 'name role department';
+
+/**
+ * Whether the current user may see full user records (emails, status, role)
+ */
+const canReadUsers = (req) => hasPermission(req, 'users:read') || hasPermission(req, 'users:manage');
+
+/**
+ * Only Super Users may create, block, reset or delete a Super User -
+ * otherwise users:manage would be enough to make or take over an admin
+ */
+const adminOnlyResponse = (res, action) => res.status(403).json({
+    success: false,
+    message: `Only a ${ADMIN_ROLE} can ${action} a ${ADMIN_ROLE}`
+});
+
 /**
  * Create a new user
  * Route: POST /api/users
- * Admin Only
+ * Requires users:manage
  */
 const createUser = async (req, res) => {
     try {
         const { name, email, password, role, department } = req.body;
 
+        if (role && !(await Role.exists({ name: role }))) {
+            return res.status(400).json({
+                success: false,
+                message: `Unknown role "${role}"`
+            });
+        }
+
+        if (role === ADMIN_ROLE && req.user.role !== ADMIN_ROLE) {
+            return adminOnlyResponse(res, 'create');
+        }
+
         // Check if user already exists
         const existingUser = await User.findOne({ email: email.toLowerCase() });
         if (existingUser) {
@@ -42,11 +80,12 @@ const createUser = async (req, res) => {
             name,
             email: email.toLowerCase(),
             password: password || '123456', // Default password
-            role: role || 'User',
+            role: role || DEFAULT_ROLE,
             department: department || 'General'
         });
 
         const savedUser = await newUser.save();
+        audit(req, 'user.create', savedUser, { after: savedUser });
 
         res.status(201).json({
             success: true,
@@ -73,10 +112,13 @@ const createUser = async (req, res) => {
 /**
  * Get all users
  * Route: GET /api/users
+ * Without users:read / users:manage only names, roles and departments are returned
  */
 const getAllUsers = async (req, res) => {
     try {
-        const users = await User.find().select('-password').sort({ name: 1 });
+        const users = await User.find()
+            .select(canReadUsers(req) ? '-password' : DIRECTORY_FIELDS)
+            .sort({ name: 1 });
 
         res.status(200).json({
             success: true,
@@ -96,10 +138,13 @@ const getAllUsers = async (req, res) => {
 /**
  * Get user by ID
  * Route: GET /api/users/:id
+ * Full record for yourself or with users:read / users:manage
  */
 const getUserById = async (req, res) => {
     try {
-        const user = await User.findById(req.params.id).select('-password');
+        const isSelf = req.user._id.toString() === req.params.id;
+        const user = await User.findById(req.params.id)
+            .select(isSelf || canReadUsers(req) ? '-password' : DIRECTORY_FIELDS);
 
         if (!user) {
             return res.status(404).json({
@@ -125,7 +170,7 @@ const getUserById = async (req, res) => {
 /**
  * Update User Status (Block/Unblock)
  * Route: PUT /api/users/:id/status
- * Admin Only
+ * Requires users:manage
  */
 const updateUserStatus = async (req, res) => {
     try {
@@ -156,8 +201,20 @@ const updateUserStatus = async (req, res) => {
             });
         }
 
+        if (user.role === ADMIN_ROLE && req.user.role !== ADMIN_ROLE) {
+            return adminOnlyResponse(res, 'block or unblock');
+        }
+
+        const wasBlocked = user.status === 'blocked';
         user.status = status;
         await user.save();
+        audit(req, 'user.status', user, { before: { status: wasBlocked ? 'blocked' : 'active' }, after: { status } });
+
+        // They'll see it once they are unblocked
+        if (status === 'blocked' && !wasBlocked) {
+            await notifyAccountChange(user, 'account_blocked', req.user);
+            disconnectUser(user._id);
+        }
 
         res.status(200).json({
             success: true,
@@ -182,7 +239,7 @@ const updateUserStatus = async (req, res) => {
 /**
  * Reset User Password
  * Route: PUT /api/users/:id/password
- * Admin Only
+ * Requires users:manage
  */
 const resetUserPassword = async (req, res) => {
     try {
@@ -205,8 +262,14 @@ const resetUserPassword = async (req, res) => {
             });
         }
 
+        if (user.role === ADMIN_ROLE && req.user.role !== ADMIN_ROLE) {
+            return adminOnlyResponse(res, 'reset the password of');
+        }
+
         user.password = newPassword; // Will be hashed by pre-save hook
         await user.save();
+        await notifyAccountChange(user, 'password_reset', req.user);
+        audit(req, 'user.password', user); // The password itself is never logged
 
         res.status(200).json({
             success: true,
@@ -227,10 +290,233 @@ const resetUserPassword = async (req, res) => {
     }
 };
 
+/**
+ * Assign a Role
+ * Route: PUT /api/users/:id/role
+ * Requires users:manage
+ *
+ * Request Body: { "role": "Approver" }
+ */
+const updateUserRole = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { role } = req.body;
+
+        if (!role || !(await Role.exists({ name: role }))) {
+            return res.status(400).json({
+                success: false,
+                message: role ? `Unknown role "${role}"` : 'role is required'
+            });
+        }
+
+        // Prevent changing your own role (e.g. removing your own admin access)
+        if (req.user._id.toString() === id) {
+            return res.status(400).json({
+                success: false,
+                message: 'You cannot change your own role'
+            });
+        }
+
+        const user = await User.findById(id);
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        // Only Super Users can hand out or take away Super User
+        if ((role === ADMIN_ROLE || user.role === ADMIN_ROLE) && req.user.role !== ADMIN_ROLE) {
+            return res.status(403).json({
+                success: false,
+                message: `Only a ${ADMIN_ROLE} can grant or remove the ${ADMIN_ROLE} role`
+            });
+        }
+
+        const previousRole = user.role;
+        user.role = role;
+        await user.save();
+        audit(req, 'user.role', user, { before: { role: previousRole }, after: { role } });
+
+        res.status(200).json({
+            success: true,
+            message: `${user.name} is now "${role}"`,
+            data: {
+                _id: user._id,
+                name: user.name,
+                email: user.email,
+                role: user.role
+            }
+        });
+    } catch (error) {
+        console.error('Error updating user role:', error);
+
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid user ID format'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update user role',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Set who approves on your behalf while you are away
+ * Route: PUT /api/users/me/delegation
+ * Protected
+ *
+ * Request Body:
+ * {
+ *   "delegateTo": "65abc123...",          // null switches delegation off
+ *   "delegateUntil": "2024-08-31T23:59"   // Optional - null = until switched off
+ * }
+ *
+ * The delegate can decide every approval step you could (see
+ * utils/approvalChain.js) until delegateUntil.
+ */
+const updateMyDelegation = async (req, res) => {
+    try {
+        const { delegateTo, delegateUntil } = req.body;
+        const user = await User.findById(req.user._id);
+        const before = { delegateTo: user.delegateTo, delegateUntil: user.delegateUntil };
+
+        if (!delegateTo) {
+            user.delegateTo = null;
+            user.delegateUntil = null;
+        } else {
+            if (req.user._id.toString() === String(delegateTo)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'You cannot delegate to yourself'
+                });
+            }
+
+            const delegate = await User.findById(delegateTo).select('name status');
+            if (!delegate || delegate.status !== 'active') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Delegate must be an active user'
+                });
+            }
+
+            const until = delegateUntil ? new Date(delegateUntil) : null;
+            if (until && (isNaN(until.getTime()) || until <= new Date())) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Delegation end must be a date in the future'
+                });
+            }
+
+            user.delegateTo = delegate._id;
+            user.delegateUntil = until;
+        }
+
+        await user.save();
+        audit(req, 'user.delegation', user, { before, after: { delegateTo: user.delegateTo, delegateUntil: user.delegateUntil } });
+        await user.populate('delegateTo', 'name');
+
+        res.status(200).json({
+            success: true,
+            message: user.delegateTo
+                ? `${user.delegateTo.name} now approves on your behalf`
+                : 'Delegation switched off',
+            data: {
+                _id: user._id,
+                delegateTo: user.delegateTo,
+                delegateUntil: user.delegateUntil
+            }
+        });
+    } catch (error) {
+        console.error('Error updating delegation:', error);
+
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid user ID format'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update delegation',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Set the departments a user approves requests for as manager
+ * Route: PUT /api/users/:id/departments
+ * Requires users:manage
+ *
+ * Request Body: { "managedDepartments": ["Engineering", "Design"] }
+ * (an array or a comma-separated string; [] removes them all)
+ */
+const updateManagedDepartments = async (req, res) => {
+    try {
+        const { managedDepartments } = req.body;
+
+        if (managedDepartments === undefined) {
+            return res.status(400).json({
+                success: false,
+                message: 'managedDepartments is required'
+            });
+        }
+
+        const departments = [...new Set((Array.isArray(managedDepartments) ? managedDepartments : String(managedDepartments || '').split(','))
+            .map(department => String(department).trim())
+            .filter(Boolean))];
+
+        const user = await User.findById(req.params.id).select('name email managedDepartments');
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        const before = snapshot({ managedDepartments: user.managedDepartments });
+        user.managedDepartments = departments;
+        await user.save();
+        audit(req, 'user.departments', user, { before, after: { managedDepartments: departments } });
+
+        res.status(200).json({
+            success: true,
+            message: departments.length > 0
+                ? `${user.name} now manages ${departments.join(', ')}`
+                : `${user.name} no longer manages any department`,
+            data: user
+        });
+    } catch (error) {
+        console.error('Error updating managed departments:', error);
+
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid user ID format'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update managed departments',
+            error: error.message
+        });
+    }
+};
+
 /**
  * Delete User
  * Route: DELETE /api/users/:id
- * Admin Only
+ * Requires users:manage
  */
 const deleteUser = async (req, res) => {
     try {
@@ -244,7 +530,7 @@ const deleteUser = async (req, res) => {
             });
         }
 
-        const user = await User.findByIdAndDelete(id);
+        const user = await User.findById(id);
 
         if (!user) {
             return res.status(404).json({
@@ -253,6 +539,19 @@ const deleteUser = async (req, res) => {
             });
         }
 
+        if (user.role === ADMIN_ROLE && req.user.role !== ADMIN_ROLE) {
+            return adminOnlyResponse(res, 'delete');
+        }
+
+        await user.deleteOne();
+
+        // Nobody keeps delegating to, or waiting on approval from, a deleted user
+        await User.updateMany({ delegateTo: user._id }, { $set: { delegateTo: null, delegateUntil: null } });
+        await Resource.updateMany({ approvers: user._id }, { $pull: { approvers: user._id } });
+        await Notification.deleteMany({ userId: user._id });
+        disconnectUser(user._id);
+        audit(req, 'user.delete', user, { before: user });
+
         res.status(200).json({
             success: true,
             message: 'User deleted successfully',
@@ -278,5 +577,8 @@ module.exports = {
     getUserById,
     updateUserStatus,
     resetUserPassword,
+    updateUserRole,
+    updateMyDelegation,
+    updateManagedDepartments,
     deleteUser
 };
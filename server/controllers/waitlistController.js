@@ -0,0 +1,390 @@
+/**
+ * =============================================================================
+ * SMARTALLOC - WAITLIST CONTROLLER
+ * =============================================================================
+ * Waitlists for fully booked resources (see models/WaitlistEntry.js).
+ *
+ * Features:
+ * - Join the waitlist of a resource and window that is already booked
+ * - List your own entries, and acknowledge promotions you've seen
+ * - Leave the waitlist
+ * - List every entry, remove entries and try promoting one (allocations:manage)
+ *
+ * Entries are promoted to allocations automatically when their slot comes
+ * free - see utils/waitlist.js.
+ *
+ * @author SmartAlloc Team
+ * @version 1.0.0
+ * =============================================================================
+ */
+
+const mongoose = require('mongoose');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const { WAITLIST_STATUSES } = require('../models/WaitlistEntry');
+const Resource = require('../models/Resource');
+const { hasPermission } = require('../middleware/authMiddleware');
+const { findPolicyViolations, toViolationResponse } = require('../utils/bookingPolicy');
+const { findConflictingOccurrences } = require('../utils/bookingChecks');
+const { promoteEntry } = require('../utils/waitlist');
+const { audit, snapshot } = require('../utils/audit');
+
+/**
+ * Send the error shared by the waitlist routes
+ */
+const sendWaitlistError = (res, error, fallback) => {
+    if (error.name === 'ValidationError') {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation error',
+            errors: Object.values(error.errors).map(err => err.message)
+        });
+    }
+
+    if (error.name === 'CastError') {
+        return res.status(400).json({
+            success: false,
+            message: 'Invalid ID format'
+        });
+    }
+
+    if (error.name === 'ResourceLockError') {
+        return res.status(503).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    console.error(`${fallback}:`, error);
+    res.status(500).json({
+        success: false,
+        message: fallback,
+        error: error.message
+    });
+};
+
+/**
+ * Join a waitlist
+ * Route: POST /api/waitlist
+ *
+ * Body: { resourceId, startTime, endTime, assignedTo, purpose }
+ *
+ * The window must be one the booking policy allows and that is currently
+ * taken by an approved allocation - free slots should simply be booked.
+ * A user can wait for the same resource and window only once.
+ */
+const joinWaitlist = async (req, res) => {
+    try {
+        const { resourceId, assignedTo, startTime, endTime, purpose } = req.body;
+
+        if (!resourceId || !assignedTo || !startTime || !endTime) {
+            return res.status(400).json({
+                success: false,
+                message: 'resourceId, assignedTo, startTime, and endTime are required fields'
+            });
+        }
+
+        if (!mongoose.Types.ObjectId.isValid(resourceId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid resource ID format'
+            });
+        }
+
+        const newStartTime = new Date(startTime);
+        const newEndTime = new Date(endTime);
+
+        if (isNaN(newStartTime.getTime()) || isNaN(newEndTime.getTime())) {
+            return res.status(400).json({
+                success: false,
+                message: 'startTime and endTime must be valid dates'
+            });
+        }
+
+        if (newEndTime <= newStartTime) {
+            return res.status(400).json({
+                success: false,
+                message: 'End time must be after start time'
+            });
+        }
+
+        if (newStartTime < new Date()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Start time cannot be in the past'
+            });
+        }
+
+        const resource = await Resource.findById(resourceId);
+        if (!resource || resource.archivedAt) {
+            return res.status(404).json({
+                success: false,
+                message: 'Resource not found'
+            });
+        }
+
+        const occurrence = { startTime: newStartTime, endTime: newEndTime };
+        const violations = findPolicyViolations(await resource.getBookingPolicy(), [occurrence]);
+        if (violations.length > 0) {
+            return res.status(400).json(toViolationResponse(violations));
+        }
+
+        const conflicts = await findConflictingOccurrences(resource._id, [occurrence]);
+        if (conflicts.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'This slot is free - book it instead of joining the waitlist'
+            });
+        }
+
+        const existing = await WaitlistEntry.findOne({
+            resourceId: resource._id,
+            requestedBy: req.user._id,
+            status: 'waiting',
+            startTime: newStartTime,
+            endTime: newEndTime
+        });
+        if (existing) {
+            return res.status(400).json({
+                success: false,
+                message: 'You are already on the waitlist for this slot'
+            });
+        }
+
+        const entry = await WaitlistEntry.create({
+            resourceId: resource._id,
+            requestedBy: req.user._id,
+            assignedTo,
+            purpose: purpose || '',
+            startTime: newStartTime,
+            endTime: newEndTime
+        });
+        audit(req, 'waitlistEntry.create', entry, { after: entry });
+
+        // Place in the queue: waiting entries before it that overlap its window
+        const position = (await WaitlistEntry.findWaitingFor(resource._id, newStartTime, newEndTime))
+            .findIndex(other => other._id.equals(entry._id)) + 1;
+
+        await entry.populate('resourceId', 'name type');
+
+        res.status(201).json({
+            success: true,
+            message: `You're number ${position} on the waitlist for ${resource.name}`,
+            position,
+            data: entry
+        });
+    } catch (error) {
+        sendWaitlistError(res, error, 'Failed to join the waitlist');
+    }
+};
+
+/**
+ * Get the current user's waitlist entries
+ * Route: GET /api/waitlist/my
+ *
+ * Newest first, with the resource and the promoted allocation.
+ */
+const getMyWaitlist = async (req, res) => {
+    try {
+        await WaitlistEntry.expirePast();
+
+        const entries = await WaitlistEntry.find({ requestedBy: req.user._id })
+            .populate('resourceId', 'name type')
+            .populate('allocationId', 'approvalStatus startTime endTime')
+            .sort({ createdAt: -1 });
+
+        res.status(200).json({
+            success: true,
+            count: entries.length,
+            data: entries
+        });
+    } catch (error) {
+        sendWaitlistError(res, error, 'Failed to fetch your waitlist');
+    }
+};
+
+/**
+ * Mark the current user's promotions as seen
+ * Route: POST /api/waitlist/my/seen
+ */
+const markPromotionsSeen = async (req, res) => {
+    try {
+        const result = await WaitlistEntry.updateMany(
+            { requestedBy: req.user._id, status: 'promoted', promotionSeen: false },
+            { $set: { promotionSeen: true } }
+        );
+
+        res.status(200).json({
+            success: true,
+            count: result.modifiedCount
+        });
+    } catch (error) {
+        sendWaitlistError(res, error, 'Failed to update your waitlist');
+    }
+};
+
+/**
+ * Get every waitlist entry
+ * Route: GET /api/waitlist
+ * Requires allocations:manage
+ *
+ * Query: status (default "waiting"; "all" for every status), resourceId
+ * Sorted by window start, then queue order.
+ */
+const getWaitlist = async (req, res) => {
+    try {
+        const { status = 'waiting', resourceId } = req.query;
+
+        if (status !== 'all' && !WAITLIST_STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: `status must be "all" or one of: ${WAITLIST_STATUSES.join(', ')}`
+            });
+        }
+
+        await WaitlistEntry.expirePast();
+
+        const filter = {};
+        if (status !== 'all') filter.status = status;
+        if (resourceId) filter.resourceId = resourceId;
+
+        const entries = await WaitlistEntry.find(filter)
+            .populate('resourceId', 'name type')
+            .populate('requestedBy', 'name email department')
+            .populate('allocationId', 'approvalStatus')
+            .sort({ startTime: 1, createdAt: 1 });
+
+        res.status(200).json({
+            success: true,
+            count: entries.length,
+            data: entries
+        });
+    } catch (error) {
+        sendWaitlistError(res, error, 'Failed to fetch the waitlist');
+    }
+};
+
+/**
+ * Leave the waitlist, or remove someone from it
+ * Route: DELETE /api/waitlist/:id
+ *
+ * Open to the entry's owner and to users with allocations:manage. Only
+ * waiting entries can be removed; the entry is kept as cancelled.
+ */
+const removeWaitlistEntry = async (req, res) => {
+    try {
+        const entry = await WaitlistEntry.findById(req.params.id);
+
+        if (!entry) {
+            return res.status(404).json({
+                success: false,
+                message: 'Waitlist entry not found'
+            });
+        }
+
+        const isOwner = entry.requestedBy.equals(req.user._id);
+        if (!isOwner && !hasPermission(req, 'allocations:manage')) {
+            return res.status(403).json({
+                success: false,
+                message: 'You can only leave your own waitlist entries'
+            });
+        }
+
+        if (entry.status !== 'waiting') {
+            return res.status(400).json({
+                success: false,
+                message: `This entry is already ${entry.status}`
+            });
+        }
+
+        const before = snapshot(entry);
+        entry.status = 'cancelled';
+        entry.closedAt = new Date();
+        entry.closedReason = isOwner ? 'Left the waitlist' : `Removed by ${req.user.name}`;
+        await entry.save();
+        audit(req, 'waitlistEntry.remove', entry, { before, after: entry });
+
+        res.status(200).json({
+            success: true,
+            message: isOwner ? 'You left the waitlist' : 'Removed from the waitlist',
+            data: entry
+        });
+    } catch (error) {
+        sendWaitlistError(res, error, 'Failed to remove waitlist entry');
+    }
+};
+
+/**
+ * Try to promote one entry now, e.g. after freeing its slot by hand
+ * Route: POST /api/waitlist/:id/promote
+ * Requires allocations:manage
+ *
+ * Runs the same checks as an automatic promotion; other entries ahead
+ * of it in the queue are not considered.
+ */
+const promoteWaitlistEntry = async (req, res) => {
+    try {
+        const entry = await WaitlistEntry.findById(req.params.id);
+
+        if (!entry) {
+            return res.status(404).json({
+                success: false,
+                message: 'Waitlist entry not found'
+            });
+        }
+
+        if (entry.status !== 'waiting') {
+            return res.status(400).json({
+                success: false,
+                message: `This entry is already ${entry.status}`
+            });
+        }
+
+        const before = snapshot(entry);
+        const result = await promoteEntry(entry);
+
+        if (result.alreadyHandled) {
+            return res.status(409).json({
+                success: false,
+                message: `This entry is already ${result.status}`
+            });
+        }
+
+        if (result.status === 'waiting') {
+            return res.status(409).json({
+                success: false,
+                message: `Cannot book yet - ${result.reason.charAt(0).toLowerCase()}${result.reason.slice(1)}`
+            });
+        }
+
+        if (result.status !== 'promoted') {
+            return res.status(400).json({
+                success: false,
+                message: result.reason
+                    ? `Entry closed - ${result.reason}`
+                    : 'Entry expired - its window has already started',
+                data: entry
+            });
+        }
+
+        audit(req, 'waitlistEntry.promote', entry, { before, after: entry, details: { allocationId: result.allocation._id } });
+        await result.allocation.populate('resourceId', 'name type');
+
+        res.status(200).json({
+            success: true,
+            message: `Booked from the waitlist (${result.allocation.approvalStatus})`,
+            data: entry,
+            allocation: result.allocation
+        });
+    } catch (error) {
+        sendWaitlistError(res, error, 'Failed to promote waitlist entry');
+    }
+};
+
+module.exports = {
+    joinWaitlist,
+    getMyWaitlist,
+    markPromotionsSeen,
+    getWaitlist,
+    removeWaitlistEntry,
+    promoteWaitlistEntry
+};
@@ -7,9 +7,15 @@
  * 
  * FEATURES:
  * 1. Clears existing data
- * 2. Creates 50 Users (5 Admin + 45 Normal)
- * 3. Creates 100 Resources (Rooms, Devices, Vehicles, etc)
- * 4. Creates 200 Allocations (Past, Active, Future)
+ * 2. Creates the built-in roles plus sample "Approver" and "Facilities Manager"
+ * 3. Creates 50 Users (5 Admin + 45 Normal, a few with the sample roles),
+ *    with one department manager per department
+ * 4. Creates the resource types (icons, colours, booking policies, an
+ *    approval chain for vehicles) and 100 Resources (Rooms, Devices,
+ *    Vehicles, etc) with capacity, location, amenities and sample custom
+ *    fields; cameras are approved by their owners
+ * 5. Creates 200 Allocations (Past, Active, Future), a few past ones
+ *    released as no-shows
  * 
  * =============================================================================
  */
@@ -23,6 +29,10 @@ const path = require('path');
 const User = require('../models/User');
 const Resource = require('../models/Resource');
 const Allocation = require('../models/Allocation');
+const Role = require('../models/Role');
+const ResourceField = require('../models/ResourceField');
+const ResourceType = require('../models/ResourceType');
+const ApprovalRule = require('../models/ApprovalRule');
 
 // Configuration
 const MONGODB_URI = 'mongodb://localhost:27017/smartalloc_db';
@@ -31,10 +41,39 @@ const DEFAULT_PASSWORD = '123456';
 // Arrays for generating data
 const DEPARTMENTS = ['IT', 'HR', 'Sales', 'Marketing', 'Engineering', 'Operations', 'Finance', 'Design', 'Legal', 'Support'];
 const ROLES = ['User', 'User', 'User', 'User', 'User', 'Super User']; // Weighted heavily towards User
+const SAMPLE_ROLES = [
+    {
+        name: 'Approver',
+        description: 'Reviews and approves booking requests',
+        permissions: ['allocations:approve', 'users:read']
+    },
+    {
+        name: 'Facilities Manager',
+        description: 'Maintains the resource catalogue',
+        permissions: ['resources:write', 'allocations:approve', 'allocations:manage', 'users:read']
+    }
+];
 const FIRST_NAMES = ['James', 'Mary', 'Robert', 'Patricia', 'John', 'Jennifer', 'Michael', 'Linda', 'David', 'Elizabeth', 'William', 'Barbara', 'Richard', 'Susan', 'Joseph', 'Jessica', 'Thomas', 'Sarah', 'Charles', 'Karen', 'Christopher', 'Nancy', 'Daniel', 'Lisa', 'Matthew', 'Betty', 'Anthony', 'Margaret', 'Mark', 'Sandra', 'Donald', 'Ashley', 'Steven', 'Kimberly', 'Paul', 'Emily', 'Andrew', 'Donna', 'Joshua', 'Michelle', 'Kenneth', 'Dorothy', 'Kevin', 'Carol', 'Brian', 'Amanda', 'George', 'Melissa', 'Edward', 'Deborah'];
 const LAST_NAMES = ['Smith', 'Johnson', 'Williams', 'Brown', 'Jones', 'Garcia', 'Miller', 'Davis', 'Rodriguez', 'Martinez', 'Hernandez', 'Lopez', 'Gonzalez', 'Wilson', 'Anderson', 'Thomas', 'Taylor', 'Moore', 'Jackson', 'Martin', 'Lee', 'Perez', 'Thompson', 'White', 'Harris', 'Sanchez', 'Clark', 'Ramirez', 'Lewis', 'Robinson', 'Walker', 'Young', 'Allen', 'King', 'Wright', 'Scott', 'Torres', 'Nguyen', 'Hill', 'Flores', 'Green', 'Adams', 'Nelson', 'Baker', 'Hall', 'Rivera', 'Campbell', 'Mitchell', 'Carter', 'Roberts'];
 
-const RESOURCE_TYPES = ['Meeting Room', 'Laptop', 'Projector', 'Vehicle', 'Equipment', 'Tablet', 'Camera', 'Workstation'];
+// Resource types with icons, colours and default booking policies
+const RESOURCE_TYPES = [
+    { name: 'Meeting Room', icon: '🏢', color: '#6366f1', description: 'Meeting rooms, huddle rooms and boardrooms', bookingPolicy: { maxDurationMinutes: 480, requiresApproval: false, maxAdvanceDays: 90, openTime: '07:00', closeTime: '21:00', slotMinutes: 15, checkInWindowMinutes: 15 } },
+    { name: 'Laptop', icon: '💻', color: '#0ea5e9', description: 'Loan laptops', bookingPolicy: { maxDurationMinutes: 7 * 24 * 60 } },
+    { name: 'Projector', icon: '📽️', color: '#8b5cf6', description: 'Portable projectors', bookingPolicy: { requiresApproval: false } },
+    {
+        name: 'Vehicle', icon: '🚗', color: '#f59e0b', description: 'Pool cars and vans',
+        bookingPolicy: { maxDurationMinutes: 3 * 24 * 60, minLeadTimeMinutes: 24 * 60, maxAdvanceDays: 60, bufferAfterMinutes: 30, maxActivePerUser: 2, cancelCutoffMinutes: 12 * 60 },
+        approvalChain: [
+            { name: 'Department manager', kind: 'department_manager' },
+            { name: 'Facilities', kind: 'role', role: 'Facilities Manager' }
+        ]
+    },
+    { name: 'Equipment', icon: '🧰', color: '#10b981', description: 'Other bookable equipment' },
+    { name: 'Tablet', icon: '📱', color: '#14b8a6', description: 'Loan tablets' },
+    { name: 'Camera', icon: '📷', color: '#ec4899', description: 'Photo and video cameras', bookingPolicy: { minLeadTimeMinutes: 120 } },
+    { name: 'Workstation', icon: '🖥️', color: '#64748b', description: 'High-end desktops and render nodes' }
+];
 const RESOURCE_PREFIXES = {
     'Meeting Room': ['Conference Room', 'Huddle Room', 'Boardroom', 'Meeting Space', 'Quiet Pod'],
     'Laptop': ['MacBook Pro', 'Dell XPS', 'Lenovo ThinkPad', 'HP EliteBook'],
@@ -46,6 +85,35 @@ const RESOURCE_PREFIXES = {
     'Workstation': ['High-End PC', 'Mac Studio', 'Render Farm Node']
 };
 
+const BUILDINGS = ['HQ', 'North Wing', 'Innovation Hub'];
+const ROOM_AMENITIES = ['projector', 'whiteboard', 'video-conferencing', 'wheelchair-accessible', 'air-conditioning'];
+
+// Custom fields for a couple of types, filled in for the seeded resources
+const SAMPLE_FIELDS = [
+    { resourceType: 'Vehicle', key: 'licensePlate', label: 'License Plate', fieldType: 'text', required: true, order: 1 },
+    { resourceType: 'Vehicle', key: 'fuel', label: 'Fuel', fieldType: 'select', options: ['Petrol', 'Diesel', 'Electric'], order: 2 },
+    { resourceType: 'Laptop', key: 'ramGb', label: 'RAM (GB)', fieldType: 'number', min: 4, max: 128, order: 1 },
+    { resourceType: 'Meeting Room', key: 'hasPhone', label: 'Conference Phone', fieldType: 'boolean', order: 1 }
+];
+
+// Example auto-approval rules (tried lowest priority first)
+const SAMPLE_APPROVAL_RULES = [
+    {
+        name: 'Short laptop loans for Engineering',
+        action: 'approve',
+        priority: 10,
+        conditions: { resourceTypes: ['Laptop'], departments: ['Engineering'], maxDurationMinutes: 8 * 60 }
+    },
+    {
+        name: 'Vans for Operations only',
+        action: 'reject',
+        reason: 'Vans are reserved for the Operations team',
+        priority: 20,
+        conditions: { resourceTypes: ['Vehicle'], departments: ['HR', 'Sales', 'Marketing', 'Finance', 'Design', 'Legal', 'Support'] },
+        enabled: false
+    }
+];
+
 const PURPOSES = [
     'Client meeting', 'Team sprint planning', 'Weekly sync', 'Interview',
     'Project kickoff', 'Client site visit', 'Equipment testing', 'Video recording session',
@@ -77,8 +145,18 @@ async function initializeDatabase() {
         await User.deleteMany({});
         await Resource.deleteMany({});
         await Allocation.deleteMany({});
+        await Role.deleteMany({});
+        await ResourceField.deleteMany({});
+        await ResourceType.deleteMany({});
+        await ApprovalRule.deleteMany({});
         console.log('✅ Data cleared.');
 
+        // Create Roles
+        console.log('🔑 Creating roles...');
+        await Role.ensureBuiltInRoles();
+        await Role.insertMany(SAMPLE_ROLES);
+        console.log(`✅ Created ${2 + SAMPLE_ROLES.length} roles.`);
+
         // 3. Create Users
         console.log('👤 Generating 50 Users...');
         const hashedPassword = await bcrypt.hash(DEFAULT_PASSWORD, 10);
@@ -95,7 +173,10 @@ async function initializeDatabase() {
             const lastName = getRandom(LAST_NAMES);
             const name = `${firstName} ${lastName}`;
             const email = `${firstName.toLowerCase()}.${lastName.toLowerCase()}${i}@smartalloc.com`;
-            const role = Math.random() < 0.1 ? 'Super User' : 'User'; // 10% admins
+            const roll = Math.random();
+            const role = roll < 0.1 ? 'Super User' // 10% admins
+                : roll < 0.2 ? getRandom(SAMPLE_ROLES).name // 10% sample roles
+                    : 'User';
 
             users.push({
                 name,
@@ -108,6 +189,13 @@ async function initializeDatabase() {
             });
         }
 
+        // One manager per department (never Frank, so his requests need a manager)
+        DEPARTMENTS.forEach(department => {
+            const manager = users.find(u => u.department === department && u.role === 'User'
+                && u.status === 'active' && u.email !== 'frank@smartalloc.com');
+            if (manager) manager.managedDepartments = [department];
+        });
+
         const createdUsers = await User.insertMany(users);
         console.log(`✅ Created ${createdUsers.length} users.`);
 
@@ -116,21 +204,43 @@ async function initializeDatabase() {
         const resources = [];
 
         for (let i = 0; i < 100; i++) {
-            const type = getRandom(RESOURCE_TYPES);
+            const type = getRandom(RESOURCE_TYPES).name;
             const prefixes = RESOURCE_PREFIXES[type];
             const prefix = getRandom(prefixes);
             const id = 100 + i;
 
+            const isRoom = type === 'Meeting Room';
+            const customFields = {};
+            if (type === 'Vehicle') {
+                customFields.licensePlate = `SA-${id}`;
+                customFields.fuel = prefix.startsWith('Tesla') ? 'Electric' : getRandom(['Petrol', 'Diesel']);
+            } else if (type === 'Laptop') {
+                customFields.ramGb = getRandom([8, 16, 32, 64]);
+            } else if (isRoom) {
+                customFields.hasPhone = Math.random() < 0.5;
+            }
+
             resources.push({
                 name: `${prefix} #${id}`,
                 type: type,
                 description: `Standard ${type} unit for general use. ID: ${id}`,
+                capacity: isRoom ? getRandom([4, 6, 8, 12, 20]) : type === 'Vehicle' ? getRandom([2, 5, 7]) : null,
+                location: {
+                    building: getRandom(BUILDINGS),
+                    floor: String(getRandomInt(0, 4)),
+                    room: isRoom ? `R${getRandomInt(1, 40)}` : ''
+                },
+                amenities: isRoom ? ROOM_AMENITIES.filter(() => Math.random() < 0.5) : [],
+                customFields,
+                approvers: type === 'Camera' ? [getRandom(createdUsers)._id] : [],
                 createdAt: new Date()
             });
         }
 
+        await ResourceType.insertMany(RESOURCE_TYPES);
+        await ResourceField.insertMany(SAMPLE_FIELDS);
         const createdResources = await Resource.insertMany(resources);
-        console.log(`✅ Created ${createdResources.length} resources.`);
+        console.log(`✅ Created ${RESOURCE_TYPES.length} resource types and ${createdResources.length} resources.`);
 
         // 5. Create Allocations
         console.log('📋 Generating 200 Allocations...');
@@ -189,6 +299,11 @@ async function initializeDatabase() {
                     else approvalStatus = 'rejected';
                 }
 
+                // Started bookings were mostly checked in; a few past ones
+                // were released as no-shows (see utils/noShow.js)
+                const noShow = approvalStatus === 'approved' && end < now && Math.random() < 0.1;
+                if (noShow) approvalStatus = 'cancelled';
+
                 allocations.push({
                     resourceId: resource._id,
                     assignedTo: user.name,
@@ -197,6 +312,10 @@ async function initializeDatabase() {
                     endTime: end,
                     purpose: getRandom(PURPOSES),
                     approvalStatus: approvalStatus,
+                    checkedInAt: approvalStatus === 'approved' && start < now ? start : null,
+                    noShow,
+                    cancelledAt: noShow ? new Date(start.getTime() + 15 * 60 * 1000) : null,
+                    cancellationReason: noShow ? 'No-show - not checked in within 15 minutes of the start' : '',
                     createdAt: new Date()
                 });
             }
@@ -205,6 +324,10 @@ async function initializeDatabase() {
         const createdAllocations = await Allocation.insertMany(allocations);
         console.log(`✅ Created ${createdAllocations.length} allocations.`);
 
+        // 6. Example auto-approval rules
+        await ApprovalRule.insertMany(SAMPLE_APPROVAL_RULES);
+        console.log(`✅ Created ${SAMPLE_APPROVAL_RULES.length} approval rules.`);
+
         console.log('===================================================');
         console.log('🎉 LARGE SCALE INITIALIZATION COMPLETE!');
         console.log('===================================================');
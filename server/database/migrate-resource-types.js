@@ -0,0 +1,138 @@
+/**
+ * =============================================================================
+ * SMARTALLOC - RESOURCE TYPE MIGRATION
+ * =============================================================================
+ *
+ * Maps the free-text `type` of existing resources onto ResourceType records.
+ *
+ * For every distinct type name in use (resources and custom field
+ * definitions):
+ * 1. Known aliases are renamed to their canonical type ("Room" → "Meeting Room")
+ * 2. Names differing only in case or spacing are merged into an existing
+ *    type ("meeting  room" → "Meeting Room")
+ * 3. Anything else gets a new type record with the default policy
+ *
+ * Safe to run more than once. Pass --dry-run to print the plan without
+ * changing anything:
+ *
+ *   node database/migrate-resource-types.js --dry-run
+ *
+ * =============================================================================
+ */
+
+const mongoose = require('mongoose');
+const Resource = require('../models/Resource');
+const ResourceField = require('../models/ResourceField');
+const ResourceType = require('../models/ResourceType');
+
+const MONGODB_URI = 'mongodb://localhost:27017/smartalloc_db';
+const DRY_RUN = process.argv.includes('--dry-run');
+
+// Old client/seed names → canonical type (keys are compared lower-case)
+const TYPE_ALIASES = {
+    'room': 'Meeting Room',
+    'conference room': 'Meeting Room',
+    'meeting space': 'Meeting Room',
+    'device': 'Equipment',
+    'car': 'Vehicle',
+    'van': 'Vehicle'
+};
+
+// Icon and colour for types created by this script, when the name is recognised
+const TYPE_STYLES = {
+    'meeting room': { icon: '🏢', color: '#6366f1' },
+    'conference hall': { icon: '🏛️', color: '#4f46e5' },
+    'laptop': { icon: '💻', color: '#0ea5e9' },
+    'projector': { icon: '📽️', color: '#8b5cf6' },
+    'vehicle': { icon: '🚗', color: '#f59e0b' },
+    'equipment': { icon: '🧰', color: '#10b981' },
+    'tablet': { icon: '📱', color: '#14b8a6' },
+    'camera': { icon: '📷', color: '#ec4899' },
+    'workstation': { icon: '🖥️', color: '#64748b' }
+};
+
+/**
+ * Lower-case and collapse whitespace, for matching names
+ */
+const normaliseName = (name) => String(name).trim().replace(/\s+/g, ' ').toLowerCase();
+
+/**
+ * "meeting  room" → "Meeting Room" (only used for names without a record)
+ */
+const toTitleCase = (name) => String(name).trim().replace(/\s+/g, ' ')
+    .replace(/\b\w/g, letter => letter.toUpperCase());
+
+async function migrateResourceTypes() {
+    console.log(`🚀 Migrating resource types${DRY_RUN ? ' (dry run - nothing is saved)' : ''}...`);
+    console.log('===================================================');
+
+    try {
+        console.log('🔄 Connecting to MongoDB...');
+        await mongoose.connect(MONGODB_URI);
+        console.log('✅ Connected.');
+
+        const existingTypes = await ResourceType.find();
+        const typesByKey = new Map(existingTypes.map(type => [normaliseName(type.name), type.name]));
+
+        const usedNames = new Set([
+            ...await Resource.distinct('type'),
+            ...await ResourceField.distinct('resourceType')
+        ]);
+
+        const toCreate = new Map();
+        let renamed = 0;
+
+        for (const name of usedNames) {
+            const key = normaliseName(name);
+            const aliasKey = TYPE_ALIASES[key] ? normaliseName(TYPE_ALIASES[key]) : key;
+
+            // Canonical name: existing record, then alias target, then the name itself
+            let target = typesByKey.get(aliasKey);
+            if (!target) {
+                target = TYPE_ALIASES[key] || toTitleCase(name);
+                typesByKey.set(aliasKey, target);
+                toCreate.set(target, {
+                    name: target,
+                    ...(TYPE_STYLES[aliasKey] || {})
+                });
+            }
+
+            if (target === name) {
+                console.log(`   = "${name}"`);
+                continue;
+            }
+
+            console.log(`   → "${name}" becomes "${target}"`);
+            renamed++;
+
+            if (!DRY_RUN) {
+                await Resource.updateMany({ type: name }, { type: target });
+                await ResourceField.updateMany({ resourceType: name }, { resourceType: target });
+            }
+        }
+
+        for (const type of toCreate.values()) {
+            console.log(`   + new type "${type.name}"`);
+        }
+        if (!DRY_RUN && toCreate.size > 0) {
+            await ResourceType.insertMany([...toCreate.values()]);
+        }
+
+        console.log('===================================================');
+        console.log(`✅ ${usedNames.size} type name(s) in use, ${renamed} renamed, ${toCreate.size} type(s) created.`);
+        if (DRY_RUN) {
+            console.log('ℹ️  Dry run - run again without --dry-run to apply.');
+        }
+    } catch (error) {
+        console.error('❌ Migration failed:', error);
+        // Two names merging into one can leave custom fields with clashing keys
+        if (error.code === 11000) {
+            console.error('   Two merged types define a custom field with the same key - rename one and run again.');
+        }
+        process.exitCode = 1;
+    } finally {
+        await mongoose.disconnect();
+    }
+}
+
+migrateResourceTypes();
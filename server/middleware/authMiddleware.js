@@ -6,7 +6,7 @@
  * 
  * Features:
  * - JWT Token Verification
- * - User Role Authorization
+ * - Permission-based Authorization (permissions come from the user's Role)
  * - Account Status Check
  * 
  * @author SmartAlloc Team
@@ -16,13 +16,32 @@
 
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Role = require('../models/Role');
+const { PERMISSIONS, ADMIN_ROLE } = require('../models/Role');
 
 // JWT Secret (In production, use environment variable)
 const JWT_SECRET = process.env.JWT_SECRET || 'smartalloc_secret_key_2024';
 
+/**
+ * Get the permission names granted by a role.
+ * Super User always gets every permission, even before the roles
+ * collection has been seeded, so admins can never be locked out.
+ *
+ * @param {String} roleName - Value of user.role
+ * @returns {Array} Permission names
+ */
+const getRolePermissions = async (roleName) => {
+    if (roleName === ADMIN_ROLE) {
+        return Object.keys(PERMISSIONS);
+    }
+
+    const role = await Role.findOne({ name: roleName }).select('permissions');
+    return role ? role.permissions : [];
+};
+
 /**
  * Protect Route Middleware
- * Verifies JWT token and attaches user to request
+ * Verifies JWT token and attaches user (and req.permissions) to request
  */
 const protect = async (req, res, next) => {
     let token;
@@ -55,7 +74,7 @@ const protect = async (req, res, next) => {
                 });
             }
 
-            next();
+            req.permissions = await getRolePermissions(req.user.role);
         } catch (error) {
             console.error('Token verification failed:', error.message);
             return res.status(401).json({
@@ -63,6 +82,8 @@ const protect = async (req, res, next) => {
                 message: 'Not authorized, token failed'
             });
         }
+
+        return next();
     }
 
     if (!token) {
@@ -74,19 +95,33 @@ const protect = async (req, res, next) => {
 };
 
 /**
- * Admin Only Middleware
- * Restricts access to Super Users only
+ * Check whether the logged in user has a permission
  * Must be used AFTER protect middleware
+ *
+ * @param {Object} req - Express request
+ * @param {String} permission - Permission name, e.g. 'allocations:approve'
+ * @returns {Boolean}
  */
-const adminOnly = (req, res, next) => {
-    if (req.user && req.user.role === 'Super User') {
-        next();
-    } else {
-        return res.status(403).json({
-            success: false,
-            message: 'Access denied. Admin privileges required.'
-        });
+const hasPermission = (req, permission) => Boolean(req.permissions && req.permissions.includes(permission));
+
+/**
+ * Authorize Middleware Factory
+ * Restricts access to users whose role grants ALL of the given permissions
+ * Must be used AFTER protect middleware
+ *
+ * Usage: router.post('/', protect, authorize('resources:write'), createResource);
+ */
+const authorize = (...permissions) => (req, res, next) => {
+    const missing = permissions.filter(permission => !hasPermission(req, permission));
+
+    if (missing.length === 0) {
+        return next();
     }
+
+    return res.status(403).json({
+        success: false,
+        message: `Access denied. Missing permission: ${missing.join(', ')}`
+    });
 };
 
 /**
@@ -99,4 +134,4 @@ const generateToken = (id) => {
     });
 };
 
-module.exports = { protect, adminOnly, generateToken, JWT_SECRET };
+module.exports = { protect, authorize, hasPermission, getRolePermissions, generateToken, JWT_SECRET };
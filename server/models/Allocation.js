@@ -13,6 +13,9 @@
  * - Stores time range (startTime to endTime)
  * - Tracks who the resource is assigned to
  * - Optional purpose/reason field
+ * - Approval trail: one entry per approval step (see utils/approvalChain.js)
+ * - Rejection reason shown to the requester (discussion lives in AllocationComment)
+ * - Change history: who edited which fields, from what to what
  * 
  * Collection Name: allocations
  * 
@@ -23,6 +26,133 @@
 
 const mongoose = require('mongoose');
 
+/**
+ * Auto-approval rule that decided a request (see models/ApprovalRule.js).
+ * The name, action and reason are copied so the record survives edits to
+ * the rule.
+ */
+const ruleDecisionSchema = new mongoose.Schema({
+    ruleId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ApprovalRule'
+    },
+    name: String,
+    action: String,
+    reason: String,
+    decidedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
+const STEP_STATUSES = ['pending', 'approved', 'rejected', 'skipped'];
+
+const TIME_STATUSES = ['Active', 'Upcoming', 'Completed'];
+
+/**
+ * Time status of an allocation at a given time: 'Upcoming' before
+ * startTime, 'Active' from startTime to endTime (both included),
+ * 'Completed' after. The one definition used by the timeStatus virtual,
+ * the allocation list and the dashboard.
+ *
+ * @param {Object} allocation - Object with startTime/endTime
+ * @param {Date} now - Current time
+ * @returns {String} One of TIME_STATUSES
+ */
+const getTimeStatus = (allocation, now = new Date()) => {
+    if (now < allocation.startTime) {
+        return 'Upcoming';
+    } else if (now <= allocation.endTime) {
+        return 'Active';
+    }
+    return 'Completed';
+};
+
+/**
+ * MongoDB condition matching the allocations that getTimeStatus puts in
+ * a time status
+ *
+ * @param {String} status - One of TIME_STATUSES
+ * @param {Date} now - Current time
+ * @returns {Object} Query condition
+ */
+const timeStatusCondition = (status, now = new Date()) => ({
+    Upcoming: { startTime: { $gt: now } },
+    Active: { startTime: { $lte: now }, endTime: { $gte: now } },
+    Completed: { endTime: { $lt: now } }
+})[status];
+
+/**
+ * One step of a request's approval chain, copied from the resource
+ * type's chain when the request is made. Records who decided the step,
+ * on whose behalf (delegation) and when.
+ */
+const approvalStepSchema = new mongoose.Schema({
+    name: String,
+    kind: String,
+    role: String,
+    department: String,
+    status: {
+        type: String,
+        enum: STEP_STATUSES,
+        default: 'pending'
+    },
+    decidedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    decidedByName: String,
+    onBehalfOf: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    onBehalfOfName: String,
+    decidedAt: {
+        type: Date,
+        default: null
+    },
+    comment: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Comment cannot exceed 500 characters'],
+        default: ''
+    }
+}, { _id: false });
+
+/**
+ * One changed field of an edit. Values are kept as display text
+ * (resource names, ISO dates) so the history reads the same after the
+ * resource is renamed or deleted.
+ */
+const fieldChangeSchema = new mongoose.Schema({
+    field: String,
+    from: String,
+    to: String
+}, { _id: false });
+
+/**
+ * One edit of an allocation (PUT /api/allocations/:id). A change of
+ * approvalStatus caused by the edit is listed with the fields.
+ */
+const allocationChangeSchema = new mongoose.Schema({
+    changedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    changedByName: String,
+    changedAt: {
+        type: Date,
+        default: Date.now
+    },
+    changes: {
+        type: [fieldChangeSchema],
+        default: []
+    }
+}, { _id: false });
+
 /**
  * Allocation Schema Definition
  * 
@@ -42,6 +172,44 @@ const mongoose = require('mongoose');
  *                              Example: "Weekly team meeting", "Client presentation"
  * 
  * @property {Date} createdAt - Timestamp when the allocation was created
+ * 
+ * @property {ObjectId} seriesId - Shared ID linking the occurrences of a recurring booking
+ * 
+ * @property {Number} seriesIndex - Position of the occurrence within its series
+ * 
+ * @property {Date} cancelledAt - When the allocation was cancelled (approvalStatus 'cancelled')
+ * 
+ * @property {String} cancellationReason - Why it was cancelled, shown to the requester
+ * 
+ * @property {ObjectId} cancelledBy - User who cancelled it (null when the system did,
+ *                                    e.g. a no-show release)
+ * 
+ * @property {Date} checkedInAt - When the requester checked in (see checkInWindowMinutes
+ *                                in models/ResourceType.js)
+ * 
+ * @property {Boolean} noShow - Released because nobody checked in (see utils/noShow.js)
+ * 
+ * @property {Boolean} expired - Cancelled because it was still pending when it started
+ *                               (see utils/jobs.js)
+ * 
+ * @property {Date} reminderSentAt - When the requester was reminded it is about to start
+ *                                   (see utils/notifications.js)
+ * 
+ * @property {String} rejectionReason - Why it was rejected (the approver's comment, or the
+ *                                      auto-approval rule's reason), shown to the requester
+ * 
+ * @property {Boolean} needsReview - Flagged for an admin to look at (e.g. resource retired)
+ * 
+ * @property {String} reviewReason - Why it was flagged
+ * 
+ * @property {Object} approvalRule - Auto-approval rule that approved or rejected the
+ *                                   request when it was made (null when none fired)
+ * 
+ * @property {Array} approvalSteps - Approval trail, in chain order
+ * 
+ * @property {Number} currentStep - Index of the step awaiting a decision
+ * 
+ * @property {Array} changeHistory - Edits made after the request, oldest first
  */
 const allocationSchema = new mongoose.Schema({
 
@@ -89,7 +257,7 @@ const allocationSchema = new mongoose.Schema({
     // Approval status for the allocation request
     approvalStatus: {
         type: String,
-        enum: ['pending', 'approved', 'rejected'],
+        enum: ['pending', 'approved', 'rejected', 'cancelled'],
         default: 'pending'
     },
 
@@ -97,6 +265,103 @@ const allocationSchema = new mongoose.Schema({
     requestedBy: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User'
+    },
+
+    // Recurring series this occurrence belongs to (null for one-off bookings)
+    seriesId: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null,
+        index: true
+    },
+
+    // Position of this occurrence within its series (0 = first)
+    seriesIndex: {
+        type: Number,
+        default: null
+    },
+
+    // Cancellation details (approvalStatus 'cancelled')
+    cancelledAt: {
+        type: Date,
+        default: null
+    },
+
+    cancellationReason: {
+        type: String,
+        trim: true,
+        maxlength: [300, 'Cancellation reason cannot exceed 300 characters'],
+        default: ''
+    },
+
+    cancelledBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+
+    // Check-in, and whether the booking was released for lack of one
+    checkedInAt: {
+        type: Date,
+        default: null
+    },
+
+    noShow: {
+        type: Boolean,
+        default: false
+    },
+
+    // Cancelled because nobody decided the request before it started
+    expired: {
+        type: Boolean,
+        default: false
+    },
+
+    reminderSentAt: {
+        type: Date,
+        default: null
+    },
+
+    // Why the request was rejected (approvalStatus 'rejected')
+    rejectionReason: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Rejection reason cannot exceed 500 characters'],
+        default: ''
+    },
+
+    // Flagged for admin review, e.g. when its resource goes out of service
+    needsReview: {
+        type: Boolean,
+        default: false
+    },
+
+    reviewReason: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+
+    // Auto-approval rule that approved or rejected the request, if any
+    approvalRule: {
+        type: ruleDecisionSchema,
+        default: null
+    },
+
+    // Approval chain steps and who decided them
+    approvalSteps: {
+        type: [approvalStepSchema],
+        default: []
+    },
+
+    currentStep: {
+        type: Number,
+        default: 0
+    },
+
+    // Edits (time, resource, assignee, purpose) and who made them
+    changeHistory: {
+        type: [allocationChangeSchema],
+        default: []
     }
 
 }, {
@@ -105,13 +370,20 @@ const allocationSchema = new mongoose.Schema({
     collection: 'allocations' // Explicitly set collection name
 });
 
+/**
+ * Indexes for the list filters/sorting, the overlap checks and the no-show sweep
+ */
+allocationSchema.index({ startTime: -1, _id: -1 });
+allocationSchema.index({ resourceId: 1, startTime: 1 });
+allocationSchema.index({ requestedBy: 1, startTime: -1 });
+allocationSchema.index({ approvalStatus: 1, startTime: 1 });
+
 /**
  * Virtual property to check if allocation is currently active
  * An allocation is active if current time is between startTime and endTime
  */
 allocationSchema.virtual('isActive').get(function () {
-    const now = new Date();
-    return now >= this.startTime && now <= this.endTime;
+    return getTimeStatus(this) === 'Active';
 });
 
 /**
@@ -119,15 +391,7 @@ allocationSchema.virtual('isActive').get(function () {
  * Returns 'Active', 'Upcoming', or 'Completed'
  */
 allocationSchema.virtual('timeStatus').get(function () {
-    const now = new Date();
-
-    if (now < this.startTime) {
-        return 'Upcoming';
-    } else if (now >= this.startTime && now <= this.endTime) {
-        return 'Active';
-    } else {
-        return 'Completed';
-    }
+    return getTimeStatus(this);
 });
 
 /**
@@ -166,12 +430,7 @@ allocationSchema.pre('save', function (next) {
  * @returns {Array} Array of active allocations for the resource
  */
 allocationSchema.statics.findActiveForResource = function (resourceId) {
-    const now = new Date();
-    return this.find({
-        resourceId: resourceId,
-        startTime: { $lte: now },
-        endTime: { $gte: now }
-    });
+    return this.find({ resourceId: resourceId, ...timeStatusCondition('Active') });
 };
 
 /**
@@ -181,7 +440,7 @@ allocationSchema.statics.findActiveForResource = function (resourceId) {
  * Overlap exists when:
  * existing.startTime < newEndTime AND existing.endTime > newStartTime
  * 
- * @param {ObjectId} resourceId - The resource to check
+ * @param {ObjectId|Array} resourceId - The resource to check, or a list of resources
  * @param {Date} startTime - Proposed start time
  * @param {Date} endTime - Proposed end time
  * @param {ObjectId} excludeId - Optional allocation ID to exclude (for updates)
@@ -189,7 +448,7 @@ allocationSchema.statics.findActiveForResource = function (resourceId) {
  */
 allocationSchema.statics.findOverlapping = function (resourceId, startTime, endTime, excludeId = null) {
     const query = {
-        resourceId: resourceId,
+        resourceId: Array.isArray(resourceId) ? { $in: resourceId } : resourceId,
         startTime: { $lt: endTime },    // Existing start is before new end
         endTime: { $gt: startTime }     // Existing end is after new start
     };
@@ -202,6 +461,19 @@ allocationSchema.statics.findOverlapping = function (resourceId, startTime, endT
     return this.find(query);
 };
 
+/**
+ * Static method to find the allocations a user has requested
+ * Shared by the "My Allocations" API and the user's calendar feed
+ * 
+ * @param {ObjectId} userId - The requesting user
+ * @returns {Array} The user's allocations, newest request first
+ */
+allocationSchema.statics.findRequestedBy = function (userId) {
+    return this.find({ requestedBy: userId })
+        .populate('resourceId', 'name type')
+        .sort({ createdAt: -1 });
+};
+
 /**
  * Ensure virtuals are included when converting to JSON
  * This allows the status and isActive properties to be included in API responses
@@ -216,3 +488,7 @@ allocationSchema.set('toObject', { virtuals: true });
 const Allocation = mongoose.model('Allocation', allocationSchema);
 
 module.exports = Allocation;
+module.exports.STEP_STATUSES = STEP_STATUSES;
+module.exports.TIME_STATUSES = TIME_STATUSES;
+module.exports.getTimeStatus = getTimeStatus;
+module.exports.timeStatusCondition = timeStatusCondition;
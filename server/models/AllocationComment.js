@@ -0,0 +1,106 @@
+/**
+ * =============================================================================
+ * SMARTALLOC - ALLOCATION COMMENT MODEL
+ * =============================================================================
+ * Mongoose schema and model for the discussion thread of an allocation.
+ *
+ * The requester and the approvers of a request can talk about it ("can you
+ * move to 3pm?", "need the HDMI adapter too"). Authors can edit their own
+ * comments; every edit keeps the previous text in the comment's history.
+ *
+ * Collection Name: allocation_comments
+ *
+ * @author SmartAlloc Team
+ * @version 1.0.0
+ * =============================================================================
+ */
+
+const mongoose = require('mongoose');
+
+const MAX_COMMENT_LENGTH = 1000;
+
+/**
+ * A previous version of a comment, and when it was replaced
+ */
+const commentEditSchema = new mongoose.Schema({
+    body: String,
+    editedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
+/**
+ * AllocationComment Schema Definition
+ *
+ * @property {ObjectId} allocationId - Allocation the comment belongs to
+ * @property {ObjectId} author - User who wrote it
+ * @property {String} authorName - Author's name, kept if the user is deleted
+ * @property {String} body - Current text
+ * @property {Array} edits - Previous texts, oldest first
+ * @property {Date} editedAt - Last edit (null when never edited)
+ * @property {Date} createdAt - When it was posted
+ */
+const allocationCommentSchema = new mongoose.Schema({
+    allocationId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Allocation',
+        required: true,
+        index: true
+    },
+
+    author: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+
+    authorName: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+
+    body: {
+        type: String,
+        required: [true, 'Comment cannot be empty'],
+        trim: true,
+        maxlength: [MAX_COMMENT_LENGTH, `Comment cannot exceed ${MAX_COMMENT_LENGTH} characters`]
+    },
+
+    edits: {
+        type: [commentEditSchema],
+        default: []
+    },
+
+    editedAt: {
+        type: Date,
+        default: null
+    },
+
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: false,
+    collection: 'allocation_comments'
+});
+
+/**
+ * Static method to find the thread of an allocation, oldest first
+ *
+ * @param {ObjectId} allocationId - The allocation
+ * @returns {Array} Its comments
+ */
+allocationCommentSchema.statics.findThread = function (allocationId) {
+    return this.find({ allocationId }).sort({ createdAt: 1, _id: 1 });
+};
+
+/**
+ * Create and export the AllocationComment model
+ */
+const AllocationComment = mongoose.model('AllocationComment', allocationCommentSchema);
+
+module.exports = AllocationComment;
+module.exports.MAX_COMMENT_LENGTH = MAX_COMMENT_LENGTH;
@@ -0,0 +1,208 @@
+/**
+ * =============================================================================
+ * SMARTALLOC - APPROVAL RULE MODEL
+ * =============================================================================
+ * Mongoose schema and model for auto-approval rules.
+ *
+ * When someone without allocations:approve requests a resource, the
+ * enabled rules are tried in priority order and the first one whose
+ * conditions all match decides the request: 'approve' books it straight
+ * away, 'reject' records it as rejected with the rule's reason. When no
+ * rule matches, the resource's booking policy decides (requiresApproval).
+ * The allocation keeps which rule fired (Allocation.approvalRule).
+ *
+ * Conditions (an empty / null condition matches everything):
+ * - resourceIds:    specific resources
+ * - resourceTypes:  resource type names (renames follow the type)
+ * - departments:    requester's department (case-insensitive)
+ * - roles:          requester's role name (renames follow the role)
+ * - minDurationMinutes / maxDurationMinutes: booking length, inclusive
+ * - minLeadTimeMinutes / maxLeadTimeMinutes: time from request to start
+ * - startAfter / endBefore: "HH:MM" window (server local time) the booking
+ *                   must lie in
+ *
+ * A recurring series only matches when every occurrence does.
+ *
+ * Collection Name: approvalrules
+ *
+ * @author SmartAlloc Team
+ * @version 1.0.0
+ * =============================================================================
+ */
+
+const mongoose = require('mongoose');
+
+const RULE_ACTIONS = ['approve', 'reject'];
+
+// "HH:MM", 24-hour clock
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Conditions Sub-Schema
+ */
+const conditionsSchema = new mongoose.Schema({
+    resourceIds: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Resource'
+    }],
+
+    resourceTypes: [{
+        type: String,
+        trim: true
+    }],
+
+    departments: [{
+        type: String,
+        trim: true
+    }],
+
+    roles: [{
+        type: String,
+        trim: true
+    }],
+
+    minDurationMinutes: {
+        type: Number,
+        min: [1, 'Minimum duration must be at least 1 minute'],
+        default: null
+    },
+
+    maxDurationMinutes: {
+        type: Number,
+        min: [1, 'Maximum duration must be at least 1 minute'],
+        default: null
+    },
+
+    minLeadTimeMinutes: {
+        type: Number,
+        min: [0, 'Lead time cannot be negative'],
+        default: null
+    },
+
+    maxLeadTimeMinutes: {
+        type: Number,
+        min: [0, 'Lead time cannot be negative'],
+        default: null
+    },
+
+    startAfter: {
+        type: String,
+        match: [TIME_OF_DAY, 'Start time must be HH:MM'],
+        default: null
+    },
+
+    endBefore: {
+        type: String,
+        match: [TIME_OF_DAY, 'End time must be HH:MM'],
+        default: null
+    }
+}, { _id: false });
+
+/**
+ * ApprovalRule Schema Definition
+ *
+ * @property {String} name - Shown on the allocation the rule decided
+ * @property {String} action - 'approve' or 'reject'
+ * @property {String} reason - Told to the requester when the rule rejects
+ * @property {Number} priority - Lower numbers are tried first
+ * @property {Boolean} enabled - Disabled rules are skipped
+ * @property {Object} conditions - What a request must match (see above)
+ * @property {Number} matchCount - Requests the rule has decided
+ * @property {Date} lastMatchedAt - When it last decided one
+ * @property {ObjectId} createdBy - Admin who created it
+ */
+const approvalRuleSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Rule name is required'],
+        trim: true,
+        maxlength: [80, 'Rule name cannot exceed 80 characters']
+    },
+
+    action: {
+        type: String,
+        enum: {
+            values: RULE_ACTIONS,
+            message: `Action must be ${RULE_ACTIONS.join(' or ')}`
+        },
+        required: [true, 'Action is required']
+    },
+
+    reason: {
+        type: String,
+        trim: true,
+        maxlength: [300, 'Reason cannot exceed 300 characters'],
+        default: ''
+    },
+
+    priority: {
+        type: Number,
+        default: 100
+    },
+
+    enabled: {
+        type: Boolean,
+        default: true
+    },
+
+    conditions: {
+        type: conditionsSchema,
+        default: () => ({})
+    },
+
+    matchCount: {
+        type: Number,
+        default: 0
+    },
+
+    lastMatchedAt: {
+        type: Date,
+        default: null
+    },
+
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    }
+}, {
+    timestamps: true,
+    collection: 'approvalrules'
+});
+
+approvalRuleSchema.pre('validate', function (next) {
+    const { conditions } = this;
+
+    if (conditions.minDurationMinutes && conditions.maxDurationMinutes
+        && conditions.minDurationMinutes > conditions.maxDurationMinutes) {
+        this.invalidate('conditions.minDurationMinutes', 'Minimum duration cannot exceed maximum duration');
+    }
+
+    if (conditions.minLeadTimeMinutes !== null && conditions.maxLeadTimeMinutes !== null
+        && conditions.minLeadTimeMinutes > conditions.maxLeadTimeMinutes) {
+        this.invalidate('conditions.minLeadTimeMinutes', 'Minimum lead time cannot exceed maximum lead time');
+    }
+
+    if (conditions.startAfter && conditions.endBefore && conditions.startAfter >= conditions.endBefore) {
+        this.invalidate('conditions.endBefore', 'End of the time window must be after its start');
+    }
+
+    next();
+});
+
+/**
+ * Static method to get the enabled rules in the order they are tried
+ *
+ * @returns {Array} Rules, lowest priority number first
+ */
+approvalRuleSchema.statics.findActive = function () {
+    return this.find({ enabled: true }).sort({ priority: 1, createdAt: 1 });
+};
+
+/**
+ * Create and export the ApprovalRule model
+ */
+const ApprovalRule = mongoose.model('ApprovalRule', approvalRuleSchema);
+
+module.exports = ApprovalRule;
+module.exports.RULE_ACTIONS = RULE_ACTIONS;
@@ -0,0 +1,154 @@
+/**
+ * =============================================================================
+ * SMARTALLOC - AUDIT EVENT MODEL
+ * =============================================================================
+ * Mongoose schema and model for one entry of the audit log: who did what
+ * to which record, what changed, and from where. Written by utils/audit.js
+ * for every successful mutating request, and for changes made by
+ * background jobs (actor null).
+ *
+ * The log is append-only: updates and deletes through the model are
+ * refused, and there is no expiry.
+ *
+ * Collection Name: audit_events
+ *
+ * @author SmartAlloc Team
+ * @version 1.0.0
+ * =============================================================================
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * One changed field: its value before and after. Values are stored as
+ * JSON (IDs as strings, dates as ISO strings).
+ */
+const fieldChangeSchema = new mongoose.Schema({
+    field: String,
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+/**
+ * AuditEvent Schema Definition
+ *
+ * @property {ObjectId} actorId - User who did it (null for the system)
+ * @property {String} actorName - Their name at the time ("System" for background jobs)
+ * @property {String} actorRole - Their role at the time
+ * @property {String} action - What was done, e.g. "allocation.delete", "user.status"
+ * @property {String} targetType - Kind of record, e.g. "Allocation", "User"
+ * @property {ObjectId} targetId - The record (kept after it is deleted)
+ * @property {String} targetLabel - Readable name of the record at the time
+ * @property {Array} changes - Changed fields: [{ field, from, to }]
+ * @property {Object} details - Anything else worth keeping (scope, reason, counts)
+ * @property {String} ip - Client address
+ * @property {String} userAgent - Client user agent
+ * @property {String} method - HTTP method
+ * @property {String} path - Request path, without the query string
+ * @property {Date} createdAt - When it happened
+ */
+const auditEventSchema = new mongoose.Schema({
+    actorId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+
+    actorName: {
+        type: String,
+        default: 'System'
+    },
+
+    actorRole: {
+        type: String,
+        default: ''
+    },
+
+    action: {
+        type: String,
+        required: true
+    },
+
+    targetType: {
+        type: String,
+        required: true
+    },
+
+    targetId: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+
+    targetLabel: {
+        type: String,
+        default: ''
+    },
+
+    changes: {
+        type: [fieldChangeSchema],
+        default: []
+    },
+
+    details: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+
+    ip: {
+        type: String,
+        default: ''
+    },
+
+    userAgent: {
+        type: String,
+        default: ''
+    },
+
+    method: {
+        type: String,
+        default: ''
+    },
+
+    path: {
+        type: String,
+        default: ''
+    },
+
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: false,
+    collection: 'audit_events'
+});
+
+/**
+ * Indexes for the log (newest first), per-record history, per-actor and
+ * per-action filters
+ */
+auditEventSchema.index({ createdAt: -1, _id: -1 });
+auditEventSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+auditEventSchema.index({ actorId: 1, createdAt: -1 });
+auditEventSchema.index({ action: 1, createdAt: -1 });
+
+/**
+ * Append-only: existing events can't be changed or removed
+ */
+const refuseChange = function (next) {
+    next(new Error('Audit events cannot be changed or deleted'));
+};
+
+auditEventSchema.pre('save', function (next) {
+    if (!this.isNew) return refuseChange(next);
+    next();
+});
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete']
+    .forEach(operation => auditEventSchema.pre(operation, { document: true, query: true }, refuseChange));
+
+/**
+ * Create and export the AuditEvent model
+ */
+const AuditEvent = mongoose.model('AuditEvent', auditEventSchema);
+
+module.exports = AuditEvent;
@@ -0,0 +1,87 @@
+/**
+ * =============================================================================
+ * SMARTALLOC - CALENDAR FEED MODEL
+ * =============================================================================
+ * Mongoose schema and model for subscribable iCalendar feeds.
+ *
+ * Calendar apps cannot send the JWT Bearer header, so each feed is reached
+ * through a secret token in its URL instead. Deleting the feed revokes the
+ * token; a user can then create a new one.
+ *
+ * Feed types:
+ * - user:     allocations the owner has requested
+ * - resource: all allocations of one resource
+ *
+ * Collection Name: calendar_feeds
+ *
+ * @author SmartAlloc Team
+ * @version 1.0.0
+ * =============================================================================
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+/**
+ * CalendarFeed Schema Definition
+ *
+ * @property {String} token - Secret URL token (unique)
+ * @property {ObjectId} owner - User who created the feed
+ * @property {String} type - 'user' or 'resource'
+ * @property {ObjectId} resourceId - Resource shown by a 'resource' feed
+ * @property {Date} lastAccessedAt - Last time a calendar app fetched the feed
+ * @property {Date} createdAt - Creation date
+ */
+const calendarFeedSchema = new mongoose.Schema({
+    token: {
+        type: String,
+        required: true,
+        unique: true
+    },
+
+    owner: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+
+    type: {
+        type: String,
+        enum: ['user', 'resource'],
+        required: true
+    },
+
+    resourceId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Resource',
+        default: null
+    },
+
+    lastAccessedAt: {
+        type: Date,
+        default: null
+    },
+
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: false,
+    collection: 'calendar_feeds'
+});
+
+/**
+ * Static method to generate a new secret token
+ */
+calendarFeedSchema.statics.generateToken = function () {
+    return crypto.randomBytes(24).toString('hex');
+};
+
+/**
+ * Create and export the CalendarFeed model
+ */
+const CalendarFeed = mongoose.model('CalendarFeed', calendarFeedSchema);
+
+module.exports = CalendarFeed;
@@ -0,0 +1,137 @@
+/**
+ * =============================================================================
+ * SMARTALLOC - EMAIL OUTBOX MODEL
+ * =============================================================================
+ * Mongoose schema and model for an email waiting to be sent, or already
+ * sent. Emails are rendered and queued here when their event happens and
+ * delivered later by the outbox sweep (see utils/email.js), so a mail
+ * outage only delays them.
+ *
+ * Statuses:
+ * - pending: waiting to be sent (again, after a failure) at nextAttemptAt
+ * - sending: claimed by a sweep
+ * - sent:    delivered to the mail transport
+ * - failed:  gave up after MAX_EMAIL_ATTEMPTS (lastError says why)
+ *
+ * Sent emails are deleted SENT_TTL_DAYS after they were sent.
+ *
+ * Collection Name: email_outbox
+ *
+ * @author SmartAlloc Team
+ * @version 1.0.0
+ * =============================================================================
+ */
+
+const mongoose = require('mongoose');
+
+const EMAIL_STATUSES = ['pending', 'sending', 'sent', 'failed'];
+
+const MAX_EMAIL_ATTEMPTS = 6;
+
+const SENT_TTL_DAYS = 30;
+
+/**
+ * EmailOutbox Schema Definition
+ *
+ * @property {String} to - Recipient address
+ * @property {ObjectId} userId - Recipient user (null for other addresses)
+ * @property {String} template - Template it was rendered from (utils/emailTemplates.js)
+ * @property {String} subject - Rendered subject
+ * @property {String} text - Rendered plain-text body
+ * @property {String} html - Rendered HTML body
+ * @property {String} status - One of EMAIL_STATUSES
+ * @property {Number} attempts - Delivery attempts so far
+ * @property {Date} nextAttemptAt - When it may be (re)tried
+ * @property {Date} lockedAt - When a sweep claimed it
+ * @property {String} lastError - Error of the last failed attempt
+ * @property {Date} sentAt - When it was sent
+ * @property {Date} createdAt - When it was queued
+ */
+const emailOutboxSchema = new mongoose.Schema({
+    to: {
+        type: String,
+        required: true,
+        trim: true
+    },
+
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+
+    template: {
+        type: String,
+        required: true
+    },
+
+    subject: {
+        type: String,
+        required: true
+    },
+
+    text: {
+        type: String,
+        default: ''
+    },
+
+    html: {
+        type: String,
+        default: ''
+    },
+
+    status: {
+        type: String,
+        enum: EMAIL_STATUSES,
+        default: 'pending'
+    },
+
+    attempts: {
+        type: Number,
+        default: 0
+    },
+
+    nextAttemptAt: {
+        type: Date,
+        default: Date.now
+    },
+
+    lockedAt: {
+        type: Date,
+        default: null
+    },
+
+    lastError: {
+        type: String,
+        default: null
+    },
+
+    sentAt: {
+        type: Date,
+        default: null
+    },
+
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: false,
+    collection: 'email_outbox'
+});
+
+/**
+ * Indexes for the sweep, for finding today's digest, and for expiry
+ */
+emailOutboxSchema.index({ status: 1, nextAttemptAt: 1 });
+emailOutboxSchema.index({ template: 1, userId: 1, createdAt: -1 });
+emailOutboxSchema.index({ sentAt: 1 }, { expireAfterSeconds: SENT_TTL_DAYS * 24 * 60 * 60 });
+
+/**
+ * Create and export the EmailOutbox model
+ */
+const EmailOutbox = mongoose.model('EmailOutbox', emailOutboxSchema);
+
+module.exports = EmailOutbox;
+module.exports.EMAIL_STATUSES = EMAIL_STATUSES;
+module.exports.MAX_EMAIL_ATTEMPTS = MAX_EMAIL_ATTEMPTS;
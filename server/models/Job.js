@@ -0,0 +1,147 @@
+/**
+ * =============================================================================
+ * SMARTALLOC - JOB MODEL
+ * =============================================================================
+ * Mongoose schema and model for one run of a background job (see
+ * utils/scheduler.js for the runner and utils/jobs.js for the jobs).
+ *
+ * Runs have a unique key, so server instances that schedule the same
+ * occurrence share one document, and claiming it atomically
+ * (scheduled → running) lets only one of them run it. An interval job
+ * has a single document (key = job name) that is scheduled again for
+ * each occurrence; a daily job has one per day (job name + the time it
+ * is due); each manual run has its own. The documents are also the job
+ * history shown to admins.
+ *
+ * Statuses:
+ * - scheduled: waiting to run (again, after a failure) at runAt
+ * - running:   claimed by an instance until lockedUntil
+ * - succeeded: done (result says what it did)
+ * - failed:    gave up after maxAttempts (lastError says why)
+ *
+ * Finished runs are deleted HISTORY_DAYS after they finished.
+ *
+ * Collection Name: jobs
+ *
+ * @author SmartAlloc Team
+ * @version 1.0.0
+ * =============================================================================
+ */
+
+const mongoose = require('mongoose');
+
+const JOB_STATUSES = ['scheduled', 'running', 'succeeded', 'failed'];
+
+const HISTORY_DAYS = 7;
+
+/**
+ * Job Schema Definition
+ *
+ * @property {String} name - Job it is a run of (utils/jobs.js)
+ * @property {String} key - Unique key, e.g. "release-no-shows" or "pending-digest@2026-01-05T08:00:00.000Z"
+ * @property {String} status - One of JOB_STATUSES
+ * @property {Date} runAt - When it is due (or retried)
+ * @property {Number} attempts - Attempts so far
+ * @property {Number} maxAttempts - Attempts before it is marked failed
+ * @property {String} lockedBy - Instance running it (host:pid)
+ * @property {Date} lockedUntil - When another instance may take it over
+ * @property {Date} startedAt - When the last attempt started
+ * @property {Date} finishedAt - When it succeeded or failed for good
+ * @property {Object} result - What the run did, e.g. { released: 2 }
+ * @property {String} lastError - Error of the last failed attempt
+ * @property {ObjectId} triggeredBy - Admin who ran or retried it by hand (null for the schedule)
+ * @property {Date} createdAt - When it was scheduled
+ */
+const jobSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true
+    },
+
+    key: {
+        type: String,
+        required: true,
+        unique: true
+    },
+
+    status: {
+        type: String,
+        enum: JOB_STATUSES,
+        default: 'scheduled'
+    },
+
+    runAt: {
+        type: Date,
+        default: Date.now
+    },
+
+    attempts: {
+        type: Number,
+        default: 0
+    },
+
+    maxAttempts: {
+        type: Number,
+        default: 3
+    },
+
+    lockedBy: {
+        type: String,
+        default: null
+    },
+
+    lockedUntil: {
+        type: Date,
+        default: null
+    },
+
+    startedAt: {
+        type: Date,
+        default: null
+    },
+
+    finishedAt: {
+        type: Date,
+        default: null
+    },
+
+    result: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+
+    lastError: {
+        type: String,
+        default: null
+    },
+
+    triggeredBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: false,
+    collection: 'jobs'
+});
+
+/**
+ * Indexes for claiming due runs, for the history, and for expiry
+ */
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ name: 1, runAt: -1 });
+jobSchema.index({ finishedAt: 1 }, { expireAfterSeconds: HISTORY_DAYS * 24 * 60 * 60 });
+
+/**
+ * Create and export the Job model
+ */
+const Job = mongoose.model('Job', jobSchema);
+
+module.exports = Job;
+module.exports.JOB_STATUSES = JOB_STATUSES;
+module.exports.HISTORY_DAYS = HISTORY_DAYS;
@@ -0,0 +1,62 @@
+/**
+ * =============================================================================
+ * SMARTALLOC - JOB LEASE MODEL
+ * =============================================================================
+ * Mongoose schema and model for per-job leases (see utils/scheduler.js).
+ *
+ * An instance takes the lease of a job before it claims one of its runs,
+ * so only one run of each job goes at a time across instances - even when
+ * several runs of it are due (an occurrence, a retry, a manual run). At
+ * most one lease document exists per job name (unique index), and each
+ * lease expires on its own if the instance holding it stops.
+ *
+ * Collection Name: job_leases
+ *
+ * @author SmartAlloc Team
+ * @version 1.0.0
+ * =============================================================================
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * JobLease Schema Definition
+ *
+ * @property {String} name - Job being run (unique)
+ * @property {String} owner - Random token identifying the lease holder
+ * @property {Date} expiresAt - When the lease runs out and may be taken over
+ */
+const jobLeaseSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        unique: true
+    },
+
+    owner: {
+        type: String,
+        required: true
+    },
+
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: false,
+    collection: 'job_leases'
+});
+
+/**
+ * TTL index - MongoDB removes stale leases in the background.
+ * Expired leases are also taken over directly, so correctness does not
+ * depend on the TTL monitor's timing.
+ */
+jobLeaseSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Create and export the JobLease model
+ */
+const JobLease = mongoose.model('JobLease', jobLeaseSchema);
+
+module.exports = JobLease;
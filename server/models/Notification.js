@@ -0,0 +1,130 @@
+/**
+ * =============================================================================
+ * SMARTALLOC - NOTIFICATION MODEL
+ * =============================================================================
+ * Mongoose schema and model for in-app notifications: something happened
+ * that a user should know about (see utils/notifications.js for when they
+ * are created).
+ *
+ * Types:
+ * - allocation_created:   a request was made (for the requester), or is
+ *                         waiting for you to approve it (for approvers)
+ * - allocation_approved:  a request was approved
+ * - allocation_rejected:  a request was rejected
+ * - allocation_cancelled: a booking was cancelled by someone else, or
+ *                         released as a no-show
+ * - allocation_deleted:   a booking was deleted by an admin
+ * - allocation_reminder:  an approved booking is about to start
+ * - waitlist_promoted:    a slot you waited for was booked for you
+ * - account_blocked:      an admin blocked your account
+ * - password_reset:       an admin reset your password
+ *
+ * Notifications are deleted NOTIFICATION_TTL_DAYS after they were created.
+ *
+ * Collection Name: notifications
+ *
+ * @author SmartAlloc Team
+ * @version 1.0.0
+ * =============================================================================
+ */
+
+const mongoose = require('mongoose');
+
+const NOTIFICATION_TYPES = [
+    'allocation_created',
+    'allocation_approved',
+    'allocation_rejected',
+    'allocation_cancelled',
+    'allocation_deleted',
+    'allocation_reminder',
+    'waitlist_promoted',
+    'account_blocked',
+    'password_reset'
+];
+
+const NOTIFICATION_TTL_DAYS = 90;
+
+/**
+ * Notification Schema Definition
+ *
+ * @property {ObjectId} userId - Who it is for
+ * @property {String} type - One of NOTIFICATION_TYPES
+ * @property {String} title - Short headline
+ * @property {String} message - What happened
+ * @property {ObjectId} allocationId - Allocation it is about (null for account notices;
+ *                                     may point to a deleted allocation)
+ * @property {Date} readAt - When the user read it (null = unread)
+ * @property {Date} createdAt - When it was created
+ */
+const notificationSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+
+    type: {
+        type: String,
+        enum: NOTIFICATION_TYPES,
+        required: true
+    },
+
+    title: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: [100, 'Title cannot exceed 100 characters']
+    },
+
+    message: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Message cannot exceed 500 characters'],
+        default: ''
+    },
+
+    allocationId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Allocation',
+        default: null
+    },
+
+    readAt: {
+        type: Date,
+        default: null
+    },
+
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: false,
+    collection: 'notifications'
+});
+
+/**
+ * Indexes for a user's list and unread count, and for expiry
+ */
+notificationSchema.index({ userId: 1, createdAt: -1 });
+notificationSchema.index({ userId: 1, readAt: 1 });
+notificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: NOTIFICATION_TTL_DAYS * 24 * 60 * 60 });
+
+/**
+ * Static method to count a user's unread notifications
+ *
+ * @param {ObjectId} userId - The user
+ * @returns {Number} Unread count
+ */
+notificationSchema.statics.countUnread = function (userId) {
+    return this.countDocuments({ userId, readAt: null });
+};
+
+/**
+ * Create and export the Notification model
+ */
+const Notification = mongoose.model('Notification', notificationSchema);
+
+module.exports = Notification;
+module.exports.NOTIFICATION_TYPES = NOTIFICATION_TYPES;
+module.exports.NOTIFICATION_TTL_DAYS = NOTIFICATION_TTL_DAYS;
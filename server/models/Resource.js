@@ -11,6 +11,23 @@
  * - Vehicles
  * - Any other bookable resource
  * 
+ * Attributes used for searching:
+ * - capacity:      how many people it holds / seats
+ * - location:      building, floor and room
+ * - amenities:     tags such as "projector" or "wheelchair-accessible"
+ * - customFields:  per-type fields defined by admins (see ResourceField)
+ * 
+ * Booking rules come from the resource's type (ResourceType.bookingPolicy);
+ * bookingPolicy here overrides single rules for this resource only.
+ * 
+ * Lifecycle:
+ * - active:          bookable
+ * - out_of_service:  temporarily unbookable (e.g. broken projector) until
+ *                    returnDate, or until put back in service
+ * - retired:         permanently unbookable, kept for history
+ * - archivedAt set:  soft-deleted - hidden from lists, but allocations
+ *                    still reference it so history stays intact
+ * 
  * Collection Name: resources
  * 
  * @author SmartAlloc Team
@@ -19,6 +36,34 @@
  */
 
 const mongoose = require('mongoose');
+const ResourceType = require('./ResourceType');
+const { createBookingPolicySchema } = require('./ResourceType');
+const { resolvePolicy } = require('../utils/bookingPolicy');
+
+/**
+ * Amenities suggested in the forms. Any other tag is allowed too.
+ */
+const COMMON_AMENITIES = [
+    'projector',
+    'whiteboard',
+    'video-conferencing',
+    'wheelchair-accessible',
+    'air-conditioning',
+    'power-outlets'
+];
+
+const MAX_AMENITIES = 20;
+
+/**
+ * Lower-case, hyphenate and de-duplicate amenity tags
+ * (accepts an array or a comma-separated string)
+ */
+const normaliseAmenities = (value) => {
+    const tags = Array.isArray(value) ? value : String(value || '').split(',');
+    return [...new Set(tags
+        .map(tag => String(tag).trim().toLowerCase().replace(/\s+/g, '-'))
+        .filter(Boolean))];
+};
 
 /**
  * Resource Schema Definition
@@ -26,14 +71,40 @@ const mongoose = require('mongoose');
  * @property {String} name - Name of the resource (required)
  *                           Example: "Conference Room A", "Projector #1"
  * 
- * @property {String} type - Category/type of the resource (required)
- *                           Example: "Room", "Equipment", "Vehicle"
+ * @property {String} type - Name of the resource's ResourceType (required)
+ *                           Example: "Meeting Room", "Laptop", "Vehicle"
  * 
  * @property {String} description - Optional detailed description
  *                                  Example: "10-person meeting room with whiteboard"
  * 
+ * @property {Number} capacity - Number of people it holds (null = not applicable)
+ * 
+ * @property {Object} location - { building, floor, room }
+ * 
+ * @property {Array} amenities - Lower-case tags, e.g. ["projector", "whiteboard"]
+ * 
+ * @property {Object} customFields - Values for the type's custom fields,
+ *                                   validated by ResourceField.validateValues
+ * 
+ * @property {Object} bookingPolicy - Overrides of the type's booking policy
+ *                                    (null / unset = use the type's value)
+ * 
+ * @property {Array} approvers - Users who approve requests for this resource
+ *                               (e.g. the owners of a piece of equipment)
+ * 
  * @property {Date} createdAt - Timestamp when the resource was created
  *                              Automatically set to current date/time
+ * 
+ * @property {String} serviceStatus - 'active', 'out_of_service' or 'retired'
+ * 
+ * @property {String} serviceReason - Why the resource is out of service / retired
+ * 
+ * @property {Date} returnDate - When an out-of-service resource is expected back
+ *                               (null = until further notice)
+ * 
+ * @property {Date} serviceChangedAt - When serviceStatus last changed
+ * 
+ * @property {Date} archivedAt - Set when the resource is (soft) deleted
  */
 const resourceSchema = new mongoose.Schema({
 
@@ -61,10 +132,104 @@ const resourceSchema = new mongoose.Schema({
         default: ''           // Default to empty string if not provided
     },
 
+    // Seats / people (optional)
+    capacity: {
+        type: Number,
+        min: [1, 'Capacity must be at least 1'],
+        default: null,
+        validate: {
+            validator: (value) => value === null || Number.isInteger(value),
+            message: 'Capacity must be a whole number'
+        }
+    },
+
+    // Where to find it
+    location: {
+        building: {
+            type: String,
+            trim: true,
+            maxlength: [60, 'Building cannot exceed 60 characters'],
+            default: ''
+        },
+        floor: {
+            type: String,
+            trim: true,
+            maxlength: [20, 'Floor cannot exceed 20 characters'],
+            default: ''
+        },
+        room: {
+            type: String,
+            trim: true,
+            maxlength: [30, 'Room cannot exceed 30 characters'],
+            default: ''
+        }
+    },
+
+    // Amenity tags, normalised so "Wheelchair Accessible" matches "wheelchair-accessible"
+    amenities: {
+        type: [String],
+        default: [],
+        set: normaliseAmenities,
+        validate: {
+            validator: (tags) => tags.length <= MAX_AMENITIES && tags.every(tag => tag.length <= 40),
+            message: `At most ${MAX_AMENITIES} amenities of up to 40 characters each`
+        }
+    },
+
+    // Custom field values - validated in the controller against ResourceField
+    customFields: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+
+    // Per-resource booking rules - unset fields fall back to the type
+    bookingPolicy: {
+        type: createBookingPolicySchema({ inherit: true }),
+        default: () => ({})
+    },
+
+    // Approver group - see ResourceType's approval chain
+    approvers: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }],
+
     // Timestamp for when the resource was added
     createdAt: {
         type: Date,
         default: Date.now     // Automatically set to current date/time
+    },
+
+    // Lifecycle state (see header)
+    serviceStatus: {
+        type: String,
+        enum: ['active', 'out_of_service', 'retired'],
+        default: 'active'
+    },
+
+    // Reason shown to users while out of service / retired
+    serviceReason: {
+        type: String,
+        trim: true,
+        maxlength: [300, 'Reason cannot exceed 300 characters'],
+        default: ''
+    },
+
+    // Expected return to service (out_of_service only)
+    returnDate: {
+        type: Date,
+        default: null
+    },
+
+    serviceChangedAt: {
+        type: Date,
+        default: null
+    },
+
+    // Soft delete marker
+    archivedAt: {
+        type: Date,
+        default: null
     }
 
 }, {
@@ -85,6 +250,88 @@ resourceSchema.virtual('formattedCreatedAt').get(function () {
     });
 });
 
+/**
+ * Service status as of a moment in time - an out-of-service resource whose
+ * return date has passed counts as active again.
+ *
+ * @param {Date} at - Moment to evaluate (defaults to now)
+ * @returns {String} 'archived', 'retired', 'out_of_service' or 'active'
+ */
+resourceSchema.methods.getServiceStatus = function (at = new Date()) {
+    if (this.archivedAt) return 'archived';
+    if (this.serviceStatus === 'retired') return 'retired';
+    if (this.serviceStatus === 'out_of_service' && (!this.returnDate || this.returnDate > at)) {
+        return 'out_of_service';
+    }
+    return 'active';
+};
+
+/**
+ * Reason a booking starting at startTime is not allowed, or null.
+ * Out of service blocks any booking that starts before the return date.
+ *
+ * @param {Date} startTime - Proposed start
+ * @returns {String|null} Error message for the client
+ */
+resourceSchema.methods.getBookingBlock = function (startTime) {
+    if (this.archivedAt) {
+        return 'Resource has been deleted';
+    }
+
+    if (this.serviceStatus === 'retired') {
+        return 'Resource has been retired';
+    }
+
+    if (this.serviceStatus === 'out_of_service' && (!this.returnDate || startTime < this.returnDate)) {
+        const until = this.returnDate
+            ? ` until ${this.returnDate.toISOString()}`
+            : '';
+        const reason = this.serviceReason ? ` (${this.serviceReason})` : '';
+        return `Resource is out of service${until}${reason}`;
+    }
+
+    return null;
+};
+
+/**
+ * Booking policy in effect for this resource: the type's policy with this
+ * resource's overrides applied (see resolvePolicy in utils/bookingPolicy.js).
+ *
+ * @returns {Object} Effective booking policy
+ */
+resourceSchema.methods.getBookingPolicy = async function () {
+    const typePolicy = await ResourceType.policyFor(this.type);
+    return resolvePolicy(typePolicy, this.bookingPolicy);
+};
+
+/**
+ * Query filter for resources that are listed and can be searched:
+ * not deleted and, unless includeRetired, not retired
+ */
+resourceSchema.statics.listedFilter = function (includeRetired = false) {
+    const filter = { archivedAt: null };
+    if (!includeRetired) {
+        filter.serviceStatus = { $ne: 'retired' };
+    }
+    return filter;
+};
+
+/**
+ * Filter for resources in service at a moment: listed, not retired, and
+ * not out of service (unless its return date has passed)
+ *
+ * @param {Date} at - Moment to evaluate (defaults to now)
+ */
+resourceSchema.statics.inServiceFilter = function (at = new Date()) {
+    return {
+        archivedAt: null,
+        $or: [
+            { serviceStatus: { $nin: ['retired', 'out_of_service'] } },
+            { serviceStatus: 'out_of_service', returnDate: { $ne: null, $lte: at } }
+        ]
+    };
+};
+
 /**
  * Pre-save middleware (hook)
  * Runs before saving a document to the database
@@ -105,3 +352,5 @@ resourceSchema.pre('save', function (next) {
 const Resource = mongoose.model('Resource', resourceSchema);
 
 module.exports = Resource;
+module.exports.COMMON_AMENITIES = COMMON_AMENITIES;
+module.exports.normaliseAmenities = normaliseAmenities;
@@ -0,0 +1,228 @@
+/**
+ * =============================================================================
+ * SMARTALLOC - RESOURCE FIELD MODEL
+ * =============================================================================
+ * Mongoose schema and model for admin-defined custom fields.
+ *
+ * Each definition adds one field to every resource of a type, e.g.
+ * "Vehicle" → licensePlate (text, required), seats (number, 1-9).
+ * Values live in Resource.customFields and are checked against these
+ * definitions whenever a resource is created or edited.
+ *
+ * Field types:
+ * - text:    string, up to 200 characters
+ * - number:  finite number, optionally within min/max
+ * - boolean: true / false
+ * - select:  one of the listed options
+ *
+ * Collection Name: resourcefields
+ *
+ * @author SmartAlloc Team
+ * @version 1.0.0
+ * =============================================================================
+ */
+
+const mongoose = require('mongoose');
+
+const FIELD_TYPES = ['text', 'number', 'boolean', 'select'];
+
+// Longest value accepted for a text field
+const MAX_TEXT_LENGTH = 200;
+
+/**
+ * ResourceField Schema Definition
+ *
+ * @property {String} resourceType - Resource type the field belongs to
+ * @property {String} key - Property name inside Resource.customFields
+ * @property {String} label - Label shown in forms
+ * @property {String} fieldType - text, number, boolean or select
+ * @property {Array} options - Allowed values (select only)
+ * @property {Boolean} required - Resources of this type must set it
+ * @property {Number} min - Lowest allowed value (number only)
+ * @property {Number} max - Highest allowed value (number only)
+ * @property {Number} order - Position in forms (ascending)
+ * @property {Date} createdAt - Creation date
+ */
+const resourceFieldSchema = new mongoose.Schema({
+    resourceType: {
+        type: String,
+        required: [true, 'Resource type is required'],
+        trim: true,
+        maxlength: [50, 'Resource type cannot exceed 50 characters']
+    },
+
+    key: {
+        type: String,
+        required: [true, 'Field key is required'],
+        trim: true,
+        maxlength: [40, 'Field key cannot exceed 40 characters'],
+        match: [/^[a-zA-Z][a-zA-Z0-9_]*$/, 'Field key must start with a letter and contain only letters, digits and _']
+    },
+
+    label: {
+        type: String,
+        required: [true, 'Field label is required'],
+        trim: true,
+        maxlength: [60, 'Field label cannot exceed 60 characters']
+    },
+
+    fieldType: {
+        type: String,
+        enum: {
+            values: FIELD_TYPES,
+            message: `Field type must be one of ${FIELD_TYPES.join(', ')}`
+        },
+        default: 'text'
+    },
+
+    options: [{
+        type: String,
+        trim: true,
+        maxlength: [60, 'Option cannot exceed 60 characters']
+    }],
+
+    required: {
+        type: Boolean,
+        default: false
+    },
+
+    min: {
+        type: Number,
+        default: null
+    },
+
+    max: {
+        type: Number,
+        default: null
+    },
+
+    order: {
+        type: Number,
+        default: 0
+    },
+
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: false,
+    collection: 'resourcefields'
+});
+
+// One definition per key within a type
+resourceFieldSchema.index({ resourceType: 1, key: 1 }, { unique: true });
+
+/**
+ * Cross-field checks that the schema validators can't express
+ */
+resourceFieldSchema.pre('validate', function (next) {
+    if (this.fieldType === 'select' && this.options.length === 0) {
+        this.invalidate('options', 'Select fields need at least one option');
+    }
+
+    if (this.fieldType === 'number' && this.min !== null && this.max !== null && this.min > this.max) {
+        this.invalidate('max', 'max must be greater than or equal to min');
+    }
+
+    next();
+});
+
+/**
+ * Convert a raw value (from JSON or a query string) to the field's type
+ *
+ * @param {*} raw - Value to convert
+ * @returns {Object} { value } or { error }
+ */
+resourceFieldSchema.methods.coerce = function (raw) {
+    switch (this.fieldType) {
+        case 'number': {
+            const value = typeof raw === 'number' ? raw : Number(String(raw).trim());
+            if (String(raw).trim() === '' || !Number.isFinite(value)) {
+                return { error: `${this.label} must be a number` };
+            }
+            if (this.min !== null && value < this.min) {
+                return { error: `${this.label} must be at least ${this.min}` };
+            }
+            if (this.max !== null && value > this.max) {
+                return { error: `${this.label} must be at most ${this.max}` };
+            }
+            return { value };
+        }
+
+        case 'boolean':
+            if (raw === true || raw === 'true') return { value: true };
+            if (raw === false || raw === 'false') return { value: false };
+            return { error: `${this.label} must be true or false` };
+
+        case 'select':
+            if (!this.options.includes(String(raw))) {
+                return { error: `${this.label} must be one of ${this.options.join(', ')}` };
+            }
+            return { value: String(raw) };
+
+        default: {
+            const value = String(raw).trim();
+            if (value.length > MAX_TEXT_LENGTH) {
+                return { error: `${this.label} cannot exceed ${MAX_TEXT_LENGTH} characters` };
+            }
+            return { value };
+        }
+    }
+};
+
+/**
+ * Static method to validate a resource's customFields against the
+ * definitions for its type.
+ *
+ * Empty values (undefined, null, '') are dropped; required fields must
+ * still be present. Keys with no definition are rejected unless
+ * ignoreUnknown is set (used when a resource changes type and keeps
+ * whichever values still apply).
+ *
+ * @param {String} resourceType - Type of the resource
+ * @param {Object} values - Raw customFields from the request
+ * @param {Object} options - { ignoreUnknown }
+ * @returns {Object} { values, errors } - converted values and messages
+ */
+resourceFieldSchema.statics.validateValues = async function (resourceType, values, { ignoreUnknown = false } = {}) {
+    const definitions = await this.find({ resourceType });
+    const input = values && typeof values === 'object' && !Array.isArray(values) ? values : {};
+    const result = {};
+    const errors = [];
+
+    for (const definition of definitions) {
+        const raw = input[definition.key];
+
+        if (raw === undefined || raw === null || raw === '') {
+            if (definition.required) {
+                errors.push(`${definition.label} is required`);
+            }
+            continue;
+        }
+
+        const { value, error } = definition.coerce(raw);
+        if (error) {
+            errors.push(error);
+        } else {
+            result[definition.key] = value;
+        }
+    }
+
+    if (!ignoreUnknown) {
+        const known = new Set(definitions.map(definition => definition.key));
+        Object.keys(input)
+            .filter(key => !known.has(key))
+            .forEach(key => errors.push(`Unknown field "${key}" for type ${resourceType}`));
+    }
+
+    return { values: result, errors };
+};
+
+/**
+ * Create and export the ResourceField model
+ */
+const ResourceField = mongoose.model('ResourceField', resourceFieldSchema);
+
+module.exports = ResourceField;
+module.exports.FIELD_TYPES = FIELD_TYPES;
@@ -0,0 +1,63 @@
+/**
+ * =============================================================================
+ * SMARTALLOC - RESOURCE LOCK MODEL
+ * =============================================================================
+ * Mongoose schema and model for per-resource booking locks.
+ *
+ * A ResourceLock serializes booking and approval for one resource so that
+ * the "check for conflicts, then save" sequence cannot interleave between
+ * two requests. At most one lock document exists per resource (unique
+ * index), and each lock is a lease that expires on its own if the holder
+ * crashes before releasing it.
+ *
+ * Collection Name: resource_locks
+ *
+ * @author SmartAlloc Team
+ * @version 1.0.0
+ * =============================================================================
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * ResourceLock Schema Definition
+ *
+ * @property {ObjectId} resourceId - Resource being locked (unique)
+ * @property {String} owner - Random token identifying the lock holder
+ * @property {Date} expiresAt - When the lease runs out and the lock may be taken over
+ */
+const resourceLockSchema = new mongoose.Schema({
+    resourceId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Resource',
+        required: true,
+        unique: true
+    },
+
+    owner: {
+        type: String,
+        required: true
+    },
+
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: false,
+    collection: 'resource_locks'
+});
+
+/**
+ * TTL index - MongoDB removes stale locks in the background.
+ * Expired locks are also taken over directly by acquire, so correctness
+ * does not depend on the TTL monitor's timing.
+ */
+resourceLockSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Create and export the ResourceLock model
+ */
+const ResourceLock = mongoose.model('ResourceLock', resourceLockSchema);
+
+module.exports = ResourceLock;
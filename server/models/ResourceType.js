@@ -0,0 +1,332 @@
+/**
+ * =============================================================================
+ * SMARTALLOC - RESOURCE TYPE MODEL
+ * =============================================================================
+ * Mongoose schema and model for managed resource types (categories).
+ *
+ * A resource's `type` field holds a type name, the same way a user's
+ * `role` holds a role name. Custom fields (ResourceField.resourceType)
+ * refer to types by name too, so renaming a type updates both.
+ *
+ * Each type carries the icon and colour the clients show for its
+ * resources, and a default booking policy. Resources can override any
+ * part of it (Resource.bookingPolicy); see utils/bookingPolicy.js for how
+ * the rules are applied.
+ *
+ * Booking policy:
+ * - minDurationMinutes / maxDurationMinutes:  booking length (null = no limit)
+ * - minLeadTimeMinutes:   minimum notice before the start
+ * - maxAdvanceDays:       how far ahead a booking may start (null = no limit)
+ * - openTime / closeTime: allowed hours, "HH:MM" server local time (null = any time)
+ * - allowedWeekdays:      ["MO", ...] a booking may start on (empty = every day)
+ * - bufferBeforeMinutes / bufferAfterMinutes: setup and teardown time kept
+ *                         free around every approved booking
+ * - slotMinutes:          start and end must fall on this grid, e.g. 15
+ * - maxActivePerUser:     pending + approved bookings a user may hold that
+ *                         haven't ended yet (null = no limit)
+ * - requiresApproval:     false = requests are approved automatically
+ * - cancelCutoffMinutes:  requesters can't cancel a booking this close to its
+ *                         start (0 = until it starts)
+ * - checkInWindowMinutes: approved bookings not checked in this long after
+ *                         their start are released as no-shows (null = no
+ *                         check-in needed)
+ *
+ * Approval chain: the steps a request goes through, in order, when it
+ * needs approval (see utils/approvalChain.js). Each step is approved by:
+ * - approvers:          anyone with allocations:approve
+ * - department_manager: a manager of the requester's department
+ * - role:               anyone with the step's role (e.g. "Facilities")
+ * - resource_approvers: the resource's own approver group (Resource.approvers)
+ * Users with allocations:approve can act on any step. With no chain, a
+ * request needs one approval: from the resource's approver group when it
+ * has one, otherwise from anyone with allocations:approve.
+ *
+ * Collection Name: resourcetypes
+ *
+ * @author SmartAlloc Team
+ * @version 1.0.0
+ * =============================================================================
+ */
+
+const mongoose = require('mongoose');
+const { WEEKDAYS } = require('../utils/recurrence');
+
+// Shown for resources whose type has no record (e.g. before the migration)
+const DEFAULT_ICON = '📦';
+const DEFAULT_COLOR = '#6366f1';
+
+// "HH:MM", 24-hour clock
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Policy used when a resource's type has no record
+ */
+const DEFAULT_BOOKING_POLICY = {
+    minDurationMinutes: null,
+    maxDurationMinutes: null,
+    minLeadTimeMinutes: 0,
+    maxAdvanceDays: null,
+    openTime: null,
+    closeTime: null,
+    allowedWeekdays: [],
+    bufferBeforeMinutes: 0,
+    bufferAfterMinutes: 0,
+    slotMinutes: null,
+    maxActivePerUser: null,
+    requiresApproval: true,
+    cancelCutoffMinutes: 0,
+    checkInWindowMinutes: null
+};
+
+const POLICY_FIELDS = Object.keys(DEFAULT_BOOKING_POLICY);
+
+const APPROVAL_STEP_KINDS = ['approvers', 'department_manager', 'role', 'resource_approvers'];
+
+/**
+ * One step of an approval chain
+ */
+const approvalStepSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Step name is required'],
+        trim: true,
+        maxlength: [50, 'Step name cannot exceed 50 characters']
+    },
+
+    kind: {
+        type: String,
+        enum: {
+            values: APPROVAL_STEP_KINDS,
+            message: `Step kind must be one of: ${APPROVAL_STEP_KINDS.join(', ')}`
+        },
+        required: [true, 'Step kind is required']
+    },
+
+    // Role whose holders approve the step (kind 'role')
+    role: {
+        type: String,
+        trim: true,
+        required: [function () { return this.kind === 'role'; }, 'Choose the role that approves this step'],
+        default: ''
+    }
+}, { _id: false });
+
+/**
+ * Build the booking policy sub-schema.
+ *
+ * Resource types use DEFAULT_BOOKING_POLICY as defaults. Resources pass
+ * { inherit: true }: every field defaults to null / unset, meaning
+ * "use the type's value".
+ *
+ * @param {Object} options - { inherit }
+ * @returns {mongoose.Schema}
+ */
+const createBookingPolicySchema = ({ inherit = false } = {}) => {
+    const defaultFor = (field) => (inherit ? null : DEFAULT_BOOKING_POLICY[field]);
+
+    const schema = new mongoose.Schema({
+        minDurationMinutes: {
+            type: Number,
+            min: [1, 'Minimum duration must be at least 1 minute'],
+            default: defaultFor('minDurationMinutes')
+        },
+
+        maxDurationMinutes: {
+            type: Number,
+            min: [1, 'Maximum duration must be at least 1 minute'],
+            default: defaultFor('maxDurationMinutes')
+        },
+
+        minLeadTimeMinutes: {
+            type: Number,
+            min: [0, 'Lead time cannot be negative'],
+            default: defaultFor('minLeadTimeMinutes')
+        },
+
+        maxAdvanceDays: {
+            type: Number,
+            min: [1, 'Advance booking window must be at least 1 day'],
+            default: defaultFor('maxAdvanceDays')
+        },
+
+        openTime: {
+            type: String,
+            match: [TIME_OF_DAY, 'Opening time must be HH:MM'],
+            default: null
+        },
+
+        closeTime: {
+            type: String,
+            match: [TIME_OF_DAY, 'Closing time must be HH:MM'],
+            default: null
+        },
+
+        allowedWeekdays: {
+            type: [{
+                type: String,
+                enum: {
+                    values: WEEKDAYS,
+                    message: `Weekdays must be ${WEEKDAYS.join(', ')}`
+                }
+            }],
+            // Unset on resources, so an empty list can still mean "inherit"
+            default: inherit ? undefined : []
+        },
+
+        bufferBeforeMinutes: {
+            type: Number,
+            min: [0, 'Buffer cannot be negative'],
+            default: defaultFor('bufferBeforeMinutes')
+        },
+
+        bufferAfterMinutes: {
+            type: Number,
+            min: [0, 'Buffer cannot be negative'],
+            default: defaultFor('bufferAfterMinutes')
+        },
+
+        slotMinutes: {
+            type: Number,
+            min: [1, 'Slot length must be at least 1 minute'],
+            max: [1440, 'Slot length cannot exceed a day'],
+            default: defaultFor('slotMinutes')
+        },
+
+        maxActivePerUser: {
+            type: Number,
+            min: [1, 'Per-user limit must be at least 1'],
+            default: defaultFor('maxActivePerUser')
+        },
+
+        requiresApproval: {
+            type: Boolean,
+            default: defaultFor('requiresApproval')
+        },
+
+        cancelCutoffMinutes: {
+            type: Number,
+            min: [0, 'Cancellation cut-off cannot be negative'],
+            default: defaultFor('cancelCutoffMinutes')
+        },
+
+        checkInWindowMinutes: {
+            type: Number,
+            min: [1, 'Check-in window must be at least 1 minute'],
+            default: defaultFor('checkInWindowMinutes')
+        }
+    }, { _id: false });
+
+    schema.pre('validate', function (next) {
+        if (Boolean(this.openTime) !== Boolean(this.closeTime)) {
+            this.invalidate('closeTime', 'Set both opening and closing time, or neither');
+        } else if (this.openTime && this.openTime >= this.closeTime) {
+            this.invalidate('closeTime', 'Closing time must be after opening time');
+        }
+
+        if (this.minDurationMinutes && this.maxDurationMinutes && this.minDurationMinutes > this.maxDurationMinutes) {
+            this.invalidate('minDurationMinutes', 'Minimum duration cannot exceed maximum duration');
+        }
+
+        next();
+    });
+
+    return schema;
+};
+
+/**
+ * ResourceType Schema Definition
+ *
+ * @property {String} name - Type name stored on resources (unique)
+ * @property {String} icon - Emoji shown next to the type
+ * @property {String} color - Hex colour, e.g. "#6366f1"
+ * @property {String} description - What the type covers
+ * @property {Object} bookingPolicy - Default booking rules (see above)
+ * @property {Array} approvalChain - Approval steps for requests (see above)
+ * @property {Date} createdAt - Creation date
+ */
+const resourceTypeSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Type name is required'],
+        unique: true,
+        trim: true,
+        maxlength: [50, 'Type name cannot exceed 50 characters']
+    },
+
+    icon: {
+        type: String,
+        trim: true,
+        maxlength: [8, 'Icon must be a single emoji'],
+        default: DEFAULT_ICON
+    },
+
+    color: {
+        type: String,
+        trim: true,
+        match: [/^#[0-9a-fA-F]{6}$/, 'Colour must be a hex value such as #6366f1'],
+        default: DEFAULT_COLOR
+    },
+
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Description cannot exceed 200 characters'],
+        default: ''
+    },
+
+    bookingPolicy: {
+        type: createBookingPolicySchema(),
+        default: () => ({})
+    },
+
+    approvalChain: {
+        type: [approvalStepSchema],
+        default: []
+    },
+
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: false,
+    collection: 'resourcetypes'
+});
+
+/**
+ * Static method to get the booking policy for a type name.
+ * Falls back to DEFAULT_BOOKING_POLICY when the type has no record.
+ * Use Resource#getBookingPolicy to include a resource's overrides.
+ *
+ * @param {String} name - Resource type name
+ * @returns {Object} Booking policy
+ */
+resourceTypeSchema.statics.policyFor = async function (name) {
+    const resourceType = await this.findOne({ name });
+    return resourceType ? resourceType.bookingPolicy.toObject() : { ...DEFAULT_BOOKING_POLICY };
+};
+
+/**
+ * Static method to get the approval chain for a type name.
+ * An empty list when the type has none or has no record.
+ *
+ * @param {String} name - Resource type name
+ * @returns {Array} Steps ({ name, kind, role })
+ */
+resourceTypeSchema.statics.chainFor = async function (name) {
+    const resourceType = await this.findOne({ name }).select('approvalChain');
+    return resourceType ? resourceType.approvalChain.map(step => step.toObject()) : [];
+};
+
+/**
+ * Create and export the ResourceType model
+ */
+const ResourceType = mongoose.model('ResourceType', resourceTypeSchema);
+
+module.exports = ResourceType;
+module.exports.DEFAULT_BOOKING_POLICY = DEFAULT_BOOKING_POLICY;
+module.exports.POLICY_FIELDS = POLICY_FIELDS;
+module.exports.createBookingPolicySchema = createBookingPolicySchema;
+module.exports.APPROVAL_STEP_KINDS = APPROVAL_STEP_KINDS;
+module.exports.DEFAULT_ICON = DEFAULT_ICON;
+module.exports.DEFAULT_COLOR = DEFAULT_COLOR;
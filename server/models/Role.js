@@ -0,0 +1,129 @@
+/**
+ * =============================================================================
+ * SMARTALLOC - ROLE MODEL
+ * =============================================================================
+ * Mongoose schema and model for roles and the permissions they grant.
+ *
+ * A user's `role` field holds a role name. Route access is checked against
+ * the permissions of that role (see authorize in authMiddleware.js).
+ *
+ * Built-in roles:
+ * - Super User: always has every permission, cannot be edited or deleted
+ * - User:       default role for new users, permissions can be edited
+ *
+ * Admins can add custom roles such as "Approver" or "Facilities Manager".
+ *
+ * Collection Name: roles
+ *
+ * @author SmartAlloc Team
+ * @version 1.0.0
+ * =============================================================================
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Permission catalogue - name → description
+ */
+const PERMISSIONS = {
+    'resources:write': 'Create and edit resources',
+    'allocations:approve': 'Approve or reject requests; own bookings are approved automatically',
+    'allocations:manage': 'Delete or export any allocation',
+    'users:read': 'See the full user directory, including email addresses',
+    'users:manage': 'Create, block and delete users, reset passwords and assign roles',
+    'roles:manage': 'Create and edit custom roles',
+    'jobs:manage': 'See the background job history, retry failed jobs and run jobs now',
+    'audit:read': 'Search and export the audit log of who changed what'
+};
+
+const ADMIN_ROLE = 'Super User';
+const DEFAULT_ROLE = 'User';
+
+const BUILT_IN_ROLES = [
+    {
+        name: ADMIN_ROLE,
+        description: 'Full access to everything',
+        permissions: Object.keys(PERMISSIONS)
+    },
+    {
+        name: DEFAULT_ROLE,
+        description: 'Can request resources and manage their own bookings',
+        permissions: []
+    }
+];
+
+/**
+ * Role Schema Definition
+ *
+ * @property {String} name - Role name stored on users (unique)
+ * @property {String} description - What the role is for
+ * @property {Array} permissions - Permission names from PERMISSIONS
+ * @property {Boolean} builtIn - Built-in roles cannot be renamed or deleted
+ * @property {Date} createdAt - Creation date
+ */
+const roleSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Role name is required'],
+        unique: true,
+        trim: true,
+        maxlength: [50, 'Role name cannot exceed 50 characters']
+    },
+
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Description cannot exceed 200 characters'],
+        default: ''
+    },
+
+    permissions: [{
+        type: String,
+        enum: {
+            values: Object.keys(PERMISSIONS),
+            message: 'Unknown permission "{VALUE}"'
+        }
+    }],
+
+    builtIn: {
+        type: Boolean,
+        default: false
+    },
+
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: false,
+    collection: 'roles'
+});
+
+/**
+ * Static method to create the built-in roles if they are missing.
+ * Super User is always reset to the full permission list, so permissions
+ * added in later versions reach it automatically.
+ */
+roleSchema.statics.ensureBuiltInRoles = async function () {
+    for (const role of BUILT_IN_ROLES) {
+        const update = { $setOnInsert: { description: role.description, builtIn: true } };
+
+        if (role.name === ADMIN_ROLE) {
+            update.$set = { permissions: role.permissions };
+        } else {
+            update.$setOnInsert.permissions = role.permissions;
+        }
+
+        await this.updateOne({ name: role.name }, update, { upsert: true });
+    }
+};
+
+/**
+ * Create and export the Role model
+ */
+const Role = mongoose.model('Role', roleSchema);
+
+module.exports = Role;
+module.exports.PERMISSIONS = PERMISSIONS;
+module.exports.ADMIN_ROLE = ADMIN_ROLE;
+module.exports.DEFAULT_ROLE = DEFAULT_ROLE;
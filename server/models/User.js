@@ -4,9 +4,16 @@
  * =============================================================================
  * Mongoose schema and model for the User entity.
  * 
- * Users can be:
- * - Super Users (Admins): Can manage everything
- * - Normal Users: Can view resources and allocations
+ * Every user has one role (see Role.js). What a user may do is decided by
+ * the permissions of that role:
+ * - Super User (Admin): Has every permission
+ * - User: Can view resources and request allocations
+ * - Custom roles created by admins (e.g. "Approver")
+ * 
+ * Approval chains (see ResourceType.js) can also route requests to the
+ * managers of the requester's department (managedDepartments). While
+ * away, an approver can hand their approvals to a delegate (delegateTo)
+ * until a given date (delegateUntil, null = until switched off).
  * 
  * Collection Name: users
  * 
@@ -24,9 +31,12 @@ const bcrypt = require('bcryptjs');
  * @property {String} name - Full name of the user
  * @property {String} email - Email address (unique)
  * @property {String} password - Hashed password
- * @property {String} role - User role ('Super User' or 'User')
+ * @property {String} role - Name of the user's role (a Role document)
  * @property {String} status - Account status ('active' or 'blocked')
  * @property {String} department - Optional department/team name
+ * @property {Array} managedDepartments - Departments whose requests the user approves as manager
+ * @property {ObjectId} delegateTo - User who approves on this user's behalf (null = nobody)
+ * @property {Date} delegateUntil - When the delegation ends (null = until switched off)
  * @property {Date} createdAt - Registration date
  */
 const userSchema = new mongoose.Schema({
@@ -48,7 +58,7 @@ const userSchema = new mongoose.Schema({
 
     role: {
         type: String,
-        enum: ['Super User', 'User'],
+        trim: true,
         default: 'User'
     },
 
@@ -70,6 +80,22 @@ const userSchema = new mongoose.Schema({
         default: 'General'
     },
 
+    managedDepartments: [{
+        type: String,
+        trim: true
+    }],
+
+    delegateTo: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+
+    delegateUntil: {
+        type: Date,
+        default: null
+    },
+
     createdAt: {
         type: Date,
         default: Date.now
@@ -96,6 +122,16 @@ userSchema.methods.matchPassword = async function (enteredPassword) {
     return await bcrypt.compare(enteredPassword, this.password);
 };
 
+/**
+ * Method to check whether the user's delegation is in effect
+ *
+ * @param {Date} now - Defaults to the current time
+ * @returns {Boolean}
+ */
+userSchema.methods.isDelegating = function (now = new Date()) {
+    return Boolean(this.delegateTo) && (!this.delegateUntil || this.delegateUntil > now);
+};
+
 /**
  * Create and export the User model
  */
@@ -0,0 +1,182 @@
+/**
+ * =============================================================================
+ * SMARTALLOC - WAITLIST ENTRY MODEL
+ * =============================================================================
+ * Mongoose schema and model for a place on the waitlist of a fully booked
+ * resource and time window.
+ *
+ * When an approved allocation overlapping the window is cancelled, rejected,
+ * deleted, moved or released as a no-show, the oldest waiting entry that
+ * can now be booked is turned into an allocation (see utils/waitlist.js).
+ *
+ * Statuses:
+ * - waiting:   still in the queue
+ * - promoted:  booked - allocationId is the new allocation
+ * - cancelled: left by the user, removed by an admin, or turned down when
+ *              it came up (closedReason says why)
+ * - expired:   the window started before a slot came free
+ *
+ * Collection Name: waitlist_entries
+ *
+ * @author SmartAlloc Team
+ * @version 1.0.0
+ * =============================================================================
+ */
+
+const mongoose = require('mongoose');
+
+const WAITLIST_STATUSES = ['waiting', 'promoted', 'cancelled', 'expired'];
+
+/**
+ * WaitlistEntry Schema Definition
+ *
+ * @property {ObjectId} resourceId - Resource wanted
+ * @property {ObjectId} requestedBy - User waiting for it
+ * @property {String} assignedTo - Person or team the booking would be for
+ * @property {String} purpose - Optional purpose, copied to the allocation
+ * @property {Date} startTime - Start of the window wanted
+ * @property {Date} endTime - End of the window wanted
+ * @property {String} status - One of WAITLIST_STATUSES
+ * @property {ObjectId} allocationId - Allocation created on promotion
+ * @property {Date} promotedAt - When it was promoted
+ * @property {Boolean} promotionSeen - The user has been shown the promotion
+ * @property {Date} closedAt - When it was cancelled or expired
+ * @property {String} closedReason - Why it was cancelled
+ * @property {Date} createdAt - When the user joined (queue order)
+ */
+const waitlistEntrySchema = new mongoose.Schema({
+    resourceId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Resource',
+        required: [true, 'Resource ID is required']
+    },
+
+    requestedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+
+    assignedTo: {
+        type: String,
+        required: [true, 'Assigned To field is required'],
+        trim: true,
+        maxlength: [100, 'Assigned To cannot exceed 100 characters']
+    },
+
+    purpose: {
+        type: String,
+        trim: true,
+        maxlength: [300, 'Purpose cannot exceed 300 characters'],
+        default: ''
+    },
+
+    startTime: {
+        type: Date,
+        required: [true, 'Start time is required']
+    },
+
+    endTime: {
+        type: Date,
+        required: [true, 'End time is required']
+    },
+
+    status: {
+        type: String,
+        enum: WAITLIST_STATUSES,
+        default: 'waiting'
+    },
+
+    allocationId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Allocation',
+        default: null
+    },
+
+    promotedAt: {
+        type: Date,
+        default: null
+    },
+
+    promotionSeen: {
+        type: Boolean,
+        default: false
+    },
+
+    closedAt: {
+        type: Date,
+        default: null
+    },
+
+    closedReason: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: false,
+    collection: 'waitlist_entries'
+});
+
+/**
+ * Indexes for the queue of a resource and a user's own entries
+ */
+waitlistEntrySchema.index({ resourceId: 1, status: 1, createdAt: 1 });
+waitlistEntrySchema.index({ requestedBy: 1, createdAt: -1 });
+
+/**
+ * Pre-save validation middleware
+ * Validates that endTime is after startTime
+ */
+waitlistEntrySchema.pre('save', function (next) {
+    if (this.endTime <= this.startTime) {
+        next(new Error('End time must be after start time'));
+    } else {
+        next();
+    }
+});
+
+/**
+ * Static method to find the waiting entries of a resource that overlap a
+ * window, in queue order
+ *
+ * @param {ObjectId} resourceId - The resource
+ * @param {Date} startTime - Window start
+ * @param {Date} endTime - Window end
+ * @returns {Array} Waiting entries, oldest first
+ */
+waitlistEntrySchema.statics.findWaitingFor = function (resourceId, startTime, endTime) {
+    return this.find({
+        resourceId,
+        status: 'waiting',
+        startTime: { $lt: endTime },
+        endTime: { $gt: startTime }
+    }).sort({ createdAt: 1, _id: 1 });
+};
+
+/**
+ * Static method to mark waiting entries whose window has started as expired
+ *
+ * @param {Date} now - Current time
+ * @returns {Number} Number of entries expired
+ */
+waitlistEntrySchema.statics.expirePast = async function (now = new Date()) {
+    const result = await this.updateMany(
+        { status: 'waiting', startTime: { $lte: now } },
+        { $set: { status: 'expired', closedAt: now } }
+    );
+    return result.modifiedCount;
+};
+
+/**
+ * Create and export the WaitlistEntry model
+ */
+const WaitlistEntry = mongoose.model('WaitlistEntry', waitlistEntrySchema);
+
+module.exports = WaitlistEntry;
+module.exports.WAITLIST_STATUSES = WAITLIST_STATUSES;
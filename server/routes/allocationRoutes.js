@@ -6,11 +6,21 @@
  * 
  * Available Routes:
  * - POST /api/allocations           → Create allocation (Protected)
- * - GET  /api/allocations           → Get all allocations
+ * - POST /api/allocations/import    → Import from .ics, ?dryRun=true (Protected)
+ * - GET  /api/allocations           → Get all allocations (Protected)
  * - GET  /api/allocations/my        → Get current user's allocations (Protected)
- * - GET  /api/allocations/pending   → Get pending allocations (Admin)
- * - PUT  /api/allocations/:id/status → Approve/Reject (Admin)
- * - DELETE /api/allocations/:id     → Delete allocation (Admin)
+ * - GET  /api/allocations/pending   → Get pending requests the user may decide (Protected)
+ * - GET  /api/allocations/:id       → One allocation with its change history (Requester or approve/manage)
+ * - PUT  /api/allocations/:id       → Edit / reschedule (Requester or allocations:manage)
+ * - GET  /api/allocations/:id/ics   → Download as .ics (Requester or allocations:manage)
+ * - PUT  /api/allocations/:id/status → Approve/Reject a step (step approvers / allocations:approve)
+ * - POST /api/allocations/:id/cancel → Cancel, keeping the record (Requester or allocations:manage)
+ * - POST /api/allocations/:id/check-in → Check in to an approved booking (Requester or allocations:manage)
+ * - GET  /api/allocations/:id/comments → Discussion thread (requester and approvers)
+ * - POST /api/allocations/:id/comments → Post a comment (requester and approvers)
+ * - PUT  /api/allocations/:id/comments/:commentId → Edit your own comment
+ * - GET  /api/allocations/:id/history → Audit history (Requester or approve/manage, or audit:read)
+ * - DELETE /api/allocations/:id     → Delete allocation (allocations:manage, ?scope= for series)
  * 
  * @author SmartAlloc Team
  * @version 2.0.0
@@ -22,25 +32,56 @@ const router = express.Router();
 
 const {
     createAllocation,
+    importAllocations,
     getAllAllocations,
     deleteAllocation,
+    getAllocationById,
+    updateAllocation,
+    cancelAllocation,
+    checkInAllocation,
     updateAllocationStatus,
     getMyAllocations,
     getPendingAllocations
 } = require('../controllers/allocationController');
+const { getAllocationCalendar } = require('../controllers/calendarController');
+const {
+    getAllocationComments,
+    addAllocationComment,
+    editAllocationComment
+} = require('../controllers/commentController');
+const { getAllocationHistory } = require('../controllers/auditController');
 
-const { protect, adminOnly } = require('../middleware/authMiddleware');
-
-// Public routes
-router.get('/', getAllAllocations);
+const { protect, authorize } = require('../middleware/authMiddleware');
 
 // Protected routes (requires login)
+router.get('/', protect, getAllAllocations);
 router.post('/', protect, createAllocation);
+// Accepts the raw .ics file as well as JSON
+router.post('/import', protect, express.text({ type: 'text/calendar', limit: '2mb' }), importAllocations);
 router.get('/my', protect, getMyAllocations);
+router.get('/:id/ics', protect, getAllocationCalendar);
+
+// Approval chain steps - who may decide is checked per request (utils/approvalChain.js)
+router.get('/pending', protect, getPendingAllocations);
+router.put('/:id/status', protect, updateAllocationStatus);
+
+// Discussion threads - requester and approvers only (controllers/commentController.js)
+router.get('/:id/comments', protect, getAllocationComments);
+router.post('/:id/comments', protect, addAllocationComment);
+router.put('/:id/comments/:commentId', protect, editAllocationComment);
+
+// Audit history - access checked per request (controllers/auditController.js)
+router.get('/:id/history', protect, getAllocationHistory);
+
+// Self-service - requester or allocations:manage, checked per request
+router.post('/:id/cancel', protect, cancelAllocation);
+router.post('/:id/check-in', protect, checkInAllocation);
+
+// Single allocation - after the fixed paths above so they aren't taken for an ID
+router.get('/:id', protect, getAllocationById);
+router.put('/:id', protect, updateAllocation);
 
-// Admin only routes
-router.get('/pending', protect, adminOnly, getPendingAllocations);
-router.put('/:id/status', protect, adminOnly, updateAllocationStatus);
-router.delete('/:id', protect, adminOnly, deleteAllocation);
+// Permission-gated routes
+router.delete('/:id', protect, authorize('allocations:manage'), deleteAllocation);
 
 module.exports = router;
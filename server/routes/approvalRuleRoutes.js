@@ -0,0 +1,38 @@
+/**
+ * =============================================================================
+ * SMARTALLOC - APPROVAL RULE ROUTES
+ * =============================================================================
+ * Express router for auto-approval rules.
+ *
+ * Available Routes:
+ * - GET    /api/approval-rules      → List rules in the order they are tried
+ * - POST   /api/approval-rules      → Create a rule
+ * - PUT    /api/approval-rules/:id  → Update a rule
+ * - DELETE /api/approval-rules/:id  → Delete a rule
+ *
+ * All routes require the allocations:approve permission.
+ *
+ * @author SmartAlloc Team
+ * @version 1.0.0
+ * =============================================================================
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const {
+    getApprovalRules,
+    createApprovalRule,
+    updateApprovalRule,
+    deleteApprovalRule
+} = require('../controllers/approvalRuleController');
+
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+// Rule management routes
+router.get('/', protect, authorize('allocations:approve'), getApprovalRules);
+router.post('/', protect, authorize('allocations:approve'), createApprovalRule);
+router.put('/:id', protect, authorize('allocations:approve'), updateApprovalRule);
+router.delete('/:id', protect, authorize('allocations:approve'), deleteApprovalRule);
+
+module.exports = router;
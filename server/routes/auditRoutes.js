@@ -0,0 +1,36 @@
+/**
+ * =============================================================================
+ * SMARTALLOC - AUDIT ROUTES
+ * =============================================================================
+ * Express router for the audit log. The history of one allocation is at
+ * GET /api/allocations/:id/history (see allocationRoutes.js).
+ *
+ * Available Routes:
+ * - GET /api/audit         → Search the log, newest first (audit:read)
+ * - GET /api/audit/export  → Download it, ?format=csv|json (audit:read)
+ * - GET /api/audit/actions → Actions and record kinds in the log (audit:read)
+ *
+ * Filters: ?actorId=&action=&targetType=&targetId=&from=&to=&search=
+ *
+ * @author SmartAlloc Team
+ * @version 1.0.0
+ * =============================================================================
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const {
+    getAuditEvents,
+    exportAuditEvents,
+    getAuditActions
+} = require('../controllers/auditController');
+
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+// Permission-gated routes
+router.get('/export', protect, authorize('audit:read'), exportAuditEvents);
+router.get('/actions', protect, authorize('audit:read'), getAuditActions);
+router.get('/', protect, authorize('audit:read'), getAuditEvents);
+
+module.exports = router;
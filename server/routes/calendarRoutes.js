@@ -0,0 +1,38 @@
+/**
+ * =============================================================================
+ * SMARTALLOC - CALENDAR ROUTES
+ * =============================================================================
+ * Express router for iCalendar feed endpoints.
+ * 
+ * Available Routes:
+ * - GET    /api/calendar/feeds            → List my feeds (Protected)
+ * - POST   /api/calendar/feeds            → Create/regenerate a feed (Protected)
+ * - DELETE /api/calendar/feeds/:id        → Revoke a feed (Owner or allocations:manage)
+ * - GET    /api/calendar/feeds/:token.ics → Feed for calendar apps (secret token)
+ * 
+ * @author SmartAlloc Team
+ * @version 1.0.0
+ * =============================================================================
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const {
+    getMyFeeds,
+    createFeed,
+    deleteFeed,
+    getFeedCalendar
+} = require('../controllers/calendarController');
+
+const { protect } = require('../middleware/authMiddleware');
+
+// Token routes (calendar apps can't send the Bearer header)
+router.get('/feeds/:token', getFeedCalendar);
+
+// Protected routes (requires login)
+router.get('/feeds', protect, getMyFeeds);
+router.post('/feeds', protect, createFeed);
+router.delete('/feeds/:id', protect, deleteFeed);
+
+module.exports = router;
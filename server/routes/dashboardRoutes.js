@@ -5,7 +5,7 @@
  * Express router for dashboard-related API endpoints.
  * 
  * Available Routes:
- * - GET /api/dashboard → Get dashboard statistics
+ * - GET /api/dashboard → Get dashboard statistics (Protected)
  * 
  * @author SmartAlloc Team
  * @version 1.0.0
@@ -17,11 +17,12 @@ const router = express.Router();
 
 // Import controller functions
 const { getDashboardStats } = require('../controllers/dashboardController');
+const { protect } = require('../middleware/authMiddleware');
 
 /**
  * Route: GET /api/dashboard
  * Description: Get dashboard statistics and overview data
- * Access: Public
+ * Access: Protected
  * 
  * Response:
  * {
@@ -32,11 +33,13 @@ const { getDashboardStats } = require('../controllers/dashboardController');
  *     "activeAllocations": 3,
  *     "availableResources": 7,
  *     "upcomingAllocations": 5,
+ *     "myNoShows": 1,
+ *     "noShowsByUser": [...],          // approvers and managers only
  *     "recentAllocations": [...]
  *   }
  * }
  */
-router.get('/', getDashboardStats);
+router.get('/', protect, getDashboardStats);
 
 // Export router
 module.exports = router;
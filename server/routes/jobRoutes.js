@@ -0,0 +1,36 @@
+/**
+ * =============================================================================
+ * SMARTALLOC - JOB ROUTES
+ * =============================================================================
+ * Express router for the background jobs and their history.
+ *
+ * Available Routes:
+ * - GET  /api/jobs/schedule           → The jobs, their schedule and last run (jobs:manage)
+ * - POST /api/jobs/schedule/:name/run → Run a job now (jobs:manage)
+ * - GET  /api/jobs                    → Job history, ?name=&status=&limit= (jobs:manage)
+ * - POST /api/jobs/:id/retry          → Retry a failed run (jobs:manage)
+ *
+ * @author SmartAlloc Team
+ * @version 1.0.0
+ * =============================================================================
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const {
+    getJobSchedule,
+    getJobs,
+    runJobNow,
+    retryJob
+} = require('../controllers/jobController');
+
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+// Permission-gated routes - fixed paths before /:id
+router.get('/schedule', protect, authorize('jobs:manage'), getJobSchedule);
+router.post('/schedule/:name/run', protect, authorize('jobs:manage'), runJobNow);
+router.get('/', protect, authorize('jobs:manage'), getJobs);
+router.post('/:id/retry', protect, authorize('jobs:manage'), retryJob);
+
+module.exports = router;
@@ -0,0 +1,38 @@
+/**
+ * =============================================================================
+ * SMARTALLOC - NOTIFICATION ROUTES
+ * =============================================================================
+ * Express router for the current user's in-app notifications.
+ *
+ * Available Routes:
+ * - GET /api/notifications              → Your notifications, ?unread=true&limit= (Protected)
+ * - GET /api/notifications/unread-count → Number of unread notifications (Protected)
+ * - PUT /api/notifications/read-all     → Mark all as read (Protected)
+ * - PUT /api/notifications/:id/read     → Mark one as read (Protected)
+ *
+ * @author SmartAlloc Team
+ * @version 1.0.0
+ * =============================================================================
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const {
+    getMyNotifications,
+    getUnreadCount,
+    markNotificationRead,
+    markAllNotificationsRead
+} = require('../controllers/notificationController');
+
+const { protect } = require('../middleware/authMiddleware');
+const { explicitAuditOnly } = require('../utils/audit');
+
+// Protected routes (requires login) - fixed paths before /:id
+// Marking as read is not audited
+router.get('/', protect, getMyNotifications);
+router.get('/unread-count', protect, getUnreadCount);
+router.put('/read-all', protect, explicitAuditOnly, markAllNotificationsRead);
+router.put('/:id/read', protect, explicitAuditOnly, markNotificationRead);
+
+module.exports = router;
@@ -0,0 +1,38 @@
+/**
+ * =============================================================================
+ * SMARTALLOC - RESOURCE FIELD ROUTES
+ * =============================================================================
+ * Express router for custom resource field definitions.
+ *
+ * Available Routes:
+ * - GET    /api/resource-fields?type=  → List field definitions (Protected)
+ * - POST   /api/resource-fields        → Create a field (resources:write)
+ * - PUT    /api/resource-fields/:id    → Update a field (resources:write)
+ * - DELETE /api/resource-fields/:id    → Delete a field and its values (resources:write)
+ *
+ * @author SmartAlloc Team
+ * @version 1.0.0
+ * =============================================================================
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const {
+    getResourceFields,
+    createResourceField,
+    updateResourceField,
+    deleteResourceField
+} = require('../controllers/resourceFieldController');
+
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+// Protected route (forms load the fields for the selected type)
+router.get('/', protect, getResourceFields);
+
+// Field management routes
+router.post('/', protect, authorize('resources:write'), createResourceField);
+router.put('/:id', protect, authorize('resources:write'), updateResourceField);
+router.delete('/:id', protect, authorize('resources:write'), deleteResourceField);
+
+module.exports = router;
@@ -5,9 +5,15 @@
  * Express router for resource-related API endpoints.
  * 
  * Available Routes:
- * - POST /api/resources   → Create a new resource
- * - GET  /api/resources   → Get all resources with status
+ * - POST /api/resources   → Create a new resource (resources:write)
+ * - GET  /api/resources   → Get all resources with status (filterable)
+ * - GET  /api/resources/available → Resources free in a time window
+ * - GET  /api/resources/amenities → Amenity tags for suggestions
  * - GET  /api/resources/:id → Get single resource by ID
+ * - PUT  /api/resources/:id → Edit details and attributes (resources:write)
+ * - PUT  /api/resources/:id/service → Out of service / retire / back in service (resources:write)
+ * - DELETE /api/resources/:id → Soft delete (resources:write)
+ * - GET  /api/resources/:id/schedule → Busy blocks and free gaps over a range (logged in)
  * 
  * @author SmartAlloc Team
  * @version 1.0.0
@@ -21,22 +27,34 @@ const router = express.Router();
 const {
     createResource,
     getAllResources,
-    getResourceById
+    getAvailableResources,
+    getAmenities,
+    getResourceById,
+    getResourceSchedule,
+    updateResource,
+    updateResourceService,
+    deleteResource
 } = require('../controllers/resourceController');
 
+const { protect, authorize } = require('../middleware/authMiddleware');
+
 /**
  * Route: POST /api/resources
  * Description: Create a new resource
- * Access: Admin
+ * Access: Protected - requires the resources:write permission
  * 
  * Request Body:
  * {
  *   "name": "Conference Room A",
  *   "type": "Room",
- *   "description": "10-person meeting room"
+ *   "description": "10-person meeting room",
+ *   "capacity": 10,
+ *   "location": { "building": "HQ", "floor": "2", "room": "2.14" },
+ *   "amenities": ["projector"],
+ *   "customFields": {}
  * }
  */
-router.post('/', createResource);
+router.post('/', protect, authorize('resources:write'), createResource);
 
 /**
  * Route: GET /api/resources
@@ -44,9 +62,30 @@ router.post('/', createResource);
  * Access: Public
  * 
  * Response includes status (Available/Allocated) for each resource
+ * 
+ * Query: type, minCapacity, maxCapacity, building, floor, room,
+ * amenities (comma-separated, all required), search, custom[key]=value,
+ * includeRetired=true
  */
 router.get('/', getAllResources);
 
+/**
+ * Route: GET /api/resources/available
+ * Description: Find resources with no approved allocation in a time window
+ * Access: Public
+ * 
+ * Query: start, end (required), plus the same filters as GET /api/resources
+ * Must be registered before /:id so "available" is not treated as an ID
+ */
+router.get('/available', getAvailableResources);
+
+/**
+ * Route: GET /api/resources/amenities
+ * Description: Common amenity tags plus every tag in use
+ * Access: Public
+ */
+router.get('/amenities', getAmenities);
+
 /**
  * Route: GET /api/resources/:id
  * Description: Get a single resource by ID with status
@@ -56,5 +95,45 @@ router.get('/', getAllResources);
  */
 router.get('/:id', getResourceById);
 
+/**
+ * Route: GET /api/resources/:id/schedule
+ * Description: Busy blocks (approved, optionally pending) and free gaps
+ * Access: Protected - the busy blocks name who booked and why
+ * 
+ * Query: from, to (default: today), includePending=true
+ */
+router.get('/:id/schedule', protect, getResourceSchedule);
+
+/**
+ * Route: PUT /api/resources/:id
+ * Description: Edit a resource's details, capacity, location, amenities
+ *              or custom field values
+ * Access: Protected - requires the resources:write permission
+ */
+router.put('/:id', protect, authorize('resources:write'), updateResource);
+
+/**
+ * Route: PUT /api/resources/:id/service
+ * Description: Take a resource out of service, retire it, or bring it back
+ * Access: Protected - requires the resources:write permission
+ * 
+ * Request Body:
+ * {
+ *   "status": "out_of_service",
+ *   "reason": "Lamp replacement",
+ *   "returnDate": "2024-02-01T09:00:00Z"
+ * }
+ */
+router.put('/:id/service', protect, authorize('resources:write'), updateResourceService);
+
+/**
+ * Route: DELETE /api/resources/:id
+ * Description: Soft delete - hides the resource, keeps allocation history
+ * Access: Protected - requires the resources:write permission
+ * 
+ * Query: futureAllocations=cancel (default) or flag
+ */
+router.delete('/:id', protect, authorize('resources:write'), deleteResource);
+
 // Export router
 module.exports = router;
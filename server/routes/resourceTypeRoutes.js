@@ -0,0 +1,38 @@
+/**
+ * =============================================================================
+ * SMARTALLOC - RESOURCE TYPE ROUTES
+ * =============================================================================
+ * Express router for managed resource types.
+ *
+ * Available Routes:
+ * - GET    /api/resource-types      → List types with icons, colours and policies (Public)
+ * - POST   /api/resource-types      → Create a type (resources:write)
+ * - PUT    /api/resource-types/:id  → Update / rename a type (resources:write)
+ * - DELETE /api/resource-types/:id  → Delete an unused type (resources:write)
+ *
+ * @author SmartAlloc Team
+ * @version 1.0.0
+ * =============================================================================
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const {
+    getResourceTypes,
+    createResourceType,
+    updateResourceType,
+    deleteResourceType
+} = require('../controllers/resourceTypeController');
+
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+// Public route (resource lists show each type's icon and colour)
+router.get('/', getResourceTypes);
+
+// Type management routes
+router.post('/', protect, authorize('resources:write'), createResourceType);
+router.put('/:id', protect, authorize('resources:write'), updateResourceType);
+router.delete('/:id', protect, authorize('resources:write'), deleteResourceType);
+
+module.exports = router;
@@ -0,0 +1,41 @@
+/**
+ * =============================================================================
+ * SMARTALLOC - ROLE ROUTES
+ * =============================================================================
+ * Express router for role and permission endpoints.
+ *
+ * Available Routes:
+ * - GET    /api/roles              → Get all roles with user counts (Protected)
+ * - GET    /api/roles/permissions  → Get the permission catalogue (Protected)
+ * - POST   /api/roles              → Create a custom role (roles:manage)
+ * - PUT    /api/roles/:id          → Update a role (roles:manage)
+ * - DELETE /api/roles/:id          → Delete a custom role (roles:manage)
+ *
+ * @author SmartAlloc Team
+ * @version 1.0.0
+ * =============================================================================
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const {
+    getAllRoles,
+    getPermissions,
+    createRole,
+    updateRole,
+    deleteRole
+} = require('../controllers/roleController');
+
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+// Protected routes (role list is used for role dropdowns)
+router.get('/', protect, getAllRoles);
+router.get('/permissions', protect, getPermissions);
+
+// Role management routes
+router.post('/', protect, authorize('roles:manage'), createRole);
+router.put('/:id', protect, authorize('roles:manage'), updateRole);
+router.delete('/:id', protect, authorize('roles:manage'), deleteRole);
+
+module.exports = router;
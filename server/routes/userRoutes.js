@@ -5,12 +5,15 @@
  * Express router for user-related API endpoints.
  * 
  * Available Routes:
- * - POST /api/users           → Create a new user (Admin)
- * - GET  /api/users           → Get all users
- * - GET  /api/users/:id       → Get single user
- * - PUT  /api/users/:id/status    → Update user status (Admin)
- * - PUT  /api/users/:id/password  → Reset user password (Admin)
- * - DELETE /api/users/:id     → Delete user (Admin)
+ * - POST /api/users           → Create a new user (users:manage)
+ * - GET  /api/users           → Get all users (Protected, emails need users:read)
+ * - GET  /api/users/:id       → Get single user (Protected, emails need users:read)
+ * - PUT  /api/users/:id/status    → Update user status (users:manage)
+ * - PUT  /api/users/:id/password  → Reset user password (users:manage)
+ * - PUT  /api/users/:id/role      → Assign a role (users:manage)
+ * - PUT  /api/users/:id/departments → Set departments the user manages (users:manage)
+ * - PUT  /api/users/me/delegation → Delegate your approvals while away (Protected)
+ * - DELETE /api/users/:id     → Delete user (users:manage)
  * 
  * @author SmartAlloc Team
  * @version 2.0.0
@@ -26,19 +29,25 @@ const {
     getUserById,
     updateUserStatus,
     resetUserPassword,
+    updateUserRole,
+    updateMyDelegation,
+    updateManagedDepartments,
     deleteUser
 } = require('../controllers/userController');
 
-const { protect, adminOnly } = require('../middleware/authMiddleware');
+const { protect, authorize } = require('../middleware/authMiddleware');
 
-// Public route (for getting users list for dropdown)
-router.get('/', getAllUsers);
-router.get('/:id', getUserById);
+// Protected routes (users list is also used for the "Assigned To" dropdown)
+router.get('/', protect, getAllUsers);
+router.get('/:id', protect, getUserById);
+router.put('/me/delegation', protect, updateMyDelegation);
 
-// Admin only routes
-router.post('/', protect, adminOnly, createUser);
-router.put('/:id/status', protect, adminOnly, updateUserStatus);
-router.put('/:id/password', protect, adminOnly, resetUserPassword);
-router.delete('/:id', protect, adminOnly, deleteUser);
+// User management routes
+router.post('/', protect, authorize('users:manage'), createUser);
+router.put('/:id/status', protect, authorize('users:manage'), updateUserStatus);
+router.put('/:id/password', protect, authorize('users:manage'), resetUserPassword);
+router.put('/:id/role', protect, authorize('users:manage'), updateUserRole);
+router.put('/:id/departments', protect, authorize('users:manage'), updateManagedDepartments);
+router.delete('/:id', protect, authorize('users:manage'), deleteUser);
 
 module.exports = router;
@@ -0,0 +1,47 @@
+/**
+ * =============================================================================
+ * SMARTALLOC - WAITLIST ROUTES
+ * =============================================================================
+ * Express router for waitlists of fully booked resources.
+ *
+ * Available Routes:
+ * - POST   /api/waitlist             → Join the waitlist of a booked slot (Protected)
+ * - GET    /api/waitlist/my          → Your entries, newest first (Protected)
+ * - POST   /api/waitlist/my/seen     → Mark your promotions as seen (Protected)
+ * - GET    /api/waitlist             → Every entry, ?status=&resourceId= (allocations:manage)
+ * - DELETE /api/waitlist/:id         → Leave, or remove an entry (Owner or allocations:manage)
+ * - POST   /api/waitlist/:id/promote → Try booking an entry now (allocations:manage)
+ *
+ * @author SmartAlloc Team
+ * @version 1.0.0
+ * =============================================================================
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const {
+    joinWaitlist,
+    getMyWaitlist,
+    markPromotionsSeen,
+    getWaitlist,
+    removeWaitlistEntry,
+    promoteWaitlistEntry
+} = require('../controllers/waitlistController');
+
+const { protect, authorize } = require('../middleware/authMiddleware');
+const { explicitAuditOnly } = require('../utils/audit');
+
+// Protected routes (requires login)
+router.post('/', protect, joinWaitlist);
+router.get('/my', protect, getMyWaitlist);
+router.post('/my/seen', protect, explicitAuditOnly, markPromotionsSeen);
+
+// Owner or allocations:manage, checked per request
+router.delete('/:id', protect, removeWaitlistEntry);
+
+// Permission-gated routes
+router.get('/', protect, authorize('allocations:manage'), getWaitlist);
+router.post('/:id/promote', protect, authorize('allocations:manage'), promoteWaitlistEntry);
+
+module.exports = router;
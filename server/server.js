@@ -9,6 +9,12 @@
  * - MongoDB connection using Mongoose
  * - CORS enabled for frontend communication
  * - RESTful API routes for resources, allocations, and dashboard
+ * - Background jobs kept in MongoDB (retried, run once across instances):
+ *   start reminders, expiring undecided requests, releasing no-show
+ *   bookings (slots go to the waitlist), the email outbox, a daily digest
+ *   of pending requests for approvers and nightly maintenance
+ * - WebSocket channel (/api/live) pushing allocation and resource changes
+ * - Append-only audit log of every change (who, what, before/after, from where)
  * 
  * @author SmartAlloc Team
  * @version 1.0.0
@@ -27,6 +33,21 @@ const allocationRoutes = require('./routes/allocationRoutes');
 const dashboardRoutes = require('./routes/dashboardRoutes');
 const userRoutes = require('./routes/userRoutes');
 const authRoutes = require('./routes/authRoutes');
+const calendarRoutes = require('./routes/calendarRoutes');
+const roleRoutes = require('./routes/roleRoutes');
+const resourceFieldRoutes = require('./routes/resourceFieldRoutes');
+const resourceTypeRoutes = require('./routes/resourceTypeRoutes');
+const approvalRuleRoutes = require('./routes/approvalRuleRoutes');
+const waitlistRoutes = require('./routes/waitlistRoutes');
+const notificationRoutes = require('./routes/notificationRoutes');
+const jobRoutes = require('./routes/jobRoutes');
+const auditRoutes = require('./routes/auditRoutes');
+
+// Import models and jobs needed at startup
+const Role = require('./models/Role');
+const { startJobRunner } = require('./utils/jobs');
+const { attachRealtime, LIVE_PATH } = require('./utils/realtime');
+const { auditTrail } = require('./utils/audit');
 
 // Initialize Express application
 const app = express();
@@ -55,6 +76,13 @@ app.use(express.json());
  */
 app.use(express.urlencoded({ extended: true }));
 
+/**
+ * Audit Trail Middleware
+ * Records every successful POST/PUT/PATCH/DELETE in the audit log, with
+ * who made it and from where (see utils/audit.js)
+ */
+app.use(auditTrail);
+
 // =============================================================================
 // DATABASE CONNECTION
 // =============================================================================
@@ -79,6 +107,12 @@ mongoose.connect(MONGODB_URI)
     console.log('✅ MongoDB Connected Successfully');
     console.log(`📁 Database: smartalloc_db`);
     console.log(`🔗 Connection URI: ${MONGODB_URI}`);
+
+    // Reminders, expiry, no-shows, emails and nightly maintenance (see utils/jobs.js)
+    startJobRunner();
+
+    // Make sure the built-in roles exist (Super User / User)
+    return Role.ensureBuiltInRoles();
   })
   .catch((error) => {
     console.error('❌ MongoDB Connection Error:', error.message);
@@ -120,6 +154,60 @@ app.use('/api/users', userRoutes);
  */
 app.use('/api/auth', authRoutes);
 
+/**
+ * Calendar Routes - /api/calendar
+ * Handles iCalendar (.ics) feeds for calendar apps
+ */
+app.use('/api/calendar', calendarRoutes);
+
+/**
+ * Role Routes - /api/roles
+ * Handles roles and the permissions they grant
+ */
+app.use('/api/roles', roleRoutes);
+
+/**
+ * Resource Field Routes - /api/resource-fields
+ * Handles admin-defined custom fields per resource type
+ */
+app.use('/api/resource-fields', resourceFieldRoutes);
+
+/**
+ * Resource Type Routes - /api/resource-types
+ * Handles managed resource types and their default booking policies
+ */
+app.use('/api/resource-types', resourceTypeRoutes);
+
+/**
+ * Approval Rule Routes - /api/approval-rules
+ * Handles rules that approve or reject requests automatically
+ */
+app.use('/api/approval-rules', approvalRuleRoutes);
+
+/**
+ * Waitlist Routes - /api/waitlist
+ * Handles waiting for fully booked slots, promoted when they come free
+ */
+app.use('/api/waitlist', waitlistRoutes);
+
+/**
+ * Notification Routes - /api/notifications
+ * Handles the current user's in-app notifications
+ */
+app.use('/api/notifications', notificationRoutes);
+
+/**
+ * Job Routes - /api/jobs
+ * Handles the background jobs and their history
+ */
+app.use('/api/jobs', jobRoutes);
+
+/**
+ * Audit Routes - /api/audit
+ * Handles searching and exporting the audit log
+ */
+app.use('/api/audit', auditRoutes);
+
 /**
  * Root Route - Health Check
  * Simple endpoint to verify server is running
@@ -175,14 +263,20 @@ const PORT = process.env.PORT || 5000;
 /**
  * Start the Express server
  */
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log('═══════════════════════════════════════════════════════════');
   console.log('       🚀 SMARTALLOC API SERVER STARTED SUCCESSFULLY');
   console.log('═══════════════════════════════════════════════════════════');
   console.log(`   📡 Server running on: http://localhost:${PORT}`);
   console.log(`   🔗 API Base URL: http://localhost:${PORT}/api`);
+  console.log(`   ⚡ Live updates: ws://localhost:${PORT}${LIVE_PATH}?token=<JWT>`);
   console.log('═══════════════════════════════════════════════════════════');
 });
 
+/**
+ * Live updates over WebSocket on the same port (see utils/realtime.js)
+ */
+attachRealtime(server);
+
 // Export app for testing purposes
 module.exports = app;
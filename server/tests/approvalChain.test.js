@@ -0,0 +1,102 @@
+/**
+ * =============================================================================
+ * SMARTALLOC - APPROVAL CHAIN TESTS
+ * =============================================================================
+ * Deciding approval steps through PUT /api/allocations/:id/status, with
+ * delegation.
+ *
+ * @author SmartAlloc Team
+ * @version 1.0.0
+ * =============================================================================
+ */
+
+const Allocation = require('../models/Allocation');
+const Resource = require('../models/Resource');
+const User = require('../models/User');
+const { updateAllocationStatus } = require('../controllers/allocationController');
+const { useMemoryDatabase, mockRequest, mockResponse } = require('./helpers');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+useMemoryDatabase();
+
+let manager;
+let delegate;
+let colleague;
+let resource;
+
+beforeEach(async () => {
+    [delegate, colleague] = await User.create([
+        { name: 'Delegate', email: 'delegate@example.com', password: 'password123', department: 'Sales' },
+        { name: 'Colleague', email: 'colleague@example.com', password: 'password123', department: 'Sales' }
+    ]);
+    // Away, so the delegate approves for Sales in their place
+    manager = await User.create({
+        name: 'Manager',
+        email: 'manager@example.com',
+        password: 'password123',
+        department: 'Sales',
+        managedDepartments: ['Sales'],
+        delegateTo: delegate._id
+    });
+    resource = await Resource.create({ name: 'Room 201', type: 'Room' });
+});
+
+/**
+ * A pending request waiting for the Sales manager
+ */
+const requestBy = (requester) => {
+    const startTime = new Date(Date.now() + 48 * HOUR_MS);
+    return Allocation.create({
+        resourceId: resource._id,
+        assignedTo: requester.name,
+        startTime,
+        endTime: new Date(startTime.getTime() + HOUR_MS),
+        approvalStatus: 'pending',
+        approvalSteps: [{ name: 'Manager', kind: 'department_manager', department: 'Sales', status: 'pending' }],
+        currentStep: 0,
+        requestedBy: requester._id
+    });
+};
+
+/**
+ * Approve an allocation as the delegate (no allocations:approve)
+ */
+const approveAsDelegate = async (id) => {
+    const res = mockResponse();
+    await updateAllocationStatus(mockRequest(delegate, [], {
+        body: { status: 'approved' },
+        params: { id: String(id) },
+        method: 'PUT',
+        originalUrl: `/api/allocations/${id}/status`
+    }), res);
+    return res;
+};
+
+describe('updateAllocationStatus with delegation', () => {
+    it('lets a delegate approve a request on behalf of the manager', async () => {
+        const request = await requestBy(colleague);
+
+        const res = await approveAsDelegate(request._id);
+
+        expect(res.statusCode).toBe(200);
+        const stored = await Allocation.findById(request._id);
+        expect(stored.approvalStatus).toBe('approved');
+        expect(String(stored.approvalSteps[0].onBehalfOf)).toBe(String(manager._id));
+    });
+
+    it('does not let a delegate approve their own request on behalf of the manager', async () => {
+        const request = await requestBy(delegate);
+
+        const res = await approveAsDelegate(request._id);
+
+        expect(res.statusCode).toBe(403);
+        expect((await Allocation.findById(request._id)).approvalStatus).toBe('pending');
+    });
+
+    it('rejects an invalid allocation ID with 400', async () => {
+        const res = await approveAsDelegate('not-an-id');
+
+        expect(res.statusCode).toBe(400);
+    });
+});
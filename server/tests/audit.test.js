@@ -0,0 +1,62 @@
+/**
+ * =============================================================================
+ * SMARTALLOC - AUDIT TRAIL TESTS
+ * =============================================================================
+ * Runs the auditTrail middleware against an in-memory MongoDB
+ * (mongodb-memory-server) and checks what ends up in the log.
+ *
+ * @author SmartAlloc Team
+ * @version 1.0.0
+ * =============================================================================
+ */
+
+const { EventEmitter } = require('events');
+const mongoose = require('mongoose');
+
+const AuditEvent = require('../models/AuditEvent');
+const { auditTrail, explicitAuditOnly } = require('../utils/audit');
+const { useMemoryDatabase, mockRequest } = require('./helpers');
+
+useMemoryDatabase();
+
+const user = { _id: new mongoose.Types.ObjectId(), name: 'Requester', role: 'User' };
+
+/**
+ * Pass a successful request through auditTrail and the route middleware,
+ * then wait for its events to be written
+ */
+const finishRequest = async (req, routeMiddleware = []) => {
+    const res = new EventEmitter();
+    res.statusCode = 200;
+
+    auditTrail(req, res, () => {});
+    routeMiddleware.forEach(middleware => middleware(req, res, () => {}));
+    res.emit('finish');
+
+    await new Promise(resolve => setTimeout(resolve, 100));
+};
+
+const notificationRead = () => {
+    const id = String(new mongoose.Types.ObjectId());
+    return {
+        ...mockRequest(user, [], { params: { id }, method: 'PUT', originalUrl: `/api/notifications/${id}/read` }),
+        baseUrl: '/api/notifications',
+        route: { path: '/:id/read' }
+    };
+};
+
+describe('auditTrail', () => {
+    it('logs a generic event for a write whose handler recorded none', async () => {
+        await finishRequest(notificationRead());
+
+        const events = await AuditEvent.find();
+        expect(events).toHaveLength(1);
+        expect(events[0].action).toBe('notification.read');
+    });
+
+    it('logs nothing for a route marked explicitAuditOnly', async () => {
+        await finishRequest(notificationRead(), [explicitAuditOnly]);
+
+        expect(await AuditEvent.countDocuments()).toBe(0);
+    });
+});
@@ -0,0 +1,80 @@
+/**
+ * =============================================================================
+ * SMARTALLOC - TEST HELPERS
+ * =============================================================================
+ * In-memory MongoDB lifecycle and minimal Express request / response
+ * objects for calling controllers directly.
+ *
+ * @author SmartAlloc Team
+ * @version 1.0.0
+ * =============================================================================
+ */
+
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+/**
+ * Register beforeAll / afterEach / afterAll hooks that start an in-memory
+ * MongoDB, empty it after every test and stop it at the end
+ */
+const useMemoryDatabase = () => {
+    let mongoServer;
+
+    beforeAll(async () => {
+        mongoServer = await MongoMemoryServer.create();
+        await mongoose.connect(mongoServer.getUri());
+        // The booking lock relies on the unique index on ResourceLock.resourceId
+        await mongoose.connection.syncIndexes();
+    });
+
+    afterEach(async () => {
+        await Promise.all(Object.values(mongoose.connection.collections).map(collection => collection.deleteMany({})));
+    });
+
+    afterAll(async () => {
+        await mongoose.disconnect();
+        if (mongoServer) await mongoServer.stop();
+    });
+};
+
+/**
+ * Request as the protect middleware leaves it
+ *
+ * @param {Object} user - req.user
+ * @param {Array} permissions - req.permissions
+ * @param {Object} options - body, params, query, method, originalUrl
+ */
+const mockRequest = (user, permissions, { body = {}, params = {}, query = {}, method = 'POST', originalUrl = '/api' } = {}) => ({
+    body,
+    params,
+    query,
+    user,
+    permissions,
+    auditEvents: [],
+    ip: '127.0.0.1',
+    method,
+    originalUrl,
+    get: () => ''
+});
+
+/**
+ * Minimal Express response that records the status and body
+ */
+const mockResponse = () => {
+    const res = {};
+    res.status = (code) => {
+        res.statusCode = code;
+        return res;
+    };
+    res.json = (body) => {
+        res.body = body;
+        return res;
+    };
+    return res;
+};
+
+module.exports = {
+    useMemoryDatabase,
+    mockRequest,
+    mockResponse
+};
@@ -0,0 +1,162 @@
+/**
+ * =============================================================================
+ * SMARTALLOC - RESOURCE LOCK TESTS
+ * =============================================================================
+ * Runs against an in-memory MongoDB (mongodb-memory-server), so the unique
+ * index on ResourceLock behaves as in production.
+ *
+ * @author SmartAlloc Team
+ * @version 1.0.0
+ * =============================================================================
+ */
+
+const mongoose = require('mongoose');
+
+const Allocation = require('../models/Allocation');
+const Resource = require('../models/Resource');
+const User = require('../models/User');
+const { withResourceLock } = require('../utils/resourceLock');
+const { createAllocation, updateAllocation, updateAllocationStatus } = require('../controllers/allocationController');
+const { useMemoryDatabase, mockRequest, mockResponse } = require('./helpers');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+useMemoryDatabase();
+
+/**
+ * Two overlapping windows on the day after tomorrow
+ */
+const overlappingWindows = () => {
+    const start = new Date(Date.now() + 48 * HOUR_MS);
+    return [
+        { startTime: start, endTime: new Date(start.getTime() + 2 * HOUR_MS) },
+        { startTime: new Date(start.getTime() + HOUR_MS), endTime: new Date(start.getTime() + 3 * HOUR_MS) }
+    ];
+};
+
+describe('withResourceLock', () => {
+    it('runs one function at a time per resource', async () => {
+        const resourceId = new mongoose.Types.ObjectId();
+        let running = 0;
+        let maxRunning = 0;
+
+        await Promise.all(Array.from({ length: 5 }, () => withResourceLock(resourceId, async () => {
+            running++;
+            maxRunning = Math.max(maxRunning, running);
+            await new Promise(resolve => setTimeout(resolve, 20));
+            running--;
+        })));
+
+        expect(maxRunning).toBe(1);
+    });
+
+    it('releases the lock when the function throws', async () => {
+        const resourceId = new mongoose.Types.ObjectId();
+
+        await expect(withResourceLock(resourceId, async () => {
+            throw new Error('boom');
+        })).rejects.toThrow('boom');
+
+        await expect(withResourceLock(resourceId, async () => 'done')).resolves.toBe('done');
+    });
+});
+
+describe('createAllocation', () => {
+    it('books only one of two overlapping requests that race on one resource', async () => {
+        const user = await User.create({ name: 'Approver', email: 'approver@example.com', password: 'password123' });
+        const resource = await Resource.create({ name: 'Room 101', type: 'Room' });
+
+        const bodies = overlappingWindows().map(times => ({
+            resourceId: String(resource._id),
+            assignedTo: 'Team',
+            startTime: times.startTime.toISOString(),
+            endTime: times.endTime.toISOString()
+        }));
+
+        const responses = bodies.map(mockResponse);
+        await Promise.all(bodies.map((body, i) => createAllocation(
+            mockRequest(user, ['allocations:approve'], { body, originalUrl: '/api/allocations' }),
+            responses[i]
+        )));
+
+        const statuses = responses.map(res => res.statusCode).sort();
+        expect(statuses).toEqual([201, 409]);
+
+        const approved = await Allocation.find({ resourceId: resource._id, approvalStatus: 'approved' });
+        expect(approved).toHaveLength(1);
+    });
+});
+
+describe('updateAllocationStatus', () => {
+    it('approves only one of two overlapping pending requests approved at the same time', async () => {
+        const [firstAdmin, secondAdmin, requester] = await User.create([
+            { name: 'Admin One', email: 'admin1@example.com', password: 'password123' },
+            { name: 'Admin Two', email: 'admin2@example.com', password: 'password123' },
+            { name: 'Requester', email: 'requester@example.com', password: 'password123' }
+        ]);
+        const resource = await Resource.create({ name: 'Room 102', type: 'Room' });
+
+        const requests = await Allocation.create(overlappingWindows().map(times => ({
+            resourceId: resource._id,
+            assignedTo: 'Team',
+            ...times,
+            approvalStatus: 'pending',
+            requestedBy: requester._id
+        })));
+
+        const responses = requests.map(mockResponse);
+        await Promise.all([firstAdmin, secondAdmin].map((admin, i) => updateAllocationStatus(
+            mockRequest(admin, ['allocations:approve'], {
+                body: { status: 'approved' },
+                params: { id: String(requests[i]._id) },
+                method: 'PUT',
+                originalUrl: `/api/allocations/${requests[i]._id}/status`
+            }),
+            responses[i]
+        )));
+
+        const statuses = responses.map(res => res.statusCode).sort();
+        expect(statuses).toEqual([200, 409]);
+
+        const approved = await Allocation.find({ resourceId: resource._id, approvalStatus: 'approved' });
+        expect(approved).toHaveLength(1);
+    });
+});
+
+describe('updateAllocation', () => {
+    it('does not save an edit over a cancellation made while it waited for the lock', async () => {
+        const requester = await User.create({ name: 'Requester', email: 'requester@example.com', password: 'password123' });
+        const resource = await Resource.create({ name: 'Room 103', type: 'Room' });
+        const [times] = overlappingWindows();
+        const allocation = await Allocation.create({
+            resourceId: resource._id,
+            assignedTo: 'Team',
+            ...times,
+            approvalStatus: 'approved',
+            requestedBy: requester._id
+        });
+
+        const res = mockResponse();
+        let edit;
+        await withResourceLock(resource._id, async () => {
+            edit = updateAllocation(mockRequest(requester, [], {
+                body: { purpose: 'Planning' },
+                params: { id: String(allocation._id) },
+                method: 'PUT',
+                originalUrl: `/api/allocations/${allocation._id}`
+            }), res);
+
+            // Let the edit read the booking, then cancel it behind its back
+            await new Promise(resolve => setTimeout(resolve, 300));
+            await Allocation.updateOne({ _id: allocation._id }, { $set: { approvalStatus: 'cancelled', cancelledAt: new Date() } });
+        });
+        await edit;
+
+        expect(res.statusCode).toBe(409);
+
+        const stored = await Allocation.findById(allocation._id);
+        expect(stored.approvalStatus).toBe('cancelled');
+        expect(stored.purpose).toBe('');
+        expect(stored.changeHistory).toHaveLength(0);
+    });
+});
@@ -0,0 +1,66 @@
+/**
+ * =============================================================================
+ * SMARTALLOC - JOB SCHEDULER TESTS
+ * =============================================================================
+ * Runs the scheduler against an in-memory MongoDB (mongodb-memory-server),
+ * so the unique keys and the atomic claims behave as in production.
+ *
+ * @author SmartAlloc Team
+ * @version 1.0.0
+ * =============================================================================
+ */
+
+const Job = require('../models/Job');
+const { defineJob, scheduleJob, runDueJobs } = require('../utils/scheduler');
+const { useMemoryDatabase } = require('./helpers');
+
+const MINUTE_MS = 60 * 1000;
+
+useMemoryDatabase();
+
+describe('runDueJobs', () => {
+    it('reuses one document for every occurrence of an interval job', async () => {
+        let runs = 0;
+        defineJob('test-interval', {
+            every: MINUTE_MS,
+            run: async () => {
+                runs += 1;
+                return { runs };
+            }
+        });
+
+        const start = Math.floor(Date.now() / MINUTE_MS) * MINUTE_MS;
+        for (let i = 0; i < 3; i++) {
+            await runDueJobs(new Date(start + i * MINUTE_MS));
+        }
+
+        expect(runs).toBe(3);
+
+        const jobs = await Job.find({ name: 'test-interval' });
+        expect(jobs).toHaveLength(1);
+        expect(jobs[0].status).toBe('succeeded');
+        expect(jobs[0].result).toEqual({ runs: 3 });
+    });
+
+    it('never runs two runs of one job at the same time', async () => {
+        let running = 0;
+        let maxRunning = 0;
+        defineJob('test-slow', {
+            every: 60 * MINUTE_MS,
+            run: async () => {
+                running++;
+                maxRunning = Math.max(maxRunning, running);
+                await new Promise(resolve => setTimeout(resolve, 100));
+                running--;
+            }
+        });
+
+        // The current occurrence and a manual run are both due
+        const now = new Date();
+        await scheduleJob('test-slow', new Date(now.getTime() - MINUTE_MS));
+
+        await Promise.all([runDueJobs(now), runDueJobs(now)]);
+
+        expect(maxRunning).toBe(1);
+    });
+});
@@ -0,0 +1,93 @@
+/**
+ * =============================================================================
+ * SMARTALLOC - USER CONTROLLER TESTS
+ * =============================================================================
+ * Only a Super User may create, block, reset the password of or delete a
+ * Super User - users:manage alone is not enough.
+ *
+ * @author SmartAlloc Team
+ * @version 1.0.0
+ * =============================================================================
+ */
+
+const Role = require('../models/Role');
+const User = require('../models/User');
+const { ADMIN_ROLE } = require('../models/Role');
+const {
+    createUser,
+    updateUserStatus,
+    resetUserPassword,
+    deleteUser
+} = require('../controllers/userController');
+const { useMemoryDatabase, mockRequest, mockResponse } = require('./helpers');
+
+useMemoryDatabase();
+
+const MANAGER_ROLE = 'Facilities Manager';
+
+let manager;
+let admin;
+
+beforeEach(async () => {
+    await Role.create([
+        { name: ADMIN_ROLE, permissions: ['users:manage'] },
+        { name: MANAGER_ROLE, permissions: ['users:manage'] }
+    ]);
+    [manager, admin] = await User.create([
+        { name: 'Manager', email: 'manager@example.com', password: 'password123', role: MANAGER_ROLE },
+        { name: 'Admin', email: 'admin@example.com', password: 'password123', role: ADMIN_ROLE }
+    ]);
+});
+
+/**
+ * Call a handler as the users:manage manager
+ */
+const asManager = async (handler, options) => {
+    const res = mockResponse();
+    await handler(mockRequest(manager, ['users:manage'], options), res);
+    return res;
+};
+
+describe('Super User protection', () => {
+    it('does not let a manager create a Super User', async () => {
+        const res = await asManager(createUser, {
+            body: { name: 'New Admin', email: 'new@example.com', password: 'password123', role: ADMIN_ROLE }
+        });
+
+        expect(res.statusCode).toBe(403);
+        expect(await User.exists({ email: 'new@example.com' })).toBeNull();
+    });
+
+    it('does not let a manager block a Super User', async () => {
+        const res = await asManager(updateUserStatus, {
+            body: { status: 'blocked' },
+            params: { id: String(admin._id) },
+            method: 'PUT'
+        });
+
+        expect(res.statusCode).toBe(403);
+        expect((await User.findById(admin._id)).status).not.toBe('blocked');
+    });
+
+    it('does not let a manager reset the password of a Super User', async () => {
+        const res = await asManager(resetUserPassword, {
+            body: { newPassword: 'taken-over' },
+            params: { id: String(admin._id) },
+            method: 'PUT'
+        });
+
+        expect(res.statusCode).toBe(403);
+        const stored = await User.findById(admin._id);
+        expect(await stored.matchPassword('password123')).toBe(true);
+    });
+
+    it('does not let a manager delete a Super User', async () => {
+        const res = await asManager(deleteUser, {
+            params: { id: String(admin._id) },
+            method: 'DELETE'
+        });
+
+        expect(res.statusCode).toBe(403);
+        expect(await User.exists({ _id: admin._id })).not.toBeNull();
+    });
+});
@@ -0,0 +1,192 @@
+/**
+ * =============================================================================
+ * SMARTALLOC - ALTERNATIVE SUGGESTIONS
+ * =============================================================================
+ * What to offer a user whose booking clashed with an approved allocation
+ * (the 409 from POST /api/allocations):
+ *
+ * - slots:     the nearest free windows of the same length on the same
+ *              resource, within SEARCH_DAYS either side of the requested
+ *              start. Candidates start right after or end right before a
+ *              booking (keeping the buffers), or at opening / closing time,
+ *              snapped to the slot grid.
+ * - resources: other resources of the same type, at least as large, that
+ *              are free for the requested window
+ *
+ * Every suggestion passes the booking policy and the conflict and buffer
+ * checks at the time it is made, so booking it straight away succeeds
+ * unless someone else gets there first. The per-user limit is not checked -
+ * it applies to the original request just the same.
+ *
+ * @author SmartAlloc Team
+ * @version 1.0.0
+ * =============================================================================
+ */
+
+const Allocation = require('../models/Allocation');
+const Resource = require('../models/Resource');
+const { findPolicyViolations, bufferMs, parseTimeOfDay, minuteOfDay } = require('./bookingPolicy');
+const { findScheduleViolations } = require('./bookingChecks');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// How many of each kind are suggested
+const SUGGESTION_COUNT = 3;
+
+// How far from the requested start free slots are looked for
+const SEARCH_DAYS = 7;
+
+/**
+ * Snap a time to the policy's slot grid (whole minutes without one)
+ *
+ * @param {Number} time - Time in ms
+ * @param {Object} policy - Effective booking policy
+ * @param {Function} round - Math.floor or Math.ceil
+ * @returns {Number} Snapped time in ms
+ */
+const snapToGrid = (time, policy, round) => {
+    const date = new Date(time);
+    const minutes = minuteOfDay(date);
+    const step = policy.slotMinutes || 1;
+    return time + (round(minutes / step) * step - minutes) * MINUTE_MS;
+};
+
+/**
+ * Start times worth trying: right after and right before each booking,
+ * and at opening / closing time of every day in the range
+ */
+const candidateStarts = (busy, policy, duration, rangeStart, rangeEnd) => {
+    const buffer = bufferMs(policy);
+    const starts = [rangeStart.getTime()];
+
+    busy.forEach(allocation => {
+        starts.push(allocation.endTime.getTime() + buffer);
+        starts.push(allocation.startTime.getTime() - buffer - duration);
+    });
+
+    if (policy.openTime && policy.closeTime) {
+        const day = new Date(rangeStart);
+        day.setHours(0, 0, 0, 0);
+        for (; day < rangeEnd; day.setDate(day.getDate() + 1)) {
+            starts.push(day.getTime() + parseTimeOfDay(policy.openTime) * MINUTE_MS);
+            starts.push(day.getTime() + parseTimeOfDay(policy.closeTime) * MINUTE_MS - duration);
+        }
+    }
+
+    // Either side of the grid - one of them usually keeps clear of the booking
+    return [...new Set(starts.flatMap(start => [
+        snapToGrid(start, policy, Math.ceil),
+        snapToGrid(start, policy, Math.floor)
+    ]))];
+};
+
+/**
+ * Find the free windows of the requested length nearest to the requested
+ * start on the same resource.
+ *
+ * @param {Document} resource - Resource that was asked for
+ * @param {Object} policy - Its effective booking policy
+ * @param {Object} occurrence - Requested { startTime, endTime }
+ * @param {Date} now - Current time
+ * @returns {Array} Up to SUGGESTION_COUNT { startTime, endTime }, earliest first
+ */
+const findFreeSlots = async (resource, policy, { startTime, endTime }, now = new Date()) => {
+    const duration = endTime - startTime;
+    const buffer = bufferMs(policy);
+    const rangeStart = new Date(Math.max(now.getTime(), startTime.getTime() - SEARCH_DAYS * DAY_MS));
+    const rangeEnd = new Date(startTime.getTime() + SEARCH_DAYS * DAY_MS + duration);
+
+    const busy = await Allocation.findOverlapping(
+        resource._id,
+        new Date(rangeStart.getTime() - buffer - duration),
+        new Date(rangeEnd.getTime() + buffer + duration)
+    ).where('approvalStatus').equals('approved').sort({ startTime: 1 });
+
+    const isFree = (start, end) => !busy.some(allocation => (
+        allocation.startTime.getTime() - buffer < end && allocation.endTime.getTime() + buffer > start
+    ));
+
+    const slots = candidateStarts(busy, policy, duration, rangeStart, rangeEnd)
+        .filter(start => start >= now.getTime() && start !== startTime.getTime())
+        .map(start => ({ startTime: new Date(start), endTime: new Date(start + duration) }))
+        .filter(slot => (
+            slot.startTime < rangeEnd
+            && isFree(slot.startTime.getTime(), slot.endTime.getTime())
+            && !resource.getBookingBlock(slot.startTime)
+            && findPolicyViolations(policy, [slot], now).length === 0
+        ))
+        .sort((a, b) => Math.abs(a.startTime - startTime) - Math.abs(b.startTime - startTime));
+
+    return slots.slice(0, SUGGESTION_COUNT).sort((a, b) => a.startTime - b.startTime);
+};
+
+/**
+ * Find other resources of the same type, with at least the same capacity,
+ * that can be booked for the requested window. Smallest first.
+ *
+ * @param {Document} resource - Resource that was asked for
+ * @param {Object} occurrence - Requested { startTime, endTime }
+ * @param {Date} now - Current time
+ * @returns {Array} Up to SUGGESTION_COUNT resources { _id, name, type, capacity, location }
+ */
+const findFreeResources = async (resource, occurrence, now = new Date()) => {
+    const filter = { ...Resource.listedFilter(), _id: { $ne: resource._id }, type: resource.type };
+    if (resource.capacity) {
+        filter.capacity = { $gte: resource.capacity };
+    }
+
+    const candidates = (await Resource.find(filter).sort({ capacity: 1, name: 1 }))
+        .filter(candidate => !candidate.getBookingBlock(occurrence.startTime));
+    if (candidates.length === 0) return [];
+
+    const busyIds = await Allocation.findOverlapping(
+        candidates.map(candidate => candidate._id),
+        occurrence.startTime,
+        occurrence.endTime
+    ).where('approvalStatus').equals('approved').distinct('resourceId');
+    const busy = new Set(busyIds.map(id => id.toString()));
+
+    const free = [];
+    for (const candidate of candidates) {
+        if (free.length === SUGGESTION_COUNT) break;
+        if (busy.has(candidate._id.toString())) continue;
+
+        const policy = await candidate.getBookingPolicy();
+        if (findPolicyViolations(policy, [occurrence], now).length > 0) continue;
+        if ((await findScheduleViolations(candidate, policy, [occurrence])).length > 0) continue;
+
+        free.push({
+            _id: candidate._id,
+            name: candidate.name,
+            type: candidate.type,
+            capacity: candidate.capacity,
+            location: candidate.location
+        });
+    }
+
+    return free;
+};
+
+/**
+ * Alternatives for a booking that clashed (see the header)
+ *
+ * @param {Document} resource - Resource that was asked for
+ * @param {Object} policy - Its effective booking policy
+ * @param {Object} occurrence - Requested { startTime, endTime }
+ * @returns {Object} { slots, resources }
+ */
+const suggestAlternatives = async (resource, policy, occurrence) => {
+    const now = new Date();
+    return {
+        slots: await findFreeSlots(resource, policy, occurrence, now),
+        resources: await findFreeResources(resource, occurrence, now)
+    };
+};
+
+module.exports = {
+    SUGGESTION_COUNT,
+    findFreeSlots,
+    findFreeResources,
+    suggestAlternatives
+};
@@ -0,0 +1,279 @@
+/**
+ * =============================================================================
+ * SMARTALLOC - APPROVAL CHAINS
+ * =============================================================================
+ * Multi-level approval of booking requests.
+ *
+ * When a request needs approval it gets a copy of its resource type's
+ * approval chain (ResourceType.approvalChain) as Allocation.approvalSteps.
+ * The steps are decided one at a time, in order:
+ * - approving a step moves the request on to the next one; approving the
+ *   last step approves the request
+ * - rejecting a step (a comment is required) rejects the request and
+ *   skips the remaining steps
+ *
+ * Who may decide the current step depends on its kind (see ResourceType.js).
+ * Users with allocations:approve may decide any step. Nobody decides a
+ * step of their own request unless they have allocations:approve.
+ *
+ * Delegation: while a user's delegation is in effect (User.delegateTo /
+ * delegateUntil) their delegate may decide every step they could, and
+ * the step records on whose behalf it was decided.
+ *
+ * @author SmartAlloc Team
+ * @version 1.0.0
+ * =============================================================================
+ */
+
+const User = require('../models/User');
+const Resource = require('../models/Resource');
+const ResourceType = require('../models/ResourceType');
+const { getRolePermissions } = require('../middleware/authMiddleware');
+
+// Used when a resource type has no chain (see buildApprovalSteps)
+const DEFAULT_STEP = { name: 'Approval', kind: 'approvers', role: '' };
+const RESOURCE_APPROVERS_STEP = { name: 'Resource approvers', kind: 'resource_approvers', role: '' };
+
+const toPlain = (step) => (typeof step.toObject === 'function' ? step.toObject() : { ...step });
+
+const sameId = (a, b) => Boolean(a) && Boolean(b) && String(a._id || a) === String(b._id || b);
+
+/**
+ * Steps for a new request
+ *
+ * Without a chain, requests for a resource with an approver group go to
+ * that group, and all others to anyone with allocations:approve.
+ *
+ * @param {Array} chain - The type's approval chain ({ name, kind, role })
+ * @param {Object} resource - Resource being requested
+ * @param {Object} requester - User making the request
+ * @returns {Array} Steps to store on the allocation
+ */
+const buildApprovalSteps = (chain, resource, requester) => {
+    let steps = chain && chain.length > 0 ? chain : null;
+    if (!steps) {
+        steps = resource.approvers && resource.approvers.length > 0 ? [RESOURCE_APPROVERS_STEP] : [DEFAULT_STEP];
+    }
+
+    return steps.map(step => ({
+        name: step.name,
+        kind: step.kind,
+        role: step.kind === 'role' ? step.role : '',
+        department: step.kind === 'department_manager' && requester ? requester.department : '',
+        status: 'pending'
+    }));
+};
+
+/**
+ * Steps of an allocation as plain objects. Requests made before approval
+ * chains existed get the single default step.
+ */
+const stepsOf = (allocation) => {
+    const steps = allocation.approvalSteps || [];
+    if (steps.length === 0) {
+        return [{ ...DEFAULT_STEP, department: '', status: 'pending' }];
+    }
+    return steps.map(toPlain);
+};
+
+/**
+ * The step awaiting a decision, or null when the request is not pending
+ */
+const currentStepOf = (allocation) => {
+    if (allocation.approvalStatus !== 'pending') return null;
+    return stepsOf(allocation)[allocation.currentStep || 0] || null;
+};
+
+/**
+ * Check whether someone may decide a step
+ *
+ * @param {Object} capacity - { user, permissions } of the person (or of the
+ *                            user they stand in for)
+ * @param {Object} step - The step
+ * @param {Object} resource - The request's resource (needs approvers)
+ * @returns {Boolean}
+ */
+const canDecideStep = ({ user, permissions }, step, resource) => {
+    if (permissions.includes('allocations:approve')) return true;
+    if (!step) return false;
+
+    switch (step.kind) {
+        case 'department_manager':
+            return (user.managedDepartments || [])
+                .some(department => department.toLowerCase() === String(step.department || '').toLowerCase());
+        case 'role':
+            return Boolean(step.role) && user.role === step.role;
+        case 'resource_approvers':
+            return Boolean(resource) && (resource.approvers || []).some(id => sameId(id, user));
+        default:
+            return false;
+    }
+};
+
+/**
+ * The capacities a user can approve in: as themselves, and for everyone
+ * whose delegation to them is in effect.
+ *
+ * @param {Object} user - The current user (req.user)
+ * @param {Array} permissions - Their permissions (req.permissions)
+ * @returns {Array} [{ user, permissions, onBehalfOf }] - onBehalfOf is null
+ *                  for the user's own capacity
+ */
+const loadApproverCapacities = async (user, permissions) => {
+    const now = new Date();
+    const delegators = (await User.find({ delegateTo: user._id, status: 'active' }).select('-password'))
+        .filter(delegator => delegator.isDelegating(now));
+
+    const capacities = [{ user, permissions, onBehalfOf: null }];
+    for (const delegator of delegators) {
+        capacities.push({
+            user: delegator,
+            permissions: await getRolePermissions(delegator.role),
+            onBehalfOf: delegator
+        });
+    }
+    return capacities;
+};
+
+/**
+ * The capacity in which a user may decide a request's current step, or
+ * null when they may not
+ *
+ * @param {Array} capacities - From loadApproverCapacities (own capacity first)
+ * @param {Object} allocation - The pending request
+ * @param {Object} resource - Its resource
+ * @returns {Object|null} { user, permissions, onBehalfOf }
+ */
+const findActingCapacity = (capacities, allocation, resource) => {
+    const step = currentStepOf(allocation);
+
+    // The person acting never decides their own request without
+    // allocations:approve - not even on behalf of someone they stand in for
+    const [own] = capacities;
+    if (sameId(allocation.requestedBy, own.user) && !own.permissions.includes('allocations:approve')) {
+        return null;
+    }
+
+    return capacities.find(capacity => {
+        const isOwnRequest = sameId(allocation.requestedBy, capacity.user);
+        if (isOwnRequest && !capacity.permissions.includes('allocations:approve')) return false;
+        return canDecideStep(capacity, step, resource);
+    }) || null;
+};
+
+/**
+ * Everyone who may decide a request's current step, for notifying them:
+ * the active users who can decide it, and the delegates of those who are
+ * away. Nobody is listed for their own request unless they have
+ * allocations:approve.
+ *
+ * @param {Object} allocation - The pending request
+ * @param {Object} resource - Its resource
+ * @returns {Array} User IDs (empty when the request is not pending)
+ */
+const findStepApprovers = async (allocation, resource) => {
+    const step = currentStepOf(allocation);
+    if (!step) return [];
+
+    const now = new Date();
+    const permissionsByRole = new Map();
+    const approvers = [];
+
+    for (const user of await User.find({ status: 'active' }).select('-password')) {
+        if (!permissionsByRole.has(user.role)) {
+            permissionsByRole.set(user.role, await getRolePermissions(user.role));
+        }
+        const permissions = permissionsByRole.get(user.role);
+
+        const isOwnRequest = sameId(allocation.requestedBy, user);
+        if (isOwnRequest && !permissions.includes('allocations:approve')) continue;
+        if (canDecideStep({ user, permissions }, step, resource)) approvers.push(user);
+    }
+
+    const ids = approvers.map(user => String(user._id));
+    approvers
+        .filter(user => user.isDelegating(now) && !sameId(user.delegateTo, allocation.requestedBy))
+        .forEach(user => ids.push(String(user.delegateTo)));
+
+    return [...new Set(ids)];
+};
+
+/**
+ * New approval state of an allocation after a decision
+ *
+ * A pending request has its current step decided. For a request that was
+ * already approved or rejected (an override, allocations:approve only)
+ * an 'Override' step is added to the trail.
+ *
+ * @param {Object} allocation - The allocation
+ * @param {Object} decision - { status, user, onBehalfOf, comment, now }
+ * @returns {Object} { approvalStatus, currentStep, approvalSteps }
+ */
+const applyDecision = (allocation, { status, user, onBehalfOf = null, comment = '', now = new Date() }) => {
+    const record = {
+        status,
+        decidedBy: user._id,
+        decidedByName: user.name,
+        onBehalfOf: onBehalfOf ? onBehalfOf._id : null,
+        onBehalfOfName: onBehalfOf ? onBehalfOf.name : '',
+        decidedAt: now,
+        comment
+    };
+
+    if (allocation.approvalStatus !== 'pending') {
+        const steps = (allocation.approvalSteps || []).map(toPlain);
+        steps.push({ name: 'Override', kind: 'override', role: '', department: '', ...record });
+        return { approvalStatus: status, currentStep: steps.length, approvalSteps: steps };
+    }
+
+    const steps = stepsOf(allocation);
+    const index = allocation.currentStep || 0;
+    steps[index] = { ...steps[index], ...record };
+
+    if (status === 'rejected') {
+        steps.slice(index + 1).forEach(step => { step.status = 'skipped'; });
+        return { approvalStatus: 'rejected', currentStep: steps.length, approvalSteps: steps };
+    }
+
+    const isLastStep = index + 1 >= steps.length;
+    return {
+        approvalStatus: isLastStep ? 'approved' : 'pending',
+        currentStep: index + 1,
+        approvalSteps: steps
+    };
+};
+
+/**
+ * Check whether a user approves anything: has allocations:approve,
+ * manages a department, holds a role used in an approval chain, is in a
+ * resource's approver group, or stands in for someone. Used by the
+ * clients to show the approvals screen.
+ *
+ * @param {Object} user - The user
+ * @param {Array} permissions - Their permissions
+ * @returns {Boolean}
+ */
+const isApprover = async (user, permissions) => {
+    if (permissions.includes('allocations:approve')) return true;
+    if (user.managedDepartments && user.managedDepartments.length > 0) return true;
+
+    const [chainRole, resourceApprover, delegators] = await Promise.all([
+        ResourceType.exists({ 'approvalChain.kind': 'role', 'approvalChain.role': user.role }),
+        Resource.exists({ approvers: user._id }),
+        User.find({ delegateTo: user._id, status: 'active' }).select('delegateTo delegateUntil')
+    ]);
+
+    return Boolean(chainRole) || Boolean(resourceApprover) || delegators.some(delegator => delegator.isDelegating());
+};
+
+module.exports = {
+    buildApprovalSteps,
+    stepsOf,
+    currentStepOf,
+    canDecideStep,
+    loadApproverCapacities,
+    findActingCapacity,
+    findStepApprovers,
+    applyDecision,
+    isApprover
+};
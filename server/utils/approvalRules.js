@@ -0,0 +1,102 @@
+/**
+ * =============================================================================
+ * SMARTALLOC - APPROVAL RULE MATCHING
+ * =============================================================================
+ * Decides which auto-approval rule (models/ApprovalRule.js), if any,
+ * applies to a booking request.
+ *
+ * A rule applies when every condition it sets matches; conditions it
+ * leaves empty match anything. Duration, lead time and time-of-day
+ * conditions are checked for every occurrence of a series.
+ *
+ * @author SmartAlloc Team
+ * @version 1.0.0
+ * =============================================================================
+ */
+
+const { parseTimeOfDay, minuteOfDay, isSameLocalDay } = require('./bookingPolicy');
+
+const MINUTE_MS = 60 * 1000;
+
+const isSet = (value) => value !== null && value !== undefined;
+
+const includesIgnoringCase = (list, value) => list.some(item => item.toLowerCase() === String(value || '').toLowerCase());
+
+/**
+ * Check one occurrence against a rule's time conditions
+ */
+const occurrenceMatches = (conditions, { startTime, endTime }, now) => {
+    const durationMinutes = (endTime - startTime) / MINUTE_MS;
+    const leadMinutes = (startTime - now) / MINUTE_MS;
+
+    if (isSet(conditions.minDurationMinutes) && durationMinutes < conditions.minDurationMinutes) return false;
+    if (isSet(conditions.maxDurationMinutes) && durationMinutes > conditions.maxDurationMinutes) return false;
+    if (isSet(conditions.minLeadTimeMinutes) && leadMinutes < conditions.minLeadTimeMinutes) return false;
+    if (isSet(conditions.maxLeadTimeMinutes) && leadMinutes > conditions.maxLeadTimeMinutes) return false;
+
+    if (conditions.startAfter && minuteOfDay(startTime) < parseTimeOfDay(conditions.startAfter)) return false;
+    if (conditions.endBefore
+        && (!isSameLocalDay(startTime, endTime) || minuteOfDay(endTime) > parseTimeOfDay(conditions.endBefore))) {
+        return false;
+    }
+
+    return true;
+};
+
+/**
+ * Check whether a rule applies to a request
+ *
+ * @param {Object} rule - ApprovalRule document or plain object
+ * @param {Object} request - { resource, user, occurrences, now }
+ * @returns {Boolean}
+ */
+const ruleMatches = (rule, { resource, user, occurrences, now = new Date() }) => {
+    const conditions = rule.conditions || {};
+
+    if (conditions.resourceIds && conditions.resourceIds.length > 0
+        && !conditions.resourceIds.some(id => String(id) === String(resource._id))) {
+        return false;
+    }
+
+    if (conditions.resourceTypes && conditions.resourceTypes.length > 0
+        && !conditions.resourceTypes.includes(resource.type)) {
+        return false;
+    }
+
+    if (conditions.departments && conditions.departments.length > 0
+        && !(user && includesIgnoringCase(conditions.departments, user.department))) {
+        return false;
+    }
+
+    if (conditions.roles && conditions.roles.length > 0
+        && !(user && conditions.roles.includes(user.role))) {
+        return false;
+    }
+
+    return occurrences.every(occurrence => occurrenceMatches(conditions, occurrence, now));
+};
+
+/**
+ * First rule that applies to a request
+ *
+ * @param {Array} rules - Enabled rules in priority order (ApprovalRule.findActive)
+ * @param {Object} request - { resource, user, occurrences, now }
+ * @returns {Object|null} The rule, or null when none applies
+ */
+const findMatchingRule = (rules, request) => rules.find(rule => ruleMatches(rule, request)) || null;
+
+/**
+ * What an allocation stores about the rule that decided it
+ */
+const toRuleDecision = (rule) => ({
+    ruleId: rule._id,
+    name: rule.name,
+    action: rule.action,
+    reason: rule.reason || ''
+});
+
+module.exports = {
+    ruleMatches,
+    findMatchingRule,
+    toRuleDecision
+};
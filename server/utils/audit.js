@@ -0,0 +1,237 @@
+/**
+ * =============================================================================
+ * SMARTALLOC - AUDIT LOG
+ * =============================================================================
+ * Records who changed what (models/AuditEvent.js).
+ *
+ * - auditTrail: middleware (mounted in server.js) that, for every POST,
+ *   PUT, PATCH and DELETE, writes the request's audit events once the
+ *   response has succeeded - with the actor, IP and user agent. Failed
+ *   requests changed nothing and are not logged. A request whose handler
+ *   recorded nothing still gets one generic event ("job.retry"), unless
+ *   its route is marked with explicitAuditOnly (e.g. marking
+ *   notifications as read, which would flood the log).
+ * - audit(req, action, target, { before, after, details }): called by
+ *   controllers, before they respond, to describe what they did;
+ *   before/after become a field diff. Take the before snapshot
+ *   (snapshot(doc)) before changing the document.
+ * - auditSystem(action, target, options): changes made by background
+ *   jobs, written straight away with actor "System".
+ *
+ * Writing the log never fails the request: errors are logged.
+ *
+ * @author SmartAlloc Team
+ * @version 1.0.0
+ * =============================================================================
+ */
+
+const mongoose = require('mongoose');
+const AuditEvent = require('../models/AuditEvent');
+
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Top-level fields left out of diffs: internal, kept elsewhere, or secret
+const IGNORED_FIELDS = ['_id', 'id', '__v', 'password', 'token', 'createdAt', 'updatedAt', 'changeHistory', 'approvalSteps', 'edits'];
+
+// Record kind of each API area, for the generic events
+const TARGET_TYPES = {
+    '/api/allocations': 'Allocation',
+    '/api/resources': 'Resource',
+    '/api/resource-types': 'ResourceType',
+    '/api/resource-fields': 'ResourceField',
+    '/api/users': 'User',
+    '/api/roles': 'Role',
+    '/api/approval-rules': 'ApprovalRule',
+    '/api/waitlist': 'WaitlistEntry',
+    '/api/notifications': 'Notification',
+    '/api/calendar': 'CalendarFeed',
+    '/api/jobs': 'Job',
+    '/api/auth': 'User'
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Plain JSON copy of a document (IDs as strings, dates as ISO strings),
+ * without IGNORED_FIELDS
+ *
+ * @param {Object} doc - Mongoose document or plain object
+ * @returns {Object} Snapshot, or null
+ */
+const snapshot = (doc) => {
+    if (!doc) return null;
+    const plain = typeof doc.toObject === 'function' ? doc.toObject({ virtuals: false, depopulate: true }) : doc;
+    const copy = JSON.parse(JSON.stringify(plain));
+    IGNORED_FIELDS.forEach(field => delete copy[field]);
+    return copy;
+};
+
+/**
+ * Fields that differ between two snapshots
+ *
+ * @param {Object} before - Snapshot before (null for a new record)
+ * @param {Object} after - Snapshot after (null for a deleted record)
+ * @returns {Array} [{ field, from, to }]
+ */
+const diffSnapshots = (before, after) => {
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    const changes = [];
+
+    fields.forEach(field => {
+        const from = before && before[field] !== undefined ? before[field] : null;
+        const to = after && after[field] !== undefined ? after[field] : null;
+        if (JSON.stringify(from) !== JSON.stringify(to)) changes.push({ field, from, to });
+    });
+
+    return changes;
+};
+
+/**
+ * Readable name of a record: its name, email, title or label, or for an
+ * allocation who it is for and when it starts
+ */
+const labelOf = (target) => {
+    if (target.name) return target.name;
+    if (target.email) return target.email;
+    if (target.assignedTo && target.startTime) {
+        const start = new Date(target.startTime);
+        return `${target.assignedTo}, ${start.getFullYear()}-${pad(start.getMonth() + 1)}-${pad(start.getDate())} ${pad(start.getHours())}:${pad(start.getMinutes())}`;
+    }
+    return target.title || target.label || '';
+};
+
+/**
+ * Build an event (without its request context)
+ */
+const buildEvent = (action, target, { before = null, after = null, details = null, targetType = null, label = null } = {}) => ({
+    action,
+    targetType: targetType || (target.constructor && target.constructor.modelName) || 'Record',
+    targetId: target._id || null,
+    targetLabel: label !== null ? label : labelOf(target),
+    changes: diffSnapshots(snapshot(before), snapshot(after)),
+    details,
+    createdAt: new Date()
+});
+
+/**
+ * Save events, logging failures
+ */
+const writeEvents = async (events) => {
+    try {
+        await AuditEvent.insertMany(events);
+    } catch (error) {
+        console.error('Failed to write audit events:', error.message);
+    }
+};
+
+/**
+ * Who made a request and from where
+ */
+const requestContext = (req, actor) => {
+    const user = actor || req.user;
+    return {
+        actorId: user ? user._id : null,
+        actorName: user ? user.name : 'Anonymous',
+        actorRole: user ? user.role : '',
+        ip: req.ip || '',
+        userAgent: req.get('user-agent') || '',
+        method: req.method,
+        path: req.originalUrl.split('?')[0]
+    };
+};
+
+/**
+ * Event for a request whose handler recorded none, e.g.
+ * POST /api/jobs/:id/retry → "job.retry"
+ */
+const genericEvent = (req) => {
+    const targetType = TARGET_TYPES[req.baseUrl] || 'Record';
+    const routePath = req.route ? req.route.path : req.path;
+    const named = routePath.split('/').filter(part => part && !part.startsWith(':'));
+    const verb = named.length > 0 ? named[named.length - 1] : { POST: 'create', DELETE: 'delete' }[req.method] || 'update';
+    const id = req.params && req.params.id;
+
+    return {
+        action: `${targetType.charAt(0).toLowerCase()}${targetType.slice(1)}.${verb}`,
+        targetType,
+        targetId: id && mongoose.Types.ObjectId.isValid(id) ? id : null,
+        targetLabel: '',
+        changes: [],
+        details: null,
+        createdAt: new Date()
+    };
+};
+
+/**
+ * Middleware: collect the audit events of mutating requests and write
+ * them when the response succeeded
+ */
+const auditTrail = (req, res, next) => {
+    if (!MUTATING_METHODS.includes(req.method)) return next();
+
+    req.auditEvents = [];
+    res.on('finish', () => {
+        req.auditDone = true;
+        if (res.statusCode >= 400) return;
+
+        const events = req.auditEvents.length > 0 || req.auditExplicitOnly ? req.auditEvents : [genericEvent(req)];
+        if (events.length === 0) return;
+
+        const context = requestContext(req, req.auditActor);
+        writeEvents(events.map(event => ({ ...event, ...context })));
+    });
+    next();
+};
+
+/**
+ * Route middleware: log only the events the handler records itself, for
+ * writes that don't change anything worth auditing (read / seen markers)
+ */
+const explicitAuditOnly = (req, res, next) => {
+    req.auditExplicitOnly = true;
+    next();
+};
+
+/**
+ * Record what a request did to a record. Written when the response
+ * succeeds (see auditTrail).
+ *
+ * @param {Object} req - The request
+ * @param {String} action - e.g. "allocation.cancel"
+ * @param {Object} target - The record (document or plain object with _id)
+ * @param {Object} options - before/after: the record before and after (documents
+ *                           or snapshots, null for created/deleted); details: extra
+ *                           data; targetType/label: override the defaults;
+ *                           actor: who did it when req.user isn't set (login)
+ */
+const audit = (req, action, target, options = {}) => {
+    const event = buildEvent(action, target, options);
+    if (options.actor) req.auditActor = options.actor;
+
+    if (req.auditEvents && !req.auditDone) {
+        req.auditEvents.push(event);
+    } else {
+        writeEvents([{ ...event, ...requestContext(req, options.actor) }]);
+    }
+};
+
+/**
+ * Record a change made by a background job (actor "System")
+ *
+ * @param {String} action - e.g. "allocation.expire"
+ * @param {Object} target - The record
+ * @param {Object} options - As for audit
+ */
+const auditSystem = async (action, target, options = {}) => {
+    await writeEvents([buildEvent(action, target, options)]);
+};
+
+module.exports = {
+    MUTATING_METHODS,
+    snapshot,
+    diffSnapshots,
+    auditTrail,
+    explicitAuditOnly,
+    audit,
+    auditSystem
+};
@@ -0,0 +1,208 @@
+/**
+ * =============================================================================
+ * SMARTALLOC - BOOKING CHECKS
+ * =============================================================================
+ * The checks a booking goes through before it is saved, shared by the
+ * allocation controller and the waitlist (utils/waitlist.js):
+ * - the resource can be booked at all (findBookingBlock)
+ * - no approved allocation overlaps it (findConflictingOccurrences)
+ * - buffers and per-user limits of the booking policy (findScheduleViolations)
+ * - the approval state of a new request (decideApproval)
+ *
+ * The policy rules that don't need the database are in utils/bookingPolicy.js.
+ * Run the conflict and schedule checks, and the write that follows them,
+ * under the resource's booking lock (utils/resourceLock.js).
+ *
+ * @author SmartAlloc Team
+ * @version 1.0.0
+ * =============================================================================
+ */
+
+const Allocation = require('../models/Allocation');
+const Resource = require('../models/Resource');
+const ApprovalRule = require('../models/ApprovalRule');
+const { hasPermission } = require('../middleware/authMiddleware');
+const { bufferMs, bufferViolation, userLimitViolation } = require('./bookingPolicy');
+const { findMatchingRule, toRuleDecision } = require('./approvalRules');
+const { buildApprovalSteps } = require('./approvalChain');
+
+/**
+ * Map an allocation to the summary shown in conflict responses
+ */
+const toConflictSummary = (alloc) => ({
+    assignedTo: alloc.assignedTo,
+    startTime: alloc.startTime,
+    endTime: alloc.endTime,
+    purpose: alloc.purpose
+});
+
+/**
+ * Check that the resource can be booked (not deleted, retired or out of
+ * service) for every occurrence. The resource is read afresh, so when called
+ * under the booking lock it sees service changes made by other requests
+ * (those take the same lock).
+ *
+ * @param {ObjectId} resourceId - Resource being booked
+ * @param {Array} occurrences - Objects with startTime
+ * @returns {String|null} Why the booking is not allowed
+ */
+const findBookingBlock = async (resourceId, occurrences) => {
+    const resource = await Resource.findById(resourceId);
+    if (!resource) {
+        return 'Resource not found';
+    }
+
+    for (const occurrence of occurrences) {
+        const block = resource.getBookingBlock(occurrence.startTime);
+        if (block) return block;
+    }
+
+    return null;
+};
+
+/**
+ * Run the findOverlapping conflict check (approved allocations only) for
+ * every occurrence and collect the ones that clash.
+ *
+ * @param {ObjectId} resourceId - Resource being booked
+ * @param {Array} occurrences - Objects with startTime/endTime, and _id when
+ *                              they already exist (excluded from their own check)
+ * @returns {Array} Conflicting occurrences with the allocations they clash with
+ */
+const findConflictingOccurrences = async (resourceId, occurrences) => {
+    const conflictingOccurrences = [];
+
+    for (const occurrence of occurrences) {
+        const conflicts = await Allocation.findOverlapping(resourceId, occurrence.startTime, occurrence.endTime, occurrence._id)
+            .where('approvalStatus').equals('approved');
+
+        if (conflicts.length > 0) {
+            conflictingOccurrences.push({
+                _id: occurrence._id,
+                startTime: occurrence.startTime,
+                endTime: occurrence.endTime,
+                existingAllocations: conflicts.map(toConflictSummary)
+            });
+        }
+    }
+
+    return conflictingOccurrences;
+};
+
+/**
+ * Check the booking policy rules that depend on other bookings: setup /
+ * teardown buffers around approved allocations and the per-user limit on
+ * active bookings. Call under the resource's booking lock, after the
+ * conflict check (so a buffer hit is never an actual overlap).
+ *
+ * @param {Object} resource - Resource being booked
+ * @param {Object} policy - Effective booking policy (Resource#getBookingPolicy)
+ * @param {Array} occurrences - Objects with startTime/endTime, and _id when
+ *                              they already exist
+ * @param {Object} options - userId: who the bookings count against;
+ *                           excludeIds: allocations not to count (being approved)
+ * @returns {Array} Violations (see utils/bookingPolicy.js)
+ */
+const findScheduleViolations = async (resource, policy, occurrences, { userId = null, excludeIds = [] } = {}) => {
+    const violations = [];
+
+    const buffer = bufferMs(policy);
+    if (buffer > 0) {
+        for (const occurrence of occurrences) {
+            const nearby = await Allocation.findOverlapping(
+                resource._id,
+                new Date(occurrence.startTime.getTime() - buffer),
+                new Date(occurrence.endTime.getTime() + buffer),
+                occurrence._id
+            ).where('approvalStatus').equals('approved');
+
+            if (nearby.length > 0) {
+                violations.push(bufferViolation(policy, occurrence));
+                break;
+            }
+        }
+    }
+
+    if (policy.maxActivePerUser && userId) {
+        const resourceIds = policy.maxActivePerUserScope === 'resource'
+            ? [resource._id]
+            : await Resource.find({ type: resource.type }).distinct('_id');
+
+        const activeCount = await Allocation.countDocuments({
+            _id: { $nin: excludeIds },
+            requestedBy: userId,
+            resourceId: { $in: resourceIds },
+            approvalStatus: { $in: ['pending', 'approved'] },
+            endTime: { $gt: new Date() }
+        });
+
+        if (activeCount + occurrences.length > policy.maxActivePerUser) {
+            violations.push(userLimitViolation(policy));
+        }
+    }
+
+    return violations;
+};
+
+/**
+ * Decide the status of a new request.
+ *
+ * Users who can approve requests get theirs approved. For everyone else
+ * the first auto-approval rule that matches decides (approve or reject),
+ * and when none does the resource's policy does: pending, or approved
+ * when the policy doesn't require approval. Pending requests get the
+ * steps of the type's approval chain (see utils/approvalChain.js).
+ *
+ * @param {Object} req - Request (req.user is the requester)
+ * @param {Array} rules - Enabled rules in priority order (ApprovalRule.findActive)
+ * @param {Object} request - { resource, policy, occurrences, chain } - chain is
+ *                           the type's approval chain (ResourceType.chainFor)
+ * @returns {Object} { approvalStatus, approvalRule, approvalSteps, rejectionReason } -
+ *                   approvalRule is the decision to store on the allocation, or null
+ */
+const decideApproval = (req, rules, { resource, policy, occurrences, chain }) => {
+    if (hasPermission(req, 'allocations:approve')) {
+        return { approvalStatus: 'approved', approvalRule: null, approvalSteps: [], rejectionReason: '' };
+    }
+
+    const rule = findMatchingRule(rules, { resource, user: req.user, occurrences });
+    if (rule) {
+        return {
+            approvalStatus: rule.action === 'approve' ? 'approved' : 'rejected',
+            approvalRule: toRuleDecision(rule),
+            approvalSteps: [],
+            rejectionReason: rule.action === 'approve' ? '' : (rule.reason || `Rejected automatically by rule "${rule.name}"`)
+        };
+    }
+
+    if (!policy.requiresApproval) {
+        return { approvalStatus: 'approved', approvalRule: null, approvalSteps: [], rejectionReason: '' };
+    }
+
+    return {
+        approvalStatus: 'pending',
+        approvalRule: null,
+        approvalSteps: buildApprovalSteps(chain, resource, req.user),
+        rejectionReason: ''
+    };
+};
+
+/**
+ * Count a saved request against the rule that decided it
+ */
+const recordRuleMatch = async (approvalRule) => {
+    if (!approvalRule) return;
+    await ApprovalRule.updateOne(
+        { _id: approvalRule.ruleId },
+        { $inc: { matchCount: 1 }, $set: { lastMatchedAt: new Date() } }
+    );
+};
+
+module.exports = {
+    toConflictSummary,
+    findBookingBlock,
+    findConflictingOccurrences,
+    findScheduleViolations,
+    decideApproval,
+    recordRuleMatch
+};
@@ -0,0 +1,279 @@
+/**
+ * =============================================================================
+ * SMARTALLOC - BOOKING POLICY CHECKS
+ * =============================================================================
+ * Checks bookings against the policy of their resource: the type's
+ * default policy (ResourceType.bookingPolicy) with the resource's own
+ * overrides (Resource.bookingPolicy) applied.
+ *
+ * Every broken rule is reported as a violation the clients can show:
+ * {
+ *   "code": "MAX_DURATION",
+ *   "message": "Bookings of this resource can last at most 2 hours",
+ *   "limit": 120,
+ *   "startTime": "2024-01-15T09:00:00.000Z"   // occurrence that broke it
+ * }
+ *
+ * Codes:
+ * - MIN_DURATION / MAX_DURATION  booking too short / too long
+ * - MIN_NOTICE                   starts too soon
+ * - MAX_ADVANCE                  starts too far ahead
+ * - OUTSIDE_HOURS                not within openTime-closeTime on one day
+ * - WEEKDAY_NOT_ALLOWED          starts on a day not in allowedWeekdays
+ * - SLOT_ALIGNMENT               start or end not on the slot grid
+ * - BUFFER_CONFLICT              too close to an approved booking
+ * - USER_LIMIT                   user already holds maxActivePerUser bookings
+ *
+ * The first six only depend on the booking itself (findPolicyViolations);
+ * the last two need the database and are checked by the allocation
+ * controller under the resource's booking lock.
+ *
+ * Hours, weekdays and slots use the server's local time, like the
+ * datetime-local values sent by the web client.
+ *
+ * @author SmartAlloc Team
+ * @version 1.0.0
+ * =============================================================================
+ */
+
+const { WEEKDAYS } = require('./recurrence');
+const { DEFAULT_BOOKING_POLICY, POLICY_FIELDS } = require('../models/ResourceType');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+const VIOLATION_CODES = [
+    'MIN_DURATION',
+    'MAX_DURATION',
+    'MIN_NOTICE',
+    'MAX_ADVANCE',
+    'OUTSIDE_HOURS',
+    'WEEKDAY_NOT_ALLOWED',
+    'SLOT_ALIGNMENT',
+    'BUFFER_CONFLICT',
+    'USER_LIMIT'
+];
+
+const WEEKDAY_NAMES = { SU: 'Sun', MO: 'Mon', TU: 'Tue', WE: 'Wed', TH: 'Thu', FR: 'Fri', SA: 'Sat' };
+
+/**
+ * 90 → "1h 30m", 45 → "45 minutes"
+ */
+const formatMinutes = (minutes) => {
+    if (minutes < 60) return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+    const hours = Math.floor(minutes / 60);
+    const rest = minutes % 60;
+    return rest ? `${hours}h ${rest}m` : `${hours} hour${hours === 1 ? '' : 's'}`;
+};
+
+/**
+ * "08:30" → 510
+ */
+const parseTimeOfDay = (value) => {
+    const [hours, minutes] = value.split(':').map(Number);
+    return hours * 60 + minutes;
+};
+
+/**
+ * Minutes since local midnight (fractional when seconds are set)
+ */
+const minuteOfDay = (date) => date.getHours() * 60 + date.getMinutes() + date.getSeconds() / 60 + date.getMilliseconds() / MINUTE_MS;
+
+const isSameLocalDay = (a, b) => a.getFullYear() === b.getFullYear()
+    && a.getMonth() === b.getMonth()
+    && a.getDate() === b.getDate();
+
+/**
+ * Copy the known booking policy fields from a request body.
+ *
+ * "" clears a field (null), times are trimmed and weekdays upper-cased.
+ * For a resource type a cleared field goes back to its default (e.g. no
+ * lead time means 0); for a resource ({ inherit: true }) it means "use
+ * the type's value", so requiresApproval can be null there too.
+ *
+ * @param {Object} bookingPolicy - Policy from the request body
+ * @param {Object} options - { inherit }
+ * @returns {Object} Fields to set, only the ones that were sent
+ */
+const pickPolicy = (bookingPolicy, { inherit = false } = {}) => {
+    const policy = {};
+    if (!bookingPolicy || typeof bookingPolicy !== 'object') return policy;
+
+    POLICY_FIELDS.forEach(field => {
+        let value = bookingPolicy[field];
+        if (value === undefined) return;
+        if (typeof value === 'string') value = value.trim();
+
+        if (value === '' || value === null) {
+            policy[field] = inherit ? null : DEFAULT_BOOKING_POLICY[field];
+        } else if (field === 'requiresApproval') {
+            policy[field] = value === true || value === 'true';
+        } else if (field === 'allowedWeekdays') {
+            policy[field] = (Array.isArray(value) ? value : String(value).split(','))
+                .map(day => String(day).trim().toUpperCase())
+                .filter(Boolean);
+        } else {
+            policy[field] = value;
+        }
+    });
+
+    // A cleared weekday list is stored empty, never null
+    if (policy.allowedWeekdays === null) policy.allowedWeekdays = [];
+
+    return policy;
+};
+
+/**
+ * Apply a resource's overrides to its type's policy.
+ *
+ * null / unset override fields (and an empty allowedWeekdays list) keep
+ * the type's value. The result also says where maxActivePerUser came
+ * from: a resource limit counts bookings of that resource, a type limit
+ * counts bookings of every resource of the type.
+ *
+ * @param {Object} typePolicy - ResourceType.policyFor result
+ * @param {Object} overrides - Resource.bookingPolicy (document or plain object)
+ * @returns {Object} Effective policy, plus maxActivePerUserScope
+ */
+const resolvePolicy = (typePolicy, overrides) => {
+    const own = overrides && typeof overrides.toObject === 'function'
+        ? overrides.toObject()
+        : (overrides || {});
+
+    const policy = { ...typePolicy };
+    Object.entries(own).forEach(([field, value]) => {
+        if (value === null || value === undefined) return;
+        if (Array.isArray(value) && value.length === 0) return;
+        policy[field] = value;
+    });
+
+    policy.maxActivePerUserScope = own.maxActivePerUser ? 'resource' : 'type';
+    return policy;
+};
+
+/**
+ * Check bookings against the rules that don't need the database.
+ *
+ * Every occurrence of a series is checked, so a weekly series that runs
+ * past the advance booking window is rejected as a whole. Each code is
+ * reported once, for the first occurrence that breaks it.
+ *
+ * @param {Object} policy - Effective policy (resolvePolicy)
+ * @param {Array} occurrences - Objects with startTime/endTime; existing
+ *                              allocations being approved also have createdAt
+ * @param {Date} now - Time the booking is made. Notice and advance window
+ *                     are measured from here, or from createdAt when set
+ * @returns {Array} Violations, empty when the booking is allowed
+ */
+const findPolicyViolations = (policy, occurrences, now = new Date()) => {
+    const violations = [];
+    const add = (code, message, limit, startTime) => {
+        if (!violations.some(violation => violation.code === code)) {
+            violations.push({ code, message, limit, startTime });
+        }
+    };
+
+    for (const { startTime, endTime, createdAt } of occurrences) {
+        const requestedAt = createdAt || now;
+        const durationMinutes = (endTime - startTime) / MINUTE_MS;
+
+        if (policy.minDurationMinutes && durationMinutes < policy.minDurationMinutes) {
+            add('MIN_DURATION', `Bookings of this resource must last at least ${formatMinutes(policy.minDurationMinutes)}`,
+                policy.minDurationMinutes, startTime);
+        }
+
+        if (policy.maxDurationMinutes && durationMinutes > policy.maxDurationMinutes) {
+            add('MAX_DURATION', `Bookings of this resource can last at most ${formatMinutes(policy.maxDurationMinutes)}`,
+                policy.maxDurationMinutes, startTime);
+        }
+
+        if (policy.minLeadTimeMinutes && startTime - requestedAt < policy.minLeadTimeMinutes * MINUTE_MS) {
+            add('MIN_NOTICE', `Bookings of this resource must be made at least ${formatMinutes(policy.minLeadTimeMinutes)} in advance`,
+                policy.minLeadTimeMinutes, startTime);
+        }
+
+        if (policy.maxAdvanceDays && startTime - requestedAt > policy.maxAdvanceDays * DAY_MS) {
+            add('MAX_ADVANCE', `Bookings of this resource can be made at most ${policy.maxAdvanceDays} day(s) in advance`,
+                policy.maxAdvanceDays, startTime);
+        }
+
+        if (policy.openTime && policy.closeTime) {
+            const withinHours = isSameLocalDay(startTime, endTime)
+                && minuteOfDay(startTime) >= parseTimeOfDay(policy.openTime)
+                && minuteOfDay(endTime) <= parseTimeOfDay(policy.closeTime);
+            if (!withinHours) {
+                add('OUTSIDE_HOURS', `Bookings of this resource must be between ${policy.openTime} and ${policy.closeTime} on a single day`,
+                    `${policy.openTime}-${policy.closeTime}`, startTime);
+            }
+        }
+
+        if (policy.allowedWeekdays && policy.allowedWeekdays.length > 0
+            && !policy.allowedWeekdays.includes(WEEKDAYS[startTime.getDay()])) {
+            add('WEEKDAY_NOT_ALLOWED', `Bookings of this resource can only start on ${policy.allowedWeekdays.map(day => WEEKDAY_NAMES[day]).join(', ')}`,
+                policy.allowedWeekdays, startTime);
+        }
+
+        if (policy.slotMinutes
+            && (minuteOfDay(startTime) % policy.slotMinutes !== 0 || minuteOfDay(endTime) % policy.slotMinutes !== 0)) {
+            add('SLOT_ALIGNMENT', `Bookings of this resource must start and end on ${policy.slotMinutes}-minute boundaries`,
+                policy.slotMinutes, startTime);
+        }
+    }
+
+    return violations;
+};
+
+/**
+ * Setup + teardown time that must separate two bookings, in ms
+ */
+const bufferMs = (policy) => ((policy.bufferBeforeMinutes || 0) + (policy.bufferAfterMinutes || 0)) * MINUTE_MS;
+
+/**
+ * Violation for a booking that lies within the buffer of an approved one
+ */
+const bufferViolation = (policy, occurrence) => {
+    const minutes = (policy.bufferBeforeMinutes || 0) + (policy.bufferAfterMinutes || 0);
+    return {
+        code: 'BUFFER_CONFLICT',
+        message: `Bookings of this resource need ${formatMinutes(minutes)} free between them for setup and teardown`,
+        limit: minutes,
+        startTime: occurrence.startTime
+    };
+};
+
+/**
+ * Violation for a user who already holds the maximum number of bookings
+ */
+const userLimitViolation = (policy) => ({
+    code: 'USER_LIMIT',
+    message: `Each user can hold at most ${policy.maxActivePerUser} active booking(s) of ${policy.maxActivePerUserScope === 'resource' ? 'this resource' : 'this resource type'}`,
+    limit: policy.maxActivePerUser
+});
+
+/**
+ * Response body for a booking that breaks its policy.
+ * A prefix ("Cannot approve - ") lower-cases the first message.
+ */
+const toViolationResponse = (violations, prefix = '') => {
+    const [{ message }] = violations;
+    return {
+        success: false,
+        message: prefix ? `${prefix}${message.charAt(0).toLowerCase()}${message.slice(1)}` : message,
+        violations
+    };
+};
+
+module.exports = {
+    VIOLATION_CODES,
+    formatMinutes,
+    parseTimeOfDay,
+    minuteOfDay,
+    isSameLocalDay,
+    pickPolicy,
+    resolvePolicy,
+    findPolicyViolations,
+    bufferMs,
+    bufferViolation,
+    userLimitViolation,
+    toViolationResponse
+};
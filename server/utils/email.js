@@ -0,0 +1,156 @@
+/**
+ * =============================================================================
+ * SMARTALLOC - EMAIL OUTBOX
+ * =============================================================================
+ * Queues and delivers email.
+ *
+ * Emails are rendered (utils/emailTemplates.js) and saved to the outbox
+ * (models/EmailOutbox.js) when their event happens; queueing never fails
+ * the request that caused it. The outbox sweep (processOutbox, the
+ * send-emails job in utils/jobs.js) hands due emails to the mail transport
+ * (utils/mailTransports.js). A failed attempt is retried after
+ * RETRY_MINUTES[attempt] minutes; after MAX_EMAIL_ATTEMPTS the email is
+ * marked failed. Emails left 'sending' by a crashed sweep are picked up
+ * again after STUCK_MINUTES.
+ *
+ * Settings: MAIL_FROM (sender), APP_URL (web app link in every email).
+ *
+ * @author SmartAlloc Team
+ * @version 1.0.0
+ * =============================================================================
+ */
+
+const EmailOutbox = require('../models/EmailOutbox');
+const { MAX_EMAIL_ATTEMPTS } = require('../models/EmailOutbox');
+const User = require('../models/User');
+const { renderEmail } = require('./emailTemplates');
+const { getMailTransport } = require('./mailTransports');
+
+const MINUTE_MS = 60 * 1000;
+
+const MAIL_FROM = process.env.MAIL_FROM || 'SmartAlloc <no-reply@smartalloc.local>';
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+
+// Minutes to wait before retrying, by number of failed attempts
+const RETRY_MINUTES = [1, 5, 15, 60, 240];
+
+// How long an email may stay claimed before another sweep retries it
+const STUCK_MINUTES = 10;
+
+// How many emails one sweep sends at most
+const BATCH_SIZE = 20;
+
+/**
+ * Render an email and put it in the outbox
+ *
+ * @param {Object} recipient - { email, name, _id } (a User, or just an address and name)
+ * @param {String} template - Template name
+ * @param {Object} vars - Template variables
+ * @returns {Document} The queued email, or null if it could not be queued
+ */
+const queueEmail = async (recipient, template, vars) => {
+    try {
+        const rendered = renderEmail(template, { ...vars, userName: recipient.name || recipient.email, appUrl: APP_URL });
+        return await EmailOutbox.create({
+            to: recipient.email,
+            userId: recipient._id || null,
+            template,
+            ...rendered
+        });
+    } catch (error) {
+        console.error(`Failed to queue "${template}" email:`, error.message);
+        return null;
+    }
+};
+
+/**
+ * Queue the same email for several users. Blocked users and unknown IDs
+ * are skipped.
+ *
+ * @param {Array} userIds - Recipients
+ * @param {String} template - Template name
+ * @param {Object} vars - Template variables
+ * @returns {Number} Number of emails queued
+ */
+const queueUserEmails = async (userIds, template, vars) => {
+    try {
+        const users = await User.find({ _id: { $in: userIds }, status: 'active' }).select('name email');
+        let queued = 0;
+        for (const user of users) {
+            if (await queueEmail(user, template, vars)) queued += 1;
+        }
+        return queued;
+    } catch (error) {
+        console.error(`Failed to queue "${template}" emails:`, error.message);
+        return 0;
+    }
+};
+
+/**
+ * Send one claimed email, then mark it sent or schedule the next attempt
+ */
+const deliver = async (email, now) => {
+    try {
+        await getMailTransport().send({
+            from: MAIL_FROM,
+            to: email.to,
+            subject: email.subject,
+            text: email.text,
+            html: email.html
+        });
+        await EmailOutbox.updateOne(
+            { _id: email._id },
+            { $set: { status: 'sent', sentAt: new Date(), lockedAt: null, lastError: null } }
+        );
+        return true;
+    } catch (error) {
+        const giveUp = email.attempts >= MAX_EMAIL_ATTEMPTS;
+        const delay = RETRY_MINUTES[Math.min(email.attempts - 1, RETRY_MINUTES.length - 1)];
+        await EmailOutbox.updateOne({ _id: email._id }, {
+            $set: {
+                status: giveUp ? 'failed' : 'pending',
+                nextAttemptAt: new Date(now.getTime() + delay * MINUTE_MS),
+                lockedAt: null,
+                lastError: error.message
+            }
+        });
+        return false;
+    }
+};
+
+/**
+ * Send the emails that are due
+ *
+ * @param {Date} now - Current time
+ * @returns {Object} { sent, failed } counts of this run
+ */
+const processOutbox = async (now = new Date()) => {
+    // Emails a crashed sweep left claimed
+    await EmailOutbox.updateMany(
+        { status: 'sending', lockedAt: { $lt: new Date(now.getTime() - STUCK_MINUTES * MINUTE_MS) } },
+        { $set: { status: 'pending', lockedAt: null } }
+    );
+
+    const result = { sent: 0, failed: 0 };
+    for (let i = 0; i < BATCH_SIZE; i++) {
+        // Claim atomically so two sweeps never send the same email
+        const email = await EmailOutbox.findOneAndUpdate(
+            { status: 'pending', nextAttemptAt: { $lte: now } },
+            { $set: { status: 'sending', lockedAt: now }, $inc: { attempts: 1 } },
+            { sort: { nextAttemptAt: 1 }, new: true }
+        );
+        if (!email) break;
+
+        if (await deliver(email, now)) result.sent += 1;
+        else result.failed += 1;
+    }
+
+    return result;
+};
+
+module.exports = {
+    RETRY_MINUTES,
+    queueEmail,
+    queueUserEmails,
+    processOutbox
+};
@@ -0,0 +1,120 @@
+/**
+ * =============================================================================
+ * SMARTALLOC - EMAIL TEMPLATES
+ * =============================================================================
+ * Subject, plain-text and HTML body of every email the server sends.
+ *
+ * Each template takes the variables of its event. Times and booking
+ * descriptions come already formatted (see utils/notifications.js); every
+ * template also gets userName (the recipient) and appUrl (the web app).
+ *
+ * - allocation_approved:  what, by
+ * - allocation_rejected:  what, by, reason
+ * - allocation_cancelled: what, verb ('cancelled' or 'deleted'), by, reason
+ * - allocation_reminder:  what, startTime
+ * - pending_digest:       requests [{ what, requesterName, stepName, requestedAt }]
+ *
+ * Variables are HTML-escaped in the HTML body.
+ *
+ * @author SmartAlloc Team
+ * @version 1.0.0
+ * =============================================================================
+ */
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/**
+ * Escape a value for use in HTML
+ */
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+
+/**
+ * Wrap an HTML body in the common layout
+ */
+const layout = (vars, body) => `<!DOCTYPE html>
+<html>
+<body style="margin:0;padding:24px;background:#f3f4f6;font-family:Arial,Helvetica,sans-serif;color:#1f2937;">
+  <div style="max-width:560px;margin:0 auto;background:#ffffff;border-radius:8px;padding:24px;">
+    <h2 style="margin-top:0;color:#4f46e5;">SmartAlloc</h2>
+    <p>Hi ${escapeHtml(vars.userName)},</p>
+    ${body}
+    <p><a href="${escapeHtml(vars.appUrl)}/allocations" style="color:#4f46e5;">Open SmartAlloc</a></p>
+  </div>
+</body>
+</html>`;
+
+/**
+ * Wrap a plain-text body in the common greeting and footer
+ */
+const textLayout = (vars, body) => `Hi ${vars.userName},\n\n${body}\n\nOpen SmartAlloc: ${vars.appUrl}/allocations\n`;
+
+const TEMPLATES = {
+    allocation_approved: {
+        subject: (vars) => `Booking approved: ${vars.what}`,
+        text: (vars) => `${vars.what} was approved by ${vars.by}.`,
+        html: (vars) => `<p><strong>${escapeHtml(vars.what)}</strong> was approved by ${escapeHtml(vars.by)}.</p>`
+    },
+
+    allocation_rejected: {
+        subject: (vars) => `Request rejected: ${vars.what}`,
+        text: (vars) => `${vars.what} was rejected by ${vars.by}.${vars.reason ? `\n\nReason: ${vars.reason}` : ''}`,
+        html: (vars) => `<p><strong>${escapeHtml(vars.what)}</strong> was rejected by ${escapeHtml(vars.by)}.</p>`
+            + (vars.reason ? `<p>Reason: ${escapeHtml(vars.reason)}</p>` : '')
+    },
+
+    allocation_cancelled: {
+        subject: (vars) => `Booking ${vars.verb}: ${vars.what}`,
+        text: (vars) => `${vars.what} was ${vars.verb}${vars.by ? ` by ${vars.by}` : ''}.${vars.reason ? `\n\nReason: ${vars.reason}` : ''}`,
+        html: (vars) => `<p><strong>${escapeHtml(vars.what)}</strong> was ${escapeHtml(vars.verb)}`
+            + `${vars.by ? ` by ${escapeHtml(vars.by)}` : ''}.</p>`
+            + (vars.reason ? `<p>Reason: ${escapeHtml(vars.reason)}</p>` : '')
+    },
+
+    allocation_reminder: {
+        subject: (vars) => `Starting at ${vars.startTime}: ${vars.what}`,
+        text: (vars) => `Your booking ${vars.what} starts at ${vars.startTime}.`,
+        html: (vars) => `<p>Your booking <strong>${escapeHtml(vars.what)}</strong> starts at ${escapeHtml(vars.startTime)}.</p>`
+    },
+
+    pending_digest: {
+        subject: (vars) => `${vars.requests.length} request${vars.requests.length === 1 ? '' : 's'} waiting for approval`,
+        text: (vars) => `These requests are waiting for approval:\n\n${vars.requests
+            .map(request => `- ${request.what}, requested by ${request.requesterName} on ${request.requestedAt} (step "${request.stepName}")`)
+            .join('\n')}`,
+        html: (vars) => `<p>These requests are waiting for approval:</p>
+    <table style="width:100%;border-collapse:collapse;font-size:14px;">
+      <tr><th align="left">Booking</th><th align="left">Requested by</th><th align="left">Step</th></tr>
+      ${vars.requests.map(request => `<tr>
+        <td style="padding:4px 8px 4px 0;">${escapeHtml(request.what)}</td>
+        <td style="padding:4px 8px 4px 0;">${escapeHtml(request.requesterName)}<br><small>${escapeHtml(request.requestedAt)}</small></td>
+        <td style="padding:4px 0;">${escapeHtml(request.stepName)}</td>
+      </tr>`).join('\n      ')}
+    </table>`
+    }
+};
+
+/**
+ * Render a template
+ *
+ * @param {String} name - Template name (a key of TEMPLATES)
+ * @param {Object} vars - Its variables, with userName and appUrl
+ * @returns {Object} { subject, text, html }
+ */
+const renderEmail = (name, vars) => {
+    const template = TEMPLATES[name];
+    if (!template) {
+        throw new Error(`Unknown email template "${name}"`);
+    }
+
+    return {
+        subject: template.subject(vars),
+        text: textLayout(vars, template.text(vars)),
+        html: layout(vars, template.html(vars))
+    };
+};
+
+module.exports = {
+    TEMPLATE_NAMES: Object.keys(TEMPLATES),
+    escapeHtml,
+    renderEmail
+};
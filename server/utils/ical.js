@@ -0,0 +1,428 @@
+/**
+ * =============================================================================
+ * SMARTALLOC - ICALENDAR HELPERS
+ * =============================================================================
+ * Builds RFC 5545 iCalendar (.ics) documents from allocations, and parses
+ * uploaded calendars back into events for import.
+ *
+ * Event STATUS follows the allocation's approvalStatus:
+ * - pending  → TENTATIVE
+ * - approved → CONFIRMED
+ * - rejected, cancelled → CANCELLED
+ *
+ * Import: times with a TZID are read in that IANA time zone (an unknown
+ * TZID, such as a Windows zone name, makes the event invalid); floating
+ * times are read in the server's time zone. Only RRULEs that map onto
+ * utils/recurrence.js are supported: DAILY, WEEKLY (with BYDAY) or MONTHLY
+ * with INTERVAL, COUNT or UNTIL. DAILY with BYDAY is imported as WEEKLY.
+ *
+ * @author SmartAlloc Team
+ * @version 1.0.0
+ * =============================================================================
+ */
+
+const { WEEKDAYS } = require('./recurrence');
+const { isValidTimeZone, fromWallClock } = require('./timeZone');
+
+const PRODUCT_ID = '-//SmartAlloc//Resource Allocations//EN';
+const UID_DOMAIN = 'smartalloc';
+
+const EVENT_STATUS = {
+    pending: 'TENTATIVE',
+    approved: 'CONFIRMED',
+    rejected: 'CANCELLED',
+    cancelled: 'CANCELLED'
+};
+
+/**
+ * Format a date as a UTC date-time (e.g. 20240115T093000Z)
+ */
+const formatDateTime = (date) => new Date(date).toISOString()
+    .replace(/[-:]/g, '')
+    .replace(/\.\d{3}/, '');
+
+/**
+ * Escape a TEXT value (RFC 5545 section 3.3.11)
+ */
+const escapeText = (value) => String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+/**
+ * Fold a content line so no line exceeds 75 octets (RFC 5545 section 3.1).
+ * Continuation lines start with a single space. Multi-byte characters are
+ * never split.
+ */
+const foldLine = (line) => {
+    const parts = [];
+    let current = '';
+    let currentBytes = 0;
+
+    for (const char of line) {
+        const charBytes = Buffer.byteLength(char);
+        // The first line may use 75 octets, continuations 74 plus the leading space
+        const limit = parts.length === 0 ? 75 : 74;
+
+        if (currentBytes + charBytes > limit) {
+            parts.push(current);
+            current = '';
+            currentBytes = 0;
+        }
+        current += char;
+        currentBytes += charBytes;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+};
+
+/**
+ * Build the VEVENT lines for one allocation.
+ * The allocation's resourceId should be populated with at least the name.
+ */
+const buildEvent = (allocation, stamp) => {
+    const resourceName = allocation.resourceId?.name || 'Resource';
+    const summary = allocation.purpose
+        ? `${resourceName}: ${allocation.purpose}`
+        : `${resourceName} (${allocation.assignedTo})`;
+
+    const description = [
+        `Resource: ${resourceName}`,
+        `Assigned to: ${allocation.assignedTo}`,
+        `Approval: ${allocation.approvalStatus}`,
+        allocation.purpose ? `Purpose: ${allocation.purpose}` : null
+    ].filter(Boolean).join('\n');
+
+    return [
+        'BEGIN:VEVENT',
+        `UID:${allocation._id}@${UID_DOMAIN}`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART:${formatDateTime(allocation.startTime)}`,
+        `DTEND:${formatDateTime(allocation.endTime)}`,
+        `SUMMARY:${escapeText(summary)}`,
+        `DESCRIPTION:${escapeText(description)}`,
+        `LOCATION:${escapeText(resourceName)}`,
+        `STATUS:${EVENT_STATUS[allocation.approvalStatus] || 'TENTATIVE'}`,
+        'END:VEVENT'
+    ];
+};
+
+/**
+ * Build a complete VCALENDAR document.
+ *
+ * @param {String} name - Calendar name shown by calendar apps
+ * @param {Array} allocations - Allocations with resourceId populated
+ * @returns {String} iCalendar text with CRLF line endings
+ */
+const buildCalendar = (name, allocations) => {
+    const stamp = formatDateTime(new Date());
+
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`,
+        ...allocations.flatMap(allocation => buildEvent(allocation, stamp)),
+        'END:VCALENDAR'
+    ];
+
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+/**
+ * Send an iCalendar document as the response
+ *
+ * @param {Object} res - Express response
+ * @param {String} filename - Suggested file name (without extension)
+ * @param {String} body - iCalendar text
+ * @param {Boolean} download - Ask the browser to save it as a file
+ */
+const sendCalendar = (res, filename, body, download = false) => {
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    const safeName = filename.replace(/[^\w.-]+/g, '_');
+    res.set('Content-Disposition', `${download ? 'attachment' : 'inline'}; filename="${safeName}.ics"`);
+    res.status(200).send(body);
+};
+
+/**
+ * Undo escapeText
+ */
+const unescapeText = (value) => value.replace(/\\([\\;,nN])/g, (match, char) =>
+    (char === 'n' || char === 'N' ? '\n' : char));
+
+/**
+ * Split a content line into { name, params, value }.
+ * Colons inside quoted parameter values do not end the property name.
+ */
+const parseContentLine = (line) => {
+    let inQuotes = false;
+    let splitAt = -1;
+
+    for (let i = 0; i < line.length; i++) {
+        if (line[i] === '"') inQuotes = !inQuotes;
+        if (line[i] === ':' && !inQuotes) {
+            splitAt = i;
+            break;
+        }
+    }
+    if (splitAt === -1) return null;
+
+    const [name, ...paramParts] = line.slice(0, splitAt).split(';');
+    const params = {};
+    for (const part of paramParts) {
+        const [key, ...rest] = part.split('=');
+        params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+    }
+
+    return { name: name.toUpperCase(), params, value: line.slice(splitAt + 1) };
+};
+
+/**
+ * Parse a DATE or DATE-TIME value.
+ * UTC values end in Z; values with a TZID are read in that time zone;
+ * floating values are read as server local time. DATE values (all-day)
+ * are midnight.
+ *
+ * @param {String} value - Property value
+ * @param {String} timeZone - TZID parameter, if any
+ * @returns {Date|null} null when the value is not a valid date
+ */
+const parseDateValue = (value, timeZone) => {
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value.trim());
+    if (!match) return null;
+
+    const [, year, month, day, hour = '0', minute = '0', second = '0', utc] = match;
+    const parts = [Number(year), Number(month) - 1, Number(day), Number(hour), Number(minute), Number(second)];
+
+    let date;
+    if (utc) {
+        date = new Date(Date.UTC(...parts));
+    } else if (timeZone) {
+        if (!isValidTimeZone(timeZone)) return null;
+        date = fromWallClock(new Date(Date.UTC(...parts)), timeZone);
+    } else {
+        date = new Date(...parts);
+    }
+
+    return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Parse a date property, honouring its TZID
+ */
+const parseDateProperty = (prop) => parseDateValue(prop.value, prop.params.TZID);
+
+/**
+ * Parse a DURATION value (e.g. PT1H30M, P1D, P2W) into milliseconds
+ *
+ * @returns {Number|null} null when the value is not a valid positive duration
+ */
+const parseDuration = (value) => {
+    const match = /^\+?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value.trim());
+    if (!match) return null;
+
+    const [, weeks, days, hours, minutes, seconds] = match.map(part => Number(part) || 0);
+    const ms = ((((weeks * 7 + days) * 24 + hours) * 60 + minutes) * 60 + seconds) * 1000;
+    return ms > 0 ? ms : null;
+};
+
+/**
+ * Parse an iCalendar document into its VEVENTs.
+ *
+ * Each event is returned with its raw properties decoded:
+ * { uid, summary, description, status, startTime, endTime, timeZone,
+ *   rrule, exdates, recurrenceId, error }
+ * "error" is set when the event cannot be turned into an allocation.
+ *
+ * @param {String} text - iCalendar text
+ * @returns {Object} { events } or { error } when the text is not a calendar
+ */
+const parseCalendar = (text) => {
+    if (typeof text !== 'string' || !/^BEGIN:VCALENDAR/im.test(text)) {
+        return { error: 'File is not an iCalendar (.ics) document' };
+    }
+
+    // Unfold continuation lines (CRLF followed by a space or tab)
+    const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+
+    const events = [];
+    let current = null;
+    let nestedDepth = 0; // VALARM etc. inside a VEVENT
+
+    for (const rawLine of lines) {
+        const line = parseContentLine(rawLine);
+        if (!line) continue;
+
+        if (line.name === 'BEGIN') {
+            if (line.value.toUpperCase() === 'VEVENT' && !current) {
+                current = { exdates: [], props: {} };
+            } else if (current) {
+                nestedDepth++;
+            }
+            continue;
+        }
+
+        if (line.name === 'END' && current) {
+            if (nestedDepth > 0) {
+                nestedDepth--;
+            } else if (line.value.toUpperCase() === 'VEVENT') {
+                events.push(current);
+                current = null;
+            }
+            continue;
+        }
+
+        if (!current || nestedDepth > 0) continue;
+
+        if (line.name === 'EXDATE') {
+            current.exdates.push(...line.value.split(',').map(value => parseDateValue(value, line.params.TZID)));
+        } else {
+            current.props[line.name] = line;
+        }
+    }
+
+    return { events: events.map(toParsedEvent) };
+};
+
+/**
+ * Turn the collected properties of one VEVENT into an event object
+ */
+const toParsedEvent = ({ props, exdates }) => {
+    const text = (name) => (props[name] ? unescapeText(props[name].value).trim() : '');
+
+    const event = {
+        uid: text('UID') || null,
+        summary: text('SUMMARY'),
+        description: text('DESCRIPTION'),
+        status: text('STATUS').toUpperCase() || null,
+        startTime: null,
+        endTime: null,
+        timeZone: null,
+        rrule: props.RRULE ? props.RRULE.value : null,
+        exdates,
+        recurrenceId: props['RECURRENCE-ID'] ? parseDateProperty(props['RECURRENCE-ID']) : null,
+        error: null
+    };
+
+    if (!props.DTSTART) {
+        event.error = 'Event has no DTSTART';
+        return event;
+    }
+
+    const unknownZone = [props.DTSTART, props.DTEND, props['RECURRENCE-ID']]
+        .map(prop => prop && prop.params.TZID)
+        .find(timeZone => timeZone && !isValidTimeZone(timeZone));
+    if (unknownZone) {
+        event.error = `Unsupported time zone "${unknownZone}" (use an IANA name such as Europe/Berlin)`;
+        return event;
+    }
+    event.timeZone = props.DTSTART.params.TZID || null;
+
+    event.startTime = parseDateProperty(props.DTSTART);
+    if (!event.startTime) {
+        event.error = `Unsupported DTSTART value "${props.DTSTART.value}"`;
+        return event;
+    }
+
+    const allDay = props.DTSTART.params.VALUE === 'DATE' || /^\d{8}$/.test(props.DTSTART.value.trim());
+
+    if (props.DTEND) {
+        event.endTime = parseDateProperty(props.DTEND);
+        if (!event.endTime) event.error = `Unsupported DTEND value "${props.DTEND.value}"`;
+    } else if (props.DURATION) {
+        const duration = parseDuration(props.DURATION.value);
+        if (duration) {
+            event.endTime = new Date(event.startTime.getTime() + duration);
+        } else {
+            event.error = `Unsupported DURATION value "${props.DURATION.value}"`;
+        }
+    } else if (allDay) {
+        // An all-day event without an end lasts the whole day
+        event.endTime = new Date(event.startTime);
+        event.endTime.setDate(event.endTime.getDate() + 1);
+    } else {
+        event.error = 'Event has no DTEND or DURATION';
+    }
+
+    if (!event.error && event.exdates.some(date => !date)) {
+        event.error = 'Event has an invalid EXDATE';
+    }
+
+    return event;
+};
+
+/**
+ * Convert an RRULE value into a utils/recurrence.js rule
+ *
+ * @param {String} rrule - RRULE value, e.g. "FREQ=WEEKLY;BYDAY=MO,WE;COUNT=10"
+ * @param {Array} exdates - Excluded occurrence dates
+ * @param {String} timeZone - TZID of the event's DTSTART, if any
+ * @returns {Object} { rule } or { error }
+ */
+const toRecurrenceRule = (rrule, exdates = [], timeZone = null) => {
+    const parts = {};
+    for (const part of rrule.split(';')) {
+        const [key, value = ''] = part.split('=');
+        if (key) parts[key.toUpperCase()] = value.toUpperCase();
+    }
+
+    const supported = ['FREQ', 'INTERVAL', 'BYDAY', 'COUNT', 'UNTIL', 'WKST'];
+    const unsupported = Object.keys(parts).filter(key => !supported.includes(key));
+    if (unsupported.length > 0) {
+        return { error: `RRULE ${unsupported.join(', ')} is not supported` };
+    }
+
+    const rule = { frequency: (parts.FREQ || '').toLowerCase() };
+    if (timeZone) rule.timeZone = timeZone;
+
+    if (parts.INTERVAL) rule.interval = Number(parts.INTERVAL);
+    if (parts.COUNT) rule.count = Number(parts.COUNT);
+
+    if (parts.UNTIL) {
+        const until = parseDateValue(parts.UNTIL, timeZone);
+        if (!until) return { error: `Unsupported RRULE UNTIL value "${parts.UNTIL}"` };
+        rule.until = until.toISOString();
+    }
+
+    if (parts.BYDAY) {
+        const days = parts.BYDAY.split(',');
+        if (!days.every(day => WEEKDAYS.includes(day))) {
+            return { error: 'RRULE BYDAY with ordinals (e.g. 1MO) is not supported' };
+        }
+
+        // "Every weekday" is commonly written as a daily rule limited by BYDAY,
+        // which is the same as a weekly rule on those days
+        if (rule.frequency === 'daily') {
+            if (rule.interval && rule.interval !== 1) {
+                return { error: 'RRULE FREQ=DAILY with both INTERVAL and BYDAY is not supported' };
+            }
+            rule.frequency = 'weekly';
+        }
+        if (rule.frequency !== 'weekly') {
+            return { error: `RRULE BYDAY is not supported with FREQ=${parts.FREQ}` };
+        }
+        rule.byWeekday = days;
+    }
+
+    if (rule.count === undefined && rule.until === undefined) {
+        return { error: 'Open-ended RRULE (no COUNT or UNTIL) is not supported' };
+    }
+
+    if (exdates.length > 0) {
+        rule.exceptions = exdates.map(date => date.toISOString());
+    }
+
+    return { rule };
+};
+
+module.exports = {
+    EVENT_STATUS,
+    buildCalendar,
+    sendCalendar,
+    parseCalendar,
+    toRecurrenceRule
+};
@@ -0,0 +1,165 @@
+/**
+ * =============================================================================
+ * SMARTALLOC - BACKGROUND JOBS
+ * =============================================================================
+ * The recurring jobs of the server, run by the job scheduler
+ * (utils/scheduler.js) - started from server.js once MongoDB is connected.
+ *
+ * - send-reminders (every minute): remind requesters REMINDER_MINUTES
+ *   before their bookings start (see utils/notifications.js)
+ * - expire-pending (every minute): cancel requests still pending when
+ *   they start, and tell the requester
+ * - release-no-shows (every minute): release bookings nobody checked in
+ *   to (see utils/noShow.js)
+ * - send-emails (every 30 s): deliver the email outbox (see utils/email.js)
+ * - pending-digest (daily at DIGEST_HOUR): email approvers the requests
+ *   waiting for them (see utils/notifications.js)
+ * - nightly-maintenance (daily at MAINTENANCE_TIME): expire past waitlist
+ *   entries and delete old failed emails
+ *
+ * Each run returns what it did; that ends up in the job history
+ * (GET /api/jobs).
+ *
+ * @author SmartAlloc Team
+ * @version 1.0.0
+ * =============================================================================
+ */
+
+const Allocation = require('../models/Allocation');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const EmailOutbox = require('../models/EmailOutbox');
+const { defineJob, startScheduler } = require('./scheduler');
+const { releaseNoShows } = require('./noShow');
+const { sendStartReminders, sendPendingDigest, notifyRemoved, DIGEST_HOUR } = require('./notifications');
+const { processOutbox } = require('./email');
+const { promoteFreedSlots } = require('./waitlist');
+const { publishAllocationChange } = require('./realtime');
+const { auditSystem } = require('./audit');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Time of day (server time) of the nightly maintenance
+const MAINTENANCE_TIME = '03:00';
+
+// How long failed emails are kept for reference
+const FAILED_EMAIL_DAYS = 30;
+
+/**
+ * Cancel the requests nobody decided before they started. The update only
+ * matches requests that are still pending, so a decision made at the same
+ * moment wins.
+ *
+ * @param {Date} now - Current time
+ * @returns {Number} Number of requests expired
+ */
+const expirePendingRequests = async (now = new Date()) => {
+    const candidates = await Allocation.find({
+        approvalStatus: 'pending',
+        startTime: { $lte: now }
+    }).select('resourceId requestedBy assignedTo startTime endTime');
+
+    const expiry = {
+        approvalStatus: 'cancelled',
+        expired: true,
+        cancelledAt: now,
+        cancelledBy: null,
+        cancellationReason: 'Expired - not approved before it started'
+    };
+
+    const expired = [];
+    for (const allocation of candidates) {
+        const result = await Allocation.updateOne(
+            { _id: allocation._id, approvalStatus: 'pending' },
+            { $set: expiry }
+        );
+        if (result.modifiedCount > 0) {
+            expired.push(allocation);
+            await auditSystem('allocation.expire', allocation, { before: { approvalStatus: 'pending', expired: false }, after: expiry });
+        }
+    }
+    if (expired.length === 0) return 0;
+
+    await notifyRemoved(expired, 'allocation_cancelled', {
+        reason: 'it expired, nobody approved it before it started'
+    });
+
+    publishAllocationChange('cancelled', expired.map(allocation => ({
+        ...allocation.toObject(),
+        approvalStatus: 'cancelled'
+    })));
+
+    // The rest of each slot goes to the waitlist
+    await promoteFreedSlots(expired
+        .filter(allocation => allocation.endTime > now)
+        .map(allocation => ({ resourceId: allocation.resourceId, startTime: now, endTime: allocation.endTime })));
+
+    return expired.length;
+};
+
+/**
+ * Nightly clean-up of records nothing else tidies
+ *
+ * @param {Date} now - Current time
+ * @returns {Object} { waitlistExpired, failedEmailsDeleted }
+ */
+const runNightlyMaintenance = async (now = new Date()) => {
+    const waitlistExpired = await WaitlistEntry.expirePast(now);
+
+    const { deletedCount } = await EmailOutbox.deleteMany({
+        status: 'failed',
+        createdAt: { $lt: new Date(now.getTime() - FAILED_EMAIL_DAYS * DAY_MS) }
+    });
+
+    return { waitlistExpired, failedEmailsDeleted: deletedCount };
+};
+
+defineJob('send-reminders', {
+    description: 'Remind requesters shortly before their bookings start',
+    every: MINUTE_MS,
+    run: async (now) => ({ reminded: await sendStartReminders(now) })
+});
+
+defineJob('expire-pending', {
+    description: 'Cancel requests still waiting for approval when they start',
+    every: MINUTE_MS,
+    run: async (now) => ({ expired: await expirePendingRequests(now) })
+});
+
+defineJob('release-no-shows', {
+    description: 'Release bookings nobody checked in to',
+    every: MINUTE_MS,
+    run: async (now) => ({ released: await releaseNoShows(now) })
+});
+
+defineJob('send-emails', {
+    description: 'Deliver queued emails, retrying failures',
+    every: 30 * 1000,
+    maxAttempts: 1,
+    run: (now) => processOutbox(now)
+});
+
+defineJob('pending-digest', {
+    description: 'Email approvers the requests waiting for them',
+    dailyAt: `${String(DIGEST_HOUR).padStart(2, '0')}:00`,
+    run: async (now) => ({ queued: await sendPendingDigest(now) })
+});
+
+defineJob('nightly-maintenance', {
+    description: 'Expire past waitlist entries and delete old failed emails',
+    dailyAt: MAINTENANCE_TIME,
+    run: runNightlyMaintenance
+});
+
+/**
+ * Start running the jobs on this instance
+ *
+ * @returns {Object} The scheduler's interval timer
+ */
+const startJobRunner = () => startScheduler();
+
+module.exports = {
+    expirePendingRequests,
+    runNightlyMaintenance,
+    startJobRunner
+};
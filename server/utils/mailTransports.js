@@ -0,0 +1,129 @@
+/**
+ * =============================================================================
+ * SMARTALLOC - MAIL TRANSPORTS
+ * =============================================================================
+ * How outgoing email leaves the server. A transport is an object with a
+ * name and an async send({ from, to, subject, text, html }) that throws
+ * when the message could not be handed over.
+ *
+ * Built-in transports, picked with MAIL_TRANSPORT:
+ * - console (default): prints each message, for development
+ * - file:  writes each message as JSON to MAIL_FILE_DIR (default: the
+ *          system temp directory), for development and tests
+ * - smtp:  sends through SMTP_HOST / SMTP_PORT / SMTP_SECURE / SMTP_USER /
+ *          SMTP_PASS with nodemailer, for production
+ *
+ * Others can be added with registerMailTransport, and setMailTransport
+ * replaces the one in use (tests).
+ *
+ * @author SmartAlloc Team
+ * @version 1.0.0
+ * =============================================================================
+ */
+
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Prints messages to the console
+ */
+const createConsoleTransport = () => ({
+    name: 'console',
+    send: async (message) => {
+        console.log(`📧 To: ${message.to} | Subject: ${message.subject}\n${message.text}`);
+    }
+});
+
+/**
+ * Writes each message to <dir>/<time>-<random>.json
+ */
+const createFileTransport = () => {
+    const dir = process.env.MAIL_FILE_DIR || path.join(os.tmpdir(), 'smartalloc-mail');
+
+    return {
+        name: 'file',
+        send: async (message) => {
+            await fs.mkdir(dir, { recursive: true });
+            const fileName = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`;
+            await fs.writeFile(path.join(dir, fileName), JSON.stringify(message, null, 2));
+        }
+    };
+};
+
+/**
+ * Sends through an SMTP server
+ */
+const createSmtpTransport = () => {
+    if (!process.env.SMTP_HOST) {
+        throw new Error('MAIL_TRANSPORT=smtp needs SMTP_HOST');
+    }
+
+    // Only needed in production, so only loaded here
+    const nodemailer = require('nodemailer');
+    const transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: Number(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER
+            ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+            : undefined
+    });
+
+    return {
+        name: 'smtp',
+        send: async (message) => {
+            await transporter.sendMail(message);
+        }
+    };
+};
+
+const factories = {
+    console: createConsoleTransport,
+    file: createFileTransport,
+    smtp: createSmtpTransport
+};
+
+let current = null;
+
+/**
+ * Add a transport that MAIL_TRANSPORT can name
+ *
+ * @param {String} name - Value of MAIL_TRANSPORT that selects it
+ * @param {Function} factory - Returns { name, send }
+ */
+const registerMailTransport = (name, factory) => {
+    factories[name] = factory;
+};
+
+/**
+ * Use this transport from now on (null goes back to MAIL_TRANSPORT)
+ *
+ * @param {Object} transport - { name, send }
+ */
+const setMailTransport = (transport) => {
+    current = transport;
+};
+
+/**
+ * The transport in use, created from MAIL_TRANSPORT on first use
+ *
+ * @returns {Object} { name, send }
+ */
+const getMailTransport = () => {
+    if (!current) {
+        const name = process.env.MAIL_TRANSPORT || 'console';
+        const factory = factories[name];
+        if (!factory) {
+            throw new Error(`Unknown MAIL_TRANSPORT "${name}" (use ${Object.keys(factories).join(', ')})`);
+        }
+        current = factory();
+    }
+    return current;
+};
+
+module.exports = {
+    registerMailTransport,
+    setMailTransport,
+    getMailTransport
+};
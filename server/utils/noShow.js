@@ -0,0 +1,174 @@
+/**
+ * =============================================================================
+ * SMARTALLOC - CHECK-IN AND NO-SHOW HELPERS
+ * =============================================================================
+ * Resources whose booking policy sets checkInWindowMinutes need their
+ * approved bookings checked in (POST /api/allocations/:id/check-in).
+ *
+ * Check-in window of a booking:
+ * - opens CHECK_IN_OPENS_MINUTES before startTime
+ * - closes checkInWindowMinutes after startTime (at endTime at the latest);
+ *   without a window it stays open until endTime and nothing is released
+ *
+ * A booking still not checked in when its window closes is released as a
+ * no-show: it is cancelled with noShow set and the requester notified, so
+ * the rest of the slot can be booked again - by the first waiting entry of
+ * the waitlist, if any. The sweep (releaseNoShows) runs every minute as
+ * the release-no-shows job (utils/jobs.js). Bookings that end before
+ * their window closes are left alone.
+ *
+ * @author SmartAlloc Team
+ * @version 1.0.0
+ * =============================================================================
+ */
+
+const Allocation = require('../models/Allocation');
+const Resource = require('../models/Resource');
+const { DEFAULT_BOOKING_POLICY } = require('../models/ResourceType');
+const { formatMinutes } = require('./bookingPolicy');
+const { promoteFreedSlots } = require('./waitlist');
+const { notifyRemoved } = require('./notifications');
+const { publishAllocationChange } = require('./realtime');
+const { auditSystem } = require('./audit');
+
+const MINUTE_MS = 60 * 1000;
+
+// How early before the start a booking can be checked in
+const CHECK_IN_OPENS_MINUTES = 15;
+
+/**
+ * Load the effective booking policy of each resource
+ *
+ * @param {Array} resourceIds - Resource IDs (duplicates are fine)
+ * @returns {Map} Resource ID (string) → policy; deleted resources get the defaults
+ */
+const loadPolicies = async (resourceIds) => {
+    const ids = [...new Set(resourceIds.map(id => String(id._id || id)))];
+    const resources = await Resource.find({ _id: { $in: ids } });
+
+    const policies = new Map();
+    for (const resource of resources) {
+        policies.set(String(resource._id), await resource.getBookingPolicy());
+    }
+    ids.filter(id => !policies.has(id))
+        .forEach(id => policies.set(id, { ...DEFAULT_BOOKING_POLICY }));
+
+    return policies;
+};
+
+/**
+ * Check-in window of a booking
+ *
+ * @param {Object} allocation - Object with startTime/endTime
+ * @param {Object} policy - Effective booking policy of its resource
+ * @returns {Object} { opensAt, closesAt, required }
+ */
+const checkInWindow = (allocation, policy) => {
+    const start = new Date(allocation.startTime).getTime();
+    const end = new Date(allocation.endTime).getTime();
+    const minutes = policy.checkInWindowMinutes;
+
+    return {
+        opensAt: new Date(start - CHECK_IN_OPENS_MINUTES * MINUTE_MS),
+        closesAt: new Date(minutes ? Math.min(start + minutes * MINUTE_MS, end) : end),
+        required: Boolean(minutes)
+    };
+};
+
+/**
+ * Add checkIn ({ opensAt, closesAt }) to the bookings that still need a
+ * check-in - approved, not checked in, not ended, on a resource that
+ * requires one - and null to the others. For the allocation lists.
+ *
+ * @param {Array} allocations - Plain allocation objects (resourceId may be populated)
+ * @param {Date} now - Current time
+ * @returns {Array} The same objects, with checkIn set
+ */
+const attachCheckIn = async (allocations, now = new Date()) => {
+    const open = allocations.filter(allocation => (
+        allocation.approvalStatus === 'approved'
+        && !allocation.checkedInAt
+        && allocation.resourceId
+        && new Date(allocation.endTime) > now
+    ));
+    const policies = await loadPolicies(open.map(allocation => allocation.resourceId));
+
+    return allocations.map(allocation => {
+        let checkIn = null;
+        if (open.includes(allocation)) {
+            const window = checkInWindow(allocation, policies.get(String(allocation.resourceId._id || allocation.resourceId)));
+            if (window.required) checkIn = { opensAt: window.opensAt, closesAt: window.closesAt };
+        }
+        return { ...allocation, checkIn };
+    });
+};
+
+/**
+ * Release the approved bookings whose check-in window has closed without
+ * a check-in. Both this and the check-in only write bookings that are
+ * still approved and not checked in, so when they meet exactly one of
+ * them takes effect and the other is told (see checkInAllocation).
+ *
+ * @param {Date} now - Current time
+ * @returns {Number} Number of bookings released
+ */
+const releaseNoShows = async (now = new Date()) => {
+    const candidates = await Allocation.find({
+        approvalStatus: 'approved',
+        checkedInAt: null,
+        startTime: { $lte: now },
+        endTime: { $gt: now }
+    }).select('resourceId requestedBy assignedTo startTime endTime');
+
+    if (candidates.length === 0) return 0;
+
+    const policies = await loadPolicies(candidates.map(allocation => allocation.resourceId));
+    const released = [];
+
+    for (const allocation of candidates) {
+        const policy = policies.get(String(allocation.resourceId));
+        const window = checkInWindow(allocation, policy);
+        if (!window.required || window.closesAt > now || window.closesAt >= allocation.endTime) continue;
+
+        const release = {
+            approvalStatus: 'cancelled',
+            noShow: true,
+            cancelledAt: now,
+            cancelledBy: null,
+            cancellationReason: `No-show - not checked in within ${formatMinutes(policy.checkInWindowMinutes)} of the start`
+        };
+        const result = await Allocation.updateOne(
+            { _id: allocation._id, approvalStatus: 'approved', checkedInAt: null },
+            { $set: release }
+        );
+        if (result.modifiedCount > 0) {
+            released.push(allocation);
+            await auditSystem('allocation.no-show', allocation, { before: { approvalStatus: 'approved', noShow: false }, after: release });
+            await notifyRemoved([allocation], 'allocation_cancelled', {
+                reason: `released as a no-show, nobody checked in within ${formatMinutes(policy.checkInWindowMinutes)} of the start`
+            });
+        }
+    }
+
+    publishAllocationChange('cancelled', released.map(allocation => ({
+        ...allocation.toObject(),
+        approvalStatus: 'cancelled'
+    })));
+
+    // The rest of each slot goes to the waitlist
+    await promoteFreedSlots(released.map(allocation => ({
+        resourceId: allocation.resourceId,
+        startTime: now,
+        endTime: allocation.endTime
+    })));
+
+    return released.length;
+};
+
+module.exports = {
+    CHECK_IN_OPENS_MINUTES,
+    loadPolicies,
+    checkInWindow,
+    attachCheckIn,
+    releaseNoShows
+};
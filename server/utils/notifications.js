@@ -0,0 +1,423 @@
+/**
+ * =============================================================================
+ * SMARTALLOC - NOTIFICATIONS
+ * =============================================================================
+ * Creates in-app notifications (models/Notification.js) for the events
+ * users care about, and queues emails (utils/email.js) for the ones marked
+ * ✉:
+ *
+ * - a request is made: the requester gets its outcome (submitted, approved
+ *   or rejected by a rule), and the approvers of its first step are asked
+ *   to decide it
+ * - a step is decided: the requester hears when the request is approved or
+ *   rejected (✉); approvers of the next step are asked to decide it
+ * - a booking is cancelled, released as a no-show or deleted by someone
+ *   other than the requester (✉)
+ * - an approved booking starts within REMINDER_MINUTES (sendStartReminders,
+ *   run every minute as the send-reminders job, see utils/jobs.js) (✉)
+ * - a waitlist entry is booked
+ * - an admin blocks an account or resets its password
+ *
+ * The occurrences of a series decided or removed together give one
+ * notification. Nobody is notified about what they did themselves.
+ *
+ * Users with allocations:approve also get a daily email at DIGEST_HOUR
+ * listing the requests still waiting for approval (sendPendingDigest, the
+ * pending-digest job).
+ *
+ * Creating notifications never fails the request that caused them:
+ * errors are logged and the action goes ahead.
+ *
+ * Times in messages use the server's local time, like the booking policy.
+ *
+ * @author SmartAlloc Team
+ * @version 1.0.0
+ * =============================================================================
+ */
+
+const Notification = require('../models/Notification');
+const Allocation = require('../models/Allocation');
+const Resource = require('../models/Resource');
+const User = require('../models/User');
+const EmailOutbox = require('../models/EmailOutbox');
+const { getRolePermissions } = require('../middleware/authMiddleware');
+const { findStepApprovers, currentStepOf } = require('./approvalChain');
+const { queueEmail, queueUserEmails } = require('./email');
+const { sendToUsers } = require('./realtime');
+
+const MINUTE_MS = 60 * 1000;
+
+// How long before the start an approved booking's requester is reminded
+const REMINDER_MINUTES = Number(process.env.REMINDER_MINUTES) || 30;
+
+// Hour of the day (server time) from which the pending digest is sent
+const DIGEST_HOUR = 8;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Date → "14:30"
+ */
+const formatTime = (date) => `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+
+/**
+ * Date → "2024-01-15 14:30"
+ */
+const formatWhen = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${formatTime(date)}`;
+
+/**
+ * "Room A on 2024-01-15 09:00-10:00", or "3 bookings of Room A from
+ * 2024-01-15 09:00" for several occurrences
+ */
+const describeBookings = (allocations, resourceName) => {
+    const [first] = allocations;
+    if (allocations.length > 1) {
+        return `${allocations.length} bookings of ${resourceName} from ${formatWhen(first.startTime)}`;
+    }
+    return `${resourceName} on ${formatWhen(first.startTime)}-${formatTime(first.endTime)}`;
+};
+
+/**
+ * "was" for one booking, "were" for several
+ */
+const was = (allocations) => (allocations.length > 1 ? 'were' : 'was');
+
+/**
+ * Name of the resource the allocations book (resourceId may be populated)
+ */
+const resourceNameOf = async (allocation) => {
+    if (allocation.resourceId && allocation.resourceId.name) return allocation.resourceId.name;
+    const resource = await Resource.findById(allocation.resourceId).select('name');
+    return resource ? resource.name : 'A deleted resource';
+};
+
+const idOf = (value) => (value ? String(value._id || value) : null);
+
+/**
+ * Create the same notification for several users
+ *
+ * @param {Array} userIds - Recipients (duplicates and nulls are dropped)
+ * @param {Object} notification - { type, title, message, allocationId }
+ * @param {Object} options - except: a user not to notify (who did it);
+ *                           email: { template, vars } to email them as well
+ * @returns {Array} Notifications created
+ */
+const notify = async (userIds, { type, title, message = '', allocationId = null }, { except = null, email = null } = {}) => {
+    const recipients = [...new Set(userIds.map(idOf).filter(Boolean))]
+        .filter(userId => userId !== idOf(except));
+    if (recipients.length === 0) return [];
+
+    if (email) {
+        await queueUserEmails(recipients, email.template, email.vars);
+    }
+
+    try {
+        const created = await Notification.insertMany(recipients.map(userId => ({
+            userId,
+            type,
+            title,
+            message: message.slice(0, 500),
+            allocationId: idOf(allocationId)
+        })));
+        sendToUsers(recipients, 'notification:created');
+        return created;
+    } catch (error) {
+        console.error('Failed to create notifications:', error.message);
+        return [];
+    }
+};
+
+/**
+ * Split allocations by requester, keeping their order
+ */
+const groupByRequester = (allocations) => {
+    const groups = new Map();
+    allocations.filter(allocation => allocation.requestedBy).forEach(allocation => {
+        const key = idOf(allocation.requestedBy);
+        groups.set(key, [...(groups.get(key) || []), allocation]);
+    });
+    return [...groups.values()];
+};
+
+/**
+ * Ask the approvers of a pending request's current step to decide it
+ */
+const notifyStepApprovers = async (allocations, resource, requesterName, except) => {
+    const [first] = allocations;
+    const step = currentStepOf(first);
+    if (!step) return;
+
+    const approvers = await findStepApprovers(first, resource);
+    await notify(approvers, {
+        type: 'allocation_created',
+        title: 'Request to approve',
+        message: `${requesterName} requested ${describeBookings(allocations, resource.name)} - waiting for "${step.name}"`,
+        allocationId: first._id
+    }, { except });
+};
+
+/**
+ * A new request (one allocation, or the occurrences of a series)
+ *
+ * @param {Array} allocations - The saved allocations, all with the same status
+ * @param {Object} resource - Their resource
+ * @param {Object} requester - Who made the request
+ * @param {Object} options - notifyRequester: false to only ask the approvers
+ */
+const notifyRequestCreated = async (allocations, resource, requester, { notifyRequester = true } = {}) => {
+    try {
+        const [first] = allocations;
+        if (!first) return;
+
+        const what = describeBookings(allocations, resource.name);
+        const outcomes = {
+            pending: {
+                type: 'allocation_created',
+                title: 'Request submitted',
+                message: `${what} ${allocations.length > 1 ? 'are' : 'is'} waiting for approval`
+            },
+            approved: { type: 'allocation_approved', title: 'Booking confirmed', message: `${what} ${allocations.length > 1 ? 'are' : 'is'} booked` },
+            rejected: {
+                type: 'allocation_rejected',
+                title: 'Request rejected',
+                message: `${what} ${was(allocations)} rejected${first.rejectionReason ? `: ${first.rejectionReason}` : ''}`
+            }
+        };
+
+        if (notifyRequester) {
+            await notify([requester._id], { ...outcomes[first.approvalStatus], allocationId: first._id });
+        }
+
+        if (first.approvalStatus === 'pending') {
+            await notifyStepApprovers(allocations, resource, requester.name, requester._id);
+        }
+    } catch (error) {
+        console.error('Failed to notify about a new request:', error.message);
+    }
+};
+
+/**
+ * A decision on requests: the requester hears about approvals and
+ * rejections, the next step's approvers about requests moving on
+ *
+ * @param {Array} allocations - The decided allocations with their new
+ *                              approvalStatus, currentStep and approvalSteps
+ * @param {Object} resource - Their resource
+ * @param {Object} decidedBy - Who decided
+ * @param {String} comment - The decision's comment (the rejection reason)
+ */
+const notifyDecision = async (allocations, resource, decidedBy, comment = '') => {
+    try {
+        for (const group of groupByRequester(allocations)) {
+            for (const status of ['approved', 'rejected', 'pending']) {
+                const decided = group.filter(allocation => allocation.approvalStatus === status);
+                if (decided.length === 0) continue;
+
+                const what = describeBookings(decided, resource.name);
+                if (status === 'pending') {
+                    const requester = await User.findById(decided[0].requestedBy).select('name');
+                    await notifyStepApprovers(decided, resource, requester ? requester.name : 'Someone', decidedBy._id);
+                    continue;
+                }
+
+                await notify([decided[0].requestedBy], status === 'approved'
+                    ? {
+                        type: 'allocation_approved',
+                        title: 'Booking approved',
+                        message: `${what} ${was(decided)} approved by ${decidedBy.name}`,
+                        allocationId: decided[0]._id
+                    }
+                    : {
+                        type: 'allocation_rejected',
+                        title: 'Request rejected',
+                        message: `${what} ${was(decided)} rejected by ${decidedBy.name}${comment ? `: ${comment}` : ''}`,
+                        allocationId: decided[0]._id
+                    }, {
+                    except: decidedBy._id,
+                    email: {
+                        template: `allocation_${status}`,
+                        vars: { what, by: decidedBy.name, reason: comment }
+                    }
+                });
+            }
+        }
+    } catch (error) {
+        console.error('Failed to notify about a decision:', error.message);
+    }
+};
+
+/**
+ * Bookings cancelled or deleted by someone other than their requester
+ *
+ * @param {Array} allocations - The allocations (as they were before)
+ * @param {String} type - 'allocation_cancelled' or 'allocation_deleted'
+ * @param {Object} options - by: who did it (null for the no-show sweep);
+ *                           reason: why
+ */
+const notifyRemoved = async (allocations, type, { by = null, reason = '' } = {}) => {
+    try {
+        const verb = type === 'allocation_deleted' ? 'deleted' : 'cancelled';
+
+        for (const group of groupByRequester(allocations)) {
+            const what = describeBookings(group, await resourceNameOf(group[0]));
+            await notify([group[0].requestedBy], {
+                type,
+                title: `Booking ${verb}`,
+                message: by
+                    ? `${what} ${was(group)} ${verb} by ${by.name}${reason ? `: ${reason}` : ''}`
+                    : `${what} ${was(group)} ${verb}${reason ? ` - ${reason}` : ''}`,
+                allocationId: group[0]._id
+            }, {
+                except: by ? by._id : null,
+                email: {
+                    template: 'allocation_cancelled',
+                    vars: { what, verb, by: by ? by.name : '', reason }
+                }
+            });
+        }
+    } catch (error) {
+        console.error('Failed to notify about removed bookings:', error.message);
+    }
+};
+
+/**
+ * A waitlist entry was booked
+ *
+ * @param {Object} entry - The promoted WaitlistEntry
+ * @param {Object} allocation - The allocation made for it
+ * @param {Object} resource - Its resource
+ */
+const notifyWaitlistPromotion = async (entry, allocation, resource) => {
+    const pending = allocation.approvalStatus === 'pending';
+    await notify([entry.requestedBy], {
+        type: 'waitlist_promoted',
+        title: 'A slot came free',
+        message: `${describeBookings([allocation], resource.name)} was booked for you from the waitlist`
+            + (pending ? ' and is waiting for approval' : ''),
+        allocationId: allocation._id
+    });
+};
+
+/**
+ * Account changes made by an admin
+ *
+ * @param {Object} user - The user whose account changed
+ * @param {String} type - 'account_blocked' or 'password_reset'
+ * @param {Object} by - The admin
+ */
+const notifyAccountChange = async (user, type, by) => {
+    await notify([user._id], type === 'account_blocked'
+        ? { type, title: 'Account blocked', message: `Your account was blocked by ${by.name}. Contact an administrator if this is a mistake.` }
+        : { type, title: 'Password reset', message: `Your password was reset by ${by.name}. Ask them for the new one.` },
+    { except: by._id });
+};
+
+/**
+ * Remind the requesters of approved bookings that start within
+ * REMINDER_MINUTES. Each booking is reminded once (reminderSentAt).
+ *
+ * @param {Date} now - Current time
+ * @returns {Number} Number of reminders sent
+ */
+const sendStartReminders = async (now = new Date()) => {
+    const due = await Allocation.find({
+        approvalStatus: 'approved',
+        reminderSentAt: null,
+        requestedBy: { $ne: null },
+        startTime: { $gt: now, $lte: new Date(now.getTime() + REMINDER_MINUTES * MINUTE_MS) }
+    }).populate('resourceId', 'name');
+
+    let sent = 0;
+    for (const allocation of due) {
+        const result = await Allocation.updateOne(
+            { _id: allocation._id, reminderSentAt: null },
+            { $set: { reminderSentAt: now } }
+        );
+        if (result.modifiedCount === 0) continue;
+
+        const what = describeBookings([allocation], await resourceNameOf(allocation));
+        const startTime = formatTime(allocation.startTime);
+        const created = await notify([allocation.requestedBy], {
+            type: 'allocation_reminder',
+            title: 'Starting soon',
+            message: `${what} starts at ${startTime}`,
+            allocationId: allocation._id
+        }, { email: { template: 'allocation_reminder', vars: { what, startTime } } });
+        sent += created.length;
+    }
+
+    return sent;
+};
+
+/**
+ * Email the users with allocations:approve the requests waiting for
+ * approval, once a day from DIGEST_HOUR. Nothing is sent when none are
+ * waiting; a user who already got today's digest is skipped.
+ *
+ * @param {Date} now - Current time
+ * @returns {Number} Number of digests queued
+ */
+const sendPendingDigest = async (now = new Date()) => {
+    const today = new Date(now);
+    today.setHours(DIGEST_HOUR, 0, 0, 0);
+    if (now < today) return 0;
+
+    const pending = await Allocation.find({ approvalStatus: 'pending', startTime: { $gt: now } })
+        .populate('resourceId', 'name')
+        .populate('requestedBy', 'name')
+        .sort({ startTime: 1 });
+    if (pending.length === 0) return 0;
+
+    // One row per request - the occurrences of a series together
+    const groups = new Map();
+    pending.forEach(allocation => {
+        const key = String(allocation.seriesId || allocation._id);
+        groups.set(key, [...(groups.get(key) || []), allocation]);
+    });
+    const requests = [];
+    for (const group of groups.values()) {
+        const [first] = group;
+        const step = currentStepOf(first);
+        requests.push({
+            what: describeBookings(group, await resourceNameOf(first)),
+            requesterName: first.requestedBy ? first.requestedBy.name : 'A deleted user',
+            stepName: step ? step.name : 'Approval',
+            requestedAt: formatWhen(first.createdAt)
+        });
+    }
+
+    const admins = [];
+    const permissionsByRole = new Map();
+    for (const user of await User.find({ status: 'active' }).select('name email role')) {
+        if (!permissionsByRole.has(user.role)) {
+            permissionsByRole.set(user.role, await getRolePermissions(user.role));
+        }
+        if (permissionsByRole.get(user.role).includes('allocations:approve')) admins.push(user);
+    }
+
+    const alreadySent = new Set((await EmailOutbox.find({
+        template: 'pending_digest',
+        userId: { $in: admins.map(user => user._id) },
+        createdAt: { $gte: today }
+    }).distinct('userId')).map(String));
+
+    let queued = 0;
+    for (const admin of admins.filter(user => !alreadySent.has(String(user._id)))) {
+        if (await queueEmail(admin, 'pending_digest', { requests })) queued += 1;
+    }
+    return queued;
+};
+
+module.exports = {
+    REMINDER_MINUTES,
+    DIGEST_HOUR,
+    formatWhen,
+    notify,
+    notifyRequestCreated,
+    notifyDecision,
+    notifyRemoved,
+    notifyWaitlistPromotion,
+    notifyAccountChange,
+    sendStartReminders,
+    sendPendingDigest
+};
@@ -0,0 +1,143 @@
+/**
+ * =============================================================================
+ * SMARTALLOC - LIST QUERY HELPERS
+ * =============================================================================
+ * Parsing of sort and pagination query parameters for list endpoints.
+ *
+ * Two pagination modes are supported:
+ * - Page based:   ?page=2&limit=20
+ * - Cursor based: ?limit=20, then ?cursor=<nextCursor from the last response>
+ *
+ * Cursors encode the sort value and _id of the last item returned, so they
+ * stay stable while new documents are inserted (unlike page offsets).
+ *
+ * @author SmartAlloc Team
+ * @version 1.0.0
+ * =============================================================================
+ */
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Escape user input for use inside a RegExp
+ */
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Split a comma-separated query value into trimmed, non-empty items
+ */
+const parseList = (value) => String(value)
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean);
+
+/**
+ * Parse a sort parameter such as "startTime" (ascending) or "-startTime"
+ * (descending)
+ *
+ * @param {String} value - Raw ?sort= value (may be undefined)
+ * @param {Array} allowedFields - Fields that may be sorted on
+ * @param {String} defaultSort - Used when value is empty
+ * @returns {Object} { field, direction } or { error }
+ */
+const parseSort = (value, allowedFields, defaultSort) => {
+    const raw = String(value || defaultSort).trim();
+    const direction = raw.startsWith('-') ? -1 : 1;
+    const field = raw.replace(/^[-+]/, '');
+
+    if (!allowedFields.includes(field)) {
+        return { error: `sort must be one of ${allowedFields.join(', ')} (prefix with - for descending)` };
+    }
+
+    return { field, direction };
+};
+
+/**
+ * Parse page/limit/cursor parameters
+ *
+ * Pagination is only applied when at least one of them is given, so
+ * callers that need the full result (e.g. a calendar range) still get it.
+ *
+ * @returns {Object} { paginate, limit, page, cursor } or { error }
+ */
+const parsePagination = ({ page, limit, cursor }) => {
+    if (page === undefined && limit === undefined && cursor === undefined) {
+        return { paginate: false };
+    }
+
+    const size = limit === undefined ? DEFAULT_PAGE_SIZE : Number(limit);
+    if (!Number.isInteger(size) || size < 1 || size > MAX_PAGE_SIZE) {
+        return { error: `limit must be between 1 and ${MAX_PAGE_SIZE}` };
+    }
+
+    if (cursor !== undefined && page !== undefined) {
+        return { error: 'Use either page or cursor, not both' };
+    }
+
+    if (cursor !== undefined) {
+        const decoded = decodeCursor(cursor);
+        if (!decoded) {
+            return { error: 'Invalid cursor' };
+        }
+        return { paginate: true, limit: size, cursor: decoded };
+    }
+
+    const pageNumber = page === undefined ? 1 : Number(page);
+    if (!Number.isInteger(pageNumber) || pageNumber < 1) {
+        return { error: 'page must be a positive integer' };
+    }
+
+    return { paginate: true, limit: size, page: pageNumber };
+};
+
+/**
+ * Encode the position after a document for the given sort field
+ */
+const encodeCursor = (doc, field) => Buffer
+    .from(JSON.stringify({ value: doc[field], id: String(doc._id) }))
+    .toString('base64url');
+
+/**
+ * Decode a cursor produced by encodeCursor
+ *
+ * @returns {Object|null} { value, id } or null when malformed
+ */
+const decodeCursor = (cursor) => {
+    try {
+        const decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        if (!decoded || !/^[a-f0-9]{24}$/i.test(decoded.id) || !('value' in decoded)) {
+            return null;
+        }
+        return decoded;
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * MongoDB condition selecting documents after a cursor.
+ * _id breaks ties between documents with the same sort value.
+ * Mongoose casts the plain JSON values back to Dates/ObjectIds.
+ */
+const cursorCondition = ({ field, direction }, cursor) => {
+    const op = direction === 1 ? '$gt' : '$lt';
+
+    return {
+        $or: [
+            { [field]: { [op]: cursor.value } },
+            { [field]: cursor.value, _id: { [op]: cursor.id } }
+        ]
+    };
+};
+
+module.exports = {
+    DEFAULT_PAGE_SIZE,
+    MAX_PAGE_SIZE,
+    escapeRegex,
+    parseList,
+    parseSort,
+    parsePagination,
+    encodeCursor,
+    cursorCondition
+};
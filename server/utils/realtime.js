@@ -0,0 +1,195 @@
+/**
+ * =============================================================================
+ * SMARTALLOC - LIVE UPDATES
+ * =============================================================================
+ * WebSocket channel (ws://<host>/api/live?token=<JWT>) that tells web and
+ * mobile clients when data they show has changed, so they can refetch it
+ * instead of going stale.
+ *
+ * Browsers and React Native can't set headers on a WebSocket, so the
+ * existing login token goes in the query string. Blocked users and bad
+ * tokens are refused with 401; a user blocked while connected is
+ * disconnected.
+ *
+ * Every message is JSON: { event, data, at }. Events only carry IDs - the
+ * client refetches through the REST API, which applies the usual
+ * permissions:
+ *
+ * - allocation:created|approved|rejected|updated|cancelled|deleted
+ *     { allocationIds, resourceIds, approvalStatus } (to everyone)
+ * - resource:created|updated|deleted
+ *     { resourceId, serviceStatus } (to everyone)
+ * - notification:created
+ *     {} (only to the recipients)
+ *
+ * Connections are pinged every HEARTBEAT_MS and dropped when they stop
+ * answering.
+ *
+ * @author SmartAlloc Team
+ * @version 1.0.0
+ * =============================================================================
+ */
+
+const { WebSocketServer, WebSocket } = require('ws');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const { JWT_SECRET } = require('../middleware/authMiddleware');
+
+const LIVE_PATH = '/api/live';
+
+// How often connections are checked
+const HEARTBEAT_MS = 30 * 1000;
+
+// Close code sent to a user whose account was blocked
+const CLOSE_BLOCKED = 4003;
+
+// Connected clients: { socket, userId, alive }
+const clients = new Set();
+
+const idOf = (value) => (value ? String(value._id || value) : null);
+
+/**
+ * The active user a connection request's token belongs to, or null
+ */
+const authenticate = async (request) => {
+    const token = new URL(request.url, 'http://localhost').searchParams.get('token');
+    if (!token) return null;
+
+    try {
+        const decoded = jwt.verify(token, JWT_SECRET);
+        const user = await User.findById(decoded.id).select('status');
+        return user && user.status !== 'blocked' ? user : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Send one message to one client, if it is still connected
+ */
+const send = (client, event, data) => {
+    if (client.socket.readyState !== WebSocket.OPEN) return;
+    client.socket.send(JSON.stringify({ event, data, at: new Date() }));
+};
+
+/**
+ * Send an event to every connected client
+ *
+ * @param {String} event - Event name
+ * @param {Object} data - Event data
+ */
+const broadcast = (event, data = {}) => {
+    clients.forEach(client => send(client, event, data));
+};
+
+/**
+ * Send an event to the connections of some users only
+ *
+ * @param {Array} userIds - Recipients
+ * @param {String} event - Event name
+ * @param {Object} data - Event data
+ */
+const sendToUsers = (userIds, event, data = {}) => {
+    const recipients = new Set(userIds.map(idOf));
+    clients.forEach(client => {
+        if (recipients.has(client.userId)) send(client, event, data);
+    });
+};
+
+/**
+ * Tell clients that allocations changed
+ *
+ * @param {String} change - created, approved, rejected, updated, cancelled or deleted
+ * @param {Array} allocations - The allocations (or their documents before deletion)
+ */
+const publishAllocationChange = (change, allocations) => {
+    if (allocations.length === 0) return;
+
+    broadcast(`allocation:${change}`, {
+        allocationIds: allocations.map(allocation => idOf(allocation)),
+        resourceIds: [...new Set(allocations.map(allocation => idOf(allocation.resourceId)))],
+        approvalStatus: allocations[0].approvalStatus
+    });
+};
+
+/**
+ * Tell clients that a resource changed
+ *
+ * @param {String} change - created, updated or deleted
+ * @param {Object} resource - The resource
+ */
+const publishResourceChange = (change, resource) => {
+    broadcast(`resource:${change}`, { resourceId: idOf(resource), serviceStatus: resource.serviceStatus });
+};
+
+/**
+ * Close the connections of a user (their account was blocked)
+ *
+ * @param {ObjectId} userId - The user
+ */
+const disconnectUser = (userId) => {
+    clients.forEach(client => {
+        if (client.userId === idOf(userId)) client.socket.close(CLOSE_BLOCKED, 'Account blocked');
+    });
+};
+
+/**
+ * Accept live connections on an HTTP server
+ *
+ * @param {Object} server - The server returned by app.listen
+ * @returns {Object} The WebSocket server
+ */
+const attachRealtime = (server) => {
+    const wss = new WebSocketServer({ noServer: true });
+
+    server.on('upgrade', async (request, socket, head) => {
+        if (new URL(request.url, 'http://localhost').pathname !== LIVE_PATH) {
+            socket.destroy();
+            return;
+        }
+
+        const user = await authenticate(request);
+        if (!user) {
+            socket.write('HTTP/1.1 401 Unauthorized\r\n\r\n');
+            socket.destroy();
+            return;
+        }
+
+        wss.handleUpgrade(request, socket, head, (ws) => {
+            const client = { socket: ws, userId: idOf(user), alive: true };
+            clients.add(client);
+
+            ws.on('pong', () => { client.alive = true; });
+            ws.on('close', () => clients.delete(client));
+            ws.on('error', (error) => console.error('Live connection error:', error.message));
+
+            send(client, 'connected', {});
+        });
+    });
+
+    const timer = setInterval(() => {
+        clients.forEach(client => {
+            if (!client.alive) {
+                client.socket.terminate();
+                clients.delete(client);
+                return;
+            }
+            client.alive = false;
+            client.socket.ping();
+        });
+    }, HEARTBEAT_MS);
+
+    // Don't keep the process alive just for the heartbeat
+    timer.unref();
+    return wss;
+};
+
+module.exports = {
+    LIVE_PATH,
+    attachRealtime,
+    broadcast,
+    sendToUsers,
+    publishAllocationChange,
+    publishResourceChange,
+    disconnectUser
+};
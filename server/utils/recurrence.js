@@ -0,0 +1,221 @@
+/**
+ * =============================================================================
+ * SMARTALLOC - RECURRENCE HELPERS
+ * =============================================================================
+ * Expands an RRULE-style recurrence rule into concrete allocation occurrences.
+ *
+ * Supported rule shape:
+ * {
+ *   "frequency": "weekly",            // "daily" | "weekly" | "monthly"
+ *   "interval": 1,                    // Every N days/weeks/months (default 1)
+ *   "byWeekday": ["MO", "WE"],        // Weekly only, defaults to the start day
+ *   "count": 10,                      // Number of occurrences, OR...
+ *   "until": "2024-03-31T23:59:59Z",  // ...last allowed start time
+ *   "exceptions": ["2024-02-12"],     // Days to skip (matched on the local date)
+ *   "timeZone": "Europe/Berlin"       // Optional IANA time zone, defaults to the server's
+ * }
+ *
+ * Occurrences are expanded in wall-clock time of the rule's time zone:
+ * weekdays, days of the month and exception days are those of that zone,
+ * and every occurrence starts at the same local time of day as the first,
+ * across daylight saving changes.
+ *
+ * @author SmartAlloc Team
+ * @version 1.0.0
+ * =============================================================================
+ */
+
+const { SERVER_TIME_ZONE, isValidTimeZone, toWallClock, fromWallClock } = require('./timeZone');
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+
+// RRULE weekday codes, indexed by Date#getUTCDay() of a wall-clock time
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Hard limit so a single request cannot create an unbounded series
+const MAX_OCCURRENCES = 100;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Check whether a value parses to a valid Date
+ */
+const isValidDate = (value) => !isNaN(new Date(value).getTime());
+
+/**
+ * Local calendar day key (YYYY-MM-DD) used to match exception dates.
+ * A plain date ("2024-02-12") is that day; a timestamp is the day it falls
+ * on in the time zone.
+ */
+const toDayKey = (value, timeZone) => {
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+    return toWallClock(new Date(value), timeZone).toISOString().slice(0, 10);
+};
+
+/**
+ * Validate a recurrence rule
+ *
+ * @param {Object} rule - Recurrence rule from the request body
+ * @returns {String|null} Error message, or null when the rule is valid
+ */
+const validateRecurrenceRule = (rule) => {
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+        return 'recurrence must be an object';
+    }
+
+    if (!FREQUENCIES.includes(rule.frequency)) {
+        return 'recurrence.frequency must be "daily", "weekly" or "monthly"';
+    }
+
+    if (rule.interval !== undefined && (!Number.isInteger(rule.interval) || rule.interval < 1)) {
+        return 'recurrence.interval must be a positive integer';
+    }
+
+    if (rule.byWeekday !== undefined) {
+        if (rule.frequency !== 'weekly') {
+            return 'recurrence.byWeekday is only supported for weekly recurrence';
+        }
+        if (!Array.isArray(rule.byWeekday) || rule.byWeekday.length === 0 ||
+            !rule.byWeekday.every(day => WEEKDAYS.includes(day))) {
+            return `recurrence.byWeekday must be a list of ${WEEKDAYS.join(', ')}`;
+        }
+    }
+
+    if (rule.count === undefined && rule.until === undefined) {
+        return 'recurrence requires either count or until';
+    }
+
+    if (rule.count !== undefined && rule.until !== undefined) {
+        return 'recurrence cannot have both count and until';
+    }
+
+    if (rule.count !== undefined &&
+        (!Number.isInteger(rule.count) || rule.count < 1 || rule.count > MAX_OCCURRENCES)) {
+        return `recurrence.count must be between 1 and ${MAX_OCCURRENCES}`;
+    }
+
+    if (rule.until !== undefined && !isValidDate(rule.until)) {
+        return 'recurrence.until must be a valid date';
+    }
+
+    if (rule.exceptions !== undefined &&
+        (!Array.isArray(rule.exceptions) || !rule.exceptions.every(isValidDate))) {
+        return 'recurrence.exceptions must be a list of valid dates';
+    }
+
+    if (rule.timeZone !== undefined && !isValidTimeZone(rule.timeZone)) {
+        return 'recurrence.timeZone must be an IANA time zone (e.g. "Europe/Berlin")';
+    }
+
+    return null;
+};
+
+/**
+ * Generate candidate start times for a rule, in chronological order.
+ * Candidates before the first start (weekly expansion) are filtered out
+ * by the caller.
+ *
+ * The arithmetic runs on the wall-clock time of the first start; each
+ * candidate is converted back to an instant in the time zone.
+ */
+function* generateStarts(firstStart, rule, timeZone) {
+    const first = toWallClock(firstStart, timeZone);
+    const toInstant = (wallClock) => fromWallClock(wallClock, timeZone);
+    const interval = rule.interval || 1;
+
+    // Upper bound on iterations to guarantee termination (e.g. monthly on the 31st)
+    const maxIterations = MAX_OCCURRENCES * 12;
+
+    if (rule.frequency === 'daily') {
+        for (let i = 0; i < maxIterations; i++) {
+            yield toInstant(new Date(first.getTime() + i * interval * DAY_MS));
+        }
+    } else if (rule.frequency === 'weekly') {
+        const days = (rule.byWeekday || [WEEKDAYS[first.getUTCDay()]])
+            // Order Monday-first, matching the RRULE default week start
+            .map(day => (WEEKDAYS.indexOf(day) + 6) % 7)
+            .sort((a, b) => a - b);
+        const mondayOffset = (first.getUTCDay() + 6) % 7;
+        const weekStart = first.getTime() - mondayOffset * DAY_MS;
+
+        for (let week = 0; week < maxIterations; week++) {
+            for (const day of days) {
+                yield toInstant(new Date(weekStart + (week * interval * 7 + day) * DAY_MS));
+            }
+        }
+    } else {
+        const dayOfMonth = first.getUTCDate();
+
+        for (let month = 0; month < maxIterations; month++) {
+            const candidate = new Date(first);
+            candidate.setUTCDate(1);
+            candidate.setUTCMonth(first.getUTCMonth() + month * interval);
+            candidate.setUTCDate(dayOfMonth);
+
+            // Skip months that do not have this day (e.g. the 31st in April)
+            if (candidate.getUTCDate() === dayOfMonth) {
+                yield toInstant(candidate);
+            }
+        }
+    }
+}
+
+/**
+ * Expand a recurrence rule into occurrences
+ *
+ * COUNT is applied before exceptions (as in RFC 5545), so a series with
+ * count 10 and one exception produces 9 occurrences.
+ *
+ * @param {Date} startTime - Start of the first occurrence
+ * @param {Date} endTime - End of the first occurrence
+ * @param {Object} rule - Validated recurrence rule
+ * @returns {Object} { occurrences: [{ startTime, endTime }] } or { error }
+ */
+const expandRecurrence = (startTime, endTime, rule) => {
+    const duration = endTime.getTime() - startTime.getTime();
+    const until = rule.until ? new Date(rule.until) : null;
+    const timeZone = rule.timeZone || SERVER_TIME_ZONE;
+    const exceptionDays = new Set((rule.exceptions || []).map(value => toDayKey(value, timeZone)));
+
+    const occurrences = [];
+    let generated = 0;
+
+    for (const start of generateStarts(startTime, rule, timeZone)) {
+        if (start < startTime) continue;
+        if (until && start > until) break;
+        if (rule.count !== undefined && generated >= rule.count) break;
+
+        generated++;
+        if (generated > MAX_OCCURRENCES) {
+            return { error: `recurrence cannot produce more than ${MAX_OCCURRENCES} occurrences` };
+        }
+
+        if (!exceptionDays.has(toDayKey(start, timeZone))) {
+            occurrences.push({
+                startTime: start,
+                endTime: new Date(start.getTime() + duration)
+            });
+        }
+    }
+
+    if (occurrences.length === 0) {
+        return { error: 'recurrence does not produce any occurrences' };
+    }
+
+    // Occurrences longer than their spacing would double-book the resource themselves
+    for (let i = 1; i < occurrences.length; i++) {
+        if (occurrences[i].startTime < occurrences[i - 1].endTime) {
+            return { error: 'Recurring occurrences overlap each other - shorten the booking or increase the interval' };
+        }
+    }
+
+    return { occurrences };
+};
+
+module.exports = {
+    FREQUENCIES,
+    WEEKDAYS,
+    MAX_OCCURRENCES,
+    validateRecurrenceRule,
+    expandRecurrence
+};
@@ -0,0 +1,106 @@
+/**
+ * =============================================================================
+ * SMARTALLOC - RESOURCE LOCK HELPERS
+ * =============================================================================
+ * Serializes booking and approval per resource using ResourceLock documents.
+ *
+ * Acquiring a lock is a single atomic upsert:
+ * - No lock document yet      → the upsert inserts one, we own it
+ * - Expired lock document     → the filter matches, we take it over
+ * - Live lock held by another → the filter misses, the upsert hits the
+ *                               unique index (E11000) and we retry
+ *
+ * Works on a standalone MongoDB, which does not support transactions.
+ *
+ * @author SmartAlloc Team
+ * @version 1.0.0
+ * =============================================================================
+ */
+
+const crypto = require('crypto');
+const ResourceLock = require('../models/ResourceLock');
+
+// How long a lock is held before another request may take it over
+const LOCK_LEASE_MS = 10 * 1000;
+
+// Retry settings while waiting for another request to release the lock
+const LOCK_RETRY_DELAY_MS = 25;
+const LOCK_WAIT_TIMEOUT_MS = 5 * 1000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Try once to acquire the lock for a resource
+ *
+ * @returns {Boolean} true if the lock is now held by owner
+ */
+const tryAcquire = async (resourceId, owner) => {
+    const now = new Date();
+
+    try {
+        await ResourceLock.findOneAndUpdate(
+            { resourceId, expiresAt: { $lte: now } },
+            { $set: { owner, expiresAt: new Date(now.getTime() + LOCK_LEASE_MS) } },
+            { upsert: true }
+        );
+        return true;
+    } catch (error) {
+        // Duplicate key: a live lock for this resource already exists
+        if (error.code === 11000) {
+            return false;
+        }
+        throw error;
+    }
+};
+
+/**
+ * Run a function while holding the booking lock for a resource.
+ * The lock is always released afterwards, even if fn throws.
+ *
+ * Throws an error named 'ResourceLockError' if the lock cannot be acquired
+ * within LOCK_WAIT_TIMEOUT_MS.
+ *
+ * @param {ObjectId} resourceId - Resource to lock
+ * @param {Function} fn - Async function to run under the lock
+ * @returns {*} Whatever fn returns
+ */
+const withResourceLock = async (resourceId, fn) => {
+    const owner = crypto.randomBytes(12).toString('hex');
+    const deadline = Date.now() + LOCK_WAIT_TIMEOUT_MS;
+
+    while (!(await tryAcquire(resourceId, owner))) {
+        if (Date.now() >= deadline) {
+            const error = new Error('Resource is busy with another booking, please try again');
+            error.name = 'ResourceLockError';
+            throw error;
+        }
+        // Small jitter so waiting requests don't retry in lockstep
+        await sleep(LOCK_RETRY_DELAY_MS + Math.floor(Math.random() * LOCK_RETRY_DELAY_MS));
+    }
+
+    try {
+        return await fn();
+    } finally {
+        await ResourceLock.deleteOne({ resourceId, owner });
+    }
+};
+
+/**
+ * Run a function while holding the booking locks of several resources,
+ * e.g. a series whose occurrences were moved to different resources.
+ * The locks are taken one at a time in ID order, so two requests locking
+ * overlapping sets never wait on each other.
+ *
+ * @param {Array} resourceIds - Resources to lock (duplicates are ignored)
+ * @param {Function} fn - Async function to run under the locks
+ * @returns {*} Whatever fn returns
+ */
+const withResourceLocks = async (resourceIds, fn) => {
+    const ids = [...new Set(resourceIds.map(String))].sort();
+    const lockFrom = (index) => (index === ids.length
+        ? fn()
+        : withResourceLock(ids[index], () => lockFrom(index + 1)));
+    return lockFrom(0);
+};
+
+module.exports = { withResourceLock, withResourceLocks };
@@ -0,0 +1,54 @@
+/**
+ * =============================================================================
+ * SMARTALLOC - SCHEDULE HELPERS
+ * =============================================================================
+ * Free/busy calculations over a resource's allocations.
+ *
+ * @author SmartAlloc Team
+ * @version 1.0.0
+ * =============================================================================
+ */
+
+/**
+ * Compute the free gaps inside a range, given the busy blocks in it.
+ *
+ * Busy blocks may overlap each other or extend past the range; they are
+ * clipped and merged first. Gaps are returned in chronological order.
+ *
+ * Example (range 09:00-17:00, busy 10:00-11:00 and 10:30-12:00):
+ *   → [{ 09:00-10:00 }, { 12:00-17:00 }]
+ *
+ * @param {Array} busyBlocks - Objects with startTime/endTime
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end
+ * @returns {Array} Free gaps as { startTime, endTime }
+ */
+const computeFreeGaps = (busyBlocks, from, to) => {
+    const sorted = busyBlocks
+        .map(block => ({
+            startTime: new Date(Math.max(block.startTime.getTime(), from.getTime())),
+            endTime: new Date(Math.min(block.endTime.getTime(), to.getTime()))
+        }))
+        .filter(block => block.endTime > block.startTime)
+        .sort((a, b) => a.startTime - b.startTime);
+
+    const gaps = [];
+    let cursor = from;
+
+    for (const block of sorted) {
+        if (block.startTime > cursor) {
+            gaps.push({ startTime: cursor, endTime: block.startTime });
+        }
+        if (block.endTime > cursor) {
+            cursor = block.endTime;
+        }
+    }
+
+    if (cursor < to) {
+        gaps.push({ startTime: cursor, endTime: to });
+    }
+
+    return gaps;
+};
+
+module.exports = { computeFreeGaps };
@@ -0,0 +1,336 @@
+/**
+ * =============================================================================
+ * SMARTALLOC - JOB SCHEDULER
+ * =============================================================================
+ * Runs background jobs (utils/jobs.js) from MongoDB (models/Job.js), so
+ * they survive restarts and don't fire twice when several server
+ * instances run.
+ *
+ * Every TICK_MS each instance:
+ * 1. hands back runs whose instance stopped (lease past lockedUntil):
+ *    they count as a failed attempt
+ * 2. makes sure the current occurrence of every recurring job has a Job
+ *    document - the key is unique, so instances share one. Interval jobs
+ *    reuse a single document (key = job name), rescheduled for each
+ *    occurrence once the last one is done; daily jobs get one per day.
+ * 3. for each job with a due run, takes the job's lease (models/JobLease.js),
+ *    claims its earliest due run (scheduled → running, atomically) and
+ *    runs it; a job whose lease is held elsewhere is left until it is done
+ *
+ * A failed attempt is retried after RETRY_MINUTES[attempt] minutes; after
+ * the job's maxAttempts the run is marked failed. An interval job waiting
+ * for a retry starts no new occurrence until then. An occurrence missed
+ * while every instance was down runs once when one comes back; older
+ * occurrences of interval jobs are not caught up.
+ *
+ * Jobs should be safe to run twice (e.g. mark what they did atomically):
+ * a run whose lease expires while it is still going can be taken over.
+ *
+ * @author SmartAlloc Team
+ * @version 1.0.0
+ * =============================================================================
+ */
+
+const os = require('os');
+const crypto = require('crypto');
+const Job = require('../models/Job');
+const JobLease = require('../models/JobLease');
+
+const MINUTE_MS = 60 * 1000;
+
+// This server instance, as recorded on the runs it claims
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+// How often each instance looks for due runs
+const TICK_MS = 15 * 1000;
+
+// How long a claimed run (and its job's lease) may take before another
+// instance takes it over
+const LEASE_MINUTES = 10;
+
+// Minutes to wait before retrying, by number of failed attempts
+const RETRY_MINUTES = [1, 5, 15];
+
+// How many runs one tick starts at most (one per job)
+const BATCH_SIZE = 10;
+
+// Registered jobs by name: { name, description, every, dailyAt, maxAttempts, run }
+const definitions = new Map();
+
+/**
+ * Register a job
+ *
+ * @param {String} name - Unique name, used in the history
+ * @param {Object} options - description;
+ *                           every: interval in ms, or dailyAt: 'HH:MM' (server time);
+ *                           maxAttempts (default 3);
+ *                           run(now): does the work, returns a summary object
+ */
+const defineJob = (name, { description = '', every = null, dailyAt = null, maxAttempts = 3, run }) => {
+    definitions.set(name, { name, description, every, dailyAt, maxAttempts, run });
+};
+
+/**
+ * When the current occurrence of a recurring job was due: the start of
+ * the current interval, or the latest dailyAt time that has passed
+ *
+ * @param {Object} definition - Registered job
+ * @param {Date} now - Current time
+ * @returns {Date} Due time
+ */
+const currentOccurrence = (definition, now) => {
+    if (definition.every) {
+        return new Date(Math.floor(now.getTime() / definition.every) * definition.every);
+    }
+
+    const [hours, minutes] = definition.dailyAt.split(':').map(Number);
+    const due = new Date(now);
+    due.setHours(hours, minutes, 0, 0);
+    if (due > now) due.setDate(due.getDate() - 1);
+    return due;
+};
+
+/**
+ * When the next occurrence of a recurring job is due
+ *
+ * @param {Object} definition - Registered job
+ * @param {Date} now - Current time
+ * @returns {Date} Due time
+ */
+const nextOccurrence = (definition, now) => {
+    const next = currentOccurrence(definition, now);
+    if (definition.every) return new Date(next.getTime() + definition.every);
+
+    next.setDate(next.getDate() + 1);
+    return next;
+};
+
+/**
+ * Create a run of a job, unless one with the same key exists
+ *
+ * @param {String} name - Registered job name
+ * @param {Date} runAt - When it is due
+ * @param {Object} options - key: occurrence key (default: a one-off key);
+ *                           triggeredBy: admin who asked for it
+ * @returns {Document} The run (the existing one for a known key)
+ */
+const scheduleJob = async (name, runAt, { key = null, triggeredBy = null } = {}) => {
+    const definition = definitions.get(name);
+    if (!definition) throw new Error(`Unknown job "${name}"`);
+
+    const occurrenceKey = key || `${name}@${runAt.toISOString()}#${Math.random().toString(36).slice(2, 8)}`;
+    try {
+        return await Job.findOneAndUpdate(
+            { key: occurrenceKey },
+            { $setOnInsert: { name, key: occurrenceKey, runAt, maxAttempts: definition.maxAttempts, triggeredBy } },
+            { upsert: true, new: true }
+        );
+    } catch (error) {
+        // Another instance inserted the same key first
+        if (error.code === 11000) return Job.findOne({ key: occurrenceKey });
+        throw error;
+    }
+};
+
+/**
+ * Hand back the runs of instances that stopped without finishing them.
+ * The lost attempt counts; runs out of attempts are marked failed.
+ */
+const recoverExpiredRuns = async (now) => {
+    const expired = { status: 'running', lockedUntil: { $lt: now } };
+    const unlock = { lockedBy: null, lockedUntil: null, lastError: 'The instance running it stopped' };
+
+    await Job.updateMany(
+        { ...expired, $expr: { $lt: ['$attempts', '$maxAttempts'] } },
+        { $set: { ...unlock, status: 'scheduled', runAt: now } }
+    );
+    await Job.updateMany(
+        { ...expired, $expr: { $gte: ['$attempts', '$maxAttempts'] } },
+        { $set: { ...unlock, status: 'failed', finishedAt: now } }
+    );
+};
+
+/**
+ * Run one claimed run, then mark it succeeded or schedule the next attempt
+ */
+const execute = async (job) => {
+    const definition = definitions.get(job.name);
+    const owned = { _id: job._id, status: 'running', lockedBy: INSTANCE_ID };
+
+    try {
+        const result = await definition.run(new Date());
+        await Job.updateOne(owned, {
+            $set: { status: 'succeeded', result: result || null, finishedAt: new Date(), lockedBy: null, lockedUntil: null, lastError: null }
+        });
+        return true;
+    } catch (error) {
+        const giveUp = job.attempts >= job.maxAttempts;
+        const delay = RETRY_MINUTES[Math.min(job.attempts - 1, RETRY_MINUTES.length - 1)];
+        console.error(`Job "${job.name}" failed (attempt ${job.attempts} of ${job.maxAttempts}):`, error.message);
+
+        await Job.updateOne(owned, {
+            $set: giveUp
+                ? { status: 'failed', finishedAt: new Date(), lockedBy: null, lockedUntil: null, lastError: error.message }
+                : { status: 'scheduled', runAt: new Date(Date.now() + delay * MINUTE_MS), lockedBy: null, lockedUntil: null, lastError: error.message }
+        });
+        return false;
+    }
+};
+
+/**
+ * Make sure the current occurrence of a recurring job is scheduled
+ *
+ * @param {Object} definition - Registered job with every or dailyAt
+ * @param {Date} due - When the current occurrence was due
+ */
+const scheduleOccurrence = async (definition, due) => {
+    if (!definition.every) {
+        await scheduleJob(definition.name, due, { key: `${definition.name}@${due.toISOString()}` });
+        return;
+    }
+
+    // A job every minute would otherwise leave thousands of runs a day.
+    // Only a finished run from an earlier occurrence is reset, so the
+    // instances scheduling the same occurrence reset it once.
+    const job = await scheduleJob(definition.name, due, { key: definition.name });
+    await Job.updateOne(
+        { _id: job._id, status: { $in: ['succeeded', 'failed'] }, runAt: { $lt: due } },
+        {
+            $set: {
+                status: 'scheduled',
+                runAt: due,
+                attempts: 0,
+                maxAttempts: definition.maxAttempts,
+                startedAt: null,
+                finishedAt: null,
+                triggeredBy: null
+            }
+        }
+    );
+};
+
+/**
+ * Take a job's lease, unless another instance is running it
+ *
+ * @returns {String} Owner token to release it with, or null
+ */
+const takeLease = async (name) => {
+    const owner = `${INSTANCE_ID}#${crypto.randomBytes(6).toString('hex')}`;
+    const now = new Date();
+
+    try {
+        await JobLease.findOneAndUpdate(
+            { name, expiresAt: { $lte: now } },
+            { $set: { owner, expiresAt: new Date(now.getTime() + LEASE_MINUTES * MINUTE_MS) } },
+            { upsert: true }
+        );
+        return owner;
+    } catch (error) {
+        // Duplicate key: a live lease for this job already exists
+        if (error.code === 11000) return null;
+        throw error;
+    }
+};
+
+/**
+ * Schedule the current occurrences and run whatever is due
+ *
+ * @param {Date} now - Current time
+ * @returns {Object} { succeeded, failed } counts of this tick
+ */
+const runDueJobs = async (now = new Date()) => {
+    await recoverExpiredRuns(now);
+
+    for (const definition of definitions.values()) {
+        if (!definition.every && !definition.dailyAt) continue;
+        await scheduleOccurrence(definition, currentOccurrence(definition, now));
+    }
+
+    const result = { succeeded: 0, failed: 0 };
+    const dueNames = await Job.distinct('name', { status: 'scheduled', runAt: { $lte: now } });
+    const names = dueNames.filter(name => definitions.has(name)).slice(0, BATCH_SIZE);
+
+    for (const name of names) {
+        // One run of a job at a time, across instances
+        const owner = await takeLease(name);
+        if (!owner) continue;
+
+        try {
+            // Claim atomically so two instances never run the same run
+            const job = await Job.findOneAndUpdate(
+                { status: 'scheduled', name, runAt: { $lte: now } },
+                {
+                    $set: { status: 'running', lockedBy: INSTANCE_ID, lockedUntil: new Date(Date.now() + LEASE_MINUTES * MINUTE_MS), startedAt: new Date() },
+                    $inc: { attempts: 1 }
+                },
+                { sort: { runAt: 1 }, new: true }
+            );
+            if (!job) continue;
+
+            if (await execute(job)) result.succeeded += 1;
+            else result.failed += 1;
+        } finally {
+            await JobLease.deleteOne({ name, owner });
+        }
+    }
+
+    return result;
+};
+
+/**
+ * Run runDueJobs every TICK_MS (one tick at a time). Errors are logged
+ * and the next tick tries again.
+ *
+ * @returns {Object} The interval timer
+ */
+const startScheduler = () => {
+    let ticking = false;
+
+    const timer = setInterval(async () => {
+        if (ticking) return;
+        ticking = true;
+        try {
+            await runDueJobs();
+        } catch (error) {
+            console.error('Job scheduler tick failed:', error.message);
+        } finally {
+            ticking = false;
+        }
+    }, TICK_MS);
+
+    // Don't keep the process alive just for the scheduler
+    timer.unref();
+    return timer;
+};
+
+/**
+ * The registered jobs with their schedule, for the admin view
+ *
+ * @param {Date} now - Current time
+ * @returns {Array} { name, description, schedule, maxAttempts, nextRunAt }
+ */
+const listJobDefinitions = (now = new Date()) => [...definitions.values()].map(definition => ({
+    name: definition.name,
+    description: definition.description,
+    schedule: definition.every
+        ? `Every ${definition.every >= MINUTE_MS ? `${definition.every / MINUTE_MS} min` : `${definition.every / 1000} s`}`
+        : `Daily at ${definition.dailyAt}`,
+    maxAttempts: definition.maxAttempts,
+    nextRunAt: nextOccurrence(definition, now)
+}));
+
+/**
+ * Whether a job with this name is registered
+ */
+const isJobDefined = (name) => definitions.has(name);
+
+module.exports = {
+    INSTANCE_ID,
+    RETRY_MINUTES,
+    defineJob,
+    scheduleJob,
+    runDueJobs,
+    startScheduler,
+    listJobDefinitions,
+    isJobDefined
+};
@@ -0,0 +1,90 @@
+/**
+ * =============================================================================
+ * SMARTALLOC - TIME ZONE HELPERS
+ * =============================================================================
+ * Converts between instants and wall-clock times in an IANA time zone
+ * (e.g. "Europe/Berlin") using Intl, so no time zone database is bundled.
+ *
+ * A wall-clock time is represented as a Date whose UTC fields hold the
+ * local date and time (getUTCHours() is the local hour, and so on). Date
+ * arithmetic on it with the UTC methods never meets a daylight saving change.
+ *
+ * @author SmartAlloc Team
+ * @version 1.0.0
+ * =============================================================================
+ */
+
+// Time zone the server runs in
+const SERVER_TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+// One formatter per time zone - creating them is slow
+const formatters = new Map();
+
+const getFormatter = (timeZone) => {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric'
+        }));
+    }
+    return formatters.get(timeZone);
+};
+
+/**
+ * Check whether a value is an IANA time zone name this runtime knows
+ */
+const isValidTimeZone = (timeZone) => {
+    if (typeof timeZone !== 'string' || !timeZone) return false;
+    try {
+        getFormatter(timeZone);
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+/**
+ * Wall-clock time of an instant in a time zone
+ *
+ * @param {Date} date - Instant
+ * @param {String} timeZone - IANA time zone
+ * @returns {Date} Wall-clock time (UTC fields hold the local time)
+ */
+const toWallClock = (date, timeZone) => {
+    const parts = {};
+    for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+        parts[type] = Number(value);
+    }
+
+    return new Date(Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second,
+        date.getUTCMilliseconds()));
+};
+
+/**
+ * Instant at which a time zone shows a wall-clock time. A time skipped by a
+ * daylight saving change resolves to the instant one offset away.
+ *
+ * @param {Date} wallClock - Wall-clock time (UTC fields hold the local time)
+ * @param {String} timeZone - IANA time zone
+ * @returns {Date} Instant
+ */
+const fromWallClock = (wallClock, timeZone) => {
+    const offsetAt = (time) => toWallClock(new Date(time), timeZone).getTime() - time;
+
+    // The offset at the first guess may be the one before a daylight saving change
+    const guess = wallClock.getTime() - offsetAt(wallClock.getTime());
+    return new Date(wallClock.getTime() - offsetAt(guess));
+};
+
+module.exports = {
+    SERVER_TIME_ZONE,
+    isValidTimeZone,
+    toWallClock,
+    fromWallClock
+};
@@ -0,0 +1,246 @@
+/**
+ * =============================================================================
+ * SMARTALLOC - WAITLIST PROMOTION
+ * =============================================================================
+ * Turns waitlist entries (models/WaitlistEntry.js) into allocations when
+ * their slot comes free.
+ *
+ * Whenever an approved allocation stops holding its slot - cancelled,
+ * rejected, deleted, moved elsewhere or released as a no-show - the
+ * controllers call promoteFreedSlots with it. The waiting entries that
+ * overlap the freed window are tried oldest first; the first one that
+ * passes every check a new booking would (resource in service, booking
+ * policy, no overlap with an approved allocation, buffers and per-user
+ * limit) is booked in the requester's name and decided like a new
+ * request (pending, or approved by the policy or an approval rule). Entries
+ * overlapping one that was just promoted keep waiting.
+ *
+ * Entries that can't be booked right now keep waiting. Entries that can
+ * never be booked - the requester was blocked or deleted, the resource
+ * deleted, a rule rejects the request or the policy no longer allows the
+ * window - are cancelled with the reason. The user is notified of each
+ * promotion (utils/notifications.js) and sees it on their waitlist
+ * (promotionSeen); pending ones go to the approvers like a new request.
+ * Promotions are written to the audit log as made by the system.
+ *
+ * Two promotion runs can pick up the same entry (e.g. two slots freed at
+ * once, or a manual promotion). Every status change is a conditional
+ * update on status 'waiting', so only one of them books or closes it; the
+ * other gets { alreadyHandled: true }.
+ *
+ * @author SmartAlloc Team
+ * @version 1.0.0
+ * =============================================================================
+ */
+
+const Allocation = require('../models/Allocation');
+const Resource = require('../models/Resource');
+const ResourceType = require('../models/ResourceType');
+const ApprovalRule = require('../models/ApprovalRule');
+const User = require('../models/User');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const { getRolePermissions } = require('../middleware/authMiddleware');
+const { withResourceLock } = require('./resourceLock');
+const { findPolicyViolations } = require('./bookingPolicy');
+const { notifyRequestCreated, notifyWaitlistPromotion } = require('./notifications');
+const { publishAllocationChange } = require('./realtime');
+const { auditSystem } = require('./audit');
+const {
+    findBookingBlock,
+    findConflictingOccurrences,
+    findScheduleViolations,
+    decideApproval,
+    recordRuleMatch
+} = require('./bookingChecks');
+
+/**
+ * Result for an entry another promotion run booked or closed first
+ */
+const alreadyHandled = async (entry) => {
+    const current = await WaitlistEntry.findById(entry._id).select('status');
+    const status = current ? current.status : 'cancelled';
+    return { status, reason: `The entry is already ${status}`, alreadyHandled: true };
+};
+
+/**
+ * Close an entry that can never be booked, if it is still waiting
+ */
+const closeEntry = async (entry, status, reason, now) => {
+    const changes = { status, closedAt: now, closedReason: reason };
+    const closed = await WaitlistEntry.updateOne({ _id: entry._id, status: 'waiting' }, { $set: changes });
+    if (closed.modifiedCount === 0) {
+        return alreadyHandled(entry);
+    }
+
+    entry.set(changes);
+    return { status, reason };
+};
+
+/**
+ * Try to book one waiting entry.
+ *
+ * @param {Document} entry - A waiting WaitlistEntry
+ * @param {Date} now - Current time
+ * @returns {Object} { status, reason, allocation, alreadyHandled } - status
+ *                   is the entry's status afterwards; reason says why it
+ *                   wasn't promoted; allocation is set only when this call
+ *                   booked it
+ */
+const promoteEntry = async (entry, now = new Date()) => {
+    if (entry.startTime <= now) {
+        return closeEntry(entry, 'expired', '', now);
+    }
+
+    const requester = await User.findById(entry.requestedBy);
+    if (!requester || requester.status === 'blocked') {
+        return closeEntry(entry, 'cancelled', 'The requester can no longer make bookings', now);
+    }
+
+    const resource = await Resource.findById(entry.resourceId);
+    if (!resource || resource.archivedAt) {
+        return closeEntry(entry, 'cancelled', 'The resource no longer exists', now);
+    }
+
+    // Notice is measured from when the user joined the waitlist
+    const policy = await resource.getBookingPolicy();
+    const occurrence = { startTime: entry.startTime, endTime: entry.endTime, createdAt: entry.createdAt };
+
+    const violations = findPolicyViolations(policy, [occurrence], now);
+    if (violations.length > 0) {
+        return closeEntry(entry, 'cancelled', violations[0].message, now);
+    }
+
+    // Decided as if the requester made the request now
+    const requesterReq = { user: requester, permissions: await getRolePermissions(requester.role) };
+    const decision = decideApproval(requesterReq, await ApprovalRule.findActive(), {
+        resource,
+        policy,
+        occurrences: [occurrence],
+        chain: await ResourceType.chainFor(resource.type)
+    });
+    if (decision.approvalStatus === 'rejected') {
+        return closeEntry(entry, 'cancelled', decision.rejectionReason, now);
+    }
+
+    const result = await withResourceLock(resource._id, async () => {
+        const bookingBlock = await findBookingBlock(resource._id, [occurrence]);
+        if (bookingBlock) {
+            return { status: 'waiting', reason: bookingBlock };
+        }
+
+        const conflicts = await findConflictingOccurrences(resource._id, [occurrence]);
+        if (conflicts.length > 0) {
+            return { status: 'waiting', reason: 'The slot is still taken' };
+        }
+
+        const scheduleViolations = await findScheduleViolations(resource, policy, [occurrence], {
+            userId: requester._id
+        });
+        if (scheduleViolations.length > 0) {
+            return { status: 'waiting', reason: scheduleViolations[0].message };
+        }
+
+        // Claim the entry first - another run may have booked or closed it
+        const promotion = { status: 'promoted', promotedAt: now, promotionSeen: false };
+        const claimed = await WaitlistEntry.updateOne({ _id: entry._id, status: 'waiting' }, { $set: promotion });
+        if (claimed.modifiedCount === 0) {
+            return alreadyHandled(entry);
+        }
+
+        let allocation;
+        try {
+            allocation = await Allocation.create({
+                resourceId: resource._id,
+                assignedTo: entry.assignedTo,
+                startTime: entry.startTime,
+                endTime: entry.endTime,
+                purpose: entry.purpose,
+                requestedBy: requester._id,
+                approvalStatus: decision.approvalStatus,
+                approvalRule: decision.approvalRule,
+                approvalSteps: decision.approvalSteps
+            });
+        } catch (error) {
+            await WaitlistEntry.updateOne({ _id: entry._id }, { $set: { status: 'waiting', promotedAt: null } });
+            throw error;
+        }
+
+        await WaitlistEntry.updateOne({ _id: entry._id }, { $set: { allocationId: allocation._id } });
+        entry.set({ ...promotion, allocationId: allocation._id });
+
+        return { status: 'promoted', reason: '', allocation };
+    });
+
+    if (result.allocation) {
+        await recordRuleMatch(decision.approvalRule);
+        await notifyWaitlistPromotion(entry, result.allocation, resource);
+        await notifyRequestCreated([result.allocation], resource, requester, { notifyRequester: false });
+        publishAllocationChange('created', [result.allocation]);
+        await auditSystem('allocation.create', result.allocation, {
+            after: result.allocation,
+            details: { waitlistEntryId: entry._id }
+        });
+    }
+
+    return result;
+};
+
+/**
+ * Promote the waiting entries of a resource that overlap a freed window,
+ * oldest first, skipping entries that overlap one promoted in this run.
+ *
+ * @param {ObjectId} resourceId - Resource with a freed slot
+ * @param {Date} startTime - Freed window start
+ * @param {Date} endTime - Freed window end
+ * @returns {Array} Entries promoted
+ */
+const promoteWaitlist = async (resourceId, startTime, endTime) => {
+    const now = new Date();
+    await WaitlistEntry.expirePast(now);
+
+    const promoted = [];
+    const entries = await WaitlistEntry.findWaitingFor(resourceId, startTime, endTime);
+
+    for (const entry of entries) {
+        const overlapsPromoted = promoted.some(other => other.startTime < entry.endTime && other.endTime > entry.startTime);
+        if (overlapsPromoted) continue;
+
+        const result = await promoteEntry(entry, now);
+        if (result.allocation) {
+            promoted.push(entry);
+        }
+    }
+
+    return promoted;
+};
+
+/**
+ * Offer the slots of allocations that no longer hold them to the
+ * waitlist. Never throws - a failed promotion is logged and the entries
+ * keep waiting for the next freed slot.
+ *
+ * Call after the allocations were saved, outside their resource's
+ * booking lock (promotion takes it).
+ *
+ * @param {Array} freed - Objects with resourceId, startTime, endTime
+ * @returns {Number} Number of entries promoted
+ */
+const promoteFreedSlots = async (freed) => {
+    let count = 0;
+
+    for (const slot of freed) {
+        try {
+            count += (await promoteWaitlist(slot.resourceId._id || slot.resourceId, slot.startTime, slot.endTime)).length;
+        } catch (error) {
+            console.error('Waitlist promotion failed:', error.message);
+        }
+    }
+
+    return count;
+};
+
+module.exports = {
+    promoteEntry,
+    promoteWaitlist,
+    promoteFreedSlots
+};